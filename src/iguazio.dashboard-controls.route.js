@@ -81,7 +81,20 @@ such restriction.
                 }
             })
             .state('app.project.functions', {
-                url: '/functions',
+                url: '/functions?view&sort&desc&q&status&runtime&owner&columns&pageSize',
+
+                // the view of the functions list (see `FunctionsViewsService`), changing it should not reload the state
+                params: {
+                    view: { dynamic: true, value: null },
+                    sort: { dynamic: true, value: null },
+                    desc: { dynamic: true, value: null },
+                    q: { dynamic: true, value: null },
+                    status: { dynamic: true, value: null },
+                    runtime: { dynamic: true, value: null },
+                    owner: { dynamic: true, value: null },
+                    columns: { dynamic: true, value: null },
+                    pageSize: { dynamic: true, value: null }
+                },
                 views: {
                     project: {
                         template: '<ncl-functions></ncl-functions>'
@@ -83,6 +83,9 @@ such restriction.
      *     setting a tooltip on the entire `<auto-complete>` component, which includes the suggestion list too, and it
      *     is not desired to show the tooltip when hovering on the suggestion list, but only when hovering the input
      *     field itself.
+     * @param {Array} [validationRules] - A list of validation rules to check against as input changes. Forwarded to
+     *     `validationRules` attribute of the `igzValidatingInputField` component. Please see that component's docs for
+     *     more details.
      */
     angular.module('iguazio.dashboard-controls')
         .component('igzAutoComplete', {
@@ -105,7 +108,8 @@ such restriction.
                 onSuggestionSelected: '&?',
                 suggestionsOnEmpty: '<?',
                 placeholder: '@?',
-                tooltip: '<?'
+                tooltip: '<?',
+                validationRules: '<?'
             },
             templateUrl: 'igz_controls/components/auto-complete/auto-complete.tpl.html',
             controller: IgzAutoCompleteController
@@ -0,0 +1,68 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name igzFormErrors
+     * @component
+     *
+     * @description
+     * Displays the failed validation rules of a form (including its nested forms), as aggregated by
+     * `FormValidationService.getFormErrors`. An error is displayed once the form is submitted or one of its fields is
+     * dirty.
+     *
+     * @param {Object} formObject - The `<form>` or `<ng-form>` element/directive to display the errors of.
+     * @param {Array.<string>} [fields] - Display only errors of rules that involve at least one of these fields.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('igzFormErrors', {
+            bindings: {
+                fields: '<?',
+                formObject: '<'
+            },
+            templateUrl: 'igz_controls/components/form-errors/form-errors.tpl.html',
+            controller: IgzFormErrorsController
+        });
+
+    function IgzFormErrorsController(lodash, FormValidationService) {
+        var ctrl = this;
+
+        ctrl.errors = [];
+
+        ctrl.$doCheck = doCheck;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Checks for changes in the form's errors on every digest cycle
+         */
+        function doCheck() {
+            var errors = lodash.filter(FormValidationService.getFormErrors(ctrl.formObject), function (error) {
+                return error.isShown &&
+                    (lodash.isEmpty(ctrl.fields) || !lodash.isEmpty(lodash.intersection(ctrl.fields, error.fields)));
+            });
+
+            // replace the list only when it changes, so `ngRepeat` will not re-render on every digest cycle
+            if (!lodash.isEqual(errors, ctrl.errors)) {
+                ctrl.errors = errors;
+            }
+        }
+    }
+}());
@@ -21,7 +21,11 @@ such restriction.
         .component('igzPagination', {
             bindings: {
                 allowJumpToPage: '<?',
+                dataCallback: '&?',
                 entityName: '@?',
+                filter: '<?',
+                mode: '@?',
+                onPageLoaded: '&?',
                 pageData: '<',
                 paginationCallback: '&',
                 perPageValues: '<?',
@@ -32,10 +36,21 @@ such restriction.
             controller: IgzPaginationController
         });
 
-    function IgzPaginationController($scope, $timeout, lodash, EventHelperService, LocalStorageService,
+    /**
+     * By default (`mode` is `'client'`) the host holds all the items and slices the page in `paginationCallback`.
+     * When `mode` is `'server'` the component requests every page from the back-end through `dataCallback`, which
+     * receives `page`, `size`, `sort`, `filter` and `canceler` (a promise that is resolved when the request becomes
+     * obsolete, to be used as the `timeout` of the HTTP request) and returns a promise of the response. The totals
+     * are taken from the response metadata (see `PaginationService.getPageMetadata`) into `pageData`, and the items
+     * of the page are passed to `onPageLoaded` as `items`. The current page is reloaded from the first page when
+     * `sort` or `filter` is changed.
+     */
+    function IgzPaginationController($q, $scope, $timeout, lodash, EventHelperService, LocalStorageService,
                                      PaginationService) {
         var ctrl = this;
+        var canceler = null;
 
+        ctrl.isLoading = false;
         ctrl.jumpPage = 1;
         ctrl.maxPagesToDisplay = 9;
         ctrl.page = 0;
@@ -44,6 +59,7 @@ such restriction.
         ctrl.jumpToPagePattern = new RegExp('^\\d+$');
 
         ctrl.$onInit = onInit;
+        ctrl.$onDestroy = onDestroy;
 
         ctrl.inputValueCallback = inputValueCallback;
         ctrl.jumpToPage = jumpToPage;
@@ -61,7 +77,8 @@ such restriction.
          */
         function onInit() {
             lodash.defaults(ctrl, {
-                allowJumpToPage: true
+                allowJumpToPage: true,
+                mode: 'client'
             });
 
             if (angular.isUndefined(ctrl.perPageValues)) {
@@ -72,6 +89,21 @@ such restriction.
 
             $scope.$watch('$ctrl.pageData.total', initValues);
             $scope.$watch('$ctrl.pageData.number', updatePage);
+            $scope.$watch('$ctrl.pageData.size', updatePerPage);
+
+            if (isServerMode()) {
+                $scope.$watch('$ctrl.sort', reloadFromFirstPage);
+                $scope.$watch('$ctrl.filter', reloadFromFirstPage, true);
+
+                loadPage(lodash.defaultTo(ctrl.pageData.number, 0));
+            }
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            cancelPendingRequest();
         }
 
         //
@@ -145,7 +177,9 @@ such restriction.
                 ctrl.page = pageNumber;
                 generatePagesArray();
 
-                if (angular.isFunction(ctrl.paginationCallback)) {
+                if (isServerMode()) {
+                    loadPage(ctrl.page);
+                } else if (angular.isFunction(ctrl.paginationCallback)) {
                     ctrl.paginationCallback({
                         page: ctrl.page,
                         size: ctrl.perPage,
@@ -171,6 +205,16 @@ such restriction.
         // Private methods
         //
 
+        /**
+         * Cancels the pending page request of server-side mode, if there is one
+         */
+        function cancelPendingRequest() {
+            if (canceler !== null) {
+                canceler.resolve();
+                canceler = null;
+            }
+        }
+
         /**
          * Generates pages array
          */
@@ -240,6 +284,81 @@ such restriction.
             generatePagesArray();
         }
 
+        /**
+         * Checks whether the pages are requested from the back-end
+         * @returns {boolean} `true` in server-side mode, `false` in client-side mode
+         */
+        function isServerMode() {
+            return ctrl.mode === 'server' && angular.isFunction(ctrl.dataCallback);
+        }
+
+        /**
+         * Requests a page from the back-end (in server-side mode) and updates the page data with the totals from the
+         * response. A previous request that is still pending is cancelled, and its response is ignored.
+         * @param {number} pageNumber - the number of the page to load (zero-based)
+         */
+        function loadPage(pageNumber) {
+            var requestCanceler = $q.defer();
+
+            cancelPendingRequest();
+            canceler = requestCanceler;
+            ctrl.isLoading = true;
+
+            $q.when(ctrl.dataCallback({
+                page: pageNumber,
+                size: ctrl.perPage,
+                sort: ctrl.sort,
+                filter: ctrl.filter,
+                canceler: requestCanceler.promise
+            }))
+                .then(function (response) {
+                    if (canceler === requestCanceler) {
+                        var page = PaginationService.getPageMetadata(response, pageNumber, ctrl.perPage);
+
+                        lodash.assign(ctrl.pageData, {
+                            number: page.number,
+                            size: ctrl.perPage,
+                            total: page.total,
+                            totalItems: page.totalItems
+                        });
+                        ctrl.page = page.number;
+                        generatePagesArray();
+
+                        if (angular.isFunction(ctrl.onPageLoaded)) {
+                            ctrl.onPageLoaded({
+                                items: page.items,
+                                page: ctrl.pageData
+                            });
+                        }
+                    }
+                })
+                .catch(function () {
+
+                    // stay on the page that was loaded last
+                    if (canceler === requestCanceler) {
+                        ctrl.page = ctrl.pageData.number;
+                        generatePagesArray();
+                    }
+                })
+                .finally(function () {
+                    if (canceler === requestCanceler) {
+                        canceler = null;
+                        ctrl.isLoading = false;
+                    }
+                });
+        }
+
+        /**
+         * Reloads the list from the first page (in server-side mode) when sorting or filtering is changed
+         * @param {*} newValue - the new sorting or filtering
+         * @param {*} oldValue - the previous sorting or filtering
+         */
+        function reloadFromFirstPage(newValue, oldValue) {
+            if (!angular.equals(newValue, oldValue)) {
+                ctrl.goToPage(0);
+            }
+        }
+
         /**
          * Updates current page value from pageData object
          */
@@ -247,6 +366,15 @@ such restriction.
             ctrl.page = ctrl.pageData.number;
         }
 
+        /**
+         * Updates selected page size value from pageData object (in case it was changed outside the component)
+         */
+        function updatePerPage() {
+            if (lodash.some(ctrl.perPageValues, ['id', ctrl.pageData.size])) {
+                ctrl.perPage = ctrl.pageData.size;
+            }
+        }
+
         /**
          * Creates a RegExp pattern that validates only numbers in the range from 1 to `upperBound`.
          * @param {number} upperBound - the maximum number to consider valid by the returned RegExp pattern.
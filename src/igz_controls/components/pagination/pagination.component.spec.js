@@ -146,5 +146,113 @@ describe('igzPagination component:', function () {
             ctrl.goToNextPage();
             expect(ctrl.goToPage).toHaveBeenCalledWith(9);
         })
-    })
+    });
+
+    describe('server-side mode:', function () {
+        var $q;
+        var requests;
+
+        beforeEach(function () {
+            inject(function (_$q_) {
+                $q = _$q_;
+            });
+
+            requests = [];
+            ctrl = $componentController('igzPagination', { $scope: $rootScope.$new() }, {
+                mode: 'server',
+                pageData: {
+                    number: 0,
+                    size: 10
+                },
+                sort: 'name',
+                filter: { status: 'ready' },
+                paginationCallback: jasmine.createSpy('paginationCallback'),
+                onPageLoaded: jasmine.createSpy('onPageLoaded'),
+                dataCallback: function (params) {
+                    var deferred = $q.defer();
+
+                    requests.push({
+                        params: params,
+                        deferred: deferred
+                    });
+
+                    return deferred.promise;
+                }
+            });
+            ctrl.$onInit();
+            $rootScope.$digest();
+        });
+
+        afterEach(function () {
+            $q = null;
+            requests = null;
+        });
+
+        it('should request the page with sorting and filtering and take the totals from the response', function () {
+            var response = [{ id: 1 }, { id: 2 }];
+
+            response.total_pages = 5;
+            response.total_items = 42;
+
+            expect(requests.length).toEqual(1);
+            expect(requests[0].params).toEqual(jasmine.objectContaining({
+                page: 0,
+                size: 10,
+                sort: 'name',
+                filter: { status: 'ready' }
+            }));
+
+            requests[0].deferred.resolve(response);
+            $rootScope.$digest();
+
+            expect(ctrl.pageData).toEqual({
+                number: 0,
+                size: 10,
+                total: 5,
+                totalItems: 42
+            });
+            expect(ctrl.onPageLoaded).toHaveBeenCalledWith({
+                items: response,
+                page: ctrl.pageData
+            });
+            expect(ctrl.paginationCallback).not.toHaveBeenCalled();
+            expect(ctrl.isLoading).toBeFalsy();
+        });
+
+        it('should cancel the pending request and ignore its response when the page changes', function () {
+            var cancelSpy = jasmine.createSpy('cancel');
+
+            requests[0].params.canceler.then(cancelSpy);
+            ctrl.goToPage(2);
+            $rootScope.$digest();
+
+            expect(cancelSpy).toHaveBeenCalled();
+            expect(requests[1].params.page).toEqual(2);
+
+            requests[1].deferred.resolve({
+                items: [{ id: 3 }],
+                meta: {
+                    page_number: 2,
+                    total_items: 25
+                }
+            });
+            requests[0].deferred.resolve([{ id: 1 }]);
+            $rootScope.$digest();
+
+            expect(ctrl.onPageLoaded.calls.count()).toEqual(1);
+            expect(ctrl.onPageLoaded.calls.argsFor(0)[0].items).toEqual([{ id: 3 }]);
+            expect(ctrl.pageData.number).toEqual(2);
+            expect(ctrl.pageData.total).toEqual(3);
+        });
+
+        it('should reload from the first page when filter changes', function () {
+            ctrl.page = 3;
+            ctrl.filter = { status: 'error' };
+            $rootScope.$digest();
+
+            expect(requests.length).toEqual(2);
+            expect(requests[1].params.page).toEqual(0);
+            expect(requests[1].params.filter).toEqual({ status: 'error' });
+        });
+    });
 });
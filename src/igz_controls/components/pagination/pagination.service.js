@@ -24,6 +24,7 @@ such restriction.
         return {
             addPagination: addPagination,
             perPageDefaults: perPageDefaults,
+            getPageMetadata: getPageMetadata,
             getPageSize: getPageSize
         };
 
@@ -74,6 +75,38 @@ such restriction.
             ];
         }
 
+        /**
+         * Extracts a page of items and the pagination totals from a response of a server-side paginated request.
+         * The response could be either a list with pagination properties attached (as returned by Restangular), e.g.
+         * `[...items]` with `total_pages`, `page_number` and `total_items` properties, or an object with the items
+         * in `items` or `data` property, and the pagination properties in `meta` property (or in the object itself)
+         * @param {Array|Object} response - the response
+         * @param {number} pageNumber - the requested page number (zero-based), used when the response has no page number
+         * @param {number} pageSize - the requested page size, used to calculate the total number of pages when the
+         *     response has the total number of items only
+         * @returns {{items: Array, number: number, total: number, totalItems: ?number}} the items of the page, the
+         *     page number, the total number of pages and the total number of items (`null` if it is unknown)
+         */
+        function getPageMetadata(response, pageNumber, pageSize) {
+            var items = lodash.isArray(response) ? response :
+                lodash.defaultTo(lodash.get(response, 'items', lodash.get(response, 'data')), []);
+            var metadata = lodash.get(response, 'meta', response);
+            var totalItems = Number(lodash.defaultTo(lodash.get(metadata, 'total_items'), NaN));
+            var totalPages = Number(lodash.defaultTo(lodash.get(metadata, 'total_pages'), NaN));
+
+            if (!lodash.isFinite(totalPages) || totalPages <= 0) {
+                totalPages = lodash.isFinite(totalItems) ? Math.max(Math.ceil(totalItems / pageSize), 1) : 1;
+            }
+
+            return {
+                items: items,
+                number: lodash.clamp(Number(lodash.defaultTo(lodash.get(metadata, 'page_number'), pageNumber)), 0,
+                                     totalPages - 1),
+                total: totalPages,
+                totalItems: lodash.isFinite(totalItems) ? totalItems : null
+            };
+        }
+
         /**
          * Gets page size from localStorage if it exist there.
          * If no - set default page size to localStorage and return it
@@ -20,7 +20,7 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .factory('SearchHelperService', SearchHelperService);
 
-    function SearchHelperService(lodash) {
+    function SearchHelperService(lodash, SearchQueryService) {
         return {
             makeSearch: makeSearch
         };
@@ -38,24 +38,41 @@ such restriction.
          * @param {string} ruleType - string representing the type of rule resource
          * @param {Object} searchStates
          * @param {string} [multiSearchName] - unique name of the search input
+         * @param {Array.<Object>} [queryFields] - fields of the structured query language (see
+         *     `SearchQueryService`), when provided the query is parsed as a structured query, otherwise it is
+         *     looked up as a substring. In case the query could not be parsed the error message is set to
+         *     `searchStates.queryError` and the data is left as is
          */
         function makeSearch(searchQuery, data, pathsForSearchArray, isHierarchical, ruleType, searchStates,
-                            multiSearchName) {
+                            multiSearchName, queryFields) {
+            var parsedQuery = null;
+
             searchStates.searchNotFound = false;
             searchStates.searchInProgress = false;
+            searchStates.queryError = null;
 
             if (isHierarchical) {
                 data = data.ui.children;
             } else {
                 ruleType = '';
             }
-            if (searchQuery === '') {
+
+            if (!lodash.isEmpty(queryFields) && angular.isString(searchQuery)) {
+                parsedQuery = SearchQueryService.parse(searchQuery, queryFields);
+
+                if (parsedQuery.error !== null) {
+                    searchStates.queryError = parsedQuery.error;
+                    return;
+                }
+            }
+
+            if (searchQuery === '' || parsedQuery !== null && parsedQuery.ast === null) {
                 showAllChildren(data, multiSearchName);
             } else if (angular.isString(searchQuery)) {
                 searchStates.searchNotFound = true;
                 searchStates.searchInProgress = true;
-                findBySearchQuery(searchQuery, data, pathsForSearchArray, isHierarchical, ruleType, searchStates,
-                                  multiSearchName);
+                findBySearchQuery(getQueryMatcher(searchQuery, parsedQuery, queryFields, pathsForSearchArray), data,
+                                  isHierarchical, ruleType, searchStates, multiSearchName);
             }
         }
 
@@ -65,29 +82,53 @@ such restriction.
 
         /**
          * Loop through all given data to show/hide them depending on query match criteria (recursively)
-         * @param {string} searchQuery - text query entered to a search input
+         * @param {function} isMatch - tests whether a data item matches the query
          * @param {Array.<Object>} children - array of child data
-         * @param {Array.<string>} pathsForSearch - array of strings, representing data's properties keys to search from
          * @param {boolean} isHierarchical - flag which indicates if passed data has hierarchical structure
          * @param {string} ruleType - string representing the type of rule resource
          * @param {Object} searchStates
          * @param {string} [multiSearchName] - unique name of the search input
          */
-        function findBySearchQuery(searchQuery, children, pathsForSearch, isHierarchical, ruleType, searchStates,
-                                   multiSearchName) {
+        function findBySearchQuery(isMatch, children, isHierarchical, ruleType, searchStates, multiSearchName) {
             angular.forEach(children, function (child) {
                 // Search by text in data without children data only
                 if (angular.isString(child.type) && (child.type !== ruleType) && isHierarchical) {
                     // Hide all parent data while search among children and proceed recursively
                     child.ui.isFitQuery = false;
-                    findBySearchQuery(searchQuery, child.ui.children, pathsForSearch, isHierarchical, ruleType,
-                                      searchStates, multiSearchName);
+                    findBySearchQuery(isMatch, child.ui.children, isHierarchical, ruleType, searchStates,
+                                      multiSearchName);
                 } else {
-                    showRelevantItem(searchQuery, child, pathsForSearch, searchStates, multiSearchName);
+                    showRelevantItem(isMatch, child, searchStates, multiSearchName);
                 }
             });
         }
 
+        /**
+         * Gets a function that tests whether a data item matches the query
+         * @param {string} searchQuery - text query entered to a search input
+         * @param {?{ast: Object}} parsedQuery - the parsed structured query, `null` for a plain text query
+         * @param {Array.<Object>} [queryFields] - fields of the structured query language
+         * @param {Array.<string>} pathsForSearch - array of strings, representing paths to item's properties to
+         *     search from
+         * @returns {function} the function, receives a data item and returns `true` if it matches the query
+         */
+        function getQueryMatcher(searchQuery, parsedQuery, queryFields, pathsForSearch) {
+            return parsedQuery === null ? function (dataItem) {
+                var stringValuesArray = [];
+
+                angular.forEach(pathsForSearch, function (pathForSearch) {
+                    getStringValuesFromItem(lodash.get(dataItem, pathForSearch), stringValuesArray);
+                });
+
+                // If at least one value in item's properties string values matched - the item fits the query
+                return stringValuesArray.some(function (value) {
+                    return lodash.includes(value.toLowerCase(), searchQuery.toLowerCase());
+                });
+            } : function (dataItem) {
+                return SearchQueryService.matches(parsedQuery.ast, dataItem, queryFields, pathsForSearch);
+            };
+        }
+
         /**
          * Get all current item's properties string values and push to stringValuesArray (recursively)
          * @param {string} itemPropertyValue - item's attribute value
@@ -149,27 +190,16 @@ such restriction.
         }
 
         /**
-         * Loop through all given data's properties and show/hide current data depending on query match criteria
-         * @param {string} searchQuery - query entered to a search input
+         * Show/hide current data depending on query match criteria
+         * @param {function} isMatch - tests whether a data item matches the query
          * @param {Object} dataItem - current item
-         * @param {Array} pathsForSearch - array of strings, representing paths to item's properties to search from
          * @param {Object} searchStates
          * @param {string} [multiSearchName] - unique name of the search input
          */
-        function showRelevantItem(searchQuery, dataItem, pathsForSearch, searchStates, multiSearchName) {
-            var isFitQuery;
-            var stringValuesArray = [];
-
-            angular.forEach(pathsForSearch, function (pathForSearch) {
-                getStringValuesFromItem(lodash.get(dataItem, pathForSearch), stringValuesArray);
-            });
-
-            // If at least one value in item's properties string values matched - show current item and all its direct ancestors chain
-            isFitQuery = stringValuesArray.some(function (value) {
-                return lodash.includes(value.toLowerCase(), searchQuery.toLowerCase());
-            });
+        function showRelevantItem(isMatch, dataItem, searchStates, multiSearchName) {
 
-            setFitQueryValue(dataItem, multiSearchName, isFitQuery);
+            // If the item matched - show current item and all its direct ancestors chain
+            setFitQueryValue(dataItem, multiSearchName, isMatch(dataItem));
 
             if (dataItem.ui.isFitQuery) {
                 searchStates.searchNotFound = false;
@@ -295,5 +295,34 @@ describe('SearchHelperService: ', function () {
             // Check search status
             expect(searchStates.searchInProgress).toBeFalsy();
         });
+
+        it('should search by structured query if query fields are provided', function () {
+            var queryFields = [{ name: 'name', path: 'attr.name' }];
+            var topLevelRule = data.ui.children[1].ui.children[0];
+            var nestedToAGroupRule = data.ui.children[1].ui.children[1].ui.children[0];
+            var someNotRelevantRule = data.ui.children[0].ui.children[0];
+
+            SearchHelperService.makeSearch('name:"' + topLevelRule.attr.name + '"', data, searchKeys,
+                                           isSearchHierarchically, ruleType, searchStates, null, queryFields);
+
+            expect(topLevelRule.ui.isFitQuery).toBe(true);
+            expect(topLevelRule.ui.parent.ui.isFitQuery).toBe(true);
+            expect(nestedToAGroupRule.ui.isFitQuery).toBe(false);
+            expect(someNotRelevantRule.ui.isFitQuery).toBe(false);
+            expect(searchStates.queryError).toBeNull();
+        });
+
+        it('should set query error and leave data as is if structured query could not be parsed', function () {
+            var queryFields = [{ name: 'name', path: 'attr.name' }];
+            var someRule = data.ui.children[0].ui.children[0];
+
+            someRule.ui.isFitQuery = true;
+            SearchHelperService.makeSearch('name:"value', data, searchKeys, isSearchHierarchically, ruleType,
+                                           searchStates, null, queryFields);
+
+            expect(searchStates.queryError).toEqual(jasmine.any(String));
+            expect(searchStates.searchInProgress).toBeFalsy();
+            expect(someRule.ui.isFitQuery).toBe(true);
+        });
     });
 });
@@ -27,6 +27,7 @@ such restriction.
                 multiSearchName: '@?',
                 onSearchSubmit: '&?',
                 placeholder: '@',
+                queryFields: '<?',
                 ruleType: '@?',
                 searchCallback: '&?',
                 searchKeys: '<',
@@ -38,14 +39,18 @@ such restriction.
             controller: IgzSearchInputController
         });
 
-    function IgzSearchInputController($scope, $timeout, lodash, SearchHelperService) {
+    function IgzSearchInputController($scope, $timeout, lodash, SearchHelperService, SearchQueryService) {
         var ctrl = this;
 
+        ctrl.activeSuggestionIndex = -1;
         ctrl.isInputFocused = false;
         ctrl.isSearchHierarchically = (String(ctrl.isSearchHierarchically) === 'true');
         ctrl.searchQuery = '';
+        ctrl.suggestions = [];
 
         ctrl.$onInit = onInit;
+        ctrl.applySuggestion = applySuggestion;
+        ctrl.onKeyDown = onKeyDown;
         ctrl.onPressEnter = onPressEnter;
         ctrl.clearInputField = clearInputField;
         ctrl.toggleInputFocus = toggleInputFocus;
@@ -73,14 +78,53 @@ such restriction.
                 $scope.$watch('$ctrl.searchQuery', onChangeSearchQuery);
             }
 
+            $scope.$watch('$ctrl.searchQuery', updateSuggestions);
+
             $scope.$on('search-input_refresh-search', onDataChanged);
             $scope.$on('search-input_reset', resetSearch);
+            $scope.$on('search-input_set-query', setSearchQuery);
         }
 
         //
         // Public methods
         //
 
+        /**
+         * Replaces the search query with the query completed by the suggestion
+         * @param {Object} suggestion - the suggestion to apply
+         * @param {string} suggestion.query - the completed query
+         */
+        function applySuggestion(suggestion) {
+            ctrl.searchQuery = suggestion.query;
+            ctrl.suggestions = [];
+            ctrl.activeSuggestionIndex = -1;
+        }
+
+        /**
+         * Navigates through the query suggestions with the arrow keys and applies the active one on Enter/Tab,
+         * initializes search on Enter otherwise
+         * @param {Event} e
+         */
+        function onKeyDown(e) {
+            var activeSuggestion = ctrl.suggestions[ctrl.activeSuggestionIndex];
+
+            if (e.keyCode === 40 || e.keyCode === 38) { // arrow down / arrow up
+                if (!lodash.isEmpty(ctrl.suggestions)) {
+                    e.preventDefault();
+                    ctrl.activeSuggestionIndex = (ctrl.activeSuggestionIndex + (e.keyCode === 40 ? 1 : -1) +
+                        ctrl.suggestions.length + 2) % (ctrl.suggestions.length + 1) - 1;
+                }
+            } else if (e.keyCode === 27) { // escape
+                ctrl.suggestions = [];
+                ctrl.activeSuggestionIndex = -1;
+            } else if ((e.keyCode === 13 || e.keyCode === 9) && angular.isDefined(activeSuggestion)) { // enter / tab
+                e.preventDefault();
+                applySuggestion(activeSuggestion);
+            } else {
+                onPressEnter(e);
+            }
+        }
+
         /**
          * Initializes search and apply filters on press enter
          * @param {Event} e
@@ -136,7 +180,7 @@ such restriction.
                 // default search functionality
                 SearchHelperService.makeSearch(ctrl.searchQuery, ctrl.dataSet, ctrl.searchKeys,
                                                ctrl.isSearchHierarchically,ctrl.ruleType, ctrl.searchStates,
-                                               ctrl.multiSearchName);
+                                               ctrl.multiSearchName, ctrl.queryFields);
             }
         }
 
@@ -163,5 +207,26 @@ such restriction.
             ctrl.searchQuery = '';
             $timeout(makeSearch);
         }
+
+        /**
+         * Sets search query and initializes search
+         * @param {Object} event - broadcast event
+         * @param {Object} data - broadcast data
+         * @param {string} data.searchQuery - the search query to set
+         */
+        function setSearchQuery(event, data) {
+            ctrl.searchQuery = lodash.defaultTo(data.searchQuery, '');
+            $timeout(makeSearch);
+        }
+
+        /**
+         * Updates the autocomplete suggestions of field names and values for the structured query
+         */
+        function updateSuggestions() {
+            ctrl.activeSuggestionIndex = -1;
+            ctrl.suggestions = lodash.isEmpty(ctrl.queryFields) || lodash.isEmpty(ctrl.searchQuery) ? [] :
+                SearchQueryService.getSuggestions(ctrl.searchQuery, ctrl.isSearchHierarchically ?
+                    lodash.get(ctrl.dataSet, 'ui.children', []) : ctrl.dataSet, ctrl.queryFields);
+        }
     }
 }());
@@ -129,6 +129,66 @@ describe('igzSearchInput Component:', function () {
         });
     });
 
+    describe('setSearchQuery()', function () {
+        it('should set the search query and call makeSearch() after sending broadcast', function () {
+            spyOn(SearchHelperService, 'makeSearch');
+            $rootScope.$broadcast('search-input_set-query', { searchQuery: 'some query' });
+
+            expect(ctrl.searchQuery).toEqual('some query');
+
+            $timeout.flush();
+
+            expect(SearchHelperService.makeSearch).toHaveBeenCalledWith('some query', ctrl.dataSet, ctrl.searchKeys,
+                                                                        ctrl.isSearchHierarchically, ctrl.ruleType,
+                                                                        ctrl.searchStates, ctrl.multiSearchName,
+                                                                        ctrl.queryFields);
+        });
+    });
+
+    describe('onKeyDown()', function () {
+        beforeEach(function () {
+            ctrl.queryFields = [{ name: 'name', path: 'attr.name' }];
+            ctrl.searchQuery = 'na';
+            $rootScope.$digest();
+        });
+
+        it('should suggest field names and navigate them with arrow keys', function () {
+            var e = {
+                keyCode: 40,
+                preventDefault: angular.noop
+            };
+
+            expect(ctrl.suggestions).toEqual([{ label: 'name:', query: 'name:' }]);
+
+            ctrl.onKeyDown(e);
+            expect(ctrl.activeSuggestionIndex).toEqual(0);
+
+            e.keyCode = 38;
+            ctrl.onKeyDown(e);
+            expect(ctrl.activeSuggestionIndex).toEqual(-1);
+        });
+
+        it('should apply the active suggestion on Enter', function () {
+            spyOn(SearchHelperService, 'makeSearch');
+            ctrl.activeSuggestionIndex = 0;
+            ctrl.onKeyDown({
+                keyCode: 13,
+                preventDefault: angular.noop
+            });
+
+            expect(ctrl.searchQuery).toEqual('name:');
+            expect(ctrl.suggestions).toEqual([]);
+            expect(SearchHelperService.makeSearch).not.toHaveBeenCalled();
+        });
+
+        it('should call makeSearch() on Enter if no suggestion is active', function () {
+            spyOn(SearchHelperService, 'makeSearch');
+            ctrl.onKeyDown({ keyCode: 13 });
+
+            expect(SearchHelperService.makeSearch).toHaveBeenCalled();
+        });
+    });
+
     describe('clearInputField()', function () {
        it('should empty search field after call clearInputField()', function () {
            ctrl.searchQuery = 'new';
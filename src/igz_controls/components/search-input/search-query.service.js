@@ -0,0 +1,566 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name SearchQueryService
+     * @description
+     * Parses and evaluates the structured query language of `igz-search-input`:
+     * - `echo` / `"hello world"` - free text (or quoted phrase) looked up in the search keys of the items
+     * - `status:error`, `runtime:python*` - field equals the value (case-insensitive, `*` stands for any characters)
+     * - `label:team=ml`, `label:team` - map field has the key (with the value)
+     * - `replicas>2`, `replicas<=4`, `replicas!=1` - numeric comparisons (number fields only)
+     * - `python:3.9`, `team=ml` - terms whose field is unknown are looked up as free text
+     * - `-status:error`, `NOT status:error` - negation
+     * - `a b`, `a AND b`, `a OR b`, `(a OR b) c` - `AND` is implicit and binds stronger than `OR`
+     *
+     * Fields are described by objects like:
+     * `{ name: 'runtime', path: 'spec.runtime' }`, `{ name: 'replicas', path: 'spec.replicas', type: 'number' }`,
+     * `{ name: 'label', path: 'metadata.labels', type: 'map' }` or `{ name: 'status', getValue: function (item) {...} }`
+     * where `type` is one of `'string'` (default), `'number'` or `'map'`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .factory('SearchQueryService', SearchQueryService);
+
+    function SearchQueryService($i18next, i18next, lodash) {
+        var MAX_SUGGESTIONS = 10;
+        var OPERATORS = ['>=', '<=', '!=', '>', '<', ':', '='];
+        var COMPARISON_OPERATORS = ['>=', '<=', '>', '<'];
+        var KEYWORDS = ['AND', 'OR', 'NOT'];
+        var TERM_DELIMITERS = /[\s()"]/;
+        var OPERATOR_CHARACTERS = /[:<>=!]/;
+
+        return {
+            getSuggestions: getSuggestions,
+            matches: matches,
+            parse: parse
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Gets autocomplete suggestions for the last (partially typed) term of the query: field names, or values of
+         * the field collected from the data set
+         * @param {string} query - the query typed so far
+         * @param {Array.<Object>} dataSet - the items to collect field values from
+         * @param {Array.<Object>} fields - the fields of the query language
+         * @returns {Array.<{label: string, query: string}>} the suggestions, `query` is the whole query with the last
+         *     term completed
+         */
+        function getSuggestions(query, dataSet, fields) {
+            var lastTerm = /(-?)([^\s()"-][^\s()"]*)?$/.exec(lodash.defaultTo(query, ''));
+            var prefix = query.slice(0, lastTerm.index) + lastTerm[1];
+            var term = lodash.defaultTo(lastTerm[2], '');
+            var operatorMatch = /^([^:<>=!]+)(>=|<=|!=|>|<|:|=)(.*)$/.exec(term);
+
+            if (lodash.isNull(operatorMatch)) {
+                return lodash.chain(fields)
+                    .filter(function (field) {
+                        return term !== '' && lodash.startsWith(field.name.toLowerCase(), term.toLowerCase());
+                    })
+                    .take(MAX_SUGGESTIONS)
+                    .map(function (field) {
+                        return {
+                            label: field.name + ':',
+                            query: prefix + field.name + ':'
+                        };
+                    })
+                    .value();
+            }
+
+            var field = findField(fields, operatorMatch[1]);
+            var typedValue = operatorMatch[3].toLowerCase();
+
+            return lodash.isUndefined(field) ? [] : lodash.chain(dataSet)
+                .flatMap(function (item) {
+                    return getSuggestionValues(field, item);
+                })
+                .map(String)
+                .uniq()
+                .filter(function (value) {
+                    return value !== '' && value.toLowerCase() !== typedValue &&
+                        lodash.startsWith(value.toLowerCase(), typedValue);
+                })
+                .sortBy()
+                .take(MAX_SUGGESTIONS)
+                .map(function (value) {
+                    var quotedValue = /[\s()"]/.test(value) ? '"' + value.replace(/"/g, '') + '"' : value;
+
+                    return {
+                        label: field.name + operatorMatch[2] + value,
+                        query: prefix + field.name + operatorMatch[2] + quotedValue + ' '
+                    };
+                })
+                .value();
+        }
+
+        /**
+         * Tests whether an item matches a parsed query
+         * @param {Object} ast - the parsed query, returned by `parse()`
+         * @param {Object} item - the item to test
+         * @param {Array.<Object>} fields - the fields of the query language
+         * @param {Array.<string>} searchKeys - paths of the item's properties to look up free text in
+         * @returns {boolean} `true` if the item matches the query, `false` otherwise
+         */
+        function matches(ast, item, fields, searchKeys) {
+            switch (ast.type) {
+                case 'and':
+                    return matches(ast.left, item, fields, searchKeys) && matches(ast.right, item, fields, searchKeys);
+                case 'or':
+                    return matches(ast.left, item, fields, searchKeys) || matches(ast.right, item, fields, searchKeys);
+                case 'not':
+                    return !matches(ast.expression, item, fields, searchKeys);
+                case 'field':
+                    return matchesField(ast, item, findField(fields, ast.field));
+                default:
+                    return matchesText(ast, item, searchKeys);
+            }
+        }
+
+        /**
+         * Parses a query
+         * @param {string} query - the query
+         * @param {Array.<Object>} fields - the fields of the query language
+         * @returns {{ast: ?Object, error: ?string}} the parsed query (`null` for an empty query), or a translated
+         *     error message in case the query could not be parsed
+         */
+        function parse(query, fields) {
+            var parser = {
+                query: lodash.defaultTo(query, ''),
+                position: 0,
+                fields: fields
+            };
+
+            try {
+                skipWhitespace(parser);
+
+                if (isEnd(parser)) {
+                    return { ast: null, error: null };
+                }
+
+                var ast = parseOr(parser);
+
+                if (!isEnd(parser)) {
+                    throwParseError(parser, 'UNEXPECTED_CHARACTER', { character: parser.query[parser.position] });
+                }
+
+                return { ast: ast, error: null };
+            } catch (error) {
+                if (lodash.has(error, 'parseError')) {
+                    return { ast: null, error: error.parseError };
+                }
+
+                throw error;
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Finds a field by name (case-insensitive)
+         * @param {Array.<Object>} fields - the fields of the query language
+         * @param {string} name - the name of the field
+         * @returns {Object|undefined} the field, or `undefined` if there is no such field
+         */
+        function findField(fields, name) {
+            return lodash.find(fields, function (field) {
+                return field.name.toLowerCase() === name.toLowerCase();
+            });
+        }
+
+        /**
+         * Gets the values of the field of the item (as an array, even if the item has a single value)
+         * @param {Object} field - the field
+         * @param {Object} item - the item
+         * @returns {Array} the values
+         */
+        function getFieldValues(field, item) {
+            var value = lodash.isFunction(field.getValue) ? field.getValue(item) : lodash.get(item, field.path);
+
+            return lodash.isNil(value) ? [] : lodash.castArray(value);
+        }
+
+        /**
+         * Gets the values of the field of the item that could be suggested as autocomplete
+         * @param {Object} field - the field
+         * @param {Object} item - the item
+         * @returns {Array.<string|number>} the values (`key=value` pairs for map fields)
+         */
+        function getSuggestionValues(field, item) {
+            var values = getFieldValues(field, item);
+
+            return field.type === 'map' ? lodash.flatMap(values, function (map) {
+                return lodash.map(map, function (value, key) {
+                    return key + '=' + value;
+                });
+            }) : lodash.filter(values, function (value) {
+                return lodash.isString(value) || lodash.isNumber(value);
+            });
+        }
+
+        /**
+         * Checks whether the parser reached the end of the query
+         * @param {Object} parser - the parser state
+         * @returns {boolean} `true` if there are no more characters to parse
+         */
+        function isEnd(parser) {
+            return parser.position >= parser.query.length;
+        }
+
+        /**
+         * Checks whether the keyword (as a whole word) is at the current position of the parser
+         * @param {Object} parser - the parser state
+         * @param {string} keyword - e.g. `'AND'`
+         * @returns {boolean} `true` if the keyword is at the current position
+         */
+        function isKeyword(parser, keyword) {
+            var nextCharacter = lodash.defaultTo(parser.query[parser.position + keyword.length], ' ');
+
+            return parser.query.substr(parser.position, keyword.length) === keyword && /[\s()]/.test(nextCharacter);
+        }
+
+        /**
+         * Tests whether a field of the item matches a field term
+         * @param {Object} term - the field term, e.g. `{field: 'replicas', operator: '>', value: '2'}`
+         * @param {Object} item - the item
+         * @param {Object} field - the field
+         * @returns {boolean} `true` if the item matches the term
+         */
+        function matchesField(term, item, field) {
+            var values = getFieldValues(field, item);
+            var isMatch;
+
+            if (field.type === 'number') {
+                isMatch = lodash.some(values, function (value) {
+                    var number = Number(value);
+                    var termNumber = Number(term.value);
+
+                    return lodash.isFinite(number) && {
+                        '>=': number >= termNumber,
+                        '<=': number <= termNumber,
+                        '>': number > termNumber,
+                        '<': number < termNumber,
+                        '!=': number === termNumber,
+                        ':': number === termNumber,
+                        '=': number === termNumber
+                    }[term.operator];
+                });
+            } else if (field.type === 'map') {
+                var separatorIndex = term.value.indexOf('=');
+                var keyPattern = toPattern(separatorIndex === -1 ? term.value : term.value.slice(0, separatorIndex),
+                                           term.quoted);
+                var valuePattern = separatorIndex === -1 ? null :
+                    toPattern(term.value.slice(separatorIndex + 1), term.quoted);
+
+                isMatch = lodash.some(values, function (map) {
+                    return lodash.some(map, function (value, key) {
+                        return keyPattern.test(key) && (lodash.isNull(valuePattern) || valuePattern.test(String(value)));
+                    });
+                });
+            } else {
+                var pattern = toPattern(term.value, term.quoted);
+
+                isMatch = lodash.some(values, function (value) {
+                    return pattern.test(String(value));
+                });
+            }
+
+            // `field!=value` matches the items whose field does not equal the value
+            return term.operator === '!=' ? !isMatch : isMatch;
+        }
+
+        /**
+         * Tests whether free text (or a quoted phrase) is found in the search keys of the item
+         * @param {Object} term - the text term, e.g. `{value: 'echo', quoted: false}`
+         * @param {Object} item - the item
+         * @param {Array.<string>} searchKeys - paths of the item's properties to look up the text in
+         * @returns {boolean} `true` if the text is found
+         */
+        function matchesText(term, item, searchKeys) {
+            var pattern = toPattern(term.value, term.quoted, true);
+
+            return lodash.some(searchKeys, function (searchKey) {
+                return lodash.some(toStrings(lodash.get(item, searchKey)), function (value) {
+                    return pattern.test(value);
+                });
+            });
+        }
+
+        /**
+         * Parses a conjunction: terms separated by `AND` or by whitespace
+         * @param {Object} parser - the parser state
+         * @returns {Object} the parsed expression
+         */
+        function parseAnd(parser) {
+            var expression = parseUnary(parser);
+
+            skipWhitespace(parser);
+            while (!isEnd(parser) && parser.query[parser.position] !== ')' && !isKeyword(parser, 'OR')) {
+                if (isKeyword(parser, 'AND')) {
+                    parser.position += 'AND'.length;
+                }
+
+                expression = {
+                    type: 'and',
+                    left: expression,
+                    right: parseUnary(parser)
+                };
+                skipWhitespace(parser);
+            }
+
+            return expression;
+        }
+
+        /**
+         * Parses a disjunction: conjunctions separated by `OR`
+         * @param {Object} parser - the parser state
+         * @returns {Object} the parsed expression
+         */
+        function parseOr(parser) {
+            var expression = parseAnd(parser);
+
+            while (isKeyword(parser, 'OR')) {
+                parser.position += 'OR'.length;
+                expression = {
+                    type: 'or',
+                    left: expression,
+                    right: parseAnd(parser)
+                };
+            }
+
+            return expression;
+        }
+
+        /**
+         * Parses a parenthesized expression or a single term
+         * @param {Object} parser - the parser state
+         * @returns {Object} the parsed expression
+         */
+        function parsePrimary(parser) {
+            var character = parser.query[parser.position];
+
+            if (isEnd(parser) || lodash.some(KEYWORDS, lodash.partial(isKeyword, parser))) {
+                throwParseError(parser, 'EXPECTED_TERM');
+            }
+
+            if (character === '(') {
+                parser.position++;
+
+                var expression = parseOr(parser);
+
+                skipWhitespace(parser);
+                if (parser.query[parser.position] !== ')') {
+                    throwParseError(parser, 'MISSING_CLOSING_PARENTHESIS');
+                }
+                parser.position++;
+
+                return expression;
+            }
+
+            if (character === ')' || OPERATOR_CHARACTERS.test(character)) {
+                throwParseError(parser, 'UNEXPECTED_CHARACTER', { character: character });
+            }
+
+            return character === '"' ? {
+                type: 'text',
+                value: readQuoted(parser),
+                quoted: true
+            } : parseTerm(parser);
+        }
+
+        /**
+         * Parses a free text term or a field term (`field:value`, `field>number`, etc.)
+         * A term with an operator whose field is unknown (e.g. `python:3.9`) is parsed as free text as a whole
+         * @param {Object} parser - the parser state
+         * @returns {Object} the parsed term
+         */
+        function parseTerm(parser) {
+            var start = parser.position;
+            var word = readWhile(parser, function (character) {
+                return !TERM_DELIMITERS.test(character) && !OPERATOR_CHARACTERS.test(character);
+            });
+            var operator = lodash.find(OPERATORS, function (anOperator) {
+                return parser.query.substr(parser.position, anOperator.length) === anOperator;
+            });
+            var field = lodash.isUndefined(operator) ? undefined : findField(parser.fields, word);
+
+            if (lodash.isUndefined(field)) {
+                parser.position = start;
+
+                return {
+                    type: 'text',
+                    value: readWhile(parser, function (character) {
+                        return !TERM_DELIMITERS.test(character);
+                    }),
+                    quoted: false
+                };
+            }
+
+            parser.position += operator.length;
+
+            var quoted = parser.query[parser.position] === '"';
+            var value = quoted ? readQuoted(parser) : readWhile(parser, function (character) {
+                return !TERM_DELIMITERS.test(character);
+            });
+
+            if (value === '' && !quoted) {
+                throwParseError(parser, 'MISSING_VALUE', { field: field.name });
+            }
+
+            if (field.type === 'number' && !lodash.isFinite(Number(value))) {
+                throwParseError(parser, 'NUMBER_EXPECTED', { field: field.name });
+            }
+
+            if (field.type !== 'number' && lodash.includes(COMPARISON_OPERATORS, operator)) {
+                parser.position = start;
+                throwParseError(parser, 'COMPARISON_NOT_SUPPORTED', { field: field.name, operator: operator });
+            }
+
+            return {
+                type: 'field',
+                field: field.name,
+                operator: operator,
+                value: value,
+                quoted: quoted
+            };
+        }
+
+        /**
+         * Parses a negated expression (`-term`, `NOT term`) or a primary expression
+         * @param {Object} parser - the parser state
+         * @returns {Object} the parsed expression
+         */
+        function parseUnary(parser) {
+            skipWhitespace(parser);
+
+            if (parser.query[parser.position] === '-' || isKeyword(parser, 'NOT')) {
+                parser.position += parser.query[parser.position] === '-' ? 1 : 'NOT'.length;
+                skipWhitespace(parser);
+
+                return {
+                    type: 'not',
+                    expression: parseUnary(parser)
+                };
+            }
+
+            return parsePrimary(parser);
+        }
+
+        /**
+         * Reads a quoted phrase (the parser is positioned on the opening quote)
+         * @param {Object} parser - the parser state
+         * @returns {string} the phrase without the quotes
+         */
+        function readQuoted(parser) {
+            var closingIndex = parser.query.indexOf('"', parser.position + 1);
+
+            if (closingIndex === -1) {
+                throwParseError(parser, 'UNTERMINATED_QUOTE');
+            }
+
+            var phrase = parser.query.slice(parser.position + 1, closingIndex);
+
+            parser.position = closingIndex + 1;
+
+            return phrase;
+        }
+
+        /**
+         * Reads characters while they satisfy the predicate
+         * @param {Object} parser - the parser state
+         * @param {function} predicate - receives a character and returns `true` to read it
+         * @returns {string} the read characters
+         */
+        function readWhile(parser, predicate) {
+            var start = parser.position;
+
+            while (!isEnd(parser) && predicate(parser.query[parser.position])) {
+                parser.position++;
+            }
+
+            return parser.query.slice(start, parser.position);
+        }
+
+        /**
+         * Advances the parser past whitespace
+         * @param {Object} parser - the parser state
+         */
+        function skipWhitespace(parser) {
+            readWhile(parser, function (character) {
+                return /\s/.test(character);
+            });
+        }
+
+        /**
+         * Throws a parse error with a translated message that points to the current position of the parser
+         * @param {Object} parser - the parser state
+         * @param {string} errorKey - the key of the message under `common:ERROR_MSG.SEARCH_QUERY`
+         * @param {Object} [params] - the interpolation params of the message
+         * @throws {{parseError: string}}
+         */
+        function throwParseError(parser, errorKey, params) {
+            var lng = i18next.language;
+            var message = $i18next.t('common:ERROR_MSG.SEARCH_QUERY.' + errorKey, lodash.assign({
+                lng: lng,
+                interpolation: {
+                    escapeValue: false
+                }
+            }, params));
+
+            throw {
+                parseError: $i18next.t('common:ERROR_MSG.SEARCH_QUERY.AT_POSITION', {
+                    lng: lng,
+                    message: message,
+                    position: parser.position + 1,
+                    interpolation: {
+                        escapeValue: false
+                    }
+                })
+            };
+        }
+
+        /**
+         * Converts a value of a term to a case-insensitive RegExp
+         * @param {string} value - the value, `*` stands for any characters unless the value is quoted
+         * @param {boolean} quoted - `true` if the value is a quoted phrase
+         * @param {boolean} [partial=false] - `true` to match the value anywhere in the tested string,
+         *     `false` to match the whole tested string
+         * @returns {RegExp} the pattern
+         */
+        function toPattern(value, quoted, partial) {
+            var source = quoted ? lodash.escapeRegExp(value) :
+                lodash.map(value.split('*'), lodash.escapeRegExp).join('.*');
+
+            return new RegExp(partial ? source : '^' + source + '$', 'i');
+        }
+
+        /**
+         * Collects all the string and number values nested in a value (recursively)
+         * @param {*} value - the value
+         * @returns {Array.<string>} the string values
+         */
+        function toStrings(value) {
+            return angular.isObject(value) ? lodash.flatMap(lodash.values(value), toStrings) :
+                lodash.isString(value) && value.length > 0 || lodash.isNumber(value) ? [String(value)] : [];
+        }
+    }
+}());
@@ -0,0 +1,198 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('SearchQueryService: ', function () {
+    var SearchQueryService;
+    var fields = [
+        { name: 'name', path: 'metadata.name' },
+        { name: 'status', getValue: function (item) { return item.status.state; } },
+        { name: 'runtime', path: 'spec.runtime' },
+        { name: 'label', path: 'metadata.labels', type: 'map' },
+        { name: 'replicas', path: 'spec.replicas', type: 'number' }
+    ];
+    var searchKeys = ['metadata.name', 'spec.description'];
+    var items = [
+        {
+            metadata: { name: 'echo', labels: { team: 'ml', env: 'prod' } },
+            spec: { runtime: 'python:3.9', replicas: 3, description: 'Echoes the event' },
+            status: { state: 'ready' }
+        },
+        {
+            metadata: { name: 'hello-world', labels: { team: 'web' } },
+            spec: { runtime: 'golang', replicas: 1, description: 'Says hello world' },
+            status: { state: 'error' }
+        },
+        {
+            metadata: { name: 'tagger', labels: {} },
+            spec: { runtime: 'python:3.7', replicas: 2, description: 'Tags images' },
+            status: { state: 'error' }
+        }
+    ];
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_SearchQueryService_) {
+            SearchQueryService = _SearchQueryService_;
+        });
+    });
+
+    afterEach(function () {
+        SearchQueryService = null;
+    });
+
+    /**
+     * Gets the names of the items that match the query
+     * @param {string} query - the query
+     * @returns {Array.<string>} the names of the matching items
+     */
+    function search(query) {
+        var parsedQuery = SearchQueryService.parse(query, fields);
+
+        expect(parsedQuery.error).toBeNull();
+
+        return items
+            .filter(function (item) {
+                return SearchQueryService.matches(parsedQuery.ast, item, fields, searchKeys);
+            })
+            .map(function (item) {
+                return item.metadata.name;
+            });
+    }
+
+    describe('parse(): ', function () {
+        it('should return null AST for an empty query', function () {
+            expect(SearchQueryService.parse('  ', fields)).toEqual({ ast: null, error: null });
+        });
+
+        it('should parse AND with higher precedence than OR', function () {
+            expect(SearchQueryService.parse('a OR b c', fields).ast).toEqual({
+                type: 'or',
+                left: { type: 'text', value: 'a', quoted: false },
+                right: {
+                    type: 'and',
+                    left: { type: 'text', value: 'b', quoted: false },
+                    right: { type: 'text', value: 'c', quoted: false }
+                }
+            });
+        });
+
+        it('should parse terms of unknown fields as free text', function () {
+            expect(SearchQueryService.parse('python:3.9', fields)).toEqual({
+                ast: { type: 'text', value: 'python:3.9', quoted: false },
+                error: null
+            });
+            expect(SearchQueryService.parse('team=ml status:error', fields).ast).toEqual({
+                type: 'and',
+                left: { type: 'text', value: 'team=ml', quoted: false },
+                right: { type: 'field', field: 'status', operator: ':', value: 'error', quoted: false }
+            });
+            expect(SearchQueryService.parse('-owner:me', fields).ast).toEqual({
+                type: 'not',
+                expression: { type: 'text', value: 'owner:me', quoted: false }
+            });
+        });
+
+        it('should return an error for invalid queries', function () {
+            var invalidQueries = [
+                'status:',
+                'name:"echo',
+                '(status:error',
+                'status:error)',
+                'replicas>many',
+                'runtime>2',
+                'echo AND',
+                'NOT'
+            ];
+
+            invalidQueries.forEach(function (query) {
+                var parsedQuery = SearchQueryService.parse(query, fields);
+
+                expect(parsedQuery.ast).toBeNull();
+                expect(parsedQuery.error).toEqual(jasmine.any(String));
+            });
+        });
+    });
+
+    describe('matches(): ', function () {
+        it('should look up free text and quoted phrases in search keys', function () {
+            expect(search('ECHO')).toEqual(['echo']);
+            expect(search('"hello world"')).toEqual(['hello-world']);
+            expect(search('hello world')).toEqual(['hello-world']);
+            expect(search('t*er')).toEqual(['tagger']);
+        });
+
+        it('should look up terms of unknown fields as free text', function () {
+            var parsedQuery = SearchQueryService.parse('python:3.9', fields);
+
+            expect(search('python:3.9')).toEqual([]);
+            expect(SearchQueryService.matches(parsedQuery.ast, items[0], fields, ['spec.runtime'])).toBeTruthy();
+            expect(SearchQueryService.matches(parsedQuery.ast, items[2], fields, ['spec.runtime'])).toBeFalsy();
+        });
+
+        it('should match fields with wildcards', function () {
+            expect(search('status:error')).toEqual(['hello-world', 'tagger']);
+            expect(search('runtime:python*')).toEqual(['echo', 'tagger']);
+            expect(search('runtime:python')).toEqual([]);
+            expect(search('status!=error')).toEqual(['echo']);
+        });
+
+        it('should match map fields by key and value', function () {
+            expect(search('label:team=ml')).toEqual(['echo']);
+            expect(search('label:env')).toEqual(['echo']);
+            expect(search('label:team=*')).toEqual(['echo', 'hello-world']);
+        });
+
+        it('should compare number fields', function () {
+            expect(search('replicas>2')).toEqual(['echo']);
+            expect(search('replicas<=2')).toEqual(['hello-world', 'tagger']);
+            expect(search('replicas:1')).toEqual(['hello-world']);
+        });
+
+        it('should support negation, AND, OR and parentheses', function () {
+            expect(search('-status:error')).toEqual(['echo']);
+            expect(search('NOT runtime:python*')).toEqual(['hello-world']);
+            expect(search('status:error AND runtime:python*')).toEqual(['tagger']);
+            expect(search('status:error runtime:golang')).toEqual(['hello-world']);
+            expect(search('runtime:golang OR replicas>2')).toEqual(['echo', 'hello-world']);
+            expect(search('(runtime:golang OR replicas>2) -label:team=ml')).toEqual(['hello-world']);
+        });
+    });
+
+    describe('getSuggestions(): ', function () {
+        it('should suggest field names', function () {
+            expect(SearchQueryService.getSuggestions('status:error r', items, fields)).toEqual([
+                { label: 'runtime:', query: 'status:error runtime:' },
+                { label: 'replicas:', query: 'status:error replicas:' }
+            ]);
+        });
+
+        it('should suggest values of the field from the data set', function () {
+            expect(SearchQueryService.getSuggestions('-runtime:py', items, fields)).toEqual([
+                { label: 'runtime:python:3.7', query: '-runtime:python:3.7 ' },
+                { label: 'runtime:python:3.9', query: '-runtime:python:3.9 ' }
+            ]);
+            expect(SearchQueryService.getSuggestions('label:team', items, fields)).toEqual([
+                { label: 'label:team=ml', query: 'label:team=ml ' },
+                { label: 'label:team=web', query: 'label:team=web ' }
+            ]);
+        });
+
+        it('should not suggest anything for unknown fields', function () {
+            expect(SearchQueryService.getSuggestions('owner:', items, fields)).toEqual([]);
+        });
+    });
+});
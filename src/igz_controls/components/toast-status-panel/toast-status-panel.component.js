@@ -21,6 +21,8 @@ such restriction.
         .component('igzToastStatusPanel', {
             bindings: {
                 onClose: '&?',
+                onRetry: '&?',
+                panelItems: '<?',
                 panelMessages: '<',
                 panelState: '<',
                 permanent: '<?'
@@ -42,8 +44,11 @@ such restriction.
         ctrl.$onChanges = onChanges;
 
         ctrl.closeToastPanel = closeToastPanel;
+        ctrl.getItemIcon = getItemIcon;
         ctrl.getState = getState;
         ctrl.getStateMessage = getStateMessage;
+        ctrl.isRetryShown = isRetryShown;
+        ctrl.retry = retry;
 
         //
         // Hook methods
@@ -88,6 +93,16 @@ such restriction.
             });
         }
 
+        /**
+         * Gets status icon class of the given item
+         * @param {Object} item - an item of `panelItems`
+         * @param {string} item.state - (e.g. "pending", "in-progress", "succeeded", "failed")
+         * @returns {string}
+         */
+        function getItemIcon(item) {
+            return lodash.get(statusIcons, item.state, '');
+        }
+
         /**
          * Gets current state
          * @returns {?string} (e.g. "in-progress", "succeeded", "failed")
@@ -104,5 +119,21 @@ such restriction.
         function getStateMessage(state) {
             return lodash.get(ctrl, ['panelMessages', state]);
         }
+
+        /**
+         * Checks whether the retry button should be shown
+         * @returns {boolean} `true` if `onRetry` is provided, the process is over and some of its items failed
+         */
+        function isRetryShown() {
+            return lodash.isFunction(ctrl.onRetry) && ctrl.panelState !== 'in-progress' &&
+                lodash.some(ctrl.panelItems, ['state', 'failed']);
+        }
+
+        /**
+         * Retries the failed items
+         */
+        function retry() {
+            ctrl.onRetry();
+        }
     }
 }());
@@ -87,4 +87,44 @@ describe('igzToastStatusPanel component:', function () {
             expect($rootScope.$broadcast).toHaveBeenCalledWith('igzWatchWindowResize::resize');
         });
     });
+
+    describe('getItemIcon(): ', function () {
+        it('should return icon class matched to the state of the given item', function () {
+            expect(ctrl.getItemIcon({ state: 'succeeded' })).toEqual('igz-icon-tick-round');
+            expect(ctrl.getItemIcon({ state: 'failed' })).toEqual('igz-icon-block');
+            expect(ctrl.getItemIcon({ state: 'pending' })).toEqual('');
+        });
+    });
+
+    describe('isRetryShown(): ', function () {
+        it('should be shown only when `onRetry` is provided, the process is over and some items failed', function () {
+            ctrl.panelItems = [{ name: 'a', state: 'succeeded' }, { name: 'b', state: 'failed' }];
+            ctrl.panelState = 'failed';
+
+            expect(ctrl.isRetryShown()).toBeFalsy();
+
+            ctrl.onRetry = jasmine.createSpy('onRetry');
+
+            expect(ctrl.isRetryShown()).toBeTruthy();
+
+            ctrl.panelState = 'in-progress';
+
+            expect(ctrl.isRetryShown()).toBeFalsy();
+
+            ctrl.panelState = 'succeeded';
+            ctrl.panelItems[1].state = 'succeeded';
+
+            expect(ctrl.isRetryShown()).toBeFalsy();
+        });
+    });
+
+    describe('retry(): ', function () {
+        it('should call `onRetry` callback', function () {
+            ctrl.onRetry = jasmine.createSpy('onRetry');
+
+            ctrl.retry();
+
+            expect(ctrl.onRetry).toHaveBeenCalled();
+        });
+    });
 });
@@ -92,13 +92,22 @@ such restriction.
      * @param {string} [inputIcon] - A CSS class name to use for displaying an icon inside the box before the input.
      * @param {boolean} [isClearIcon=false] - Set to `true` to display a "Clear" action icon for emptying the input.
      * @param {Array} [validationRules] - A list of validation rules to check against as input changes. The field will
-     *     be invalid if the input does not match any of the rules.
+     *     be invalid if the input does not match any of the rules. The results of the rules are reported to
+     *     `FormValidationService` to be aggregated in the state of `formObject`.
      * @param {string} validationRules[].label - The text to display as the description of the rule. For example:
      *     "Must begin with: A-Z, a-z, 0-9, -".
      * @param {RegExp|function} validationRules[].pattern - The regex pattern to test input against, or a function that
      *     should return `true` in case rule is valid or `false` otherwise. The function will be invoked with the
      *     current input value, the input field name and the `ngForm` (if provided to `formObject` attribute).
      * @param {string} [validationRules[].name] - A unique name for the rule among the list.
+     * @param {boolean} [validationRules[].async=false] - Set to `true` in case `pattern` is a function that returns a
+     *     promise resolved with `true` or `false` (@see {@link ValidationService.createAsyncRule}). Asynchronous rules
+     *     are checked only when all the synchronous ones pass, and are marked as pending meanwhile.
+     * @param {boolean} [validationRules[].isWarning=false] - Set to `true` in case a failure of the rule should only
+     *     be displayed as a warning, without invalidating the field.
+     * @param {Array.<string>} [validationRules[].dependsOn] - Names of other fields of `formObject` the rule depends
+     *     on. The field is re-validated whenever one of them changes
+     *     (@see {@link ValidationService.createCrossFieldRule}).
      */
     angular.module('iguazio.dashboard-controls')
         .component('igzValidatingInputField', {
@@ -138,8 +147,8 @@ such restriction.
             controller: IgzValidatingInputFieldController
         });
 
-    function IgzValidatingInputFieldController($document, $element, $scope, $timeout, $window, lodash,
-                                               EventHelperService) {
+    function IgzValidatingInputFieldController($document, $element, $q, $scope, $timeout, $window, lodash,
+                                               EventHelperService, FormValidationService) {
         var ctrl = this;
 
         var BORDER_MODES = {
@@ -166,6 +175,7 @@ such restriction.
         var fieldElement = {};
         var lastValidValue = '';
         var ngModel = null;
+        var unwatchRuleDependencies = angular.noop;
 
         ctrl.bordersModeClass = '';
         ctrl.data = '';
@@ -254,13 +264,23 @@ such restriction.
 
                 ngModel.$validators.validationRules = function (modelValue) {
                     if (!ctrl.validationIsRequired && ctrl.data === '') {
-                        resetPatternsValidity();
+                        FormValidationService.resetFieldRules(ctrl.formObject, ctrl.inputName, ctrl.validationRules);
                         return true;
                     } else {
-                        return checkPatternsValidity(modelValue);
+                        return FormValidationService.checkFieldRules(ctrl.formObject, ctrl.inputName,
+                                                                     ctrl.validationRules, modelValue);
                     }
                 };
 
+                // invoked by `ngModel` only in case all the synchronous validators pass
+                ngModel.$asyncValidators.asyncValidationRules = function (modelValue) {
+                    return !ctrl.validationIsRequired && ctrl.data === '' ? $q.when() :
+                        FormValidationService.checkFieldAsyncRules(ctrl.formObject, ctrl.inputName,
+                                                                   ctrl.validationRules, modelValue);
+                };
+
+                watchRuleDependencies();
+
                 // validate on init in case the input field starts with an invalid value
                 // important for cases when for example you have an invalid field due to failed rule and then switch to
                 // another tab and back to the failed field, it might be re-initialized, but we want it to be displayed
@@ -304,8 +324,12 @@ such restriction.
             if (angular.isDefined(changes.validationRules)) {
                 ctrl.validationRules = angular.copy(lodash.defaultTo(changes.validationRules.currentValue, []));
 
-                if (ctrl.data !== '' && !changes.validationRules.isFirstChange()) {
-                    ngModel.$validate();
+                if (!changes.validationRules.isFirstChange() && ngModel !== null) {
+                    watchRuleDependencies();
+
+                    if (ctrl.data !== '') {
+                        ngModel.$validate();
+                    }
                 }
             }
         }
@@ -316,6 +340,8 @@ such restriction.
         function onDestroy() {
             angular.element($window).off('animationend');
             $document.off('click', handleDocumentClick);
+            unwatchRuleDependencies();
+            FormValidationService.setFieldRuleResults(ctrl.formObject, ctrl.inputName, []);
         }
 
         //
@@ -351,7 +377,7 @@ such restriction.
          * @returns {boolean} `true` in case there is at least one failed validation rule, or `false` otherwise.
          */
         function hasInvalidRule() {
-            return lodash.some(ctrl.validationRules, ['isValid', false]);
+            return FormValidationService.hasFailedRule(ctrl.validationRules);
         }
 
         /**
@@ -486,19 +512,6 @@ such restriction.
         // Private methods
         //
 
-        /**
-         * Checks and sets validity based on `ctrl.validationRules`
-         * @param {string} value - current input value
-         */
-        function checkPatternsValidity(value) {
-            lodash.forEach(ctrl.validationRules, function (rule) {
-                rule.isValid = lodash.isFunction(rule.pattern) ? rule.pattern(value, ctrl.inputName, ctrl.formObject) :
-                               /* else, it is a RegExp */        rule.pattern.test(value);
-            });
-
-            return !hasInvalidRule();
-        }
-
         /**
          * Handles click on validation icon and show/hide validation pop-up.
          * @param {Event} event - The `click` event.
@@ -513,15 +526,6 @@ such restriction.
             }
         }
 
-        /**
-         * Sets all validation rules to be valid
-         */
-        function resetPatternsValidity() {
-            lodash.forEach(ctrl.validationRules, function (rule) {
-                rule.isValid = true;
-            });
-        }
-
         /**
          * Sets or reverts outer model value
          */
@@ -537,5 +541,18 @@ such restriction.
                 });
             }
         }
+
+        /**
+         * Watches the fields the validation rules depend on (listed in their `dependsOn` property) in order to
+         * re-validate this field whenever one of them changes
+         */
+        function watchRuleDependencies() {
+            var rules = ctrl.validationRules;
+
+            unwatchRuleDependencies();
+            unwatchRuleDependencies = FormValidationService.watchRuleDependencies($scope, ctrl.formObject, rules, function () {
+                ngModel.$validate();
+            });
+        }
     }
 }());
@@ -67,6 +67,7 @@ describe('igzValidatingInputField component:', function () {
                 focus: angular.noop,
                 controller: function () {
                     return {
+                        $asyncValidators: {},
                         $commitViewValue: angular.noop,
                         $invalid: false,
                         $validate: angular.noop,
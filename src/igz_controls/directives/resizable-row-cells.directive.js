@@ -37,6 +37,11 @@ such restriction.
                 scope.$on('autofit-col', autoFitColumn);
                 scope.$on('$destroy', onDestroy);
 
+                // apply current widths of the resized columns at once (for rows rendered after the columns resizing)
+                lodash.forEach(CommonTableService.cellsWidths, function (data) {
+                    resizeCells(null, data);
+                });
+
                 $timeout.cancel(CommonTableService.rowInitTimer);
 
                 CommonTableService.rowInitTimer = $timeout(function () {
@@ -20,7 +20,7 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .directive('igzResizableTableColumn', igzResizableTableColumn);
 
-    function igzResizableTableColumn($document, $rootScope, $timeout, $window, lodash) {
+    function igzResizableTableColumn($document, $rootScope, $timeout, $window, lodash, CommonTableService) {
         return {
             restrict: 'A',
             replace: true,
@@ -69,6 +69,8 @@ such restriction.
              * Destructor method
              */
             function onDestroy() {
+                delete CommonTableService.cellsWidths[ctrl.colClass];
+
                 $timeout(function () {
                     angular.element($window).off('resize', reloadColumns);
                     ctrl.parentElement
@@ -136,6 +138,21 @@ such restriction.
             // Private methods
             //
 
+            /**
+             * Broadcasts the widths of the column and of the next one to the table rows, and keeps them for the rows
+             * that will be rendered later (e.g. when scrolling a virtual-scrolling list)
+             */
+            function broadcastCellsWidths() {
+                var data = {
+                    colClass: ctrl.colClass,
+                    columnWidth: ctrl.columnHeadWidth + 'px',
+                    nextColumnWidth: ctrl.nextBlockWidth + 'px'
+                };
+
+                CommonTableService.cellsWidths[ctrl.colClass] = data;
+                $rootScope.$broadcast('resize-cells', data);
+            }
+
             /**
              * Initialises columns and their min width
              */
@@ -254,11 +271,7 @@ such restriction.
                     $timeout(function () {
                         resetColumnsWidths();
 
-                        $rootScope.$broadcast('resize-cells', {
-                            colClass: ctrl.colClass,
-                            columnWidth: ctrl.columnHeadWidth + 'px',
-                            nextColumnWidth: ctrl.nextBlockWidth + 'px'
-                        });
+                        broadcastCellsWidths();
                     });
                 }
             }
@@ -316,11 +329,7 @@ such restriction.
                         setElementWidth(ctrl.columnHead, ctrl.columnHeadWidth);
                         setElementWidth(ctrl.nextBlock, ctrl.nextBlockWidth);
 
-                        $rootScope.$broadcast('resize-cells', {
-                            colClass: ctrl.colClass,
-                            columnWidth: ctrl.columnHeadWidth + 'px',
-                            nextColumnWidth: ctrl.nextBlockWidth + 'px'
-                        });
+                        broadcastCellsWidths();
                         $rootScope.$broadcast('resize-size-cells');
                     }
                 }
@@ -0,0 +1,284 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+/**
+ * Directive renders only the items of a long list that are visible in the scrollable container (plus a buffer of
+ * items above and below it), and replaces the rest of the items with top and bottom paddings of the element.
+ * Works with `ng-scrollbars` containers (the `whileScrolling` callback of the container should broadcast
+ * `scrollable-container_on-scrolling` event) and with natively scrollable containers.
+ * The items could have different heights (e.g. expanded collapsing rows): the rendered items are measured whenever
+ * the list is scrolled or the window is resized and their heights are cached, the rest of the items are estimated to
+ * be as high as `virtual-scroll-row-height`.
+ * The elements of the items are destroyed when scrolled out of view, so any state of an item that should survive it
+ * (e.g. checked or expanded) should be kept in the item itself. Components in the items could require the controller
+ * of this directive and use its `hasItem(item)` method to tell whether they are destroyed because of that, or because
+ * the item was removed from the list.
+ * The element should contain nothing but the `ng-repeat` of `$virtualScroll.items`, and every repeated element
+ * should be marked by `igz-virtual-scroll-item` directive, for example:
+ * <div data-igz-virtual-scroll="$ctrl.functions"
+ *      data-virtual-scroll-track-by="metadata.name"
+ *      data-virtual-scroll-row-height="56">
+ *     <div data-ng-repeat="aFunction in $virtualScroll.items track by aFunction.metadata.name"
+ *          data-igz-virtual-scroll-item="aFunction">...</div>
+ * </div>
+ * @param igzVirtualScroll (expression) the list of all items
+ * @param virtualScrollTrackBy (string) path of the unique id of an item, used to cache the heights of the items
+ *     (when omitted the heights are cached by index)
+ * @param virtualScrollRowHeight (number) estimated height of an item that was not rendered yet (default 50)
+ * @param virtualScrollBuffer (number) count of items to render above and below the visible ones (default 5)
+ */
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .directive('igzVirtualScroll', igzVirtualScroll)
+        .directive('igzVirtualScrollItem', igzVirtualScrollItem);
+
+    function igzVirtualScroll($window, lodash) {
+        return {
+            restrict: 'A',
+            scope: true,
+            controller: IgzVirtualScrollController,
+            link: link
+        };
+
+        /**
+         * Keeps the rendered items, registered by `igz-virtual-scroll-item` directive
+         */
+        function IgzVirtualScrollController() {
+            this.renderedItems = [];
+        }
+
+        function link(scope, element, attrs, ctrl) {
+            var allItems = [];
+            var buffer = lodash.defaultTo(Number(attrs.virtualScrollBuffer) || null, 5);
+            var heights = {};
+            var rowHeight = Number(attrs.virtualScrollRowHeight) || 50;
+            var scrollContainer = null;
+
+            scope.$virtualScroll = {
+                items: [],
+                start: 0,
+                end: 0
+            };
+
+            activate();
+
+            //
+            // Private methods
+            //
+
+            /**
+             * Constructor method
+             */
+            function activate() {
+                scrollContainer = getScrollContainer();
+                ctrl.hasItem = hasItem;
+
+                scope.$watchCollection(attrs.igzVirtualScroll, onItemsChanged);
+                scope.$on('scrollable-container_on-scrolling', onScroll);
+                scope.$on('$destroy', onDestroy);
+
+                angular.element($window).on('resize', onScroll);
+                if (!scrollContainer.is('.mCustomScrollBox')) {
+                    scrollContainer.on('scroll', onScroll);
+                }
+            }
+
+            /**
+             * Destructor method
+             */
+            function onDestroy() {
+                angular.element($window).off('resize', onScroll);
+                scrollContainer.off('scroll', onScroll);
+            }
+
+            /**
+             * Gets the cached height of an item, or the estimated height if the item was not rendered yet
+             * @param {number} index - index of the item in the list of all items
+             * @returns {number} the height in pixels
+             */
+            function getHeight(index) {
+                return lodash.defaultTo(heights[getItemId(allItems[index], index)], rowHeight);
+            }
+
+            /**
+             * Gets the unique id of an item
+             * @param {*} item - the item
+             * @param {number} [index] - index of the item in the list of all items (looked up when omitted)
+             * @returns {string|number} the value at `virtual-scroll-track-by` path of the item, or the index of the
+             *     item in the list of all items
+             */
+            function getItemId(item, index) {
+                return !lodash.isEmpty(attrs.virtualScrollTrackBy) ? lodash.get(item, attrs.virtualScrollTrackBy) :
+                    angular.isDefined(index) ? index : lodash.indexOf(allItems, item);
+            }
+
+            /**
+             * Checks whether the item is in the list of all items (rendered or not)
+             * @param {*} item - the item
+             * @returns {boolean} `true` if the item is in the list
+             */
+            function hasItem(item) {
+                return lodash.includes(allItems, item);
+            }
+
+            /**
+             * Finds the element the list is scrolled in: the box of `ng-scrollbars` container, or the closest
+             * natively scrollable ancestor
+             * @returns {Object} jqLite/jQuery element
+             */
+            function getScrollContainer() {
+                var scrollBox = element.closest('.mCustomScrollBox');
+                var parent = element.parent();
+
+                if (scrollBox.length > 0) {
+                    return scrollBox;
+                }
+
+                while (parent.length > 0 && parent[0] !== $window.document.body) {
+                    if (/auto|scroll/.test($window.getComputedStyle(parent[0]).overflowY)) {
+                        return parent;
+                    }
+
+                    parent = parent.parent();
+                }
+
+                return angular.element($window);
+            }
+
+            /**
+             * Gets the part of the list that is visible in the scrollable container
+             * @returns {{top: number, bottom: number}} the offsets of the visible part from the top of the list
+             */
+            function getVisibleArea() {
+                var elementTop = element[0].getBoundingClientRect().top;
+                var containerRect = scrollContainer[0] === $window ? { top: 0, height: $window.innerHeight } :
+                    scrollContainer[0].getBoundingClientRect();
+
+                // container that was not laid out yet is considered to be as high as the window
+                var containerHeight = containerRect.height > 0 ? containerRect.height : $window.innerHeight;
+
+                return {
+                    top: containerRect.top - elementTop,
+                    bottom: containerRect.top - elementTop + containerHeight
+                };
+            }
+
+            /**
+             * Measures the rendered items and caches their heights
+             */
+            function measureRenderedItems() {
+                lodash.forEach(ctrl.renderedItems, function (renderedItem) {
+                    heights[getItemId(renderedItem.getItem())] = renderedItem.element[0].offsetHeight;
+                });
+            }
+
+            /**
+             * Updates the rendered items when the list is changed
+             * @param {Array} newItems - the new list of all items
+             */
+            function onItemsChanged(newItems) {
+                allItems = lodash.defaultTo(newItems, []);
+
+                updateRange();
+            }
+
+            /**
+             * Measures the rendered items and updates them when the list is scrolled or the window is resized
+             */
+            function onScroll() {
+                scope.$applyAsync(function () {
+                    measureRenderedItems();
+                    updateRange();
+                });
+            }
+
+            /**
+             * Calculates which items are visible, renders them (plus the buffer), and sets the paddings that
+             * replace the rest of the items
+             */
+            function updateRange() {
+                var visibleArea = getVisibleArea();
+                var start = allItems.length;
+                var end = allItems.length;
+                var offset = 0;
+                var paddingTop = 0;
+
+                lodash.forEach(allItems, function (item, index) {
+                    var height = getHeight(index);
+
+                    if (start === allItems.length && offset + height > visibleArea.top) {
+                        start = index;
+                    }
+
+                    if (offset >= visibleArea.bottom) {
+                        end = index;
+
+                        return false;
+                    }
+
+                    offset += height;
+                });
+
+                start = Math.max(start - buffer, 0);
+                end = Math.min(end + buffer, allItems.length);
+
+                for (var i = 0; i < start; i++) {
+                    paddingTop += getHeight(i);
+                }
+
+                element.css({
+                    'padding-top': paddingTop + 'px',
+                    'padding-bottom': lodash.sum(lodash.map(lodash.range(end, allItems.length), getHeight)) + 'px'
+                });
+
+                if (start !== scope.$virtualScroll.start || end !== scope.$virtualScroll.end ||
+                    scope.$virtualScroll.items.length !== end - start ||
+                    lodash.some(scope.$virtualScroll.items, function (item, index) {
+                        return item !== allItems[start + index];
+                    })) {
+                    scope.$virtualScroll.start = start;
+                    scope.$virtualScroll.end = end;
+                    scope.$virtualScroll.items = allItems.slice(start, end);
+                }
+            }
+        }
+    }
+
+    function igzVirtualScrollItem() {
+        return {
+            restrict: 'A',
+            require: '^igzVirtualScroll',
+            link: link
+        };
+
+        function link(scope, element, attrs, virtualScrollCtrl) {
+            var renderedItem = {
+                element: element,
+                getItem: function () {
+                    return scope.$eval(attrs.igzVirtualScrollItem);
+                }
+            };
+
+            virtualScrollCtrl.renderedItems.push(renderedItem);
+
+            scope.$on('$destroy', function () {
+                virtualScrollCtrl.renderedItems.splice(virtualScrollCtrl.renderedItems.indexOf(renderedItem), 1);
+            });
+        }
+    }
+}());
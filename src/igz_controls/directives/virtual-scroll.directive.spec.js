@@ -0,0 +1,166 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('igzVirtualScroll directive:', function () {
+    var $compile;
+    var $rootScope;
+    var container;
+    var element;
+    var items;
+    var lodash;
+    var scope;
+    var scrollTop;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$compile_, _$rootScope_, _lodash_) {
+            $compile = _$compile_;
+            $rootScope = _$rootScope_;
+            lodash = _lodash_;
+        });
+
+        items = lodash.map(lodash.range(100), function (index) {
+            return { id: 'item' + index, height: 50 };
+        });
+        scrollTop = 0;
+        scope = $rootScope.$new();
+        scope.items = items;
+
+        // the rendered items are as high as their `height` property
+        spyOnProperty(HTMLElement.prototype, 'offsetHeight').and.callFake(function () {
+            var item = angular.element(this).scope().item;
+
+            return angular.isDefined(item) ? item.height : 0;
+        });
+
+        container = angular.element('<div style="overflow-y: auto"></div>');
+        angular.element(document.body).append(container);
+        element = angular.element(
+            '<div data-igz-virtual-scroll="items" data-virtual-scroll-track-by="id" ' +
+            'data-virtual-scroll-row-height="50" data-virtual-scroll-buffer="2">' +
+            '<div data-ng-repeat="item in $virtualScroll.items track by item.id" ' +
+            'data-igz-virtual-scroll-item="item">{{item.id}}</div>' +
+            '</div>'
+        );
+        container.append(element);
+
+        spyOn(container[0], 'getBoundingClientRect').and.returnValue({ top: 0, height: 200 });
+        spyOn(element[0], 'getBoundingClientRect').and.callFake(function () {
+            return { top: -scrollTop };
+        });
+
+        $compile(element)(scope);
+        scope.$digest();
+    });
+
+    afterEach(function () {
+        container.remove();
+        scope.$destroy();
+
+        $compile = null;
+        $rootScope = null;
+        container = null;
+        element = null;
+        items = null;
+        lodash = null;
+        scope = null;
+        scrollTop = null;
+    });
+
+    /**
+     * Scrolls the container and waits for the rendered items to be updated
+     * @param {number} top - the scroll position
+     */
+    function scrollTo(top) {
+        scrollTop = top;
+        container.triggerHandler('scroll');
+        $rootScope.$digest();
+    }
+
+    /**
+     * Gets the ids of the rendered items
+     * @returns {Array.<string>}
+     */
+    function getRenderedIds() {
+        return lodash.map(element.children(), function (child) {
+            return angular.element(child).text();
+        });
+    }
+
+    describe('rendering: ', function () {
+        it('should render only the visible items and the buffer, and replace the rest with paddings', function () {
+            expect(getRenderedIds()).toEqual(['item0', 'item1', 'item2', 'item3', 'item4', 'item5']);
+            expect(element.css('padding-top')).toEqual('0px');
+            expect(element.css('padding-bottom')).toEqual(94 * 50 + 'px');
+        });
+
+        it('should render the items that are scrolled into view', function () {
+            scrollTo(1000);
+
+            expect(getRenderedIds()).toEqual(lodash.map(lodash.range(18, 26), function (index) {
+                return 'item' + index;
+            }));
+            expect(element.css('padding-top')).toEqual(18 * 50 + 'px');
+            expect(element.css('padding-bottom')).toEqual(74 * 50 + 'px');
+        });
+
+        it('should render the items of the changed list', function () {
+            scope.items = items.slice(3);
+            scope.$digest();
+
+            expect(getRenderedIds()[0]).toEqual('item3');
+        });
+    });
+
+    describe('measuring: ', function () {
+        it('should use the heights of the rendered items measured on scroll', function () {
+            lodash.forEach(items.slice(0, 6), function (item) {
+                item.height = 100;
+            });
+
+            scrollTo(1200);
+
+            // items 0-5 are 100px high, so the item at 1200px is item18 (instead of item24)
+            expect(getRenderedIds()[0]).toEqual('item16');
+            expect(element.css('padding-top')).toEqual(6 * 100 + 10 * 50 + 'px');
+        });
+
+        it('should not measure the rendered items on every digest cycle', function () {
+            var offsetHeightSpy = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight').get;
+            offsetHeightSpy.calls.reset();
+
+            scope.$digest();
+            $rootScope.$digest();
+
+            expect(offsetHeightSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('hasItem(): ', function () {
+        it('should tell whether the item is in the list even if it is not rendered', function () {
+            var virtualScrollCtrl = element.controller('igzVirtualScroll');
+
+            expect(virtualScrollCtrl.hasItem(items[50])).toBeTruthy();
+
+            scope.items = items.slice(0, 10);
+            scope.$digest();
+
+            expect(virtualScrollCtrl.hasItem(items[50])).toBeFalsy();
+            expect(virtualScrollCtrl.hasItem(items[0])).toBeTruthy();
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('BulkActionService', BulkActionService);
+
+    function BulkActionService($q, lodash) {
+        var DEFAULT_CONCURRENCY = 3;
+
+        return {
+            DEFAULT_CONCURRENCY: DEFAULT_CONCURRENCY,
+            retryFailedItems: retryFailedItems,
+            runAction: runAction
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Runs the action of the bulk operation again for its failed items only
+         * @param {Object} operation - the bulk operation returned by `runAction`
+         * @returns {Promise} resolved with the operation once all the failed items are processed
+         */
+        function retryFailedItems(operation) {
+            var failedItems = lodash.filter(operation.items, ['state', 'failed']);
+
+            operation.promise = runItems(operation, failedItems);
+
+            return operation.promise;
+        }
+
+        /**
+         * Runs the given action for each of the given items, while not more than `concurrency` actions are
+         * running at the same time. Failure of an item does not stop the processing of the rest of the items.
+         * @param {Array} items - the items to run the action for
+         * @param {function} action - receives an item and returns a promise (or a value) of the action's result
+         * @param {Object} [options]
+         * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - max number of actions running at a time
+         * @param {function} [options.getItemName] - receives an item and returns its display name
+         * @returns {Object} the bulk operation:
+         *     `state` - the state of the whole operation ("in-progress", "succeeded" or "failed"),
+         *     `items` - the progress of each item (`name`, `state` - "pending", "in-progress", "succeeded" or
+         *               "failed", `error` - the error message of a failed item, `item` - the item itself),
+         *     `promise` - resolved with the operation once all the items are processed
+         */
+        function runAction(items, action, options) {
+            var getItemName = lodash.get(options, 'getItemName', lodash.toString);
+            var operation = {
+                action: action,
+                concurrency: lodash.get(options, 'concurrency', DEFAULT_CONCURRENCY),
+                items: lodash.map(items, function (item) {
+                    return {
+                        error: '',
+                        item: item,
+                        name: getItemName(item),
+                        state: 'pending'
+                    };
+                })
+            };
+
+            operation.promise = runItems(operation, operation.items);
+
+            return operation;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Extracts a message out of an error of a failed action
+         * @param {*} error - the rejection reason of the action
+         * @returns {string} the error message
+         */
+        function getErrorMessage(error) {
+            return lodash.isString(error) ? error : lodash.get(error, 'data.error', lodash.get(error, 'message', ''));
+        }
+
+        /**
+         * Runs the action of the bulk operation for the given items of the operation
+         * @param {Object} operation - the bulk operation
+         * @param {Array.<Object>} progressItems - the items of the operation to run the action for
+         * @returns {Promise} resolved with the operation once all the given items are processed
+         */
+        function runItems(operation, progressItems) {
+            var queue = lodash.clone(progressItems);
+
+            lodash.forEach(progressItems, function (progressItem) {
+                progressItem.state = 'pending';
+                progressItem.error = '';
+            });
+
+            operation.state = 'in-progress';
+
+            return $q.all(lodash.times(Math.min(operation.concurrency, queue.length), runNextItem))
+                .then(function () {
+                    operation.state = lodash.some(operation.items, ['state', 'failed']) ? 'failed' : 'succeeded';
+
+                    return operation;
+                });
+
+            /**
+             * Runs the action for the next item in the queue, and continues to the following one when it is done
+             * @returns {Promise} resolved once the queue is empty
+             */
+            function runNextItem() {
+                var progressItem = queue.shift();
+
+                if (angular.isUndefined(progressItem)) {
+                    return $q.when();
+                }
+
+                progressItem.state = 'in-progress';
+
+                // wrapping the call in a promise chain so a synchronously thrown error fails only this item
+                return $q.when()
+                    .then(function () {
+                        return operation.action(progressItem.item);
+                    })
+                    .then(function () {
+                        progressItem.state = 'succeeded';
+                    })
+                    .catch(function (error) {
+                        progressItem.state = 'failed';
+                        progressItem.error = getErrorMessage(error);
+                    })
+                    .then(runNextItem);
+            }
+        }
+    }
+}());
@@ -0,0 +1,138 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('BulkActionService: ', function () {
+    var $q;
+    var $rootScope;
+    var BulkActionService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _BulkActionService_, _lodash_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            BulkActionService = _BulkActionService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        $q = null;
+        $rootScope = null;
+        BulkActionService = null;
+        lodash = null;
+    });
+
+    describe('runAction(): ', function () {
+        it('should run the action for all the items with bounded concurrency', function () {
+            var deferreds = {};
+            var action = jasmine.createSpy('action').and.callFake(function (item) {
+                deferreds[item] = $q.defer();
+                return deferreds[item].promise;
+            });
+
+            var operation = BulkActionService.runAction(['a', 'b', 'c', 'd'], action, { concurrency: 2 });
+            $rootScope.$digest();
+
+            expect(operation.state).toEqual('in-progress');
+            expect(action.calls.allArgs()).toEqual([['a'], ['b']]);
+            expect(lodash.map(operation.items, 'state')).toEqual(['in-progress', 'in-progress', 'pending', 'pending']);
+
+            deferreds.a.resolve();
+            $rootScope.$digest();
+
+            expect(action.calls.allArgs()).toEqual([['a'], ['b'], ['c']]);
+
+            deferreds.b.resolve();
+            deferreds.c.resolve();
+            $rootScope.$digest();
+            deferreds.d.resolve();
+            $rootScope.$digest();
+
+            expect(operation.state).toEqual('succeeded');
+            expect(lodash.map(operation.items, 'state')).toEqual(['succeeded', 'succeeded', 'succeeded', 'succeeded']);
+        });
+
+        it('should keep processing the items after a failure and collect the errors', function () {
+            var action = function (item) {
+                if (item.name === 'b') {
+                    throw new Error('sync error');
+                }
+
+                return item.name === 'c' ? $q.reject({ data: { error: 'server error' } }) : $q.when();
+            };
+            var getItemName = function (item) {
+                return item.name;
+            };
+
+            var operation = BulkActionService.runAction([{ name: 'a' }, { name: 'b' }, { name: 'c' }], action, {
+                getItemName: getItemName
+            });
+            var resolvedOperation = null;
+            operation.promise.then(function (result) {
+                resolvedOperation = result;
+            });
+            $rootScope.$digest();
+
+            expect(resolvedOperation).toBe(operation);
+            expect(operation.state).toEqual('failed');
+            expect(operation.items).toEqual([
+                { error: '', item: { name: 'a' }, name: 'a', state: 'succeeded' },
+                { error: 'sync error', item: { name: 'b' }, name: 'b', state: 'failed' },
+                { error: 'server error', item: { name: 'c' }, name: 'c', state: 'failed' }
+            ]);
+        });
+
+        it('should succeed right away for an empty list of items', function () {
+            var action = jasmine.createSpy('action');
+
+            var operation = BulkActionService.runAction([], action);
+            $rootScope.$digest();
+
+            expect(action).not.toHaveBeenCalled();
+            expect(operation.state).toEqual('succeeded');
+        });
+    });
+
+    describe('retryFailedItems(): ', function () {
+        it('should run the action again for the failed items only', function () {
+            var shouldFail = true;
+            var action = jasmine.createSpy('action').and.callFake(function (item) {
+                return item === 'b' && shouldFail ? $q.reject('error') : $q.when();
+            });
+
+            var operation = BulkActionService.runAction(['a', 'b'], action);
+            $rootScope.$digest();
+
+            expect(operation.state).toEqual('failed');
+
+            shouldFail = false;
+            action.calls.reset();
+            BulkActionService.retryFailedItems(operation);
+
+            expect(operation.state).toEqual('in-progress');
+            expect(operation.items[1].error).toEqual('');
+
+            $rootScope.$digest();
+
+            expect(action.calls.allArgs()).toEqual([['b']]);
+            expect(operation.state).toEqual('succeeded');
+            expect(lodash.map(operation.items, 'state')).toEqual(['succeeded', 'succeeded']);
+        });
+    });
+});
@@ -24,6 +24,7 @@ such restriction.
         return {
             getColumnSortingClasses: getColumnSortingClasses,
 
+            cellsWidths: {},
             rowInitTimer: null
         };
 
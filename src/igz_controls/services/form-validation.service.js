@@ -21,20 +21,175 @@ such restriction.
         .factory('FormValidationService', FormValidationService);
 
     // Service with helpers methods for form validation needs
-    function FormValidationService(lodash) {
+    function FormValidationService($q, $rootScope, lodash, ValidationService) {
+
+        // rule results reported for each form (`ngForm`), both per field and cross-field
+        var formStates = new WeakMap();
+
         return {
+            checkFieldAsyncRules: checkFieldAsyncRules,
+            checkFieldRules: checkFieldRules,
+            createRequestLimitRule: createRequestLimitRule,
+            getFormErrors: getFormErrors,
+            hasFailedRule: hasFailedRule,
+            isFormPending: isFormPending,
             isShowFormInvalidState: isShowFormInvalidState,
             isShowFieldInvalidState: isShowFieldInvalidState,
             isShowFieldError: isShowFieldError,
             isFormValid: isFormValid,
             isFieldValid: isFieldValid,
-            validateAllFields: validateAllFields
+            resetFieldRules: resetFieldRules,
+            setFieldRuleResults: setFieldRuleResults,
+            validateAllFields: validateAllFields,
+            validateCrossFieldRules: validateCrossFieldRules,
+            validateForm: validateForm,
+            watchRuleDependencies: watchRuleDependencies
         };
 
         //
         // Public methods
         //
 
+        /**
+         * Checks a value against the asynchronous rules of a field (@see {@link ValidationService.createAsyncRule}),
+         * sets their `isValid` and `isPending` properties and reports the results to the form's state.
+         * Meant to be used as an asynchronous validator of `ngModel`, after all the synchronous rules pass.
+         * @param {Object} form - The form controller (`ngForm`) which owns the field.
+         * @param {string} fieldName - The name of the field.
+         * @param {Array.<Object>} rules - The validation rules of the field.
+         * @param {string} value - The value to check.
+         * @returns {Promise} a promise resolved in case no rule failed, or rejected otherwise.
+         */
+        function checkFieldAsyncRules(form, fieldName, rules, value) {
+            var asyncRules = lodash.filter(rules, 'async');
+
+            return lodash.isEmpty(asyncRules) ? $q.when() : $q.all(lodash.map(asyncRules, function (rule) {
+                return $q.when(rule.pattern(value, fieldName, form))
+                    .then(function (isValid) {
+                        lodash.assign(rule, { isValid: isValid, isPending: false });
+                    })
+                    .catch(function (reason) {
+
+                        // a cancelled check was superseded by a newer one that will update the rule when done
+                        if (reason !== ValidationService.CANCELLED) {
+                            lodash.assign(rule, { isValid: false, isPending: false });
+                        }
+                    });
+            })).then(function () {
+                setFieldRuleResults(form, fieldName, rules);
+
+                return hasFailedRule(rules) ? $q.reject() : $q.when();
+            });
+        }
+
+        /**
+         * Checks a value against the synchronous rules of a field, sets their `isValid` property and reports the
+         * results to the form's state. Asynchronous rules are marked as pending in case all synchronous rules pass (so
+         * they will be checked next by @see {@link checkFieldAsyncRules}), or as valid otherwise.
+         * @param {Object} form - The form controller (`ngForm`) which owns the field.
+         * @param {string} fieldName - The name of the field.
+         * @param {Array.<Object>} rules - The validation rules of the field.
+         * @param {string} value - The value to check.
+         * @returns {boolean} `true` in case no synchronous rule failed, or `false` otherwise.
+         */
+        function checkFieldRules(form, fieldName, rules, value) {
+            var rulesByType = lodash.partition(rules, 'async');
+
+            lodash.forEach(rulesByType[1], function (rule) {
+                rule.isValid = lodash.isFunction(rule.pattern) ? rule.pattern(value, fieldName, form) :
+                               /* else, it is a RegExp */        rule.pattern.test(value);
+            });
+
+            var isValid = !hasFailedRule(rules);
+
+            lodash.forEach(rulesByType[0], function (rule) {
+                lodash.assign(rule, { isValid: isValid ? rule.isValid : true, isPending: isValid });
+            });
+            setFieldRuleResults(form, fieldName, rules);
+
+            return isValid;
+        }
+
+        /**
+         * Creates a cross-field rule (@see {@link validateCrossFieldRules}) checking that a request does not exceed
+         * its limit, like the CPU or memory resources of a function. A rule with a missing value is valid.
+         * @param {Object} options - The rule options.
+         * @param {string} options.name - A unique name for the rule.
+         * @param {string} options.label - The text to display when the rule fails.
+         * @param {string} options.requestField - The name of the request field.
+         * @param {string} options.limitField - The name of the limit field.
+         * @returns {Object} the rule.
+         */
+        function createRequestLimitRule(options) {
+            return {
+                name: options.name,
+                label: options.label,
+                fields: [options.requestField, options.limitField],
+                pattern: function (values) {
+                    var request = values[options.requestField];
+                    var limit = values[options.limitField];
+
+                    return lodash.isNil(request) || lodash.isNil(limit) || request <= limit;
+                }
+            };
+        }
+
+        /**
+         * Returns the failed validation rules of a form, including the ones of its nested forms. Both the rules of
+         * fields (@see {@link setFieldRuleResults}) and the cross-field rules (@see {@link validateCrossFieldRules})
+         * are aggregated, so every wizard could display the same errors the same way.
+         * @param {Object} form - The form controller (`ngForm`).
+         * @returns {Array.<{fields: Array.<string>, name: string, label: string, isShown: boolean}>} the list of failed
+         *     rules, where `isShown` tells whether the form was submitted or one of the rule's fields is dirty.
+         */
+        function getFormErrors(form) {
+            return lodash.flatMap(getForms(form), function (aForm) {
+                var state = getFormState(aForm);
+                var fieldErrors = lodash.flatMap(state.fields, function (rules, fieldName) {
+                    return lodash.map(lodash.filter(rules, isFailedRule), function (rule) {
+                        return lodash.assign({ fields: [fieldName] }, rule);
+                    });
+                });
+                var crossFieldErrors = lodash.filter(state.crossFieldRules, ['isValid', false]);
+
+                return lodash.chain(fieldErrors)
+                    .concat(crossFieldErrors)
+                    .filter(function (error) {
+                        return lodash.some(error.fields, lodash.partial(lodash.has, aForm));
+                    })
+                    .map(function (error) {
+                        return {
+                            fields: error.fields,
+                            name: error.name,
+                            label: error.label,
+                            isShown: aForm.$submitted || lodash.some(error.fields, function (fieldName) {
+                                return lodash.get(aForm, [fieldName, '$dirty'], false);
+                            })
+                        };
+                    })
+                    .value();
+            });
+        }
+
+        /**
+         * Checks whether at least one of the validation rules of a field failed. Rules that are still pending, and
+         * warning rules (@see {@link ValidationService.createAsyncRule}), do not fail the field.
+         * @param {Array.<Object>} rules - The validation rules of the field, with their `isValid` property set.
+         * @returns {boolean} `true` in case at least one rule failed, or `false` otherwise.
+         */
+        function hasFailedRule(rules) {
+            return lodash.some(rules, isFailedRule);
+        }
+
+        /**
+         * Checks whether any asynchronous validation of the form is still pending.
+         * @param {Object} form - The form controller (`ngForm`).
+         * @returns {boolean} `true` in case there is a pending asynchronous validation, or `false` otherwise.
+         */
+        function isFormPending(form) {
+            return !lodash.isEmpty(lodash.get(form, '$pending'));
+        }
+
         /**
          * Check if the form is in an invalid state
          * @param {Object} form - form to check
@@ -99,6 +254,40 @@ such restriction.
             return (lodash.defaultTo(validateOnSubmit, false) && !formSubmitted) || elementValid;
         }
 
+        /**
+         * Sets all the validation rules of a field to be valid and reports the results to the form's state.
+         * @param {Object} form - The form controller (`ngForm`) which owns the field.
+         * @param {string} fieldName - The name of the field.
+         * @param {Array.<Object>} rules - The validation rules of the field.
+         */
+        function resetFieldRules(form, fieldName, rules) {
+            lodash.forEach(rules, function (rule) {
+                lodash.assign(rule, { isValid: true, isPending: false });
+            });
+            setFieldRuleResults(form, fieldName, rules);
+        }
+
+        /**
+         * Reports the results of the validation rules of a field, to be aggregated in the form's state.
+         * @param {Object} form - The form controller (`ngForm`) which owns the field.
+         * @param {string} fieldName - The name of the field.
+         * @param {Array.<Object>} rules - The validation rules of the field, with their `isValid` (and optionally
+         *     `isPending` and `isWarning`) property set. Pass an empty list to clear the results of the field.
+         */
+        function setFieldRuleResults(form, fieldName, rules) {
+            if (!lodash.isNil(form)) {
+                var fields = getFormState(form).fields;
+
+                if (lodash.isEmpty(rules)) {
+                    delete fields[fieldName];
+                } else {
+                    fields[fieldName] = lodash.map(rules, function (rule) {
+                        return lodash.pick(rule, ['name', 'label', 'isValid', 'isPending', 'isWarning']);
+                    });
+                }
+            }
+        }
+
         /**
          * Validates all the fields of a form. Recursively validates fields in nested forms (both immediate and deep).
          * @param {Object} form - The form controller (`ngForm`).
@@ -107,6 +296,95 @@ such restriction.
             lodash.invokeMap(getFields(form), '$validate');
         }
 
+        /**
+         * Validates rules that involve several fields of a form, like "request must be less than or equal to limit".
+         * Each rule sets the validity of all of its fields (that exist in the form) with the rule's name as the
+         * validation error key, and its result is aggregated in the form's state (@see {@link getFormErrors}).
+         * @param {Object} form - The form controller (`ngForm`) which owns the fields.
+         * @param {Array.<Object>} rules - The cross-field rules to check.
+         * @param {string} rules[].name - A unique name for the rule, used as the validation error key of the fields.
+         * @param {string} rules[].label - The text to display when the rule fails.
+         * @param {Array.<string>} rules[].fields - The names of the fields the rule involves.
+         * @param {function} rules[].pattern - Invoked with the `values` of the rule's `fields`, should return `true`
+         *     in case the rule is valid or `false` otherwise.
+         * @param {Object} values - An object mapping field names to their values.
+         * @returns {boolean} `true` in case all rules are valid, or `false` otherwise.
+         */
+        function validateCrossFieldRules(form, rules, values) {
+            var crossFieldRules = getFormState(form).crossFieldRules;
+
+            return lodash.reduce(rules, function (areRulesValid, rule) {
+                var isValid = rule.pattern(lodash.pick(values, rule.fields));
+
+                lodash.forEach(rule.fields, function (fieldName) {
+                    if (lodash.has(form, fieldName)) {
+                        form[fieldName].$setValidity(rule.name, isValid);
+                    }
+                });
+
+                crossFieldRules[rule.name] = {
+                    fields: rule.fields,
+                    name: rule.name,
+                    label: rule.label,
+                    isValid: isValid
+                };
+
+                return areRulesValid && isValid;
+            }, true);
+        }
+
+        /**
+         * Validates all the fields of a form and waits for its pending asynchronous validations to settle.
+         * @param {Object} form - The form controller (`ngForm`).
+         * @returns {Promise.<boolean>} a promise resolved with `true` in case the form is valid, or `false` otherwise.
+         */
+        function validateForm(form) {
+            var deferred = $q.defer();
+
+            validateAllFields(form);
+
+            var unwatch = $rootScope.$watch(lodash.partial(isFormPending, form), function (isPending) {
+                if (!isPending) {
+                    unwatch();
+                    deferred.resolve(form.$valid);
+                }
+            });
+
+            return deferred.promise;
+        }
+
+        /**
+         * Watches the fields of a form the validation rules of another field depend on (listed in their `dependsOn`
+         * property, @see {@link ValidationService.createCrossFieldRule}).
+         * @param {Object} scope - The scope to register the watchers on.
+         * @param {Object} form - The form controller (`ngForm`) which owns the fields.
+         * @param {Array.<Object>} rules - The validation rules of the field.
+         * @param {function} listener - Invoked whenever the value of one of the fields changes.
+         * @returns {function} a function that stops watching the fields.
+         */
+        function watchRuleDependencies(scope, form, rules, listener) {
+            var unwatchers = lodash.chain(rules)
+                .flatMap('dependsOn')
+                .compact()
+                .uniq()
+                .map(function (fieldName) {
+                    return scope.$watch(function () {
+                        return lodash.get(form, [fieldName, '$viewValue']);
+                    }, function (newValue, oldValue) {
+                        if (newValue !== oldValue) {
+                            listener();
+                        }
+                    });
+                })
+                .value();
+
+            return function () {
+                lodash.forEach(unwatchers, function (unwatch) {
+                    unwatch();
+                });
+            };
+        }
+
         //
         // Private functions
         //
@@ -123,5 +401,44 @@ such restriction.
                 lodash.hasIn(control, '$getControls') ? lodash.map(control.$getControls(), getFields) : [control];
             return lodash.flattenDeep(controls);
         }
+
+        /**
+         * Returns the form together with all of its nested forms (both immediate and deep).
+         * @param {Object} form - The form controller (`ngForm`).
+         * @returns {Array.<Object>} an array of form controllers (`ngForm`).
+         */
+        function getForms(form) {
+            var nestedForms = lodash.filter(lodash.invoke(form, '$getControls'), function (control) {
+                return lodash.hasIn(control, '$getControls');
+            });
+
+            return lodash.isNil(form) ? [] : [form].concat(lodash.flatMap(nestedForms, getForms));
+        }
+
+        /**
+         * Returns the rule results state of a form, creating it if it does not exist yet.
+         * @param {Object} form - The form controller (`ngForm`).
+         * @returns {{fields: Object, crossFieldRules: Object}} the state of the form.
+         */
+        function getFormState(form) {
+            if (!formStates.has(form)) {
+                formStates.set(form, {
+                    fields: {},
+                    crossFieldRules: {}
+                });
+            }
+
+            return formStates.get(form);
+        }
+
+        /**
+         * Checks whether a validation rule failed, which is the case when it is not valid, not pending and not a
+         * warning.
+         * @param {Object} rule - The validation rule, with its `isValid` property set.
+         * @returns {boolean} `true` in case the rule failed, or `false` otherwise.
+         */
+        function isFailedRule(rule) {
+            return rule.isValid === false && !rule.isPending && !rule.isWarning;
+        }
     }
 }());
@@ -0,0 +1,243 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('FormValidationService: ', function () {
+    var $compile;
+    var $q;
+    var $rootScope;
+    var FormValidationService;
+    var form;
+    var lodash;
+    var scope;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$compile_, _$q_, _$rootScope_, _lodash_, _FormValidationService_) {
+            $compile = _$compile_;
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            lodash = _lodash_;
+            FormValidationService = _FormValidationService_;
+        });
+
+        scope = $rootScope.$new();
+        $compile('<form name="form">' +
+                 '<input name="request" data-ng-model="request">' +
+                 '<input name="limit" data-ng-model="limit">' +
+                 '<ng-form name="nested"><input name="name" data-ng-model="name"></ng-form>' +
+                 '</form>')(scope);
+        scope.$digest();
+        form = scope.form;
+    });
+
+    afterEach(function () {
+        $compile = null;
+        $q = null;
+        $rootScope = null;
+        FormValidationService = null;
+        form = null;
+        lodash = null;
+        scope = null;
+    });
+
+    describe('checkFieldRules(): ', function () {
+        var rules;
+
+        beforeEach(function () {
+            rules = [
+                { name: 'begin', label: 'Begin with a-z', pattern: /^[a-z]/ },
+                { name: 'uniqueness', label: 'Uniqueness', async: true, pattern: lodash.constant($q.when(true)) }
+            ];
+        });
+
+        it('should check the synchronous rules and mark the asynchronous ones as pending', function () {
+            expect(FormValidationService.checkFieldRules(form, 'request', rules, 'abc')).toBe(true);
+            expect(rules[0].isValid).toBe(true);
+            expect(rules[1].isPending).toBe(true);
+        });
+
+        it('should not mark the asynchronous rules as pending if a synchronous rule failed', function () {
+            expect(FormValidationService.checkFieldRules(form, 'request', rules, '1bc')).toBe(false);
+            expect(rules[1]).toEqual(jasmine.objectContaining({ isValid: true, isPending: false }));
+            expect(lodash.map(FormValidationService.getFormErrors(form), 'name')).toEqual(['begin']);
+        });
+    });
+
+    describe('checkFieldAsyncRules(): ', function () {
+        it('should resolve if all the asynchronous rules pass and reject otherwise', function () {
+            var isValid = true;
+            var rules = [{
+                name: 'uniqueness',
+                label: 'Uniqueness',
+                async: true,
+                pattern: function () {
+                    return $q.when(isValid);
+                }
+            }];
+            var resolved = jasmine.createSpy('resolved');
+            var rejected = jasmine.createSpy('rejected');
+
+            FormValidationService.checkFieldAsyncRules(form, 'request', rules, 'abc').then(resolved);
+            scope.$digest();
+
+            expect(resolved).toHaveBeenCalled();
+
+            isValid = false;
+            FormValidationService.checkFieldAsyncRules(form, 'request', rules, 'abc').catch(rejected);
+            scope.$digest();
+
+            expect(rejected).toHaveBeenCalled();
+            expect(rules[0]).toEqual(jasmine.objectContaining({ isValid: false, isPending: false }));
+        });
+
+        it('should not fail the field or the form on a failed warning rule', function () {
+            var rules = [{
+                name: 'uniqueness',
+                label: 'Uniqueness',
+                async: true,
+                isWarning: true,
+                pattern: lodash.constant($q.when(false))
+            }];
+            var resolved = jasmine.createSpy('resolved');
+
+            FormValidationService.checkFieldAsyncRules(form, 'request', rules, 'abc').then(resolved);
+            scope.$digest();
+
+            expect(resolved).toHaveBeenCalled();
+            expect(rules[0].isValid).toBe(false);
+            expect(FormValidationService.hasFailedRule(rules)).toBe(false);
+            expect(FormValidationService.getFormErrors(form)).toEqual([]);
+        });
+    });
+
+    describe('watchRuleDependencies(): ', function () {
+        it('should invoke the listener whenever a field the rules depend on changes, until unwatched', function () {
+            var listener = jasmine.createSpy('listener');
+            var unwatch = FormValidationService.watchRuleDependencies(scope, form, [
+                { name: 'requestLimit', dependsOn: ['limit'] },
+                { name: 'begin' }
+            ], listener);
+            scope.$digest();
+
+            form.request.$setViewValue('1');
+            scope.$digest();
+
+            expect(listener).not.toHaveBeenCalled();
+
+            form.limit.$setViewValue('2');
+            scope.$digest();
+
+            expect(listener).toHaveBeenCalledTimes(1);
+
+            unwatch();
+            form.limit.$setViewValue('3');
+            scope.$digest();
+
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('createRequestLimitRule(): ', function () {
+        it('should create a rule checking that the request does not exceed the limit', function () {
+            var rule = FormValidationService.createRequestLimitRule({
+                name: 'requestLimit',
+                label: 'Request must not exceed limit',
+                requestField: 'request',
+                limitField: 'limit'
+            });
+
+            expect(rule.fields).toEqual(['request', 'limit']);
+            expect(rule.pattern({ request: 1, limit: 2 })).toBe(true);
+            expect(rule.pattern({ request: 2, limit: 2 })).toBe(true);
+            expect(rule.pattern({ request: 3, limit: 2 })).toBe(false);
+            expect(rule.pattern({ request: null, limit: 2 })).toBe(true);
+            expect(rule.pattern({ request: 3 })).toBe(true);
+        });
+    });
+
+    describe('validateCrossFieldRules(): ', function () {
+        var rules = [
+            {
+                name: 'requestLimit',
+                label: 'Request must not exceed limit',
+                fields: ['request', 'limit'],
+                pattern: function (values) {
+                    return values.request <= values.limit;
+                }
+            }
+        ];
+
+        it('should set the validity of all the fields of a rule', function () {
+            expect(FormValidationService.validateCrossFieldRules(form, rules, { request: 2, limit: 1 })).toBe(false);
+            expect(form.request.$error.requestLimit).toBe(true);
+            expect(form.limit.$error.requestLimit).toBe(true);
+
+            expect(FormValidationService.validateCrossFieldRules(form, rules, { request: 1, limit: 1 })).toBe(true);
+            expect(form.request.$valid).toBe(true);
+            expect(form.limit.$valid).toBe(true);
+        });
+    });
+
+    describe('getFormErrors(): ', function () {
+        it('should aggregate failed field rules and cross-field rules of the form and its nested forms', function () {
+            FormValidationService.validateCrossFieldRules(form, [{
+                name: 'requestLimit',
+                label: 'Request must not exceed limit',
+                fields: ['request', 'limit'],
+                pattern: lodash.constant(false)
+            }], {});
+            FormValidationService.setFieldRuleResults(form.nested, 'name', [
+                { name: 'begin', label: 'Begin with a-z', isValid: true },
+                { name: 'uniqueness', label: 'Uniqueness', isValid: false }
+            ]);
+            form.limit.$setDirty();
+
+            expect(FormValidationService.getFormErrors(form)).toEqual([
+                { fields: ['request', 'limit'], name: 'requestLimit', label: 'Request must not exceed limit', isShown: true },
+                { fields: ['name'], name: 'uniqueness', label: 'Uniqueness', isShown: false }
+            ]);
+
+            FormValidationService.setFieldRuleResults(form.nested, 'name', []);
+
+            expect(lodash.map(FormValidationService.getFormErrors(form), 'name')).toEqual(['requestLimit']);
+        });
+    });
+
+    describe('validateForm(): ', function () {
+        it('should resolve with the validity of the form once its asynchronous validators settle', function () {
+            var deferred = $q.defer();
+            var result;
+
+            form.request.$asyncValidators.available = function () {
+                return deferred.promise;
+            };
+            FormValidationService.validateForm(form).then(function (isValid) {
+                result = isValid;
+            });
+            scope.$digest();
+
+            expect(FormValidationService.isFormPending(form)).toBe(true);
+            expect(result).toBeUndefined();
+
+            deferred.reject();
+            scope.$digest();
+
+            expect(FormValidationService.isFormPending(form)).toBe(false);
+            expect(result).toBe(false);
+        });
+    });
+});
@@ -25,6 +25,7 @@ such restriction.
 
         return {
             fetchAllPages: fetchAllPages,
+            fetchPage: fetchPage,
             getErrorMessage: getErrorMessage,
             isDisconnectionError: isDisconnectionError,
             poll: poll,
@@ -71,6 +72,30 @@ such restriction.
             });
         }
 
+        /**
+         * Fetches a single page (in terms of pagination) of a collection of resources in back-end. Could be used as
+         * the `data-callback` of `igz-pagination` in server-side mode.
+         * @param {string} collection - the collection name.
+         * @param {Object} [parameters] - custom parameters to use when fetching the page (sort, filter, fields,
+         *     include).
+         * @param {number} pageNumber - the page number (zero-based).
+         * @param {number} pageSize - the number of items in a page.
+         * @param {Promise} [canceler] - if provided, the request is cancelled on resolving this promise.
+         * @returns {Promise} a list of items of the page, with `total_pages` and `page_number` properties.
+         */
+        function fetchPage(collection, parameters, pageNumber, pageSize, canceler) {
+            var requestParams = lodash.chain(parameters)
+                .clone()                  // copy provided parameters
+                .assign({                 // append/override page size and page number parameters
+                    'page[number]': pageNumber,
+                    'page[size]': pageSize
+                })
+                .omitBy(lodash.isNil)     // omit parameters with no value (like an empty sort or filter)
+                .value();
+
+            return Restangular.all(collection).withHttpConfig({ timeout: canceler }).getList(requestParams);
+        }
+
         /**
          * Fetches the appropriate error message from `errorMessages` according to either `error`'s `status` code alone,
          * or in combination with a substring that exists in `error`'s `detail`.
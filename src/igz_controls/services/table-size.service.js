@@ -21,6 +21,11 @@ such restriction.
         .factory('TableSizeService', TableSizeService);
 
     function TableSizeService(lodash, ConfigService) {
+        var NAME_COLUMNS = ['headerName', 'rowName'];
+
+        // widths (in percents) that have a matching `igz-col-*` class in `igz-grid.less`
+        var availableColSizes = [15, 16, 16.66, 17, 17.5, 18, 20, 22.5, 25, 27.5, 28, 30, 33, 34, 35, 38, 40, 45, 47.5,
+            50, 55, 58, 60, 62, 62.5, 65, 70, 75, 80, 85, 90, 91, 95, 100];
         var clustersTableColSizes = {
             name: '15',
             status: '10',
@@ -225,12 +230,15 @@ such restriction.
                 demo: '12-5'
             }
         };
+        var functionsTableHiddenColumns = [];
 
         return {
             getClustersTableColSize: getClustersTableColSize,
             getContainersTableColSize: getContainersTableColSize,
             getEventsTableColSize: getEventsTableColSize,
-            getFunctionsTableColSize: getFunctionsTableColSize
+            getFunctionsTableColSize: getFunctionsTableColSize,
+            getFunctionsTableHiddenColumns: getFunctionsTableHiddenColumns,
+            setFunctionsTableHiddenColumns: setFunctionsTableHiddenColumns
         };
 
         //
@@ -277,13 +285,74 @@ such restriction.
         }
 
         /**
-         * Gets the size of functions table column
+         * Gets the size of functions table column.
+         * Hidden columns get the `ng-hide` class, and their width is given to the name column.
          * @param {string} column - name of the column
          * @returns {string} css class
          */
         function getFunctionsTableColSize(column) {
-            return 'igz-col-' + lodash.get(functionsTableColSizes, [column, (ConfigService.isDemoMode() ? 'demo' : 'default')]);
+            var mode = ConfigService.isDemoMode() ? 'demo' : 'default';
+
+            if (lodash.includes(functionsTableHiddenColumns, column)) {
+                return 'ng-hide';
+            }
+
+            if (lodash.includes(NAME_COLUMNS, column) && !lodash.isEmpty(functionsTableHiddenColumns)) {
+                var width = lodash.reduce(functionsTableHiddenColumns, function (total, hiddenColumn) {
+
+                    // replicas column is displayed in demo mode only, so its width is not taken into account otherwise
+                    return hiddenColumn === 'replicas' && mode !== 'demo' ? total :
+                        total + parseColSize(lodash.get(functionsTableColSizes, [hiddenColumn, mode]));
+                }, parseColSize(lodash.get(functionsTableColSizes, [column, mode])));
+
+                return 'igz-col-' + formatColSize(lodash.findLast(availableColSizes, function (size) {
+                    return size <= width;
+                }));
+            }
+
+            return 'igz-col-' + lodash.get(functionsTableColSizes, [column, mode]);
+        }
+
+        /**
+         * Gets the list of hidden columns of functions table
+         * @returns {Array.<string>} names of the hidden columns
+         */
+        function getFunctionsTableHiddenColumns() {
+            return angular.copy(functionsTableHiddenColumns);
+        }
+
+        /**
+         * Sets the list of hidden columns of functions table
+         * @param {Array.<string>} columns - names of the columns to hide (name column could not be hidden)
+         */
+        function setFunctionsTableHiddenColumns(columns) {
+            functionsTableHiddenColumns = lodash.chain(columns)
+                .difference(NAME_COLUMNS)
+                .filter(lodash.partial(lodash.has, functionsTableColSizes))
+                .uniq()
+                .value();
         }
 
+        //
+        // Private methods
+        //
+
+        /**
+         * Converts a width in percents to the suffix of its `igz-col-*` class
+         * @param {number} size - e.g. `12.5`
+         * @returns {string} e.g. `'12-5'`
+         */
+        function formatColSize(size) {
+            return String(size).replace('.', '-');
+        }
+
+        /**
+         * Converts the suffix of `igz-col-*` class to its width in percents
+         * @param {string} size - e.g. `'12-5'`
+         * @returns {number} e.g. `12.5`
+         */
+        function parseColSize(size) {
+            return lodash.defaultTo(Number(String(size).replace('-', '.')), 0);
+        }
     }
 }());
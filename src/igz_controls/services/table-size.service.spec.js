@@ -0,0 +1,81 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('TableSizeService: ', function () {
+    var ConfigService;
+    var TableSizeService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_ConfigService_, _TableSizeService_) {
+            ConfigService = _ConfigService_;
+            TableSizeService = _TableSizeService_;
+        });
+
+        spyOn(ConfigService, 'isDemoMode').and.returnValue(false);
+    });
+
+    afterEach(function () {
+        TableSizeService.setFunctionsTableHiddenColumns([]);
+
+        ConfigService = null;
+        TableSizeService = null;
+    });
+
+    describe('getFunctionsTableColSize(): ', function () {
+        it('should return the size class of the column', function () {
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-20');
+            expect(TableSizeService.getFunctionsTableColSize('owner')).toEqual('igz-col-7-5');
+        });
+
+        it('should hide hidden columns and give their width to the name column', function () {
+            TableSizeService.setFunctionsTableHiddenColumns(['owner', 'cpuCores']);
+
+            expect(TableSizeService.getFunctionsTableColSize('owner')).toEqual('ng-hide');
+            expect(TableSizeService.getFunctionsTableColSize('cpuCores')).toEqual('ng-hide');
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-40');
+            expect(TableSizeService.getFunctionsTableColSize('rowName')).toEqual('igz-col-40');
+            expect(TableSizeService.getFunctionsTableColSize('runtime')).toEqual('igz-col-7-5');
+        });
+
+        it('should round the width of the name column down to an existing size class', function () {
+            TableSizeService.setFunctionsTableHiddenColumns(['owner', 'invocationPerSec']);
+
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-30');
+        });
+
+        it('should ignore the width of replicas column when not in demo mode', function () {
+            TableSizeService.setFunctionsTableHiddenColumns(['replicas']);
+
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-20');
+
+            ConfigService.isDemoMode.and.returnValue(true);
+
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-20');
+            expect(TableSizeService.getFunctionsTableColSize('replicas')).toEqual('ng-hide');
+        });
+    });
+
+    describe('setFunctionsTableHiddenColumns(): ', function () {
+        it('should not allow hiding the name column or unknown columns', function () {
+            TableSizeService.setFunctionsTableHiddenColumns(['headerName', 'status', 'unknown', 'status']);
+
+            expect(TableSizeService.getFunctionsTableHiddenColumns()).toEqual(['status']);
+            expect(TableSizeService.getFunctionsTableColSize('headerName')).toEqual('igz-col-30');
+        });
+    });
+});
@@ -20,9 +20,12 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .factory('ValidationService', ValidationService);
 
-    function ValidationService($i18next, i18next, lodash) {
+    function ValidationService($q, $timeout, $i18next, i18next, lodash) {
         var lng = i18next.language;
 
+        var ASYNC_RULE_DEBOUNCE = 300;
+        var CANCELLED = 'canceled';
+
         var lengths = {
             default: 128,
             k8s: {
@@ -341,6 +344,7 @@ such restriction.
                     generateRule.validCharacters('a-z A-Z 0-9 - _ .'),
                     generateRule.beginNotWith('0-9 .')
                 ],
+                prefixedQualifiedName: commonRules.prefixedQualifiedName,
                 qualifiedName: [
                     generateRule.validCharacters('a-z A-Z 0-9 - _ .'),
                     generateRule.beginEndWith('a-z A-Z 0-9'),
@@ -664,15 +668,111 @@ such restriction.
             hostName_IpAddress: /(^(([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])$)|(^(([a-zA-Z]|[a-zA-Z][a-zA-Z0-9-]*[a-zA-Z0-9])\.)+([A-Za-z]|[A-Za-z][A-Za-z0-9-]*[A-Za-z0-9])$)/,
             dockerReference: /^(([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9])(\.([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]))*(:\d+)?\/)?[a-z0-9]+(([._]|__|[-]*)[a-z0-9]+)*(\/[a-z0-9]+(([._]|__|[-]*)[a-z0-9]+)*)*(:[\w][\w.-]{0,127})?(@[A-Za-z][A-Za-z0-9]*([-_+.][A-Za-z][A-Za-z0-9]*)*:[0-9a-fA-F]{32,})?$/,
 
+            CANCELLED: CANCELLED,
+
+            createAsyncRule: createAsyncRule,
+            createCrossFieldRule: createCrossFieldRule,
             getMaxLength: getMaxLength,
             getValidationRules: getValidationRules,
-            isValidByRules: isValidByRules
+            isValidByRules: isValidByRules,
+            validateByRules: validateByRules
         };
 
         //
         // Public methods
         //
 
+        /**
+         * Creates an asynchronous validation rule, for checks that could not be done synchronously, like asking the
+         * backend whether a name is already taken. The `pattern` of the created rule returns a promise resolved with
+         * `true` or `false`. Calls are debounced, and a call that is superseded by a newer one (while waiting for the
+         * debounce or for `validate` to settle) is rejected with `CANCELLED`.
+         * @param {Object} options - The rule options.
+         * @param {string} options.name - A unique name for the rule among the list.
+         * @param {string} options.label - The text to display as the description of the rule.
+         * @param {function} options.validate - Invoked with the value, a `canceler` promise that is resolved once the
+         *     check is superseded (could be passed as `timeout` to `$http`), the input field name and the `ngForm`.
+         *     Should return a boolean, or a promise resolved with a boolean.
+         * @param {number} [options.debounce=300] - Number of milliseconds to wait for the value to settle.
+         * @param {boolean} [options.isWarning=false] - Set to `true` in case a failure of the rule should only be
+         *     displayed as a warning, without invalidating the field (for example, when an existing name could still be
+         *     overwritten).
+         * @returns {Object} the rule, with its `async` property set to `true`.
+         * @example
+         * ValidationService.createAsyncRule({
+         *     name: 'uniqueness',
+         *     label: 'Uniqueness',
+         *     validate: function (value, canceler) {
+         *         return $http.get('/api/functions/' + value, { timeout: canceler })
+         *             .then(lodash.constant(false))
+         *             .catch(lodash.constant(true));
+         *     }
+         * });
+         */
+        function createAsyncRule(options) {
+            var pendingCheck = null;
+
+            return {
+                name: options.name,
+                label: options.label,
+                async: true,
+                isWarning: Boolean(options.isWarning),
+                pattern: function (value, inputName, form) {
+                    var check = {
+                        canceler: $q.defer(),
+                        timer: $timeout(angular.noop, lodash.defaultTo(options.debounce, ASYNC_RULE_DEBOUNCE))
+                    };
+
+                    if (pendingCheck !== null) {
+                        $timeout.cancel(pendingCheck.timer);
+                        pendingCheck.canceler.resolve();
+                    }
+                    pendingCheck = check;
+
+                    return check.timer
+                        .then(function () {
+                            return options.validate(value, check.canceler.promise, inputName, form);
+                        })
+                        .then(function (isValid) {
+                            if (pendingCheck !== check) {
+                                return $q.reject(CANCELLED);
+                            }
+
+                            pendingCheck = null;
+
+                            return isValid === true;
+                        });
+                }
+            };
+        }
+
+        /**
+         * Creates a cross-field validation rule, for checks of a value against the values of other fields of the
+         * same form (for example "must be different than the primary function"). Fields using the rule are re-validated
+         * whenever any of the fields it depends on changes.
+         * @param {Object} options - The rule options.
+         * @param {string} options.name - A unique name for the rule among the list.
+         * @param {string} options.label - The text to display as the description of the rule.
+         * @param {Array.<string>} options.fields - The names of the other fields in the form the rule depends on.
+         * @param {function} options.validate - Invoked with the value and an object mapping each of `fields` to its
+         *     current view value. Should return `true` in case the rule is valid or `false` otherwise.
+         * @returns {Object} the rule, with its `dependsOn` property set to `fields`.
+         */
+        function createCrossFieldRule(options) {
+            return {
+                name: options.name,
+                label: options.label,
+                dependsOn: options.fields,
+                pattern: function (value, inputName, form) {
+                    var values = lodash.zipObject(options.fields, lodash.map(options.fields, function (field) {
+                        return lodash.get(form, [field, '$viewValue']);
+                    }));
+
+                    return options.validate(value, values);
+                }
+            };
+        }
+
         /**
          * Provides maximum length of text that can be filled in input
          * @param {string} path - path to field
@@ -699,17 +799,36 @@ such restriction.
 
         /**
          * Checks if a value matches all the patterns specified in the rules array.
+         * Asynchronous rules are skipped, use `validateByRules` to take them into account.
          * @param {Array} rules - An array of objects containing a pattern property that represents a function or a regular expression.
          * @param {string} value - The value to be validated against the rules.
          * @return {boolean} Returns true if the value matches all the patterns in the rules array, else returns false.
          */
         function isValidByRules(rules, value) {
             return rules.every(function (rule) {
-                return lodash.isFunction(rule.pattern) ? rule.pattern(value) :
-                    /* else, it is a RegExp */           rule.pattern.test(value);
+                return rule.async || testRule(rule, value);
             })
         }
 
+        /**
+         * Checks if a value matches all the rules in the rules array, including asynchronous rules.
+         * Asynchronous rules are checked only in case all the synchronous ones pass, warning rules are skipped.
+         * @param {Array.<Object>} rules - The rules to check (@see {@link isValidByRules}).
+         * @param {string} value - The value to be validated against the rules.
+         * @returns {Promise.<boolean>} a promise resolved with `true` if the value matches all the rules, or with
+         *     `false` otherwise.
+         */
+        function validateByRules(rules, value) {
+            var asyncRules = lodash.reject(lodash.filter(rules, 'async'), 'isWarning');
+
+            return !isValidByRules(rules, value) ? $q.when(false) :
+                $q.all(lodash.map(asyncRules, function (rule) {
+                    return $q.when(rule.pattern(value));
+                })).then(function (results) {
+                    return lodash.every(results);
+                }).catch(lodash.constant(false));
+        }
+
         //
         // Private methods
         //
@@ -743,5 +862,16 @@ such restriction.
                 return patternItem.length === 1 ? '\\' + patternItem : patternItem;
             }).join('');
         }
+
+        /**
+         * Tests a value against a single synchronous rule.
+         * @param {Object} rule - The rule with a pattern property that is either a function or a regular expression.
+         * @param {string} value - The value to test.
+         * @returns {boolean} `true` if the value matches the rule, or `false` otherwise.
+         */
+        function testRule(rule, value) {
+            return lodash.isFunction(rule.pattern) ? rule.pattern(value) :
+                /* else, it is a RegExp */           rule.pattern.test(value);
+        }
     }
 }());
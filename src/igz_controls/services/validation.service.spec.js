@@ -15,20 +15,110 @@ under the Apache 2.0 license is conditioned upon your compliance with
 such restriction.
 */
 describe('ValidationService: ', function () {
+    var $q;
+    var $rootScope;
+    var $timeout;
     var ValidationService;
 
     beforeEach(function () {
         module('iguazio.dashboard-controls');
 
-        inject(function (_ValidationService_) {
+        inject(function (_$q_, _$rootScope_, _$timeout_, _ValidationService_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
             ValidationService = _ValidationService_;
         });
     });
 
     afterEach(function () {
+        $q = null;
+        $rootScope = null;
+        $timeout = null;
         ValidationService = null;
     });
 
+    describe('createAsyncRule(): ', function () {
+        it('should validate the value once it settles for the debounce time', function () {
+            var validate = jasmine.createSpy('validate').and.returnValue($q.when(false));
+            var rule = ValidationService.createAsyncRule({ name: 'uniqueness', label: 'Uniqueness', validate: validate });
+            var result;
+
+            expect(rule.async).toBe(true);
+
+            rule.pattern('my-function', 'name').then(function (isValid) {
+                result = isValid;
+            });
+            $timeout.flush(299);
+
+            expect(validate).not.toHaveBeenCalled();
+
+            $timeout.flush(1);
+
+            expect(validate).toHaveBeenCalledWith('my-function', jasmine.any(Object), 'name', undefined);
+            expect(result).toBe(false);
+        });
+
+        it('should cancel a pending check when a newer one is made', function () {
+            var deferred = $q.defer();
+            var canceler = null;
+            var validate = jasmine.createSpy('validate').and.callFake(function (value, cancelerPromise) {
+                canceler = cancelerPromise;
+                return value === 'first' ? deferred.promise : true;
+            });
+            var rule = ValidationService.createAsyncRule({ name: 'uniqueness', label: 'Uniqueness', validate: validate });
+            var firstRejection;
+            var cancelled = false;
+            var secondResult;
+
+            // the first check is cancelled while waiting for the debounce time
+            rule.pattern('draft').catch(function (reason) {
+                firstRejection = reason;
+            });
+            $timeout.flush(100);
+
+            // the second check is cancelled while waiting for `validate` to settle
+            rule.pattern('first').catch(function (reason) {
+                firstRejection = reason;
+            });
+            $timeout.flush(300);
+            canceler.then(function () {
+                cancelled = true;
+            });
+
+            rule.pattern('second').then(function (isValid) {
+                secondResult = isValid;
+            });
+            deferred.resolve(false);
+            $timeout.flush(300);
+
+            expect(validate.calls.allArgs().map(function (args) {
+                return args[0];
+            })).toEqual(['first', 'second']);
+            expect(cancelled).toBe(true);
+            expect(firstRejection).toEqual(ValidationService.CANCELLED);
+            expect(secondResult).toBe(true);
+        });
+    });
+
+    describe('createCrossFieldRule(): ', function () {
+        it('should validate the value against the view values of the fields it depends on', function () {
+            var rule = ValidationService.createCrossFieldRule({
+                name: 'differentFromPrimary',
+                label: 'Different from primary',
+                fields: ['primary'],
+                validate: function (value, values) {
+                    return value !== values.primary;
+                }
+            });
+            var form = { primary: { $viewValue: 'echo' } };
+
+            expect(rule.dependsOn).toEqual(['primary']);
+            expect(rule.pattern('echo', 'canary', form)).toBe(false);
+            expect(rule.pattern('hello', 'canary', form)).toBe(true);
+        });
+    });
+
     describe('getMaxLength(): ', function () {
         it('should return default maximum length of 128 px for unknown field names', function () {
             var result = ValidationService.getMaxLength('test.name');
@@ -110,5 +200,44 @@ describe('ValidationService: ', function () {
             ValidationService.isValidByRules(rules, 'test');
             expect(patternFn).toHaveBeenCalledWith('test');
         });
+
+        it('should skip asynchronous rules', () => {
+            var patternFn = jasmine.createSpy('patternFn');
+            var rules = [
+                {
+                    async: true,
+                    pattern: patternFn,
+                },
+            ];
+
+            expect(ValidationService.isValidByRules(rules, 'test')).toBe(true);
+            expect(patternFn).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('validateByRules(): ', function () {
+        it('should take asynchronous rules into account', function () {
+            var rules = [
+                {
+                    pattern: /^test/,
+                },
+                {
+                    async: true,
+                    pattern: function (value) {
+                        return $q.when(value !== 'test-taken');
+                    },
+                },
+            ];
+            var results = {};
+
+            ['test', 'test-taken', 'not-test'].forEach(function (value) {
+                ValidationService.validateByRules(rules, value).then(function (isValid) {
+                    results[value] = isValid;
+                });
+            });
+            $rootScope.$digest();
+
+            expect(results).toEqual({ 'test': true, 'test-taken': false, 'not-test': false });
+        });
     });
 });
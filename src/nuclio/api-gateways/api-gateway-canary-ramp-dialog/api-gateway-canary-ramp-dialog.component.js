@@ -0,0 +1,132 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclApiGatewayCanaryRampDialog', {
+            bindings: {
+                apiGateway: '<',
+                closeDialog: '&'
+            },
+            templateUrl: 'nuclio/api-gateways/api-gateway-canary-ramp-dialog/api-gateway-canary-ramp-dialog.tpl.html',
+            controller: NclApiGatewayCanaryRampDialogController
+        });
+
+    function NclApiGatewayCanaryRampDialogController($i18next, i18next, lodash, ApiGatewayCanaryRampService,
+                                                     ApiGatewaysService, EventHelperService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.canaryRampForm = null;
+        ctrl.plan = {};
+        ctrl.schedule = [];
+        ctrl.stepsText = '';
+        ctrl.validationRules = {
+            steps: [
+                {
+                    name: 'steps',
+                    label: $i18next.t('functions:CANARY_ROLLOUT_STEPS_RULE', { lng: lng }),
+                    pattern: function (value) {
+                        return !lodash.isNull(ApiGatewayCanaryRampService.parseSteps(value));
+                    }
+                }
+            ]
+        };
+
+        ctrl.$onInit = onInit;
+
+        ctrl.inputValueCallback = inputValueCallback;
+        ctrl.onClose = onClose;
+        ctrl.startRamp = startRamp;
+
+        ctrl.getCanaryName = ApiGatewaysService.getCanaryName;
+        ctrl.getCanaryPercentage = ApiGatewaysService.getCanaryPercentage;
+        ctrl.getPrimaryName = ApiGatewaysService.getPrimaryName;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            ctrl.plan = ApiGatewayCanaryRampService.getDefaultPlan();
+            ctrl.stepsText = ctrl.plan.steps.join(', ');
+
+            updateSchedule();
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Sets the new data of a field of the plan
+         * @param {*} newData - the new value
+         * @param {string} field - the name of the field (`'steps'` or `'interval'`)
+         */
+        function inputValueCallback(newData, field) {
+            if (field === 'steps') {
+                ctrl.stepsText = newData;
+                ctrl.plan.steps = lodash.defaultTo(ApiGatewayCanaryRampService.parseSteps(newData), []);
+            } else {
+                lodash.set(ctrl.plan, field, newData);
+            }
+
+            updateSchedule();
+        }
+
+        /**
+         * Closes the dialog without starting the rollout
+         * @param {Event} [event] - the `keydown` event
+         */
+        function onClose(event) {
+            if (angular.isUndefined(event) || event.keyCode === EventHelperService.ENTER) {
+                ctrl.closeDialog({ value: null });
+            }
+        }
+
+        /**
+         * Closes the dialog with the rollout plan, in case it is valid
+         * @param {Event} [event] - the `keydown` event
+         */
+        function startRamp(event) {
+            if ((angular.isUndefined(event) || event.keyCode === EventHelperService.ENTER) &&
+                ctrl.canaryRampForm.$valid && !lodash.isEmpty(ctrl.plan.steps) && ctrl.plan.interval > 0) {
+                ctrl.closeDialog({ value: angular.copy(ctrl.plan) });
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Updates the preview of the time of each step of the plan, relative to its start
+         */
+        function updateSchedule() {
+            ctrl.schedule = lodash.map(ctrl.plan.steps, function (percentage, index) {
+                return {
+                    percentage: percentage,
+                    minutes: index * ctrl.plan.interval
+                };
+            });
+        }
+    }
+}());
@@ -0,0 +1,418 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name ApiGatewayCanaryRampService
+     * @description
+     * Runs progressive canary rollouts ("ramps") of API gateways: the traffic percentage of the canary upstream is
+     * raised step by step (e.g. 5% → 25% → 50% → 100%) at a fixed interval, and a step of 100% promotes the canary
+     * to primary. Before each step after the first one, an optional health check is called, and in case it fails the
+     * ramp is either rolled back to the upstreams the API gateway had before the ramp, or paused. Without a health
+     * check the ramp still advances, but the health of the API gateway is regarded as unknown.
+     * Ramps run in the browser and are kept in memory (by API gateway name), so they survive navigation but not a
+     * reload of the page.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .factory('ApiGatewayCanaryRampService', ApiGatewayCanaryRampService);
+
+    function ApiGatewayCanaryRampService($q, $timeout, lodash, ApiGatewaysService) {
+        var DEFAULT_PLAN = {
+            steps: [5, 25, 50, 100],
+            interval: 10,
+            autoRollback: true
+        };
+        var MINUTE_MILLIS = 60000;
+
+        var ramps = {};
+        var runners = {};
+
+        return {
+            abortRamp: abortRamp,
+            dismissRamp: dismissRamp,
+            getDefaultPlan: getDefaultPlan,
+            getRamp: getRamp,
+            isRampActive: isRampActive,
+            parseSteps: parseSteps,
+            pauseRamp: pauseRamp,
+            resumeRamp: resumeRamp,
+            startRamp: startRamp
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Stops a ramp. The API gateway is either left with its current traffic split, or rolled back to the upstreams
+         * it had before the ramp started
+         * @param {string} name - the name of the API gateway
+         * @param {boolean} [rollback=false] - set to `true` to roll back the API gateway
+         * @returns {Promise} resolved when the ramp is stopped (and the API gateway is rolled back, if requested)
+         */
+        function abortRamp(name, rollback) {
+            var ramp = ramps[name];
+
+            if (!isRampActive(ramp)) {
+                return $q.when();
+            }
+
+            var runner = runners[name];
+            cancelTimer(runner);
+            ramp.state = 'stopping';
+
+            // wait for a step that is currently being applied, so the rollback is not overridden by it
+            return runner.pending.then(function () {
+
+                // the step might have been the last one, or might have failed, which ends the ramp anyway
+                if (ramp.state === 'stopping') {
+                    return rollback ? rollbackRamp(ramp) : finishRamp(ramp, 'aborted');
+                }
+            });
+        }
+
+        /**
+         * Removes a ramp that is no longer active, so it is not displayed anymore
+         * @param {string} name - the name of the API gateway
+         */
+        function dismissRamp(name) {
+            if (!isRampActive(ramps[name])) {
+                delete ramps[name];
+            }
+        }
+
+        /**
+         * Gets the default rollout plan
+         * @returns {{steps: Array.<number>, interval: number, autoRollback: boolean}} the plan, where `steps` are the
+         *     traffic percentages of the canary, and `interval` is the time between steps in minutes
+         */
+        function getDefaultPlan() {
+            return angular.copy(DEFAULT_PLAN);
+        }
+
+        /**
+         * Gets the ramp of an API gateway
+         * @param {string} name - the name of the API gateway
+         * @returns {Object|undefined} the ramp, or `undefined` if no ramp was started for the API gateway
+         */
+        function getRamp(name) {
+            return ramps[name];
+        }
+
+        /**
+         * Tests whether a ramp is active (i.e. not finished yet)
+         * @param {Object} [ramp] - the ramp
+         * @returns {boolean} `true` if the ramp is running, paused or stopping, or `false` otherwise
+         */
+        function isRampActive(ramp) {
+            return lodash.includes(['running', 'paused', 'stopping'], lodash.get(ramp, 'state'));
+        }
+
+        /**
+         * Parses a comma-separated list of traffic percentages (e.g. `'5, 25, 50, 100'`)
+         * @param {string} text - the text to parse
+         * @returns {Array.<number>|null} the list of percentages, or `null` in case the text is not a non-empty list
+         *     of ascending integers between 1 and 100
+         */
+        function parseSteps(text) {
+            var steps = lodash.chain(text)
+                .split(',')
+                .map(lodash.trim)
+                .reject(lodash.isEmpty)
+                .map(Number)
+                .value();
+            var isValid = !lodash.isEmpty(steps) && lodash.every(steps, function (step, index) {
+                return lodash.isInteger(step) && step >= 1 && step <= 100 && (index === 0 || step > steps[index - 1]);
+            });
+
+            return isValid ? steps : null;
+        }
+
+        /**
+         * Pauses a running ramp. The time left until the next step is kept for when the ramp is resumed
+         * @param {string} name - the name of the API gateway
+         */
+        function pauseRamp(name) {
+            var ramp = ramps[name];
+
+            if (lodash.get(ramp, 'state') === 'running') {
+                var runner = runners[name];
+
+                if (!lodash.isNull(runner.timer)) {
+                    ramp.remainingTime = Math.max(ramp.nextStepTime - Date.now(), 0);
+                }
+
+                cancelTimer(runner);
+                ramp.state = 'paused';
+            }
+        }
+
+        /**
+         * Resumes a paused ramp
+         * @param {string} name - the name of the API gateway
+         */
+        function resumeRamp(name) {
+            var ramp = ramps[name];
+
+            if (lodash.get(ramp, 'state') === 'paused') {
+                ramp.state = 'running';
+                ramp.error = null;
+                ramp.healthCheckFailed = false;
+
+                if (!lodash.isNull(ramp.remainingTime)) {
+                    scheduleNextStep(ramp, ramp.remainingTime);
+                }
+            }
+        }
+
+        /**
+         * Starts a ramp for an API gateway that has a canary upstream, and applies its first step right away
+         * @param {Object} apiGateway - the API gateway
+         * @param {{steps: Array.<number>, interval: number, autoRollback: boolean}} plan - the rollout plan
+         * @param {Object} callbacks - the callbacks of the host
+         * @param {function} callbacks.updateApiGateway - updates the API gateway (invoked with the updated API
+         *     gateway), returns a promise
+         * @param {function} [callbacks.checkHealth] - checks the health of the API gateway (invoked with the API
+         *     gateway and the current percentage of the canary), returns a promise (or a value) - the check fails if
+         *     it is rejected or resolved to `false`, and the health is regarded as unknown if it is resolved to
+         *     `undefined` or if the callback is omitted
+         * @param {function} [callbacks.onUpdate] - invoked with the updated API gateway after each step and rollback
+         * @returns {Object} the ramp
+         */
+        function startRamp(apiGateway, plan, callbacks) {
+            var name = lodash.get(apiGateway, 'metadata.name');
+
+            if (isRampActive(ramps[name])) {
+                return ramps[name];
+            }
+
+            var ramp = {
+                name: name,
+                canaryName: ApiGatewaysService.getCanaryName(apiGateway),
+                steps: plan.steps,
+                interval: plan.interval,
+                autoRollback: plan.autoRollback,
+                state: 'running',
+                stepIndex: -1,
+                percentage: ApiGatewaysService.getCanaryPercentage(apiGateway, 0),
+                nextStepTime: null,
+                remainingTime: null,
+                error: null,
+                healthCheckFailed: false,
+                healthUnknown: !angular.isFunction(lodash.get(callbacks, 'checkHealth'))
+            };
+
+            ramps[name] = ramp;
+            runners[name] = {
+                apiGateway: angular.copy(lodash.omit(apiGateway, ['ui', 'status'])),
+                initialUpstreams: angular.copy(lodash.get(apiGateway, 'spec.upstreams', [])),
+                callbacks: callbacks,
+                pending: $q.when(),
+                timer: null
+            };
+
+            applyStep(ramp, 0);
+
+            return ramp;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Applies a step of a ramp, and schedules the next one (or completes the ramp, if it was the last step)
+         * @param {Object} ramp - the ramp
+         * @param {number} index - the index of the step
+         */
+        function applyStep(ramp, index) {
+            var runner = runners[ramp.name];
+            var percentage = ramp.steps[index];
+            var apiGateway = angular.copy(runner.apiGateway);
+            var canary = ApiGatewaysService.getCanary(apiGateway);
+
+            // a step of 100% promotes the canary to primary (the same way the API gateway wizard does)
+            if (percentage >= 100) {
+                canary.percentage = 0;
+                apiGateway.spec.upstreams = [canary];
+            } else {
+                canary.percentage = percentage;
+            }
+
+            runner.pending = updateApiGateway(ramp, apiGateway)
+                .then(function () {
+                    ramp.stepIndex = index;
+                    ramp.percentage = percentage;
+
+                    if (index === ramp.steps.length - 1) {
+                        finishRamp(ramp, 'completed');
+                    } else if (ramp.state === 'running') {
+                        scheduleNextStep(ramp, ramp.interval * MINUTE_MILLIS);
+                    } else if (ramp.state === 'paused') {
+                        ramp.remainingTime = ramp.interval * MINUTE_MILLIS;
+                    }
+                })
+                .catch(function (error) {
+                    ramp.error = getErrorMessage(error);
+                    finishRamp(ramp, 'failed');
+                });
+        }
+
+        /**
+         * Cancels the timer of the next step of a ramp
+         * @param {Object} runner - the runner of the ramp
+         */
+        function cancelTimer(runner) {
+            if (!lodash.isNull(runner.timer)) {
+                $timeout.cancel(runner.timer);
+                runner.timer = null;
+            }
+        }
+
+        /**
+         * Checks the health of the API gateway, then applies the next step of the ramp. In case the health check
+         * fails, the ramp is rolled back, or paused if automatic rollback is off
+         * @param {Object} ramp - the ramp
+         */
+        function checkHealthAndAdvance(ramp) {
+            var runner = runners[ramp.name];
+            var checkHealth = lodash.get(runner, 'callbacks.checkHealth', lodash.noop);
+
+            ramp.nextStepTime = null;
+            ramp.checkingHealth = true;
+
+            runner.pending = $q.when(checkHealth(angular.copy(runner.apiGateway), ramp.percentage))
+                .then(function (isHealthy) {
+                    if (isHealthy === false) {
+                        return $q.reject();
+                    }
+
+                    ramp.healthUnknown = angular.isUndefined(isHealthy);
+                })
+                .then(function () {
+                    ramp.checkingHealth = false;
+
+                    if (ramp.state === 'running') {
+                        applyStep(ramp, ramp.stepIndex + 1);
+                    } else if (ramp.state === 'paused') {
+                        ramp.remainingTime = 0;
+                    }
+                }, function (error) {
+                    ramp.checkingHealth = false;
+
+                    if (ramp.state === 'running' || ramp.state === 'paused') {
+                        ramp.healthCheckFailed = true;
+
+                        if (ramp.autoRollback) {
+                            return rollbackRamp(ramp, getErrorMessage(error));
+                        }
+
+                        ramp.state = 'paused';
+                        ramp.remainingTime = 0;
+                        ramp.error = getErrorMessage(error);
+                    }
+                });
+        }
+
+        /**
+         * Ends a ramp
+         * @param {Object} ramp - the ramp
+         * @param {string} state - the final state (`'completed'`, `'aborted'`, `'rolledBack'` or `'failed'`)
+         */
+        function finishRamp(ramp, state) {
+            cancelTimer(runners[ramp.name]);
+            delete runners[ramp.name];
+
+            ramp.state = state;
+            ramp.nextStepTime = null;
+            ramp.remainingTime = null;
+        }
+
+        /**
+         * Extracts the error message out of a rejection reason
+         * @param {*} error - the rejection reason
+         * @returns {?string} the error message, or `null` if there is none
+         */
+        function getErrorMessage(error) {
+            var message = lodash.isString(error) ? error :
+                lodash.get(error, 'data.error', lodash.get(error, 'message', lodash.get(error, 'statusText')));
+
+            return lodash.isEmpty(message) ? null : message;
+        }
+
+        /**
+         * Restores the upstreams the API gateway had before the ramp started
+         * @param {Object} ramp - the ramp
+         * @param {string} [reason] - the reason of the rollback (e.g. the error of the health check)
+         * @returns {Promise} resolved when the ramp ended
+         */
+        function rollbackRamp(ramp, reason) {
+            var runner = runners[ramp.name];
+            var apiGateway = angular.copy(runner.apiGateway);
+
+            apiGateway.spec.upstreams = angular.copy(runner.initialUpstreams);
+            ramp.state = 'stopping';
+
+            return updateApiGateway(ramp, apiGateway)
+                .then(function () {
+                    ramp.error = lodash.defaultTo(reason, null);
+                    ramp.percentage = ApiGatewaysService.getCanaryPercentage(apiGateway, 0);
+                    finishRamp(ramp, 'rolledBack');
+                })
+                .catch(function (updateError) {
+                    ramp.error = getErrorMessage(updateError);
+                    finishRamp(ramp, 'failed');
+                });
+        }
+
+        /**
+         * Schedules the next step of a ramp
+         * @param {Object} ramp - the ramp
+         * @param {number} delay - the time until the next step, in milliseconds
+         */
+        function scheduleNextStep(ramp, delay) {
+            var runner = runners[ramp.name];
+
+            ramp.nextStepTime = Date.now() + delay;
+            ramp.remainingTime = null;
+            runner.timer = $timeout(function () {
+                runner.timer = null;
+                checkHealthAndAdvance(ramp);
+            }, delay);
+        }
+
+        /**
+         * Updates the API gateway using the host's callback, and notifies the host about the update
+         * @param {Object} ramp - the ramp
+         * @param {Object} apiGateway - the updated API gateway
+         * @returns {Promise} resolved when the API gateway is updated
+         */
+        function updateApiGateway(ramp, apiGateway) {
+            var runner = runners[ramp.name];
+
+            return $q.when(runner.callbacks.updateApiGateway(apiGateway))
+                .then(function () {
+                    runner.apiGateway = apiGateway;
+
+                    if (angular.isFunction(runner.callbacks.onUpdate)) {
+                        runner.callbacks.onUpdate(angular.copy(apiGateway));
+                    }
+                });
+        }
+    }
+}());
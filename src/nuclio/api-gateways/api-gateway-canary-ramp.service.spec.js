@@ -0,0 +1,318 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('ApiGatewayCanaryRampService: ', function () {
+    var $q;
+    var $rootScope;
+    var $timeout;
+    var ApiGatewayCanaryRampService;
+    var apiGateway;
+    var callbacks;
+    var plan;
+
+    var MINUTE = 60000;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _$timeout_, _ApiGatewayCanaryRampService_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
+            ApiGatewayCanaryRampService = _ApiGatewayCanaryRampService_;
+        });
+
+        apiGateway = {
+            metadata: {
+                name: 'my-gateway'
+            },
+            spec: {
+                name: 'my-gateway',
+                upstreams: [
+                    {
+                        kind: 'nucliofunction',
+                        nucliofunction: {
+                            name: 'primary'
+                        },
+                        percentage: 0
+                    },
+                    {
+                        kind: 'nucliofunction',
+                        nucliofunction: {
+                            name: 'canary'
+                        },
+                        percentage: 10
+                    }
+                ]
+            },
+            status: {
+                state: 'ready'
+            },
+            ui: {
+                checked: false
+            }
+        };
+        callbacks = {
+            updateApiGateway: jasmine.createSpy('updateApiGateway').and.returnValue($q.when()),
+            checkHealth: jasmine.createSpy('checkHealth').and.returnValue($q.when(true)),
+            onUpdate: jasmine.createSpy('onUpdate')
+        };
+        plan = {
+            steps: [20, 50, 100],
+            interval: 5,
+            autoRollback: true
+        };
+    });
+
+    afterEach(function () {
+        $q = null;
+        $rootScope = null;
+        $timeout = null;
+        ApiGatewayCanaryRampService = null;
+    });
+
+    /**
+     * Returns the canary percentages the API gateway was updated with, in order
+     * @returns {Array.<number>} the percentages
+     */
+    function getUpdatedPercentages() {
+        return callbacks.updateApiGateway.calls.allArgs().map(function (args) {
+            var upstreams = args[0].spec.upstreams;
+
+            return upstreams.length === 1 ? 100 : upstreams[1].percentage;
+        });
+    }
+
+    describe('parseSteps(): ', function () {
+        it('should parse a comma-separated list of ascending percentages', function () {
+            expect(ApiGatewayCanaryRampService.parseSteps(' 5, 25 ,50,100, ')).toEqual([5, 25, 50, 100]);
+            expect(ApiGatewayCanaryRampService.parseSteps('30')).toEqual([30]);
+        });
+
+        it('should return `null` for an invalid list', function () {
+            expect(ApiGatewayCanaryRampService.parseSteps('')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('5, 5, 10')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('50, 25')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('0, 50')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('50, 101')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('5.5, 10')).toBeNull();
+            expect(ApiGatewayCanaryRampService.parseSteps('a, 10')).toBeNull();
+        });
+    });
+
+    describe('startRamp(): ', function () {
+        it('should apply the steps at the interval and promote the canary on 100%', function () {
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            expect(getUpdatedPercentages()).toEqual([20]);
+            expect(callbacks.updateApiGateway.calls.mostRecent().args[0].ui).toBeUndefined();
+            expect(callbacks.updateApiGateway.calls.mostRecent().args[0].status).toBeUndefined();
+            expect(ramp).toEqual(jasmine.objectContaining({
+                state: 'running',
+                stepIndex: 0,
+                percentage: 20
+            }));
+            expect(ApiGatewayCanaryRampService.getRamp('my-gateway')).toBe(ramp);
+
+            $timeout.flush(5 * MINUTE - 1);
+            expect(callbacks.checkHealth).not.toHaveBeenCalled();
+
+            $timeout.flush(1);
+            expect(callbacks.checkHealth).toHaveBeenCalledWith(jasmine.any(Object), 20);
+            expect(getUpdatedPercentages()).toEqual([20, 50]);
+
+            $timeout.flush(5 * MINUTE);
+            expect(getUpdatedPercentages()).toEqual([20, 50, 100]);
+            expect(callbacks.updateApiGateway.calls.mostRecent().args[0].spec.upstreams).toEqual([{
+                kind: 'nucliofunction',
+                nucliofunction: {
+                    name: 'canary'
+                },
+                percentage: 0
+            }]);
+            expect(callbacks.onUpdate.calls.count()).toBe(3);
+            expect(ramp.state).toBe('completed');
+            expect(ramp.percentage).toBe(100);
+            expect(ramp.nextStepTime).toBeNull();
+        });
+
+        it('should not start a second ramp for the same API gateway while the first one is active', function () {
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+
+            expect(ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks)).toBe(ramp);
+            expect(callbacks.updateApiGateway.calls.count()).toBe(1);
+        });
+
+        it('should roll back when the health check fails', function () {
+            callbacks.checkHealth.and.returnValue($q.reject({ statusText: 'Too many errors' }));
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+            $timeout.flush(5 * MINUTE);
+
+            expect(getUpdatedPercentages()).toEqual([20, 10]);
+            expect(callbacks.updateApiGateway.calls.mostRecent().args[0].spec.upstreams)
+                .toEqual(apiGateway.spec.upstreams);
+            expect(ramp).toEqual(jasmine.objectContaining({
+                state: 'rolledBack',
+                percentage: 10,
+                healthCheckFailed: true,
+                error: 'Too many errors'
+            }));
+        });
+
+        it('should pause when the health check fails and automatic rollback is off', function () {
+            plan.autoRollback = false;
+            callbacks.checkHealth.and.returnValue(false);
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+            $timeout.flush(5 * MINUTE);
+
+            expect(getUpdatedPercentages()).toEqual([20]);
+            expect(ramp.state).toBe('paused');
+            expect(ramp.healthCheckFailed).toBe(true);
+
+            callbacks.checkHealth.and.returnValue(true);
+            ApiGatewayCanaryRampService.resumeRamp('my-gateway');
+            $timeout.flush(0);
+
+            expect(getUpdatedPercentages()).toEqual([20, 50]);
+            expect(ramp.healthCheckFailed).toBe(false);
+        });
+
+        it('should regard the health as unknown when there is no health check', function () {
+            delete callbacks.checkHealth;
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            expect(ramp.healthUnknown).toBe(true);
+
+            $timeout.flush(5 * MINUTE);
+
+            expect(getUpdatedPercentages()).toEqual([20, 50]);
+            expect(ramp).toEqual(jasmine.objectContaining({
+                state: 'running',
+                healthCheckFailed: false,
+                healthUnknown: true
+            }));
+        });
+
+        it('should regard the health as unknown when the health check does not resolve to a result', function () {
+            callbacks.checkHealth.and.returnValue($q.when());
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            expect(ramp.healthUnknown).toBe(false);
+
+            $timeout.flush(5 * MINUTE);
+
+            expect(getUpdatedPercentages()).toEqual([20, 50]);
+            expect(ramp.healthUnknown).toBe(true);
+
+            callbacks.checkHealth.and.returnValue($q.when(true));
+            $timeout.flush(5 * MINUTE);
+
+            expect(ramp.healthUnknown).toBe(false);
+        });
+
+        it('should fail when updating the API gateway fails', function () {
+            callbacks.updateApiGateway.and.returnValue($q.reject({ data: { error: 'Conflict' } }));
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            expect(ramp.state).toBe('failed');
+            expect(ramp.error).toBe('Conflict');
+
+            $timeout.flush(60 * MINUTE);
+            expect(callbacks.updateApiGateway.calls.count()).toBe(1);
+        });
+    });
+
+    describe('pauseRamp(): ', function () {
+        it('should keep the remaining time until the next step', function () {
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+            spyOn(Date, 'now').and.returnValue(ramp.nextStepTime - 2 * MINUTE);
+
+            ApiGatewayCanaryRampService.pauseRamp('my-gateway');
+
+            expect(ramp.state).toBe('paused');
+            expect(ramp.remainingTime).toBe(2 * MINUTE);
+
+            $timeout.flush(60 * MINUTE);
+            expect(getUpdatedPercentages()).toEqual([20]);
+
+            ApiGatewayCanaryRampService.resumeRamp('my-gateway');
+            $timeout.flush(2 * MINUTE);
+
+            expect(getUpdatedPercentages()).toEqual([20, 50]);
+        });
+    });
+
+    describe('abortRamp(): ', function () {
+        it('should stop the ramp and keep the current traffic split', function () {
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            ApiGatewayCanaryRampService.abortRamp('my-gateway');
+            $rootScope.$digest();
+
+            expect(ramp.state).toBe('aborted');
+            $timeout.flush(60 * MINUTE);
+            expect(getUpdatedPercentages()).toEqual([20]);
+        });
+
+        it('should roll back to the upstreams from before the ramp', function () {
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            $rootScope.$digest();
+
+            ApiGatewayCanaryRampService.abortRamp('my-gateway', true);
+            $rootScope.$digest();
+
+            expect(ramp.state).toBe('rolledBack');
+            expect(ramp.healthCheckFailed).toBe(false);
+            expect(getUpdatedPercentages()).toEqual([20, 10]);
+        });
+
+        it('should wait for a step that is being applied before rolling back', function () {
+            var deferred = $q.defer();
+            callbacks.updateApiGateway.and.returnValue(deferred.promise);
+
+            var ramp = ApiGatewayCanaryRampService.startRamp(apiGateway, plan, callbacks);
+            ApiGatewayCanaryRampService.abortRamp('my-gateway', true);
+            $rootScope.$digest();
+
+            expect(ramp.state).toBe('stopping');
+            expect(getUpdatedPercentages()).toEqual([20]);
+
+            callbacks.updateApiGateway.and.returnValue($q.when());
+            deferred.resolve();
+            $rootScope.$digest();
+
+            expect(getUpdatedPercentages()).toEqual([20, 10]);
+            expect(ramp.state).toBe('rolledBack');
+
+            ApiGatewayCanaryRampService.dismissRamp('my-gateway');
+
+            expect(ApiGatewayCanaryRampService.getRamp('my-gateway')).toBeUndefined();
+        });
+    });
+});
@@ -23,6 +23,7 @@ such restriction.
                 actionHandlerCallback: '&',
                 apiGateway: '<',
                 apiGateways: '<',
+                checkApiGatewayHealth: '&?',
                 createApiGateway: '&',
                 deleteApiGateway: '&',
                 getFunctions: '&',
@@ -35,25 +36,32 @@ such restriction.
             controller: ApiGatewayRowController
         });
 
-    function ApiGatewayRowController($scope, $timeout, $i18next, i18next, lodash, ngDialog, ActionCheckboxAllService,
-                                     ApiGatewaysService, ConfigService, DialogsService) {
+    function ApiGatewayRowController($filter, $scope, $timeout, $i18next, i18next, lodash, ngDialog, ActionCheckboxAllService,
+                                     ApiGatewayCanaryRampService, ApiGatewaysService, ConfigService, DialogsService) {
         var ctrl = this;
         var lng = i18next.language;
 
         ctrl.apiGatewayActions = [];
         ctrl.authModes = [];
+        ctrl.canaryRamp = null;
         ctrl.nameTooltip = '';
 
         ctrl.$onInit = onInit;
         ctrl.$onDestroy = onDestroy;
 
+        ctrl.abortCanaryRamp = abortCanaryRamp;
+        ctrl.dismissCanaryRamp = dismissCanaryRamp;
         ctrl.getAuthModeName = getAuthModeName;
+        ctrl.getCanaryRampTooltip = getCanaryRampTooltip;
         ctrl.getCreatedBy = getCreatedBy;
         ctrl.onFireAction = onFireAction;
+        ctrl.pauseCanaryRamp = pauseCanaryRamp;
+        ctrl.resumeCanaryRamp = resumeCanaryRamp;
 
         ctrl.getCanaryName = ApiGatewaysService.getCanaryName;
         ctrl.getCanaryPercentage = ApiGatewaysService.getCanaryPercentage;
         ctrl.getPrimaryName = ApiGatewaysService.getPrimaryName;
+        ctrl.isCanaryRampActive = ApiGatewayCanaryRampService.isRampActive;
         ctrl.isDemoMode = ConfigService.isDemoMode;
         ctrl.isSteadyState = ApiGatewaysService.isSteadyState;
 
@@ -67,6 +75,7 @@ such restriction.
         function onInit() {
             lodash.merge(ctrl.apiGateway, {
                 ui: {
+                    canaryRollout: openCanaryRampDialog,
                     checked: false,
                     delete: deleteApiGateway,
                     edit: editApiGateway
@@ -76,6 +85,10 @@ such restriction.
             // initialize API gateway actions array
             ctrl.apiGatewayActions = ApiGatewaysService.initApiGatewayActions();
 
+            // a canary rollout keeps running while the list is refreshed (and rows are re-created), so pick it up
+            ctrl.canaryRamp = lodash.defaultTo(ApiGatewayCanaryRampService.getRamp(ctrl.apiGateway.metadata.name), null);
+            updateCanaryRolloutAction();
+
             // initialize API gateway authentication modes
             ctrl.authModes = ApiGatewaysService.getAuthModes();
 
@@ -108,6 +121,31 @@ such restriction.
         // Public methods
         //
 
+        /**
+         * Stops the canary rollout of the API gateway (after confirmation)
+         * @param {boolean} rollback - set to `true` to restore the traffic split from before the rollout, or `false`
+         *     to keep the current traffic split
+         */
+        function abortCanaryRamp(rollback) {
+            var message = $i18next.t(rollback ? 'functions:ROLL_BACK_ROLLOUT_CONFIRM' : 'functions:ABORT_ROLLOUT_CONFIRM',
+                                     { lng: lng });
+            var yesLabel = $i18next.t(rollback ? 'functions:ROLL_BACK' : 'common:ABORT', { lng: lng });
+
+            DialogsService.confirm(message, yesLabel, $i18next.t('common:CANCEL', { lng: lng }), 'nuclio_alert')
+                .then(function () {
+                    return ApiGatewayCanaryRampService.abortRamp(ctrl.apiGateway.metadata.name, rollback);
+                })
+                .then(updateCanaryRolloutAction);
+        }
+
+        /**
+         * Hides the progress of a finished canary rollout
+         */
+        function dismissCanaryRamp() {
+            ApiGatewayCanaryRampService.dismissRamp(ctrl.apiGateway.metadata.name);
+            ctrl.canaryRamp = null;
+        }
+
         /**
          * Returns the authentication mode name corresponding to the API gateway's authentication mode.
          * @returns {string} the authentication mode name corresponding to the API gateway's authentication mode.
@@ -120,6 +158,39 @@ such restriction.
                 .value();
         }
 
+        /**
+         * Returns the description of the state of the canary rollout of the API gateway.
+         * @returns {string} the description (e.g. `'Rolling out: step 2 of 4 (25%), next step at 10:45:00'`).
+         */
+        function getCanaryRampTooltip() {
+            var ramp = ctrl.canaryRamp;
+            var state = $i18next.t('functions:CANARY_ROLLOUT_STATE.' + lodash.snakeCase(ramp.state).toUpperCase(),
+                                   { lng: lng });
+            var progress = $i18next.t('functions:CANARY_ROLLOUT_PROGRESS', {
+                lng: lng,
+                step: ramp.stepIndex + 1,
+                count: ramp.steps.length,
+                percentage: ramp.percentage
+            });
+            var health = ramp.healthCheckFailed ? 'functions:CANARY_ROLLOUT_HEALTH_CHECK_FAILED' :
+                         ramp.healthUnknown     ? 'functions:CANARY_ROLLOUT_HEALTH_UNKNOWN'      :
+                         /* else */               null;
+            var nextStep = lodash.isNull(ramp.nextStepTime) ? '' : $i18next.t('functions:CANARY_ROLLOUT_NEXT_STEP', {
+                lng: lng,
+                time: $filter('date')(ramp.nextStepTime, 'HH:mm:ss')
+            });
+
+            return lodash.chain([
+                state + ': ' + progress,
+                lodash.isNull(health) ? '' : $i18next.t(health, { lng: lng }),
+                nextStep,
+                ramp.error
+            ])
+                .reject(lodash.isEmpty)
+                .join('<br>')
+                .value();
+        }
+
         /**
          * Returns the username who created API gateway.
          * @returns {string} the username.
@@ -139,6 +210,20 @@ such restriction.
             ctrl.actionHandlerCallback({ actionType: actionType, checkedItems: [ctrl.apiGateway] });
         }
 
+        /**
+         * Pauses the canary rollout of the API gateway
+         */
+        function pauseCanaryRamp() {
+            ApiGatewayCanaryRampService.pauseRamp(ctrl.apiGateway.metadata.name);
+        }
+
+        /**
+         * Resumes the paused canary rollout of the API gateway
+         */
+        function resumeCanaryRamp() {
+            ApiGatewayCanaryRampService.resumeRamp(ctrl.apiGateway.metadata.name);
+        }
+
         //
         // Private methods
         //
@@ -207,6 +292,35 @@ such restriction.
                 });
         }
 
+        /**
+         * Opens a dialog for planning a canary rollout of the API gateway, and starts the rollout on confirm.
+         * Each step of the rollout updates the API gateway and polls it until it is in a steady state.
+         */
+        function openCanaryRampDialog() {
+            if (ctrl.isCanaryRampActive(ctrl.canaryRamp) || lodash.isNil(ApiGatewaysService.getCanary(ctrl.apiGateway))) {
+                return;
+            }
+
+            ngDialog.open({
+                template: '<ncl-api-gateway-canary-ramp-dialog data-api-gateway="ngDialogData.apiGateway" ' +
+                    'data-close-dialog="closeThisDialog(value)"></ncl-api-gateway-canary-ramp-dialog>',
+                plain: true,
+                data: {
+                    apiGateway: ctrl.apiGateway
+                },
+                className: 'ngdialog-theme-iguazio api-gateway-canary-ramp-dialog-wrapper'
+            }).closePromise
+                .then(function (data) {
+                    var plan = lodash.get(data, 'value');
+
+                    if (lodash.isObject(plan)) {
+                        ctrl.canaryRamp = ApiGatewayCanaryRampService.startRamp(ctrl.apiGateway, plan,
+                                                                                getCanaryRampCallbacks());
+                        updateCanaryRolloutAction();
+                    }
+                });
+        }
+
         /**
          * Generates the tooltip text message to display on hovering the API gateway's name.
          */
@@ -215,5 +329,47 @@ such restriction.
             ctrl.nameTooltip = lodash.isEmpty(spec.description) ? spec.name :
                 '<b>' + spec.name + '</b><br>' + spec.description;
         }
+
+        /**
+         * Gets the callbacks of a canary rollout of the API gateway. The health check is omitted (so the health of the
+         * API gateway is regarded as unknown) in case no `checkApiGatewayHealth` callback is supplied.
+         * @returns {Object} the callbacks, see `ApiGatewayCanaryRampService.startRamp`
+         */
+        function getCanaryRampCallbacks() {
+            var projectName = ctrl.project.metadata.name;
+            var callbacks = {
+                updateApiGateway: function (apiGateway) {
+                    return ctrl.updateApiGateway({ apiGateway: apiGateway, projectName: projectName });
+                },
+                onUpdate: function (apiGateway) {
+                    ctrl.apiGateway.spec.upstreams = apiGateway.spec.upstreams;
+                    lodash.set(ctrl.apiGateway, 'status.state', '');
+
+                    // notify parent
+                    ctrl.updateFunction({ apiGateway: ctrl.apiGateway });
+                }
+            };
+
+            if (angular.isFunction(ctrl.checkApiGatewayHealth)) {
+                callbacks.checkHealth = function (apiGateway, percentage) {
+                    return ctrl.checkApiGatewayHealth({ apiGateway: apiGateway, percentage: percentage });
+                };
+            }
+
+            return callbacks;
+        }
+
+        /**
+         * Sets the "Canary rollout" action active only when the API gateway has a canary function and no active
+         * rollout.
+         */
+        function updateCanaryRolloutAction() {
+            var canaryRolloutAction = lodash.find(ctrl.apiGatewayActions, ['id', 'canaryRollout']);
+
+            if (!lodash.isNil(canaryRolloutAction)) {
+                canaryRolloutAction.active = !lodash.isNil(ApiGatewaysService.getCanary(ctrl.apiGateway)) &&
+                    !ctrl.isCanaryRampActive(ctrl.canaryRamp);
+            }
+        }
     }
 }());
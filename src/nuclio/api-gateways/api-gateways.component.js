@@ -21,6 +21,7 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .component('nclApiGateways', {
             bindings: {
+                checkApiGatewayHealth: '&?',
                 createApiGateway: '&',
                 deleteApiGateway: '&',
                 getApiGateway: '&',
@@ -34,8 +35,8 @@ such restriction.
         });
 
     function ApiGatewaysController($interval, $q, $rootScope, $scope, $state, $timeout, $i18next, i18next, lodash,
-                                   ngDialog, ApiGatewaysService, CommonTableService, ConfigService, DialogsService,
-                                   GeneralDataService, NuclioHeaderService) {
+                                   ngDialog, ApiGatewayCanaryRampService, ApiGatewaysService, CommonTableService,
+                                   ConfigService, DialogsService, GeneralDataService, NuclioHeaderService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -392,6 +393,17 @@ such restriction.
                 });
         }
 
+        /**
+         * Checks whether a canary rollout could be started for an API gateway
+         * @param {Object} apiGateway - the API gateway
+         * @returns {boolean} `true` if the API gateway has a canary function and no active rollout, or `false`
+         *     otherwise
+         */
+        function isCanaryRolloutAllowed(apiGateway) {
+            return !lodash.isNil(ApiGatewaysService.getCanary(apiGateway)) &&
+                !ApiGatewayCanaryRampService.isRampActive(ApiGatewayCanaryRampService.getRamp(apiGateway.metadata.name));
+        }
+
         /**
          * Handler on action-panel broadcast
          * @param {Event} event - $broadcast-ed event
@@ -441,6 +453,15 @@ such restriction.
                     editAction.visible = checkedRowsCount === 1;
                 }
 
+                // sets visibility status of `canaryRollout` action
+                // visible if only one API Gateway is checked, active if it has a canary function and no active rollout
+                var canaryRolloutAction = lodash.find(ctrl.apiGatewayActions, ['id', 'canaryRollout']);
+
+                if (!lodash.isNil(canaryRolloutAction)) {
+                    canaryRolloutAction.visible = checkedRowsCount === 1;
+                    canaryRolloutAction.active = checkedRows.length === 1 && isCanaryRolloutAllowed(checkedRows[0]);
+                }
+
                 // sets confirm message for `delete action` depending on count of checked rows
                 var deleteAction = lodash.find(ctrl.apiGatewayActions, ['id', 'delete']);
 
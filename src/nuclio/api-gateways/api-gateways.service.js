@@ -204,6 +204,12 @@ such restriction.
                     id: 'edit',
                     icon: 'igz-icon-edit',
                     active: true
+                },
+                {
+                    label: $i18next.t('functions:CANARY_ROLLOUT', { lng: lng }),
+                    id: 'canaryRollout',
+                    icon: 'igz-icon-drag-arrow-up',
+                    active: true
                 }
             ];
         }
@@ -84,6 +84,16 @@ such restriction.
         ctrl.usernameIsFocused = false;
         ctrl.validationRules = {
             apiGatewayName: ValidationService.getValidationRules('apiGateway.name'),
+            canaryFunction: [
+                ValidationService.createCrossFieldRule({
+                    name: 'differentFromPrimary',
+                    label: $i18next.t('functions:DIFFERENT_FROM_PRIMARY_FUNCTION', { lng: lng }),
+                    fields: [ctrl.primaryFunctionInput],
+                    validate: function (value, values) {
+                        return value !== values[ctrl.primaryFunctionInput];
+                    }
+                })
+            ],
             host: ValidationService.getValidationRules('k8s.dns1123Subdomain')
         };
 
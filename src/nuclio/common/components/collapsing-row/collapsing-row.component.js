@@ -33,7 +33,7 @@ such restriction.
         });
 
     function NclCollapsingRowController($i18next, $timeout, i18next, lodash, DialogsService, FunctionsService,
-                                        MaskService) {
+                                        MaskService, TriggerSchemaService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -90,9 +90,16 @@ such restriction.
          */
         function getAttributeValue(key, value) {
             var attrValue = value;
+            var attributePath = 'attributes.' + key;
+            var isSecret = lodash.some(TriggerSchemaService.getSecretPaths(ctrl.item.kind), function (path) {
+                return path === attributePath || lodash.startsWith(path, attributePath + '.');
+            });
 
             if (key === 'schedule') {
                 attrValue = '0 ' + value;
+            } else if (isSecret) {
+                attrValue = lodash.get(TriggerSchemaService.maskSecrets(lodash.pick(ctrl.item, ['kind', 'attributes'])),
+                                       attributePath);
             } else if (MaskService.commonSensitiveFields.includes(key) || key === 'sasl') {
                 attrValue = typeof value === 'string' ? MaskService.getMask(value) :
                                                         MaskService.getObjectWithMask(value);
@@ -0,0 +1,227 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclCronScheduleBuilder
+     * @description
+     * Builds the schedule of a cron trigger from a preset (every N minutes, daily at a time or weekdays at a time) or
+     * as a raw cron expression. A human-readable description of the schedule and its next fire times, in a time zone
+     * of the user's choice, are shown below.
+     *
+     * @param {string} schedule - the cron expression (minute, hour, day of month, month and day of week), without the
+     *     seconds field of the trigger (@see {@link CronService.fromTriggerSchedule}). The trigger fires at the start
+     *     of the minute, which is what the next fire times show.
+     * @param {string} [interval] - the interval of the trigger, used to warn when both are set.
+     * @param {Object} [formObject] - the form to register the expression field in.
+     * @param {string} inputName - the name of the expression field.
+     * @param {boolean} [isRequired=false] - set to `true` to make the schedule mandatory.
+     * @param {boolean} [readOnly=false] - set to `true` to disable editing.
+     * @param {function} onChange - called on every change with `schedule`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclCronScheduleBuilder', {
+            bindings: {
+                schedule: '<',
+                interval: '<?',
+                formObject: '<?',
+                inputName: '@',
+                isRequired: '<?',
+                readOnly: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/common/components/cron-schedule-builder/cron-schedule-builder.tpl.html',
+            controller: NclCronScheduleBuilderController
+        });
+
+    function NclCronScheduleBuilderController($i18next, $timeout, i18next, lodash, CronService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        var NEXT_RUNS_COUNT = 10;
+        var PRESET_DEFAULTS = {
+            minutes: 5,
+            hour: 9,
+            minute: 0
+        };
+
+        ctrl.cronForm = null;
+        ctrl.description = '';
+        ctrl.expression = '';
+        ctrl.expressionError = '';
+        ctrl.nextRuns = [];
+        ctrl.preset = lodash.assign({ id: 'custom' }, PRESET_DEFAULTS);
+        ctrl.presetsList = lodash.map(CronService.PRESETS, function (id) {
+            return {
+                id: id,
+                name: $i18next.t('functions:CRON.' + lodash.toUpper(lodash.snakeCase(id)) + '_PRESET', {lng: lng})
+            };
+        });
+        ctrl.timeZone = CronService.getLocalTimeZone();
+        ctrl.timeZonesList = lodash.map(CronService.getTimeZones(), function (timeZone) {
+            return {
+                id: timeZone,
+                name: timeZone
+            };
+        });
+        ctrl.validationRules = [
+            {
+                name: 'cronExpression',
+                label: $i18next.t('functions:CRON.VALID_EXPRESSION', {lng: lng}),
+                pattern: function (value) {
+                    return lodash.isEmpty(value) || CronService.getExpressionError(value) === '';
+                }
+            }
+        ];
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.clearSchedule = clearSchedule;
+        ctrl.isBothSet = isBothSet;
+        ctrl.onExpressionChange = onExpressionChange;
+        ctrl.onPresetChange = onPresetChange;
+        ctrl.onPresetParamChange = onPresetParamChange;
+        ctrl.onTimeZoneChange = onTimeZoneChange;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.schedule)) {
+                var schedule = lodash.defaultTo(ctrl.schedule, '');
+
+                // the schedule is passed back after every change, in which case the selected preset is kept as is
+                if (schedule !== ctrl.expression) {
+                    ctrl.expression = schedule;
+                    ctrl.preset = lodash.defaults(CronService.getPreset(schedule), PRESET_DEFAULTS);
+
+                    updatePreview();
+                }
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Empties the schedule
+         */
+        function clearSchedule() {
+            ctrl.preset = lodash.assign({}, ctrl.preset, { id: 'custom' });
+
+            applyExpression('');
+        }
+
+        /**
+         * Checks whether both the schedule and the interval of the trigger are set
+         * @returns {boolean} `true` in case both are set, or `false` otherwise
+         */
+        function isBothSet() {
+            return !lodash.isEmpty(ctrl.interval) && !lodash.isEmpty(ctrl.expression);
+        }
+
+        /**
+         * Sets the expression typed by the user
+         * @param {string} newData - the new expression
+         */
+        function onExpressionChange(newData) {
+            ctrl.expression = newData;
+
+            updatePreview();
+
+            ctrl.onChange({ schedule: newData });
+        }
+
+        /**
+         * Switches to another preset. The expression is kept as is when switching to the custom expression.
+         * @param {Object} item - the selected preset
+         */
+        function onPresetChange(item) {
+            if (item.id !== ctrl.preset.id) {
+                ctrl.preset = lodash.assign({}, ctrl.preset, { id: item.id });
+
+                if (item.id !== 'custom') {
+                    applyExpression(CronService.getPresetExpression(ctrl.preset));
+                }
+            }
+        }
+
+        /**
+         * Sets a parameter of the selected preset
+         * @param {number} newData - the new value
+         * @param {string} field - the parameter (`minutes`, `hour` or `minute`)
+         */
+        function onPresetParamChange(newData, field) {
+            ctrl.preset[field] = newData;
+
+            if (lodash.isFinite(newData)) {
+                applyExpression(CronService.getPresetExpression(ctrl.preset));
+            }
+        }
+
+        /**
+         * Sets the time zone the next fire times are shown in. Typed text that is not a known time zone is ignored.
+         * @param {Object} item - the selected time zone
+         */
+        function onTimeZoneChange(item) {
+            if (!item.typed) {
+                ctrl.timeZone = item.id;
+
+                updatePreview();
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Sets an expression generated by the builder, updates the preview and notifies the parent component
+         * @param {string} expression - the new expression
+         */
+        function applyExpression(expression) {
+            ctrl.expression = expression;
+
+            updatePreview();
+
+            // the expression field should get the new value first, as the parent component validates the form
+            $timeout(function () {
+                ctrl.onChange({ schedule: expression });
+            });
+        }
+
+        /**
+         * Updates the description and the next fire times of the expression
+         */
+        function updatePreview() {
+            var isEmpty = lodash.isEmpty(ctrl.expression);
+
+            ctrl.expressionError = isEmpty ? '' : CronService.getExpressionError(ctrl.expression);
+            ctrl.description = isEmpty ? '' : CronService.describe(ctrl.expression);
+            ctrl.nextRuns = lodash.map(CronService.getNextRuns(ctrl.expression, NEXT_RUNS_COUNT), function (date) {
+                return CronService.formatRun(date, ctrl.timeZone);
+            });
+        }
+    }
+}());
@@ -0,0 +1,175 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclCronScheduleBuilder component: ', function () {
+    var $componentController;
+    var $timeout;
+    var CronService;
+    var ctrl;
+    var onChange;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$timeout_, _CronService_) {
+            $componentController = _$componentController_;
+            $timeout = _$timeout_;
+            CronService = _CronService_;
+        });
+
+        onChange = jasmine.createSpy('onChange');
+        ctrl = $componentController('nclCronScheduleBuilder', null, {
+            schedule: '',
+            inputName: 'item_schedule',
+            onChange: onChange
+        });
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $timeout = null;
+        CronService = null;
+        ctrl = null;
+        onChange = null;
+    });
+
+    /**
+     * Passes a new schedule to the component, like its parent component does
+     * @param {string} schedule - the new schedule
+     */
+    function changeSchedule(schedule) {
+        ctrl.schedule = schedule;
+        ctrl.$onChanges({
+            schedule: {
+                currentValue: schedule
+            }
+        });
+    }
+
+    describe('$onChanges(): ', function () {
+        it('should detect the preset of the schedule and preview it', function () {
+            changeSchedule('30 9 * * 1-5');
+
+            expect(ctrl.expression).toEqual('30 9 * * 1-5');
+            expect(ctrl.preset).toEqual({ id: 'weekdaysAt', hour: 9, minute: 30, minutes: 5 });
+            expect(ctrl.description).toEqual(CronService.describe('30 9 * * 1-5'));
+            expect(ctrl.nextRuns.length).toEqual(10);
+        });
+
+        it('should preview the fire times of the schedule of the saved trigger', function () {
+            var expression = CronService.fromTriggerSchedule('0 */20 * * * *');
+            var expectedRuns = CronService.getNextRuns(expression, 10).map(function (date) {
+                return CronService.formatRun(date, ctrl.timeZone);
+            });
+
+            changeSchedule(expression);
+
+            expect(ctrl.preset).toEqual({ id: 'everyNMinutes', minutes: 20, hour: 9, minute: 0 });
+            expect(ctrl.nextRuns).toEqual(expectedRuns);
+        });
+
+        it('should show the error of an invalid schedule without a preview', function () {
+            changeSchedule('* 24 * * *');
+
+            expect(ctrl.preset.id).toEqual('custom');
+            expect(ctrl.expressionError).not.toEqual('');
+            expect(ctrl.description).toEqual('');
+            expect(ctrl.nextRuns).toEqual([]);
+        });
+    });
+
+    describe('onPresetChange(): ', function () {
+        it('should generate the expression of the selected preset and pass it to the parent component', function () {
+            ctrl.onPresetChange({ id: 'dailyAt' });
+
+            expect(ctrl.expression).toEqual('0 9 * * *');
+            expect(ctrl.description).toEqual(CronService.describe('0 9 * * *'));
+            expect(onChange).not.toHaveBeenCalled();
+
+            $timeout.flush();
+
+            expect(onChange).toHaveBeenCalledWith({ schedule: '0 9 * * *' });
+        });
+
+        it('should keep the expression when switching to a custom expression', function () {
+            changeSchedule('*/5 * * * *');
+            ctrl.onPresetChange({ id: 'custom' });
+
+            expect(ctrl.preset.id).toEqual('custom');
+            expect(ctrl.expression).toEqual('*/5 * * * *');
+            expect(onChange).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('onPresetParamChange(): ', function () {
+        it('should update the expression by the parameter of the preset', function () {
+            ctrl.onPresetChange({ id: 'everyNMinutes' });
+            ctrl.onPresetParamChange(15, 'minutes');
+            $timeout.flush();
+
+            expect(ctrl.expression).toEqual('*/15 * * * *');
+            expect(onChange).toHaveBeenCalledWith({ schedule: '*/15 * * * *' });
+        });
+
+        it('should not update the expression while the parameter is empty', function () {
+            ctrl.onPresetChange({ id: 'everyNMinutes' });
+            ctrl.onPresetParamChange(null, 'minutes');
+
+            expect(ctrl.expression).toEqual('*/5 * * * *');
+        });
+    });
+
+    describe('onExpressionChange(): ', function () {
+        it('should preview the typed expression and pass it to the parent component', function () {
+            ctrl.onExpressionChange('0 0 1 * *');
+
+            expect(ctrl.description).toEqual(CronService.describe('0 0 1 * *'));
+            expect(ctrl.nextRuns.length).toEqual(10);
+            expect(onChange).toHaveBeenCalledWith({ schedule: '0 0 1 * *' });
+        });
+    });
+
+    describe('onTimeZoneChange(): ', function () {
+        it('should show the fire times in the selected time zone', function () {
+            changeSchedule('30 9 * * *');
+            ctrl.onTimeZoneChange({ id: 'Asia/Tokyo' });
+
+            expect(ctrl.timeZone).toEqual('Asia/Tokyo');
+            expect(ctrl.nextRuns[0]).toContain('18:30');
+        });
+
+        it('should ignore typed text', function () {
+            var timeZone = ctrl.timeZone;
+
+            ctrl.onTimeZoneChange({ id: 'Nowhere', typed: true });
+
+            expect(ctrl.timeZone).toEqual(timeZone);
+        });
+    });
+
+    describe('isBothSet(): ', function () {
+        it('should return `true` only if both the schedule and the interval are set', function () {
+            changeSchedule('30 9 * * *');
+            expect(ctrl.isBothSet()).toBeFalsy();
+
+            ctrl.interval = '10s';
+            expect(ctrl.isBothSet()).toBeTruthy();
+
+            ctrl.clearSchedule();
+            expect(ctrl.isBothSet()).toBeFalsy();
+        });
+    });
+});
@@ -26,8 +26,9 @@ such restriction.
             controller: NclDeployLogController
         });
 
-    function NclDeployLogController(lodash) {
+    function NclDeployLogController($scope, download, lodash, moment) {
         var ctrl = this;
+        var NON_PARAMS_FIELDS = ['name', 'time', 'level', 'message', 'err'];
 
         ctrl.scrollCofig = {
             advanced: {
@@ -35,16 +36,104 @@ such restriction.
             },
             theme: 'light-thin'
         };
+        ctrl.entries = [];
+        ctrl.filteredEntries = [];
+        ctrl.firstTime = null;
+        ctrl.levels = ['debug', 'info', 'warn', 'error'];
+        ctrl.levelsCount = {};
+        ctrl.scrollContainerName = 'deploy-log-' + $scope.$id;
+        ctrl.search = {
+            query: '',
+            isRegex: false,
+            isInvalid: false
+        };
+        ctrl.selectedLevels = {
+            debug: true,
+            info: true,
+            warn: true,
+            error: true
+        };
+        ctrl.timeFormat = 'absolute';
 
-        ctrl.lodash = lodash;
+        ctrl.$onChanges = onChanges;
 
+        ctrl.lodash = lodash;
+        ctrl.applyFilters = applyFilters;
+        ctrl.downloadLog = downloadLog;
+        ctrl.getEntryId = getEntryId;
         ctrl.getLogLevel = getLogLevel;
         ctrl.getLogParams = getLogParams;
+        ctrl.getTime = getTime;
+        ctrl.hasErrors = hasErrors;
+        ctrl.jumpToFirstError = jumpToFirstError;
+        ctrl.toggleLevel = toggleLevel;
+        ctrl.toggleParams = toggleParams;
+        ctrl.toggleTimeFormat = toggleTimeFormat;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.logEntries)) {
+                initEntries();
+                applyFilters();
+            }
+        }
 
         //
         // Public methods
         //
 
+        /**
+         * Filters the log entries by the selected levels and the search query, and marks the matches of the search
+         * query in the message of each entry
+         */
+        function applyFilters() {
+            var pattern = getSearchPattern();
+
+            ctrl.filteredEntries = lodash.filter(ctrl.entries, function (entry) {
+                var isLevelSelected = lodash.isEmpty(entry.level) || ctrl.selectedLevels[entry.level] !== false;
+                var isMatching = lodash.isNull(pattern) || pattern.test(entry.searchText);
+
+                entry.messageParts = splitByMatches(entry.message, pattern);
+
+                return isLevelSelected && isMatching;
+            });
+        }
+
+        /**
+         * Downloads the log entries (all of them, regardless of the filters)
+         * @param {string} format - `'ndjson'` for newline-delimited JSON, or `'text'` for plain text
+         */
+        function downloadLog(format) {
+            var fileName = 'deploy-log_' + moment.utc().format('YYYY-MM-DDTHH-mm-ss');
+            var logEntries = lodash.isArray(ctrl.logEntries) ? ctrl.logEntries : [];
+
+            if (format === 'ndjson') {
+                download.fromData(lodash.map(logEntries, function (logEntry) {
+                    return angular.toJson(lodash.omit(logEntry, 'ui'));
+                }).join('\n'), 'application/x-ndjson', fileName + '.ndjson');
+            } else if (lodash.isArray(ctrl.logEntries)) {
+                download.fromData(lodash.map(ctrl.entries, getEntryText).join('\n'), 'text/plain', fileName + '.txt');
+            } else {
+                download.fromData(lodash.defaultTo(ctrl.logEntries, ''), 'text/plain', fileName + '.txt');
+            }
+        }
+
+        /**
+         * Gets the DOM identifier of a log entry (used for scrolling to it)
+         * @param {Object} entry - the log entry
+         * @returns {string} the identifier
+         */
+        function getEntryId(entry) {
+            return ctrl.scrollContainerName + '-entry-' + entry.index;
+        }
+
         /**
          * Get log level display value
          * @param {string} level - the level model value (one of: 'debug', 'info', 'warn', 'error')
@@ -60,11 +149,181 @@ such restriction.
          * @returns {string} the log level display value
          */
         function getLogParams(logEntry) {
-            var params = lodash.omit(logEntry, ['name', 'time', 'level', 'message', 'err']);
+            var params = lodash.omit(logEntry, NON_PARAMS_FIELDS);
 
             return lodash.isEmpty(params) ? '' : '[' + lodash.map(params, function (value, key) {
                 return key + ': ' + angular.toJson(value);
             }).join(', ').replace(/\\n/g, '\n').replace(/\\"/g, '"') + ']';
         }
+
+        /**
+         * Gets the display value of the time of a log entry, according to the selected time format
+         * @param {Object} entry - the log entry
+         * @returns {string} the absolute time (e.g. `'14:02:11.153'`), or the time relative to the first log entry
+         *     (e.g. `'+00:01:23.456'`)
+         */
+        function getTime(entry) {
+            return ctrl.timeFormat === 'relative' ?
+                '+' + moment.utc(entry.time - ctrl.firstTime).format('HH:mm:ss.SSS') :
+                moment(entry.time).format('HH:mm:ss.SSS');
+        }
+
+        /**
+         * Checks whether there is at least one log entry with `error` level
+         * @returns {boolean} `true` if there is an error log entry, or `false` otherwise
+         */
+        function hasErrors() {
+            return lodash.some(ctrl.entries, { level: 'error' });
+        }
+
+        /**
+         * Scrolls the log panel to the first log entry with `error` level.
+         * In case the `error` level is filtered out, it is selected back and the search query is cleared.
+         */
+        function jumpToFirstError() {
+            var firstError = lodash.find(ctrl.filteredEntries, { level: 'error' });
+
+            if (angular.isUndefined(firstError)) {
+                ctrl.selectedLevels.error = true;
+                ctrl.search.query = '';
+                applyFilters();
+                firstError = lodash.find(ctrl.filteredEntries, { level: 'error' });
+            }
+
+            if (angular.isDefined(firstError)) {
+                lodash.forEach(ctrl.entries, function (entry) {
+                    entry.isFocused = entry === firstError;
+                });
+
+                $scope.$broadcast('ng-scrollbars-methods_scroll-to', {
+                    scrollContainerName: ctrl.scrollContainerName,
+                    target: getEntryId(firstError)
+                });
+            }
+        }
+
+        /**
+         * Selects/deselects a log level filter
+         * @param {string} level - the log level (one of: 'debug', 'info', 'warn', 'error')
+         */
+        function toggleLevel(level) {
+            ctrl.selectedLevels[level] = !ctrl.selectedLevels[level];
+
+            applyFilters();
+        }
+
+        /**
+         * Expands/collapses the parameters of a log entry
+         * @param {Object} entry - the log entry
+         */
+        function toggleParams(entry) {
+            entry.isParamsExpanded = !entry.isParamsExpanded;
+        }
+
+        /**
+         * Toggles between absolute and relative (to the first log entry) time format
+         */
+        function toggleTimeFormat() {
+            ctrl.timeFormat = ctrl.timeFormat === 'absolute' ? 'relative' : 'absolute';
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Gets the plain text representation of a log entry
+         * @param {Object} entry - the log entry
+         * @returns {string} the plain text line
+         */
+        function getEntryText(entry) {
+            return lodash.compact([
+                lodash.isFinite(entry.time) ? '[' + moment(entry.time).toISOString() + ']' : '',
+                lodash.isEmpty(entry.level) ? '' : '(' + entry.level.toUpperCase() + ')',
+                entry.message,
+                entry.err,
+                entry.paramsText
+            ]).join(' ');
+        }
+
+        /**
+         * Builds a regular expression out of the search query
+         * @returns {?RegExp} the regular expression, or `null` if the search query is empty or is an invalid regular
+         *     expression
+         */
+        function getSearchPattern() {
+            ctrl.search.isInvalid = false;
+
+            if (lodash.isEmpty(ctrl.search.query)) {
+                return null;
+            }
+
+            try {
+                return new RegExp(ctrl.search.isRegex ? ctrl.search.query : lodash.escapeRegExp(ctrl.search.query),
+                                  'i');
+            } catch (error) {
+                ctrl.search.isInvalid = true;
+
+                return null;
+            }
+        }
+
+        /**
+         * Converts the `logEntries` binding to a list of log entries for display
+         */
+        function initEntries() {
+            var logEntries = lodash.isArray(ctrl.logEntries) ? ctrl.logEntries : [];
+
+            ctrl.entries = lodash.map(logEntries, function (logEntry, index) {
+                var params = lodash.omit(logEntry, NON_PARAMS_FIELDS);
+                var paramsText = getLogParams(logEntry);
+                var time = lodash.isNil(logEntry.time) ? null : moment(logEntry.time).valueOf();
+
+                return {
+                    index: index,
+                    time: lodash.isFinite(time) ? time : null,
+                    level: lodash.isString(logEntry.level) ? logEntry.level : '',
+                    message: lodash.defaultTo(logEntry.message, ''),
+                    err: logEntry.err,
+                    params: params,
+                    paramsText: paramsText,
+                    hasParams: !lodash.isEmpty(params),
+                    isParamsExpanded: false,
+                    isFocused: false,
+                    searchText: lodash.compact([logEntry.message, logEntry.err, paramsText]).join(' ')
+                };
+            });
+
+            ctrl.levelsCount = lodash.countBy(ctrl.entries, 'level');
+
+            // the time of the first log entry with a time, which relative times are measured from
+            ctrl.firstTime = lodash.get(lodash.find(ctrl.entries, function (entry) {
+                return lodash.isFinite(entry.time);
+            }), 'time', null);
+        }
+
+        /**
+         * Splits a text into parts, marking the parts that match a pattern
+         * @param {string} text - the text to split
+         * @param {?RegExp} pattern - the pattern to match
+         * @returns {Array.<{text: string, isMatch: boolean}>} the parts of the text
+         */
+        function splitByMatches(text, pattern) {
+            var parts = [];
+            var globalPattern = lodash.isNull(pattern) ? null : new RegExp(pattern.source, 'gi');
+            var lastIndex = 0;
+            var match = lodash.isNull(globalPattern) ? null : globalPattern.exec(text);
+
+            while (match !== null && match[0] !== '') {
+                parts.push({ text: text.slice(lastIndex, match.index), isMatch: false });
+                parts.push({ text: match[0], isMatch: true });
+                lastIndex = match.index + match[0].length;
+                match = globalPattern.exec(text);
+            }
+
+            parts.push({ text: text.slice(lastIndex), isMatch: false });
+
+            return lodash.reject(parts, ['text', '']);
+        }
     }
 }());
@@ -0,0 +1,198 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclDeployLog component:', function () {
+    var $componentController;
+    var $rootScope;
+    var download;
+    var ctrl;
+    var lodash;
+    var logEntries;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$rootScope_, _download_, _lodash_) {
+            $componentController = _$componentController_;
+            $rootScope = _$rootScope_;
+            download = _download_;
+            lodash = _lodash_;
+        });
+
+        logEntries = [
+            {
+                time: 1577836800000,
+                level: 'debug',
+                message: 'Building processor image'
+            },
+            {
+                time: 1577836801500,
+                level: 'info',
+                message: 'Pulling base image',
+                image: 'python:3.9'
+            },
+            {
+                time: 1577836803000,
+                level: 'error',
+                message: 'Failed to build processor image',
+                err: 'exit status 1'
+            }
+        ];
+
+        ctrl = $componentController('nclDeployLog', { $scope: $rootScope.$new() }, { logEntries: logEntries });
+        ctrl.$onChanges({ logEntries: { currentValue: logEntries } });
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $rootScope = null;
+        download = null;
+        ctrl = null;
+        lodash = null;
+        logEntries = null;
+    });
+
+    describe('$onChanges(): ', function () {
+        it('should initialize the list of entries and count them by level', function () {
+            expect(ctrl.entries.length).toEqual(3);
+            expect(ctrl.filteredEntries.length).toEqual(3);
+            expect(ctrl.levelsCount).toEqual({ debug: 1, info: 1, error: 1 });
+            expect(ctrl.entries[1].params).toEqual({ image: 'python:3.9' });
+            expect(ctrl.entries[1].paramsText).toEqual('[image: "python:3.9"]');
+        });
+    });
+
+    describe('toggleLevel(): ', function () {
+        it('should filter out entries of a deselected level', function () {
+            ctrl.toggleLevel('debug');
+
+            expect(ctrl.filteredEntries.length).toEqual(2);
+            expect(ctrl.filteredEntries[0].level).toEqual('info');
+
+            ctrl.toggleLevel('debug');
+
+            expect(ctrl.filteredEntries.length).toEqual(3);
+        });
+    });
+
+    describe('applyFilters(): ', function () {
+        it('should filter entries by free-text search and mark the matches', function () {
+            ctrl.search.query = 'image';
+            ctrl.applyFilters();
+
+            expect(ctrl.filteredEntries.length).toEqual(3);
+            expect(ctrl.filteredEntries[0].messageParts).toEqual([
+                { text: 'Building processor ', isMatch: false },
+                { text: 'image', isMatch: true }
+            ]);
+
+            ctrl.search.query = 'pulling';
+            ctrl.applyFilters();
+
+            expect(ctrl.filteredEntries.length).toEqual(1);
+            expect(ctrl.filteredEntries[0].messageParts[0]).toEqual({ text: 'Pulling', isMatch: true });
+        });
+
+        it('should search the error and the parameters of the entries', function () {
+            ctrl.search.query = 'python:3';
+            ctrl.applyFilters();
+
+            expect(ctrl.filteredEntries.length).toEqual(1);
+            expect(ctrl.filteredEntries[0].index).toEqual(1);
+        });
+
+        it('should treat the search query as a literal text unless regex mode is on', function () {
+            ctrl.search.query = 'build.*image';
+            ctrl.applyFilters();
+
+            expect(ctrl.filteredEntries.length).toEqual(0);
+
+            ctrl.search.isRegex = true;
+            ctrl.applyFilters();
+
+            expect(lodash.map(ctrl.filteredEntries, 'index')).toEqual([0, 2]);
+        });
+
+        it('should mark an invalid regular expression and not filter', function () {
+            ctrl.search.isRegex = true;
+            ctrl.search.query = '(unclosed';
+            ctrl.applyFilters();
+
+            expect(ctrl.search.isInvalid).toBeTruthy();
+            expect(ctrl.filteredEntries.length).toEqual(3);
+        });
+    });
+
+    describe('getTime(): ', function () {
+        it('should return the time relative to the first entry in relative mode', function () {
+            ctrl.toggleTimeFormat();
+
+            expect(ctrl.getTime(ctrl.entries[0])).toEqual('+00:00:00.000');
+            expect(ctrl.getTime(ctrl.entries[2])).toEqual('+00:00:03.000');
+        });
+
+        it('should measure the relative time from the first entry with a time', function () {
+            logEntries.unshift({ level: 'info', message: 'Starting build' });
+            ctrl.$onChanges({ logEntries: { currentValue: logEntries } });
+            ctrl.toggleTimeFormat();
+
+            expect(ctrl.firstTime).toEqual(1577836800000);
+            expect(ctrl.getTime(ctrl.entries[2])).toEqual('+00:00:01.500');
+        });
+    });
+
+    describe('jumpToFirstError(): ', function () {
+        it('should focus the first error entry and scroll to it', function () {
+            var scope = $rootScope.$new();
+            ctrl = $componentController('nclDeployLog', { $scope: scope }, { logEntries: logEntries });
+            ctrl.$onChanges({ logEntries: { currentValue: logEntries } });
+            spyOn(scope, '$broadcast');
+
+            ctrl.toggleLevel('error');
+            ctrl.jumpToFirstError();
+
+            expect(ctrl.selectedLevels.error).toBeTruthy();
+            expect(ctrl.entries[2].isFocused).toBeTruthy();
+            expect(scope.$broadcast).toHaveBeenCalledWith('ng-scrollbars-methods_scroll-to', {
+                scrollContainerName: ctrl.scrollContainerName,
+                target: ctrl.getEntryId(ctrl.entries[2])
+            });
+        });
+    });
+
+    describe('downloadLog(): ', function () {
+        it('should download the log as NDJSON', function () {
+            spyOn(download, 'fromData');
+
+            ctrl.downloadLog('ndjson');
+
+            var content = download.fromData.calls.argsFor(0)[0];
+            expect(content.split('\n').length).toEqual(3);
+            expect(angular.fromJson(content.split('\n')[2])).toEqual(logEntries[2]);
+            expect(download.fromData.calls.argsFor(0)[1]).toEqual('application/x-ndjson');
+        });
+
+        it('should download the log as plain text', function () {
+            spyOn(download, 'fromData');
+
+            ctrl.downloadLog('text');
+
+            var lines = download.fromData.calls.argsFor(0)[0].split('\n');
+            expect(lines[2]).toEqual('[2020-01-01T00:00:03.000Z] (ERROR) Failed to build processor image exit status 1');
+            expect(download.fromData.calls.argsFor(0)[1]).toEqual('text/plain');
+        });
+    });
+});
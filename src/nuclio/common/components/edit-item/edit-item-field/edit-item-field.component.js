@@ -33,22 +33,64 @@ such restriction.
             controller: NclEditItemFieldController
         });
 
-    function NclEditItemFieldController($i18next, i18next, lodash, ValidationService) {
+    function NclEditItemFieldController($i18next, i18next, lodash, TriggerSchemaService, ValidationService) {
         var ctrl = this;
         var lng = i18next.language;
+        var arrayItemFields = [];
 
         ctrl.fieldTypeValidationRules = {
             arrayInt: ValidationService.getValidationRules('function.arrayInt')
         };
+        ctrl.fieldValidationRules = undefined;
 
+        ctrl.$onChanges = onChanges;
+
+        ctrl.addArrayItem = addArrayItem;
         ctrl.convertFromCamelCase = convertFromCamelCase;
+        ctrl.getArrayItemFields = getArrayItemFields;
         ctrl.getFieldPlaceholderText = getFieldPlaceholderText;
         ctrl.getFieldValue = getFieldValue;
+        ctrl.isArrayItemFieldVisible = isArrayItemFieldVisible;
+        ctrl.isArrayItemRemovable = isArrayItemRemovable;
+        ctrl.removeArrayItem = removeArrayItem;
+        ctrl.setArrayItemValue = setArrayItemValue;
+        ctrl.toggleCheckbox = toggleCheckbox;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (lodash.has(changes, 'field') || lodash.has(changes, 'validationRules')) {
+                var rules = lodash.concat(lodash.get(ctrl.validationRules, lodash.get(ctrl.field, 'pattern'), []),
+                                          lodash.get(ctrl.field, 'validationRules', []));
+
+                ctrl.fieldValidationRules = lodash.isEmpty(rules) ? undefined : rules;
+                arrayItemFields = [];
+            }
+        }
 
         //
         // Public methods
         //
 
+        /**
+         * Adds an item with default values to an array field.
+         */
+        function addArrayItem() {
+            if (ctrl.readOnly) {
+                return;
+            }
+
+            var items = lodash.defaultTo(getFieldValue(), []).concat(lodash.cloneDeep(ctrl.field.itemDefaultValue));
+
+            updateFieldValue(items);
+        }
+
         /**
          * Converts field names in class list from camel case.
          * @param {string} str - The string to convert.
@@ -58,6 +100,24 @@ such restriction.
             return lodash.upperFirst(lodash.lowerCase(str));
         }
 
+        /**
+         * Returns the fields of an item of an array field.
+         * The fields are named uniquely per item, so each of them has its own control in the form.
+         * @param {number} index - The index of the item.
+         * @returns {Array.<Object>} the fields of the item.
+         */
+        function getArrayItemFields(index) {
+            if (lodash.isNil(arrayItemFields[index])) {
+                arrayItemFields[index] = lodash.map(ctrl.field.fields, function (itemField) {
+                    return lodash.assign({}, itemField, {
+                        name: ctrl.field.name + '_' + index + '_' + itemField.name
+                    });
+                });
+            }
+
+            return arrayItemFields[index];
+        }
+
         /**
          * Return placeholder text for a field.
          * @returns {string} the placeholder text for the field.
@@ -78,5 +138,74 @@ such restriction.
         function getFieldValue() {
             return lodash.get(ctrl.item, lodash.defaultTo(ctrl.field.path, ctrl.field.name));
         }
+
+        /**
+         * Tests whether a field of an item of an array field should be displayed.
+         * @param {Object} itemField - The field.
+         * @param {Object} arrayItem - The item.
+         * @returns {boolean} `true` in case the field should be displayed, or `false` otherwise.
+         */
+        function isArrayItemFieldVisible(itemField, arrayItem) {
+            return lodash.defaultTo(itemField.visible, true) &&
+                TriggerSchemaService.isConditionMet(arrayItem, itemField.conditions);
+        }
+
+        /**
+         * Tests whether an item may be removed from an array field (i.e. the array has more items than the minimum).
+         * @returns {boolean} `true` in case an item may be removed, or `false` otherwise.
+         */
+        function isArrayItemRemovable() {
+            return !ctrl.readOnly && lodash.size(getFieldValue()) > lodash.defaultTo(ctrl.field.minItems, 0);
+        }
+
+        /**
+         * Removes an item from an array field.
+         * @param {number} index - The index of the item.
+         * @param {MouseEvent} event - The `click` event.
+         */
+        function removeArrayItem(index, event) {
+            // the item is removed from DOM, so the click should not reach the document to submit the form
+            event.stopPropagation();
+
+            var items = lodash.clone(getFieldValue());
+
+            items.splice(index, 1);
+            arrayItemFields = [];
+
+            updateFieldValue(items);
+        }
+
+        /**
+         * Sets the value of a property of an item of an array field.
+         * @param {number} index - The index of the item.
+         * @param {*} newData - The new value.
+         * @param {string} path - The path of the property in the item.
+         */
+        function setArrayItemValue(index, newData, path) {
+            var items = getFieldValue();
+
+            lodash.set(items[index], path, newData);
+
+            updateFieldValue(items);
+        }
+
+        /**
+         * Toggles the value of a checkbox field.
+         */
+        function toggleCheckbox() {
+            updateFieldValue(!getFieldValue());
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Updates the value of the field.
+         * @param {*} newData - The new value.
+         */
+        function updateFieldValue(newData) {
+            ctrl.inputValueCallback({ newData: newData, field: lodash.defaultTo(ctrl.field.path, ctrl.field.name) });
+        }
     }
 }());
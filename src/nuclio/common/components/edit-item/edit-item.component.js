@@ -38,7 +38,7 @@ such restriction.
 
     function NclEditItemController($document, $element, $i18next, $rootScope, $scope, $timeout, i18next, lodash,
                                    ConfigService, ConverterService, EventHelperService, FormValidationService,
-                                   PreventDropdownCutOffService) {
+                                   PreventDropdownCutOffService, TriggerSchemaService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -272,6 +272,7 @@ such restriction.
             itemInitial = lodash.cloneDeep(lodash.omit(ctrl.item, 'ui'));
 
             setAdvancedVisibility();
+            updateConditionallyRequiredFields();
 
             $scope.$on('deploy-function-version', onFunctionDeploy);
         }
@@ -612,8 +613,9 @@ such restriction.
              */
             return function (field) {
                 return lodash.defaultTo(field.visible, true) &&
-                    lodash.includes(['input', 'dropdown', 'number-input', 'arrayInt'], field.type) &&
-                    (showAdvanced ? field.isAdvanced : !field.isAdvanced);
+                    lodash.includes(['input', 'dropdown', 'number-input', 'arrayInt', 'checkbox', 'array'], field.type) &&
+                    (showAdvanced ? field.isAdvanced : !field.isAdvanced) &&
+                    TriggerSchemaService.isConditionMet(ctrl.item, field.conditions);
             };
         }
 
@@ -796,7 +798,7 @@ such restriction.
                 return;
             }
 
-            ctrl.item = lodash.omit(ctrl.item, [
+            ctrl.item = lodash.omit(ctrl.item, lodash.union([
                 'maxWorkers',
                 'url',
                 'secret',
@@ -805,14 +807,14 @@ such restriction.
                 'username',
                 'password',
                 'workerAllocatorName'
-            ]);
+            ], getTopLevelFieldKeys()));
 
             ctrl.item.kind = item.id;
             ctrl.item.attributes = {};
             ctrl.item.ui.selectedClass = ctrl.selectedClass;
 
             lodash.forEach(item.fields, function (field) {
-                lodash.set(ctrl.item, lodash.defaultTo(field.path, field.name), field.defaultValue);
+                lodash.set(ctrl.item, lodash.defaultTo(field.path, field.name), lodash.cloneDeep(field.defaultValue));
 
                 if (field.name === 'ingresses') {
                     ctrl.ingresses = [];
@@ -861,6 +863,7 @@ such restriction.
             }
 
             setAdvancedVisibility();
+            updateConditionallyRequiredFields();
             updateChangesState();
             updateNameValidationRules();
         }
@@ -1002,6 +1005,21 @@ such restriction.
                 .value();
         }
 
+        /**
+         * Returns the top-level trigger keys (e.g. `url`) of the fields of all the classes
+         * @returns {Array.<string>} the keys (except for `attributes`)
+         */
+        function getTopLevelFieldKeys() {
+            return lodash.chain(ctrl.classList)
+                .flatMap('fields')
+                .map(function (field) {
+                    return lodash.head(lodash.toPath(lodash.defaultTo(field.path, field.name)));
+                })
+                .without('attributes')
+                .uniq()
+                .value();
+        }
+
         /**
          * Broadcast's callback to deploy function
          * @param {Object} event - native `$rootScope.$broadcast` event object
@@ -1025,6 +1043,14 @@ such restriction.
             lodash.forEach(ctrl.selectedClass.fields, function (field) {
                 var path = lodash.defaultTo(field.path, field.name);
                 var fieldValue = lodash.get(ctrl.item, path);
+
+                // fields of an unmet schema conditional are hidden, so their values should not be submitted
+                if (!TriggerSchemaService.isConditionMet(ctrl.item, field.conditions)) {
+                    lodash.unset(ctrl.item, path);
+
+                    return;
+                }
+
                 if (field.pattern === 'number') {
                     var emptyValue = lodash.isNil(fieldValue) || fieldValue === '';
                     var numberValue = field.allowEmpty && emptyValue ? '' : Number(fieldValue);
@@ -1138,6 +1164,18 @@ such restriction.
             }
         }
 
+        /**
+         * Updates the `allowEmpty` property of the fields that are required by a schema conditional according to
+         * whether its condition is met
+         */
+        function updateConditionallyRequiredFields() {
+            lodash.forEach(lodash.get(ctrl.selectedClass, 'fields'), function (field) {
+                if (lodash.has(field, 'requiredIf')) {
+                    field.allowEmpty = !TriggerSchemaService.isConditionMet(ctrl.item, [field.requiredIf]);
+                }
+            });
+        }
+
         /**
          * Updates subscriptions fields
          */
@@ -1175,6 +1213,8 @@ such restriction.
          */
         /* eslint complexity: ["error", 11] */
         function validateValues() {
+            updateConditionallyRequiredFields();
+
             if (ctrl.item.kind === 'cron') {
                 var scheduleField = lodash.find(ctrl.selectedClass.fields, {name: 'schedule'});
                 var intervalInputIsFilled = !lodash.isEmpty(ctrl.editItemForm.item_interval.$viewValue);
@@ -22,11 +22,13 @@ such restriction.
             bindings: {
                 actionHandlerCallback: '&',
                 additionalValueOptional: '<?',
+                allowSecretCreation: '<?',
                 allowSelection: '<?',
                 allValueTypes: '<',
                 changeDataCallback: '&',
                 changeStateBroadcast: '@?',
                 changeTypeCallback: '&?',
+                createSecretCallback: '&?',
                 dropdownOverlap: '<?',
                 isDisabled: '<?',
                 itemIndex: '<',
@@ -37,6 +39,7 @@ such restriction.
                 keyValidationPattern: '<?',
                 noDelete: '<?',
                 onlyValueInput: '<?',
+                references: '<?',
                 rowData: '<',
                 submitOnFly: '<?',
                 useAdditionalValue: '<?',
@@ -53,7 +56,7 @@ such restriction.
         });
 
     function NclKeyValueInputController($document, $element, $i18next, $rootScope, $scope, $timeout, i18next, lodash,
-                                        DialogsService, EventHelperService) {
+                                        DialogsService, EventHelperService, KeyValueReferencesService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -69,8 +72,11 @@ such restriction.
         ctrl.onEditInput = onEditInput;
         ctrl.getInputValue = getInputValue;
         ctrl.getInputKey = getInputKey;
+        ctrl.getKeySuggestions = getKeySuggestions;
+        ctrl.getNameSuggestions = getNameSuggestions;
         ctrl.getSelectedItem = getSelectedItem;
         ctrl.getType = getType;
+        ctrl.hasReferences = hasReferences;
         ctrl.isVisibleByType = isVisibleByType;
         ctrl.inputValueCallback = inputValueCallback;
         ctrl.inputKeyCallback = inputKeyCallback;
@@ -93,6 +99,7 @@ such restriction.
             ctrl.typesList = getTypesList();
 
             lodash.defaults(ctrl, {
+                allowSecretCreation: false,
                 allowSelection: false,
                 dropdownOverlap: false,
                 keyOptional: false,
@@ -188,6 +195,27 @@ such restriction.
             }
         }
 
+        /**
+         * Gets the suggestion list for the value-key auto-complete field, out of the keys of the referenced secret or
+         * config-map
+         * @param {string} input - the current value of the field
+         * @returns {{suggestions: Array.<Object>, more: boolean}}
+         */
+        function getKeySuggestions(input) {
+            return KeyValueReferencesService.getKeySuggestions(lodash.get(ctrl.references, ctrl.getType()),
+                                                               ctrl.getInputValue(), input);
+        }
+
+        /**
+         * Gets the suggestion list for the value auto-complete field, out of the existing secrets or config-maps of
+         * the selected type
+         * @param {string} input - the current value of the field
+         * @returns {{suggestions: Array.<Object>, more: boolean}}
+         */
+        function getNameSuggestions(input) {
+            return KeyValueReferencesService.getNameSuggestions(lodash.get(ctrl.references, ctrl.getType()), input);
+        }
+
         /**
          * Gets selected item in dropdown
          * @returns {Object}
@@ -206,6 +234,17 @@ such restriction.
                    /* else */                                           'secret';
         }
 
+        /**
+         * Checks whether the value and value-key fields should suggest existing secrets or config-maps, which is the
+         * case when the list of existing ones of the selected type was provided
+         * @returns {boolean}
+         */
+        function hasReferences() {
+            var type = ctrl.getType();
+
+            return Boolean(ctrl.useType) && type !== 'value' && angular.isArray(lodash.get(ctrl.references, type));
+        }
+
         /**
          * Check whether the block visibility match the given type
          * @param {string} type
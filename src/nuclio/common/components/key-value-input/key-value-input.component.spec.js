@@ -0,0 +1,114 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclKeyValueInput component:', function () {
+    var $componentController;
+    var $rootScope;
+    var ctrl;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$rootScope_, _lodash_) {
+            $componentController = _$componentController_;
+            $rootScope = _$rootScope_;
+            lodash = _lodash_;
+        });
+
+        ctrl = $componentController('nclKeyValueInput', {
+            $scope: $rootScope.$new(),
+            $element: angular.element('<div>')
+        }, {
+            useType: true,
+            references: {
+                secret: [
+                    {
+                        name: 'db-credentials',
+                        keys: ['username', 'password']
+                    }
+                ],
+                configmap: [
+                    {
+                        name: 'settings',
+                        keys: ['mode']
+                    }
+                ]
+            }
+        });
+        ctrl.data = {
+            name: 'DB_PASSWORD',
+            valueFrom: {
+                secretKeyRef: {
+                    name: 'db-credentials',
+                    key: 'pass'
+                }
+            }
+        };
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $rootScope = null;
+        ctrl = null;
+        lodash = null;
+    });
+
+    describe('hasReferences(): ', function () {
+        it('should return `true` if the references of the selected type were provided', function () {
+            expect(ctrl.hasReferences()).toBeTruthy();
+
+            ctrl.data.valueFrom = { configMapKeyRef: { name: '', key: '' } };
+            expect(ctrl.hasReferences()).toBeTruthy();
+        });
+
+        it('should return `false` for a plain value, without types or without references', function () {
+            ctrl.references = {};
+            expect(ctrl.hasReferences()).toBeFalsy();
+
+            ctrl.references = { secret: [] };
+            ctrl.useType = false;
+            expect(ctrl.hasReferences()).toBeFalsy();
+
+            ctrl.useType = true;
+            ctrl.data = { name: 'MODE', value: 'debug' };
+            expect(ctrl.hasReferences()).toBeFalsy();
+        });
+    });
+
+    describe('getNameSuggestions(), getKeySuggestions(): ', function () {
+        it('should suggest the references of the selected type, and the keys of the referenced one', function () {
+            expect(ctrl.getNameSuggestions('db').suggestions).toEqual([
+                {
+                    value: 'db-credentials',
+                    label: 'db-credentials',
+                    additionalInfo: 'username, password'
+                }
+            ]);
+            expect(ctrl.getKeySuggestions('pass').suggestions).toEqual([
+                {
+                    value: 'password',
+                    label: 'password'
+                }
+            ]);
+
+            ctrl.data.valueFrom = { configMapKeyRef: { name: 'settings', key: '' } };
+
+            expect(lodash.map(ctrl.getNameSuggestions('').suggestions, 'value')).toEqual(['settings']);
+            expect(lodash.map(ctrl.getKeySuggestions('').suggestions, 'value')).toEqual(['mode']);
+        });
+    });
+});
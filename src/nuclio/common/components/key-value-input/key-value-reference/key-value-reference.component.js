@@ -0,0 +1,159 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclKeyValueReference
+     * @description
+     * Warns about a secret or config-map referenced by a key-value input (or a key of it) that does not exist, and lets
+     * the user create a missing secret inline, with a single key.
+     *
+     * @param {string} type - the type of the reference: `'secret'` or `'configmap'`.
+     * @param {Array.<{name: string, keys: Array.<string>}>} references - the existing secrets or config-maps.
+     * @param {string} name - the name of the referenced secret or config-map.
+     * @param {string} [key] - the referenced key.
+     * @param {boolean} [allowSecretCreation=false] - set to `true` to let the user create a missing secret.
+     * @param {boolean} [isDisabled=false] - set to `true` to prevent creating a secret.
+     * @param {Array.<Object>} [secretKeyRules] - the validation rules of the key of a new secret (with `pattern`).
+     * @param {function} [createSecret] - called with `secret` (`{name, key, value}`) to create a secret, may return
+     *     a promise (rejected with `{data: {error: string}}` in case the creation failed).
+     * @param {function} [onSecretCreated] - called with `key` once the secret is created, to reference its key.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclKeyValueReference', {
+            bindings: {
+                type: '<',
+                references: '<',
+                name: '<',
+                key: '<?',
+                allowSecretCreation: '<?',
+                isDisabled: '<?',
+                secretKeyRules: '<?',
+                createSecret: '&?',
+                onSecretCreated: '&?'
+            },
+            templateUrl: 'nuclio/common/components/key-value-input/key-value-reference/key-value-reference.tpl.html',
+            controller: NclKeyValueReferenceController
+        });
+
+    function NclKeyValueReferenceController($i18next, $q, i18next, lodash, KeyValueReferencesService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.isSecretCreationOpen = false;
+        ctrl.newSecret = {};
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.cancelSecretCreation = cancelSecretCreation;
+        ctrl.getWarning = getWarning;
+        ctrl.isSecretCreationShown = isSecretCreationShown;
+        ctrl.openSecretCreation = openSecretCreation;
+        ctrl.submitSecretCreation = submitSecretCreation;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (lodash.has(changes, 'type') && !changes.type.isFirstChange()) {
+                cancelSecretCreation();
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Closes the inline secret creation panel without creating the secret
+         */
+        function cancelSecretCreation() {
+            ctrl.isSecretCreationOpen = false;
+            ctrl.newSecret = {};
+        }
+
+        /**
+         * Gets a warning about the referenced secret or config-map (or its key) in case it does not exist
+         * @returns {string} the warning message, or an empty string in case the reference exists
+         */
+        function getWarning() {
+            return KeyValueReferencesService.getWarning(ctrl.type, ctrl.references, ctrl.name, ctrl.key);
+        }
+
+        /**
+         * Checks whether the user may create the referenced secret, which is the case when it does not exist yet
+         * @returns {boolean}
+         */
+        function isSecretCreationShown() {
+            return Boolean(ctrl.allowSecretCreation) && ctrl.type === 'secret' && !ctrl.isDisabled &&
+                !lodash.isEmpty(ctrl.name) &&
+                angular.isUndefined(KeyValueReferencesService.findReference(ctrl.references, ctrl.name));
+        }
+
+        /**
+         * Opens the inline secret creation panel for the referenced secret
+         */
+        function openSecretCreation() {
+            ctrl.newSecret = {
+                key: lodash.defaultTo(ctrl.key, ''),
+                value: '',
+                isCreating: false,
+                error: ''
+            };
+            ctrl.isSecretCreationOpen = true;
+        }
+
+        /**
+         * Creates the referenced secret with a single key, and references its key
+         * @returns {Promise} resolved once the secret is created, or once its creation failed (the error message is
+         *     set to `newSecret.error` then)
+         */
+        function submitSecretCreation() {
+            var newSecret = ctrl.newSecret;
+
+            if (newSecret.isCreating || !KeyValueReferencesService.isValidSecretKey(newSecret.key, ctrl.secretKeyRules)) {
+                return $q.when();
+            }
+
+            newSecret.isCreating = true;
+            newSecret.error = '';
+
+            return $q.when(ctrl.createSecret({
+                secret: {
+                    name: ctrl.name,
+                    key: newSecret.key,
+                    value: newSecret.value
+                }
+            }))
+                .then(function () {
+                    ctrl.onSecretCreated({ key: newSecret.key });
+                    cancelSecretCreation();
+                })
+                .catch(function (error) {
+                    newSecret.isCreating = false;
+                    newSecret.error = lodash.get(error, 'data.error',
+                                                 $i18next.t('functions:ERROR_MSG.CREATE_SECRET', { lng: lng }));
+                });
+        }
+    }
+}());
@@ -0,0 +1,194 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclKeyValueReference component:', function () {
+    var $componentController;
+    var $i18next;
+    var $q;
+    var $rootScope;
+    var ctrl;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$i18next_, _$q_, _$rootScope_) {
+            $componentController = _$componentController_;
+            $i18next = _$i18next_;
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+        });
+
+        spyOn($i18next, 't').and.callFake(function (key) {
+            return key;
+        });
+
+        ctrl = $componentController('nclKeyValueReference', null, {
+            type: 'secret',
+            references: [
+                {
+                    name: 'db-credentials',
+                    keys: ['username', 'password']
+                }
+            ],
+            name: 'missing',
+            key: 'token',
+            allowSecretCreation: true,
+            isDisabled: false,
+            secretKeyRules: [
+                {
+                    pattern: /^[\w.-]+$/
+                }
+            ],
+            createSecret: jasmine.createSpy('createSecret'),
+            onSecretCreated: jasmine.createSpy('onSecretCreated')
+        });
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $i18next = null;
+        $q = null;
+        $rootScope = null;
+        ctrl = null;
+    });
+
+    describe('$onChanges(): ', function () {
+        it('should close the secret creation panel when the type changes', function () {
+            ctrl.openSecretCreation();
+            ctrl.$onChanges({
+                type: {
+                    currentValue: 'configmap',
+                    isFirstChange: function () {
+                        return false;
+                    }
+                }
+            });
+
+            expect(ctrl.isSecretCreationOpen).toBeFalsy();
+        });
+    });
+
+    describe('getWarning(): ', function () {
+        it('should warn about the referenced secret that does not exist', function () {
+            expect(ctrl.getWarning()).toBe('functions:REFERENCE_NOT_FOUND.SECRET');
+
+            ctrl.name = 'db-credentials';
+            ctrl.key = 'password';
+
+            expect(ctrl.getWarning()).toBe('');
+        });
+    });
+
+    describe('isSecretCreationShown(): ', function () {
+        it('should return `true` if the referenced secret does not exist', function () {
+            expect(ctrl.isSecretCreationShown()).toBeTruthy();
+        });
+
+        it('should return `false` if the secret exists, creation is not allowed or the type is not secret',
+           function () {
+               ctrl.name = 'db-credentials';
+               expect(ctrl.isSecretCreationShown()).toBeFalsy();
+
+               ctrl.name = 'missing';
+               ctrl.allowSecretCreation = false;
+               expect(ctrl.isSecretCreationShown()).toBeFalsy();
+
+               ctrl.allowSecretCreation = true;
+               ctrl.isDisabled = true;
+               expect(ctrl.isSecretCreationShown()).toBeFalsy();
+
+               ctrl.isDisabled = false;
+               ctrl.type = 'configmap';
+               expect(ctrl.isSecretCreationShown()).toBeFalsy();
+           });
+    });
+
+    describe('openSecretCreation(), cancelSecretCreation(): ', function () {
+        it('should open the secret creation panel with the referenced key, and close it', function () {
+            ctrl.openSecretCreation();
+
+            expect(ctrl.isSecretCreationOpen).toBeTruthy();
+            expect(ctrl.newSecret).toEqual({
+                key: 'token',
+                value: '',
+                isCreating: false,
+                error: ''
+            });
+
+            ctrl.cancelSecretCreation();
+
+            expect(ctrl.isSecretCreationOpen).toBeFalsy();
+            expect(ctrl.newSecret).toEqual({});
+        });
+    });
+
+    describe('submitSecretCreation(): ', function () {
+        beforeEach(function () {
+            ctrl.openSecretCreation();
+            ctrl.newSecret.value = 'abc';
+        });
+
+        it('should create the secret, reference its key and close the panel', function () {
+            ctrl.createSecret.and.returnValue($q.when());
+
+            ctrl.submitSecretCreation();
+
+            expect(ctrl.createSecret).toHaveBeenCalledWith({
+                secret: {
+                    name: 'missing',
+                    key: 'token',
+                    value: 'abc'
+                }
+            });
+            expect(ctrl.newSecret.isCreating).toBeTruthy();
+
+            $rootScope.$digest();
+
+            expect(ctrl.onSecretCreated).toHaveBeenCalledWith({ key: 'token' });
+            expect(ctrl.isSecretCreationOpen).toBeFalsy();
+        });
+
+        it('should keep the panel open with the error message if the creation failed', function () {
+            ctrl.createSecret.and.returnValue($q.reject({ data: { error: 'Already exists' } }));
+
+            ctrl.submitSecretCreation();
+            $rootScope.$digest();
+
+            expect(ctrl.onSecretCreated).not.toHaveBeenCalled();
+            expect(ctrl.isSecretCreationOpen).toBeTruthy();
+            expect(ctrl.newSecret.isCreating).toBeFalsy();
+            expect(ctrl.newSecret.error).toBe('Already exists');
+        });
+
+        it('should fall back to the default error message if the failure has none', function () {
+            ctrl.createSecret.and.returnValue($q.reject());
+
+            ctrl.submitSecretCreation();
+            $rootScope.$digest();
+
+            expect(ctrl.newSecret.error).toBe('functions:ERROR_MSG.CREATE_SECRET');
+        });
+
+        it('should not create the secret if its key is invalid', function () {
+            ctrl.newSecret.key = 'bad key';
+
+            ctrl.submitSecretCreation();
+
+            expect(ctrl.createSecret).not.toHaveBeenCalled();
+            expect(ctrl.newSecret.isCreating).toBeFalsy();
+        });
+    });
+});
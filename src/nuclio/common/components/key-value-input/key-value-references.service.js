@@ -0,0 +1,155 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('KeyValueReferencesService', KeyValueReferencesService);
+
+    function KeyValueReferencesService($i18next, i18next, lodash) {
+        var lng = i18next.language;
+
+        return {
+            findReference: findReference,
+            getKeySuggestions: getKeySuggestions,
+            getNameSuggestions: getNameSuggestions,
+            getWarning: getWarning,
+            isValidSecretKey: isValidSecretKey
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Finds an existing secret or config-map by its name
+         * @param {Array.<{name: string, keys: Array.<string>}>} references - the existing secrets or config-maps
+         * @param {string} name - the name
+         * @returns {Object|undefined} the secret or config-map, or `undefined` in case it does not exist
+         */
+        function findReference(references, name) {
+            return lodash.find(references, ['name', name]);
+        }
+
+        /**
+         * Gets the suggestion list for the value-key auto-complete field, out of the keys of the referenced secret or
+         * config-map
+         * @param {Array.<Object>} references - the existing secrets or config-maps
+         * @param {string} name - the name of the referenced secret or config-map
+         * @param {string} input - the current value of the field
+         * @returns {{suggestions: Array.<Object>, more: boolean}}
+         */
+        function getKeySuggestions(references, name, input) {
+            return toSuggestions(lodash.get(findReference(references, name), 'keys', []), input, function (key) {
+                return {
+                    value: key,
+                    label: key
+                };
+            });
+        }
+
+        /**
+         * Gets the suggestion list for the value auto-complete field, out of the existing secrets or config-maps
+         * @param {Array.<Object>} references - the existing secrets or config-maps
+         * @param {string} input - the current value of the field
+         * @returns {{suggestions: Array.<Object>, more: boolean}}
+         */
+        function getNameSuggestions(references, input) {
+            return toSuggestions(lodash.map(references, 'name'), input, function (name) {
+                return {
+                    value: name,
+                    label: name,
+                    additionalInfo: findReference(references, name).keys.join(', ')
+                };
+            });
+        }
+
+        /**
+         * Gets a warning about a referenced secret or config-map (or a key of it) that does not exist
+         * @param {string} type - `'secret'` or `'configmap'`
+         * @param {Array.<Object>} references - the existing secrets or config-maps
+         * @param {string} name - the name of the referenced secret or config-map
+         * @param {string} [key] - the referenced key
+         * @returns {string} the warning message, or an empty string in case the reference exists or is empty
+         */
+        function getWarning(type, references, name, key) {
+            var typeKey = type === 'secret' ? 'SECRET' : 'CONFIGMAP';
+            var reference = findReference(references, name);
+
+            if (lodash.isEmpty(name)) {
+                return '';
+            }
+
+            if (angular.isUndefined(reference)) {
+                return translate('functions:REFERENCE_NOT_FOUND.' + typeKey, { name: name });
+            }
+
+            return !lodash.isEmpty(key) && !lodash.includes(reference.keys, key) ?
+                translate('functions:REFERENCE_KEY_NOT_FOUND.' + typeKey, { key: key, name: name }) : '';
+        }
+
+        /**
+         * Checks whether the given key is valid for a new secret
+         * @param {string} key - the key to check
+         * @param {Array.<{pattern: RegExp|function}>} [rules] - the validation rules of the key
+         * @returns {boolean} `true` in case the key is valid, or `false` otherwise
+         */
+        function isValidSecretKey(key, rules) {
+            return !lodash.isEmpty(key) && lodash.every(rules, function (rule) {
+                return lodash.isFunction(rule.pattern) ? rule.pattern(key) : rule.pattern.test(key);
+            });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Converts the values that include the input into the suggestion list of an auto-complete field
+         * @param {Array.<string>} values - the values to suggest
+         * @param {string} input - the current value of the field
+         * @param {function} toSuggestion - converts a value into a suggestion
+         * @returns {{suggestions: Array.<Object>, more: boolean}}
+         */
+        function toSuggestions(values, input, toSuggestion) {
+            return {
+                suggestions: lodash.chain(values)
+                    .filter(function (value) {
+                        return lodash.includes(value, input);
+                    })
+                    .map(toSuggestion)
+                    .value(),
+                more: false
+            };
+        }
+
+        /**
+         * Translates a message about a referenced secret or config-map
+         * @param {string} key - the key of the message
+         * @param {Object} params - the interpolation params of the message
+         * @returns {string} the translated message
+         */
+        function translate(key, params) {
+            return $i18next.t(key, lodash.assign({
+                lng: lng,
+                interpolation: {
+                    escapeValue: false
+                }
+            }, params));
+        }
+    }
+}());
@@ -0,0 +1,144 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('KeyValueReferencesService: ', function () {
+    var $i18next;
+    var KeyValueReferencesService;
+    var references;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$i18next_, _KeyValueReferencesService_) {
+            $i18next = _$i18next_;
+            KeyValueReferencesService = _KeyValueReferencesService_;
+        });
+
+        spyOn($i18next, 't').and.callFake(function (key) {
+            return key;
+        });
+
+        references = [
+            {
+                name: 'db-credentials',
+                keys: ['username', 'password']
+            },
+            {
+                name: 'api-token',
+                keys: ['token']
+            }
+        ];
+    });
+
+    afterEach(function () {
+        $i18next = null;
+        KeyValueReferencesService = null;
+        references = null;
+    });
+
+    describe('findReference(): ', function () {
+        it('should find an existing secret or config-map by its name', function () {
+            expect(KeyValueReferencesService.findReference(references, 'api-token')).toBe(references[1]);
+            expect(KeyValueReferencesService.findReference(references, 'missing')).toBeUndefined();
+            expect(KeyValueReferencesService.findReference(undefined, 'api-token')).toBeUndefined();
+        });
+    });
+
+    describe('getNameSuggestions(): ', function () {
+        it('should suggest the existing secrets that include the input with their keys', function () {
+            expect(KeyValueReferencesService.getNameSuggestions(references, 'db')).toEqual({
+                suggestions: [
+                    {
+                        value: 'db-credentials',
+                        label: 'db-credentials',
+                        additionalInfo: 'username, password'
+                    }
+                ],
+                more: false
+            });
+        });
+
+        it('should suggest all of the existing ones for an empty input', function () {
+            expect(KeyValueReferencesService.getNameSuggestions(references, '').suggestions.length).toEqual(2);
+        });
+    });
+
+    describe('getKeySuggestions(): ', function () {
+        it('should suggest the keys of the referenced secret that include the input', function () {
+            expect(KeyValueReferencesService.getKeySuggestions(references, 'db-credentials', 'pass')).toEqual({
+                suggestions: [
+                    {
+                        value: 'password',
+                        label: 'password'
+                    }
+                ],
+                more: false
+            });
+        });
+
+        it('should suggest nothing if the referenced secret does not exist', function () {
+            expect(KeyValueReferencesService.getKeySuggestions(references, 'missing', '').suggestions).toEqual([]);
+        });
+    });
+
+    describe('getWarning(): ', function () {
+        it('should warn about a referenced secret or config-map that does not exist', function () {
+            expect(KeyValueReferencesService.getWarning('secret', references, 'missing'))
+                .toBe('functions:REFERENCE_NOT_FOUND.SECRET');
+            expect(KeyValueReferencesService.getWarning('configmap', references, 'missing'))
+                .toBe('functions:REFERENCE_NOT_FOUND.CONFIGMAP');
+            expect($i18next.t).toHaveBeenCalledWith('functions:REFERENCE_NOT_FOUND.CONFIGMAP',
+                                                     jasmine.objectContaining({ name: 'missing' }));
+        });
+
+        it('should warn about a referenced key that does not exist', function () {
+            expect(KeyValueReferencesService.getWarning('secret', references, 'db-credentials', 'token'))
+                .toBe('functions:REFERENCE_KEY_NOT_FOUND.SECRET');
+            expect($i18next.t).toHaveBeenCalledWith('functions:REFERENCE_KEY_NOT_FOUND.SECRET',
+                                                     jasmine.objectContaining({
+                                                         key: 'token',
+                                                         name: 'db-credentials'
+                                                     }));
+        });
+
+        it('should not warn if the referenced secret and key exist, or the key or name is empty', function () {
+            expect(KeyValueReferencesService.getWarning('secret', references, 'db-credentials', '')).toBe('');
+            expect(KeyValueReferencesService.getWarning('secret', references, 'db-credentials', 'password')).toBe('');
+            expect(KeyValueReferencesService.getWarning('secret', references, '', 'password')).toBe('');
+        });
+    });
+
+    describe('isValidSecretKey(): ', function () {
+        it('should check the key against the validation rules', function () {
+            var rules = [
+                {
+                    pattern: /^[\w.-]+$/
+                },
+                {
+                    pattern: function (key) {
+                        return key.length <= 10;
+                    }
+                }
+            ];
+
+            expect(KeyValueReferencesService.isValidSecretKey('token', rules)).toBeTruthy();
+            expect(KeyValueReferencesService.isValidSecretKey('bad key', rules)).toBeFalsy();
+            expect(KeyValueReferencesService.isValidSecretKey('very-long-key', rules)).toBeFalsy();
+            expect(KeyValueReferencesService.isValidSecretKey('', rules)).toBeFalsy();
+            expect(KeyValueReferencesService.isValidSecretKey('any key')).toBeTruthy();
+        });
+    });
+});
@@ -24,6 +24,7 @@ such restriction.
                 functionSourceCode: '<',
                 onChangeSourceCodeCallback: '&',
                 selectedTheme: '<',
+                handler: '<?',
                 miniMonaco: '<?',
                 noTopPadding: '<?',
                 showLineNumbers: '<?',
@@ -26,6 +26,7 @@ such restriction.
                 searchCallback: '&?',
                 isSearchHierarchically: '@?',
                 placeholder: '@',
+                queryFields: '<?',
                 type: '@?',
                 ruleType: '@?',
                 searchType: '@?'
@@ -34,9 +35,10 @@ such restriction.
             controller: SearchInputController
         });
 
-    function SearchInputController($scope, $timeout) {
+    function SearchInputController($scope, $timeout, lodash, SearchHelperService) {
         var ctrl = this;
 
+        ctrl.isSearchHierarchically = String(ctrl.isSearchHierarchically) === 'true';
         ctrl.searchQuery = '';
 
         ctrl.$onInit = onInit;
@@ -52,6 +54,8 @@ such restriction.
          */
         function onInit() {
             $scope.$watch('$ctrl.searchQuery', onChangeSearchQuery);
+            $scope.$on('search-input_refresh-search', onDataChanged);
+            $scope.$on('search-input_reset', resetSearch);
         }
 
         //
@@ -83,7 +87,26 @@ such restriction.
          * Calls service method for search
          */
         function makeSearch() {
-            // TODO
+            if (angular.isFunction(ctrl.searchCallback)) {
+
+                // call custom search method
+                ctrl.searchCallback(lodash.pick(ctrl, [
+                    'searchQuery',
+                    'dataSet',
+                    'searchKeys',
+                    'isSearchHierarchically',
+                    'ruleType',
+                    'searchStates'
+                ]));
+            }
+
+            if (angular.isUndefined(ctrl.type)) {
+
+                // default search functionality
+                SearchHelperService.makeSearch(ctrl.searchQuery, ctrl.dataSet, ctrl.searchKeys,
+                                               ctrl.isSearchHierarchically, ctrl.ruleType, ctrl.searchStates,
+                                               null, ctrl.queryFields);
+            }
         }
 
         /**
@@ -0,0 +1,97 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .directive('igzMonacoDiffEditor', function (lodash) {
+            function link(scope, element) {
+                var editorElement = element[0];
+                var diffEditor = null;
+                var isDestroyed = false;
+
+                // registered before the editor is loaded, as the scope might be destroyed before it is
+                scope.$on('$destroy', function () {
+                    isDestroyed = true;
+
+                    if (diffEditor !== null) {
+                        var models = diffEditor.getModel();
+
+                        diffEditor.dispose();
+
+                        if (!lodash.isNil(models)) {
+                            models.original.dispose();
+                            models.modified.dispose();
+                        }
+                    }
+                });
+
+                require(['vs/editor/editor.main'], function () {
+                    if (isDestroyed) {
+                        return;
+                    }
+
+                    diffEditor = window.monaco.editor.createDiffEditor(editorElement, {
+                        automaticLayout: true,
+                        readOnly: true,
+                        renderSideBySide: lodash.defaultTo(scope.sideBySide, true),
+                        scrollBeyondLastLine: false,
+                        minimap: {
+                            enabled: false
+                        }
+                    });
+
+                    /**
+                     * Replaces the models of the diff editor with new ones, built from the current scope values
+                     */
+                    function updateModels() {
+                        var previousModels = diffEditor.getModel();
+
+                        diffEditor.setModel({
+                            original: window.monaco.editor.createModel(lodash.defaultTo(scope.original, ''),
+                                                                       scope.language),
+                            modified: window.monaco.editor.createModel(lodash.defaultTo(scope.modified, ''),
+                                                                       scope.language)
+                        });
+
+                        if (!lodash.isNil(previousModels)) {
+                            previousModels.original.dispose();
+                            previousModels.modified.dispose();
+                        }
+                    }
+
+                    window.monaco.editor.setTheme(lodash.defaultTo(scope.editorTheme, 'vs'));
+
+                    scope.$watchGroup(['original', 'modified', 'language'], updateModels);
+                    scope.$watch('sideBySide', function (newValue) {
+                        diffEditor.updateOptions({ renderSideBySide: lodash.defaultTo(newValue, true) });
+                    });
+                });
+            }
+
+            return {
+                link: link,
+                scope: {
+                    editorTheme: '<?',
+                    language: '<',
+                    modified: '<',
+                    original: '<',
+                    sideBySide: '<?'
+                }
+            };
+        });
+}());
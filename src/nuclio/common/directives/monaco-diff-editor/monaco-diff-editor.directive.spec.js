@@ -0,0 +1,108 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('igzMonacoDiffEditor directive:', function () {
+    var $compile;
+    var $rootScope;
+    var diffEditor;
+    var loadEditor;
+    var models;
+    var scope;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$compile_, _$rootScope_) {
+            $compile = _$compile_;
+            $rootScope = _$rootScope_;
+        });
+
+        models = [];
+
+        // the Monaco editor is loaded on demand, and replaced by a minimal fake
+        spyOn(window, 'require').and.callFake(function (modules, callback) {
+            loadEditor = callback;
+        });
+        window.monaco = {
+            editor: {
+                createDiffEditor: jasmine.createSpy('createDiffEditor').and.callFake(function () {
+                    var diffModel = null;
+
+                    diffEditor = {
+                        dispose: jasmine.createSpy('dispose'),
+                        getModel: function () {
+                            return diffModel;
+                        },
+                        setModel: function (newModel) {
+                            diffModel = newModel;
+                        },
+                        updateOptions: angular.noop
+                    };
+
+                    return diffEditor;
+                }),
+                createModel: function () {
+                    var model = { dispose: jasmine.createSpy('dispose') };
+
+                    models.push(model);
+
+                    return model;
+                },
+                setTheme: angular.noop
+            }
+        };
+
+        scope = $rootScope.$new();
+        scope.original = 'a';
+        scope.modified = 'b';
+
+        $compile('<div data-igz-monaco-diff-editor data-original="original" data-modified="modified" ' +
+                 'data-language="\'json\'"></div>')(scope);
+        scope.$digest();
+    });
+
+    afterEach(function () {
+        delete window.monaco;
+
+        $compile = null;
+        $rootScope = null;
+        diffEditor = null;
+        loadEditor = null;
+        models = null;
+        scope = null;
+    });
+
+    describe('$destroy: ', function () {
+        it('should dispose the editor and its models', function () {
+            loadEditor();
+            scope.$digest();
+            scope.$destroy();
+
+            expect(diffEditor.dispose).toHaveBeenCalled();
+            expect(models.length).toEqual(2);
+            expect(models[0].dispose).toHaveBeenCalled();
+            expect(models[1].dispose).toHaveBeenCalled();
+        });
+
+        it('should not create the editor in case it is destroyed before the editor is loaded', function () {
+            scope.$destroy();
+            loadEditor();
+
+            expect(window.monaco.editor.createDiffEditor).not.toHaveBeenCalled();
+            expect(models).toEqual([]);
+        });
+    });
+});
@@ -20,9 +20,13 @@ such restriction.
     require.config({ paths: { 'vs': '/assets/monaco-editor/min/vs' } });
 
     angular.module('iguazio.dashboard-controls')
-        .directive('igzMonacoEditor', function (lodash) {
+        .directive('igzMonacoEditor', function (lodash, NuclioSdkService) {
+            var areProvidersRegistered = false;
+            var handlersByModel = {};
+
             function link(scope, element, attrs) {
                 var editorElement = element[0];
+                var modelIds = [];
                 require(['vs/editor/editor.main'], function () {
                     var editorContext = {
                         scope: scope,
@@ -39,6 +43,7 @@ such restriction.
 
                             // update the code
                             this.editor.setValue(scope.codeFile.code);
+                            this.updateHandlerMarkers();
                         },
                         onCodeFileChanged: function () {
                             if (!lodash.isEqual(this.editor.getValue(), scope.codeFile.code)) {
@@ -56,6 +61,29 @@ such restriction.
                         },
                         onReadOnlyChanged: function (newReadOnly) {
                             this.editor.updateOptions({ readOnly: newReadOnly });
+                        },
+                        updateHandlerMarkers: function () {
+                            var model = this.editor.getModel();
+                            var issue = lodash.isEmpty(scope.handler) ? null :
+                                NuclioSdkService.getHandlerIssue(model.getModeId(), model.getValue(), scope.handler);
+
+                            // keep the handler for the quick-fixes of the marker, until the model is disposed
+                            if (!lodash.includes(modelIds, model.id)) {
+                                modelIds.push(model.id);
+                                model.onWillDispose(function () {
+                                    delete handlersByModel[model.id];
+                                    lodash.pull(modelIds, model.id);
+                                });
+                            }
+                            handlersByModel[model.id] = scope.handler;
+
+                            window.monaco.editor.setModelMarkers(model, 'nuclio', issue === null ? [] : [
+                                lodash.assign({
+                                    severity: window.monaco.Severity.Warning,
+                                    message: issue.message,
+                                    source: 'nuclio'
+                                }, issue.range)
+                            ]);
                         }
                     };
 
@@ -102,8 +130,12 @@ such restriction.
 
                         // call callback from upper scope (monaco component) with new changed code
                         scope.onCodeChange(editorContext.editor.getValue());
+
+                        editorContext.updateHandlerMarkers();
                     });
 
+                    registerProviders();
+
                     // set up watch for codeFile changes to reflect updates
                     scope.$watch('fileLanguage', editorContext.onFileLanguageChanged.bind(editorContext));
                     scope.$watch('editorTheme', editorContext.onThemeChanged.bind(editorContext));
@@ -111,8 +143,76 @@ such restriction.
                     scope.$watch('codeFile', editorContext.onCodeFileChanged.bind(editorContext));
                     scope.$watch('fontSize', editorContext.onFontSizeChanged.bind(editorContext));
                     scope.$watch('readOnly', editorContext.onReadOnlyChanged.bind(editorContext));
+                    scope.$watch('handler', editorContext.updateHandlerMarkers.bind(editorContext));
 
                     scope.$on('function-import-source-code', editorContext.onReadOnlyCodeFileChanged.bind(editorContext));
+
+                    // the models of the editor might outlive it, so their handlers are not kept for them
+                    scope.$on('$destroy', function () {
+                        lodash.forEach(modelIds, function (modelId) {
+                            delete handlersByModel[modelId];
+                        });
+                        modelIds = [];
+                    });
+                });
+            }
+
+            /**
+             * Registers the completions of the nuclio SDK, and the quick-fixes of a missing handler, for the languages
+             * of the runtimes (once, as they apply to all editors)
+             */
+            function registerProviders() {
+                if (areProvidersRegistered) {
+                    return;
+                }
+
+                areProvidersRegistered = true;
+
+                lodash.forEach(NuclioSdkService.LANGUAGES, function (language) {
+                    window.monaco.languages.registerCompletionItemProvider(language, {
+                        triggerCharacters: ['.'],
+                        provideCompletionItems: function (model, position) {
+                            var linePrefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+                            var kinds = {
+                                method: window.monaco.languages.CompletionItemKind.Method,
+                                property: window.monaco.languages.CompletionItemKind.Property,
+                                snippet: window.monaco.languages.CompletionItemKind.Snippet
+                            };
+
+                            return lodash.map(NuclioSdkService.getCompletions(language, linePrefix), function (item) {
+                                return {
+                                    label: item.label,
+                                    kind: kinds[item.kind],
+                                    detail: item.detail,
+                                    insertText: {
+                                        value: item.insertText
+                                    }
+                                };
+                            });
+                        }
+                    });
+
+                    window.monaco.languages.registerCodeActionProvider(language, {
+                        provideCodeActions: function (model, range, context) {
+                            var markers = lodash.filter(context.markers, ['source', 'nuclio']);
+                            var issue = lodash.isEmpty(markers) ? null :
+                                NuclioSdkService.getHandlerIssue(language, model.getValue(), handlersByModel[model.id]);
+
+                            return lodash.map(lodash.get(issue, 'fixes', []), function (fix) {
+                                return {
+                                    title: fix.title,
+                                    kind: 'quickfix',
+                                    diagnostics: markers,
+                                    edit: {
+                                        edits: [{
+                                            resource: model.uri,
+                                            edits: [fix.edit]
+                                        }]
+                                    }
+                                };
+                            });
+                        }
+                    });
                 });
             }
 
@@ -123,6 +223,7 @@ such restriction.
                     editorTheme: '=editorTheme',
                     fontSize: '=fontSize',
                     fileLanguage: '=fileLanguage',
+                    handler: '=?handler',
                     miniMonaco: '=miniMonaco',
                     showLineNumbers: '=showLineNumbers',
                     onCodeChange: '=onCodeChange',
@@ -0,0 +1,271 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('igzMonacoEditor directive:', function () {
+    var $compile;
+    var $rootScope;
+    var NuclioSdkService;
+    var codeActionProviders;
+    var completionProviders;
+    var editor;
+    var element;
+    var lodash;
+    var modelCount;
+    var scope;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$compile_, _$rootScope_, _NuclioSdkService_, _lodash_) {
+            $compile = _$compile_;
+            $rootScope = _$rootScope_;
+            NuclioSdkService = _NuclioSdkService_;
+            lodash = _lodash_;
+        });
+
+        codeActionProviders = {};
+        completionProviders = {};
+        modelCount = 0;
+
+        // the Monaco editor is loaded synchronously, and replaced by a minimal fake
+        spyOn(window, 'require').and.callFake(function (modules, callback) {
+            callback();
+        });
+        window.monaco = {
+            Severity: {
+                Warning: 4
+            },
+            editor: {
+                create: function (editorElement, options) {
+                    var model = createModel(options.value, options.language);
+
+                    editor = {
+                        getModel: function () {
+                            return model;
+                        },
+                        getValue: function () {
+                            return model.getValue();
+                        },
+                        onDidChangeModelContent: angular.noop,
+                        setModel: function (newModel) {
+                            model = newModel;
+                        },
+                        setValue: function (value) {
+                            model.value = value;
+                        },
+                        updateOptions: angular.noop
+                    };
+
+                    return editor;
+                },
+                createModel: createModel,
+                defineTheme: angular.noop,
+                setModelMarkers: jasmine.createSpy('setModelMarkers'),
+                setTheme: angular.noop
+            },
+            languages: {
+                CompletionItemKind: {
+                    Method: 0,
+                    Property: 9,
+                    Snippet: 25
+                },
+                registerCodeActionProvider: function (language, provider) {
+                    codeActionProviders[language] = provider;
+                },
+                registerCompletionItemProvider: function (language, provider) {
+                    completionProviders[language] = provider;
+                }
+            }
+        };
+
+        scope = $rootScope.$new();
+        scope.codeFile = { code: 'def other(context, event):\n    pass\n' };
+        scope.fileLanguage = { language: 'python' };
+        scope.handler = 'main:handler';
+        scope.onCodeChange = jasmine.createSpy('onCodeChange');
+
+        element = angular.element(
+            '<div data-igz-monaco-editor data-code-file="codeFile" data-file-language="fileLanguage" ' +
+            'data-handler="handler" data-on-code-change="onCodeChange"></div>'
+        );
+        $compile(element)(scope);
+        scope.$digest();
+    });
+
+    afterEach(function () {
+        scope.$destroy();
+        delete window.monaco;
+
+        $compile = null;
+        $rootScope = null;
+        NuclioSdkService = null;
+        codeActionProviders = null;
+        completionProviders = null;
+        editor = null;
+        element = null;
+        lodash = null;
+        modelCount = null;
+        scope = null;
+    });
+
+    /**
+     * Creates a fake Monaco model
+     * @param {string} value - the content of the model
+     * @param {string} language - the language of the model
+     * @returns {Object} the model
+     */
+    function createModel(value, language) {
+        var disposeListeners = [];
+        var model = {
+            id: '$model' + ++modelCount,
+            uri: 'inmemory://model/' + modelCount,
+            value: value,
+            dispose: function () {
+                lodash.invokeMap(disposeListeners, 'call');
+            },
+            getLineContent: function (lineNumber) {
+                return model.value.split('\n')[lineNumber - 1];
+            },
+            getModeId: function () {
+                return language;
+            },
+            getValue: function () {
+                return model.value;
+            },
+            onWillDispose: function (listener) {
+                disposeListeners.push(listener);
+            },
+            updateOptions: angular.noop
+        };
+
+        return model;
+    }
+
+    /**
+     * Gets the quick-fixes of the code action provider for the current model of the editor
+     * @param {Array.<Object>} [markers] - the markers of the context, defaults to a marker of the handler check
+     * @returns {Array.<Object>} the code actions
+     */
+    function getCodeActions(markers) {
+        return codeActionProviders.python.provideCodeActions(editor.getModel(), {}, {
+            markers: lodash.defaultTo(markers, [{ source: 'nuclio' }])
+        });
+    }
+
+    describe('completion provider: ', function () {
+        it('should be registered for each language of the nuclio SDK', function () {
+            expect(lodash.keys(completionProviders).sort()).toEqual(NuclioSdkService.LANGUAGES.slice().sort());
+            expect(lodash.keys(codeActionProviders).sort()).toEqual(NuclioSdkService.LANGUAGES.slice().sort());
+        });
+
+        it('should complete the members of the SDK objects', function () {
+            var model = createModel('    context.logger.', 'python');
+            var completions = NuclioSdkService.getCompletions('python', '    context.logger.');
+            var items = completionProviders.python.provideCompletionItems(model, { lineNumber: 1, column: 20 });
+
+            expect(items.length).toEqual(completions.length);
+            expect(items[0]).toEqual({
+                label: completions[0].label,
+                kind: window.monaco.languages.CompletionItemKind[lodash.upperFirst(completions[0].kind)],
+                detail: completions[0].detail,
+                insertText: {
+                    value: completions[0].insertText
+                }
+            });
+        });
+
+        it('should complete only the text before the cursor', function () {
+            var model = createModel('context.logger.info()', 'python');
+            var items = completionProviders.python.provideCompletionItems(model, { lineNumber: 1, column: 16 });
+
+            expect(lodash.map(items, 'label'))
+                .toEqual(lodash.map(NuclioSdkService.getCompletions('python', 'context.logger.'), 'label'));
+        });
+    });
+
+    describe('snippet completions: ', function () {
+        it('should complete the snippets of the language at the start of a word', function () {
+            var model = createModel('    lo', 'python');
+            var items = completionProviders.python.provideCompletionItems(model, { lineNumber: 1, column: 7 });
+
+            expect(items).toContain(jasmine.objectContaining({
+                label: 'logwith',
+                kind: window.monaco.languages.CompletionItemKind.Snippet
+            }));
+            expect(items).toContain(jasmine.objectContaining({
+                label: 'handler',
+                kind: window.monaco.languages.CompletionItemKind.Snippet
+            }));
+        });
+    });
+
+    describe('handler check: ', function () {
+        it('should mark the missing handler', function () {
+            var issue = NuclioSdkService.getHandlerIssue('python', scope.codeFile.code, 'main:handler');
+
+            expect(window.monaco.editor.setModelMarkers).toHaveBeenCalledWith(editor.getModel(), 'nuclio', [
+                lodash.assign({
+                    severity: window.monaco.Severity.Warning,
+                    message: issue.message,
+                    source: 'nuclio'
+                }, issue.range)
+            ]);
+
+            scope.handler = 'main:other';
+            scope.$digest();
+
+            expect(window.monaco.editor.setModelMarkers.calls.mostRecent().args).toEqual([editor.getModel(), 'nuclio', []]);
+        });
+
+        it('should provide the quick-fixes of the handler issue', function () {
+            var issue = NuclioSdkService.getHandlerIssue('python', scope.codeFile.code, 'main:handler');
+            var actions = getCodeActions();
+
+            expect(actions.length).toEqual(issue.fixes.length);
+            expect(actions[0]).toEqual({
+                title: issue.fixes[0].title,
+                kind: 'quickfix',
+                diagnostics: [{ source: 'nuclio' }],
+                edit: {
+                    edits: [{
+                        resource: editor.getModel().uri,
+                        edits: [issue.fixes[0].edit]
+                    }]
+                }
+            });
+        });
+
+        it('should provide no quick-fixes without a marker of the handler check', function () {
+            expect(getCodeActions([{ source: 'python' }])).toEqual([]);
+        });
+
+        it('should not keep the handler of a disposed model', function () {
+            editor.getModel().dispose();
+
+            expect(getCodeActions()).toEqual([]);
+        });
+
+        it('should not keep the handlers of the models of a destroyed editor', function () {
+            var model = editor.getModel();
+
+            scope.$destroy();
+
+            expect(codeActionProviders.python.provideCodeActions(model, {}, {
+                markers: [{ source: 'nuclio' }]
+            })).toEqual([]);
+        });
+    });
+});
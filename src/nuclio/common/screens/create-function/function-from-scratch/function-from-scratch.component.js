@@ -31,8 +31,9 @@ such restriction.
             controller: FunctionFromScratchController
         });
 
-    function FunctionFromScratchController($document, $state, $timeout, $i18next, i18next, lodash, ConfigService,
-                                           EventHelperService, FunctionsService, ValidationService) {
+    function FunctionFromScratchController($document, $q, $state, $timeout, $i18next, i18next, lodash, ConfigService,
+                                           EventHelperService, FormValidationService, FunctionsService,
+                                           ValidationService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -49,7 +50,16 @@ such restriction.
         ctrl.runtimes = [];
         ctrl.selectedRuntime = null;
         ctrl.validationRules = {
-            functionName: ValidationService.getValidationRules('function.name')
+            functionName: ValidationService.getValidationRules('function.name', [
+                ValidationService.createAsyncRule({
+                    name: 'uniqueness',
+                    label: $i18next.t('functions:UNIQUENESS', { lng: lng }),
+                    validate: isFunctionNameAvailable,
+
+                    // an existing function could still be overwritten on creation (in the conflict dialog)
+                    isWarning: true
+                })
+            ])
         };
 
         ctrl.$onInit = onInit;
@@ -105,41 +115,43 @@ such restriction.
                 if ((angular.isUndefined(event) || event.keyCode === EventHelperService.ENTER) && ctrl.isCreateFunctionAllowed()) {
 
                     // create function only when form is valid
-                    if (ctrl.functionFromScratchForm.$valid) {
-                        ctrl.toggleSplashScreen({ value: true });
-
-                        ctrl.getFunction({metadata: {name: ctrl.functionData.metadata.name}})
-                            .then(function (existingFunction) {
-                                ctrl.toggleSplashScreen({ value: false });
-                                FunctionsService.openFunctionConflictDialog(ctrl.project,
-                                                                            ctrl.functionData,
-                                                                            existingFunction);
-                            })
-                            .catch(function (error) {
-                                if (error.status === 404) {
-                                    ctrl.toggleSplashScreen({ value: true });
-
-                                    lodash.defaultsDeep(ctrl, {
-                                        functionData: {
-                                            metadata: {}
+                    FormValidationService.validateForm(ctrl.functionFromScratchForm).then(function (isValid) {
+                        if (isValid) {
+                            ctrl.toggleSplashScreen({ value: true });
+
+                            ctrl.getFunction({metadata: {name: ctrl.functionData.metadata.name}})
+                                .then(function (existingFunction) {
+                                    ctrl.toggleSplashScreen({ value: false });
+                                    FunctionsService.openFunctionConflictDialog(ctrl.project,
+                                                                                ctrl.functionData,
+                                                                                existingFunction);
+                                })
+                                .catch(function (error) {
+                                    if (error.status === 404) {
+                                        ctrl.toggleSplashScreen({ value: true });
+
+                                        lodash.defaultsDeep(ctrl, {
+                                            functionData: {
+                                                metadata: {}
+                                            }
+                                        });
+
+                                        if (lodash.isEmpty(ctrl.project) && ctrl.selectedProject.id !== 'new_project') {
+                                            ctrl.project = lodash.find(ctrl.projects, ['metadata.name', ctrl.selectedProject.id]);
                                         }
-                                    });
 
-                                    if (lodash.isEmpty(ctrl.project) && ctrl.selectedProject.id !== 'new_project') {
-                                        ctrl.project = lodash.find(ctrl.projects, ['metadata.name', ctrl.selectedProject.id]);
+                                        $state.go('app.project.function.edit.code', {
+                                            isNewFunction: true,
+                                            id: ctrl.project.metadata.name,
+                                            projectId: ctrl.project.metadata.name,
+                                            projectNamespace: ctrl.project.metadata.namespace,
+                                            functionId: ctrl.functionData.metadata.name,
+                                            functionData: ctrl.functionData
+                                        });
                                     }
-
-                                    $state.go('app.project.function.edit.code', {
-                                        isNewFunction: true,
-                                        id: ctrl.project.metadata.name,
-                                        projectId: ctrl.project.metadata.name,
-                                        projectNamespace: ctrl.project.metadata.namespace,
-                                        functionId: ctrl.functionData.metadata.name,
-                                        functionData: ctrl.functionData
-                                    });
-                                }
-                            });
-                    }
+                                });
+                        }
+                    });
                 }
             }, 100);
         }
@@ -325,6 +337,21 @@ such restriction.
             }
         }
 
+        /**
+         * Checks whether no function with the given name exists, using the host's `getFunction` callback.
+         * Errors other than "not found" do not mark the name as taken (a conflict is still checked on creation).
+         * @param {string} name - The function name to check.
+         * @param {Promise} canceler - A promise resolved once the check is superseded by a newer one, passed to the
+         *     host's `getFunction` callback (to be used as the `timeout` of its HTTP request).
+         * @returns {Promise.<boolean>} a promise resolved with `true` in case the name is available, or `false`
+         *     otherwise.
+         */
+        function isFunctionNameAvailable(name, canceler) {
+            return $q.when(ctrl.getFunction({ metadata: { name: name }, canceler: canceler }))
+                .then(lodash.isEmpty)
+                .catch(lodash.constant(true));
+        }
+
         /**
          * Converts projects for project drop-down.
          */
@@ -19,17 +19,19 @@ describe('nclFunctionFromScratch Component:', function () {
     var $rootScope;
     var $q;
     var $timeout;
+    var FunctionsService;
     var ctrl;
     var runtimes;
 
     beforeEach(function () {
         module('iguazio.dashboard-controls');
 
-        inject(function (_$componentController_, _$rootScope_, _$q_, _$timeout_) {
+        inject(function (_$componentController_, _$rootScope_, _$q_, _$timeout_, _FunctionsService_) {
             $componentController = _$componentController_;
             $rootScope = _$rootScope_;
             $q = _$q_;
             $timeout = _$timeout_;
+            FunctionsService = _FunctionsService_;
         });
 
         runtimes = [
@@ -127,6 +129,7 @@ describe('nclFunctionFromScratch Component:', function () {
         $rootScope = null;
         $q = null;
         $timeout = null;
+        FunctionsService = null;
         ctrl = null;
         runtimes = null;
     });
@@ -168,4 +171,58 @@ describe('nclFunctionFromScratch Component:', function () {
             expect(ctrl.functionData.spec.build.functionSourceCode).toEqual(runtime.sourceCode);
         });
     });
+
+    describe('validationRules.functionName:', function () {
+        it('should warn about an existing function name, passing the canceler of the check to `getFunction`',
+           function () {
+               var result;
+               var rule = ctrl.validationRules.functionName.filter(function (aRule) {
+                   return aRule.name === 'uniqueness';
+               })[0];
+
+               ctrl.getFunction = jasmine.createSpy('getFunction').and.returnValue($q.when({
+                   metadata: {
+                       name: 'existing'
+                   }
+               }));
+
+               rule.pattern('existing').then(function (isValid) {
+                   result = isValid;
+               });
+               $timeout.flush();
+
+               expect(rule.isWarning).toBeTruthy();
+               expect(result).toBe(false);
+               expect(ctrl.getFunction).toHaveBeenCalledWith({
+                   metadata: {
+                       name: 'existing'
+                   },
+                   canceler: jasmine.any(Object)
+               });
+           });
+    });
+
+    describe('createFunction():', function () {
+        it('should open the conflict dialog in case a function with the same name exists', function () {
+            var existingFunction = {
+                metadata: {
+                    name: 'existing'
+                }
+            };
+
+            spyOn(FunctionsService, 'openFunctionConflictDialog');
+            ctrl.getFunction = jasmine.createSpy('getFunction').and.returnValue($q.when(existingFunction));
+            ctrl.functionFromScratchForm = {
+                $valid: true,
+                $error: {}
+            };
+            ctrl.functionData.metadata.name = 'existing';
+
+            ctrl.createFunction();
+            $timeout.flush();
+
+            expect(FunctionsService.openFunctionConflictDialog).toHaveBeenCalledWith(ctrl.project, ctrl.functionData,
+                                                                                     existingFunction);
+        });
+    });
 });
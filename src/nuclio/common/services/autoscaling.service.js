@@ -0,0 +1,375 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('AutoscalingService', AutoscalingService);
+
+    function AutoscalingService($i18next, i18next, lodash) {
+        var lng = i18next.language;
+        var DEFAULT_SCALE_DOWN_WINDOW = 300;
+        var DEFAULT_SCALE_UP_WINDOW = 0;
+        var MAX_STABILIZATION_WINDOW = 3600;
+        var METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+        var METRIC_TYPES = {
+            cpu: {
+                metricName: 'cpu',
+                sourceType: 'Resource',
+                displayType: 'percentage'
+            },
+            memory: {
+                metricName: 'memory',
+                sourceType: 'Resource',
+                displayType: 'percentage'
+            },
+            custom: {
+                sourceType: 'External',
+                displayType: 'int'
+            }
+        };
+        var SAMPLE_DURATION = 3600;
+        var SAMPLE_STEP = 15;
+        var LOAD_SHAPES = {
+            spike: function (time) {
+                return time >= 1200 && time < 1800 ? 1 : time < 2700 ? 0.1 : 0;
+            },
+            ramp: function (time) {
+                return time < 1800 ? time / 1800 : time < 3000 ? (3000 - time) / 1200 : 0;
+            },
+            wave: function (time) {
+                return (1 - Math.cos(2 * Math.PI * time / 1800)) / 2;
+            }
+        };
+
+        return {
+            LOAD_SHAPES: lodash.keys(LOAD_SHAPES),
+            METRIC_TYPES: lodash.keys(METRIC_TYPES),
+            applyPolicy: applyPolicy,
+            createMetric: createMetric,
+            getPolicy: getPolicy,
+            getSampleLoad: getSampleLoad,
+            isAutoscalingApplicable: isAutoscalingApplicable,
+            isPercentage: isPercentage,
+            parseDuration: parseDuration,
+            simulateReplicas: simulateReplicas,
+            validateMetric: validateMetric,
+            validateStabilizationWindow: validateStabilizationWindow
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Sets the autoscaling policy to a function's spec.
+         * Metric targets are set to `spec.autoScaleMetrics`, and the CPU target is also kept in `spec.targetCPU` for
+         * backward compatibility. Stabilization windows are set to `spec.autoScaleBehavior` in the same form as the
+         * `behavior` field of a Kubernetes horizontal pod autoscaler.
+         * @param {Object} spec - the function's spec
+         * @param {Object} policy - the policy (see `getPolicy`)
+         */
+        function applyPolicy(spec, policy) {
+            var autoScaleMetrics = lodash.map(policy.metrics, function (metric) {
+                return lodash.assign({}, METRIC_TYPES[metric.type], {
+                    metricName: metric.type === 'custom' ? metric.metricName : METRIC_TYPES[metric.type].metricName,
+                    threshold: metric.threshold
+                });
+            });
+            var cpuMetric = lodash.find(policy.metrics, ['type', 'cpu']);
+            var behavior = lodash.omitBy({
+                scaleUp: getBehaviorRule(policy.scaleUpWindow),
+                scaleDown: getBehaviorRule(policy.scaleDownWindow)
+            }, lodash.isNil);
+
+            setOrUnset(spec, 'autoScaleMetrics', autoScaleMetrics);
+            setOrUnset(spec, 'targetCPU', lodash.get(cpuMetric, 'threshold'));
+            setOrUnset(spec, 'autoScaleBehavior', behavior);
+        }
+
+        /**
+         * Creates a new metric target
+         * @param {string} [type='cpu'] - one of `METRIC_TYPES`
+         * @returns {Object} the new metric target
+         */
+        function createMetric(type) {
+            type = lodash.defaultTo(type, 'cpu');
+
+            return {
+                type: type,
+                metricName: '',
+                threshold: isPercentage(type) ? 75 : null
+            };
+        }
+
+        /**
+         * Gets the autoscaling policy of a function's spec
+         * @param {Object} spec - the function's spec
+         * @returns {{metrics: Array.<{type: string, metricName: string, threshold: number}>, scaleUpWindow: ?number,
+         *     scaleDownWindow: ?number}} the policy
+         */
+        function getPolicy(spec) {
+            var metrics = lodash.map(lodash.get(spec, 'autoScaleMetrics'), function (autoScaleMetric) {
+                var type = lodash.includes(['cpu', 'memory'], autoScaleMetric.metricName) &&
+                    autoScaleMetric.sourceType !== 'External' ? autoScaleMetric.metricName : 'custom';
+
+                return {
+                    type: type,
+                    metricName: type === 'custom' ? autoScaleMetric.metricName : '',
+                    threshold: lodash.defaultTo(autoScaleMetric.threshold, null)
+                };
+            });
+
+            if (lodash.isEmpty(metrics) && lodash.isNumber(lodash.get(spec, 'targetCPU'))) {
+                metrics = [lodash.assign(createMetric('cpu'), { threshold: spec.targetCPU })];
+            }
+
+            return {
+                metrics: metrics,
+                scaleUpWindow: lodash.get(spec, 'autoScaleBehavior.scaleUp.stabilizationWindowSeconds', null),
+                scaleDownWindow: lodash.get(spec, 'autoScaleBehavior.scaleDown.stabilizationWindowSeconds', null)
+            };
+        }
+
+        /**
+         * Generates a sample load curve of one hour
+         * @param {string} shape - one of `LOAD_SHAPES`
+         * @param {number} peak - the peak load, in percents of the capacity of a single replica (e.g. `250` is the
+         *     load that keeps two and a half replicas fully utilized)
+         * @returns {Array.<{time: number, load: number}>} the load for every `SAMPLE_STEP` seconds
+         */
+        function getSampleLoad(shape, peak) {
+            return lodash.map(lodash.range(0, SAMPLE_DURATION + SAMPLE_STEP, SAMPLE_STEP), function (time) {
+                return {
+                    time: time,
+                    load: Math.round(LOAD_SHAPES[shape](time) * peak)
+                };
+            });
+        }
+
+        /**
+         * Checks whether the number of replicas could change with the given replicas range
+         * @param {number} [minReplicas] - the minimum number of replicas
+         * @param {number} [maxReplicas] - the maximum number of replicas
+         * @returns {boolean} `true` if both are set, differ from each other, and the maximum is greater than 1
+         */
+        function isAutoscalingApplicable(minReplicas, maxReplicas) {
+            return lodash.isNumber(minReplicas) && lodash.isNumber(maxReplicas) && maxReplicas > 1 &&
+                minReplicas !== maxReplicas;
+        }
+
+        /**
+         * Checks whether the target of the given metric type is a utilization percentage
+         * @param {string} type - one of `METRIC_TYPES`
+         * @returns {boolean}
+         */
+        function isPercentage(type) {
+            return lodash.get(METRIC_TYPES, [type, 'displayType']) === 'percentage';
+        }
+
+        /**
+         * Parses a duration like `30s`, `5m` or `1h`
+         * @param {string} duration - the duration
+         * @returns {?number} the duration in seconds, or `null` if it could not be parsed
+         */
+        function parseDuration(duration) {
+            var match = /^(\d+)([smh])$/.exec(lodash.trim(duration));
+
+            return match === null ? null : Number(match[1]) * { s: 1, m: 60, h: 3600 }[match[2]];
+        }
+
+        /**
+         * Simulates the number of replicas for a load curve, the way a horizontal pod autoscaler does: the desired
+         * number of replicas of each metric is the total usage divided by the target, the highest one among the
+         * metrics is recommended, and the recommendation is stabilized by the lowest recommendation of the scale up
+         * window (when scaling up) or by the highest recommendation of the scale down window (when scaling down).
+         * Unset windows default to those of a horizontal pod autoscaler: 0 seconds for scaling up, and 300 seconds
+         * for scaling down.
+         * Custom metrics are simulated as if a fully utilized replica reports exactly their target.
+         * When the minimum number of replicas is 0, the function scales to zero after no load for the whole inactivity
+         * window, and scales back up on the first load.
+         * @param {Object} policy - the policy (see `getPolicy`) with `minReplicas`, `maxReplicas` and an optional
+         *     `inactivityWindow` in seconds
+         * @param {Array.<{time: number, load: number}>} loadCurve - the load curve (see `getSampleLoad`)
+         * @returns {Array.<{time: number, load: number, replicas: number}>} the number of replicas over time
+         */
+        function simulateReplicas(policy, loadCurve) {
+            var validMetrics = lodash.filter(policy.metrics, function (metric) {
+                return metric.threshold > 0;
+            });
+            var minReplicas = Math.max(lodash.defaultTo(policy.minReplicas, 1), 1);
+            var maxReplicas = Math.max(lodash.defaultTo(policy.maxReplicas, minReplicas), minReplicas);
+            var inactivityWindow = lodash.defaultTo(policy.inactivityWindow, 0);
+            var replicas = minReplicas;
+            var recommendations = [];
+            var idleSince = null;
+
+            return lodash.map(loadCurve, function (point) {
+                var recommendation = lodash.clamp(getRecommendation(validMetrics, point.load, replicas), minReplicas,
+                                                  maxReplicas);
+
+                recommendations.push({
+                    time: point.time,
+                    replicas: recommendation
+                });
+
+                if (recommendation > replicas) {
+                    replicas = Math.max(replicas, getStabilized(recommendations, point.time, policy.scaleUpWindow,
+                                                                'min'));
+                } else if (recommendation < replicas) {
+                    replicas = Math.min(replicas, getStabilized(recommendations, point.time, policy.scaleDownWindow,
+                                                                'max'));
+                }
+
+                idleSince = point.load > 0 ? null : lodash.defaultTo(idleSince, point.time);
+
+                return {
+                    time: point.time,
+                    load: point.load,
+                    replicas: policy.minReplicas === 0 && idleSince !== null &&
+                        point.time - idleSince >= inactivityWindow ? 0 : replicas
+                };
+            });
+        }
+
+        /**
+         * Validates a metric target
+         * @param {Object} metric - the metric target
+         * @param {Array.<Object>} metrics - all the metric targets, for detecting duplicates
+         * @returns {Array.<string>} the error messages, empty if the metric target is valid
+         */
+        function validateMetric(metric, metrics) {
+            var errors = [];
+            var duplicates = lodash.filter(metrics, function (otherMetric) {
+                return otherMetric.type === metric.type &&
+                    (metric.type !== 'custom' || otherMetric.metricName === metric.metricName);
+            });
+
+            if (metric.type === 'custom') {
+                if (lodash.isEmpty(metric.metricName)) {
+                    errors.push(getErrorMessage('METRIC_NAME_REQUIRED'));
+                } else if (!METRIC_NAME_PATTERN.test(metric.metricName)) {
+                    errors.push(getErrorMessage('METRIC_NAME'));
+                }
+            }
+
+            if (duplicates.length > 1) {
+                errors.push(getErrorMessage('DUPLICATE_METRIC'));
+            }
+
+            if (!isValidThreshold(metric)) {
+                errors.push(getErrorMessage(isPercentage(metric.type) ? 'PERCENTAGE_THRESHOLD' : 'THRESHOLD'));
+            }
+
+            return errors;
+        }
+
+        /**
+         * Validates a stabilization window
+         * @param {?number} window - the stabilization window in seconds, or `null` for the default one
+         * @returns {Array.<string>} the error messages, empty if the stabilization window is valid
+         */
+        function validateStabilizationWindow(window) {
+            return lodash.isNil(window) || Number.isInteger(window) && window >= 0 &&
+                window <= MAX_STABILIZATION_WINDOW ? [] :
+                [getErrorMessage('STABILIZATION_WINDOW', { max: MAX_STABILIZATION_WINDOW })];
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Gets a scaling rule of the autoscaling behavior
+         * @param {?number} window - the stabilization window in seconds
+         * @returns {?Object} the rule, or `null` if the stabilization window is not set
+         */
+        function getBehaviorRule(window) {
+            return lodash.isNil(window) ? null : { stabilizationWindowSeconds: window };
+        }
+
+        /**
+         * Gets a localized error message
+         * @param {string} key - the key of the message under `functions:AUTOSCALING.ERROR`
+         * @param {Object} [options] - the interpolation options
+         * @returns {string}
+         */
+        function getErrorMessage(key, options) {
+            return $i18next.t('functions:AUTOSCALING.ERROR.' + key, lodash.assign({ lng: lng }, options));
+        }
+
+        /**
+         * Gets the recommended number of replicas for a load
+         * @param {Array.<Object>} metrics - the metric targets
+         * @param {number} load - the load, in percents of the capacity of a single replica
+         * @param {number} replicas - the current number of replicas
+         * @returns {number} the highest number of replicas desired by the metrics, or the current number of replicas
+         *     if there are no metrics
+         */
+        function getRecommendation(metrics, load, replicas) {
+            if (lodash.isEmpty(metrics)) {
+                return replicas;
+            }
+
+            return lodash.max(lodash.map(metrics, function (metric) {
+                // a fully utilized replica is assumed to report exactly the target of a custom metric
+                return Math.ceil(load / (isPercentage(metric.type) ? metric.threshold : 100));
+            }));
+        }
+
+        /**
+         * Gets the stabilized recommendation for a scaling direction
+         * @param {Array.<{time: number, replicas: number}>} recommendations - the recommendations so far
+         * @param {number} time - the current time
+         * @param {?number} window - the stabilization window in seconds, or `null` for the default one of the direction
+         * @param {string} method - `min` for scaling up, `max` for scaling down
+         * @returns {number}
+         */
+        function getStabilized(recommendations, time, window, method) {
+            var defaultWindow = method === 'min' ? DEFAULT_SCALE_UP_WINDOW : DEFAULT_SCALE_DOWN_WINDOW;
+            var windowRecommendations = lodash.filter(recommendations, function (recommendation) {
+                return recommendation.time >= time - lodash.defaultTo(window, defaultWindow);
+            });
+
+            return lodash[method + 'By'](windowRecommendations, 'replicas').replicas;
+        }
+
+        /**
+         * Checks whether the target of a metric is a positive integer, and at most 100 for utilization percentages
+         * @param {Object} metric - the metric target
+         * @returns {boolean}
+         */
+        function isValidThreshold(metric) {
+            return Number.isInteger(metric.threshold) && metric.threshold >= 1 &&
+                (!isPercentage(metric.type) || metric.threshold <= 100);
+        }
+
+        /**
+         * Sets a field of the spec, or removes it if the value is empty
+         * @param {Object} spec - the function's spec
+         * @param {string} field - the name of the field
+         * @param {*} value - the value
+         */
+        function setOrUnset(spec, field, value) {
+            if (lodash.isNil(value) || lodash.isObject(value) && lodash.isEmpty(value)) {
+                delete spec[field];
+            } else {
+                spec[field] = value;
+            }
+        }
+    }
+}());
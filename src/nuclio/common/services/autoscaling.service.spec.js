@@ -0,0 +1,232 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('AutoscalingService: ', function () {
+    var AutoscalingService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_AutoscalingService_, _lodash_) {
+            AutoscalingService = _AutoscalingService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        AutoscalingService = null;
+        lodash = null;
+    });
+
+    describe('getPolicy() and applyPolicy(): ', function () {
+        it('should convert auto scale metrics and behavior to a policy and back', function () {
+            var spec = {
+                minReplicas: 1,
+                maxReplicas: 4,
+                targetCPU: 60,
+                autoScaleMetrics: [
+                    {
+                        metricName: 'cpu',
+                        sourceType: 'Resource',
+                        displayType: 'percentage',
+                        threshold: 60
+                    },
+                    {
+                        metricName: 'stream_lag',
+                        sourceType: 'External',
+                        displayType: 'int',
+                        threshold: 500
+                    }
+                ],
+                autoScaleBehavior: {
+                    scaleDown: {
+                        stabilizationWindowSeconds: 300
+                    }
+                }
+            };
+            var policy = AutoscalingService.getPolicy(spec);
+            var newSpec = {};
+
+            expect(policy).toEqual({
+                metrics: [
+                    {
+                        type: 'cpu',
+                        metricName: '',
+                        threshold: 60
+                    },
+                    {
+                        type: 'custom',
+                        metricName: 'stream_lag',
+                        threshold: 500
+                    }
+                ],
+                scaleUpWindow: null,
+                scaleDownWindow: 300
+            });
+
+            AutoscalingService.applyPolicy(newSpec, policy);
+
+            expect(newSpec).toEqual(lodash.pick(spec, ['targetCPU', 'autoScaleMetrics', 'autoScaleBehavior']));
+        });
+
+        it('should fall back to the target CPU when there are no auto scale metrics', function () {
+            expect(AutoscalingService.getPolicy({ targetCPU: 80 }).metrics).toEqual([
+                {
+                    type: 'cpu',
+                    metricName: '',
+                    threshold: 80
+                }
+            ]);
+        });
+
+        it('should remove empty fields from the spec', function () {
+            var spec = {
+                targetCPU: 75,
+                autoScaleMetrics: [],
+                autoScaleBehavior: {}
+            };
+
+            AutoscalingService.applyPolicy(spec, {
+                metrics: [],
+                scaleUpWindow: null,
+                scaleDownWindow: null
+            });
+
+            expect(spec).toEqual({});
+        });
+    });
+
+    describe('simulateReplicas(): ', function () {
+        var loadCurve;
+        var policy;
+
+        beforeEach(function () {
+            loadCurve = lodash.map([0, 100, 300, 300, 100, 100, 100, 0, 0, 0], function (load, index) {
+                return {
+                    time: index * 60,
+                    load: load
+                };
+            });
+            policy = {
+                minReplicas: 1,
+                maxReplicas: 10,
+                metrics: [
+                    {
+                        type: 'cpu',
+                        threshold: 50
+                    }
+                ],
+                scaleUpWindow: 0,
+                scaleDownWindow: 0
+            };
+        });
+
+        it('should follow the load when there are no stabilization windows', function () {
+            expect(lodash.map(AutoscalingService.simulateReplicas(policy, loadCurve), 'replicas'))
+                .toEqual([1, 2, 6, 6, 2, 2, 2, 1, 1, 1]);
+        });
+
+        it('should delay scaling down by the scale down window', function () {
+            policy.scaleDownWindow = 120;
+
+            expect(lodash.map(AutoscalingService.simulateReplicas(policy, loadCurve), 'replicas'))
+                .toEqual([1, 2, 6, 6, 6, 6, 2, 2, 2, 1]);
+        });
+
+        it('should default the windows to those of a horizontal pod autoscaler when they are not set', function () {
+            policy.scaleUpWindow = null;
+            policy.scaleDownWindow = null;
+
+            expect(lodash.map(AutoscalingService.simulateReplicas(policy, loadCurve), 'replicas'))
+                .toEqual([1, 2, 6, 6, 6, 6, 6, 6, 6, 2]);
+        });
+
+        it('should use the metric that requires the most replicas, up to the maximum', function () {
+            policy.maxReplicas = 4;
+            policy.metrics.push({
+                type: 'custom',
+                metricName: 'lag',
+                threshold: 10
+            });
+            loadCurve[3].load = 1000;
+
+            expect(lodash.map(AutoscalingService.simulateReplicas(policy, loadCurve), 'replicas'))
+                .toEqual([1, 2, 4, 4, 2, 2, 2, 1, 1, 1]);
+        });
+
+        it('should scale to zero after the inactivity window', function () {
+            policy.minReplicas = 0;
+            policy.inactivityWindow = 120;
+
+            expect(lodash.map(AutoscalingService.simulateReplicas(policy, loadCurve), 'replicas'))
+                .toEqual([1, 2, 6, 6, 2, 2, 2, 1, 1, 0]);
+        });
+    });
+
+    describe('validateMetric(): ', function () {
+        it('should validate the threshold and the metric name', function () {
+            var metrics = [
+                {
+                    type: 'cpu',
+                    threshold: 120
+                },
+                {
+                    type: 'custom',
+                    metricName: '1lag',
+                    threshold: 10
+                },
+                {
+                    type: 'custom',
+                    metricName: 'lag',
+                    threshold: 0
+                },
+                {
+                    type: 'memory',
+                    threshold: 80
+                }
+            ];
+
+            expect(lodash.map(metrics, function (metric) {
+                return AutoscalingService.validateMetric(metric, metrics).length;
+            })).toEqual([1, 1, 1, 0]);
+        });
+
+        it('should detect duplicate metrics', function () {
+            var metrics = [
+                {
+                    type: 'memory',
+                    threshold: 80
+                },
+                {
+                    type: 'memory',
+                    threshold: 70
+                }
+            ];
+
+            expect(AutoscalingService.validateMetric(metrics[0], metrics).length).toEqual(1);
+        });
+    });
+
+    describe('validateStabilizationWindow(): ', function () {
+        it('should accept empty windows and integers up to an hour', function () {
+            expect(AutoscalingService.validateStabilizationWindow(null)).toEqual([]);
+            expect(AutoscalingService.validateStabilizationWindow(3600)).toEqual([]);
+            expect(AutoscalingService.validateStabilizationWindow(3601).length).toEqual(1);
+            expect(AutoscalingService.validateStabilizationWindow(1.5).length).toEqual(1);
+        });
+    });
+});
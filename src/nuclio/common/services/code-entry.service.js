@@ -0,0 +1,367 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('CodeEntryService', CodeEntryService);
+
+    function CodeEntryService($i18next, $q, i18next, lodash) {
+        var lng = i18next.language;
+        var GIT_TYPES = ['git', 'github'];
+        var REMOTE_TYPES = ['archive', 'git', 'github'];
+
+        // the branches and tags last listed, reused as long as the repository and the credentials are unchanged
+        var lastRefs = {
+            key: null,
+            promise: null
+        };
+
+        return {
+            getDirectories: getDirectories,
+            getErrorMessage: getErrorMessage,
+            getParentPath: getParentPath,
+            getRefs: getRefs,
+            getRefSuggestions: getRefSuggestions,
+            getSource: getSource,
+            getSourceKey: getSourceKey,
+            isGitType: isGitType,
+            isRemoteType: isRemoteType,
+            joinPath: joinPath,
+            normalizePath: normalizePath,
+            verifyAccess: verifyAccess
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Lists the directories directly under a path of the function's code source, through the host-supplied
+         * `listTree` callback.
+         * @param {function} listTree - The callback, invoked with `source` (@see {@link getSource}) and `path`, and
+         *     resolving to a list of `{name, type}` entries where `type` is `'dir'` or `'file'`.
+         * @param {Object} source - The code source.
+         * @param {string} path - The path to list (e.g. `'/'`, `'/functions/my-func'`).
+         * @returns {Promise.<Array.<string>>} the sorted names of the directories.
+         */
+        function getDirectories(listTree, source, path) {
+            return $q.when(listTree({ source: source, path: normalizePath(path) }))
+                .then(function (entries) {
+                    return lodash.chain(entries)
+                        .filter(['type', 'dir'])
+                        .map('name')
+                        .uniq()
+                        .sortBy()
+                        .value();
+                });
+        }
+
+        /**
+         * Extracts the error message out of a rejection reason of a host-supplied callback.
+         * @param {*} error - The rejection reason.
+         * @returns {string} the error message.
+         */
+        function getErrorMessage(error) {
+            return lodash.get(error, 'data.error', lodash.get(error, 'message', lodash.get(error, 'statusText'))) ||
+                $i18next.t('common:UNKNOWN', { lng: lng });
+        }
+
+        /**
+         * Returns the parent directory of a path.
+         * @param {string} path - The path.
+         * @returns {string} the parent path, `'/'` for the root directory itself.
+         * @example
+         * getParentPath('/functions/my-func/');
+         * // => '/functions'
+         */
+        function getParentPath(path) {
+            var parts = lodash.compact(normalizePath(path).split('/'));
+
+            return '/' + lodash.initial(parts).join('/');
+        }
+
+        /**
+         * Lists the branches and tags of the function's git repository, through the host-supplied `listGitRefs`
+         * callback.
+         * @param {function} listGitRefs - The callback, invoked with `source` (@see {@link getSource}) and resolving to
+         *     `{branches, tags}`, each a list of names or of `{name}` objects.
+         * @param {Object} source - The code source.
+         * @returns {Promise.<{branches: Array.<string>, tags: Array.<string>}>} the sorted branch and tag names.
+         */
+        function getRefs(listGitRefs, source) {
+            return $q.when(listGitRefs({ source: source }))
+                .then(function (refs) {
+                    return {
+                        branches: getRefNames(lodash.get(refs, 'branches')),
+                        tags: getRefNames(lodash.get(refs, 'tags'))
+                    };
+                });
+        }
+
+        /**
+         * Gets the branches or tags of the function's git repository matching an entered text, to suggest in the
+         * branch and tag fields. The branches and tags are listed once (@see {@link getRefs}) and reused as long as the
+         * repository and the credentials are unchanged (@see {@link getSourceKey}), unless listing them failed.
+         * @param {function} listGitRefs - The host-supplied callback (@see {@link getRefs}).
+         * @param {Object} source - The code source.
+         * @param {string} type - `'branches'` or `'tags'`.
+         * @param {string} input - The entered text.
+         * @returns {Promise.<{suggestions: Array.<Object>, more: boolean}>} the suggestions (none in case the
+         *     repository could not be listed).
+         */
+        function getRefSuggestions(listGitRefs, source, type, input) {
+            var key = getSourceKey(source);
+
+            if (key !== lastRefs.key) {
+                var refs = {
+                    key: key,
+                    promise: null
+                };
+
+                // list the refs again next time in case listing failed
+                refs.promise = getRefs(listGitRefs, source)
+                    .catch(function (error) {
+                        refs.key = null;
+
+                        return $q.reject(error);
+                    });
+                lastRefs = refs;
+            }
+
+            return lastRefs.promise
+                .then(function (allRefs) {
+                    return lodash.filter(allRefs[type], function (name) {
+                        return lodash.includes(name, input);
+                    });
+                })
+                .catch(lodash.constant([]))
+                .then(function (names) {
+                    return {
+                        suggestions: lodash.map(names, function (name) {
+                            return {
+                                value: name,
+                                label: name
+                            };
+                        }),
+                        more: false
+                    };
+                });
+        }
+
+        /**
+         * Returns the code source of a function, as passed to the `listGitRefs` and `listTree` callbacks.
+         * @param {Object} version - The function.
+         * @returns {{codeEntryType: string, path: string, codeEntryAttributes: Object}} the code entry type, the URL
+         *     of the repository or archive, and the code entry attributes (branch, credentials etc.).
+         */
+        function getSource(version) {
+            return {
+                codeEntryType: lodash.get(version, 'spec.build.codeEntryType', ''),
+                path: lodash.get(version, 'spec.build.path', ''),
+                codeEntryAttributes: lodash.cloneDeep(lodash.get(version, 'spec.build.codeEntryAttributes', {}))
+            };
+        }
+
+        /**
+         * Returns a key identifying the repository or archive of a code source and the credentials to access it, so
+         * the branches, tags and directories listed for it could be reused until one of them changes.
+         * @param {Object} source - The code source (@see {@link getSource}).
+         * @returns {string} the key.
+         */
+        function getSourceKey(source) {
+            return angular.toJson([
+                source.codeEntryType,
+                source.path,
+                lodash.omit(source.codeEntryAttributes, ['branch', 'tag', 'reference', 'workDir'])
+            ]);
+        }
+
+        /**
+         * Tests whether a code entry type downloads the function code from a git repository.
+         * @param {string} codeEntryType - The code entry type.
+         * @returns {boolean} `true` for `'git'` and `'github'`, or `false` otherwise.
+         */
+        function isGitType(codeEntryType) {
+            return lodash.includes(GIT_TYPES, codeEntryType);
+        }
+
+        /**
+         * Tests whether the directories of a code entry type could be browsed.
+         * @param {string} codeEntryType - The code entry type.
+         * @returns {boolean} `true` for `'archive'`, `'git'` and `'github'`, or `false` otherwise.
+         */
+        function isRemoteType(codeEntryType) {
+            return lodash.includes(REMOTE_TYPES, codeEntryType);
+        }
+
+        /**
+         * Appends a directory name to a path.
+         * @param {string} path - The path.
+         * @param {string} name - The directory name.
+         * @returns {string} the joined path.
+         */
+        function joinPath(path, name) {
+            return normalizePath(normalizePath(path) + '/' + name);
+        }
+
+        /**
+         * Normalizes a path to start with a single slash, without a trailing slash or repeated slashes.
+         * @param {string} [path] - The path.
+         * @returns {string} the normalized path, `'/'` for an empty path.
+         * @example
+         * normalizePath('functions//my-func/');
+         * // => '/functions/my-func'
+         */
+        function normalizePath(path) {
+            return '/' + lodash.compact(lodash.defaultTo(path, '').split(/[\\/]+/)).join('/');
+        }
+
+        /**
+         * Verifies the function's code source could be accessed: the repository or archive could be read with the
+         * given credentials, the selected branch or tag exists and so does the work directory. Each check is made
+         * only in case the host supplied the callback it requires.
+         * @param {Object} callbacks - The host-supplied callbacks.
+         * @param {function} [callbacks.listGitRefs] - Lists the branches and tags (@see {@link getRefs}).
+         * @param {function} [callbacks.listTree] - Lists a directory (@see {@link getDirectories}).
+         * @param {Object} source - The code source (@see {@link getSource}).
+         * @returns {Promise.<Array.<{field: string, message: string}>>} the problems found, each with the name of the
+         *     code entry field it relates to (`'path'`, `'branch'`, `'tag'`, `'reference'` or `'workDir'`). An empty
+         *     list means access was verified.
+         */
+        function verifyAccess(callbacks, source) {
+            var attributes = source.codeEntryAttributes;
+            var checks = [];
+
+            if (isGitType(source.codeEntryType) && angular.isFunction(callbacks.listGitRefs)) {
+                checks.push(getRefs(callbacks.listGitRefs, source)
+                    .then(function (refs) {
+                        return getRefIssues(refs, attributes);
+                    })
+                    .catch(function (error) {
+                        return [createIssue('path', 'ACCESS_FAILED', { reason: getErrorMessage(error) })];
+                    }));
+            }
+
+            if (isRemoteType(source.codeEntryType) && angular.isFunction(callbacks.listTree)) {
+                checks.push(getWorkDirIssues(callbacks.listTree, source));
+            }
+
+            return $q.all(checks).then(function (issues) {
+                return lodash.uniqBy(lodash.flatten(issues), 'message');
+            });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates a problem found when verifying access to the code source.
+         * @param {string} field - The code entry field the problem relates to.
+         * @param {string} key - The key of the message under `functions:CODE_ENTRY`.
+         * @param {Object} [options] - The interpolation values of the message.
+         * @returns {{field: string, message: string}} the problem.
+         */
+        function createIssue(field, key, options) {
+            return {
+                field: field,
+                message: $i18next.t('functions:CODE_ENTRY.' + key, lodash.assign({
+                    lng: lng,
+                    interpolation: { escapeValue: false }
+                }, options))
+            };
+        }
+
+        /**
+         * Checks the branch, tag or reference of the code source exist among the repository's branches and tags.
+         * A reference is only checked when it is a full branch or tag reference (e.g. `'refs/heads/main'`), as it may
+         * also be a commit hash.
+         * @param {{branches: Array.<string>, tags: Array.<string>}} refs - The repository's branches and tags.
+         * @param {Object} attributes - The code entry attributes.
+         * @returns {Array.<{field: string, message: string}>} the problems found.
+         */
+        function getRefIssues(refs, attributes) {
+            var reference = lodash.defaultTo(attributes.reference, '');
+            var expectedRefs = [
+                { field: 'branch', key: 'BRANCH_NOT_FOUND', name: attributes.branch, names: refs.branches },
+                { field: 'tag', key: 'TAG_NOT_FOUND', name: attributes.tag, names: refs.tags },
+                {
+                    field: 'reference',
+                    key: 'BRANCH_NOT_FOUND',
+                    name: lodash.startsWith(reference, 'refs/heads/') ? reference.substring(11) : '',
+                    names: refs.branches
+                },
+                {
+                    field: 'reference',
+                    key: 'TAG_NOT_FOUND',
+                    name: lodash.startsWith(reference, 'refs/tags/') ? reference.substring(10) : '',
+                    names: refs.tags
+                }
+            ];
+
+            return lodash.chain(expectedRefs)
+                .reject(function (expectedRef) {
+                    return lodash.isEmpty(expectedRef.name) || lodash.includes(expectedRef.names, expectedRef.name);
+                })
+                .map(function (expectedRef) {
+                    return createIssue(expectedRef.field, expectedRef.key, { name: expectedRef.name });
+                })
+                .value();
+        }
+
+        /**
+         * Checks the work directory of the code source exists, by listing its parent directory. When the work
+         * directory is the root directory, the root directory is listed to check the code source could be read.
+         * @param {function} listTree - Lists a directory (@see {@link getDirectories}).
+         * @param {Object} source - The code source.
+         * @returns {Promise.<Array.<{field: string, message: string}>>} the problems found.
+         */
+        function getWorkDirIssues(listTree, source) {
+            var workDir = normalizePath(source.codeEntryAttributes.workDir);
+            var isRoot = workDir === '/';
+
+            return getDirectories(listTree, source, getParentPath(workDir))
+                .then(function (directories) {
+                    return isRoot || lodash.includes(directories, lodash.last(workDir.split('/'))) ? [] :
+                        [createIssue('workDir', 'WORK_DIR_NOT_FOUND', { path: workDir })];
+                })
+                .catch(function (error) {
+                    var reason = { reason: getErrorMessage(error) };
+
+                    return [isRoot ? createIssue('path', 'ACCESS_FAILED', reason) :
+                        createIssue('workDir', 'WORK_DIR_FAILED', reason)];
+                });
+        }
+
+        /**
+         * Returns the sorted names of branches or tags.
+         * @param {Array.<string|Object>} [refs] - The branches or tags, as names or as `{name}` objects.
+         * @returns {Array.<string>} the names.
+         */
+        function getRefNames(refs) {
+            return lodash.chain(refs)
+                .map(function (ref) {
+                    return lodash.isString(ref) ? ref : lodash.get(ref, 'name');
+                })
+                .compact()
+                .uniq()
+                .sortBy()
+                .value();
+        }
+    }
+}());
@@ -0,0 +1,246 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('CodeEntryService: ', function () {
+    var $q;
+    var $rootScope;
+    var CodeEntryService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _CodeEntryService_, _lodash_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            CodeEntryService = _CodeEntryService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        $q = null;
+        $rootScope = null;
+        CodeEntryService = null;
+        lodash = null;
+    });
+
+    describe('paths: ', function () {
+        it('should normalize, join and split paths', function () {
+            expect(CodeEntryService.normalizePath('functions//my-func/')).toEqual('/functions/my-func');
+            expect(CodeEntryService.normalizePath('')).toEqual('/');
+            expect(CodeEntryService.normalizePath(undefined)).toEqual('/');
+            expect(CodeEntryService.joinPath('/', 'functions')).toEqual('/functions');
+            expect(CodeEntryService.joinPath('/functions/', 'my-func')).toEqual('/functions/my-func');
+            expect(CodeEntryService.getParentPath('/functions/my-func')).toEqual('/functions');
+            expect(CodeEntryService.getParentPath('/functions')).toEqual('/');
+            expect(CodeEntryService.getParentPath('/')).toEqual('/');
+        });
+    });
+
+    describe('getSourceKey(): ', function () {
+        it('should change only when the repository or the credentials change', function () {
+            var source = {
+                codeEntryType: 'git',
+                path: 'https://github.com/org/repo',
+                codeEntryAttributes: { branch: 'main', username: 'user', password: 'pass', workDir: '/' }
+            };
+            var key = CodeEntryService.getSourceKey(source);
+
+            expect(CodeEntryService.getSourceKey(lodash.merge({}, source, {
+                codeEntryAttributes: { branch: 'dev', workDir: '/functions' }
+            }))).toEqual(key);
+            expect(CodeEntryService.getSourceKey(lodash.merge({}, source, {
+                codeEntryAttributes: { password: 'other' }
+            }))).not.toEqual(key);
+            expect(CodeEntryService.getSourceKey(lodash.assign({}, source, { path: 'https://github.com/org/other' })))
+                .not.toEqual(key);
+        });
+    });
+
+    describe('getRefs() and getDirectories(): ', function () {
+        it('should normalize the branches, tags and directories listed by the host', function () {
+            var source = { codeEntryType: 'github', path: 'https://github.com/org/repo', codeEntryAttributes: {} };
+            var listGitRefs = jasmine.createSpy('listGitRefs').and.returnValue($q.when({
+                branches: ['main', { name: 'dev' }, 'main'],
+                tags: [{ name: 'v1.0' }]
+            }));
+            var listTree = jasmine.createSpy('listTree').and.returnValue([
+                { name: 'src', type: 'dir' },
+                { name: 'README.md', type: 'file' },
+                { name: 'functions', type: 'dir' }
+            ]);
+            var refs = null;
+            var directories = null;
+
+            CodeEntryService.getRefs(listGitRefs, source).then(function (result) {
+                refs = result;
+            });
+            CodeEntryService.getDirectories(listTree, source, 'functions/').then(function (result) {
+                directories = result;
+            });
+            $rootScope.$digest();
+
+            expect(listGitRefs).toHaveBeenCalledWith({ source: source });
+            expect(refs).toEqual({ branches: ['dev', 'main'], tags: ['v1.0'] });
+            expect(listTree).toHaveBeenCalledWith({ source: source, path: '/functions' });
+            expect(directories).toEqual(['functions', 'src']);
+        });
+    });
+
+    describe('getRefSuggestions(): ', function () {
+        var source;
+        var listGitRefs;
+
+        beforeEach(function () {
+            source = { codeEntryType: 'git', path: 'https://github.com/org/repo', codeEntryAttributes: {} };
+            listGitRefs = jasmine.createSpy('listGitRefs').and.returnValue($q.when({
+                branches: ['main', 'development'],
+                tags: ['v1.0']
+            }));
+        });
+
+        it('should suggest the matching branches or tags, listing them once per repository', function () {
+            var result = null;
+
+            CodeEntryService.getRefSuggestions(listGitRefs, source, 'branches', 'ma').then(function (suggestions) {
+                result = suggestions;
+            });
+            $rootScope.$digest();
+
+            expect(result).toEqual({ suggestions: [{ value: 'main', label: 'main' }], more: false });
+
+            CodeEntryService.getRefSuggestions(listGitRefs, lodash.merge({}, source, {
+                codeEntryAttributes: { branch: 'main' }
+            }), 'tags', '').then(function (suggestions) {
+                result = suggestions;
+            });
+            $rootScope.$digest();
+
+            expect(lodash.map(result.suggestions, 'value')).toEqual(['v1.0']);
+            expect(listGitRefs.calls.count()).toEqual(1);
+
+            CodeEntryService.getRefSuggestions(listGitRefs, lodash.assign({}, source, {
+                path: 'https://github.com/org/other'
+            }), 'tags', '');
+            $rootScope.$digest();
+
+            expect(listGitRefs.calls.count()).toEqual(2);
+        });
+
+        it('should suggest nothing and list the refs again in case listing failed', function () {
+            var result = null;
+
+            listGitRefs.and.returnValue($q.reject({ data: { error: 'Unauthorized' } }));
+
+            CodeEntryService.getRefSuggestions(listGitRefs, source, 'branches', '').then(function (suggestions) {
+                result = suggestions;
+            });
+            $rootScope.$digest();
+
+            expect(result).toEqual({ suggestions: [], more: false });
+
+            CodeEntryService.getRefSuggestions(listGitRefs, source, 'branches', '');
+            $rootScope.$digest();
+
+            expect(listGitRefs.calls.count()).toEqual(2);
+        });
+    });
+
+    describe('verifyAccess(): ', function () {
+        var listGitRefs;
+        var listTree;
+        var source;
+
+        beforeEach(function () {
+            listGitRefs = jasmine.createSpy('listGitRefs').and.returnValue({
+                branches: ['main', 'dev'],
+                tags: ['v1.0']
+            });
+            listTree = jasmine.createSpy('listTree').and.callFake(function (params) {
+                return params.path === '/' ? [{ name: 'functions', type: 'dir' }] :
+                    params.path === '/functions' ? [{ name: 'my-func', type: 'dir' }] : $q.reject({ message: 'No such path' });
+            });
+            source = {
+                codeEntryType: 'git',
+                path: 'https://github.com/org/repo',
+                codeEntryAttributes: { branch: 'main', tag: '', reference: '', workDir: '/functions/my-func' }
+            };
+        });
+
+        afterEach(function () {
+            listGitRefs = null;
+            listTree = null;
+            source = null;
+        });
+
+        function verify(callbacks) {
+            var result = null;
+
+            CodeEntryService.verifyAccess(callbacks, source).then(function (issues) {
+                result = lodash.map(issues, 'field');
+            });
+            $rootScope.$digest();
+
+            return result;
+        }
+
+        it('should resolve to no problems when the branch and the work directory exist', function () {
+            expect(verify({ listGitRefs: listGitRefs, listTree: listTree })).toEqual([]);
+            expect(listTree).toHaveBeenCalledWith({ source: source, path: '/functions' });
+        });
+
+        it('should report a branch, tag or full reference that does not exist', function () {
+            source.codeEntryAttributes.branch = 'missing';
+            expect(verify({ listGitRefs: listGitRefs })).toEqual(['branch']);
+
+            source.codeEntryAttributes = { tag: 'v2.0' };
+            expect(verify({ listGitRefs: listGitRefs })).toEqual(['tag']);
+
+            source.codeEntryAttributes = { reference: 'refs/heads/missing' };
+            expect(verify({ listGitRefs: listGitRefs })).toEqual(['reference']);
+
+            source.codeEntryAttributes = { reference: 'refs/tags/v1.0' };
+            expect(verify({ listGitRefs: listGitRefs })).toEqual([]);
+
+            source.codeEntryAttributes = { reference: '1a2b3c4d' };
+            expect(verify({ listGitRefs: listGitRefs })).toEqual([]);
+        });
+
+        it('should report a repository that could not be accessed', function () {
+            listGitRefs.and.returnValue($q.reject({ data: { error: 'Authentication failed' } }));
+
+            expect(verify({ listGitRefs: listGitRefs })).toEqual(['path']);
+        });
+
+        it('should report a work directory that does not exist or could not be listed', function () {
+            source.codeEntryAttributes.workDir = '/functions/other-func';
+            expect(verify({ listTree: listTree })).toEqual(['workDir']);
+
+            source.codeEntryAttributes.workDir = '/missing/my-func';
+            expect(verify({ listTree: listTree })).toEqual(['workDir']);
+        });
+
+        it('should check the archive could be read when the work directory is the root directory', function () {
+            source = { codeEntryType: 'archive', path: 'https://example.com/func.zip', codeEntryAttributes: {} };
+            expect(verify({ listGitRefs: listGitRefs, listTree: listTree })).toEqual([]);
+            expect(listGitRefs).not.toHaveBeenCalled();
+
+            listTree.and.returnValue($q.reject({ statusText: 'Not Found' }));
+            expect(verify({ listTree: listTree })).toEqual(['path']);
+        });
+    });
+});
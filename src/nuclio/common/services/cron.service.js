@@ -0,0 +1,483 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('CronService', CronService);
+
+    function CronService($i18next, i18next, lodash, moment) {
+        var lng = i18next.language;
+        var FIELDS = [
+            { name: 'minute', label: 'MINUTE', min: 0, max: 59 },
+            { name: 'hour', label: 'HOUR', min: 0, max: 23 },
+            { name: 'dayOfMonth', label: 'DAY_OF_MONTH', min: 1, max: 31, allowAny: true },
+            {
+                name: 'month',
+                label: 'MONTH',
+                min: 1,
+                max: 12,
+                names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+            },
+            {
+                name: 'dayOfWeek',
+                label: 'DAY_OF_WEEK',
+                min: 0,
+                max: 6,
+                names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+                allowAny: true
+            }
+        ];
+        var FIELD_PART_PATTERN = /^(\*|\?|\w+)(?:-(\w+))?(?:\/(\d+))?$/;
+        var MAX_SEARCH_YEARS = 5;
+        var PRESETS = {
+            everyNMinutes: {
+                pattern: /^(?:\*|\*\/(\d{1,2})) \* \* \* \*$/,
+                fromMatch: function (match) {
+                    return { minutes: lodash.defaultTo(Number(match[1]), 1) };
+                },
+                isValid: function (preset) {
+                    return isInRange(preset.minutes, 1, 59);
+                },
+                toExpression: function (preset) {
+                    return (preset.minutes === 1 ? '*' : '*/' + preset.minutes) + ' * * * *';
+                }
+            },
+            dailyAt: {
+                pattern: /^(\d{1,2}) (\d{1,2}) \* \* \*$/,
+                fromMatch: getTimeFromMatch,
+                isValid: isValidTime,
+                toExpression: function (preset) {
+                    return preset.minute + ' ' + preset.hour + ' * * *';
+                }
+            },
+            weekdaysAt: {
+                pattern: /^(\d{1,2}) (\d{1,2}) \* \* (?:1-5|MON-FRI)$/i,
+                fromMatch: getTimeFromMatch,
+                isValid: isValidTime,
+                toExpression: function (preset) {
+                    return preset.minute + ' ' + preset.hour + ' * * 1-5';
+                }
+            }
+        };
+
+        return {
+            PRESETS: lodash.keys(PRESETS).concat('custom'),
+            describe: describe,
+            formatRun: formatRun,
+            fromTriggerSchedule: fromTriggerSchedule,
+            getExpressionError: getExpressionError,
+            getLocalTimeZone: getLocalTimeZone,
+            getNextRuns: getNextRuns,
+            getPreset: getPreset,
+            getPresetExpression: getPresetExpression,
+            getTimeZones: getTimeZones,
+            toTriggerSchedule: toTriggerSchedule
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Returns a human-readable description of a cron expression.
+         * @param {string} expression - The cron expression (minute, hour, day of month, month and day of week).
+         * @returns {string} the description, or an empty string in case the expression is invalid.
+         * @example
+         * describe('*\/15 * * * *');
+         * // => 'Every 15 minutes'
+         *
+         * describe('30 9 * * 1-5');
+         * // => 'Every weekday at 09:30'
+         */
+        function describe(expression) {
+            var preset = getPreset(expression);
+            var parsed = parse(expression);
+
+            if (preset.id === 'everyNMinutes') {
+                return preset.minutes === 1 ? translate('EVERY_MINUTE') :
+                    translate('EVERY_N_MINUTES', { count: preset.minutes });
+            } else if (preset.id === 'dailyAt' || preset.id === 'weekdaysAt') {
+                return translate(preset.id === 'dailyAt' ? 'DAILY_AT' : 'WEEKDAYS_AT', {
+                    time: formatTime(preset.hour, preset.minute)
+                });
+            }
+
+            return lodash.isEmpty(parsed.error) ? lodash.compact([describeTime(parsed), describeDays(parsed)]).join(', ') : '';
+        }
+
+        /**
+         * Formats a fire time in a time zone.
+         * @param {Date} date - The fire time.
+         * @param {string} timeZone - The IANA time zone name (e.g. `'Europe/Paris'`).
+         * @returns {string} the formatted date and time.
+         */
+        function formatRun(date, timeZone) {
+            return new Intl.DateTimeFormat(lng, {
+                timeZone: timeZone,
+                weekday: 'short',
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).format(date);
+        }
+
+        /**
+         * Converts the schedule of a cron trigger, which starts with a seconds field, to the five standard fields.
+         * The seconds field is dropped, as it is set to `0` when the trigger is saved (@see {@link toTriggerSchedule}).
+         * @param {string} schedule - The `schedule` attribute of the trigger.
+         * @returns {string} the cron expression, or `schedule` as is in case it does not have a seconds field.
+         */
+        function fromTriggerSchedule(schedule) {
+            var texts = lodash.split(normalize(schedule), ' ');
+
+            return texts.length === FIELDS.length + 1 ? lodash.takeRight(texts, FIELDS.length).join(' ') : schedule;
+        }
+
+        /**
+         * Checks a cron expression and returns the reason it is invalid.
+         * Only the five standard fields are supported, as the seconds field is added when the trigger is saved.
+         * @param {string} expression - The cron expression.
+         * @returns {string} the error message, or an empty string in case the expression is valid.
+         */
+        function getExpressionError(expression) {
+            return parse(expression).error;
+        }
+
+        /**
+         * Returns the time zone of the browser.
+         * @returns {string} the IANA time zone name.
+         */
+        function getLocalTimeZone() {
+            return new Intl.DateTimeFormat().resolvedOptions().timeZone;
+        }
+
+        /**
+         * Calculates the next fire times of a cron expression. The schedule is evaluated in UTC, which is the time
+         * zone of the function's processor unless configured otherwise. The fire times are at the start of the minute,
+         * like the schedule of the saved trigger (@see {@link toTriggerSchedule}).
+         * @param {string} expression - The cron expression.
+         * @param {number} count - The number of fire times to calculate.
+         * @param {Date} [from=new Date()] - Calculate fire times after this time.
+         * @returns {Array.<Date>} the next fire times, or an empty list in case the expression is invalid.
+         */
+        function getNextRuns(expression, count, from) {
+            var parsed = parse(expression);
+            var runs = [];
+
+            if (!lodash.isEmpty(parsed.error)) {
+                return runs;
+            }
+
+            var date = new Date(lodash.defaultTo(from, new Date()).getTime());
+            var limit = Date.UTC(date.getUTCFullYear() + MAX_SEARCH_YEARS, 0);
+
+            date.setUTCSeconds(0, 0);
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+            while (runs.length < count && date.getTime() < limit) {
+                if (!lodash.includes(parsed.month, date.getUTCMonth() + 1)) {
+                    date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                    date.setUTCHours(0, 0);
+                } else if (!isDayMatching(parsed, date)) {
+                    date.setUTCDate(date.getUTCDate() + 1);
+                    date.setUTCHours(0, 0);
+                } else if (!lodash.includes(parsed.hour, date.getUTCHours())) {
+                    date.setUTCHours(date.getUTCHours() + 1, 0);
+                } else {
+                    if (lodash.includes(parsed.minute, date.getUTCMinutes())) {
+                        runs.push(new Date(date.getTime()));
+                    }
+
+                    date.setUTCMinutes(date.getUTCMinutes() + 1);
+                }
+            }
+
+            return runs;
+        }
+
+        /**
+         * Detects which preset a cron expression matches.
+         * @param {string} expression - The cron expression.
+         * @returns {Object} the preset, with its `id` (one of `PRESETS`) and parameters: `minutes` for
+         *     `'everyNMinutes'`, `hour` and `minute` for `'dailyAt'` and `'weekdaysAt'`. In case no preset matches
+         *     `id` is `'custom'`.
+         */
+        function getPreset(expression) {
+            var normalized = normalize(expression);
+
+            return lodash.reduce(PRESETS, function (result, preset, id) {
+                var match = normalized.match(preset.pattern);
+                var candidate = match === null ? null : lodash.assign({ id: id }, preset.fromMatch(match));
+
+                return result.id === 'custom' && candidate !== null && preset.isValid(candidate) ? candidate : result;
+            }, { id: 'custom' });
+        }
+
+        /**
+         * Generates the cron expression of a preset.
+         * @param {Object} preset - The preset (@see {@link getPreset}).
+         * @returns {string} the cron expression, or an empty string for the `'custom'` preset.
+         */
+        function getPresetExpression(preset) {
+            return lodash.has(PRESETS, preset.id) ? PRESETS[preset.id].toExpression(preset) : '';
+        }
+
+        /**
+         * Returns the list of time zones to choose from, starting with UTC and the time zone of the browser.
+         * @returns {Array.<string>} the IANA time zone names.
+         */
+        function getTimeZones() {
+            var timeZones = lodash.isFunction(Intl.supportedValuesOf) ? Intl.supportedValuesOf('timeZone') : [];
+
+            return lodash.uniq(['UTC', getLocalTimeZone()].concat(timeZones));
+        }
+
+        /**
+         * Converts a cron expression to the schedule of a cron trigger, which starts with a seconds field.
+         * @param {string} expression - The cron expression (minute, hour, day of month, month and day of week).
+         * @returns {string} the schedule, firing at the start of every minute that matches the expression.
+         */
+        function toTriggerSchedule(expression) {
+            return '0 ' + expression;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Describes the days part of a parsed cron expression.
+         * @param {Object} parsed - The parsed expression.
+         * @returns {string} the description, or an empty string in case the expression runs every day.
+         */
+        function describeDays(parsed) {
+            var dayOfMonth = parsed.isAny.dayOfMonth ? '' :
+                translate('ON_DAYS_OF_MONTH', { days: parsed.text.dayOfMonth });
+            var dayOfWeek = parsed.isAny.dayOfWeek ? '' :
+                translate('ON_DAYS_OF_WEEK', { days: getNames(parsed.dayOfWeek, moment.weekdaysShort()) });
+            var month = parsed.isAny.month ? '' :
+                translate('IN_MONTHS', { months: getNames(parsed.month, lodash.concat([''], moment.monthsShort())) });
+
+            return lodash.compact([
+                lodash.compact([dayOfMonth, dayOfWeek]).join(' ' + translate('OR') + ' '),
+                month
+            ]).join(', ');
+        }
+
+        /**
+         * Describes the time part of a parsed cron expression.
+         * @param {Object} parsed - The parsed expression.
+         * @returns {string} the description.
+         */
+        function describeTime(parsed) {
+            var isSingleMinute = parsed.minute.length === 1;
+
+            return isSingleMinute && parsed.hour.length === 1 ?
+                translate('AT_TIME', { time: formatTime(parsed.hour[0], parsed.minute[0]) }) :
+                parsed.isAny.hour && parsed.isAny.minute ? translate('EVERY_MINUTE') :
+                parsed.isAny.hour ? translate('AT_MINUTES_PAST_EVERY_HOUR', { minutes: parsed.text.minute }) :
+                translate('AT_MINUTES_PAST_HOURS', { minutes: parsed.text.minute, hours: parsed.text.hour });
+        }
+
+        /**
+         * Formats a time of day.
+         * @param {number} hour - The hour (0–23).
+         * @param {number} minute - The minute (0–59).
+         * @returns {string} the time in `HH:MM` format.
+         */
+        function formatTime(hour, minute) {
+            return lodash.padStart(hour, 2, '0') + ':' + lodash.padStart(minute, 2, '0');
+        }
+
+        /**
+         * Returns the names of values, joining a range of three values or more with an en dash.
+         * @param {Array.<number>} values - The sorted values.
+         * @param {Array.<string>} names - The names, indexed by value.
+         * @returns {string} the names.
+         */
+        function getNames(values, names) {
+            var isRange = values.length > 2 && lodash.last(values) - lodash.first(values) === values.length - 1;
+
+            return isRange ? names[lodash.first(values)] + '–' + names[lodash.last(values)] :
+                lodash.map(values, lodash.propertyOf(names)).join(', ');
+        }
+
+        /**
+         * Returns the range of a single part of a cron field.
+         * @param {Array.<string>} match - The result of matching the part against `FIELD_PART_PATTERN`.
+         * @param {Object} field - The field definition.
+         * @returns {?Array.<?number>} the start and end of the range (`null` for invalid values), or `null` in case
+         *     the part is invalid.
+         */
+        function getPartRange(match, field) {
+            var hasEnd = !lodash.isUndefined(match[2]);
+            var start = parseValue(match[1], field);
+
+            if (lodash.includes(['*', '?'], match[1])) {
+                return hasEnd ? null : [field.min, field.max];
+            }
+
+            // `a/n` stands for the range from `a` to the maximum value, in steps of `n`
+            return [start, hasEnd ? parseValue(match[2], field) : lodash.isUndefined(match[3]) ? start : field.max];
+        }
+
+        /**
+         * Reads the hour and minute of a time preset from its pattern match.
+         * @param {Array.<string>} match - The result of matching the preset's pattern.
+         * @returns {{hour: number, minute: number}} the time.
+         */
+        function getTimeFromMatch(match) {
+            return {
+                hour: Number(match[2]),
+                minute: Number(match[1])
+            };
+        }
+
+        /**
+         * Checks whether a date matches the day of month and day of week fields of a parsed expression.
+         * Like in standard cron, in case both are restricted it is enough that one of them matches.
+         * @param {Object} parsed - The parsed expression.
+         * @param {Date} date - The date to check.
+         * @returns {boolean} `true` in case the date matches, or `false` otherwise.
+         */
+        function isDayMatching(parsed, date) {
+            var dayOfMonth = lodash.includes(parsed.dayOfMonth, date.getUTCDate());
+            var dayOfWeek = lodash.includes(parsed.dayOfWeek, date.getUTCDay());
+
+            return parsed.isAny.dayOfMonth || parsed.isAny.dayOfWeek ? dayOfMonth && dayOfWeek :
+                dayOfMonth || dayOfWeek;
+        }
+
+        /**
+         * Checks whether a number is an integer in a range.
+         * @param {number} value - The value to check.
+         * @param {number} min - The minimum value.
+         * @param {number} max - The maximum value.
+         * @returns {boolean} `true` in case the value is in range, or `false` otherwise.
+         */
+        function isInRange(value, min, max) {
+            return lodash.isInteger(value) && value >= min && value <= max;
+        }
+
+        /**
+         * Checks whether the time of a preset is valid.
+         * @param {{hour: number, minute: number}} preset - The preset.
+         * @returns {boolean} `true` in case the time is valid, or `false` otherwise.
+         */
+        function isValidTime(preset) {
+            return isInRange(preset.hour, 0, 23) && isInRange(preset.minute, 0, 59);
+        }
+
+        /**
+         * Trims a cron expression and collapses its whitespace.
+         * @param {string} expression - The cron expression.
+         * @returns {string} the normalized expression.
+         */
+        function normalize(expression) {
+            return lodash.trim(expression).replace(/\s+/g, ' ');
+        }
+
+        /**
+         * Parses a cron expression.
+         * @param {string} expression - The cron expression.
+         * @returns {Object} the values matching each field (by field name), the original `text` of each field,
+         *     whether each field matches any value (`isAny`) and an `error` message (empty if valid).
+         */
+        function parse(expression) {
+            var texts = lodash.split(normalize(expression), ' ');
+            var parsed = { error: '', isAny: {}, text: {} };
+
+            if (texts.length !== FIELDS.length) {
+                parsed.error = translate('ERROR_FIELD_COUNT');
+                return parsed;
+            }
+
+            lodash.forEach(FIELDS, function (field, index) {
+                var values = parseField(texts[index], field);
+
+                if (values === null) {
+                    parsed.error = translate('ERROR_INVALID_FIELD', {
+                        field: translate(field.label),
+                        value: texts[index],
+                        min: field.min,
+                        max: field.max
+                    });
+                    return false;
+                }
+
+                parsed[field.name] = values;
+                parsed.text[field.name] = texts[index];
+                parsed.isAny[field.name] = lodash.includes(['*', '?'], texts[index]);
+            });
+
+            return parsed;
+        }
+
+        /**
+         * Parses a single field of a cron expression, which is a comma-separated list of `*`, values, or ranges, each
+         * optionally followed by `/step`.
+         * @param {string} text - The field text.
+         * @param {Object} field - The field definition.
+         * @returns {?Array.<number>} the sorted values matching the field, or `null` in case it is invalid.
+         */
+        function parseField(text, field) {
+            var values = lodash.map(lodash.split(text, ','), function (part) {
+                var match = part.match(FIELD_PART_PATTERN);
+                var range = match === null || match[1] === '?' && !field.allowAny ? null : getPartRange(match, field);
+                var step = match === null ? 1 : lodash.defaultTo(Number(match[3]), 1);
+
+                return range === null || lodash.some(range, lodash.isNull) || range[0] > range[1] || step < 1 ? null :
+                    lodash.range(range[0], range[1] + 1, step);
+            });
+
+            return lodash.includes(values, null) ? null : lodash.sortedUniq(lodash.sortBy(lodash.flatten(values)));
+        }
+
+        /**
+         * Parses a single value of a cron field, which is either a number or a name (e.g. `MON` or `JAN`).
+         * @param {string} text - The value text.
+         * @param {Object} field - The field definition.
+         * @returns {?number} the value, or `null` in case it is invalid or out of range.
+         */
+        function parseValue(text, field) {
+            var nameIndex = lodash.indexOf(field.names, lodash.toUpper(text));
+            var value = nameIndex > -1 ? nameIndex + field.min : /^\d+$/.test(text) ? Number(text) : null;
+
+            return isInRange(value, field.min, field.max) ? value : null;
+        }
+
+        /**
+         * Translates a key of the `functions:CRON` namespace.
+         * Interpolated values are not escaped, as they are parts of cron expressions (e.g. `*\/5`).
+         * @param {string} key - The key.
+         * @param {Object} [options] - Interpolation values.
+         * @returns {string} the translated text.
+         */
+        function translate(key, options) {
+            return $i18next.t('functions:CRON.' + key, lodash.assign({
+                lng: lng,
+                interpolation: {
+                    escapeValue: false
+                }
+            }, options));
+        }
+    }
+}());
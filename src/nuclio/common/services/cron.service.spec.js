@@ -0,0 +1,164 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('CronService: ', function () {
+    var CronService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_CronService_, _lodash_) {
+            CronService = _CronService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        CronService = null;
+        lodash = null;
+    });
+
+    describe('getPreset() and getPresetExpression(): ', function () {
+        it('should detect the preset of an expression and generate it back', function () {
+            var cases = [
+                { expression: '*/15 * * * *', preset: { id: 'everyNMinutes', minutes: 15 } },
+                { expression: '* * * * *', preset: { id: 'everyNMinutes', minutes: 1 } },
+                { expression: '30 9 * * *', preset: { id: 'dailyAt', hour: 9, minute: 30 } },
+                { expression: '0 18 * * 1-5', preset: { id: 'weekdaysAt', hour: 18, minute: 0 } }
+            ];
+
+            lodash.forEach(cases, function (testCase) {
+                expect(CronService.getPreset(testCase.expression)).toEqual(testCase.preset);
+                expect(CronService.getPresetExpression(testCase.preset)).toEqual(testCase.expression);
+            });
+        });
+
+        it('should detect the custom preset', function () {
+            expect(CronService.getPreset('0 9 1 * *')).toEqual({ id: 'custom' });
+            expect(CronService.getPreset('30 25 * * *')).toEqual({ id: 'custom' });
+            expect(CronService.getPreset('')).toEqual({ id: 'custom' });
+            expect(CronService.getPresetExpression({ id: 'custom' })).toEqual('');
+        });
+
+        it('should accept day names in the weekdays preset', function () {
+            expect(CronService.getPreset('0 8 * * MON-FRI')).toEqual({ id: 'weekdaysAt', hour: 8, minute: 0 });
+        });
+    });
+
+    describe('getExpressionError(): ', function () {
+        it('should accept valid expressions', function () {
+            lodash.forEach(['*/5 * * * *', '0 0 1,15 * ?', '0 9-17/2 * JAN-MAR MON,WED', '59 23 31 12 6'],
+                function (expression) {
+                    expect(CronService.getExpressionError(expression)).toEqual('');
+                });
+        });
+
+        it('should reject invalid expressions', function () {
+            lodash.forEach(['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *',
+                '* * * * 7', '5-1 * * * *', '*/0 * * * *', 'a b c d e'], function (expression) {
+                expect(CronService.getExpressionError(expression)).not.toEqual('');
+            });
+        });
+    });
+
+    describe('describe(): ', function () {
+        it('should describe presets and custom expressions', function () {
+            expect(CronService.describe('*/15 * * * *')).not.toEqual('');
+            expect(CronService.describe('0 0 1 * *')).not.toEqual('');
+            expect(CronService.describe('* 24 * * *')).toEqual('');
+        });
+    });
+
+    describe('getNextRuns(): ', function () {
+        var from = new Date(Date.UTC(2024, 0, 5, 10, 0, 30)); // Friday, Jan 5th 2024, 10:00:30 UTC
+
+        function toISOStrings(dates) {
+            return lodash.map(dates, function (date) {
+                return date.toISOString();
+            });
+        }
+
+        it('should calculate the next fire times in UTC', function () {
+            expect(toISOStrings(CronService.getNextRuns('*/20 * * * *', 3, from))).toEqual([
+                '2024-01-05T10:20:00.000Z',
+                '2024-01-05T10:40:00.000Z',
+                '2024-01-05T11:00:00.000Z'
+            ]);
+        });
+
+        it('should skip weekends', function () {
+            expect(toISOStrings(CronService.getNextRuns('30 9 * * 1-5', 2, from))).toEqual([
+                '2024-01-08T09:30:00.000Z',
+                '2024-01-09T09:30:00.000Z'
+            ]);
+        });
+
+        it('should run when either the day of month or the day of week matches', function () {
+            expect(toISOStrings(CronService.getNextRuns('0 0 10 * SUN', 3, from))).toEqual([
+                '2024-01-07T00:00:00.000Z',
+                '2024-01-10T00:00:00.000Z',
+                '2024-01-14T00:00:00.000Z'
+            ]);
+        });
+
+        it('should skip to the next matching month and year', function () {
+            expect(toISOStrings(CronService.getNextRuns('0 12 29 2 *', 2, from))).toEqual([
+                '2024-02-29T12:00:00.000Z',
+                '2028-02-29T12:00:00.000Z'
+            ]);
+        });
+
+        it('should return an empty list for invalid expressions or dates that never occur', function () {
+            expect(CronService.getNextRuns('* 24 * * *', 10, from)).toEqual([]);
+            expect(CronService.getNextRuns('0 0 31 2 *', 10, from)).toEqual([]);
+        });
+
+        it('should calculate the fire times of the schedule of a saved trigger, including its seconds field',
+           function () {
+               var expression = CronService.fromTriggerSchedule('0 */20 * * * *');
+
+               expect(expression).toEqual('*/20 * * * *');
+               expect(CronService.toTriggerSchedule(expression)).toEqual('0 */20 * * * *');
+               expect(toISOStrings(CronService.getNextRuns(expression, 2, from))).toEqual([
+                   '2024-01-05T10:20:00.000Z',
+                   '2024-01-05T10:40:00.000Z'
+               ]);
+           });
+    });
+
+    describe('fromTriggerSchedule() and toTriggerSchedule(): ', function () {
+        it('should drop the seconds field of the schedule of a trigger and add it back', function () {
+            expect(CronService.fromTriggerSchedule('0 30 9 * * 1-5')).toEqual('30 9 * * 1-5');
+            expect(CronService.fromTriggerSchedule(' 0  30 9 * * 1-5 ')).toEqual('30 9 * * 1-5');
+            expect(CronService.toTriggerSchedule('30 9 * * 1-5')).toEqual('0 30 9 * * 1-5');
+        });
+
+        it('should keep a schedule without a seconds field as is', function () {
+            expect(CronService.fromTriggerSchedule('30 9 * * 1-5')).toEqual('30 9 * * 1-5');
+            expect(CronService.fromTriggerSchedule('')).toEqual('');
+        });
+    });
+
+    describe('formatRun(): ', function () {
+        it('should format a fire time in a time zone', function () {
+            var date = new Date(Date.UTC(2024, 0, 5, 23, 30));
+
+            expect(CronService.formatRun(date, 'UTC')).toContain('23:30');
+            expect(CronService.formatRun(date, 'Asia/Tokyo')).toContain('08:30');
+        });
+    });
+});
@@ -0,0 +1,529 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('DependenciesService', DependenciesService);
+
+    function DependenciesService($i18next, i18next, lodash) {
+        var lng = i18next.language;
+
+        /**
+         * The package managers of the runtimes:
+         * - `manifest`: the name of the file listing the dependencies.
+         * - `installers`: the commands installing packages (e.g. `pip install`).
+         * - `flags`: the flags of the commands that could precede the packages (flags with values are not supported).
+         * - `separator`: the separator of the name and the version of a package in commands (e.g. `'@'` for
+         *   `lodash@4.17.21`), none in case the version follows the name (e.g. `requests==2.31.0`).
+         * - `namePattern`, `versionPattern`: the valid names and versions of packages.
+         * - `pinnedPattern`: the versions pinning a package to a single version.
+         * - `pinPattern`: a version range with a single base version, captured, which could be pinned to it.
+         */
+        var FORMATS = {
+            go: {
+                manifest: 'go.mod',
+                installers: [['go', 'get']],
+                flags: ['-d', '-u'],
+                separator: '@',
+                namePattern: /^[A-Za-z0-9.~_-]+(\/[A-Za-z0-9.~_-]+)*$/,
+                versionPattern: /^(v\d+\.\d+\.\d+[0-9A-Za-z.+-]*|latest|upgrade|patch)$/,
+                pinnedPattern: /^v\d+\.\d+\.\d+/,
+                pinPattern: /^(v\d+\.\d+\.\d+[0-9A-Za-z.+-]*)$/
+            },
+            npm: {
+                manifest: 'package.json',
+                installers: [['npm', 'install'], ['npm', 'i']],
+                flags: ['-g', '--global', '--save', '--no-save', '--production', '-q', '--quiet'],
+                separator: '@',
+                namePattern: /^(@[a-z0-9~-][a-z0-9._~-]*\/)?[a-z0-9~-][a-z0-9._~-]*$/,
+                versionPattern: /^[^@\s](.*\S)?$/,
+                pinnedPattern: /^=?v?\d+\.\d+\.\d+[0-9A-Za-z.+-]*$/,
+                pinPattern: /^(?:[~^=]|>=)?v?(\d+\.\d+\.\d+[0-9A-Za-z.+-]*)$/
+            },
+            pip: {
+                manifest: 'requirements.txt',
+                installers: [['pip', 'install'], ['pip3', 'install'], ['python', '-m', 'pip', 'install'],
+                    ['python3', '-m', 'pip', 'install']],
+                flags: ['--no-cache-dir', '-q', '--quiet', '-U', '--upgrade', '--user'],
+                separator: '',
+                namePattern: /^[A-Za-z0-9]([A-Za-z0-9._-]*[A-Za-z0-9])?(\[[A-Za-z0-9._, -]+])?$/,
+                versionPattern: /^(===|==|~=|!=|<=|>=|<|>)\s*[A-Za-z0-9.*+!_-]+(\s*,\s*(===|==|~=|!=|<=|>=|<|>)\s*[A-Za-z0-9.*+!_-]+)*$/,
+                pinnedPattern: /^===?\s*[^*,]+$/,
+                pinPattern: /^(?:===?|~=|>=)\s*([A-Za-z0-9.+!_-]+)$/
+            }
+        };
+        var RUNTIME_FORMATS = {
+            golang: 'go',
+            nodejs: 'npm',
+            python: 'pip'
+        };
+
+        return {
+            formatCommand: formatCommand,
+            getDuplicates: getDuplicates,
+            getFormat: getFormat,
+            getManifestName: getManifestName,
+            getPatterns: getPatterns,
+            isPinned: isPinned,
+            parseCommands: parseCommands,
+            parseManifest: parseManifest,
+            pin: pin,
+            toManifest: toManifest,
+            updateCommands: updateCommands
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Returns the command installing packages.
+         * @param {string} format - The package manager (e.g. `'pip'`).
+         * @param {Array.<{name: string, version: string}>} dependencies - The packages.
+         * @param {Array.<string>} [prefix] - The command and its flags (e.g. `['pip3', 'install', '--user']`). Defaults
+         *     to the first installer of the package manager.
+         * @returns {string} the command (e.g. `'pip install requests==2.31.0 \'numpy>=1.26\''`).
+         */
+        function formatCommand(format, dependencies, prefix) {
+            var specs = lodash.map(dependencies, function (dependency) {
+                return quote(formatSpec(format, dependency));
+            });
+
+            return lodash.defaultTo(prefix, FORMATS[format].installers[0]).concat(specs).join(' ');
+        }
+
+        /**
+         * Finds packages listed more than once. The names of Python packages are compared as normalized by pip (case
+         * insensitive, with `-`, `_` and `.` being equivalent, and without extras). Packages without a name are ignored.
+         * @param {string} format - The package manager.
+         * @param {Array.<{name: string}>} dependencies - The packages.
+         * @returns {Array.<Object>} all the occurrences of the packages listed more than once.
+         */
+        function getDuplicates(format, dependencies) {
+            return lodash.chain(dependencies)
+                .reject(['name', ''])
+                .groupBy(function (dependency) {
+                    return normalizeName(format, dependency.name);
+                })
+                .filter(function (group) {
+                    return group.length > 1;
+                })
+                .flatten()
+                .value();
+        }
+
+        /**
+         * Returns the package manager of a runtime.
+         * @param {string} runtime - The runtime (e.g. `'python:3.9'`).
+         * @returns {?string} the package manager (`'pip'`, `'npm'` or `'go'`), or `null` in case the runtime has no
+         *     supported package manager.
+         */
+        function getFormat(runtime) {
+            return lodash.get(RUNTIME_FORMATS, lodash.defaultTo(runtime, '').split(':')[0], null);
+        }
+
+        /**
+         * Returns the name of the file listing the dependencies of a package manager.
+         * @param {string} format - The package manager.
+         * @returns {string} the name of the file (e.g. `'requirements.txt'`).
+         */
+        function getManifestName(format) {
+            return FORMATS[format].manifest;
+        }
+
+        /**
+         * Returns the patterns of valid package names and versions.
+         * @param {string} format - The package manager.
+         * @returns {{name: RegExp, version: RegExp}} the patterns.
+         */
+        function getPatterns(format) {
+            return {
+                name: FORMATS[format].namePattern,
+                version: FORMATS[format].versionPattern
+            };
+        }
+
+        /**
+         * Tests whether a version pins a package to a single version.
+         * @param {string} format - The package manager.
+         * @param {string} version - The version (e.g. `'==2.31.0'`, `'^4.17.0'`).
+         * @returns {boolean} `true` in case the version is pinned, or `false` otherwise.
+         */
+        function isPinned(format, version) {
+            return FORMATS[format].pinnedPattern.test(lodash.defaultTo(version, ''));
+        }
+
+        /**
+         * Extracts the packages installed by build commands. Only commands consisting of an installer of the package
+         * manager, supported flags and packages are parsed, and other commands (e.g. installing from a file, or
+         * chained with other commands) are left as is.
+         * @param {string} format - The package manager.
+         * @param {Array.<string>} commands - The build commands.
+         * @returns {{dependencies: Array.<Object>, prefix: ?Array.<string>, index: number}} the installed packages,
+         *     the installer and flags of the first parsed command, and its index (-1 in case no command was parsed).
+         */
+        function parseCommands(format, commands) {
+            var parsedCommands = lodash.map(commands, lodash.partial(parseCommand, format));
+            var index = lodash.findIndex(parsedCommands, lodash.negate(lodash.isNull));
+
+            return {
+                dependencies: lodash.chain(parsedCommands).compact().flatMap('dependencies').value(),
+                prefix: index === -1 ? null : parsedCommands[index].prefix,
+                index: index
+            };
+        }
+
+        /**
+         * Parses the file listing the dependencies of a package manager (`requirements.txt`, `package.json` or
+         * `go.mod`). Lists of packages in the form of commands (e.g. `lodash@4.17.21` on each line) are parsed as well
+         * for npm.
+         * @param {string} format - The package manager.
+         * @param {string} text - The content of the file.
+         * @returns {{dependencies: Array.<Object>, errors: Array.<string>}} the packages, and the errors of the lines
+         *     that could not be parsed.
+         */
+        function parseManifest(format, text) {
+            if (format === 'npm' && lodash.startsWith(lodash.trim(text), '{')) {
+                return parsePackageJson(text);
+            }
+
+            var result = {
+                dependencies: [],
+                errors: []
+            };
+
+            lodash.forEach(text.split(/\r?\n/), function (line, index) {
+                var content = lodash.trim(line.replace(format === 'go' ? /\/\/.*$/ : /(^|\s)#.*$/, ''));
+                var dependency = content === '' ? null : parseManifestLine(format, content);
+
+                if (angular.isUndefined(dependency)) {
+                    result.errors.push($i18next.t('functions:DEPENDENCY_MANAGER.INVALID_LINE', {
+                        lng: lng,
+                        lineNumber: index + 1,
+                        line: content,
+                        interpolation: { escapeValue: false }
+                    }));
+                } else if (dependency !== null) {
+                    result.dependencies.push(dependency);
+                }
+            });
+
+            return result;
+        }
+
+        /**
+         * Pins a version range with a single base version to it (e.g. `'>=2.31'` to `'==2.31'`, `'^4.17.0'` to
+         * `'4.17.0'`).
+         * @param {string} format - The package manager.
+         * @param {string} version - The version.
+         * @returns {?string} the pinned version, or `null` in case the version could not be pinned (e.g. it is empty,
+         *     has several clauses, or a wildcard).
+         */
+        function pin(format, version) {
+            var match = FORMATS[format].pinPattern.exec(lodash.defaultTo(version, ''));
+
+            return match === null ? null : (format === 'pip' ? '==' : '') + match[1];
+        }
+
+        /**
+         * Returns the content of the file listing packages.
+         * @param {string} format - The package manager.
+         * @param {Array.<{name: string, version: string}>} dependencies - The packages.
+         * @returns {string} the content of `requirements.txt`, `package.json` or `go.mod`.
+         */
+        function toManifest(format, dependencies) {
+            if (format === 'npm') {
+                return angular.toJson({
+                    dependencies: lodash.chain(dependencies)
+                        .keyBy('name')
+                        .mapValues(function (dependency) {
+                            return lodash.defaultTo(dependency.version || null, '*');
+                        })
+                        .value()
+                }, 4);
+            } else if (format === 'go') {
+                return lodash.isEmpty(dependencies) ? '' : 'require (\n' + lodash.map(dependencies, function (dependency) {
+                    return '\t' + lodash.trim(dependency.name + ' ' + dependency.version);
+                }).join('\n') + '\n)';
+            }
+
+            return lodash.map(dependencies, function (dependency) {
+                return dependency.name + dependency.version;
+            }).join('\n');
+        }
+
+        /**
+         * Replaces the commands installing packages with commands installing the given packages. Commands with the
+         * same installer and flags are merged into a single command, at the position of the first of them, while
+         * commands with other installers or flags are kept at their own positions (e.g. `pip install --upgrade pip`
+         * is not merged into `pip install requests`). Each package is installed by the command that installed it
+         * before, and new packages are installed by the first command without flags, or else by the first command
+         * installing packages, or else by a new command at the end. Commands left without packages are removed.
+         * @param {string} format - The package manager.
+         * @param {Array.<string>} commands - The build commands.
+         * @param {Array.<{name: string, version: string}>} dependencies - The packages.
+         * @returns {Array.<string>} the new build commands.
+         */
+        function updateCommands(format, commands, dependencies) {
+            var newCommands = [];
+            var groups = [];
+
+            lodash.forEach(commands, function (command) {
+                var parsed = parseCommand(format, command);
+                var group = parsed === null ? undefined : lodash.find(groups, function (installGroup) {
+                    return lodash.isEqual(installGroup.prefix, parsed.prefix);
+                });
+
+                if (parsed === null) {
+                    newCommands.push(command);
+                } else if (angular.isUndefined(group)) {
+                    groups.push(createGroup(format, parsed.prefix, parsed.dependencies, newCommands.length));
+                    newCommands.push(null);
+                } else {
+                    group.names = group.names.concat(getNames(format, parsed.dependencies));
+                }
+            });
+
+            lodash.forEach(dependencies, function (dependency) {
+                var group = lodash.find(groups, function (installGroup) {
+                    return lodash.includes(installGroup.names, normalizeName(format, dependency.name));
+                }) || getDefaultGroup(format, groups, newCommands);
+
+                group.dependencies.push(dependency);
+            });
+
+            lodash.forEach(groups, function (group) {
+                newCommands[group.index] = lodash.isEmpty(group.dependencies) ? null :
+                    formatCommand(format, group.dependencies, group.prefix);
+            });
+
+            return lodash.reject(newCommands, lodash.isNull);
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates a group of commands installing packages with the same installer and flags (@see {@link
+         * updateCommands}).
+         * @param {string} format - The package manager.
+         * @param {Array.<string>} prefix - The installer and its flags.
+         * @param {Array.<Object>} dependencies - The packages installed by the commands.
+         * @param {number} index - The position of the command replacing the commands of the group.
+         * @returns {{prefix: Array.<string>, names: Array.<string>, dependencies: Array.<Object>, index: number}} the
+         *     group, with the normalized names of the packages installed by its commands, and the packages to install.
+         */
+        function createGroup(format, prefix, dependencies, index) {
+            return {
+                prefix: prefix,
+                names: getNames(format, dependencies),
+                dependencies: [],
+                index: index
+            };
+        }
+
+        /**
+         * Returns a package in the form of the commands of a package manager.
+         * @param {string} format - The package manager.
+         * @param {{name: string, version: string}} dependency - The package.
+         * @returns {string} the package (e.g. `'requests==2.31.0'`, `'lodash@4.17.21'`).
+         */
+        function formatSpec(format, dependency) {
+            return lodash.isEmpty(dependency.version) ? dependency.name :
+                dependency.name + FORMATS[format].separator + dependency.version;
+        }
+
+        /**
+         * Returns the group of commands installing new packages: the first group without flags, or else the first
+         * group, or else a new group appended to the commands (@see {@link updateCommands}).
+         * @param {string} format - The package manager.
+         * @param {Array.<Object>} groups - The groups of commands.
+         * @param {Array.<?string>} commands - The new build commands, with `null` at the position of each group.
+         * @returns {Object} the group.
+         */
+        function getDefaultGroup(format, groups, commands) {
+            var group = lodash.find(groups, function (installGroup) {
+                return lodash.some(FORMATS[format].installers, lodash.partial(lodash.isEqual, installGroup.prefix));
+            }) || lodash.head(groups);
+
+            if (angular.isUndefined(group)) {
+                group = createGroup(format, FORMATS[format].installers[0], [], commands.length);
+                groups.push(group);
+                commands.push(null);
+            }
+
+            return group;
+        }
+
+        /**
+         * Returns the normalized names of packages.
+         * @param {string} format - The package manager.
+         * @param {Array.<{name: string}>} dependencies - The packages.
+         * @returns {Array.<string>} the names.
+         */
+        function getNames(format, dependencies) {
+            return lodash.map(dependencies, function (dependency) {
+                return normalizeName(format, dependency.name);
+            });
+        }
+
+        /**
+         * Converts the name of a package for comparison.
+         * @param {string} format - The package manager.
+         * @param {string} name - The name.
+         * @returns {string} the normalized name.
+         */
+        function normalizeName(format, name) {
+            return format === 'pip' ? name.replace(/\[.*$/, '').replace(/[-_.]+/g, '-').toLowerCase() : name;
+        }
+
+        /**
+         * Parses a command installing packages.
+         * @param {string} format - The package manager.
+         * @param {string} command - The command.
+         * @returns {?{prefix: Array.<string>, dependencies: Array.<Object>}} the installer and its flags, and the
+         *     packages, or `null` in case the command does not only install packages.
+         */
+        function parseCommand(format, command) {
+            var tokens = tokenize(command);
+            var installer = lodash.find(FORMATS[format].installers, function (installerTokens) {
+                return lodash.isEqual(lodash.take(tokens, installerTokens.length), installerTokens);
+            });
+
+            if (tokens === null || angular.isUndefined(installer)) {
+                return null;
+            }
+
+            var args = lodash.drop(tokens, installer.length);
+            var flags = lodash.takeWhile(args, function (token) {
+                return lodash.includes(FORMATS[format].flags, token);
+            });
+            var dependencies = lodash.map(lodash.drop(args, flags.length), lodash.partial(parseSpec, format));
+
+            return lodash.isEmpty(dependencies) || lodash.includes(dependencies, null) ? null : {
+                prefix: installer.concat(flags),
+                dependencies: dependencies
+            };
+        }
+
+        /**
+         * Parses a line of the file listing packages.
+         * @param {string} format - The package manager.
+         * @param {string} line - The line, without comments.
+         * @returns {?Object|undefined} the package, `null` in case the line has no package (e.g. the `module` directive
+         *     of `go.mod`), or `undefined` in case the line could not be parsed.
+         */
+        function parseManifestLine(format, line) {
+            var tokens = line.split(/\s+/);
+
+            if (format !== 'go') {
+                return lodash.defaultTo(parseSpec(format, line), undefined);
+            } else if (lodash.includes(['module', 'go', 'toolchain', ')'], tokens[0]) ||
+                lodash.isEqual(tokens, ['require', '('])) {
+                return null;
+            }
+
+            tokens = tokens[0] === 'require' ? lodash.tail(tokens) : tokens;
+
+            return tokens.length > 2 ? undefined : lodash.defaultTo(parseSpec(format, tokens.join('@')), undefined);
+        }
+
+        /**
+         * Parses the `dependencies` of a `package.json` file.
+         * @param {string} text - The content of the file.
+         * @returns {{dependencies: Array.<Object>, errors: Array.<string>}} the packages, and the errors.
+         */
+        function parsePackageJson(text) {
+            try {
+                var dependencies = lodash.get(angular.fromJson(text), 'dependencies', {});
+
+                return {
+                    dependencies: lodash.map(dependencies, function (version, name) {
+                        return {
+                            name: name,
+                            version: version === '*' ? '' : version
+                        };
+                    }),
+                    errors: []
+                };
+            } catch (error) {
+                return {
+                    dependencies: [],
+                    errors: [$i18next.t('functions:DEPENDENCY_MANAGER.INVALID_PACKAGE_JSON', {
+                        lng: lng,
+                        error: error.message,
+                        interpolation: { escapeValue: false }
+                    })]
+                };
+            }
+        }
+
+        /**
+         * Parses a package in the form of the commands of a package manager.
+         * @param {string} format - The package manager.
+         * @param {string} spec - The package (e.g. `'requests==2.31.0'`, `'@types/node@^20'`).
+         * @returns {?{name: string, version: string}} the package, or `null` in case it is invalid.
+         */
+        function parseSpec(format, spec) {
+            var match = format === 'pip' ? /^([^=~!<>\s]+)\s*(.*)$/.exec(spec) : /^(@?[^@\s]+)(?:@(.*))?$/.exec(spec);
+            var name = lodash.get(match, '[1]', '');
+            var version = lodash.trim(lodash.get(match, '[2]', ''));
+
+            return FORMATS[format].namePattern.test(name) &&
+                (version === '' || FORMATS[format].versionPattern.test(version)) ? {
+                    name: name,
+                    version: version
+                } : null;
+        }
+
+        /**
+         * Quotes an argument of a shell command, in case it has special characters.
+         * @param {string} argument - The argument.
+         * @returns {string} the argument, quoted if needed.
+         */
+        function quote(argument) {
+            return /^[\w.=@/:~^+,-]+$/.test(argument) ? argument : '\'' + argument.replace(/'/g, '\'\\\'\'') + '\'';
+        }
+
+        /**
+         * Splits a shell command into arguments.
+         * @param {string} command - The command.
+         * @returns {?Array.<string>} the arguments, without quotes, or `null` in case the command has operators,
+         *     substitutions or escapes (e.g. `&&`, `>`, `$HOME`), which are not supported.
+         */
+        function tokenize(command) {
+            var tokens = [];
+            var rest = lodash.trim(command);
+            var match;
+
+            while (rest !== '') {
+                match = /^(?:'([^']*)'|"([^"\\$`]*)"|([^\s'"]+))(?:\s+|$)/.exec(rest);
+
+                if (match === null || angular.isDefined(match[3]) && /^#|[;&|<>$`\\()]/.test(match[3])) {
+                    return null;
+                }
+
+                tokens.push(lodash.find(match.slice(1), angular.isDefined));
+                rest = rest.slice(match[0].length);
+            }
+
+            return tokens;
+        }
+    }
+}());
@@ -0,0 +1,200 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('DependenciesService: ', function () {
+    var DependenciesService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_DependenciesService_) {
+            DependenciesService = _DependenciesService_;
+        });
+    });
+
+    afterEach(function () {
+        DependenciesService = null;
+    });
+
+    describe('getFormat(): ', function () {
+        it('should return the package manager of the runtime', function () {
+            expect(DependenciesService.getFormat('python:3.9')).toEqual('pip');
+            expect(DependenciesService.getFormat('nodejs')).toEqual('npm');
+            expect(DependenciesService.getFormat('golang')).toEqual('go');
+            expect(DependenciesService.getFormat('java')).toBeNull();
+            expect(DependenciesService.getFormat(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseCommands(): ', function () {
+        it('should parse the packages installed by the commands', function () {
+            var commands = [
+                'apt-get update',
+                'pip install --no-cache-dir requests==2.31.0 \'numpy>=1.26,<2\'',
+                'pip3 install pandas',
+                'pip install -r requirements.txt',
+                'pip install flask && echo done'
+            ];
+
+            expect(DependenciesService.parseCommands('pip', commands)).toEqual({
+                dependencies: [
+                    { name: 'requests', version: '==2.31.0' },
+                    { name: 'numpy', version: '>=1.26,<2' },
+                    { name: 'pandas', version: '' }
+                ],
+                prefix: ['pip', 'install', '--no-cache-dir'],
+                index: 1
+            });
+        });
+
+        it('should parse scoped npm packages and go modules', function () {
+            expect(DependenciesService.parseCommands('npm', ['npm i -g @types/node@^20 lodash']).dependencies).toEqual([
+                { name: '@types/node', version: '^20' },
+                { name: 'lodash', version: '' }
+            ]);
+            expect(DependenciesService.parseCommands('go', ['go get github.com/pkg/errors@v0.9.1']).dependencies)
+                .toEqual([{ name: 'github.com/pkg/errors', version: 'v0.9.1' }]);
+        });
+    });
+
+    describe('updateCommands(): ', function () {
+        it('should replace the commands installing packages in place, and keep other commands', function () {
+            var commands = ['apt-get update', 'pip install requests', 'echo done', 'pip install pandas'];
+            var dependencies = [{ name: 'requests', version: '==2.31.0' }, { name: 'numpy', version: '>=1.26' }];
+
+            expect(DependenciesService.updateCommands('pip', commands, dependencies)).toEqual([
+                'apt-get update',
+                'pip install requests==2.31.0 \'numpy>=1.26\'',
+                'echo done'
+            ]);
+            expect(DependenciesService.updateCommands('pip', commands, [])).toEqual(['apt-get update', 'echo done']);
+        });
+
+        it('should append a command in case no command installs packages, and round-trip it', function () {
+            var dependencies = [{ name: '@types/node', version: '^20.1.0' }];
+            var commands = DependenciesService.updateCommands('npm', ['echo start'], dependencies);
+
+            expect(commands).toEqual(['echo start', 'npm install @types/node@^20.1.0']);
+            expect(DependenciesService.parseCommands('npm', commands).dependencies).toEqual(dependencies);
+        });
+
+        it('should keep the commands with other flags at their own positions', function () {
+            var commands = ['pip install --upgrade pip', 'apt-get install -y gcc', 'pip install psutil'];
+            var dependencies = [{ name: 'pip', version: '' }, { name: 'psutil', version: '==5.9.8' }];
+
+            expect(DependenciesService.updateCommands('pip', commands, dependencies)).toEqual([
+                'pip install --upgrade pip',
+                'apt-get install -y gcc',
+                'pip install psutil==5.9.8'
+            ]);
+            expect(DependenciesService.updateCommands('npm', ['npm install -g x', 'npm install --save y'], [
+                { name: 'x', version: '' },
+                { name: 'y', version: '^1.0.0' }
+            ])).toEqual(['npm install -g x', 'npm install --save y@^1.0.0']);
+        });
+
+        it('should merge the commands with the same installer and flags', function () {
+            var commands = ['pip install -U pip', 'echo done', 'pip install -U setuptools', 'pip3 install -U wheel'];
+            var dependencies = [
+                { name: 'pip', version: '' },
+                { name: 'setuptools', version: '' },
+                { name: 'wheel', version: '' }
+            ];
+
+            expect(DependenciesService.updateCommands('pip', commands, dependencies)).toEqual([
+                'pip install -U pip setuptools',
+                'echo done',
+                'pip3 install -U wheel'
+            ]);
+        });
+
+        it('should install new packages by the first command without flags, and remove empty commands', function () {
+            var commands = ['pip install --upgrade pip', 'apt-get install -y gcc', 'pip install psutil'];
+
+            expect(DependenciesService.updateCommands('pip', commands, [
+                { name: 'PIP', version: '' },
+                { name: 'requests', version: '' }
+            ])).toEqual(['pip install --upgrade PIP', 'apt-get install -y gcc', 'pip install requests']);
+            expect(DependenciesService.updateCommands('pip', commands, [{ name: 'psutil', version: '' }, {
+                name: 'requests',
+                version: ''
+            }])).toEqual(['apt-get install -y gcc', 'pip install psutil requests']);
+            expect(DependenciesService.updateCommands('npm', ['npm install -g x'], [{ name: 'y', version: '' }]))
+                .toEqual(['npm install -g y']);
+        });
+    });
+
+    describe('parseManifest(): ', function () {
+        it('should parse requirements.txt and report invalid lines', function () {
+            var result = DependenciesService.parseManifest('pip', '# comment\nrequests[security] == 2.31.0\n\n' +
+                '-r other.txt\nnumpy>=1.26  # inline comment');
+
+            expect(result.dependencies).toEqual([
+                { name: 'requests[security]', version: '== 2.31.0' },
+                { name: 'numpy', version: '>=1.26' }
+            ]);
+            expect(result.errors.length).toEqual(1);
+        });
+
+        it('should parse package.json and go.mod', function () {
+            expect(DependenciesService.parseManifest('npm', '{"name": "app", "dependencies": {"lodash": "^4.17.21", ' +
+                '"moment": "*"}}').dependencies).toEqual([
+                { name: 'lodash', version: '^4.17.21' },
+                { name: 'moment', version: '' }
+            ]);
+            expect(DependenciesService.parseManifest('npm', '{"dependencies":').errors.length).toEqual(1);
+            expect(DependenciesService.parseManifest('go', 'module app\n\ngo 1.21\n\nrequire github.com/a/b v1.0.0\n' +
+                'require (\n\tgolang.org/x/text v0.14.0 // indirect\n)').dependencies).toEqual([
+                { name: 'github.com/a/b', version: 'v1.0.0' },
+                { name: 'golang.org/x/text', version: 'v0.14.0' }
+            ]);
+        });
+
+        it('should be the inverse of toManifest()', function () {
+            var dependencies = [{ name: 'github.com/a/b', version: 'v1.0.0' }, { name: 'golang.org/x/text', version: '' }];
+
+            expect(DependenciesService.parseManifest('go', DependenciesService.toManifest('go', dependencies)))
+                .toEqual({ dependencies: dependencies, errors: [] });
+        });
+    });
+
+    describe('getDuplicates(): ', function () {
+        it('should return the packages listed more than once', function () {
+            var dependencies = [
+                { name: 'Flask_Cors', version: '' },
+                { name: 'requests', version: '' },
+                { name: 'flask-cors[extra]', version: '==4.0.0' }
+            ];
+
+            expect(DependenciesService.getDuplicates('pip', dependencies)).toEqual([dependencies[0], dependencies[2]]);
+            expect(DependenciesService.getDuplicates('npm', [{ name: 'Lodash' }, { name: 'lodash' }])).toEqual([]);
+            expect(DependenciesService.getDuplicates('npm', [{ name: '' }, { name: '' }])).toEqual([]);
+        });
+    });
+
+    describe('pin(): ', function () {
+        it('should pin versions with a single base version', function () {
+            expect(DependenciesService.pin('pip', '>=1.26')).toEqual('==1.26');
+            expect(DependenciesService.pin('pip', '>=1.26,<2')).toBeNull();
+            expect(DependenciesService.pin('pip', '')).toBeNull();
+            expect(DependenciesService.pin('npm', '^4.17.21')).toEqual('4.17.21');
+            expect(DependenciesService.pin('npm', '4.x')).toBeNull();
+            expect(DependenciesService.isPinned('pip', '==1.26')).toBe(true);
+            expect(DependenciesService.isPinned('pip', '==1.*')).toBe(false);
+            expect(DependenciesService.isPinned('npm', '~4.17.21')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('DeploymentHistoryService', DeploymentHistoryService);
+
+    function DeploymentHistoryService($q, lodash, ExportService, LocalStorageService, YAML) {
+        var MAX_ENTRIES = 20;
+        var STORAGE_NAMESPACE = 'deploymentHistory';
+
+        return {
+            MAX_ENTRIES: MAX_ENTRIES,
+            addEntry: addEntry,
+            getSnapshotVersion: getSnapshotVersion,
+            getSpecHash: getSpecHash,
+            loadHistory: loadHistory,
+            saveHistory: saveHistory,
+            setEntryResult: setEntryResult
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Records a deployment of a function's version at the top of its deployment history.
+         * Only the latest `MAX_ENTRIES` entries are kept.
+         * @param {Array.<Object>} history - the deployment history of the function (newest entry first).
+         * @param {Object} version - the deployed function's version.
+         * @returns {Object} the new entry, in the form
+         *     `{id: string, timestamp: string, hash: string, config: string, result: string}`, where `config` is the
+         *     YAML config snapshot (see `ExportService.getFunctionConfig`) and `result` is `'deploying'`.
+         */
+        function addEntry(history, version) {
+            var timestamp = new Date();
+            var entry = {
+                id: timestamp.getTime().toString(),
+                timestamp: timestamp.toISOString(),
+                hash: getSpecHash(version),
+                config: ExportService.getFunctionConfig(lodash.omit(version, ['status', 'ui'])),
+                result: 'deploying'
+            };
+
+            history.unshift(entry);
+            history.splice(MAX_ENTRIES);
+
+            return entry;
+        }
+
+        /**
+         * Restores a function's version from the config snapshot of a deployment history entry.
+         * @param {Object} entry - the deployment history entry.
+         * @returns {Object} the function's version (`metadata` and `spec`) of the snapshot.
+         */
+        function getSnapshotVersion(entry) {
+            var snapshot = YAML.parse(entry.config);
+
+            return {
+                metadata: lodash.get(snapshot, 'metadata', {}),
+                spec: lodash.get(snapshot, 'spec', {})
+            };
+        }
+
+        /**
+         * Computes a short hash of the spec of a function's version. Equal specs (regardless of their properties
+         * order) always get the same hash.
+         * @param {Object} version - the function's version.
+         * @returns {string} an 8-digit hexadecimal hash (e.g. `'0f3a9c21'`).
+         */
+        function getSpecHash(version) {
+            var specJson = toSortedJson(ExportService.getFunctionConfigObject(version).spec);
+            var hash = lodash.reduce(specJson, function (result, character) {
+                return (result * 31 + character.charCodeAt(0)) % 4294967296;
+            }, 7);
+
+            return lodash.padStart(hash.toString(16), 8, '0');
+        }
+
+        /**
+         * Loads the deployment history of a function.
+         * @param {string} projectName - the name of the project of the function.
+         * @param {string} functionName - the name of the function.
+         * @param {function} [loadCallback] - a persistence callback to load the history with, called with
+         *     `{projectName, functionName}` and returning the history (or a promise resolved with it). If omitted, the
+         *     history is loaded from local storage.
+         * @returns {Promise.<Array.<Object>>} a promise resolved with the deployment history (newest entry first), or
+         *     rejected in case it could not be loaded.
+         */
+        function loadHistory(projectName, functionName, loadCallback) {
+            var history;
+
+            try {
+                history = angular.isFunction(loadCallback) ?
+                    loadCallback({ projectName: projectName, functionName: functionName }) :
+                    LocalStorageService.getItem(STORAGE_NAMESPACE, getStorageKey(projectName, functionName));
+            } catch (error) {
+                return $q.reject(error);
+            }
+
+            return $q.when(history)
+                .then(function (entries) {
+                    return lodash.isArray(entries) ? entries : [];
+                });
+        }
+
+        /**
+         * Saves the deployment history of a function.
+         * @param {string} projectName - the name of the project of the function.
+         * @param {string} functionName - the name of the function.
+         * @param {Array.<Object>} history - the deployment history to save.
+         * @param {function} [saveCallback] - a persistence callback to save the history with, called with
+         *     `{projectName, functionName, history}`. If omitted, the history is saved to local storage.
+         * @returns {Promise} a promise resolved when the history is saved, or rejected in case it could not be saved.
+         */
+        function saveHistory(projectName, functionName, history, saveCallback) {
+            try {
+                if (angular.isFunction(saveCallback)) {
+                    return $q.when(saveCallback({
+                        projectName: projectName,
+                        functionName: functionName,
+                        history: history
+                    }));
+                }
+
+                // may throw (e.g. `QuotaExceededError` when local storage is full)
+                LocalStorageService.setItem(STORAGE_NAMESPACE, getStorageKey(projectName, functionName), history);
+            } catch (error) {
+                return $q.reject(error);
+            }
+
+            return $q.when();
+        }
+
+        /**
+         * Sets the result of the latest deployment in the deployment history, in case it is still deploying.
+         * @param {Array.<Object>} history - the deployment history of the function (newest entry first).
+         * @param {string} result - the result of the deployment (`'succeeded'` or `'failed'`).
+         * @returns {boolean} `true` if the latest entry was updated, or `false` otherwise.
+         */
+        function setEntryResult(history, result) {
+            var latestEntry = lodash.head(history);
+
+            if (lodash.get(latestEntry, 'result') === 'deploying') {
+                latestEntry.result = result;
+                return true;
+            }
+
+            return false;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Returns the key under which the deployment history of a function is stored in local storage.
+         * @param {string} projectName - the name of the project of the function.
+         * @param {string} functionName - the name of the function.
+         * @returns {string} the key.
+         */
+        function getStorageKey(projectName, functionName) {
+            return projectName + '/' + functionName;
+        }
+
+        /**
+         * Serializes a value to JSON with the properties of all objects sorted by their names.
+         * @param {*} value - the value to serialize.
+         * @returns {string} the JSON string.
+         */
+        function toSortedJson(value) {
+            if (lodash.isArray(value)) {
+                return '[' + lodash.map(value, toSortedJson).join(',') + ']';
+            }
+
+            if (lodash.isPlainObject(value)) {
+                return '{' + lodash.chain(value)
+                    .keys()
+                    .sortBy()
+                    .map(function (key) {
+                        return angular.toJson(key) + ':' + toSortedJson(value[key]);
+                    })
+                    .join(',')
+                    .value() + '}';
+            }
+
+            return lodash.defaultTo(angular.toJson(value), 'null');
+        }
+    }
+}());
@@ -0,0 +1,229 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('DeploymentHistoryService: ', function () {
+    var $rootScope;
+    var DeploymentHistoryService;
+    var ExportService;
+    var LocalStorageService;
+    var version;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$rootScope_, _DeploymentHistoryService_, _ExportService_, _LocalStorageService_) {
+            $rootScope = _$rootScope_;
+            DeploymentHistoryService = _DeploymentHistoryService_;
+            ExportService = _ExportService_;
+            LocalStorageService = _LocalStorageService_;
+        });
+
+        version = {
+            metadata: {
+                name: 'my-function'
+            },
+            spec: {
+                handler: 'main:handler',
+                runtime: 'python:3.9',
+                minReplicas: 1
+            },
+            status: {
+                state: 'ready'
+            },
+            ui: {
+                versionChanged: false
+            }
+        };
+    });
+
+    afterEach(function () {
+        $rootScope = null;
+        DeploymentHistoryService = null;
+        ExportService = null;
+        LocalStorageService = null;
+        version = null;
+    });
+
+    describe('addEntry(): ', function () {
+        beforeEach(function () {
+            spyOn(ExportService, 'getFunctionConfig').and.returnValue('config');
+        });
+
+        it('should add a deploying entry at the top of the history', function () {
+            var history = [{ id: '1', result: 'succeeded' }];
+
+            var entry = DeploymentHistoryService.addEntry(history, version);
+
+            expect(history.length).toBe(2);
+            expect(history[0]).toBe(entry);
+            expect(entry.hash).toBe(DeploymentHistoryService.getSpecHash(version));
+            expect(entry.config).toBe('config');
+            expect(entry.result).toBe('deploying');
+            expect(ExportService.getFunctionConfig).toHaveBeenCalledWith({
+                metadata: version.metadata,
+                spec: version.spec
+            });
+        });
+
+        it('should keep only the latest entries', function () {
+            var history = [];
+
+            for (var i = 0; i < DeploymentHistoryService.MAX_ENTRIES; i++) {
+                history.push({ id: i.toString() });
+            }
+
+            DeploymentHistoryService.addEntry(history, version);
+
+            expect(history.length).toBe(DeploymentHistoryService.MAX_ENTRIES);
+            expect(history[1].id).toBe('0');
+        });
+    });
+
+    describe('getSpecHash(): ', function () {
+        it('should return the same hash for equal specs regardless of properties order', function () {
+            var reordered = {
+                metadata: {
+                    name: 'another-name'
+                },
+                spec: {
+                    minReplicas: 1,
+                    runtime: 'python:3.9',
+                    handler: 'main:handler'
+                }
+            };
+
+            expect(DeploymentHistoryService.getSpecHash(version)).toMatch(/^[0-9a-f]{8}$/);
+            expect(DeploymentHistoryService.getSpecHash(reordered))
+                .toBe(DeploymentHistoryService.getSpecHash(version));
+        });
+
+        it('should return a different hash for different specs', function () {
+            var changed = angular.merge({}, version, { spec: { minReplicas: 2 } });
+
+            expect(DeploymentHistoryService.getSpecHash(changed))
+                .not.toBe(DeploymentHistoryService.getSpecHash(version));
+        });
+    });
+
+    describe('loadHistory(): ', function () {
+        it('should load the history using the persistence callback', function () {
+            var history = [{ id: '1' }];
+            var loadCallback = jasmine.createSpy('loadCallback').and.returnValue(history);
+            var result = null;
+
+            DeploymentHistoryService.loadHistory('my-project', 'my-function', loadCallback)
+                .then(function (entries) {
+                    result = entries;
+                });
+            $rootScope.$digest();
+
+            expect(loadCallback).toHaveBeenCalledWith({ projectName: 'my-project', functionName: 'my-function' });
+            expect(result).toBe(history);
+        });
+
+        it('should load the history from local storage by default', function () {
+            var result = null;
+
+            spyOn(LocalStorageService, 'getItem').and.returnValue(null);
+
+            DeploymentHistoryService.loadHistory('my-project', 'my-function')
+                .then(function (entries) {
+                    result = entries;
+                });
+            $rootScope.$digest();
+
+            expect(LocalStorageService.getItem).toHaveBeenCalledWith('deploymentHistory', 'my-project/my-function');
+            expect(result).toEqual([]);
+        });
+
+        it('should reject in case the persistence callback throws', function () {
+            var error = new Error('unavailable');
+            var rejection = null;
+
+            DeploymentHistoryService.loadHistory('my-project', 'my-function', function () {
+                throw error;
+            })
+                .catch(function (reason) {
+                    rejection = reason;
+                });
+            $rootScope.$digest();
+
+            expect(rejection).toBe(error);
+        });
+    });
+
+    describe('saveHistory(): ', function () {
+        it('should save the history using the persistence callback', function () {
+            var history = [{ id: '1' }];
+            var saveCallback = jasmine.createSpy('saveCallback');
+
+            spyOn(LocalStorageService, 'setItem');
+
+            DeploymentHistoryService.saveHistory('my-project', 'my-function', history, saveCallback);
+
+            expect(saveCallback).toHaveBeenCalledWith({
+                projectName: 'my-project',
+                functionName: 'my-function',
+                history: history
+            });
+            expect(LocalStorageService.setItem).not.toHaveBeenCalled();
+        });
+
+        it('should save the history to local storage by default', function () {
+            var history = [{ id: '1' }];
+
+            spyOn(LocalStorageService, 'setItem');
+
+            DeploymentHistoryService.saveHistory('my-project', 'my-function', history);
+
+            expect(LocalStorageService.setItem)
+                .toHaveBeenCalledWith('deploymentHistory', 'my-project/my-function', history);
+        });
+
+        it('should reject in case local storage is full', function () {
+            var error = new Error('QuotaExceededError');
+            var rejection = null;
+
+            spyOn(LocalStorageService, 'setItem').and.throwError(error);
+
+            DeploymentHistoryService.saveHistory('my-project', 'my-function', [{ id: '1' }])
+                .catch(function (reason) {
+                    rejection = reason;
+                });
+            $rootScope.$digest();
+
+            expect(rejection).toBe(error);
+        });
+    });
+
+    describe('setEntryResult(): ', function () {
+        it('should set the result of the latest entry if it is still deploying', function () {
+            var history = [{ id: '2', result: 'deploying' }, { id: '1', result: 'deploying' }];
+
+            expect(DeploymentHistoryService.setEntryResult(history, 'failed')).toBeTruthy();
+            expect(history[0].result).toBe('failed');
+            expect(history[1].result).toBe('deploying');
+        });
+
+        it('should not change the result of a finished deployment', function () {
+            var history = [{ id: '1', result: 'succeeded' }];
+
+            expect(DeploymentHistoryService.setEntryResult(history, 'failed')).toBeFalsy();
+            expect(DeploymentHistoryService.setEntryResult([], 'failed')).toBeFalsy();
+            expect(history[0].result).toBe('succeeded');
+        });
+    });
+});
@@ -0,0 +1,277 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('EnvironmentVariablesService', EnvironmentVariablesService);
+
+    function EnvironmentVariablesService(lodash, MaskService, ValidationService, YAML, YamlService) {
+        var FORMATS = ['env', 'json', 'yaml'];
+
+        return {
+            FORMATS: FORMATS,
+            detectFormat: detectFormat,
+            getImportPreview: getImportPreview,
+            isSensitiveName: isSensitiveName,
+            mergeVariables: mergeVariables,
+            parseVariables: parseVariables,
+            stringifyVariables: stringifyVariables
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Detects the format of imported environment variables by the extension of the file they were read from, or
+         * by their content in case there is no file (e.g. pasted content)
+         * @param {string} content - the imported content
+         * @param {string} [fileName] - the name of the file the content was read from
+         * @returns {string} one of `FORMATS`
+         */
+        function detectFormat(content, fileName) {
+            var extension = lodash.chain(fileName).split('.').last().toLower().value();
+            var firstLine = lodash.find(lodash.split(content, '\n'), function (line) {
+                return !lodash.isEmpty(lodash.trim(line)) && !lodash.startsWith(lodash.trim(line), '#');
+            });
+
+            return extension === 'env' || lodash.endsWith(fileName, '.env')                ? 'env'  :
+                   extension === 'json'                                                    ? 'json' :
+                   lodash.includes(['yaml', 'yml'], extension)                             ? 'yaml' :
+                   lodash.startsWith(lodash.trim(content), '{')                            ? 'json' :
+                   /^\s*(export\s+)?[^\s=:#]+\s*=/.test(lodash.defaultTo(firstLine, '')) ? 'env'  :
+                   /* else */                                                                'yaml';
+        }
+
+        /**
+         * Prepares the preview of imported environment variables against the existing ones.
+         * Each imported variable gets one of the following statuses:
+         * - `'new'`: will be added.
+         * - `'overwrite'`: a variable of the same name already exists and its value will be replaced.
+         * - `'duplicate'`: the same name appears again later on the imported list, so this one will be skipped.
+         * - `'invalid'`: the name is invalid according to the `k8s.envVarName` validation rule, so it will be skipped.
+         * @param {Array.<Object>} importedVariables - the parsed imported variables (see `parseVariables`)
+         * @param {Array.<Object>} existingVariables - the current environment variables of the function
+         * @returns {Array.<{variable: Object, status: string, errors: Array.<string>}>} the preview rows
+         */
+        function getImportPreview(importedVariables, existingVariables) {
+            var rules = ValidationService.getValidationRules('k8s.envVarName');
+
+            return lodash.map(importedVariables, function (variable, index) {
+                var errors = lodash.chain(rules)
+                    .reject(function (rule) {
+                        return ValidationService.isValidByRules([rule], variable.name);
+                    })
+                    .map('label')
+                    .value();
+                var isDuplicate = lodash.some(lodash.drop(importedVariables, index + 1), ['name', variable.name]);
+
+                return {
+                    variable: variable,
+                    status: lodash.isEmpty(variable.name) || !lodash.isEmpty(errors)     ? 'invalid'   :
+                            isDuplicate                                                  ? 'duplicate' :
+                            lodash.some(existingVariables, ['name', variable.name])     ? 'overwrite' :
+                            /* else */                                                     'new',
+                    errors: errors
+                };
+            });
+        }
+
+        /**
+         * Checks whether the value of an environment variable of the given name is considered sensitive, according to
+         * the common sensitive fields of `MaskService` (e.g. `DB_PASSWORD` or `AWS_SECRET_ACCESS_KEY`)
+         * @param {string} name - the name of the environment variable
+         * @returns {boolean} `true` in case the value is sensitive, or `false` otherwise
+         */
+        function isSensitiveName(name) {
+            var normalizedName = lodash.toLower(name).replace(/[^a-z0-9]/g, '');
+
+            return lodash.some(MaskService.commonSensitiveFields, function (field) {
+                return lodash.includes(normalizedName, lodash.toLower(field));
+            });
+        }
+
+        /**
+         * Merges the imported environment variables of the preview into the existing ones. Existing variables keep
+         * their position, new ones are appended, and `'invalid'` and `'duplicate'` rows are skipped.
+         * @param {Array.<Object>} existingVariables - the current environment variables of the function
+         * @param {Array.<Object>} previewRows - the preview rows (see `getImportPreview`)
+         * @param {boolean} [overwrite=true] - set to `false` to skip `'overwrite'` rows and keep the existing values
+         * @returns {Array.<Object>} a new list of environment variables
+         */
+        function mergeVariables(existingVariables, previewRows, overwrite) {
+            var importedVariables = lodash.chain(previewRows)
+                .filter(function (row) {
+                    return row.status === 'new' || row.status === 'overwrite' && overwrite !== false;
+                })
+                .map('variable')
+                .keyBy('name')
+                .value();
+            var mergedVariables = lodash.map(existingVariables, function (variable) {
+                return lodash.has(importedVariables, variable.name) ?
+                    angular.copy(importedVariables[variable.name]) : angular.copy(variable);
+            });
+
+            lodash.forEach(importedVariables, function (variable) {
+                if (!lodash.some(existingVariables, ['name', variable.name])) {
+                    mergedVariables.push(angular.copy(variable));
+                }
+            });
+
+            return mergedVariables;
+        }
+
+        /**
+         * Parses imported environment variables.
+         * - `env`: `NAME=value` lines (optionally prefixed with `export`), with optionally quoted values. Blank lines
+         *   and lines starting with `#` are ignored.
+         * - `json`: an object mapping names to values.
+         * - `yaml`: a map of names to values.
+         * In `json` and `yaml` formats a value could also be a reference to a secret or a config-map, in the form of
+         * `{valueFrom: {secretKeyRef: {name, key}}}` (as exported by `stringifyVariables`).
+         * @param {string} content - the imported content
+         * @param {string} format - one of `FORMATS`
+         * @returns {Array.<Object>} the parsed variables, in the order they appear
+         * @throws {Error} in case the content could not be parsed
+         */
+        function parseVariables(content, format) {
+            if (format === 'env') {
+                return parseEnvFile(content);
+            }
+
+            var parsedContent = format === 'json' ? JSON.parse(content) : YAML.parse(content);
+
+            if (!lodash.isPlainObject(parsedContent)) {
+                throw new Error('content is not a map of environment variables');
+            }
+
+            return lodash.map(parsedContent, function (value, name) {
+                var valueFrom = lodash.get(value, 'valueFrom');
+
+                return lodash.has(valueFrom, 'secretKeyRef') || lodash.has(valueFrom, 'configMapKeyRef') ? {
+                    name: name,
+                    valueFrom: lodash.pick(valueFrom, ['secretKeyRef', 'configMapKeyRef'])
+                } : {
+                    name: name,
+                    value: lodash.isObject(value) ? JSON.stringify(value) : lodash.toString(value)
+                };
+            });
+        }
+
+        /**
+         * Converts environment variables to text in the given format
+         * @param {Array.<Object>} variables - the environment variables of the function
+         * @param {string} format - one of `FORMATS`
+         * @param {boolean} [maskSensitiveValues=false] - set to `true` to mask the values of variables whose names
+         *     are considered sensitive (see `isSensitiveName`)
+         * @returns {string} the converted environment variables
+         */
+        function stringifyVariables(variables, format, maskSensitiveValues) {
+            var preparedVariables = lodash.map(variables, function (variable) {
+                return lodash.has(variable, 'valueFrom') ? lodash.pick(variable, ['name', 'valueFrom']) : {
+                    name: variable.name,
+                    value: maskSensitiveValues && isSensitiveName(variable.name) ?
+                        MaskService.getMask(lodash.toString(variable.value)) : lodash.toString(variable.value)
+                };
+            });
+
+            if (format === 'env') {
+                return lodash.map(preparedVariables, stringifyEnvLine).join('\n') + '\n';
+            }
+
+            var variablesMap = lodash.chain(preparedVariables)
+                .keyBy('name')
+                .mapValues(function (variable) {
+                    return lodash.has(variable, 'valueFrom') ? lodash.pick(variable, 'valueFrom') : variable.value;
+                })
+                .value();
+
+            return format === 'json' ? angular.toJson(variablesMap, 4) + '\n' :
+                YamlService.prepareYamlObject(variablesMap);
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Parses the content of a `.env` file
+         * @param {string} content - the content of the file
+         * @returns {Array.<{name: string, value: string}>} the parsed variables
+         * @throws {Error} in case a line could not be parsed
+         */
+        function parseEnvFile(content) {
+            return lodash.chain(content)
+                .split(/\r?\n/)
+                .map(lodash.trim)
+                .reject(function (line) {
+                    return line === '' || lodash.startsWith(line, '#');
+                })
+                .map(function (line, index) {
+                    var match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+
+                    if (lodash.isNull(match)) {
+                        throw new Error('invalid line ' + (index + 1) + ': ' + line);
+                    }
+
+                    return {
+                        name: match[1],
+                        value: parseEnvValue(match[2])
+                    };
+                })
+                .value();
+        }
+
+        /**
+         * Parses the value part of a `.env` line. Double-quoted values support `\n`, `\"` and `\\` escape
+         * sequences, single-quoted values are taken literally, and unquoted values end before an inline comment.
+         * @param {string} rawValue - the value part of the line
+         * @returns {string} the parsed value
+         */
+        function parseEnvValue(rawValue) {
+            var doubleQuoted = rawValue.match(/^"((?:[^"\\]|\\.)*)"/);
+            var singleQuoted = rawValue.match(/^'([^']*)'/);
+
+            if (!lodash.isNull(doubleQuoted)) {
+                return doubleQuoted[1].replace(/\\(.)/g, function (match, character) {
+                    return character === 'n' ? '\n' : character;
+                });
+            }
+
+            return lodash.isNull(singleQuoted) ? lodash.trim(rawValue.replace(/\s+#.*$/, '')) : singleQuoted[1];
+        }
+
+        /**
+         * Converts an environment variable to a `.env` line. References to secrets and config-maps could not be
+         * represented in a `.env` file, so they are converted to comment lines.
+         * @param {Object} variable - the environment variable
+         * @returns {string} the `.env` line
+         */
+        function stringifyEnvLine(variable) {
+            if (lodash.has(variable, 'valueFrom.secretKeyRef') || lodash.has(variable, 'valueFrom.configMapKeyRef')) {
+                var referenceType = lodash.has(variable, 'valueFrom.secretKeyRef') ? 'secretKeyRef' : 'configMapKeyRef';
+                var reference = variable.valueFrom[referenceType];
+
+                return '# ' + variable.name + '=<' + referenceType + ' ' + reference.name + '/' + reference.key + '>';
+            }
+
+            return variable.name + '=' + (/^[^\s#"'\\]+$/.test(variable.value) ? variable.value :
+                '"' + variable.value.replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\n') + '"');
+        }
+    }
+}());
@@ -0,0 +1,181 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('EnvironmentVariablesService: ', function () {
+    var EnvironmentVariablesService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls', function ($provide) {
+
+            // JSON is valid YAML, so `JSON.parse` is used instead of a YAML parser
+            $provide.value('YAML', { parse: JSON.parse });
+        });
+
+        inject(function (_EnvironmentVariablesService_) {
+            EnvironmentVariablesService = _EnvironmentVariablesService_;
+        });
+    });
+
+    afterEach(function () {
+        EnvironmentVariablesService = null;
+    });
+
+    describe('detectFormat(): ', function () {
+        it('should detect the format by the file extension', function () {
+            expect(EnvironmentVariablesService.detectFormat('', '.env')).toEqual('env');
+            expect(EnvironmentVariablesService.detectFormat('', 'production.env')).toEqual('env');
+            expect(EnvironmentVariablesService.detectFormat('', 'variables.json')).toEqual('json');
+            expect(EnvironmentVariablesService.detectFormat('', 'variables.yml')).toEqual('yaml');
+        });
+
+        it('should detect the format by the content', function () {
+            expect(EnvironmentVariablesService.detectFormat('{"A": "1"}')).toEqual('json');
+            expect(EnvironmentVariablesService.detectFormat('# comment\nexport A=1')).toEqual('env');
+            expect(EnvironmentVariablesService.detectFormat('A: 1\nB: 2')).toEqual('yaml');
+        });
+    });
+
+    describe('parseVariables(): ', function () {
+        it('should parse a .env file', function () {
+            var content = '# database\n' +
+                'DB_HOST=localhost # inline comment\n' +
+                '\n' +
+                'export DB_USER = admin\n' +
+                'GREETING="Hello \\"world\\"\\nbye"\n' +
+                'PATTERN=\'a#b\\n\'\n' +
+                'EMPTY=\n';
+
+            expect(EnvironmentVariablesService.parseVariables(content, 'env')).toEqual([
+                { name: 'DB_HOST', value: 'localhost' },
+                { name: 'DB_USER', value: 'admin' },
+                { name: 'GREETING', value: 'Hello "world"\nbye' },
+                { name: 'PATTERN', value: 'a#b\\n' },
+                { name: 'EMPTY', value: '' }
+            ]);
+        });
+
+        it('should throw on an invalid .env line', function () {
+            expect(function () {
+                EnvironmentVariablesService.parseVariables('A=1\nno value', 'env');
+            }).toThrow();
+        });
+
+        it('should parse a JSON object with scalar values and references', function () {
+            var content = angular.toJson({
+                PORT: 8080,
+                DEBUG: false,
+                NAME: 'func',
+                TOKEN: { valueFrom: { secretKeyRef: { name: 'tokens', key: 'api' } } }
+            });
+
+            expect(EnvironmentVariablesService.parseVariables(content, 'json')).toEqual([
+                { name: 'PORT', value: '8080' },
+                { name: 'DEBUG', value: 'false' },
+                { name: 'NAME', value: 'func' },
+                { name: 'TOKEN', valueFrom: { secretKeyRef: { name: 'tokens', key: 'api' } } }
+            ]);
+        });
+
+        it('should throw in case the content is not a map', function () {
+            expect(function () {
+                EnvironmentVariablesService.parseVariables('["A"]', 'yaml');
+            }).toThrow();
+        });
+    });
+
+    describe('getImportPreview(): ', function () {
+        it('should mark new, overwritten, duplicate and invalid variables', function () {
+            var imported = [
+                { name: 'A', value: '1' },
+                { name: 'B', value: '2' },
+                { name: 'A', value: '3' },
+                { name: '1INVALID', value: '4' }
+            ];
+            var preview = EnvironmentVariablesService.getImportPreview(imported, [{ name: 'B', value: 'old' }]);
+
+            expect(preview[0].status).toEqual('duplicate');
+            expect(preview[1].status).toEqual('overwrite');
+            expect(preview[2].status).toEqual('new');
+            expect(preview[3].status).toEqual('invalid');
+            expect(preview[3].errors.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('mergeVariables(): ', function () {
+        var existing;
+        var preview;
+
+        beforeEach(function () {
+            existing = [{ name: 'B', value: 'old' }, { name: 'C', value: 'keep' }];
+            preview = EnvironmentVariablesService.getImportPreview([
+                { name: 'A', value: '1' },
+                { name: 'B', value: '2' },
+                { name: '.X', value: '3' }
+            ], existing);
+        });
+
+        it('should overwrite existing variables in place and append new ones', function () {
+            expect(EnvironmentVariablesService.mergeVariables(existing, preview)).toEqual([
+                { name: 'B', value: '2' },
+                { name: 'C', value: 'keep' },
+                { name: 'A', value: '1' }
+            ]);
+        });
+
+        it('should keep existing values in case overwrite is disabled', function () {
+            expect(EnvironmentVariablesService.mergeVariables(existing, preview, false)).toEqual([
+                { name: 'B', value: 'old' },
+                { name: 'C', value: 'keep' },
+                { name: 'A', value: '1' }
+            ]);
+        });
+    });
+
+    describe('stringifyVariables(): ', function () {
+        var variables;
+
+        beforeEach(function () {
+            variables = [
+                { name: 'HOST', value: 'localhost' },
+                { name: 'DB_PASSWORD', value: 'pass123' },
+                { name: 'GREETING', value: 'Hello "world"' },
+                { name: 'TOKEN', valueFrom: { secretKeyRef: { name: 'tokens', key: 'api' } } }
+            ];
+        });
+
+        it('should convert to a .env file with masked sensitive values', function () {
+            expect(EnvironmentVariablesService.stringifyVariables(variables, 'env', true)).toEqual(
+                'HOST=localhost\n' +
+                'DB_PASSWORD=*******\n' +
+                'GREETING="Hello \\"world\\""\n' +
+                '# TOKEN=<secretKeyRef tokens/api>\n'
+            );
+        });
+
+        it('should convert to JSON that could be imported back', function () {
+            var content = EnvironmentVariablesService.stringifyVariables(variables, 'json');
+
+            expect(EnvironmentVariablesService.parseVariables(content, 'json')).toEqual(variables);
+        });
+
+        it('should round-trip a .env file', function () {
+            var valueVariables = variables.slice(0, 3);
+            var content = EnvironmentVariablesService.stringifyVariables(valueVariables, 'env');
+
+            expect(EnvironmentVariablesService.parseVariables(content, 'env')).toEqual(valueVariables);
+        });
+    });
+});
@@ -22,8 +22,11 @@ such restriction.
 
     function ExportService($i18next, $q, $timeout, $window, i18next, lodash, DialogsService, YamlService) {
         return {
+            downloadFile: downloadFile,
             exportFunction: exportFunction,
+            exportFunctions: exportFunctions,
             getFunctionConfig: getFunctionConfig,
+            getFunctionConfigObject: getFunctionConfigObject,
             exportProject: exportProject,
             exportProjects: exportProjects
         };
@@ -32,28 +35,76 @@ such restriction.
         // Public methods
         //
 
+        /**
+         * Creates artificial link and starts downloading of the given data.
+         * Downloaded file will be saved in user's default folder for downloads.
+         * @param {Blob} data - the content of the file
+         * @param {string} fileName - the name of the file, including its extension
+         */
+        function downloadFile(data, fileName) {
+            var url = $window.URL.createObjectURL(data);
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+
+            $timeout(function () {
+                link.click();
+                document.body.removeChild(link);
+                $window.URL.revokeObjectURL(url);
+            });
+        }
+
         /**
          * Exports the function
          * @param {Object} version
          */
         function exportFunction(version) {
-            var functionToExport = prepareFunctionData(version);
+            var functionToExport = escapeBuildCommands(prepareFunctionData(version));
             var blob = prepareBlobObject(functionToExport);
 
             downloadExportedFunction(blob, version.metadata.name);
         }
 
+        /**
+         * Exports the functions as a single multi-document YAML file
+         * @param {Array.<Object>} versions
+         * @param {string} fileName - name of the file (without extension)
+         */
+        function exportFunctions(versions, fileName) {
+            var documents = lodash.map(versions, function (version) {
+                var functionToExport = escapeBuildCommands(prepareFunctionData(version));
+
+                return '---\n' + lodash.trimEnd(YamlService.prepareYamlObject(functionToExport)) + '\n';
+            });
+            var blob = new Blob([documents.join('')], {
+                type: 'application/x-yaml'
+            });
+
+            downloadExportedFunction(blob, fileName);
+        }
+
         /**
          * Returns function config
          * @param {Object} version
          * @returns {string} YAML object
          */
         function getFunctionConfig(version) {
-            var functionConfig = prepareFunctionData(version);
+            var functionConfig = escapeBuildCommands(getFunctionConfigObject(version));
 
             return YamlService.prepareYamlObject(functionConfig);
         }
 
+        /**
+         * Returns function config as a plain object (the same data `getFunctionConfig` converts to YAML)
+         * @param {Object} version
+         * @returns {Object} function config
+         */
+        function getFunctionConfigObject(version) {
+            return prepareFunctionData(version);
+        }
+
         /**
          * Exports the project
          * @param {Object} project
@@ -147,18 +198,22 @@ such restriction.
          * @param {string} fileName - name of the file
          */
         function downloadExportedFunction(data, fileName) {
-            var url = $window.URL.createObjectURL(data);
-            var link = document.createElement('a');
+            downloadFile(data, fileName + '.yaml');
+        }
 
-            link.href = url;
-            link.download = fileName + '.yaml';
-            document.body.appendChild(link);
+        /**
+         * Escapes single quotes of the build commands of the function data so they survive YAML conversion
+         * @param {Object} functionData - the data returned by `prepareFunctionData`
+         * @returns {Object} the same `functionData` object
+         */
+        function escapeBuildCommands(functionData) {
+            if (lodash.has(functionData, 'spec.build.commands')) {
+                lodash.forEach(functionData.spec.build.commands, function (command, index) {
+                    functionData.spec.build.commands[index] = command.replace(/'/g, '\'\'');
+                });
+            }
 
-            $timeout(function () {
-                link.click();
-                document.body.removeChild(link);
-                $window.URL.revokeObjectURL(url);
-            });
+            return functionData;
         }
 
         /**
@@ -169,12 +224,6 @@ such restriction.
         function prepareFunctionData(version) {
             var versionCopy = angular.copy(version);
 
-            if (lodash.has(versionCopy, 'spec.build.commands')) {
-                lodash.forEach(versionCopy.spec.build.commands, function (command, index) {
-                    versionCopy.spec.build.commands[index] = command.replace(/'/g, '\'\'');
-                });
-            }
-
             // using `angular.fromJson` & `angular.toJson` to easily get rid of `$$hashKey` property in all levels
             return angular.fromJson(angular.toJson({
                 metadata: lodash.omit(versionCopy.metadata, 'namespace'),
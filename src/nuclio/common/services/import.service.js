@@ -0,0 +1,195 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('ImportService', ImportService);
+
+    function ImportService(lodash, FunctionsService, ValidationService, YAML) {
+        return {
+            getFunctionConflict: getFunctionConflict,
+            parseFunctions: parseFunctions,
+            prepareFunction: prepareFunction,
+            validateFunction: validateFunction
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Checks whether the imported function conflicts with an existing function of the same name, the same way
+         * `FunctionsService.openFunctionConflictDialog` does: an existing function of another project could not be
+         * overwritten (on Kubernetes platform), while an existing function of the same project could.
+         * @param {string} projectName - the name of the project to import the function into
+         * @param {?Object} existingFunction - the existing function of the same name, if any
+         * @returns {?string} `null` if there is no conflict, `'sameProject'` if the existing function could be
+         *     overwritten, or `'otherProject'` if it could not
+         */
+        function getFunctionConflict(projectName, existingFunction) {
+            if (lodash.isNil(existingFunction)) {
+                return null;
+            }
+
+            var existingFunctionProjectName = lodash.get(existingFunction,
+                                                         ['metadata', 'labels', 'nuclio.io/project-name']);
+
+            return FunctionsService.isKubePlatform() && existingFunctionProjectName !== projectName ?
+                'otherProject' : 'sameProject';
+        }
+
+        /**
+         * Parses the content of an imported YAML file into a list of functions.
+         * Supports a single function (as exported by `ExportService.exportFunction`), multiple YAML documents of
+         * functions (as exported by `ExportService.exportFunctions`), a project (as exported by
+         * `ExportService.exportProject`) and a list of projects (as exported by `ExportService.exportProjects`).
+         * @param {string} content - the content of the YAML file
+         * @returns {Array.<{projectName: ?string, function: Object}>} the functions, each with the name of the
+         *     project it was exported from (`null` for functions that were exported without their project)
+         * @throws {Error} in case the content could not be parsed or has no functions
+         */
+        function parseFunctions(content) {
+            var importedFunctions = lodash.chain(content)
+                .split(/^---[ \t]*$/m)
+                .reject(function (document) {
+                    return lodash.trim(document) === '';
+                })
+                .flatMap(function (document) {
+                    return parseDocument(YAML.parse(document));
+                })
+                .value();
+
+            if (lodash.isEmpty(importedFunctions)) {
+                throw new Error('no functions found');
+            }
+
+            return importedFunctions;
+        }
+
+        /**
+         * Prepares the imported function to be created (or to overwrite the existing function) in the project
+         * @param {Object} aFunction - the imported function
+         * @param {string} projectName - the name of the project to import the function into
+         * @param {?Object} [existingFunction] - the existing function to overwrite, if any
+         * @returns {Object} a copy of the function, ready to be sent to deploy
+         */
+        function prepareFunction(aFunction, projectName, existingFunction) {
+            var functionCopy = lodash.omit(angular.copy(aFunction),
+                                           ['status', 'ui', 'metadata.namespace', 'metadata.resourceVersion']);
+
+            // set `nuclio.io/project-name` label to relate this function to its project
+            lodash.set(functionCopy, ['metadata', 'labels', 'nuclio.io/project-name'], projectName);
+
+            if (!lodash.isNil(existingFunction)) {
+                var resourceVersion = lodash.get(existingFunction, 'metadata.resourceVersion');
+
+                if (!lodash.isNil(resourceVersion)) {
+                    lodash.set(functionCopy, 'metadata.resourceVersion', resourceVersion);
+                }
+            }
+
+            return functionCopy;
+        }
+
+        /**
+         * Validates the imported function against the validation rules of the function's fields
+         * @param {Object} aFunction - the imported function
+         * @returns {Array.<string>} the error messages (an empty list if the function is valid)
+         */
+        function validateFunction(aFunction) {
+            var errors = [];
+
+            validateValue(errors, 'metadata.name', 'function.name', lodash.get(aFunction, 'metadata.name', ''));
+
+            lodash.forEach(lodash.get(aFunction, 'metadata.labels'), function (value, key) {
+
+                // the project label is set by the import itself
+                if (key !== 'nuclio.io/project-name') {
+                    validateValue(errors, 'metadata.labels', 'function.label.key', key);
+                    validateValue(errors, 'metadata.labels.' + key, 'k8s.qualifiedName', lodash.toString(value));
+                }
+            });
+
+            lodash.forEach(lodash.get(aFunction, 'metadata.annotations'), function (value, key) {
+                validateValue(errors, 'metadata.annotations', 'function.annotation.key', key);
+            });
+
+            lodash.forEach(lodash.get(aFunction, 'spec.env'), function (envVar) {
+                validateValue(errors, 'spec.env', 'k8s.envVarName', lodash.get(envVar, 'name', ''));
+            });
+
+            lodash.forEach(lodash.get(aFunction, 'spec.triggers'), function (trigger, triggerName) {
+                validateValue(errors, 'spec.triggers', 'function.triggerName',
+                              lodash.get(trigger, 'name', triggerName));
+            });
+
+            return errors;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Converts a single parsed YAML document into a list of functions
+         * @param {Object} document - the parsed YAML document
+         * @returns {Array.<{projectName: ?string, function: Object}>} the functions of the document
+         * @throws {Error} in case the document is neither a function, nor a project, nor a list of projects
+         */
+        function parseDocument(document) {
+            var projects = lodash.has(document, 'projects') ? document.projects    :
+                           lodash.has(document, 'project')  ? [document.project]   :
+                           /* else */                         null;
+
+            if (lodash.isArray(projects)) {
+                return lodash.flatMap(projects, function (project) {
+                    return lodash.map(lodash.get(project, 'spec.functions', []), function (aFunction) {
+                        return {
+                            projectName: lodash.get(project, 'metadata.name', null),
+                            'function': aFunction
+                        };
+                    });
+                });
+            }
+
+            if (lodash.has(document, 'metadata.name')) {
+                return [{
+                    projectName: null,
+                    'function': document
+                }];
+            }
+
+            throw new Error('invalid yaml');
+        }
+
+        /**
+         * Validates a value against validation rules, and adds the labels of the broken rules to the errors list
+         * @param {Array.<string>} errors - the errors list to add to
+         * @param {string} path - the path of the validated field, to be shown along with the error
+         * @param {string} rulesType - the type of the validation rules (e.g. `'function.name'`)
+         * @param {string} value - the value to validate
+         */
+        function validateValue(errors, path, rulesType, value) {
+            lodash.forEach(ValidationService.getValidationRules(rulesType), function (rule) {
+                if (!ValidationService.isValidByRules([rule], value)) {
+                    errors.push(path + ' (' + value + '): ' + rule.label);
+                }
+            });
+        }
+    }
+}());
@@ -0,0 +1,195 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('ImportService: ', function () {
+    var FunctionsService;
+    var ImportService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls', function ($provide) {
+
+            // JSON is valid YAML, so `JSON.parse` is used instead of a YAML parser
+            $provide.value('YAML', { parse: JSON.parse });
+        });
+
+        inject(function (_FunctionsService_, _ImportService_, _lodash_) {
+            FunctionsService = _FunctionsService_;
+            ImportService = _ImportService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        FunctionsService = null;
+        ImportService = null;
+        lodash = null;
+    });
+
+    describe('parseFunctions(): ', function () {
+        it('should parse a single function', function () {
+            var aFunction = { metadata: { name: 'func' }, spec: {} };
+
+            expect(ImportService.parseFunctions(angular.toJson(aFunction))).toEqual([
+                { projectName: null, 'function': aFunction }
+            ]);
+        });
+
+        it('should parse multiple documents of functions', function () {
+            var content = '---\n' + angular.toJson({ metadata: { name: 'func1' } }) + '\n' +
+                '---\n' + angular.toJson({ metadata: { name: 'func2' } }) + '\n';
+
+            expect(ImportService.parseFunctions(content)).toEqual([
+                { projectName: null, 'function': { metadata: { name: 'func1' } } },
+                { projectName: null, 'function': { metadata: { name: 'func2' } } }
+            ]);
+        });
+
+        it('should parse a project and a list of projects', function () {
+            var project = {
+                project: {
+                    metadata: { name: 'project1' },
+                    spec: { functions: [{ metadata: { name: 'func1' } }] }
+                }
+            };
+            var projects = {
+                projects: [
+                    {
+                        metadata: { name: 'project1' },
+                        spec: { functions: [{ metadata: { name: 'func1' } }, { metadata: { name: 'func2' } }] }
+                    },
+                    {
+                        metadata: { name: 'project2' },
+                        spec: { functions: [{ metadata: { name: 'func3' } }] }
+                    }
+                ]
+            };
+
+            expect(ImportService.parseFunctions(angular.toJson(project))).toEqual([
+                { projectName: 'project1', 'function': { metadata: { name: 'func1' } } }
+            ]);
+            expect(ImportService.parseFunctions(angular.toJson(projects))).toEqual([
+                { projectName: 'project1', 'function': { metadata: { name: 'func1' } } },
+                { projectName: 'project1', 'function': { metadata: { name: 'func2' } } },
+                { projectName: 'project2', 'function': { metadata: { name: 'func3' } } }
+            ]);
+        });
+
+        it('should throw an error for content without functions', function () {
+            expect(function () {
+                ImportService.parseFunctions(angular.toJson({ kind: 'something' }));
+            }).toThrow();
+            expect(function () {
+                ImportService.parseFunctions(angular.toJson({ projects: [] }));
+            }).toThrow();
+        });
+    });
+
+    describe('validateFunction(): ', function () {
+        it('should return no errors for a valid function', function () {
+            var aFunction = {
+                metadata: {
+                    name: 'my-function',
+                    labels: {
+                        'nuclio.io/project-name': 'my-project',
+                        app: 'my-app'
+                    }
+                },
+                spec: {
+                    env: [{ name: 'MY_VAR', value: 'value' }],
+                    triggers: {
+                        http: { kind: 'http' }
+                    }
+                }
+            };
+
+            expect(ImportService.validateFunction(aFunction)).toEqual([]);
+        });
+
+        it('should return errors for invalid fields', function () {
+            var aFunction = {
+                metadata: {
+                    name: 'My_Function',
+                    labels: {
+                        app: 'my app'
+                    }
+                },
+                spec: {
+                    env: [{ name: '1VAR' }]
+                }
+            };
+
+            var errors = ImportService.validateFunction(aFunction);
+
+            expect(errors.length).toBeGreaterThan(2);
+            expect(lodash.some(errors, function (error) {
+                return lodash.startsWith(error, 'metadata.name (My_Function)');
+            })).toBeTruthy();
+            expect(lodash.some(errors, function (error) {
+                return lodash.startsWith(error, 'metadata.labels.app (my app)');
+            })).toBeTruthy();
+            expect(lodash.some(errors, function (error) {
+                return lodash.startsWith(error, 'spec.env (1VAR)');
+            })).toBeTruthy();
+        });
+    });
+
+    describe('getFunctionConflict(): ', function () {
+        var existingFunction = {
+            metadata: {
+                name: 'func',
+                labels: { 'nuclio.io/project-name': 'project1' }
+            }
+        };
+
+        it('should return `null` if there is no existing function', function () {
+            expect(ImportService.getFunctionConflict('project1', null)).toBeNull();
+        });
+
+        it('should detect conflicts the same way as `openFunctionConflictDialog`', function () {
+            spyOn(FunctionsService, 'isKubePlatform').and.returnValue(true);
+
+            expect(ImportService.getFunctionConflict('project1', existingFunction)).toEqual('sameProject');
+            expect(ImportService.getFunctionConflict('project2', existingFunction)).toEqual('otherProject');
+
+            FunctionsService.isKubePlatform.and.returnValue(false);
+
+            expect(ImportService.getFunctionConflict('project2', existingFunction)).toEqual('sameProject');
+        });
+    });
+
+    describe('prepareFunction(): ', function () {
+        it('should relate the function to the project and take the resource version of the existing function', function () {
+            var aFunction = {
+                metadata: { name: 'func', namespace: 'nuclio', resourceVersion: '1' },
+                spec: {},
+                status: { state: 'ready' }
+            };
+
+            expect(ImportService.prepareFunction(aFunction, 'project1')).toEqual({
+                metadata: { name: 'func', labels: { 'nuclio.io/project-name': 'project1' } },
+                spec: {}
+            });
+            expect(ImportService.prepareFunction(aFunction, 'project1', {
+                metadata: { name: 'func', resourceVersion: '5' }
+            })).toEqual({
+                metadata: { name: 'func', labels: { 'nuclio.io/project-name': 'project1' }, resourceVersion: '5' },
+                spec: {}
+            });
+            expect(aFunction.status).toEqual({ state: 'ready' });
+        });
+    });
+});
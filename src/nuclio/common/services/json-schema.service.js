@@ -0,0 +1,247 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('JsonSchemaService', JsonSchemaService);
+
+    function JsonSchemaService(lodash) {
+        return {
+            validate: validate
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Validates a value by a JSON Schema document.
+         * Supports the `type`, `const`, `enum`, `required`, `properties`, `additionalProperties`, `items`,
+         * `minItems`, `maxItems`, `uniqueItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+         * `exclusiveMinimum`, `exclusiveMaximum`, `allOf`, `anyOf`, `oneOf`, `not` and `if`/`then`/`else` keywords,
+         * and local `$ref` references (e.g. `'#/definitions/item'`).
+         * @param {Object} schema - The schema.
+         * @param {*} value - The value.
+         * @param {string} [path=''] - The path of the value, to prefix the paths of the violations with.
+         * @returns {Array.<{keyword: string, path: string}>} the violations (empty in case the value is valid)
+         */
+        function validate(schema, value, path) {
+            return validateValue(schema, value, lodash.defaultTo(path, ''), schema);
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Tests whether a value is of a JSON Schema type.
+         * @param {*} value - The value.
+         * @param {string|Array.<string>} type - The type, or a list of types.
+         * @returns {boolean} `true` in case the value is of (one of) the type(s), or `false` otherwise
+         */
+        function isOfType(value, type) {
+            var typeTests = {
+                array: lodash.isArray,
+                boolean: lodash.isBoolean,
+                integer: lodash.isInteger,
+                null: lodash.isNull,
+                number: lodash.isFinite,
+                object: lodash.isPlainObject,
+                string: lodash.isString
+            };
+
+            return lodash.some(lodash.castArray(type), function (typeName) {
+                return lodash.get(typeTests, typeName, lodash.stubTrue)(value);
+            });
+        }
+
+        /**
+         * Joins a property name to a path.
+         * @param {string} basePath - The path.
+         * @param {string} key - The property name.
+         * @returns {string} the joined path
+         */
+        function joinPath(basePath, key) {
+            return lodash.isEmpty(basePath) ? key : basePath + '.' + key;
+        }
+
+        /**
+         * Resolves a local `$ref` reference (a JSON pointer into the root schema).
+         * @param {Object} rootSchema - The root schema.
+         * @param {string} ref - The reference (e.g. `'#/definitions/item'`).
+         * @returns {Object} the referenced schema
+         * @throws {Error} in case the reference is not local or could not be resolved
+         */
+        function resolveRef(rootSchema, ref) {
+            if (!lodash.startsWith(ref, '#')) {
+                throw new Error('unsupported $ref: ' + ref);
+            }
+
+            var tokens = lodash.chain(ref.slice(1))
+                .split('/')
+                .compact()
+                .map(function (token) {
+                    return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+                })
+                .value();
+            var resolved = lodash.isEmpty(tokens) ? rootSchema : lodash.get(rootSchema, tokens);
+
+            if (!lodash.isPlainObject(resolved)) {
+                throw new Error('unresolved $ref: ' + ref);
+            }
+
+            return resolved;
+        }
+
+        /**
+         * Validates a value by a (sub-)schema.
+         * @param {Object} schema - The schema.
+         * @param {*} value - The value.
+         * @param {string} path - The path of the value.
+         * @param {Object} rootSchema - The root schema, to resolve `$ref` references by.
+         * @returns {Array.<{keyword: string, path: string}>} the violations
+         */
+        // eslint-disable-next-line
+        function validateValue(schema, value, path, rootSchema) {
+            var errors = [];
+            var addError = function (keyword, errorPath) {
+                errors.push({ keyword: keyword, path: lodash.defaultTo(errorPath, path) });
+            };
+            var validateSubSchema = function (subSchema, subValue, subPath) {
+                errors = errors.concat(validateValue(subSchema, subValue, subPath, rootSchema));
+            };
+            var isValid = function (subSchema) {
+                return lodash.isEmpty(validateValue(subSchema, value, path, rootSchema));
+            };
+
+            if (lodash.has(schema, '$ref')) {
+                return validateValue(resolveRef(rootSchema, schema.$ref), value, path, rootSchema);
+            }
+
+            if (lodash.has(schema, 'type') && !isOfType(value, schema.type)) {
+                addError('type');
+
+                return errors;
+            }
+
+            if (lodash.has(schema, 'const') && !lodash.isEqual(value, schema.const)) {
+                addError('const');
+            }
+
+            if (lodash.has(schema, 'enum') && !lodash.some(schema.enum, lodash.partial(lodash.isEqual, value))) {
+                addError('enum');
+            }
+
+            if (lodash.isPlainObject(value)) {
+                lodash.forEach(schema.required, function (key) {
+                    if (!lodash.has(value, key)) {
+                        addError('required', joinPath(path, key));
+                    }
+                });
+
+                lodash.forEach(value, function (propertyValue, key) {
+                    var propertySchema = lodash.get(schema, ['properties', key], schema.additionalProperties);
+
+                    if (propertySchema === false) {
+                        addError('additionalProperties', joinPath(path, key));
+                    } else if (lodash.isPlainObject(propertySchema)) {
+                        validateSubSchema(propertySchema, propertyValue, joinPath(path, key));
+                    }
+                });
+            }
+
+            if (lodash.isArray(value)) {
+                if (value.length < lodash.defaultTo(schema.minItems, 0)) {
+                    addError('minItems');
+                }
+
+                if (value.length > lodash.defaultTo(schema.maxItems, Infinity)) {
+                    addError('maxItems');
+                }
+
+                if (schema.uniqueItems === true && lodash.uniqWith(value, lodash.isEqual).length !== value.length) {
+                    addError('uniqueItems');
+                }
+
+                if (lodash.isPlainObject(schema.items)) {
+                    lodash.forEach(value, function (item, index) {
+                        validateSubSchema(schema.items, item, path + '[' + index + ']');
+                    });
+                }
+            }
+
+            if (lodash.isString(value)) {
+                if (value.length < lodash.defaultTo(schema.minLength, 0)) {
+                    addError('minLength');
+                }
+
+                if (value.length > lodash.defaultTo(schema.maxLength, Infinity)) {
+                    addError('maxLength');
+                }
+
+                if (lodash.has(schema, 'pattern') && !new RegExp(schema.pattern).test(value)) {
+                    addError('pattern');
+                }
+            }
+
+            if (lodash.isNumber(value)) {
+                if (value < lodash.defaultTo(schema.minimum, -Infinity)) {
+                    addError('minimum');
+                }
+
+                if (value > lodash.defaultTo(schema.maximum, Infinity)) {
+                    addError('maximum');
+                }
+
+                if (value <= lodash.defaultTo(schema.exclusiveMinimum, -Infinity)) {
+                    addError('exclusiveMinimum');
+                }
+
+                if (value >= lodash.defaultTo(schema.exclusiveMaximum, Infinity)) {
+                    addError('exclusiveMaximum');
+                }
+            }
+
+            lodash.forEach(schema.allOf, function (subSchema) {
+                validateSubSchema(subSchema, value, path);
+            });
+
+            if (lodash.has(schema, 'anyOf') && !lodash.some(schema.anyOf, isValid)) {
+                addError('anyOf');
+            }
+
+            if (lodash.has(schema, 'oneOf') && lodash.filter(schema.oneOf, isValid).length !== 1) {
+                addError('oneOf');
+            }
+
+            if (lodash.has(schema, 'not') && isValid(schema.not)) {
+                addError('not');
+            }
+
+            if (lodash.has(schema, 'if')) {
+                var branch = isValid(schema.if) ? schema.then : schema.else;
+
+                if (lodash.isPlainObject(branch)) {
+                    validateSubSchema(branch, value, path);
+                }
+            }
+
+            return errors;
+        }
+    }
+}());
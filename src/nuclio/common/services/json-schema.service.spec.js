@@ -0,0 +1,99 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('JsonSchemaService: ', function () {
+    var JsonSchemaService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_JsonSchemaService_) {
+            JsonSchemaService = _JsonSchemaService_;
+        });
+    });
+
+    afterEach(function () {
+        JsonSchemaService = null;
+    });
+
+    describe('validate(): ', function () {
+        var schema = {
+            type: 'object',
+            required: ['id', 'items'],
+            properties: {
+                id: { type: 'integer', exclusiveMinimum: 0 },
+                name: { type: 'string', minLength: 1, pattern: '^[a-z]+$' },
+                items: {
+                    type: 'array',
+                    uniqueItems: true,
+                    items: { $ref: '#/definitions/item' }
+                },
+                status: { not: { 'const': 'deleted' } }
+            },
+            additionalProperties: false,
+            definitions: {
+                item: {
+                    type: 'object',
+                    required: ['sku'],
+                    properties: {
+                        sku: { type: 'string' },
+                        quantity: { type: 'number', maximum: 10 }
+                    }
+                }
+            }
+        };
+
+        it('should return no violations for a valid value', function () {
+            var value = { id: 1, name: 'abc', items: [{ sku: 'a', quantity: 2 }], status: 'active' };
+
+            expect(JsonSchemaService.validate(schema, value)).toEqual([]);
+        });
+
+        it('should return the violations of an invalid value', function () {
+            var value = {
+                id: 0,
+                name: 'ABC',
+                items: [{ quantity: 20 }, { quantity: 20 }],
+                status: 'deleted',
+                extra: true
+            };
+
+            expect(JsonSchemaService.validate(schema, value)).toEqual([
+                { keyword: 'exclusiveMinimum', path: 'id' },
+                { keyword: 'pattern', path: 'name' },
+                { keyword: 'uniqueItems', path: 'items' },
+                { keyword: 'required', path: 'items[0].sku' },
+                { keyword: 'maximum', path: 'items[0].quantity' },
+                { keyword: 'required', path: 'items[1].sku' },
+                { keyword: 'maximum', path: 'items[1].quantity' },
+                { keyword: 'not', path: 'status' },
+                { keyword: 'additionalProperties', path: 'extra' }
+            ]);
+        });
+
+        it('should prefix the paths of the violations with the given path', function () {
+            expect(JsonSchemaService.validate({ type: 'string' }, 1, 'body')).toEqual([
+                { keyword: 'type', path: 'body' }
+            ]);
+        });
+
+        it('should throw on an unresolved reference', function () {
+            expect(function () {
+                JsonSchemaService.validate({ $ref: '#/definitions/missing' }, 1);
+            }).toThrowError('unresolved $ref: #/definitions/missing');
+        });
+    });
+});
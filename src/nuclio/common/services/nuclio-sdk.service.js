@@ -0,0 +1,462 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('NuclioSdkService', NuclioSdkService);
+
+    function NuclioSdkService($i18next, i18next, lodash) {
+        var lng = i18next.language;
+        var NAME_PLACEHOLDER = '%NAME%';
+
+        /**
+         * The nuclio SDK of each editor language:
+         * - `handlerFormat`: `'module'` for handlers of the form `<module>:<function>`, or `'class'` for handlers
+         *   naming a class.
+         * - `definition`: matches the definitions of functions (or classes) that could be handlers, capturing the
+         *   name.
+         * - `stub`: a handler, with `%NAME%` in place of its name.
+         * - `stubBeforeLastBrace`: `true` in case handlers are methods, added before the last closing brace.
+         * - `members`: the members of the `context` and `event` objects of the SDK, by the expression of the object,
+         *   as snippets (e.g. `'info(${1:message})'` for a method, `'body'` for a property).
+         * - `snippets`: snippets for the start of a statement.
+         */
+        var SDK = {
+            csharp: {
+                handlerFormat: 'module',
+                definition: /\b(\w+)\s*\(\s*Context\b/g,
+                stub: 'public object %NAME%(Context context, Event eventBase)\n{\n    return "";\n}\n',
+                stubBeforeLastBrace: true,
+                members: {
+                    'context': ['Logger'],
+                    'context.Logger': [
+                        'Debug(${1:message})', 'Info(${1:message})', 'Warn(${1:message})', 'Error(${1:message})'
+                    ],
+                    'eventBase': [
+                        'Body', 'ContentType', 'Headers', 'Fields', 'Method', 'Path', 'Url', 'Timestamp', 'ID'
+                    ]
+                },
+                snippets: [
+                    ['log', 'context.Logger.Info("${1:message}");'],
+                    ['response', 'return new Response\n{\n    Body = ${1:""},\n    ContentType = "${2:text/plain}",\n' +
+                        '    StatusCode = ${3:200}\n};']
+                ]
+            },
+            go: {
+                handlerFormat: 'module',
+                definition: /^func\s+(\w+)\s*\(/gm,
+                stub: 'func %NAME%(context *nuclio.Context, event nuclio.Event) (interface{}, error) {\n' +
+                    '\treturn nil, nil\n}\n',
+                members: {
+                    'context': ['Logger', 'UserData', 'WorkerID', 'FunctionName', 'FunctionVersion'],
+                    'context.Logger': [
+                        'Debug(${1:format})', 'Info(${1:format})', 'Warn(${1:format})', 'Error(${1:format})',
+                        'DebugWith(${1:format}, ${2:vars})', 'InfoWith(${1:format}, ${2:vars})',
+                        'WarnWith(${1:format}, ${2:vars})', 'ErrorWith(${1:format}, ${2:vars})'
+                    ],
+                    'event': [
+                        'GetBody()', 'GetContentType()', 'GetHeaders()', 'GetHeader(${1:key})',
+                        'GetHeaderString(${1:key})', 'GetFields()', 'GetField(${1:key})', 'GetMethod()', 'GetPath()',
+                        'GetURL()', 'GetTimestamp()', 'GetID()', 'GetShardID()', 'GetTotalNumShards()'
+                    ]
+                },
+                snippets: [
+                    ['logwith', 'context.Logger.InfoWith("${1:message}", "${2:key}", ${3:value})'],
+                    ['response', 'return nuclio.Response{\n\tStatusCode:  ${1:200},\n' +
+                        '\tContentType: "${2:text/plain}",\n\tBody:        []byte(${3:""}),\n}, nil']
+                ]
+            },
+            java: {
+                handlerFormat: 'class',
+                definition: /\bclass\s+(\w+)/g,
+                stub: 'public class %NAME% implements EventHandler {\n\n    @Override\n' +
+                    '    public Response handleEvent(Context context, Event event) {\n' +
+                    '        return new Response().setBody("".getBytes());\n    }\n}\n',
+                members: {
+                    'context': ['getLogger()'],
+                    'context.getLogger': [
+                        'debug(${1:format})', 'info(${1:format})', 'warn(${1:format})', 'error(${1:format})',
+                        'debugWith(${1:format}, ${2:vars})', 'infoWith(${1:format}, ${2:vars})',
+                        'warnWith(${1:format}, ${2:vars})', 'errorWith(${1:format}, ${2:vars})'
+                    ],
+                    'event': [
+                        'getBody()', 'getContentType()', 'getHeaders()', 'getHeader(${1:key})', 'getFields()',
+                        'getField(${1:key})', 'getMethod()', 'getPath()', 'getURL()', 'getTimestamp()', 'getID()'
+                    ]
+                },
+                snippets: [
+                    ['logwith', 'context.getLogger().infoWith("${1:message}", "${2:key}", ${3:value});'],
+                    ['response', 'return new Response()\n    .setBody(${1:""}.getBytes())\n' +
+                        '    .setContentType("${2:text/plain}")\n    .setStatusCode(${3:200});']
+                ]
+            },
+            javascript: {
+                handlerFormat: 'module',
+                definition: /(?:\bmodule\.)?\bexports\.(\w+)\s*=/g,
+                stub: 'exports.%NAME% = function (context, event) {\n    context.callback(\'\');\n};\n',
+                members: {
+                    'context': [
+                        'logger', 'callback(${1:response})',
+                        'Response(${1:body}, ${2:headers}, ${3:contentType}, ${4:statusCode})', 'userData'
+                    ],
+                    'context.logger': [
+                        'debug(${1:format})', 'info(${1:format})', 'warn(${1:format})', 'error(${1:format})',
+                        'debugWith(${1:format}, ${2:vars})', 'infoWith(${1:format}, ${2:vars})',
+                        'warnWith(${1:format}, ${2:vars})', 'errorWith(${1:format}, ${2:vars})'
+                    ],
+                    'event': [
+                        'body', 'contentType', 'headers', 'fields', 'method', 'path', 'url', 'timestamp', 'id',
+                        'trigger'
+                    ]
+                },
+                snippets: [
+                    ['logwith', 'context.logger.infoWith(\'${1:message}\', { ${2:key}: ${3:value} });'],
+                    ['response', 'context.callback(new context.Response(${1:\'\'}, {}, \'${2:text/plain}\', ' +
+                        '${3:200}));']
+                ]
+            },
+            python: {
+                handlerFormat: 'module',
+                definition: /^(?:async\s+)?def\s+(\w+)\s*\(/gm,
+                stub: 'def %NAME%(context, event):\n    return \'\'\n',
+                members: {
+                    'context': [
+                        'logger', 'user_data', 'worker_id', 'platform',
+                        'Response(body=${1:None}, headers=${2:None}, content_type=${3:\'text/plain\'}, ' + 'status_code=${4:200})'
+                    ],
+                    'context.logger': [
+                        'debug(${1:message})', 'info(${1:message})', 'warn(${1:message})', 'error(${1:message})',
+                        'debug_with(${1:message}, ${2:kwargs})', 'info_with(${1:message}, ${2:kwargs})',
+                        'warn_with(${1:message}, ${2:kwargs})', 'error_with(${1:message}, ${2:kwargs})'
+                    ],
+                    'event': [
+                        'body', 'content_type', 'headers', 'fields', 'method', 'path', 'url', 'timestamp', 'id',
+                        'trigger', 'shard_id', 'num_shards'
+                    ]
+                },
+                snippets: [
+                    ['logwith', 'context.logger.info_with(\'${1:message}\', ${2:key}=${3:value})'],
+                    ['response', 'return context.Response(body=${1:\'\'},\n' +
+                        '                        headers={},\n' +
+                        '                        content_type=\'${2:text/plain}\',\n' +
+                        '                        status_code=${3:200})']
+                ]
+            },
+            ruby: {
+                handlerFormat: 'module',
+                definition: /^\s*def\s+(\w+)/gm,
+                stub: 'def %NAME%(context, event)\n  \'\'\nend\n',
+                members: {
+                    'context': ['logger'],
+                    'context.logger': [
+                        'debug(${1:message})', 'info(${1:message})', 'warn(${1:message})', 'error(${1:message})'
+                    ],
+                    'event': ['body', 'content_type', 'headers', 'fields', 'method', 'path', 'url', 'timestamp', 'id']
+                },
+                snippets: [
+                    ['log', 'context.logger.info(\'${1:message}\')']
+                ]
+            }
+        };
+
+        return {
+            LANGUAGES: lodash.keys(SDK),
+            applyEdit: applyEdit,
+            getCompletions: getCompletions,
+            getHandlerIssue: getHandlerIssue
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Applies a text edit of a quick-fix to source code.
+         * @param {string} source - The source code.
+         * @param {{range: Object, text: string}} edit - The edit, replacing the text in the range (with 1-based line
+         *     and column numbers, as in the Monaco editor) with new text.
+         * @returns {string} the edited source code.
+         */
+        function applyEdit(source, edit) {
+            var start = getOffset(source, edit.range.startLineNumber, edit.range.startColumn);
+            var end = getOffset(source, edit.range.endLineNumber, edit.range.endColumn);
+
+            return source.slice(0, start) + edit.text + source.slice(end);
+        }
+
+        /**
+         * Returns the completions of the nuclio SDK at the cursor: the members of the `context` and `event` objects
+         * after a dot (e.g. `context.logger.`), or the snippets of the language at the start of a word.
+         * @param {string} language - The language of the editor (e.g. `'python'`).
+         * @param {string} linePrefix - The text of the line before the cursor.
+         * @returns {Array.<{label: string, kind: string, detail: string, insertText: string}>} the completions,
+         *     where `kind` is `'method'`, `'property'` or `'snippet'`, and `insertText` is a snippet.
+         */
+        function getCompletions(language, linePrefix) {
+            var sdk = lodash.get(SDK, language);
+            var receiver = /([\w.()]+)\.\w*$/.exec(linePrefix);
+
+            if (angular.isUndefined(sdk)) {
+                return [];
+            } else if (receiver !== null) {
+                return lodash.map(lodash.get(sdk.members, receiver[1].replace(/\(\)/g, ''), []), getMemberCompletion);
+            }
+
+            return lodash.map(sdk.snippets.concat([['handler', sdk.stub.replace(NAME_PLACEHOLDER, '${1:handler}')]]),
+                              function (snippet) {
+                                  return {
+                                      label: snippet[0],
+                                      kind: 'snippet',
+                                      detail: $i18next.t('functions:NUCLIO_SDK.' + lodash.toUpper(snippet[0]),
+                                                         { lng: lng }),
+                                      insertText: snippet[1]
+                                  };
+                              });
+        }
+
+        /**
+         * Checks that the handler of the function is defined in its source code.
+         * @param {string} language - The language of the source code (e.g. `'python'`).
+         * @param {string} source - The source code (of the file containing the handler).
+         * @param {string} handler - The handler (e.g. `'main:handler'`).
+         * @returns {?Object} `null` in case the handler is defined, or could not be checked (e.g. shell scripts).
+         *     Otherwise, the issue:
+         *     - `message`: the description of the issue (not HTML-escaped).
+         *     - `range`: the range to mark in the source code: the definition with the closest name, or the first
+         *       line.
+         *     - `handlers`: valid handlers, to replace the configured one (up to 3, closest first).
+         *     - `fixes`: quick-fixes of the source code (`{title, edit}`, @see {@link applyEdit}): renaming the
+         *       definition with the closest name, and adding a handler.
+         */
+        function getHandlerIssue(language, source, handler) {
+            var sdk = lodash.get(SDK, language);
+
+            if (angular.isUndefined(sdk) || lodash.isEmpty(handler)) {
+                return null;
+            }
+
+            var moduleName = lodash.includes(handler, ':') ? handler.split(':')[0] || 'main' : 'main';
+            var name = getHandlerName(sdk, handler);
+            var definitions = getDefinitions(sdk, source);
+
+            if (name !== '' && lodash.some(definitions, ['name', name])) {
+                return null;
+            }
+
+            var candidates = lodash.sortBy(definitions, function (definition) {
+                return getDistance(name, definition.name);
+            });
+            var closest = lodash.find(candidates.slice(0, 1), function (definition) {
+                return name !== '' && getDistance(name, definition.name) <= Math.max(2, Math.floor(name.length / 3));
+            });
+
+            return {
+                message: $i18next.t('functions:NUCLIO_SDK.' + (name === '' ? 'INVALID_HANDLER' : 'HANDLER_NOT_FOUND'), {
+                    lng: lng,
+                    handler: handler,
+                    name: name,
+                    interpolation: { escapeValue: false }
+                }),
+                range: angular.isDefined(closest) ? closest.range : getLineRange(source, 1),
+                handlers: lodash.map(candidates.slice(0, 3), function (definition) {
+                    return sdk.handlerFormat === 'class' ? definition.name : moduleName + ':' + definition.name;
+                }),
+                fixes: name === '' ? [] : getFixes(sdk, source, name, closest)
+            };
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Finds the definitions of functions (or classes) that could be handlers.
+         * @param {Object} sdk - The SDK of the language.
+         * @param {string} source - The source code.
+         * @returns {Array.<{name: string, range: Object}>} the definitions, with the range of the name.
+         */
+        function getDefinitions(sdk, source) {
+            var definitions = [];
+
+            source.replace(new RegExp(sdk.definition.source, sdk.definition.flags), function (match, name, offset) {
+                var position = getPosition(source, offset + match.lastIndexOf(name));
+
+                definitions.push({
+                    name: name,
+                    range: {
+                        startLineNumber: position.lineNumber,
+                        startColumn: position.column,
+                        endLineNumber: position.lineNumber,
+                        endColumn: position.column + name.length
+                    }
+                });
+
+                return match;
+            });
+
+            return lodash.uniqBy(definitions, 'name');
+        }
+
+        /**
+         * Calculates the edit distance (the number of inserted, deleted or replaced characters) between two names.
+         * @param {string} name - A name.
+         * @param {string} otherName - Another name.
+         * @returns {number} the distance.
+         */
+        function getDistance(name, otherName) {
+            var previousRow = lodash.range(otherName.length + 1);
+
+            lodash.forEach(name, function (character, index) {
+                var row = [index + 1];
+
+                lodash.forEach(otherName, function (otherCharacter, otherIndex) {
+                    row.push(Math.min(previousRow[otherIndex + 1] + 1, row[otherIndex] + 1,
+                                      previousRow[otherIndex] + (character === otherCharacter ? 0 : 1)));
+                });
+
+                previousRow = row;
+            });
+
+            return lodash.last(previousRow);
+        }
+
+        /**
+         * Returns the quick-fixes of a missing handler.
+         * @param {Object} sdk - The SDK of the language.
+         * @param {string} source - The source code.
+         * @param {string} name - The name of the handler.
+         * @param {Object} [closest] - The definition with the closest name, to rename.
+         * @returns {Array.<{title: string, edit: Object}>} the quick-fixes.
+         */
+        function getFixes(sdk, source, name, closest) {
+            var fixes = [{
+                title: $i18next.t('functions:NUCLIO_SDK.ADD_HANDLER', {
+                    lng: lng,
+                    name: name,
+                    interpolation: { escapeValue: false }
+                }),
+                edit: getStubEdit(sdk, source, name)
+            }];
+
+            return angular.isUndefined(closest) ? fixes : [{
+                title: $i18next.t('functions:NUCLIO_SDK.RENAME_DEFINITION', {
+                    lng: lng,
+                    name: closest.name,
+                    newName: name,
+                    interpolation: { escapeValue: false }
+                }),
+                edit: {
+                    range: closest.range,
+                    text: name
+                }
+            }].concat(fixes);
+        }
+
+        /**
+         * Returns the name of the function (or class) of a handler.
+         * @param {Object} sdk - The SDK of the language.
+         * @param {string} handler - The handler (e.g. `'main:handler'`).
+         * @returns {string} the name, or an empty string in case the handler is not of the form of the language.
+         */
+        function getHandlerName(sdk, handler) {
+            return sdk.handlerFormat === 'class' ? lodash.last(handler.split(/[:.]/)) :
+                lodash.includes(handler, ':') ? handler.split(':')[1] : '';
+        }
+
+        /**
+         * Returns the range of a line.
+         * @param {string} source - The source code.
+         * @param {number} lineNumber - The number of the line (1-based).
+         * @returns {Object} the range.
+         */
+        function getLineRange(source, lineNumber) {
+            return {
+                startLineNumber: lineNumber,
+                startColumn: 1,
+                endLineNumber: lineNumber,
+                endColumn: source.split('\n')[lineNumber - 1].length + 1
+            };
+        }
+
+        /**
+         * Converts a member of an SDK object to a completion.
+         * @param {string} member - The member, as a snippet.
+         * @returns {Object} the completion.
+         */
+        function getMemberCompletion(member) {
+            return {
+                label: member.split('(')[0],
+                kind: lodash.includes(member, '(') ? 'method' : 'property',
+                detail: member.replace(/\$\{\d+:([^}]*)}/g, '$1'),
+                insertText: member
+            };
+        }
+
+        /**
+         * Converts a position in source code to an offset.
+         * @param {string} source - The source code.
+         * @param {number} lineNumber - The line number (1-based).
+         * @param {number} column - The column (1-based).
+         * @returns {number} the offset.
+         */
+        function getOffset(source, lineNumber, column) {
+            return lodash.sumBy(source.split('\n').slice(0, lineNumber - 1), function (line) {
+                return line.length + 1;
+            }) + column - 1;
+        }
+
+        /**
+         * Converts an offset in source code to a position.
+         * @param {string} source - The source code.
+         * @param {number} offset - The offset.
+         * @returns {{lineNumber: number, column: number}} the position (1-based).
+         */
+        function getPosition(source, offset) {
+            var lines = source.slice(0, offset).split('\n');
+
+            return {
+                lineNumber: lines.length,
+                column: lodash.last(lines).length + 1
+            };
+        }
+
+        /**
+         * Returns the edit adding a handler to source code: at its end, or before its last closing brace in case
+         * handlers are methods.
+         * @param {Object} sdk - The SDK of the language.
+         * @param {string} source - The source code.
+         * @param {string} name - The name of the handler.
+         * @returns {{range: Object, text: string}} the edit.
+         */
+        function getStubEdit(sdk, source, name) {
+            var lastBraceOffset = sdk.stubBeforeLastBrace ? source.lastIndexOf('}') : -1;
+            var position = getPosition(source, lastBraceOffset === -1 ? source.length : lastBraceOffset);
+            var separator = lodash.trim(source) === '' ? '' : lastBraceOffset === -1 ? '\n\n' : '\n';
+
+            return {
+                range: {
+                    startLineNumber: position.lineNumber,
+                    startColumn: position.column,
+                    endLineNumber: position.lineNumber,
+                    endColumn: position.column
+                },
+                text: separator + sdk.stub.replace(NAME_PLACEHOLDER, name)
+            };
+        }
+    }
+}());
@@ -0,0 +1,113 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('NuclioSdkService: ', function () {
+    var NuclioSdkService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_NuclioSdkService_, _lodash_) {
+            NuclioSdkService = _NuclioSdkService_;
+            lodash = _lodash_;
+        });
+    });
+
+    afterEach(function () {
+        NuclioSdkService = null;
+        lodash = null;
+    });
+
+    describe('getCompletions(): ', function () {
+        it('should complete the members of the SDK objects of the language', function () {
+            var completions = NuclioSdkService.getCompletions('python', '    context.logger.in');
+
+            expect(lodash.map(completions, 'label')).toContain('info_with');
+            expect(lodash.find(completions, ['label', 'info'])).toEqual({
+                label: 'info',
+                kind: 'method',
+                detail: 'info(message)',
+                insertText: 'info(${1:message})'
+            });
+            expect(lodash.find(NuclioSdkService.getCompletions('go', 'context.'), ['label', 'UserData']).kind)
+                .toEqual('property');
+            expect(lodash.map(NuclioSdkService.getCompletions('java', 'context.getLogger().'), 'label'))
+                .toContain('infoWith');
+        });
+
+        it('should complete snippets at the start of a word', function () {
+            var labels = lodash.map(NuclioSdkService.getCompletions('javascript', '    ret'), 'label');
+
+            expect(labels).toEqual(['logwith', 'response', 'handler']);
+        });
+
+        it('should return no completions for unknown objects and languages', function () {
+            expect(NuclioSdkService.getCompletions('python', 'os.path.')).toEqual([]);
+            expect(NuclioSdkService.getCompletions('yaml', 'context.')).toEqual([]);
+        });
+    });
+
+    describe('getHandlerIssue(): ', function () {
+        var source = 'import os\n\ndef handlr(context, event):\n    return ""\n';
+
+        it('should return `null` in case the handler is defined or could not be checked', function () {
+            expect(NuclioSdkService.getHandlerIssue('python', source, 'main:handlr')).toBeNull();
+            expect(NuclioSdkService.getHandlerIssue('go', 'func Handler(context *nuclio.Context) {}', 'main:Handler'))
+                .toBeNull();
+            expect(NuclioSdkService.getHandlerIssue('java', 'public class Handler implements EventHandler {}',
+                                                    'Handler')).toBeNull();
+            expect(NuclioSdkService.getHandlerIssue('shellscript', '', 'main.sh')).toBeNull();
+        });
+
+        it('should suggest renaming the definition with the closest name', function () {
+            var issue = NuclioSdkService.getHandlerIssue('python', source, 'main:handler');
+
+            expect(issue.range).toEqual({ startLineNumber: 3, startColumn: 5, endLineNumber: 3, endColumn: 11 });
+            expect(issue.handlers).toEqual(['main:handlr']);
+            expect(issue.fixes.length).toEqual(2);
+            expect(NuclioSdkService.applyEdit(source, issue.fixes[0].edit))
+                .toEqual('import os\n\ndef handler(context, event):\n    return ""\n');
+            expect(NuclioSdkService.applyEdit(source, issue.fixes[1].edit))
+                .toEqual(source + '\n\ndef handler(context, event):\n    return \'\'\n');
+        });
+
+        it('should only suggest adding a handler in case no definition has a close name', function () {
+            var issue = NuclioSdkService.getHandlerIssue('javascript', 'exports.main = function () {};\n',
+                                                         'index:processOrder');
+
+            expect(issue.range.startLineNumber).toEqual(1);
+            expect(issue.handlers).toEqual(['index:main']);
+            expect(issue.fixes.length).toEqual(1);
+        });
+
+        it('should add handlers that are methods before the last closing brace', function () {
+            var csharp = 'public class main\n{\n    public object handle(Context context, Event eventBase)\n' +
+                '    {\n        return "";\n    }\n}\n';
+            var issue = NuclioSdkService.getHandlerIssue('csharp', csharp, 'main:handler');
+            var edited = NuclioSdkService.applyEdit(csharp, lodash.last(issue.fixes).edit);
+
+            expect(edited).toMatch(/}\n\npublic object handler\(Context context, Event eventBase\)[^]*\n}\n$/);
+        });
+
+        it('should report handlers of an invalid form', function () {
+            var issue = NuclioSdkService.getHandlerIssue('python', source, 'handlr');
+
+            expect(issue.handlers).toEqual(['main:handlr']);
+            expect(issue.fixes).toEqual([]);
+        });
+    });
+});
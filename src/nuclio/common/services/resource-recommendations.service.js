@@ -0,0 +1,229 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('ResourceRecommendationsService', ResourceRecommendationsService);
+
+    function ResourceRecommendationsService(lodash) {
+        var BYTES_IN_MEBIBYTE = 1024 * 1024;
+        var DEFAULT_OPTIONS = {
+            requestPercentile: 50,
+            limitPercentile: 99,
+            headroom: 20
+        };
+        var NANOCORES_IN_MILLICORE = 1000000;
+        var MEMORY_UNITS = {
+            k: Math.pow(1000, 1),
+            M: Math.pow(1000, 2),
+            G: Math.pow(1000, 3),
+            T: Math.pow(1000, 4),
+            P: Math.pow(1000, 5),
+            E: Math.pow(1000, 6),
+            Ki: Math.pow(1024, 1),
+            Mi: Math.pow(1024, 2),
+            Gi: Math.pow(1024, 3),
+            Ti: Math.pow(1024, 4),
+            Pi: Math.pow(1024, 5),
+            Ei: Math.pow(1024, 6)
+        };
+
+        return {
+            DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+            applyRecommendations: applyRecommendations,
+            formatCpu: formatCpu,
+            formatMemory: formatMemory,
+            getGaps: getGaps,
+            getPercentile: getPercentile,
+            getRecommendations: getRecommendations,
+            getUsageSamples: getUsageSamples,
+            parseCpu: parseCpu,
+            parseMemory: parseMemory
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Sets the recommended requests and limits to a function's spec
+         * @param {Object} spec - the function's spec
+         * @param {Object} recommendations - the recommendations (see `getRecommendations`)
+         */
+        function applyRecommendations(spec, recommendations) {
+            lodash.forEach(['requests', 'limits'], function (kind) {
+                if (!lodash.isNil(recommendations.cpu)) {
+                    lodash.set(spec, ['resources', kind, 'cpu'], formatCpu(recommendations.cpu[kind]));
+                }
+
+                if (!lodash.isNil(recommendations.memory)) {
+                    lodash.set(spec, ['resources', kind, 'memory'], formatMemory(recommendations.memory[kind]));
+                }
+            });
+        }
+
+        /**
+         * Formats a number of millicores as a Kubernetes quantity
+         * @param {number} millicores - the number of millicores
+         * @returns {string} the quantity, e.g. `250m`
+         */
+        function formatCpu(millicores) {
+            return millicores + 'm';
+        }
+
+        /**
+         * Formats a number of bytes as a Kubernetes quantity of whole mebibytes
+         * @param {number} bytes - the number of bytes
+         * @returns {string} the quantity, e.g. `256Mi`
+         */
+        function formatMemory(bytes) {
+            return Math.ceil(bytes / BYTES_IN_MEBIBYTE) + 'Mi';
+        }
+
+        /**
+         * Compares recommendations to the current requests and limits
+         * @param {Object} recommendations - the recommendations (see `getRecommendations`)
+         * @param {Object} [resources] - the `resources` field of the function's spec
+         * @returns {Array.<{resource: string, kind: string, current: ?number, recommended: number,
+         *     difference: ?number}>} a row for every recommended value, where `current` and `recommended` are in
+         *     millicores for CPU and in bytes for memory, and `difference` is the change in percents (`null` if
+         *     there is no current value)
+         */
+        function getGaps(recommendations, resources) {
+            var parsers = {
+                cpu: parseCpu,
+                memory: parseMemory
+            };
+
+            return lodash.flatMap(['cpu', 'memory'], function (resource) {
+                if (lodash.isNil(recommendations[resource])) {
+                    return [];
+                }
+
+                return lodash.map(['requests', 'limits'], function (kind) {
+                    var current = parsers[resource](lodash.get(resources, [kind, resource]));
+                    var recommended = recommendations[resource][kind];
+
+                    return {
+                        resource: resource,
+                        kind: kind,
+                        current: current,
+                        recommended: recommended,
+                        difference: current > 0 ? Math.round((recommended - current) / current * 100) : null
+                    };
+                });
+            });
+        }
+
+        /**
+         * Gets a percentile of values, interpolating linearly between the closest ranks
+         * @param {Array.<number>} values - the values
+         * @param {number} percentile - the percentile (0-100)
+         * @returns {?number} the percentile, or `null` if there are no values
+         */
+        function getPercentile(values, percentile) {
+            if (lodash.isEmpty(values)) {
+                return null;
+            }
+
+            var sorted = lodash.sortBy(values);
+            var rank = percentile / 100 * (sorted.length - 1);
+            var lower = Math.floor(rank);
+            var upper = Math.ceil(rank);
+
+            return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+        }
+
+        /**
+         * Recommends requests and limits of a single replica from its observed usage: the request is a lower
+         * percentile of the usage, the limit is a higher percentile, and both are increased by a headroom
+         * @param {{cpu: Array.<number>, memory: Array.<number>}} usage - the usage samples of the replicas, CPU in
+         *     nanocores and memory in bytes
+         * @param {Object} [options] - `requestPercentile`, `limitPercentile` and `headroom` (in percents), defaults
+         *     to `DEFAULT_OPTIONS`
+         * @returns {{cpu: ?{requests: number, limits: number}, memory: ?{requests: number, limits: number}}} CPU in
+         *     millicores and memory in bytes (whole mebibytes), or `null` for a resource with no usage samples
+         */
+        function getRecommendations(usage, options) {
+            options = lodash.defaults({}, options, DEFAULT_OPTIONS);
+
+            var percents = 100 + options.headroom;
+
+            return {
+                cpu: recommend(usage.cpu, function (nanocores) {
+                    return Math.max(Math.ceil(nanocores * percents / 100 / NANOCORES_IN_MILLICORE), 1);
+                }),
+                memory: recommend(usage.memory, function (bytes) {
+                    return Math.max(Math.ceil(bytes * percents / 100 / BYTES_IN_MEBIBYTE), 1) * BYTES_IN_MEBIBYTE;
+                })
+            };
+
+            /**
+             * Recommends the request and limit of a single resource
+             * @param {Array.<number>} samples - the usage samples
+             * @param {function} round - converts and rounds up a usage value with headroom
+             * @returns {?{requests: number, limits: number}}
+             */
+            function recommend(samples, round) {
+                return lodash.isEmpty(samples) ? null : {
+                    requests: round(getPercentile(samples, options.requestPercentile)),
+                    limits: round(getPercentile(samples, Math.max(options.limitPercentile,
+                                                                  options.requestPercentile)))
+                };
+            }
+        }
+
+        /**
+         * Gets all the values of a Prometheus range query result, one sample per replica per timestamp
+         * @param {Object} data - the query result, with a `result` list of series
+         * @returns {Array.<number>} the values
+         */
+        function getUsageSamples(data) {
+            return lodash.chain(data)
+                .get('result', [])
+                .flatMap('values')
+                .map(function (value) {
+                    return Number(value[1]);
+                })
+                .filter(lodash.isFinite)
+                .value();
+        }
+
+        /**
+         * Parses a CPU quantity
+         * @param {string|number} [quantity] - the quantity, e.g. `250m` or `0.5`
+         * @returns {?number} the number of millicores, or `null` if the quantity could not be parsed
+         */
+        function parseCpu(quantity) {
+            var match = /^(\d*\.?\d+)(m?)$/.exec(lodash.trim(quantity));
+
+            return match === null ? null : Number(match[1]) * (match[2] === 'm' ? 1 : 1000);
+        }
+
+        /**
+         * Parses a memory quantity
+         * @param {string|number} [quantity] - the quantity, e.g. `128Mi` or `1G`
+         * @returns {?number} the number of bytes, or `null` if the quantity could not be parsed
+         */
+        function parseMemory(quantity) {
+            var match = /^(\d*\.?\d+)(k|Ki|[MGTPE]i?)?$/.exec(lodash.trim(quantity));
+
+            return match === null ? null : Number(match[1]) * lodash.get(MEMORY_UNITS, match[2], 1);
+        }
+    }
+}());
@@ -0,0 +1,177 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('ResourceRecommendationsService: ', function () {
+    var ResourceRecommendationsService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_ResourceRecommendationsService_) {
+            ResourceRecommendationsService = _ResourceRecommendationsService_;
+        });
+    });
+
+    afterEach(function () {
+        ResourceRecommendationsService = null;
+    });
+
+    describe('getPercentile(): ', function () {
+        it('should interpolate between the closest ranks', function () {
+            var values = [40, 10, 30, 20, 50];
+
+            expect(ResourceRecommendationsService.getPercentile(values, 0)).toEqual(10);
+            expect(ResourceRecommendationsService.getPercentile(values, 50)).toEqual(30);
+            expect(ResourceRecommendationsService.getPercentile(values, 90)).toEqual(46);
+            expect(ResourceRecommendationsService.getPercentile(values, 100)).toEqual(50);
+            expect(ResourceRecommendationsService.getPercentile([], 50)).toBeNull();
+        });
+    });
+
+    describe('getRecommendations(): ', function () {
+        it('should add headroom to the percentiles and round up', function () {
+            var usage = {
+                cpu: [100000000, 200000000, 300000000], // nanocores
+                memory: [100 * 1024 * 1024, 200 * 1024 * 1024, 300 * 1024 * 1024]
+            };
+
+            expect(ResourceRecommendationsService.getRecommendations(usage, {
+                requestPercentile: 50,
+                limitPercentile: 100,
+                headroom: 10
+            })).toEqual({
+                cpu: {
+                    requests: 220,
+                    limits: 330
+                },
+                memory: {
+                    requests: 220 * 1024 * 1024,
+                    limits: 330 * 1024 * 1024
+                }
+            });
+        });
+
+        it('should not recommend a resource with no usage samples', function () {
+            var recommendations = ResourceRecommendationsService.getRecommendations({
+                cpu: [],
+                memory: [1024]
+            });
+
+            expect(recommendations.cpu).toBeNull();
+            expect(recommendations.memory).toEqual({
+                requests: 1024 * 1024,
+                limits: 1024 * 1024
+            });
+        });
+    });
+
+    describe('getGaps(): ', function () {
+        it('should compare recommendations to the current quantities', function () {
+            var recommendations = {
+                cpu: {
+                    requests: 300,
+                    limits: 600
+                },
+                memory: null
+            };
+            var resources = {
+                requests: {
+                    cpu: '0.2'
+                }
+            };
+
+            expect(ResourceRecommendationsService.getGaps(recommendations, resources)).toEqual([
+                {
+                    resource: 'cpu',
+                    kind: 'requests',
+                    current: 200,
+                    recommended: 300,
+                    difference: 50
+                },
+                {
+                    resource: 'cpu',
+                    kind: 'limits',
+                    current: null,
+                    recommended: 600,
+                    difference: null
+                }
+            ]);
+        });
+    });
+
+    describe('applyRecommendations(): ', function () {
+        it('should set the recommended quantities to the spec', function () {
+            var spec = {
+                resources: {
+                    requests: {
+                        cpu: '1',
+                        memory: '1G'
+                    }
+                }
+            };
+
+            ResourceRecommendationsService.applyRecommendations(spec, {
+                cpu: {
+                    requests: 250,
+                    limits: 500
+                },
+                memory: null
+            });
+
+            expect(spec.resources).toEqual({
+                requests: {
+                    cpu: '250m',
+                    memory: '1G'
+                },
+                limits: {
+                    cpu: '500m'
+                }
+            });
+        });
+    });
+
+    describe('parseCpu() and parseMemory(): ', function () {
+        it('should parse Kubernetes quantities', function () {
+            expect(ResourceRecommendationsService.parseCpu('250m')).toEqual(250);
+            expect(ResourceRecommendationsService.parseCpu('1.5')).toEqual(1500);
+            expect(ResourceRecommendationsService.parseCpu(2)).toEqual(2000);
+            expect(ResourceRecommendationsService.parseCpu()).toBeNull();
+            expect(ResourceRecommendationsService.parseMemory('128Mi')).toEqual(128 * 1024 * 1024);
+            expect(ResourceRecommendationsService.parseMemory('1G')).toEqual(1000000000);
+            expect(ResourceRecommendationsService.parseMemory('512')).toEqual(512);
+            expect(ResourceRecommendationsService.parseMemory('1X')).toBeNull();
+        });
+    });
+
+    describe('getUsageSamples(): ', function () {
+        it('should get the values of all the series', function () {
+            var data = {
+                result: [
+                    {
+                        metric: { pod: 'a' },
+                        values: [[1, '10'], [2, '20']]
+                    },
+                    {
+                        metric: { pod: 'b' },
+                        values: [[1, '30'], [2, 'NaN']]
+                    }
+                ]
+            };
+
+            expect(ResourceRecommendationsService.getUsageSamples(data)).toEqual([10, 20, 30]);
+        });
+    });
+});
@@ -0,0 +1,461 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('SchedulingService', SchedulingService);
+
+    function SchedulingService($i18next, i18next, lodash, ValidationService, YamlService) {
+        var lng = i18next.language;
+        var AFFINITY_TYPES = ['nodeAffinity', 'podAffinity', 'podAntiAffinity'];
+        var NODE_OPERATORS = ['In', 'NotIn', 'Exists', 'DoesNotExist', 'Gt', 'Lt'];
+        var POD_OPERATORS = ['In', 'NotIn', 'Exists', 'DoesNotExist'];
+        var REQUIRED_KEY = 'requiredDuringSchedulingIgnoredDuringExecution';
+        var PREFERRED_KEY = 'preferredDuringSchedulingIgnoredDuringExecution';
+        var TOLERATION_EFFECTS = ['', 'NoSchedule', 'PreferNoSchedule', 'NoExecute'];
+        var TOLERATION_OPERATORS = ['Equal', 'Exists'];
+
+        return {
+            AFFINITY_TYPES: AFFINITY_TYPES,
+            TOLERATION_EFFECTS: TOLERATION_EFFECTS,
+            TOLERATION_OPERATORS: TOLERATION_OPERATORS,
+            createAffinityRule: createAffinityRule,
+            getAffinity: getAffinity,
+            getAffinityRules: getAffinityRules,
+            getOperators: getOperators,
+            getTolerations: getTolerations,
+            getYamlSnippet: getYamlSnippet,
+            isValueless: isValueless,
+            validateAffinityRule: validateAffinityRule,
+            validateToleration: validateToleration
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Creates a new affinity rule with a single empty expression
+         * @param {string} [type='nodeAffinity'] - one of `AFFINITY_TYPES`
+         * @returns {Object} the new rule
+         */
+        function createAffinityRule(type) {
+            return {
+                type: lodash.defaultTo(type, 'nodeAffinity'),
+                mode: 'required',
+                weight: 1,
+                topologyKey: '',
+                expressions: [createExpression()]
+            };
+        }
+
+        /**
+         * Converts a list of affinity rules (see `getAffinityRules`) to the `affinity` field of a function's spec
+         * @param {Array.<Object>} rules - the affinity rules
+         * @returns {Object} the affinity, or an empty object in case there are no rules
+         */
+        function getAffinity(rules) {
+            var affinity = {};
+
+            lodash.forEach(rules, function (rule) {
+                var isNode = rule.type === 'nodeAffinity';
+                var term = isNode ? getNodeSelectorTerm(rule) : getPodAffinityTerm(rule);
+
+                if (rule.mode === 'preferred') {
+                    var preferredTerm = isNode ? { weight: rule.weight, preference: term } :
+                                                 { weight: rule.weight, podAffinityTerm: term };
+
+                    pushToPath(affinity, [rule.type, PREFERRED_KEY], preferredTerm);
+                } else if (isNode) {
+                    pushToPath(affinity, [rule.type, REQUIRED_KEY, 'nodeSelectorTerms'], term);
+                } else {
+                    pushToPath(affinity, [rule.type, REQUIRED_KEY], term);
+                }
+            });
+
+            return affinity;
+        }
+
+        /**
+         * Converts the `affinity` field of a function's spec to a flat list of rules, which is easier to edit.
+         * Each rule is a single node selector term or pod affinity term, required or preferred, of one of the
+         * affinity types. `matchLabels` of label selectors are converted to `In` expressions.
+         * @param {Object} [affinity] - the affinity
+         * @returns {Array.<{type: string, mode: string, weight: number, topologyKey: string,
+         *     expressions: Array.<{key: string, operator: string, values: string}>}>} the rules
+         */
+        function getAffinityRules(affinity) {
+            var nodeAffinity = lodash.get(affinity, 'nodeAffinity', {});
+            var nodeRules = lodash.concat(
+                lodash.map(lodash.get(nodeAffinity, [REQUIRED_KEY, 'nodeSelectorTerms'], []), function (term) {
+                    return createRuleFromNodeTerm(term, 'required', 1);
+                }),
+                lodash.map(lodash.get(nodeAffinity, PREFERRED_KEY, []), function (preferredTerm) {
+                    return createRuleFromNodeTerm(preferredTerm.preference, 'preferred', preferredTerm.weight);
+                })
+            );
+            var podRules = lodash.flatMap(['podAffinity', 'podAntiAffinity'], function (type) {
+                return lodash.concat(
+                    lodash.map(lodash.get(affinity, [type, REQUIRED_KEY], []), function (term) {
+                        return createRuleFromPodTerm(term, type, 'required', 1);
+                    }),
+                    lodash.map(lodash.get(affinity, [type, PREFERRED_KEY], []), function (preferredTerm) {
+                        return createRuleFromPodTerm(preferredTerm.podAffinityTerm, type, 'preferred',
+                                                     preferredTerm.weight);
+                    })
+                );
+            });
+
+            return lodash.concat(nodeRules, podRules);
+        }
+
+        /**
+         * Gets the operators available for match expressions of the given affinity type
+         * @param {string} type - one of `AFFINITY_TYPES`
+         * @returns {Array.<string>}
+         */
+        function getOperators(type) {
+            return type === 'nodeAffinity' ? NODE_OPERATORS : POD_OPERATORS;
+        }
+
+        /**
+         * Converts the edited tolerations to the `tolerations` field of a function's spec, by omitting empty fields
+         * @param {Array.<Object>} tolerations - the edited tolerations
+         * @returns {Array.<Object>} the tolerations
+         */
+        function getTolerations(tolerations) {
+            return lodash.map(tolerations, function (toleration) {
+                return lodash.omitBy({
+                    key: toleration.key,
+                    operator: toleration.operator,
+                    value: toleration.operator === 'Exists' ? '' : toleration.value,
+                    effect: toleration.effect,
+                    tolerationSeconds: toleration.effect === 'NoExecute' ? toleration.tolerationSeconds : null
+                }, function (value) {
+                    return lodash.isNil(value) || value === '';
+                });
+            });
+        }
+
+        /**
+         * Gets the YAML snippet of a field of a function's spec, to preview the result of editing it
+         * @param {string} field - the name of the field (e.g. `affinity`)
+         * @param {*} value - the value of the field
+         * @returns {string} the YAML snippet, or an empty string in case the value is empty
+         */
+        function getYamlSnippet(field, value) {
+            return lodash.isEmpty(value) ? '' : YamlService.prepareYamlObject(lodash.set({}, field, value));
+        }
+
+        /**
+         * Checks whether the given match expression operator has no values
+         * @param {string} operator - the operator
+         * @returns {boolean} `true` for `Exists` and `DoesNotExist` operators, or `false` otherwise
+         */
+        function isValueless(operator) {
+            return lodash.includes(['Exists', 'DoesNotExist'], operator);
+        }
+
+        /**
+         * Validates an affinity rule
+         * @param {Object} rule - the affinity rule (see `getAffinityRules`)
+         * @returns {Array.<string>} the error messages (an empty list if the rule is valid)
+         */
+        function validateAffinityRule(rule) {
+            var errors = [];
+
+            if (rule.mode === 'preferred' && !isIntegerInRange(rule.weight, 1, 100)) {
+                errors.push(getErrorMessage('WEIGHT'));
+            }
+
+            if (rule.type !== 'nodeAffinity') {
+                validateField(errors, 'TOPOLOGY_KEY', 'k8s.prefixedQualifiedName', rule.topologyKey, true);
+            }
+
+            if (lodash.isEmpty(rule.expressions)) {
+                errors.push(getErrorMessage('NO_EXPRESSIONS'));
+            }
+
+            lodash.forEach(rule.expressions, function (expression, index) {
+                var prefix = $i18next.t('functions:SCHEDULING.EXPRESSION_NUMBER', { lng: lng, number: index + 1 });
+                var values = splitValues(expression.values);
+
+                validateField(errors, 'KEY', 'k8s.prefixedQualifiedName', expression.key, true, prefix);
+
+                if (!lodash.includes(getOperators(rule.type), expression.operator)) {
+                    errors.push(prefix + getErrorMessage('OPERATOR'));
+                } else if (isValueless(expression.operator)) {
+                    if (!lodash.isEmpty(values)) {
+                        errors.push(prefix + getErrorMessage('NO_VALUES_ALLOWED', { operator: expression.operator }));
+                    }
+                } else if (lodash.includes(['Gt', 'Lt'], expression.operator)) {
+                    if (values.length !== 1 || !/^-?\d+$/.test(values[0])) {
+                        errors.push(prefix + getErrorMessage('SINGLE_INTEGER', { operator: expression.operator }));
+                    }
+                } else if (lodash.isEmpty(values)) {
+                    errors.push(prefix + getErrorMessage('VALUES_REQUIRED', { operator: expression.operator }));
+                } else {
+                    lodash.forEach(values, function (value) {
+                        validateField(errors, 'VALUE', 'k8s.qualifiedName', value, true, prefix);
+                    });
+                }
+            });
+
+            return lodash.uniq(errors);
+        }
+
+        /**
+         * Validates a toleration
+         * @param {Object} toleration - the toleration
+         * @returns {Array.<string>} the error messages (an empty list if the toleration is valid)
+         */
+        function validateToleration(toleration) {
+            var errors = [];
+
+            validateField(errors, 'KEY', 'k8s.prefixedQualifiedName', toleration.key, toleration.operator !== 'Exists');
+
+            if (!lodash.includes(TOLERATION_OPERATORS, toleration.operator)) {
+                errors.push(getErrorMessage('OPERATOR'));
+            } else if (toleration.operator === 'Exists' && !lodash.isEmpty(toleration.value)) {
+                errors.push(getErrorMessage('NO_VALUES_ALLOWED', { operator: toleration.operator }));
+            } else if (toleration.operator === 'Equal') {
+                validateField(errors, 'VALUE', 'k8s.qualifiedName', toleration.value, false);
+            }
+
+            if (!lodash.includes(TOLERATION_EFFECTS, lodash.defaultTo(toleration.effect, ''))) {
+                errors.push(getErrorMessage('EFFECT'));
+            }
+
+            if (!lodash.isNil(toleration.tolerationSeconds) && toleration.tolerationSeconds !== '') {
+                if (toleration.effect !== 'NoExecute') {
+                    errors.push(getErrorMessage('TOLERATION_SECONDS_EFFECT'));
+                } else if (!isIntegerInRange(toleration.tolerationSeconds, 0, Infinity)) {
+                    errors.push(getErrorMessage('TOLERATION_SECONDS'));
+                }
+            }
+
+            return errors;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates a new empty match expression
+         * @returns {{key: string, operator: string, values: string}}
+         */
+        function createExpression() {
+            return {
+                key: '',
+                operator: 'In',
+                values: ''
+            };
+        }
+
+        /**
+         * Creates an affinity rule out of a node selector term
+         * @param {Object} term - the node selector term
+         * @param {string} mode - `'required'` or `'preferred'`
+         * @param {number} weight - the weight of a preferred term
+         * @returns {Object} the rule
+         */
+        function createRuleFromNodeTerm(term, mode, weight) {
+            return lodash.assign(createAffinityRule('nodeAffinity'), {
+                mode: mode,
+                weight: weight,
+                expressions: getExpressions(lodash.get(term, 'matchExpressions')),
+                matchFields: lodash.get(term, 'matchFields')
+            });
+        }
+
+        /**
+         * Creates an affinity rule out of a pod affinity term
+         * @param {Object} term - the pod affinity term
+         * @param {string} type - `'podAffinity'` or `'podAntiAffinity'`
+         * @param {string} mode - `'required'` or `'preferred'`
+         * @param {number} weight - the weight of a preferred term
+         * @returns {Object} the rule
+         */
+        function createRuleFromPodTerm(term, type, mode, weight) {
+            var matchLabelsExpressions = lodash.map(lodash.get(term, 'labelSelector.matchLabels'), function (value, key) {
+                return {
+                    key: key,
+                    operator: 'In',
+                    values: value
+                };
+            });
+
+            return lodash.assign(createAffinityRule(type), {
+                mode: mode,
+                weight: weight,
+                topologyKey: lodash.get(term, 'topologyKey', ''),
+                expressions: lodash.concat(getExpressions(lodash.get(term, 'labelSelector.matchExpressions')),
+                                           matchLabelsExpressions),
+                namespaces: lodash.get(term, 'namespaces')
+            });
+        }
+
+        /**
+         * Gets a localized error message
+         * @param {string} key - the key of the message under `functions:SCHEDULING.ERROR`
+         * @param {Object} [options] - the interpolation options
+         * @returns {string}
+         */
+        function getErrorMessage(key, options) {
+            return $i18next.t('functions:SCHEDULING.ERROR.' + key, lodash.assign({ lng: lng }, options));
+        }
+
+        /**
+         * Converts match expressions of a function's spec to editable expressions
+         * @param {Array.<Object>} [matchExpressions] - the match expressions
+         * @returns {Array.<Object>} the editable expressions
+         */
+        function getExpressions(matchExpressions) {
+            return lodash.map(matchExpressions, function (expression) {
+                return {
+                    key: expression.key,
+                    operator: expression.operator,
+                    values: lodash.join(expression.values, ', ')
+                };
+            });
+        }
+
+        /**
+         * Converts editable expressions to match expressions of a function's spec
+         * @param {Array.<Object>} expressions - the editable expressions
+         * @returns {Array.<Object>} the match expressions
+         */
+        function getMatchExpressions(expressions) {
+            return lodash.map(expressions, function (expression) {
+                var matchExpression = {
+                    key: expression.key,
+                    operator: expression.operator
+                };
+
+                if (!isValueless(expression.operator)) {
+                    matchExpression.values = splitValues(expression.values);
+                }
+
+                return matchExpression;
+            });
+        }
+
+        /**
+         * Converts a node affinity rule to a node selector term
+         * @param {Object} rule - the rule
+         * @returns {Object} the node selector term
+         */
+        function getNodeSelectorTerm(rule) {
+            var term = {
+                matchExpressions: getMatchExpressions(rule.expressions)
+            };
+
+            if (!lodash.isEmpty(rule.matchFields)) {
+                term.matchFields = rule.matchFields;
+            }
+
+            return term;
+        }
+
+        /**
+         * Converts a pod affinity (or anti-affinity) rule to a pod affinity term
+         * @param {Object} rule - the rule
+         * @returns {Object} the pod affinity term
+         */
+        function getPodAffinityTerm(rule) {
+            var term = {
+                labelSelector: {
+                    matchExpressions: getMatchExpressions(rule.expressions)
+                },
+                topologyKey: rule.topologyKey
+            };
+
+            if (!lodash.isEmpty(rule.namespaces)) {
+                term.namespaces = rule.namespaces;
+            }
+
+            return term;
+        }
+
+        /**
+         * Checks whether the value is an integer within the given range
+         * @param {*} value - the value
+         * @param {number} min - the minimum valid value
+         * @param {number} max - the maximum valid value
+         * @returns {boolean}
+         */
+        function isIntegerInRange(value, min, max) {
+            return lodash.isInteger(value) && value >= min && value <= max;
+        }
+
+        /**
+         * Pushes a value to the array at the given path of the object, creating the array if needed
+         * @param {Object} object - the object
+         * @param {Array.<string>} path - the path of the array
+         * @param {*} value - the value to push
+         */
+        function pushToPath(object, path, value) {
+            if (!lodash.has(object, path)) {
+                lodash.set(object, path, []);
+            }
+
+            lodash.get(object, path).push(value);
+        }
+
+        /**
+         * Splits comma-separated values of an editable expression
+         * @param {string} values - the comma-separated values
+         * @returns {Array.<string>} the values
+         */
+        function splitValues(values) {
+            return lodash.chain(values)
+                .split(',')
+                .map(lodash.trim)
+                .compact()
+                .value();
+        }
+
+        /**
+         * Validates a field by the validation rules of the given type
+         * @param {Array.<string>} errors - the list to add error messages to
+         * @param {string} fieldKey - the key of the field's label under `functions:SCHEDULING.FIELD`
+         * @param {string} rulesType - the type of the validation rules (see `ValidationService.getValidationRules`)
+         * @param {string} value - the value of the field
+         * @param {boolean} isRequired - whether the field is mandatory
+         * @param {string} [prefix=''] - a prefix for the error messages
+         */
+        function validateField(errors, fieldKey, rulesType, value, isRequired, prefix) {
+            var fieldLabel = $i18next.t('functions:SCHEDULING.FIELD.' + fieldKey, { lng: lng });
+
+            prefix = lodash.defaultTo(prefix, '') + fieldLabel + ': ';
+
+            if (lodash.isEmpty(value)) {
+                if (isRequired) {
+                    errors.push(prefix + getErrorMessage('REQUIRED'));
+                }
+            } else {
+                lodash.forEach(ValidationService.getValidationRules(rulesType), function (rule) {
+                    if (!ValidationService.isValidByRules([rule], value)) {
+                        errors.push(prefix + rule.label);
+                    }
+                });
+            }
+        }
+    }
+}());
@@ -0,0 +1,173 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('SchedulingService: ', function () {
+    var SchedulingService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_SchedulingService_) {
+            SchedulingService = _SchedulingService_;
+        });
+    });
+
+    afterEach(function () {
+        SchedulingService = null;
+    });
+
+    describe('getAffinityRules() and getAffinity(): ', function () {
+        var affinity;
+
+        beforeEach(function () {
+            affinity = {
+                nodeAffinity: {
+                    requiredDuringSchedulingIgnoredDuringExecution: {
+                        nodeSelectorTerms: [
+                            {
+                                matchExpressions: [
+                                    { key: 'nvidia.com/gpu.present', operator: 'In', values: ['true'] }
+                                ]
+                            }
+                        ]
+                    },
+                    preferredDuringSchedulingIgnoredDuringExecution: [
+                        {
+                            weight: 50,
+                            preference: {
+                                matchExpressions: [{ key: 'node-lifecycle', operator: 'Exists' }]
+                            }
+                        }
+                    ]
+                },
+                podAntiAffinity: {
+                    requiredDuringSchedulingIgnoredDuringExecution: [
+                        {
+                            labelSelector: {
+                                matchExpressions: [{ key: 'app', operator: 'In', values: ['web', 'api'] }]
+                            },
+                            topologyKey: 'kubernetes.io/hostname'
+                        }
+                    ]
+                }
+            };
+        });
+
+        it('should convert the affinity to a flat list of rules', function () {
+            var rules = SchedulingService.getAffinityRules(affinity);
+
+            expect(rules.length).toEqual(3);
+            expect(rules[0]).toEqual(jasmine.objectContaining({
+                type: 'nodeAffinity',
+                mode: 'required',
+                expressions: [{ key: 'nvidia.com/gpu.present', operator: 'In', values: 'true' }]
+            }));
+            expect(rules[1]).toEqual(jasmine.objectContaining({
+                type: 'nodeAffinity',
+                mode: 'preferred',
+                weight: 50
+            }));
+            expect(rules[2]).toEqual(jasmine.objectContaining({
+                type: 'podAntiAffinity',
+                mode: 'required',
+                topologyKey: 'kubernetes.io/hostname',
+                expressions: [{ key: 'app', operator: 'In', values: 'web, api' }]
+            }));
+        });
+
+        it('should convert the rules back to the same affinity', function () {
+            expect(SchedulingService.getAffinity(SchedulingService.getAffinityRules(affinity))).toEqual(affinity);
+        });
+
+        it('should convert `matchLabels` to `In` expressions', function () {
+            var rules = SchedulingService.getAffinityRules({
+                podAffinity: {
+                    requiredDuringSchedulingIgnoredDuringExecution: [
+                        { labelSelector: { matchLabels: { app: 'db' } }, topologyKey: 'zone' }
+                    ]
+                }
+            });
+
+            expect(rules[0].expressions).toEqual([{ key: 'app', operator: 'In', values: 'db' }]);
+        });
+
+        it('should return an empty affinity for no rules', function () {
+            expect(SchedulingService.getAffinity([])).toEqual({});
+        });
+    });
+
+    describe('validateAffinityRule(): ', function () {
+        it('should accept a valid rule', function () {
+            var rule = SchedulingService.createAffinityRule('podAffinity');
+
+            rule.topologyKey = 'kubernetes.io/hostname';
+            rule.expressions[0] = { key: 'app', operator: 'NotIn', values: 'a, b' };
+
+            expect(SchedulingService.validateAffinityRule(rule)).toEqual([]);
+        });
+
+        it('should report invalid weights, topology keys, operators and values', function () {
+            var rule = SchedulingService.createAffinityRule('podAntiAffinity');
+
+            rule.mode = 'preferred';
+            rule.weight = 101;
+            rule.expressions = [
+                { key: 'app', operator: 'Gt', values: '1' },
+                { key: 'app', operator: 'Exists', values: 'x' },
+                { key: '', operator: 'In', values: '' }
+            ];
+
+            expect(SchedulingService.validateAffinityRule(rule).length).toEqual(6);
+        });
+
+        it('should require a single integer for `Gt` and `Lt` operators', function () {
+            var rule = SchedulingService.createAffinityRule();
+
+            rule.expressions[0] = { key: 'cpu-count', operator: 'Gt', values: '4' };
+            expect(SchedulingService.validateAffinityRule(rule)).toEqual([]);
+
+            rule.expressions[0].values = '4, 8';
+            expect(SchedulingService.validateAffinityRule(rule).length).toEqual(1);
+        });
+    });
+
+    describe('validateToleration() and getTolerations(): ', function () {
+        it('should validate tolerations', function () {
+            expect(SchedulingService.validateToleration({ key: 'gpu', operator: 'Equal', value: 'true',
+                                                         effect: 'NoSchedule' })).toEqual([]);
+            expect(SchedulingService.validateToleration({ key: '', operator: 'Exists', value: '',
+                                                         effect: '' })).toEqual([]);
+            expect(SchedulingService.validateToleration({ key: 'spot', operator: 'Exists', value: 'x',
+                                                         effect: '' }).length).toEqual(1);
+            expect(SchedulingService.validateToleration({ key: 'spot', operator: 'Equal', value: '',
+                                                         effect: 'NoSchedule', tolerationSeconds: 30 }).length)
+                .toEqual(1);
+            expect(SchedulingService.validateToleration({ key: '', operator: 'Equal', value: '',
+                                                         effect: 'NoExecute', tolerationSeconds: -1 }).length)
+                .toEqual(2);
+        });
+
+        it('should omit empty fields of tolerations', function () {
+            expect(SchedulingService.getTolerations([
+                { key: 'spot', operator: 'Exists', value: 'ignored', effect: '', tolerationSeconds: 30 },
+                { key: 'gpu', operator: 'Equal', value: 'true', effect: 'NoExecute', tolerationSeconds: 60 }
+            ])).toEqual([
+                { key: 'spot', operator: 'Exists' },
+                { key: 'gpu', operator: 'Equal', value: 'true', effect: 'NoExecute', tolerationSeconds: 60 }
+            ]);
+        });
+    });
+});
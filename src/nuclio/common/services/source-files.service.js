@@ -0,0 +1,339 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('SourceFilesService', SourceFilesService);
+
+    function SourceFilesService($i18next, i18next, lodash, Base64) {
+        var lng = i18next.language;
+        var CRC_TABLE = createCrcTable();
+        var DOS_DATE_1980_01_01 = 33;
+        var EXTENSION_LANGUAGES = {
+            cs: 'csharp',
+            go: 'go',
+            java: 'java',
+            js: 'javascript',
+            json: 'json',
+            md: 'markdown',
+            py: 'python',
+            rb: 'ruby',
+            sh: 'shell',
+            yaml: 'yaml',
+            yml: 'yaml'
+        };
+        var INVALID_PATH_CHARACTERS = /[\\:*?"<>|]/;
+        var UTF8_FLAG = 0x0800;
+        var ZIP_SIGNATURES = {
+            LOCAL_FILE: 0x04034b50,
+            CENTRAL_DIRECTORY: 0x02014b50,
+            END_OF_CENTRAL_DIRECTORY: 0x06054b50
+        };
+
+        return {
+            createArchive: createArchive,
+            getEntryPath: getEntryPath,
+            getLanguage: getLanguage,
+            getPathError: getPathError,
+            getTree: getTree,
+            readArchive: readArchive
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Packs source files into a zip archive. The files are stored without compression.
+         * @param {Array.<{path: string, content: string}>} files - The files.
+         * @returns {Uint8Array} the archive.
+         */
+        function createArchive(files) {
+            var entries = lodash.map(files, function (file) {
+                var data = encodeText(file.content);
+
+                return {
+                    name: encodeText(file.path),
+                    data: data,
+                    crc: getCrc(data)
+                };
+            });
+            var localSize = lodash.sumBy(entries, function (entry) {
+                return 30 + entry.name.length + entry.data.length;
+            });
+            var centralSize = lodash.sumBy(entries, function (entry) {
+                return 46 + entry.name.length;
+            });
+            var bytes = new Uint8Array(localSize + centralSize + 22);
+            var view = new DataView(bytes.buffer);
+            var offset = 0;
+            var centralOffset = localSize;
+
+            lodash.forEach(entries, function (entry) {
+
+                // local file header, followed by the file name and data
+                writeFields(view, offset, [
+                    [4, ZIP_SIGNATURES.LOCAL_FILE], [2, 20], [2, UTF8_FLAG], [2, 0], [2, 0], [2, DOS_DATE_1980_01_01],
+                    [4, entry.crc], [4, entry.data.length], [4, entry.data.length], [2, entry.name.length], [2, 0]
+                ]);
+                bytes.set(entry.name, offset + 30);
+                bytes.set(entry.data, offset + 30 + entry.name.length);
+
+                // central directory header, followed by the file name
+                writeFields(view, centralOffset, [
+                    [4, ZIP_SIGNATURES.CENTRAL_DIRECTORY], [2, 20], [2, 20], [2, UTF8_FLAG], [2, 0], [2, 0],
+                    [2, DOS_DATE_1980_01_01], [4, entry.crc], [4, entry.data.length], [4, entry.data.length],
+                    [2, entry.name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]
+                ]);
+                bytes.set(entry.name, centralOffset + 46);
+
+                offset += 30 + entry.name.length + entry.data.length;
+                centralOffset += 46 + entry.name.length;
+            });
+
+            writeFields(view, centralOffset, [
+                [4, ZIP_SIGNATURES.END_OF_CENTRAL_DIRECTORY], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+                [4, centralSize], [4, localSize], [2, 0]
+            ]);
+
+            return bytes;
+        }
+
+        /**
+         * Returns the path of the file containing the function's handler.
+         * @param {string} handler - The handler of the function (e.g. `'main:handler'`).
+         * @param {string} extension - The file extension of the runtime (e.g. `'py'`).
+         * @returns {string} the path of the file (e.g. `'main.py'`).
+         * @example
+         * getEntryPath('handlers.orders:handler', 'py');
+         * // => 'handlers/orders.py'
+         */
+        function getEntryPath(handler, extension) {
+            var module = lodash.defaultTo(handler, '').split(':')[0] || 'main';
+
+            return module.split('.').join('/') + '.' + extension;
+        }
+
+        /**
+         * Returns the Monaco editor language of a file according to its extension.
+         * @param {string} path - The path of the file.
+         * @returns {string} the language, `'plaintext'` for unknown extensions.
+         */
+        function getLanguage(path) {
+            var extension = lodash.toLower(lodash.last(lodash.last(path.split('/')).split('.')));
+
+            return lodash.get(EXTENSION_LANGUAGES, extension, 'plaintext');
+        }
+
+        /**
+         * Checks a path for a new file, or for renaming a file.
+         * @param {string} path - The path (relative, with `/` separating directories).
+         * @param {Array.<{path: string}>} files - The existing files.
+         * @param {string} [currentPath] - The current path of the renamed file.
+         * @returns {string} the error message (HTML-escaped, to be shown in dialogs), or an empty string in case the
+         *     path is valid.
+         */
+        function getPathError(path, files, currentPath) {
+            var segments = path.split('/');
+            var errorKey = lodash.isEmpty(path) ? 'PATH_REQUIRED' :
+                INVALID_PATH_CHARACTERS.test(path) || lodash.some(segments, function (segment) {
+                    return lodash.includes(['', '.', '..'], segment);
+                }) ? 'INVALID_PATH' :
+                path !== currentPath && lodash.some(files, function (file) {
+                    return file.path === path || lodash.startsWith(file.path, path + '/') ||
+                        lodash.startsWith(path, file.path + '/');
+                }) ? 'PATH_EXISTS' : '';
+
+            return errorKey === '' ? '' : $i18next.t('functions:SOURCE_FILES.' + errorKey, { lng: lng, path: path });
+        }
+
+        /**
+         * Arranges files as a tree of directories, flattened in display order: each directory is followed by its
+         * sub-directories and then by its files, sorted by name.
+         * @param {Array.<{path: string}>} files - The files.
+         * @returns {Array.<{name: string, path: string, depth: number, isDirectory: boolean}>} the tree nodes.
+         */
+        function getTree(files) {
+            var root = { directories: {}, files: [] };
+
+            lodash.forEach(files, function (file) {
+                var segments = file.path.split('/');
+                var directory = lodash.reduce(lodash.initial(segments), function (parent, name) {
+                    if (!lodash.has(parent.directories, name)) {
+                        parent.directories[name] = { directories: {}, files: [] };
+                    }
+
+                    return parent.directories[name];
+                }, root);
+
+                directory.files.push({ name: lodash.last(segments), path: file.path });
+            });
+
+            return flattenTree(root, '', 0);
+        }
+
+        /**
+         * Reads the files of a zip archive, which must be stored without compression (@see {@link createArchive}).
+         * @param {Uint8Array} bytes - The archive.
+         * @returns {Array.<{path: string, content: string}>} the files.
+         * @throws {Error} in case the archive is invalid or compressed.
+         */
+        function readArchive(bytes) {
+            var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            var endOffset = lodash.findLastIndex(bytes, function (value, index) {
+                return index <= bytes.length - 22 && view.getUint32(index, true) === ZIP_SIGNATURES.END_OF_CENTRAL_DIRECTORY;
+            });
+
+            if (endOffset === -1) {
+                throw new Error($i18next.t('functions:SOURCE_FILES.INVALID_ARCHIVE', { lng: lng }));
+            }
+
+            var count = view.getUint16(endOffset + 10, true);
+            var offset = view.getUint32(endOffset + 16, true);
+
+            return lodash.chain(lodash.range(count))
+                .map(function () {
+                    var nameLength = view.getUint16(offset + 28, true);
+                    var localOffset = view.getUint32(offset + 42, true);
+                    var entry = {
+                        method: view.getUint16(offset + 10, true),
+                        size: view.getUint32(offset + 20, true),
+                        path: decodeText(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                        dataOffset: localOffset + 30 + view.getUint16(localOffset + 26, true) +
+                            view.getUint16(localOffset + 28, true)
+                    };
+
+                    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+                    return entry;
+                })
+                .reject(function (entry) {
+                    return lodash.endsWith(entry.path, '/');
+                })
+                .map(function (entry) {
+                    if (entry.method !== 0) {
+                        throw new Error($i18next.t('functions:SOURCE_FILES.COMPRESSED_ARCHIVE', { lng: lng }));
+                    }
+
+                    return {
+                        path: entry.path,
+                        content: decodeText(bytes.subarray(entry.dataOffset, entry.dataOffset + entry.size))
+                    };
+                })
+                .value();
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates the lookup table of the CRC-32 checksum.
+         * @returns {Array.<number>} the table.
+         */
+        function createCrcTable() {
+            return lodash.map(lodash.range(256), function (index) {
+                return lodash.reduce(lodash.range(8), function (value) {
+                    // eslint-disable-next-line no-bitwise
+                    return value & 1 ? 0xEDB88320 ^ value >>> 1 : value >>> 1;
+                }, index);
+            });
+        }
+
+        /**
+         * Decodes UTF-8 bytes to text.
+         * @param {Uint8Array} bytes - The bytes.
+         * @returns {string} the text.
+         */
+        function decodeText(bytes) {
+            return Base64.decode(Base64.fromUint8Array(bytes));
+        }
+
+        /**
+         * Encodes text as UTF-8 bytes.
+         * @param {string} text - The text.
+         * @returns {Uint8Array} the bytes.
+         */
+        function encodeText(text) {
+            return Base64.toUint8Array(Base64.encode(text));
+        }
+
+        /**
+         * Flattens a directory of the tree built by `getTree`.
+         * @param {Object} directory - The directory, with its sub-directories by name and its files.
+         * @param {string} path - The path of the directory (empty for the root directory).
+         * @param {number} depth - The depth of the directory's content in the tree.
+         * @returns {Array.<Object>} the tree nodes.
+         */
+        function flattenTree(directory, path, depth) {
+            var directories = lodash.chain(directory.directories)
+                .toPairs()
+                .sortBy(0)
+                .flatMap(function (pair) {
+                    var directoryPath = path + pair[0];
+
+                    return [{
+                        name: pair[0],
+                        path: directoryPath,
+                        depth: depth,
+                        isDirectory: true
+                    }].concat(flattenTree(pair[1], directoryPath + '/', depth + 1));
+                })
+                .value();
+            var files = lodash.chain(directory.files)
+                .sortBy('name')
+                .map(function (file) {
+                    return lodash.assign({ depth: depth, isDirectory: false }, file);
+                })
+                .value();
+
+            return directories.concat(files);
+        }
+
+        /**
+         * Calculates the CRC-32 checksum of data.
+         * @param {Uint8Array} data - The data.
+         * @returns {number} the checksum.
+         */
+        function getCrc(data) {
+            // eslint-disable-next-line no-bitwise
+            return (lodash.reduce(data, function (crc, value) {
+                // eslint-disable-next-line no-bitwise
+                return CRC_TABLE[(crc ^ value) & 0xFF] ^ crc >>> 8;
+            }, 0xFFFFFFFF) ^ 0xFFFFFFFF) >>> 0;
+        }
+
+        /**
+         * Writes little-endian fields of a zip record.
+         * @param {DataView} view - The view of the archive.
+         * @param {number} offset - The offset of the record.
+         * @param {Array.<Array.<number>>} fields - The size in bytes (2 or 4) and the value of each field.
+         */
+        function writeFields(view, offset, fields) {
+            lodash.reduce(fields, function (fieldOffset, field) {
+                if (field[0] === 4) {
+                    view.setUint32(fieldOffset, field[1], true);
+                } else {
+                    view.setUint16(fieldOffset, field[1], true);
+                }
+
+                return fieldOffset + field[0];
+            }, offset);
+        }
+    }
+}());
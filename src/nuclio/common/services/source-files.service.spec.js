@@ -0,0 +1,107 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('SourceFilesService: ', function () {
+    var SourceFilesService;
+    var files;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_SourceFilesService_) {
+            SourceFilesService = _SourceFilesService_;
+        });
+
+        files = [
+            { path: 'main.py', content: 'import utils.helpers\n' },
+            { path: 'utils/helpers.py', content: 'GREETING = "héllo"\n' },
+            { path: 'requirements.txt', content: '' }
+        ];
+    });
+
+    afterEach(function () {
+        SourceFilesService = null;
+        files = null;
+    });
+
+    describe('createArchive(), readArchive(): ', function () {
+        it('should round-trip files through a zip archive', function () {
+            var bytes = SourceFilesService.createArchive(files);
+
+            expect(Array.from(bytes.subarray(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+            expect(SourceFilesService.readArchive(bytes)).toEqual(files);
+        });
+
+        it('should compute the CRC-32 checksum of each file', function () {
+            var bytes = SourceFilesService.createArchive([{ path: 'a.txt', content: 'abc' }]);
+            var view = new DataView(bytes.buffer);
+
+            expect(view.getUint32(14, true)).toEqual(0x352441C2);
+        });
+
+        it('should throw on invalid archives', function () {
+            expect(function () {
+                SourceFilesService.readArchive(new Uint8Array([1, 2, 3]));
+            }).toThrowError(Error);
+        });
+    });
+
+    describe('getEntryPath(): ', function () {
+        it('should return the path of the handler\'s module', function () {
+            expect(SourceFilesService.getEntryPath('main:handler', 'py')).toEqual('main.py');
+            expect(SourceFilesService.getEntryPath('handlers.orders:handler', 'py')).toEqual('handlers/orders.py');
+            expect(SourceFilesService.getEntryPath('', 'go')).toEqual('main.go');
+        });
+    });
+
+    describe('getLanguage(): ', function () {
+        it('should return the language according to the extension', function () {
+            expect(SourceFilesService.getLanguage('utils/helpers.py')).toEqual('python');
+            expect(SourceFilesService.getLanguage('function.YAML')).toEqual('yaml');
+            expect(SourceFilesService.getLanguage('requirements.txt')).toEqual('plaintext');
+            expect(SourceFilesService.getLanguage('Makefile')).toEqual('plaintext');
+        });
+    });
+
+    describe('getPathError(): ', function () {
+        it('should accept new and unchanged paths', function () {
+            expect(SourceFilesService.getPathError('utils/format.py', files)).toEqual('');
+            expect(SourceFilesService.getPathError('main.py', files, 'main.py')).toEqual('');
+        });
+
+        it('should reject invalid and existing paths', function () {
+            expect(SourceFilesService.getPathError('', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('/main.py', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('utils/', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('../main.py', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('a:b.py', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('main.py', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('utils', files)).not.toEqual('');
+            expect(SourceFilesService.getPathError('main.py/a.py', files)).not.toEqual('');
+        });
+    });
+
+    describe('getTree(): ', function () {
+        it('should list directories before files, sorted by name', function () {
+            expect(SourceFilesService.getTree(files)).toEqual([
+                { name: 'utils', path: 'utils', depth: 0, isDirectory: true },
+                { name: 'helpers.py', path: 'utils/helpers.py', depth: 1, isDirectory: false },
+                { name: 'main.py', path: 'main.py', depth: 0, isDirectory: false },
+                { name: 'requirements.txt', path: 'requirements.txt', depth: 0, isDirectory: false }
+            ]);
+        });
+    });
+});
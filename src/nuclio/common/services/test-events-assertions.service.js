@@ -0,0 +1,361 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name TestEventsAssertionsService
+     * @description
+     * Checks the assertions of a test event against the response of its invocation. The assertions of a test event
+     * are kept in its `spec.attributes.assertions`, so they are saved along with the function event. Assertion types:
+     *     - `status` - the status code equals `value`
+     *     - `header` - the header `name` `equals`/`matches` (a regular expression) `value`, or just `exists`
+     *     - `jsonPath` - the first value found by the JSONPath `path` in the (JSON) body `equals`/`matches` `value`,
+     *       or just `exists`
+     *     - `jsonSchema` - the (JSON) body is valid by the JSON Schema document in `value`
+     *     - `maxLatency` - the response arrived within `value` milliseconds
+     */
+    angular.module('iguazio.dashboard-controls')
+        .factory('TestEventsAssertionsService', TestEventsAssertionsService);
+
+    function TestEventsAssertionsService($i18next, i18next, lodash, JsonSchemaService) {
+        var JSON_PATH_TOKEN_PATTERN = /^(?:\.\.|\.)(?:\*|[$\w-]+)|^(?:\.\.)?\[(?:\*|-?\d+|'[^']*'|"[^"]*")]/;
+
+        var assertionTypes = {
+            header: {
+                defaults: { name: '', operator: 'equals', value: '' },
+                evaluate: evaluateHeader
+            },
+            jsonPath: {
+                defaults: { path: '$', operator: 'equals', value: '' },
+                evaluate: evaluateJsonPath
+            },
+            jsonSchema: {
+                defaults: { value: '{}' },
+                evaluate: evaluateJsonSchema
+            },
+            maxLatency: {
+                defaults: { value: 1000 },
+                evaluate: function (assertion, response) {
+                    return {
+                        actual: response.latency,
+                        passed: response.latency <= Number(assertion.value)
+                    };
+                }
+            },
+            status: {
+                defaults: { value: 200 },
+                evaluate: function (assertion, response) {
+                    return {
+                        actual: response.status,
+                        passed: response.status === Number(assertion.value)
+                    };
+                }
+            }
+        };
+
+        return {
+            createAssertion: createAssertion,
+            evaluateAssertions: evaluateAssertions,
+            getAssertionLabel: getAssertionLabel,
+            getAssertionTypes: getAssertionTypes,
+            queryJsonPath: queryJsonPath
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Creates a new assertion of a type, with the default values of the type
+         * @param {string} type - the type of the assertion (e.g. `'status'`)
+         * @returns {Object} the new assertion
+         */
+        function createAssertion(type) {
+            return lodash.assign({ type: type }, angular.copy(lodash.get(assertionTypes, [type, 'defaults'], {})));
+        }
+
+        /**
+         * Checks assertions against the response of an invocation
+         * @param {Array.<Object>} assertions - the assertions to check
+         * @param {{status: number, latency: number, headers: Object, body: *}} response - the invocation response
+         * @returns {Array.<{type: string, expected: *, actual: *, passed: boolean, error: ?string}>} the result of
+         *     each assertion, along with the `name`, `path` and `operator` of the assertion (where applicable).
+         *     `error` is set in case the assertion could not be checked (e.g. `'BODY_NOT_JSON'`)
+         */
+        function evaluateAssertions(assertions, response) {
+            return lodash.map(assertions, function (assertion) {
+                var evaluate = lodash.get(assertionTypes, [assertion.type, 'evaluate']);
+                var result = angular.isFunction(evaluate) ? evaluate(assertion, response) : {
+                    passed: false,
+                    error: 'UNKNOWN_TYPE'
+                };
+
+                return lodash.defaults(result, lodash.pick(assertion, ['type', 'name', 'path', 'operator']), {
+                    expected: assertion.value,
+                    error: null
+                });
+            });
+        }
+
+        /**
+         * Gets the label of the result of an assertion (e.g. `'Status is 200 (actual: 404)'`)
+         * @param {Object} result - the result of the assertion (as returned by `evaluateAssertions`)
+         * @returns {string} the label
+         */
+        function getAssertionLabel(result) {
+            var lng = i18next.language;
+            var key = lodash.snakeCase(result.type).toUpperCase() +
+                (lodash.isEmpty(result.operator) ? '' : '_' + result.operator.toUpperCase());
+            var label = $i18next.t('functions:ASSERTION.' + key, {
+                lng: lng,
+                name: result.name,
+                path: result.path,
+                expected: result.expected,
+                actual: formatActualValue(result.actual),
+                interpolation: {
+                    escapeValue: false
+                }
+            });
+
+            return lodash.isNull(result.error) ? label :
+                label + ' – ' + $i18next.t('functions:ASSERTION_ERROR.' + result.error, { lng: lng });
+        }
+
+        /**
+         * Gets the list of the assertion types, as dropdown options
+         * @returns {Array.<{id: string, name: string, visible: boolean}>} the assertion types
+         */
+        function getAssertionTypes() {
+            var lng = i18next.language;
+
+            return lodash.map(['status', 'header', 'jsonPath', 'jsonSchema', 'maxLatency'], function (type) {
+                return {
+                    id: type,
+                    name: $i18next.t('functions:ASSERTION_TYPE.' + lodash.snakeCase(type).toUpperCase(), { lng: lng }),
+                    visible: true
+                };
+            });
+        }
+
+        /**
+         * Gets the values found by a JSONPath expression in a value. Supports the root (`$`), child (`.name`,
+         * `['name']`), index (`[0]`, `[-1]`), wildcard (`.*`, `[*]`) and recursive descent (`..name`) selectors
+         * @param {*} value - the value to query
+         * @param {string} path - the JSONPath expression (e.g. `'$.items[0].id'`)
+         * @returns {Array} the values found
+         * @throws {Error} in case the expression is invalid
+         */
+        function queryJsonPath(value, path) {
+            var rest = lodash.trim(path);
+            var nodes = [value];
+
+            if (!lodash.startsWith(rest, '$')) {
+                throw new Error('invalid JSONPath: ' + path);
+            }
+
+            rest = rest.slice(1);
+
+            while (rest !== '') {
+                var match = JSON_PATH_TOKEN_PATTERN.exec(rest);
+
+                if (match === null) {
+                    throw new Error('invalid JSONPath: ' + path);
+                }
+
+                nodes = applyJsonPathToken(nodes, match[0]);
+                rest = rest.slice(match[0].length);
+            }
+
+            return nodes;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Applies a single JSONPath token to a list of nodes
+         * @param {Array} nodes - the nodes
+         * @param {string} token - the token (e.g. `'.name'`, `'..name'`, `'[0]'` or `'[*]'`)
+         * @returns {Array} the resulting nodes
+         */
+        function applyJsonPathToken(nodes, token) {
+            var recursive = lodash.startsWith(token, '..');
+            var selector = token.replace(/^\.\.?/, '').replace(/^\[(.*)]$/, '$1').replace(/^(['"])(.*)\1$/, '$2');
+            var isIndex = /^-?\d+$/.test(selector) && !/^\.\.?[\w-]/.test(token);
+            var candidates = recursive ? lodash.flatMap(nodes, getDescendants) : nodes;
+
+            return lodash.flatMap(candidates, function (node) {
+                if (selector === '*') {
+                    return lodash.isObject(node) ? lodash.values(node) : [];
+                }
+
+                if (isIndex) {
+                    var index = Number(selector);
+
+                    return lodash.isArray(node) && lodash.inRange(index, -node.length, node.length) ?
+                        [lodash.nth(node, index)] : [];
+                }
+
+                return lodash.isObject(node) && lodash.has(node, [selector]) ? [node[selector]] : [];
+            });
+        }
+
+        /**
+         * Checks a `header` assertion
+         * @param {Object} assertion - the assertion
+         * @param {Object} response - the invocation response
+         * @returns {Object} the result of the assertion
+         */
+        function evaluateHeader(assertion, response) {
+            var key = lodash.findKey(response.headers, function (value, headerName) {
+                return headerName.toLowerCase() === lodash.toLower(assertion.name);
+            });
+            var actual = angular.isDefined(key) ? lodash.toString(response.headers[key]) : null;
+
+            return lodash.assign({ actual: actual }, matchValue(assertion, lodash.isNull(actual) ? [] : [actual]));
+        }
+
+        /**
+         * Checks a `jsonPath` assertion
+         * @param {Object} assertion - the assertion
+         * @param {Object} response - the invocation response
+         * @returns {Object} the result of the assertion
+         */
+        function evaluateJsonPath(assertion, response) {
+            var body = parseBody(response.body);
+            var values = [];
+
+            if (angular.isUndefined(body)) {
+                return { actual: null, passed: false, error: 'BODY_NOT_JSON' };
+            }
+
+            try {
+                values = queryJsonPath(body, assertion.path);
+            } catch (error) {
+                return { actual: null, passed: false, error: 'INVALID_JSON_PATH' };
+            }
+
+            return lodash.assign({ actual: lodash.defaultTo(lodash.first(values), null) }, matchValue(assertion, values));
+        }
+
+        /**
+         * Checks a `jsonSchema` assertion. The actual value of the result is the list of the violations
+         * @param {Object} assertion - the assertion
+         * @param {Object} response - the invocation response
+         * @returns {Object} the result of the assertion
+         */
+        function evaluateJsonSchema(assertion, response) {
+            var body = parseBody(response.body);
+            var schema = lodash.isString(assertion.value) ? parseBody(assertion.value) : assertion.value;
+
+            if (!lodash.isPlainObject(schema)) {
+                return { actual: null, passed: false, error: 'INVALID_SCHEMA' };
+            }
+
+            if (angular.isUndefined(body)) {
+                return { actual: null, passed: false, error: 'BODY_NOT_JSON' };
+            }
+
+            try {
+                var violations = JsonSchemaService.validate(schema, body);
+
+                return {
+                    expected: null,
+                    actual: lodash.map(violations, function (violation) {
+                        return violation.keyword + (violation.path === '' ? '' : ' @ ' + violation.path);
+                    }),
+                    passed: lodash.isEmpty(violations)
+                };
+            } catch (error) {
+                return { actual: null, passed: false, error: 'INVALID_SCHEMA' };
+            }
+        }
+
+        /**
+         * Formats the actual value of the result of an assertion, to be shown in its label
+         * @param {*} actual - the actual value
+         * @returns {string} the formatted value
+         */
+        function formatActualValue(actual) {
+            var lng = i18next.language;
+
+            return lodash.isNil(actual)                             ? $i18next.t('common:N_A', { lng: lng })  :
+                   lodash.isEmpty(actual) && lodash.isArray(actual) ? $i18next.t('common:NONE', { lng: lng }) :
+                   lodash.isArray(actual)                           ? actual.join(', ')                       :
+                   lodash.isString(actual)                          ? actual                                  :
+                   /* else */                                         angular.toJson(actual);
+        }
+
+        /**
+         * Gets all the descendants of a node (including the node itself), for the recursive descent selector
+         * @param {*} node - the node
+         * @returns {Array} the node and its descendants
+         */
+        function getDescendants(node) {
+            return [node].concat(lodash.isObject(node) ? lodash.flatMap(lodash.values(node), getDescendants) : []);
+        }
+
+        /**
+         * Matches the values found by a `header` or `jsonPath` assertion by the operator of the assertion
+         * @param {Object} assertion - the assertion
+         * @param {Array} values - the values found (the first one is matched)
+         * @returns {{passed: boolean, error: ?string}} the result of the match
+         */
+        function matchValue(assertion, values) {
+            if (assertion.operator === 'exists' || lodash.isEmpty(values)) {
+                return { passed: !lodash.isEmpty(values) };
+            }
+
+            var actual = lodash.first(values);
+            var actualText = lodash.isString(actual) ? actual : angular.toJson(actual);
+
+            if (assertion.operator === 'matches') {
+                try {
+                    return { passed: new RegExp(assertion.value).test(actualText) };
+                } catch (error) {
+                    return { passed: false, error: 'INVALID_REGEX' };
+                }
+            }
+
+            var expected = parseBody(assertion.value);
+
+            return {
+                passed: actualText === lodash.toString(assertion.value) ||
+                    angular.isDefined(expected) && lodash.isEqual(actual, expected)
+            };
+        }
+
+        /**
+         * Parses a JSON body (a body that is already an object is returned as-is)
+         * @param {*} body - the body
+         * @returns {*} the parsed body, or `undefined` in case it is not a valid JSON
+         */
+        function parseBody(body) {
+            if (!lodash.isString(body)) {
+                return lodash.isObject(body) && !(body instanceof Blob) ? body : undefined;
+            }
+
+            try {
+                return angular.fromJson(body);
+            } catch (error) {
+                return undefined;
+            }
+        }
+    }
+}());
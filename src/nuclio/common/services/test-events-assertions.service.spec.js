@@ -0,0 +1,168 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('TestEventsAssertionsService: ', function () {
+    var TestEventsAssertionsService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_TestEventsAssertionsService_) {
+            TestEventsAssertionsService = _TestEventsAssertionsService_;
+        });
+    });
+
+    afterEach(function () {
+        TestEventsAssertionsService = null;
+    });
+
+    describe('createAssertion(): ', function () {
+        it('should create an assertion with the default values of its type', function () {
+            expect(TestEventsAssertionsService.createAssertion('status')).toEqual({ type: 'status', value: 200 });
+            expect(TestEventsAssertionsService.createAssertion('header')).toEqual({
+                type: 'header',
+                name: '',
+                operator: 'equals',
+                value: ''
+            });
+        });
+    });
+
+    describe('evaluateAssertions(): ', function () {
+        var response = {
+            status: 200,
+            latency: 120,
+            headers: { 'Content-Type': 'application/json; charset=utf-8' },
+            body: '{"items": [{"id": 1, "tags": ["a"]}, {"id": 2, "tags": []}], "total": 2}'
+        };
+
+        /**
+         * Evaluates a single assertion against the response
+         * @param {Object} assertion - the assertion
+         * @returns {Object} the result of the assertion
+         */
+        function evaluate(assertion) {
+            return TestEventsAssertionsService.evaluateAssertions([assertion], response)[0];
+        }
+
+        it('should check the status and the latency', function () {
+            expect(evaluate({ type: 'status', value: '200' })).toEqual({
+                type: 'status',
+                expected: '200',
+                actual: 200,
+                passed: true,
+                error: null
+            });
+            expect(evaluate({ type: 'maxLatency', value: 100 })).toEqual({
+                type: 'maxLatency',
+                expected: 100,
+                actual: 120,
+                passed: false,
+                error: null
+            });
+        });
+
+        it('should check headers case-insensitively', function () {
+            var header = { type: 'header', name: 'content-type' };
+
+            expect(evaluate(angular.extend({ operator: 'equals', value: 'application/json' }, header)).passed).toBe(false);
+            expect(evaluate(angular.extend({ operator: 'matches', value: '^application/json' }, header)).passed).toBe(true);
+            expect(evaluate(angular.extend({ operator: 'exists' }, header)).actual)
+                .toEqual('application/json; charset=utf-8');
+            expect(evaluate({ type: 'header', name: 'X-Missing', operator: 'exists' }).passed).toBe(false);
+            expect(evaluate(angular.extend({ operator: 'matches', value: '(' }, header)).error).toEqual('INVALID_REGEX');
+        });
+
+        it('should check JSONPath values', function () {
+            expect(evaluate({ type: 'jsonPath', path: '$.total', operator: 'equals', value: '2' }).passed).toBe(true);
+            expect(evaluate({ type: 'jsonPath', path: '$.items[1].id', operator: 'equals', value: '1' }))
+                .toEqual(jasmine.objectContaining({ actual: 2, passed: false }));
+            expect(evaluate({ type: 'jsonPath', path: '$.items[0].tags', operator: 'equals', value: '["a"]' }).passed)
+                .toBe(true);
+            expect(evaluate({ type: 'jsonPath', path: '$..tags[0]', operator: 'matches', value: '^a$' }).passed)
+                .toBe(true);
+            expect(evaluate({ type: 'jsonPath', path: '$.missing', operator: 'exists' }).passed).toBe(false);
+            expect(evaluate({ type: 'jsonPath', path: 'items', operator: 'exists' }).error).toEqual('INVALID_JSON_PATH');
+        });
+
+        it('should validate the body by a JSON Schema', function () {
+            var schema = {
+                type: 'object',
+                required: ['items', 'next'],
+                properties: { total: { type: 'string' } }
+            };
+
+            expect(evaluate({ type: 'jsonSchema', value: angular.toJson(schema) })).toEqual({
+                type: 'jsonSchema',
+                expected: null,
+                actual: ['required @ next', 'type @ total'],
+                passed: false,
+                error: null
+            });
+            expect(evaluate({ type: 'jsonSchema', value: '{"type": "object"}' }).passed).toBe(true);
+            expect(evaluate({ type: 'jsonSchema', value: 'not json' }).error).toEqual('INVALID_SCHEMA');
+        });
+
+        it('should fail body assertions in case the body is not JSON', function () {
+            var result = TestEventsAssertionsService.evaluateAssertions([
+                { type: 'jsonPath', path: '$.a', operator: 'exists' },
+                { type: 'jsonSchema', value: '{}' }
+            ], { status: 200, headers: {}, body: 'plain text' });
+
+            expect(result[0].error).toEqual('BODY_NOT_JSON');
+            expect(result[1].error).toEqual('BODY_NOT_JSON');
+        });
+
+        it('should fail assertions of unknown types', function () {
+            expect(evaluate({ type: 'unknown', value: 1 })).toEqual({
+                type: 'unknown',
+                expected: 1,
+                passed: false,
+                error: 'UNKNOWN_TYPE'
+            });
+        });
+    });
+
+    describe('queryJsonPath(): ', function () {
+        var data = {
+            store: {
+                book: [
+                    { title: 'a', price: 8 },
+                    { title: 'b', price: 12, 'first edition': true }
+                ],
+                bicycle: { price: 20 }
+            }
+        };
+
+        it('should support child, index, wildcard and recursive descent selectors', function () {
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$')).toEqual([data]);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$.store.book[0].title')).toEqual(['a']);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$.store.book[-1].title')).toEqual(['b']);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$.store.book[*].price')).toEqual([8, 12]);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$[\'store\'].book[1][\'first edition\']'))
+                .toEqual([true]);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$..price')).toEqual([8, 12, 20]);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$.store.*').length).toEqual(2);
+            expect(TestEventsAssertionsService.queryJsonPath(data, '$.store.book[5]')).toEqual([]);
+        });
+
+        it('should throw on an invalid expression', function () {
+            expect(function () {
+                TestEventsAssertionsService.queryJsonPath(data, '$.store[');
+            }).toThrowError('invalid JSONPath: $.store[');
+        });
+    });
+});
@@ -0,0 +1,823 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('TestEventsCollectionsService', TestEventsCollectionsService);
+
+    function TestEventsCollectionsService($q, lodash, moment, LocalStorageService, TestEventsAssertionsService) {
+        var HAR_HIDDEN_HEADERS = ['connection', 'content-length', 'host'];
+        var POSTMAN_COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+        var STORAGE_NAMESPACE = 'testEventsCollections';
+        var VARIABLE_PATTERN = /{{\s*([$\w.-]+)\s*}}/g;
+
+        return {
+            createCollection: createCollection,
+            createCollectionEvent: createCollectionEvent,
+            createEnvironment: createEnvironment,
+            exportCollection: exportCollection,
+            exportEnvironment: exportEnvironment,
+            getStore: getStore,
+            getVariables: getVariables,
+            parseImport: parseImport,
+            resolveVariables: resolveVariables,
+            runCollection: runCollection,
+            saveStore: saveStore
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Creates a new empty collection of test events
+         * @param {string} name - the name of the collection
+         * @returns {{id: string, name: string, variables: Object, events: Array}} the new collection
+         */
+        function createCollection(name) {
+            return {
+                id: generateId(),
+                name: name,
+                variables: {},
+                events: []
+            };
+        }
+
+        /**
+         * Creates a collection event out of a function event (only the parts that describe the request are kept, so
+         * the collection could be run against any function)
+         * @param {Object} functionEvent - the function event (e.g. the one currently edited in the test pane)
+         * @param {Array.<Object>} [assertions] - the assertions to check on the response (see
+         *     `TestEventsAssertionsService`), defaults to the assertions of the function event
+         * @returns {{id: string, spec: Object}} the new collection event
+         */
+        function createCollectionEvent(functionEvent, assertions) {
+            return {
+                id: generateId(),
+                spec: {
+                    displayName: lodash.get(functionEvent, 'spec.displayName', ''),
+                    triggerKind: 'http',
+                    attributes: {
+                        method: lodash.get(functionEvent, 'spec.attributes.method', 'POST'),
+                        headers: angular.copy(lodash.get(functionEvent, 'spec.attributes.headers', {})),
+                        path: lodash.get(functionEvent, 'spec.attributes.path', ''),
+                        assertions: lodash.defaultTo(assertions,
+                                                     angular.copy(lodash.get(functionEvent, 'spec.attributes.assertions', [])))
+                    },
+                    body: lodash.defaultTo(lodash.get(functionEvent, 'spec.body'), '')
+                }
+            };
+        }
+
+        /**
+         * Creates a new environment with no variables
+         * @param {string} name - the name of the environment
+         * @returns {{id: string, name: string, variables: Object}} the new environment
+         */
+        function createEnvironment(name) {
+            return {
+                id: generateId(),
+                name: name,
+                variables: {}
+            };
+        }
+
+        /**
+         * Exports a collection to a Postman v2.1 collection or to a HAR log
+         * @param {Object} collection - the collection to export
+         * @param {string} format - `'postman'` or `'har'`
+         * @param {Object} [options] - export options
+         * @param {string} [options.baseUrl] - the URL of the function; Postman collections refer to it by the
+         *     `baseUrl` variable, while HAR logs have it in every request URL
+         * @param {Object} [options.variables] - the variables to resolve in HAR logs (a Postman collection keeps the
+         *     variables unresolved, and carries the collection's variables with it)
+         * @returns {string} the JSON-serialized exported collection
+         */
+        function exportCollection(collection, format, options) {
+            var baseUrl = getBaseUrl(lodash.get(options, 'baseUrl', ''));
+
+            return angular.toJson(format === 'har' ? createHarLog(collection, baseUrl, lodash.get(options, 'variables')) :
+                                                     createPostmanCollection(collection, baseUrl), 4);
+        }
+
+        /**
+         * Exports an environment to a Postman environment
+         * @param {Object} environment - the environment to export
+         * @returns {string} the JSON-serialized Postman environment
+         */
+        function exportEnvironment(environment) {
+            return angular.toJson({
+                id: environment.id,
+                name: environment.name,
+                values: lodash.map(environment.variables, function (value, key) {
+                    return {
+                        key: key,
+                        value: value,
+                        enabled: true
+                    };
+                }),
+                _postman_variable_scope: 'environment'
+            }, 4);
+        }
+
+        /**
+         * Gets the collections and environments stored in the browser's local storage
+         * @returns {{collections: Array, environments: Array, activeCollectionId: ?string,
+         *     activeEnvironmentId: ?string}} the stored data
+         */
+        function getStore() {
+            return lodash.defaults(lodash.defaultTo(LocalStorageService.getItem(STORAGE_NAMESPACE), {}), {
+                collections: [],
+                environments: [],
+                activeCollectionId: null,
+                activeEnvironmentId: null
+            });
+        }
+
+        /**
+         * Gets the variables to resolve in the events of a collection. Like in Postman, the variables of the
+         * environment take precedence over the variables of the collection
+         * @param {Object} [collection] - the collection
+         * @param {Object} [environment] - the environment
+         * @returns {Object} the variables, by name
+         */
+        function getVariables(collection, environment) {
+            return lodash.assign({}, lodash.get(collection, 'variables'), lodash.get(environment, 'variables'));
+        }
+
+        /**
+         * Parses an imported file. Supports Postman v2.1 collections, Postman environments and HAR logs
+         * @param {string} content - the content of the file
+         * @param {string} [fileName=''] - the name of the file, used as the name of the collection in case the file
+         *     does not name it (e.g. HAR logs)
+         * @returns {{type: string, data: Object}} the type of the imported data (`'collection'` or `'environment'`)
+         *     and the imported collection or environment
+         * @throws {Error} in case the content could not be parsed or its format is not supported
+         */
+        function parseImport(content, fileName) {
+            var data = angular.fromJson(content);
+            var name = lodash.defaultTo(fileName, '').replace(/\.[^.]*$/, '');
+
+            if (lodash.includes(lodash.get(data, 'info.schema'), '/collection/v2')) {
+                return {
+                    type: 'collection',
+                    data: parsePostmanCollection(data)
+                };
+            }
+
+            if (lodash.isArray(lodash.get(data, 'log.entries'))) {
+                return {
+                    type: 'collection',
+                    data: parseHarLog(data, name)
+                };
+            }
+
+            if (lodash.isArray(lodash.get(data, 'values'))) {
+                return {
+                    type: 'environment',
+                    data: lodash.assign(createEnvironment(lodash.get(data, 'name', name)), {
+                        variables: getPostmanVariables(data.values)
+                    })
+                };
+            }
+
+            throw new Error('unsupported format');
+        }
+
+        /**
+         * Resolves the `{{variable}}` placeholders in the path, headers and body of an event. Placeholders of
+         * unknown variables are left as-is. The Postman dynamic variables `{{$guid}}`, `{{$timestamp}}` and
+         * `{{$randomInt}}` are supported as well
+         * @param {Object} event - the event
+         * @param {Object} variables - the variables, by name
+         * @returns {Object} a copy of the event with the placeholders resolved
+         */
+        function resolveVariables(event, variables) {
+            var resolvedEvent = angular.copy(event);
+            var attributes = lodash.get(resolvedEvent, 'spec.attributes', {});
+
+            attributes.path = resolveText(attributes.path, variables);
+            attributes.headers = lodash.transform(attributes.headers, function (result, value, key) {
+                result[resolveText(key, variables)] = resolveText(value, variables);
+            }, {});
+
+            if (lodash.isString(lodash.get(resolvedEvent, 'spec.body'))) {
+                resolvedEvent.spec.body = resolveText(resolvedEvent.spec.body, variables);
+            }
+
+            return resolvedEvent;
+        }
+
+        /**
+         * Invokes the events of a collection one after the other, and reports the status, the latency and the
+         * result of the assertions of each one
+         * @param {Object} collection - the collection to run
+         * @param {Object} variables - the variables to resolve in the events
+         * @param {function} invokeEvent - invokes a single (resolved) event, returns a promise that is either
+         *     resolved or rejected with the invocation response (`status`, `statusText`, `headers` and `body`)
+         * @param {Object} [options] - run options
+         * @param {function} [options.isCanceled] - returns `true` when the run should stop before the next event
+         * @param {function} [options.onProgress] - called with the result of each event as soon as it is ready
+         * @returns {Promise.<Array.<Object>>} a promise resolved with the results of the invoked events
+         */
+        function runCollection(collection, variables, invokeEvent, options) {
+            var isCanceled = lodash.get(options, 'isCanceled', lodash.constant(false));
+            var onProgress = lodash.get(options, 'onProgress', lodash.noop);
+            var results = [];
+
+            return lodash.reduce(collection.events, function (promise, event) {
+                return promise.then(function () {
+                    if (isCanceled()) {
+                        return null;
+                    }
+
+                    var startTime = moment();
+
+                    return $q.when(invokeEvent(resolveVariables(event, variables)))
+                        .catch(lodash.identity)
+                        .then(function (invocationData) {
+                            var result = createRunResult(event, invocationData, moment().diff(startTime));
+
+                            results.push(result);
+                            onProgress(result);
+                        });
+                });
+            }, $q.when())
+                .then(function () {
+                    return results;
+                });
+        }
+
+        /**
+         * Stores the collections and environments in the browser's local storage
+         * @param {Object} store - the data to store (as returned by `getStore`)
+         * @returns {Promise} a promise resolved when the data is stored, or rejected in case it could not be stored
+         */
+        function saveStore(store) {
+            try {
+
+                // may throw (e.g. `QuotaExceededError` when local storage is full)
+                LocalStorageService.setItem(STORAGE_NAMESPACE, store);
+            } catch (error) {
+                return $q.reject(error);
+            }
+
+            return $q.when();
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates a HAR log out of a collection
+         * @param {Object} collection - the collection
+         * @param {string} baseUrl - the URL of the function
+         * @param {Object} [variables] - the variables to resolve in the events
+         * @returns {Object} the HAR log
+         */
+        function createHarLog(collection, baseUrl, variables) {
+            var startedDateTime = moment.utc().toISOString();
+
+            return {
+                log: {
+                    version: '1.2',
+                    creator: {
+                        name: 'nuclio',
+                        version: ''
+                    },
+                    pages: [],
+                    entries: lodash.map(collection.events, function (event) {
+                        var resolvedEvent = resolveVariables(event, lodash.defaultTo(variables, {}));
+                        var attributes = resolvedEvent.spec.attributes;
+                        var headers = lodash.map(attributes.headers, function (value, name) {
+                            return {
+                                name: name,
+                                value: lodash.toString(value)
+                            };
+                        });
+                        var entry = {
+                            startedDateTime: startedDateTime,
+                            time: 0,
+                            comment: resolvedEvent.spec.displayName,
+                            request: {
+                                method: attributes.method,
+                                url: baseUrl + getPath(attributes.path),
+                                httpVersion: 'HTTP/1.1',
+                                cookies: [],
+                                headers: headers,
+                                queryString: getQueryParameters(attributes.path, 'name'),
+                                headersSize: -1,
+                                bodySize: lodash.size(resolvedEvent.spec.body)
+                            },
+                            response: {
+                                status: 0,
+                                statusText: '',
+                                httpVersion: 'HTTP/1.1',
+                                cookies: [],
+                                headers: [],
+                                content: {
+                                    size: 0,
+                                    mimeType: ''
+                                },
+                                redirectURL: '',
+                                headersSize: -1,
+                                bodySize: -1
+                            },
+                            cache: {},
+                            timings: {
+                                send: 0,
+                                wait: 0,
+                                receive: 0
+                            }
+                        };
+
+                        if (!lodash.isEmpty(resolvedEvent.spec.body)) {
+                            entry.request.postData = {
+                                mimeType: getHeader(attributes.headers, 'content-type', 'text/plain'),
+                                text: resolvedEvent.spec.body
+                            };
+                        }
+
+                        return entry;
+                    })
+                }
+            };
+        }
+
+        /**
+         * Creates a Postman v2.1 collection out of a collection
+         * @param {Object} collection - the collection
+         * @param {string} baseUrl - the URL of the function, kept in the `baseUrl` variable
+         * @returns {Object} the Postman collection
+         */
+        function createPostmanCollection(collection, baseUrl) {
+            var variables = lodash.defaults({}, collection.variables, { baseUrl: baseUrl });
+
+            return {
+                info: {
+                    _postman_id: collection.id,
+                    name: collection.name,
+                    schema: POSTMAN_COLLECTION_SCHEMA
+                },
+                item: lodash.map(collection.events, function (event) {
+                    var attributes = event.spec.attributes;
+                    var path = getPath(attributes.path);
+                    var item = {
+                        name: event.spec.displayName,
+                        request: {
+                            method: attributes.method,
+                            header: lodash.map(attributes.headers, function (value, key) {
+                                return {
+                                    key: key,
+                                    value: lodash.toString(value)
+                                };
+                            }),
+                            url: {
+                                raw: '{{baseUrl}}' + path,
+                                host: ['{{baseUrl}}'],
+                                path: lodash.compact(path.split('?')[0].split('/')),
+                                query: getQueryParameters(path, 'key')
+                            }
+                        }
+                    };
+
+                    if (!lodash.isEmpty(event.spec.body)) {
+                        item.request.body = {
+                            mode: 'raw',
+                            raw: event.spec.body,
+                            options: {
+                                raw: {
+                                    language: lodash.includes(getHeader(attributes.headers, 'content-type', ''), 'json') ?
+                                        'json' : 'text'
+                                }
+                            }
+                        };
+                    }
+
+                    var testScript = lodash.flatMap(attributes.assertions, getPostmanTestScript);
+                    if (!lodash.isEmpty(testScript)) {
+                        item.event = [{
+                            listen: 'test',
+                            script: {
+                                type: 'text/javascript',
+                                exec: testScript
+                            }
+                        }];
+                    }
+
+                    return item;
+                }),
+                variable: lodash.map(variables, function (value, key) {
+                    return {
+                        key: key,
+                        value: value
+                    };
+                })
+            };
+        }
+
+        /**
+         * Creates the result of running a single collection event
+         * @param {Object} event - the collection event
+         * @param {Object} invocationData - the invocation response
+         * @param {number} latency - the time (in milliseconds) it took to get the response
+         * @returns {Object} the result
+         */
+        function createRunResult(event, invocationData, latency) {
+            var attributes = event.spec.attributes;
+            var status = lodash.get(invocationData, 'status');
+            var failed = !lodash.isNumber(status) || status <= 0;
+            var result = {
+                id: event.id,
+                name: event.spec.displayName,
+                method: attributes.method,
+                path: attributes.path,
+                status: failed ? null : status,
+                statusText: lodash.get(invocationData, 'statusText', ''),
+                latency: latency,
+                error: failed ? lodash.get(invocationData, 'error', lodash.get(invocationData, 'statusText', '')) : null,
+                assertions: failed ? [] : TestEventsAssertionsService.evaluateAssertions(attributes.assertions, {
+                    status: status,
+                    latency: latency,
+                    headers: lodash.get(invocationData, 'headers', {}),
+                    body: lodash.get(invocationData, 'body')
+                })
+            };
+
+            // with no assertions, a successful (2xx) status is what makes the event pass
+            result.passed = !failed && (lodash.isEmpty(result.assertions) ? status >= 200 && status < 300 :
+                                                                            lodash.every(result.assertions, 'passed'));
+
+            return result;
+        }
+
+        /**
+         * Generates a random GUID (like the Postman `{{$guid}}` dynamic variable)
+         * @returns {string} the GUID
+         */
+        function generateGuid() {
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (character) {
+                var random = lodash.random(0, 15);
+
+                return (character === 'x' ? random : random % 4 + 8).toString(16);
+            });
+        }
+
+        /**
+         * Generates a unique identifier for a collection, a collection event or an environment
+         * @returns {string} the identifier
+         */
+        function generateId() {
+            return lodash.now().toString(36) + '-' + lodash.random(0, Math.pow(36, 6)).toString(36);
+        }
+
+        /**
+         * Gets the base URL of the function (with a protocol, and without a trailing slash)
+         * @param {string} url - the invocation URL of the function
+         * @returns {string} the base URL
+         */
+        function getBaseUrl(url) {
+            var baseUrl = lodash.trimEnd(url, '/');
+
+            return baseUrl === '' || /^[a-z][\w+.-]*:\/\//i.test(baseUrl) ? baseUrl : 'http://' + baseUrl;
+        }
+
+        /**
+         * Gets the value of a header, case-insensitively
+         * @param {Object} headers - the headers
+         * @param {string} name - the lower-case name of the header
+         * @param {string} defaultValue - the value to return in case the header is missing
+         * @returns {string} the value of the header
+         */
+        function getHeader(headers, name, defaultValue) {
+            var key = lodash.findKey(headers, function (value, headerName) {
+                return headerName.toLowerCase() === name;
+            });
+
+            return angular.isDefined(key) ? headers[key] : defaultValue;
+        }
+
+        /**
+         * Gets the path of an event, with a leading slash
+         * @param {string} path - the path of the event (may be empty for the root path)
+         * @returns {string} the path
+         */
+        function getPath(path) {
+            var eventPath = lodash.defaultTo(path, '');
+
+            return lodash.startsWith(eventPath, '/') ? eventPath : '/' + eventPath;
+        }
+
+
+        /**
+         * Gets the assertions of a Postman request out of its test scripts. Only the status code and the response
+         * time checks are recognized
+         * @param {Array.<Object>} events - the events (scripts) of the Postman request
+         * @returns {Array.<{type: string, value: number}>} the assertions
+         */
+        function getPostmanAssertions(events) {
+            var script = lodash.chain(events)
+                .filter(['listen', 'test'])
+                .flatMap(function (event) {
+                    return lodash.get(event, 'script.exec', []);
+                })
+                .join('\n')
+                .value();
+            var assertions = [];
+            var match = null;
+
+            var statusPattern = /pm\.response\.to\.have\.status\(\s*(\d{3})\s*\)|responseCode\.code\s*===?\s*(\d{3})/g;
+            while ((match = statusPattern.exec(script)) !== null) {
+                assertions.push({
+                    type: 'status',
+                    value: Number(lodash.defaultTo(match[1], match[2]))
+                });
+            }
+
+            var latencyPattern = /pm\.response\.responseTime\s*\)\.to\.be\.(below|at\.most)\(\s*(\d+)\s*\)/g;
+            while ((match = latencyPattern.exec(script)) !== null) {
+                assertions.push({
+                    type: 'maxLatency',
+                    value: match[1] === 'below' ? Number(match[2]) - 1 : Number(match[2])
+                });
+            }
+
+            return assertions;
+        }
+
+        /**
+         * Gets the body of a Postman request, and sets its content type header when it is missing
+         * @param {Object} body - the body of the Postman request
+         * @param {Object} headers - the headers of the event
+         * @returns {string} the body of the event
+         */
+        function getPostmanBody(body, headers) {
+            var contentType = null;
+            var eventBody = '';
+
+            if (lodash.get(body, 'mode') === 'raw') {
+                eventBody = lodash.defaultTo(body.raw, '');
+                contentType = lodash.get(body, 'options.raw.language') === 'json' ? 'application/json' : 'text/plain';
+            } else if (lodash.get(body, 'mode') === 'urlencoded') {
+                eventBody = lodash.chain(body.urlencoded)
+                    .reject('disabled')
+                    .map(function (parameter) {
+                        return encodeURIComponent(parameter.key) + '=' +
+                            encodeURIComponent(lodash.defaultTo(parameter.value, ''));
+                    })
+                    .join('&')
+                    .value();
+                contentType = 'application/x-www-form-urlencoded';
+            } else if (lodash.get(body, 'mode') === 'graphql') {
+                eventBody = angular.toJson({
+                    query: lodash.get(body, 'graphql.query', ''),
+                    variables: parseJson(lodash.get(body, 'graphql.variables'))
+                });
+                contentType = 'application/json';
+            }
+
+            if (contentType !== null && lodash.isNull(getHeader(headers, 'content-type', null))) {
+                headers['Content-Type'] = contentType;
+            }
+
+            return eventBody;
+        }
+
+        /**
+         * Gets the events of a list of Postman items, flattening folders (the name of each event is prefixed by the
+         * names of the folders it is in)
+         * @param {Array.<Object>} items - the Postman items
+         * @param {string} prefix - the prefix of the names of the events
+         * @returns {Array.<Object>} the collection events
+         */
+        function getPostmanEvents(items, prefix) {
+            return lodash.flatMap(items, function (item) {
+                if (lodash.isArray(item.item)) {
+                    return getPostmanEvents(item.item, prefix + item.name + ' / ');
+                }
+
+                var request = lodash.isString(item.request) ? { url: item.request } : lodash.defaultTo(item.request, {});
+                var headers = lodash.chain(request.header)
+                    .reject('disabled')
+                    .keyBy('key')
+                    .mapValues('value')
+                    .value();
+                var body = getPostmanBody(request.body, headers);
+
+                return createCollectionEvent({
+                    spec: {
+                        displayName: prefix + lodash.defaultTo(item.name, ''),
+                        attributes: {
+                            method: lodash.toUpper(lodash.defaultTo(request.method, 'GET')),
+                            headers: headers,
+                            path: getPostmanPath(request.url)
+                        },
+                        body: body
+                    }
+                }, getPostmanAssertions(item.event));
+            });
+        }
+
+        /**
+         * Gets the path (and query) of the URL of a Postman request
+         * @param {string|Object} url - the URL of the Postman request
+         * @returns {string} the path of the event
+         */
+        function getPostmanPath(url) {
+            if (!lodash.isArray(lodash.get(url, 'path'))) {
+                return getUrlPath(lodash.isString(url) ? url : lodash.get(url, 'raw', ''));
+            }
+
+            var query = lodash.chain(url.query)
+                .reject('disabled')
+                .map(function (parameter) {
+                    return lodash.isNil(parameter.value) ? parameter.key : parameter.key + '=' + parameter.value;
+                })
+                .join('&')
+                .value();
+            var path = '/' + lodash.map(url.path, function (segment) {
+                return lodash.get(segment, 'value', segment);
+            }).join('/');
+
+            return query === '' ? path : path + '?' + query;
+        }
+
+        /**
+         * Gets the lines of a Postman test script that checks an assertion. Only the status code and the response
+         * time assertions are exported
+         * @param {{type: string, value: number}} assertion - the assertion
+         * @returns {Array.<string>} the lines of the script
+         */
+        function getPostmanTestScript(assertion) {
+            var scripts = {
+                maxLatency: [
+                    'pm.test("Response time is at most ' + assertion.value + 'ms", function () {',
+                    '    pm.expect(pm.response.responseTime).to.be.at.most(' + assertion.value + ');',
+                    '});'
+                ],
+                status: [
+                    'pm.test("Status code is ' + assertion.value + '", function () {',
+                    '    pm.response.to.have.status(' + assertion.value + ');',
+                    '});'
+                ]
+            };
+
+            return lodash.get(scripts, assertion.type, []);
+        }
+
+        /**
+         * Converts a list of Postman variables to variables by name
+         * @param {Array.<{key: string, value: *, enabled: boolean, disabled: boolean}>} variables - the Postman
+         *     variables
+         * @returns {Object} the variables, by name
+         */
+        function getPostmanVariables(variables) {
+            return lodash.chain(variables)
+                .reject(function (variable) {
+                    return variable.disabled === true || variable.enabled === false;
+                })
+                .keyBy('key')
+                .mapValues(function (variable) {
+                    return lodash.toString(variable.value);
+                })
+                .value();
+        }
+
+        /**
+         * Gets the query parameters of a path
+         * @param {string} path - the path
+         * @param {string} nameKey - the key of the name of each parameter (`'key'` for Postman, `'name'` for HAR)
+         * @returns {Array.<Object>} the query parameters
+         */
+        function getQueryParameters(path, nameKey) {
+            var query = lodash.defaultTo(path, '').split('?')[1];
+
+            return lodash.chain(query)
+                .split('&')
+                .compact()
+                .map(function (parameter) {
+                    var parts = parameter.split('=');
+                    var result = { value: parts.slice(1).join('=') };
+                    result[nameKey] = parts[0];
+
+                    return result;
+                })
+                .value();
+        }
+
+        /**
+         * Gets the path (and query) of a URL
+         * @param {string} url - the URL (e.g. `'http://host:8080/path?query'` or `'{{host}}/path'`)
+         * @returns {string} the path (e.g. `'/path?query'`), or an empty string for the root path
+         */
+        function getUrlPath(url) {
+            var withoutProtocol = lodash.defaultTo(url, '').replace(/^[a-z][\w+.-]*:\/\//i, '');
+            var pathIndex = withoutProtocol.search(/[/?]/);
+            var path = pathIndex === -1 ? '' : withoutProtocol.slice(pathIndex);
+
+            return lodash.startsWith(path, '?') ? '/' + path : path;
+        }
+
+        /**
+         * Parses a HAR log into a collection. The status of each recorded response becomes a status assertion
+         * @param {Object} data - the HAR log
+         * @param {string} name - the name of the collection
+         * @returns {Object} the collection
+         */
+        function parseHarLog(data, name) {
+            return lodash.assign(createCollection(name), {
+                events: lodash.map(data.log.entries, function (entry) {
+                    var request = lodash.defaultTo(entry.request, {});
+                    var path = getUrlPath(request.url);
+                    var headers = lodash.chain(request.headers)
+                        .reject(function (header) {
+                            return lodash.startsWith(header.name, ':') ||
+                                lodash.includes(HAR_HIDDEN_HEADERS, lodash.toLower(header.name));
+                        })
+                        .keyBy('name')
+                        .mapValues('value')
+                        .value();
+                    var mimeType = lodash.get(request, 'postData.mimeType');
+                    var status = lodash.get(entry, 'response.status', 0);
+
+                    if (!lodash.isEmpty(mimeType) && lodash.isNull(getHeader(headers, 'content-type', null))) {
+                        headers['Content-Type'] = mimeType;
+                    }
+
+                    return createCollectionEvent({
+                        spec: {
+                            displayName: lodash.defaultTo(entry.comment, request.method + ' ' + getPath(path)),
+                            attributes: {
+                                method: lodash.toUpper(request.method),
+                                headers: headers,
+                                path: path
+                            },
+                            body: lodash.get(request, 'postData.text', '')
+                        }
+                    }, status > 0 ? [{ type: 'status', value: status }] : []);
+                })
+            });
+        }
+
+        /**
+         * Parses a JSON string, leaving it as-is in case it is not a valid JSON
+         * @param {string} value - the JSON string
+         * @returns {*} the parsed value
+         */
+        function parseJson(value) {
+            try {
+                return angular.fromJson(value);
+            } catch (error) {
+                return value;
+            }
+        }
+
+        /**
+         * Parses a Postman v2.1 collection into a collection
+         * @param {Object} data - the Postman collection
+         * @returns {Object} the collection
+         */
+        function parsePostmanCollection(data) {
+            return lodash.assign(createCollection(lodash.get(data, 'info.name', '')), {
+                variables: getPostmanVariables(data.variable),
+                events: getPostmanEvents(data.item, '')
+            });
+        }
+
+        /**
+         * Resolves the `{{variable}}` placeholders in a text
+         * @param {string} text - the text
+         * @param {Object} variables - the variables, by name
+         * @returns {string} the text with the placeholders resolved
+         */
+        function resolveText(text, variables) {
+            if (!lodash.isString(text)) {
+                return text;
+            }
+
+            return text.replace(VARIABLE_PATTERN, function (placeholder, name) {
+                return lodash.has(variables, [name]) ? lodash.toString(variables[name])        :
+                       name === '$guid'             ? generateGuid()                          :
+                       name === '$timestamp'        ? lodash.toString(moment().unix())        :
+                       name === '$randomInt'        ? lodash.toString(lodash.random(0, 1000)) :
+                       /* else */                     placeholder;
+            });
+        }
+    }
+}());
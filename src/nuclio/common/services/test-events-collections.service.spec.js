@@ -0,0 +1,415 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('TestEventsCollectionsService: ', function () {
+    var $q;
+    var $rootScope;
+    var LocalStorageService;
+    var TestEventsCollectionsService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _LocalStorageService_, _TestEventsCollectionsService_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            LocalStorageService = _LocalStorageService_;
+            TestEventsCollectionsService = _TestEventsCollectionsService_;
+        });
+
+        LocalStorageService.removeItem('testEventsCollections');
+    });
+
+    afterEach(function () {
+        LocalStorageService.removeItem('testEventsCollections');
+
+        $q = null;
+        $rootScope = null;
+        LocalStorageService = null;
+        TestEventsCollectionsService = null;
+    });
+
+    /**
+     * Creates a collection event
+     * @param {string} name - the name of the event
+     * @param {string} path - the path of the event
+     * @param {Array.<Object>} [assertions] - the assertions of the event
+     * @returns {Object} the collection event
+     */
+    function createEvent(name, path, assertions) {
+        return TestEventsCollectionsService.createCollectionEvent({
+            spec: {
+                displayName: name,
+                attributes: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer {{token}}' },
+                    path: path
+                },
+                body: '{"host": "{{host}}"}'
+            }
+        }, assertions);
+    }
+
+    describe('parseImport(): ', function () {
+        it('should parse a Postman v2.1 collection with folders, variables and tests', function () {
+            var postmanCollection = {
+                info: {
+                    name: 'QA',
+                    schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+                },
+                item: [
+                    {
+                        name: 'users',
+                        item: [{
+                            name: 'create',
+                            request: {
+                                method: 'post',
+                                header: [
+                                    { key: 'X-Token', value: '{{token}}' },
+                                    { key: 'X-Disabled', value: 'a', disabled: true }
+                                ],
+                                url: {
+                                    raw: '{{host}}/users?verbose=1',
+                                    host: ['{{host}}'],
+                                    path: ['users'],
+                                    query: [{ key: 'verbose', value: '1' }]
+                                },
+                                body: { mode: 'raw', raw: '{"a": 1}', options: { raw: { language: 'json' } } }
+                            },
+                            event: [{
+                                listen: 'test',
+                                script: {
+                                    exec: [
+                                        'pm.test("ok", function () {',
+                                        '    pm.response.to.have.status(201);',
+                                        '    pm.expect(pm.response.responseTime).to.be.below(300);',
+                                        '});'
+                                    ]
+                                }
+                            }]
+                        }]
+                    },
+                    {
+                        name: 'health',
+                        request: 'http://localhost:8080/healthz'
+                    },
+                    {
+                        name: 'form',
+                        request: {
+                            method: 'PUT',
+                            url: '{{host}}',
+                            body: {
+                                mode: 'urlencoded',
+                                urlencoded: [{ key: 'a b', value: '1' }, { key: 'c', value: '2', disabled: true }]
+                            }
+                        }
+                    }
+                ],
+                variable: [{ key: 'token', value: 'abc' }, { key: 'old', value: 'x', disabled: true }]
+            };
+
+            var result = TestEventsCollectionsService.parseImport(angular.toJson(postmanCollection));
+
+            expect(result.type).toEqual('collection');
+            expect(result.data.name).toEqual('QA');
+            expect(result.data.variables).toEqual({ token: 'abc' });
+            expect(result.data.events.length).toEqual(3);
+
+            expect(result.data.events[0].spec).toEqual({
+                displayName: 'users / create',
+                triggerKind: 'http',
+                attributes: {
+                    method: 'POST',
+                    headers: { 'X-Token': '{{token}}', 'Content-Type': 'application/json' },
+                    path: '/users?verbose=1',
+                    assertions: [
+                        { type: 'status', value: 201 },
+                        { type: 'maxLatency', value: 299 }
+                    ]
+                },
+                body: '{"a": 1}'
+            });
+
+            expect(result.data.events[1].spec.attributes).toEqual({
+                method: 'GET',
+                headers: {},
+                path: '/healthz',
+                assertions: []
+            });
+            expect(result.data.events[1].spec.body).toEqual('');
+
+            expect(result.data.events[2].spec.attributes).toEqual({
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                path: '',
+                assertions: []
+            });
+            expect(result.data.events[2].spec.body).toEqual('a%20b=1');
+        });
+
+        it('should parse a HAR log', function () {
+            var harLog = {
+                log: {
+                    version: '1.2',
+                    entries: [{
+                        request: {
+                            method: 'POST',
+                            url: 'https://example.com:32000/api/items',
+                            headers: [
+                                { name: ':authority', value: 'example.com' },
+                                { name: 'Host', value: 'example.com' },
+                                { name: 'Accept', value: '*/*' }
+                            ],
+                            postData: { mimeType: 'application/json', text: '{"id": 1}' }
+                        },
+                        response: { status: 200 }
+                    }]
+                }
+            };
+
+            var result = TestEventsCollectionsService.parseImport(angular.toJson(harLog), 'recording.har');
+
+            expect(result.type).toEqual('collection');
+            expect(result.data.name).toEqual('recording');
+            expect(result.data.events[0].spec).toEqual({
+                displayName: 'POST /api/items',
+                triggerKind: 'http',
+                attributes: {
+                    method: 'POST',
+                    headers: { 'Accept': '*/*', 'Content-Type': 'application/json' },
+                    path: '/api/items',
+                    assertions: [{ type: 'status', value: 200 }]
+                },
+                body: '{"id": 1}'
+            });
+        });
+
+        it('should parse a Postman environment', function () {
+            var postmanEnvironment = {
+                name: 'staging',
+                values: [{ key: 'host', value: 'staging:8080', enabled: true }, { key: 'x', value: 1, enabled: false }],
+                _postman_variable_scope: 'environment'
+            };
+
+            var result = TestEventsCollectionsService.parseImport(angular.toJson(postmanEnvironment));
+
+            expect(result.type).toEqual('environment');
+            expect(result.data.name).toEqual('staging');
+            expect(result.data.variables).toEqual({ host: 'staging:8080' });
+        });
+
+        it('should throw on unsupported content', function () {
+            expect(function () {
+                TestEventsCollectionsService.parseImport('{"a": 1}');
+            }).toThrowError('unsupported format');
+
+            expect(function () {
+                TestEventsCollectionsService.parseImport('not json');
+            }).toThrow();
+        });
+    });
+
+    describe('exportCollection(): ', function () {
+        it('should export a Postman collection that could be imported back', function () {
+            var collection = TestEventsCollectionsService.createCollection('QA');
+            collection.variables = { token: 'abc' };
+            collection.events = [createEvent('create', '/users?verbose=1', [
+                { type: 'status', value: 201 },
+                { type: 'maxLatency', value: 500 }
+            ])];
+
+            var exported = angular.fromJson(TestEventsCollectionsService.exportCollection(collection, 'postman', {
+                baseUrl: 'localhost:32000'
+            }));
+
+            expect(exported.info.schema).toEqual('https://schema.getpostman.com/json/collection/v2.1.0/collection.json');
+            expect(exported.item[0].request.url).toEqual({
+                raw: '{{baseUrl}}/users?verbose=1',
+                host: ['{{baseUrl}}'],
+                path: ['users'],
+                query: [{ key: 'verbose', value: '1' }]
+            });
+            expect(exported.item[0].request.body.options.raw.language).toEqual('json');
+            expect(exported.variable).toEqual([
+                { key: 'token', value: 'abc' },
+                { key: 'baseUrl', value: 'http://localhost:32000' }
+            ]);
+
+            var imported = TestEventsCollectionsService.parseImport(angular.toJson(exported)).data;
+
+            expect(imported.events[0].spec).toEqual(collection.events[0].spec);
+        });
+
+        it('should export a HAR log with the variables resolved', function () {
+            var collection = TestEventsCollectionsService.createCollection('QA');
+            collection.events = [createEvent('create', 'users?id=1')];
+
+            var exported = angular.fromJson(TestEventsCollectionsService.exportCollection(collection, 'har', {
+                baseUrl: 'https://localhost:32000/',
+                variables: { token: 'abc', host: 'h' }
+            }));
+            var request = exported.log.entries[0].request;
+
+            expect(exported.log.version).toEqual('1.2');
+            expect(request.url).toEqual('https://localhost:32000/users?id=1');
+            expect(request.headers).toContain({ name: 'Authorization', value: 'Bearer abc' });
+            expect(request.queryString).toEqual([{ name: 'id', value: '1' }]);
+            expect(request.postData).toEqual({ mimeType: 'application/json', text: '{"host": "h"}' });
+        });
+    });
+
+    describe('resolveVariables(): ', function () {
+        it('should resolve known variables and keep unknown ones', function () {
+            var event = createEvent('create', '/{{version}}/users/{{id}}');
+
+            var resolved = TestEventsCollectionsService.resolveVariables(event, { version: 'v1', token: 'abc' });
+
+            expect(resolved.spec.attributes.path).toEqual('/v1/users/{{id}}');
+            expect(resolved.spec.attributes.headers.Authorization).toEqual('Bearer abc');
+            expect(resolved.spec.body).toEqual('{"host": "{{host}}"}');
+            expect(event.spec.attributes.path).toEqual('/{{version}}/users/{{id}}');
+        });
+
+        it('should resolve dynamic variables', function () {
+            var event = createEvent('create', '/{{$guid}}/{{$timestamp}}');
+
+            var path = TestEventsCollectionsService.resolveVariables(event, {}).spec.attributes.path;
+
+            expect(path).toMatch(/^\/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\/\d+$/);
+        });
+    });
+
+    describe('getVariables(): ', function () {
+        it('should let the variables of the environment override the variables of the collection', function () {
+            var collection = { variables: { host: 'a', token: 't' } };
+            var environment = { variables: { host: 'b' } };
+
+            expect(TestEventsCollectionsService.getVariables(collection, environment)).toEqual({ host: 'b', token: 't' });
+            expect(TestEventsCollectionsService.getVariables()).toEqual({});
+        });
+    });
+
+    describe('getStore(): ', function () {
+        it('should get the data stored by `saveStore`', function () {
+            var store = TestEventsCollectionsService.getStore();
+            var collection = TestEventsCollectionsService.createCollection('QA');
+
+            expect(store).toEqual({
+                collections: [],
+                environments: [],
+                activeCollectionId: null,
+                activeEnvironmentId: null
+            });
+
+            store.collections.push(collection);
+            store.activeCollectionId = collection.id;
+            TestEventsCollectionsService.saveStore(store);
+
+            expect(TestEventsCollectionsService.getStore()).toEqual(jasmine.objectContaining({
+                collections: [collection],
+                activeCollectionId: collection.id
+            }));
+        });
+    });
+
+    describe('saveStore(): ', function () {
+        it('should reject in case local storage is full', function () {
+            var error = new Error('QuotaExceededError');
+            var rejection = null;
+
+            spyOn(LocalStorageService, 'setItem').and.throwError(error);
+
+            TestEventsCollectionsService.saveStore(TestEventsCollectionsService.getStore())
+                .catch(function (reason) {
+                    rejection = reason;
+                });
+            $rootScope.$digest();
+
+            expect(rejection).toBe(error);
+        });
+    });
+
+    describe('runCollection(): ', function () {
+        it('should invoke the events one after the other and report their results', function () {
+            var collection = TestEventsCollectionsService.createCollection('QA');
+            collection.events = [
+                createEvent('first', '/{{id}}', [{ type: 'status', value: 201 }]),
+                createEvent('second', '/'),
+                createEvent('third', '/')
+            ];
+            var invokedPaths = [];
+            var progress = [];
+            var responses = [
+                $q.resolve({ status: 200, statusText: 'OK' }),
+                $q.reject({ status: 200, statusText: 'OK' }),
+                $q.reject({ status: -1, error: 'timeout' })
+            ];
+            var results = null;
+
+            TestEventsCollectionsService.runCollection(collection, { id: '7' }, function (eventData) {
+                invokedPaths.push(eventData.spec.attributes.path);
+
+                return responses[invokedPaths.length - 1];
+            }, {
+                onProgress: function (result) {
+                    progress.push(result.name);
+                }
+            }).then(function (response) {
+                results = response;
+            });
+            $rootScope.$digest();
+
+            expect(invokedPaths).toEqual(['/7', '/', '/']);
+            expect(progress).toEqual(['first', 'second', 'third']);
+
+            expect(results[0].status).toEqual(200);
+            expect(results[0].assertions).toEqual([
+                { type: 'status', expected: 201, actual: 200, passed: false, error: null }
+            ]);
+            expect(results[0].passed).toBe(false);
+            expect(results[0].latency).toEqual(jasmine.any(Number));
+
+            expect(results[1].assertions).toEqual([]);
+            expect(results[1].passed).toBe(true);
+
+            expect(results[2].status).toBeNull();
+            expect(results[2].error).toEqual('timeout');
+            expect(results[2].passed).toBe(false);
+        });
+
+        it('should stop before the next event once canceled', function () {
+            var collection = TestEventsCollectionsService.createCollection('QA');
+            collection.events = [createEvent('first', '/'), createEvent('second', '/')];
+            var canceled = false;
+            var results = null;
+
+            TestEventsCollectionsService.runCollection(collection, {}, function () {
+                canceled = true;
+
+                return $q.resolve({ status: 200 });
+            }, {
+                isCanceled: function () {
+                    return canceled;
+                }
+            }).then(function (response) {
+                results = response;
+            });
+            $rootScope.$digest();
+
+            expect(results.length).toEqual(1);
+        });
+    });
+});
@@ -0,0 +1,1081 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name TriggerSchemaService
+     * @description
+     * Holds the JSON Schema documents describing the trigger kinds, and derives from them the class list rendered
+     * and validated by `nclEditItem`. Each schema describes a whole trigger object, and is identified by the `const`
+     * value of its `kind` property.
+     *
+     * The `title` and `description` of a property are used as the label and the tooltip of its field (both may be
+     * i18n keys), `format: 'password'` marks a secret, and an optional `x-ui` object holds presentation hints:
+     *     - `name` - the form field name (defaults to the property name)
+     *     - `widget` - `'input'`, `'dropdown'`, `'schedule'` or `'key-value'` (the latter has a dedicated block), a
+     *       `format: 'password'` property with an `'input'` widget is rendered as a plain input
+     *     - `pattern` - key of the validation rules provided to `nclEditItem` to validate the field by
+     *     - `advanced` - shows the field in the "Advanced" section (`'kube'` or `'local'` to do so only on this platform)
+     *     - `platform` - `'kube'` or `'local'`, shows the field only on this platform
+     *     - `placeholder`, `unit` - i18n keys or plain text
+     *     - `autocomplete` - the `autocomplete` attribute of the field
+     *     - `descriptionIconType`, `descriptionOpen` - the icon type and the initial state of the description tooltip
+     *     - `values` - the sub-fields of a `'key-value'` widget
+     *     - `defaultFrom`, `descriptionDefaultFrom` - paths in the default function config to take the default value
+     *       of the field, or the `default` interpolated in its description, from
+     *     - `valuesFrom` - path in the additional data to take the values of a dropdown from
+     *     - `order` - (root only) list of field paths to order the fields by
+     *
+     * Hosts may register additional trigger kinds (or override the built-in ones) in a config block:
+     *     angular.module('app').config(function (TriggerSchemaServiceProvider) {
+     *         TriggerSchemaServiceProvider.registerSchema(schema);
+     *     });
+     * or at runtime by `TriggerSchemaService.registerSchema(schema)`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .provider('TriggerSchemaService', TriggerSchemaServiceProvider);
+
+    function TriggerSchemaServiceProvider(lodash) {
+        var JSON_SCHEMA_VERSION = 'http://json-schema.org/draft-07/schema#';
+        var schemas = [];
+
+        lodash.forEach(getBuiltInSchemas(), registerSchema);
+
+        this.registerSchema = registerSchema;
+        this.$get = TriggerSchemaService;
+
+        /**
+         * Creates the service instance.
+         * @returns {Object} the service
+         */
+        function TriggerSchemaService($i18next, i18next, ConfigService, JsonSchemaService, MaskService) {
+            return {
+                exportSchema: exportSchema,
+                getSchema: getSchema,
+                getSchemas: getSchemas,
+                getSecretPaths: getSecretPaths,
+                getTriggerClasses: getTriggerClasses,
+                isConditionMet: isConditionMet,
+                maskSecrets: maskSecrets,
+                registerSchema: registerSchema,
+                unregisterSchema: unregisterSchema,
+                validate: validate
+            };
+
+            //
+            // Public methods
+            //
+
+            /**
+             * Returns a single JSON Schema document describing a trigger of any of the registered kinds.
+             * @returns {Object} the JSON Schema document
+             */
+            function exportSchema() {
+                return {
+                    $schema: JSON_SCHEMA_VERSION,
+                    title: 'Trigger',
+                    type: 'object',
+                    required: ['kind'],
+                    oneOf: lodash.map(schemas, function (schema) {
+                        return lodash.omit(lodash.cloneDeep(schema), '$schema');
+                    })
+                };
+            }
+
+            /**
+             * Returns the paths of the secret properties of a trigger kind.
+             * @param {string} kind - The trigger kind.
+             * @returns {Array.<string>} the paths of the properties marked with `format: 'password'`
+             */
+            function getSecretPaths(kind) {
+                return collectSecretPaths(getSchema(kind), '');
+            }
+
+            /**
+             * Returns the trigger class list rendered by `nclEditItem`, derived from the registered schemas.
+             * @param {Object} [options]
+             * @param {Object} [options.additionalData] - Data to populate the fields by (e.g. `containers`).
+             * @param {boolean} [options.isKubePlatform=false] - Whether the platform is Kubernetes.
+             * @returns {Array.<Object>} the trigger classes
+             */
+            function getTriggerClasses(options) {
+                return lodash.map(schemas, function (schema) {
+                    return getTriggerClass(schema, lodash.defaultTo(options, {}));
+                });
+            }
+
+            /**
+             * Tests whether all the conditions of a field are met by an item.
+             * @param {Object} item - The item to test.
+             * @param {Array.<Object>} [conditions] - The conditions, each with a `basePath`, an `if` `schema` and
+             *     whether it is `negated` (i.e. the field belongs to the `else` branch).
+             * @returns {boolean} `true` in case all the conditions are met, or `false` otherwise
+             */
+            function isConditionMet(item, conditions) {
+                return lodash.every(conditions, function (condition) {
+                    var value = lodash.isEmpty(condition.basePath) ? item : lodash.get(item, condition.basePath);
+                    var isValid = lodash.isEmpty(JsonSchemaService.validate(condition.schema, value, condition.basePath));
+
+                    return condition.negated ? !isValid : isValid;
+                });
+            }
+
+            /**
+             * Returns a copy of a trigger with the values of its secret properties masked.
+             * @param {Object} trigger - The trigger.
+             * @returns {Object} the masked copy of the trigger
+             */
+            function maskSecrets(trigger) {
+                var maskedTrigger = lodash.cloneDeep(lodash.omit(trigger, 'ui'));
+
+                lodash.forEach(getSecretPaths(lodash.get(trigger, 'kind')), function (path) {
+                    if (lodash.has(maskedTrigger, path)) {
+                        lodash.update(maskedTrigger, path, MaskService.getMask);
+                    }
+                });
+
+                return maskedTrigger;
+            }
+
+            /**
+             * Validates a trigger by the schema of its kind.
+             * @param {Object} trigger - The trigger.
+             * @returns {Array.<{keyword: string, path: string}>} the violations (empty in case the trigger is valid,
+             *     or its kind is not registered)
+             */
+            function validate(trigger) {
+                var schema = getSchema(lodash.get(trigger, 'kind'));
+
+                return lodash.isNil(schema) ? [] : JsonSchemaService.validate(schema, lodash.omit(trigger, 'ui'));
+            }
+
+            //
+            // Private methods
+            //
+
+            /**
+             * Collects the paths of the secret properties of a schema.
+             * @param {Object} schema - The schema.
+             * @param {string} basePath - The path of the schema.
+             * @returns {Array.<string>} the paths
+             */
+            function collectSecretPaths(schema, basePath) {
+                return lodash.flatMap(lodash.get(schema, 'properties'), function (propertySchema, key) {
+                    var path = joinPath(basePath, key);
+
+                    return propertySchema.format === 'password' ? [path] : collectSecretPaths(propertySchema, path);
+                });
+            }
+
+            /**
+             * Creates the field of a property.
+             * @param {Object} schema - The property schema.
+             * @param {string} key - The property name.
+             * @param {string} path - The property path.
+             * @param {boolean} isRequired - Whether the property is required.
+             * @param {Object} options - See `getTriggerClasses`.
+             * @param {Array.<Object>} conditions - The conditions of the field, see `isConditionMet`.
+             * @returns {Object} the field
+             */
+            function createField(schema, key, path, isRequired, options, conditions) {
+                var ui = lodash.get(schema, 'x-ui', {});
+                var defaultFunctionConfig = lodash.get(ConfigService, 'nuclio.defaultFunctionConfig.attributes', {});
+                var platform = options.isKubePlatform ? 'kube' : 'local';
+                var field = {
+                    name: lodash.defaultTo(ui.name, key),
+                    path: path,
+                    allowEmpty: !isRequired,
+                    defaultValue: lodash.isNil(ui.defaultFrom) ? schema.default :
+                        lodash.get(defaultFunctionConfig, ui.defaultFrom, schema.default),
+                    isAdvanced: resolvePlatformHint(ui.advanced, platform),
+                    visible: lodash.isNil(ui.platform) || ui.platform === platform,
+                    pattern: ui.pattern,
+                    autocomplete: ui.autocomplete,
+                    enableTyping: ui.enableTyping,
+                    label: translate(schema.title),
+                    placeholder: translate(ui.placeholder),
+                    unit: translate(ui.unit),
+                    moreInfoDescription: translate(schema.description, {
+                        default: lodash.get(defaultFunctionConfig, ui.descriptionDefaultFrom, '')
+                    }),
+                    moreInfoHtml: ui.descriptionHtml,
+                    moreInfoIconType: ui.descriptionIconType,
+                    moreInfoOpen: ui.descriptionOpen,
+                    values: ui.values,
+                    validationRules: getValidationRules(schema)
+                };
+
+                if (!lodash.isEmpty(conditions)) {
+                    field.conditions = conditions;
+                }
+
+                lodash.assign(field, getFieldTypeProperties(schema, ui, options));
+
+                if (field.type === 'dropdown' && lodash.has(ui, 'valuesFrom') && lodash.isNil(field.defaultValue)) {
+                    field.defaultValue = lodash.get(options.additionalData, ui.valuesFrom + '[0].id', '');
+                }
+
+                if (field.type === 'array') {
+                    field.allowEmpty = field.allowEmpty && !field.minItems;
+                    field.itemDefaultValue = getDefaultValue(field.fields);
+                    field.defaultValue = lodash.defaultTo(field.defaultValue, lodash.times(field.minItems, function () {
+                        return lodash.cloneDeep(field.itemDefaultValue);
+                    }));
+                }
+
+                return lodash.omitBy(field, lodash.isUndefined);
+            }
+
+            /**
+             * Returns the type-related field properties of an array property.
+             * Arrays of objects are edited item by item, other arrays as comma-delimited lists.
+             * @param {Object} schema - The property schema.
+             * @param {Object} ui - The presentation hints of the property.
+             * @param {Object} options - See `getTriggerClasses`.
+             * @returns {Object} the type-related field properties
+             */
+            function getArrayTypeProperties(schema, ui, options) {
+                var itemsType = lodash.get(schema, 'items.type');
+
+                return itemsType === 'object' ? {
+                    type: 'array',
+                    minItems: lodash.defaultTo(schema.minItems, 0),
+                    fields: getFields(schema.items, '', options, [])
+                } : lodash.includes(['integer', 'number'], itemsType) ? { type: 'arrayInt' } : {
+                    type: 'input',
+                    fieldType: 'input',
+                    pattern: lodash.defaultTo(ui.pattern, 'arrayStr')
+                };
+            }
+
+            /**
+             * Returns an object with the default values of fields set on their paths.
+             * @param {Array.<Object>} fields - The fields.
+             * @returns {Object} the default value
+             */
+            function getDefaultValue(fields) {
+                return lodash.reduce(fields, function (value, field) {
+                    if (!lodash.isUndefined(field.defaultValue)) {
+                        lodash.set(value, field.path, lodash.cloneDeep(field.defaultValue));
+                    }
+
+                    return value;
+                }, {});
+            }
+
+            /**
+             * Returns the dropdown values of an enumeration property.
+             * The values are taken from `enum`, or from `oneOf` in case all of its sub-schemas have a `const`.
+             * @param {Object} schema - The property schema.
+             * @returns {Array.<Object>} the dropdown values (empty in case the property is not an enumeration)
+             */
+            function getEnumValues(schema) {
+                if (lodash.isArray(schema.enum)) {
+                    return lodash.map(schema.enum, function (value) {
+                        return {
+                            id: value,
+                            name: lodash.upperFirst(String(value)),
+                            visible: true
+                        };
+                    });
+                }
+
+                var isConstList = lodash.isArray(schema.oneOf) && lodash.every(schema.oneOf, function (option) {
+                    return lodash.has(option, 'const');
+                });
+
+                return isConstList ?
+                    lodash.map(schema.oneOf, function (option) {
+                        return {
+                            id: option.const,
+                            name: lodash.defaultTo(translate(option.title), lodash.upperFirst(String(option.const))),
+                            visible: true
+                        };
+                    }) : [];
+            }
+
+            /**
+             * Returns the properties of a field determined by the type of its property.
+             * @param {Object} schema - The property schema.
+             * @param {Object} ui - The presentation hints of the property.
+             * @param {Object} options - See `getTriggerClasses`.
+             * @returns {Object} the type-related field properties
+             */
+            function getFieldTypeProperties(schema, ui, options) {
+                var enumValues = getEnumValues(schema);
+                var getTypeProperties = lodash.get({
+                    array: getArrayTypeProperties,
+                    boolean: lodash.constant({ type: 'checkbox' }),
+                    integer: getNumberTypeProperties,
+                    number: getNumberTypeProperties
+                }, schema.type, getStringTypeProperties);
+
+                if (ui.widget === 'key-value') {
+                    return { type: 'key-value' };
+                } else if (ui.widget === 'dropdown' || !lodash.isEmpty(enumValues)) {
+                    return {
+                        type: 'dropdown',
+                        values: lodash.has(ui, 'valuesFrom') ? lodash.get(options.additionalData, ui.valuesFrom, []) :
+                            enumValues
+                    };
+                }
+
+                return getTypeProperties(schema, ui, options);
+            }
+
+            /**
+             * Returns the fields of the properties of an object schema.
+             * Nested objects are flattened, and the properties of the `then`/`else` branches of an `if` conditional
+             * are shown only while the condition holds (or does not hold, respectively).
+             * @param {Object} schema - The object schema.
+             * @param {string} basePath - The path of the object.
+             * @param {Object} options - See `getTriggerClasses`.
+             * @param {Array.<Object>} conditions - The conditions inherited from the enclosing branches.
+             * @returns {Array.<Object>} the fields
+             */
+            function getFields(schema, basePath, options, conditions) {
+                var fields = lodash.flatMap(schema.properties, function (propertySchema, key) {
+                    var path = joinPath(basePath, key);
+                    var isNestedObject = propertySchema.type === 'object' && lodash.has(propertySchema, 'properties') &&
+                        lodash.get(propertySchema, 'x-ui.widget') !== 'key-value';
+
+                    return isNestedObject ? getFields(propertySchema, path, options, conditions) :
+                        [createField(propertySchema, key, path, lodash.includes(schema.required, key), options,
+                                     conditions)];
+                });
+
+                if (lodash.has(schema, 'if')) {
+                    lodash.forEach(['then', 'else'], function (branchName) {
+                        var branch = schema[branchName];
+                        var condition = {
+                            basePath: basePath,
+                            schema: schema.if,
+                            negated: branchName === 'else'
+                        };
+
+                        if (lodash.isPlainObject(branch)) {
+                            lodash.forEach(branch.required, function (key) {
+                                var field = lodash.find(fields, ['path', joinPath(basePath, key)]);
+
+                                if (!lodash.isNil(field)) {
+                                    field.requiredIf = condition;
+                                }
+                            });
+
+                            fields = fields.concat(lodash.reject(getFields(branch, basePath, options,
+                                                                           conditions.concat(condition)),
+                                                                 function (field) {
+                                                                     return lodash.some(fields, ['path', field.path]);
+                                                                 }));
+                        }
+                    });
+                }
+
+                return fields;
+            }
+
+            /**
+             * Returns the type-related field properties of a numeric property.
+             * @param {Object} schema - The property schema.
+             * @param {Object} ui - The presentation hints of the property.
+             * @returns {Object} the type-related field properties
+             */
+            function getNumberTypeProperties(schema, ui) {
+                return ui.widget === 'input' ?
+                    { type: 'input', fieldType: 'input', pattern: lodash.defaultTo(ui.pattern, 'number') } :
+                    { type: 'number-input', min: schema.minimum, max: schema.maximum };
+            }
+
+            /**
+             * Returns the type-related field properties of a string property.
+             * @param {Object} schema - The property schema.
+             * @param {Object} ui - The presentation hints of the property.
+             * @returns {Object} the type-related field properties
+             */
+            function getStringTypeProperties(schema, ui) {
+                return schema.format === 'password' && ui.widget !== 'input' ? {
+                    type: 'input',
+                    fieldType: 'password'
+                } : {
+                    type: 'input',
+                    fieldType: ui.widget === 'schedule' ? 'schedule' : 'input'
+                };
+            }
+
+            /**
+             * Returns the trigger class of a schema.
+             * @param {Object} schema - The schema.
+             * @param {Object} options - See `getTriggerClasses`.
+             * @returns {Object} the trigger class
+             */
+            function getTriggerClass(schema, options) {
+                var kind = getKind(schema);
+                var name = lodash.defaultTo(translate(schema.title), kind);
+                var order = lodash.get(schema, 'x-ui.order', []);
+                var rootSchema = lodash.assign({}, schema, {
+                    properties: lodash.omit(schema.properties, ['kind', 'name'])
+                });
+                var fields = lodash.sortBy(getFields(rootSchema, '', options, []), function (field) {
+                    var index = order.indexOf(field.path);
+
+                    return index === -1 ? order.length : index;
+                });
+
+                return lodash.omitBy({
+                    id: kind,
+                    name: name,
+                    description: translate(lodash.get(schema, 'x-ui.description')),
+                    moreInfoDescription: translate(schema.description),
+                    tooltip: name,
+                    tooltipOriginal: name,
+                    tooltipPlacement: 'right',
+                    fields: fields
+                }, lodash.isUndefined);
+            }
+
+            /**
+             * Returns the validation rules of a string property derived from its `pattern`, `minLength` and
+             * `maxLength` keywords.
+             * @param {Object} schema - The property schema.
+             * @returns {Array.<Object>|undefined} the validation rules, or `undefined` in case there are none
+             */
+            function getValidationRules(schema) {
+                var rules = [];
+                var min = lodash.defaultTo(schema.minLength, 0);
+                var max = lodash.defaultTo(schema.maxLength, '');
+
+                if (lodash.has(schema, 'pattern')) {
+                    rules.push({
+                        name: 'pattern',
+                        label: $i18next.t('common:MUST_MATCH_PATTERN', {
+                            lng: i18next.language,
+                            pattern: schema.pattern
+                        }),
+                        pattern: new RegExp(schema.pattern)
+                    });
+                }
+
+                if (min || max) {
+                    rules.push({
+                        name: 'length',
+                        label: $i18next.t('common:LENGTH', { lng: i18next.language }) + ' – ' +
+                            (min ? 'min: ' + min + '\xa0\xa0' : '') + (max ? 'max: ' + max : ''),
+                        pattern: new RegExp('^[\\S\\s]{' + min + ',' + max + '}$')
+                    });
+                }
+
+                return lodash.isEmpty(rules) ? undefined : rules;
+            }
+
+            /**
+             * Resolves a boolean `x-ui` hint that may be limited to a platform.
+             * @param {boolean|string} hint - The hint value, or `'kube'`/`'local'` to be `true` only on this platform.
+             * @param {string} platform - The current platform, `'kube'` or `'local'`.
+             * @returns {boolean|undefined} the resolved hint
+             */
+            function resolvePlatformHint(hint, platform) {
+                return lodash.isString(hint) ? hint === platform : hint;
+            }
+
+            /**
+             * Translates a text in case it is an i18n key.
+             * @param {string} [text] - The i18n key or plain text.
+             * @param {Object} [params] - Interpolation parameters.
+             * @returns {string|undefined} the translated text, or `undefined` in case `text` is not provided
+             */
+            function translate(text, params) {
+                return lodash.isNil(text) ? undefined :
+                    $i18next.t(text, lodash.assign({ lng: i18next.language, defaultValue: text }, params));
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Returns a registered schema.
+         * @param {string} kind - The trigger kind.
+         * @returns {Object|undefined} the schema of the trigger kind, or `undefined` in case it is not registered
+         */
+        function getSchema(kind) {
+            return lodash.find(schemas, function (schema) {
+                return getKind(schema) === kind;
+            });
+        }
+
+        /**
+         * Returns all the registered schemas.
+         * @returns {Array.<Object>} the schemas, in registration order
+         */
+        function getSchemas() {
+            return lodash.clone(schemas);
+        }
+
+        /**
+         * Registers a trigger kind, replacing the previously registered schema of the same kind if there is one.
+         * @param {Object} schema - The JSON Schema describing the trigger. Its `kind` property must have a `const`.
+         * @throws {Error} in case the kind of the trigger is not specified
+         */
+        function registerSchema(schema) {
+            var kind = getKind(schema);
+
+            if (!lodash.isString(kind) || lodash.isEmpty(kind)) {
+                throw new Error('Trigger schema must specify its kind by `properties.kind.const`');
+            }
+
+            var index = lodash.findIndex(schemas, function (registeredSchema) {
+                return getKind(registeredSchema) === kind;
+            });
+
+            if (index === -1) {
+                schemas.push(schema);
+            } else {
+                schemas[index] = schema;
+            }
+        }
+
+        /**
+         * Unregisters a trigger kind.
+         * @param {string} kind - The trigger kind.
+         */
+        function unregisterSchema(kind) {
+            lodash.remove(schemas, function (schema) {
+                return getKind(schema) === kind;
+            });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Returns the schemas of the built-in trigger kinds.
+         * @returns {Array.<Object>} the schemas
+         */
+        function getBuiltInSchemas() {
+            var maxWorkers = {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100000,
+                default: 1
+            };
+            var workerAllocatorName = {
+                type: 'string',
+                'x-ui': {
+                    advanced: true
+                }
+            };
+            var workerAllocationMode = {
+                type: 'string',
+                oneOf: [
+                    { const: 'pool', title: 'Pool' },
+                    { const: 'static', title: 'Static' }
+                ],
+                default: 'pool',
+                'x-ui': {
+                    advanced: true
+                }
+            };
+            var initialOffset = {
+                type: 'string',
+                oneOf: [
+                    { const: 'earliest', title: 'Earliest' },
+                    { const: 'latest', title: 'Latest' }
+                ],
+                default: 'latest'
+            };
+            var consumerGroup = {
+                type: 'string',
+                title: 'functions:CONSUMER_GROUP_NAME',
+                'x-ui': {
+                    placeholder: 'functions:PLACEHOLDER.ENTER_CONSUMER_GROUP_NAME'
+                }
+            };
+            var url = {
+                type: 'string',
+                title: 'URL'
+            };
+            var getDuration = function (defaultValue, title) {
+                return lodash.omitBy({
+                    type: 'string',
+                    title: title,
+                    default: defaultValue,
+                    'x-ui': {
+                        pattern: 'interval',
+                        advanced: true,
+                        placeholder: 'functions:PLACEHOLDER.ENTER_DURATION'
+                    }
+                }, lodash.isUndefined);
+            };
+            var getKindProperty = function (kind) {
+                return { const: kind };
+            };
+            var getWorkerAvailabilityTimeout = function (kind) {
+                return {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'functions:WORKER_AVAILABILITY_TIMEOUT_MILLISECONDS_DESCRIPTION',
+                    'x-ui': {
+                        placeholder: 'common:DEFAULT',
+                        descriptionDefaultFrom: 'spec.triggers.' + kind + '.workerAvailabilityTimeoutMilliseconds'
+                    }
+                };
+            };
+            var techPreview = {
+                description: 'common:TECH_PREVIEW'
+            };
+
+            return lodash.map([
+                {
+                    title: 'Kafka',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('kafka-cluster'),
+                        maxWorkers: maxWorkers,
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                topics: {
+                                    type: 'array',
+                                    items: { type: 'string', minLength: 1 },
+                                    minItems: 1,
+                                    'x-ui': {
+                                        name: 'kafka-topics',
+                                        widget: 'key-value',
+                                        values: { topic: { name: 'topic', type: 'input' } }
+                                    }
+                                },
+                                brokers: {
+                                    type: 'array',
+                                    items: { type: 'string', minLength: 1 },
+                                    minItems: 1,
+                                    'x-ui': {
+                                        name: 'kafka-brokers',
+                                        widget: 'key-value',
+                                        values: { topic: { name: 'brokers', type: 'input' } }
+                                    }
+                                },
+                                sasl: {
+                                    type: 'object',
+                                    properties: {
+                                        user: {
+                                            type: 'string',
+                                            title: 'functions:SASL_USERNAME',
+                                            default: '',
+                                            'x-ui': { name: 'saslUsername' }
+                                        },
+                                        password: {
+                                            type: 'string',
+                                            format: 'password',
+                                            title: 'functions:SASL_PASSWORD',
+                                            default: '',
+                                            'x-ui': { name: 'saslPassword', autocomplete: 'new-password' }
+                                        }
+                                    }
+                                },
+                                consumerGroup: consumerGroup,
+                                initialOffset: initialOffset,
+                                workerAllocationMode: workerAllocationMode,
+                                sessionTimeout: getDuration('10s'),
+                                heartbeatInterval: getDuration('3s'),
+                                fetchDefault: {
+                                    type: 'integer',
+                                    title: 'functions:BYTES_TO_FETCH_DEFAULT',
+                                    minimum: 1,
+                                    maximum: 67108864, // 64 * 1024 * 1024 bytes = 64 MiB
+                                    default: 1048576,
+                                    'x-ui': { advanced: true, unit: 'common:BYTES' }
+                                },
+                                rebalanceTimeout: getDuration('60s', 'functions:REBALANCE_TIMEOUT'),
+                                maxWaitHandlerDuringRebalance:
+                                    getDuration('5s', 'functions:REBALANCING_GRACE_PERIOD')
+                            },
+                            required: ['topics', 'brokers', 'consumerGroup', 'initialOffset', 'workerAllocationMode']
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    'x-ui': {
+                        order: [
+                            'attributes.topics',
+                            'attributes.brokers',
+                            'attributes.sasl.user',
+                            'attributes.sasl.password',
+                            'attributes.consumerGroup',
+                            'attributes.initialOffset',
+                            'attributes.workerAllocationMode',
+                            'maxWorkers'
+                        ]
+                    }
+                },
+                {
+                    title: 'RabbitMQ',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('rabbit-mq'),
+                        url: url,
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                exchangeName: { type: 'string' },
+                                queueName: {
+                                    type: 'string',
+                                    'x-ui': { placeholder: 'functions:PLACEHOLDER.DEFAULT_PROVIDED_WHEN_EMPTY' }
+                                },
+                                topics: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    'x-ui': { placeholder: 'functions:PLACEHOLDER.REQUIRED_IF_QUEUE_NAME_IS_EMPTY' }
+                                }
+                            },
+                            required: ['exchangeName'],
+                            anyOf: [
+                                { required: ['queueName'] },
+                                { required: ['topics'] }
+                            ]
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    required: ['url'],
+                    'x-ui': techPreview
+                },
+                {
+                    title: 'NATS',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('nats'),
+                        url: url,
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                topic: { type: 'string' },
+                                queueName: { type: 'string' }
+                            },
+                            required: ['topic']
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    required: ['url'],
+                    'x-ui': techPreview
+                },
+                {
+                    title: 'Cron',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('cron'),
+                        maxWorkers: lodash.assign({ 'x-ui': { platform: 'local' } }, maxWorkers),
+                        workerAvailabilityTimeoutMilliseconds: lodash.merge(getWorkerAvailabilityTimeout('cron'), {
+                            'x-ui': { platform: 'local' }
+                        }),
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                interval: {
+                                    type: 'string',
+                                    'x-ui': {
+                                        pattern: 'cronInterval',
+                                        placeholder: 'functions:PLACEHOLDER.ENTER_DURATION'
+                                    }
+                                },
+                                schedule: {
+                                    type: 'string',
+                                    description: 'functions:TOOLTIP.INTERVAL_SCHEDULE_ONLY_ONE',
+                                    'x-ui': { widget: 'schedule', descriptionIconType: 'info', descriptionOpen: false }
+                                },
+                                event: {
+                                    type: 'object',
+                                    properties: {
+                                        body: {
+                                            type: 'string',
+                                            'x-ui': { name: 'eventBody' }
+                                        },
+                                        headers: {
+                                            type: 'object',
+                                            additionalProperties: { type: 'string' },
+                                            default: {},
+                                            'x-ui': { name: 'eventHeaders', widget: 'key-value' }
+                                        }
+                                    }
+                                }
+                            },
+                            required: ['schedule']
+                        },
+                        workerAllocatorName: lodash.merge({}, workerAllocatorName, {
+                            'x-ui': { platform: 'local', advanced: 'local' }
+                        })
+                    }
+                },
+                {
+                    title: 'Azure Event Hubs',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('eventhub'),
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                sharedAccessKeyName: { type: 'string' },
+                                sharedAccessKeyValue: { type: 'string', format: 'password', 'x-ui': { widget: 'input' } },
+                                namespace: { type: 'string' },
+                                eventHubName: { type: 'string' },
+                                consumerGroup: consumerGroup,
+                                partitions: {
+                                    type: 'array',
+                                    items: { type: 'integer' },
+                                    'x-ui': { placeholder: 'common:PLACEHOLDER.COMMA_DELIMITED_LIST_OF_NUMBERS' }
+                                }
+                            },
+                            required: [
+                                'sharedAccessKeyName',
+                                'sharedAccessKeyValue',
+                                'namespace',
+                                'eventHubName',
+                                'consumerGroup',
+                                'partitions'
+                            ]
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    'x-ui': techPreview
+                },
+                {
+                    title: 'HTTP',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('http'),
+                        maxWorkers: maxWorkers,
+                        workerAvailabilityTimeoutMilliseconds: getWorkerAvailabilityTimeout('http'),
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                port: {
+                                    type: 'integer',
+                                    'x-ui': { widget: 'input' }
+                                },
+                                ingresses: {
+                                    type: 'object',
+                                    additionalProperties: {
+                                        type: 'object',
+                                        properties: {
+                                            host: { type: 'string' },
+                                            paths: { type: 'array', items: { type: 'string' } },
+                                            secretName: { type: 'string' }
+                                        },
+                                        required: ['paths']
+                                    },
+                                    'x-ui': { widget: 'key-value' }
+                                },
+                                serviceType: {
+                                    type: 'string',
+                                    oneOf: [
+                                        { const: 'ClusterIP', title: 'Cluster IP' },
+                                        { const: 'NodePort', title: 'Node Port' }
+                                    ],
+                                    'x-ui': { advanced: true, platform: 'kube' }
+                                }
+                            }
+                        },
+                        workerAllocatorName: workerAllocatorName,
+                        annotations: {
+                            type: 'object',
+                            additionalProperties: { type: 'string' },
+                            'x-ui': { widget: 'key-value' }
+                        }
+                    },
+                    'x-ui': {
+                        order: [
+                            'maxWorkers',
+                            'workerAvailabilityTimeoutMilliseconds',
+                            'attributes.port',
+                            'attributes.ingresses',
+                            'workerAllocatorName'
+                        ]
+                    }
+                },
+                {
+                    title: 'V3IO stream',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('v3ioStream'),
+                        url: {
+                            type: 'string',
+                            title: 'common:URL',
+                            default: 'http://v3io-webapi:8081',
+                            description: 'functions:TOOLTIP.V3IO_STREAM_URL',
+                            'x-ui': {
+                                placeholder: 'common:PLACEHOLDER.ENTER_URL',
+                                defaultFrom: 'spec.triggers.v3ioStream.url',
+                                descriptionHtml: true
+                            }
+                        },
+                        password: {
+                            type: 'string',
+                            format: 'password',
+                            title: 'functions:ACCESS_KEY',
+                            'x-ui': {
+                                placeholder: 'functions:PLACEHOLDER.ENTER_ACCESS_KEY',
+                                autocomplete: 'new-password'
+                            }
+                        },
+                        maxWorkers: maxWorkers,
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                containerName: {
+                                    type: 'string',
+                                    description: 'functions:TOOLTIP.V3IO_STREAM_CONTAINER',
+                                    'x-ui': {
+                                        widget: 'dropdown',
+                                        valuesFrom: 'containers',
+                                        enableTyping: true,
+                                        placeholder: 'common:PLACEHOLDER.SELECT_OR_ENTER',
+                                        descriptionHtml: true
+                                    }
+                                },
+                                streamPath: { type: 'string' },
+                                consumerGroup: lodash.merge({ 'x-ui': { pattern: 'v3ioConsumerGroupName' } },
+                                                            consumerGroup),
+                                seekTo: lodash.assign({ title: 'functions:INITIAL_OFFSET' }, initialOffset),
+                                workerAllocationMode: workerAllocationMode,
+                                readBatchSize: {
+                                    type: 'integer',
+                                    minimum: 1,
+                                    maximum: 16384, // 16 * 1024 = 16 KiB
+                                    default: 64,
+                                    'x-ui': { advanced: true, unit: 'common:BYTES' }
+                                },
+                                pollingIntervalMs: {
+                                    type: 'integer',
+                                    title: 'functions:POLLING_INTERVAL',
+                                    default: 500,
+                                    'x-ui': { advanced: true, unit: 'ms' }
+                                },
+                                sessionTimeout: getDuration('10s'),
+                                heartbeatInterval: getDuration('3s'),
+                                sequenceNumberCommitInterval: getDuration('1s')
+                            },
+                            required: ['containerName', 'streamPath', 'consumerGroup', 'seekTo', 'workerAllocationMode']
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    required: ['url', 'password'],
+                    'x-ui': {
+                        order: [
+                            'attributes.containerName',
+                            'url',
+                            'password',
+                            'attributes.streamPath',
+                            'attributes.consumerGroup',
+                            'attributes.seekTo',
+                            'attributes.workerAllocationMode',
+                            'maxWorkers'
+                        ]
+                    }
+                },
+                {
+                    title: 'Kinesis',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('kinesis'),
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                accessKeyID: {
+                                    type: 'string',
+                                    format: 'password',
+                                    title: 'functions:ACCESS_KEY_ID',
+                                    'x-ui': { placeholder: 'functions:PLACEHOLDER.ENTER_ACCESS_KEY_ID' }
+                                },
+                                secretAccessKey: { type: 'string', format: 'password' },
+                                regionName: { type: 'string' },
+                                streamName: { type: 'string' },
+                                shards: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    'x-ui': { placeholder: 'common:PLACEHOLDER.COMMA_DELIMITED_LIST_OF_STRINGS' }
+                                }
+                            },
+                            required: ['accessKeyID', 'secretAccessKey', 'regionName', 'streamName', 'shards']
+                        },
+                        workerAllocatorName: workerAllocatorName,
+                        url: lodash.assign({ 'x-ui': { advanced: true } }, url)
+                    },
+                    'x-ui': techPreview
+                },
+                {
+                    title: 'MQTT',
+                    type: 'object',
+                    properties: {
+                        kind: getKindProperty('mqtt'),
+                        url: url,
+                        username: { type: 'string' },
+                        password: { type: 'string', format: 'password', 'x-ui': { autocomplete: 'new-password' } },
+                        attributes: {
+                            type: 'object',
+                            properties: {
+                                subscriptions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            topic: { type: 'string', minLength: 1 },
+                                            qos: { type: 'integer', minimum: 0, maximum: 2 }
+                                        },
+                                        required: ['topic', 'qos']
+                                    },
+                                    'x-ui': {
+                                        widget: 'key-value',
+                                        values: {
+                                            topic: { name: 'topic', type: 'input' },
+                                            qos: { name: 'QoS', type: 'input', pattern: 'number' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        workerAllocatorName: workerAllocatorName
+                    },
+                    required: ['url'],
+                    'x-ui': techPreview
+                }
+            ], function (schema) {
+                return lodash.assign({ $schema: JSON_SCHEMA_VERSION }, schema, {
+                    required: lodash.union(['kind'], schema.required)
+                });
+            });
+        }
+
+        /**
+         * Returns the trigger kind described by a schema.
+         * @param {Object} schema - The schema.
+         * @returns {string|undefined} the trigger kind
+         */
+        function getKind(schema) {
+            return lodash.get(schema, 'properties.kind.const');
+        }
+
+        /**
+         * Joins a property name to a path.
+         * @param {string} basePath - The path.
+         * @param {string} key - The property name.
+         * @returns {string} the joined path
+         */
+        function joinPath(basePath, key) {
+            return lodash.isEmpty(basePath) ? key : basePath + '.' + key;
+        }
+    }
+}());
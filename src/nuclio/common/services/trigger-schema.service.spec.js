@@ -0,0 +1,414 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('TriggerSchemaServiceProvider: ', function () {
+    var customSchema = {
+        title: 'Custom',
+        properties: {
+            kind: { const: 'custom' }
+        }
+    };
+    var TriggerSchemaService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls', function (TriggerSchemaServiceProvider) {
+            TriggerSchemaServiceProvider.registerSchema(customSchema);
+        });
+
+        inject(function (_TriggerSchemaService_) {
+            TriggerSchemaService = _TriggerSchemaService_;
+        });
+    });
+
+    afterEach(function () {
+        TriggerSchemaService = null;
+    });
+
+    it('should register a schema at config time', function () {
+        expect(TriggerSchemaService.getSchema('custom')).toBe(customSchema);
+    });
+});
+
+describe('TriggerSchemaService: ', function () {
+    var lodash;
+    var TriggerSchemaService;
+    var customSchema = {
+        title: 'Custom',
+        type: 'object',
+        properties: {
+            kind: { const: 'custom' },
+            attributes: {
+                type: 'object',
+                properties: {
+                    mode: { type: 'string', enum: ['plain', 'secure'], default: 'plain' },
+                    endpoint: {
+                        type: 'object',
+                        properties: {
+                            host: { type: 'string', pattern: '^[a-z.]+$', maxLength: 20 },
+                            port: { type: 'integer', minimum: 1, maximum: 65535 }
+                        },
+                        required: ['host']
+                    },
+                    verbose: { type: 'boolean', default: false },
+                    routes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                path: { type: 'string', default: '/' },
+                                weight: { type: 'integer' }
+                            },
+                            required: ['path']
+                        },
+                        minItems: 1
+                    },
+                    token: { type: 'string', format: 'password' }
+                },
+                required: ['mode', 'endpoint'],
+                'if': {
+                    properties: {
+                        mode: { const: 'secure' }
+                    }
+                },
+                then: {
+                    properties: {
+                        certificate: { type: 'string' }
+                    },
+                    required: ['certificate', 'token']
+                }
+            }
+        }
+    };
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_lodash_, _TriggerSchemaService_) {
+            lodash = _lodash_;
+            TriggerSchemaService = _TriggerSchemaService_;
+        });
+    });
+
+    afterEach(function () {
+        lodash = null;
+        TriggerSchemaService = null;
+    });
+
+    describe('getTriggerClasses(): ', function () {
+        it('should return the classes of the built-in trigger kinds', function () {
+            var classes = TriggerSchemaService.getTriggerClasses();
+
+            expect(lodash.map(classes, 'id')).toEqual([
+                'kafka-cluster',
+                'rabbit-mq',
+                'nats',
+                'cron',
+                'eventhub',
+                'http',
+                'v3ioStream',
+                'kinesis',
+                'mqtt'
+            ]);
+            expect(lodash.map(lodash.find(classes, ['id', 'kafka-cluster']).fields, 'name')).toEqual([
+                'kafka-topics',
+                'kafka-brokers',
+                'saslUsername',
+                'saslPassword',
+                'consumerGroup',
+                'initialOffset',
+                'workerAllocationMode',
+                'maxWorkers',
+                'sessionTimeout',
+                'heartbeatInterval',
+                'fetchDefault',
+                'rebalanceTimeout',
+                'maxWaitHandlerDuringRebalance',
+                'workerAllocatorName'
+            ]);
+        });
+
+        it('should derive the fields from the schema properties', function () {
+            var fields = lodash.find(TriggerSchemaService.getTriggerClasses(), ['id', 'kafka-cluster']).fields;
+
+            expect(lodash.find(fields, ['name', 'saslPassword'])).toEqual(jasmine.objectContaining({
+                path: 'attributes.sasl.password',
+                type: 'input',
+                fieldType: 'password',
+                autocomplete: 'new-password',
+                allowEmpty: true,
+                defaultValue: ''
+            }));
+            expect(lodash.find(fields, ['name', 'maxWorkers'])).toEqual(jasmine.objectContaining({
+                path: 'maxWorkers',
+                type: 'number-input',
+                min: 1,
+                max: 100000,
+                defaultValue: 1
+            }));
+            expect(lodash.find(fields, ['name', 'initialOffset'])).toEqual(jasmine.objectContaining({
+                type: 'dropdown',
+                allowEmpty: false,
+                defaultValue: 'latest',
+                values: [
+                    { id: 'earliest', name: 'Earliest', visible: true },
+                    { id: 'latest', name: 'Latest', visible: true }
+                ]
+            }));
+            expect(lodash.find(fields, ['name', 'sessionTimeout'])).toEqual(jasmine.objectContaining({
+                pattern: 'interval',
+                isAdvanced: true
+            }));
+            expect(lodash.find(fields, ['name', 'kafka-topics'])).toEqual(jasmine.objectContaining({
+                type: 'key-value',
+                values: { topic: { name: 'topic', type: 'input' } }
+            }));
+        });
+
+        it('should apply the presentation hints of the fields', function () {
+            var classes = TriggerSchemaService.getTriggerClasses();
+            var getField = function (kind, name) {
+                return lodash.find(lodash.find(classes, ['id', kind]).fields, ['name', name]);
+            };
+
+            expect(getField('cron', 'schedule')).toEqual(jasmine.objectContaining({
+                moreInfoIconType: 'info',
+                moreInfoOpen: false
+            }));
+            expect(getField('eventhub', 'sharedAccessKeyValue')).toEqual(jasmine.objectContaining({
+                type: 'input',
+                fieldType: 'input'
+            }));
+            expect(getField('kinesis', 'secretAccessKey').autocomplete).toBeUndefined();
+            expect(getField('mqtt', 'url').label).toEqual('URL');
+        });
+
+        it('should show platform specific fields on their platform only', function () {
+            var getField = function (isKubePlatform, kind, name) {
+                var classes = TriggerSchemaService.getTriggerClasses({ isKubePlatform: isKubePlatform });
+
+                return lodash.find(lodash.find(classes, ['id', kind]).fields, ['name', name]);
+            };
+
+            expect(getField(true, 'http', 'serviceType').visible).toBeTruthy();
+            expect(getField(false, 'http', 'serviceType').visible).toBeFalsy();
+            expect(getField(true, 'cron', 'workerAllocatorName')).toEqual(jasmine.objectContaining({
+                visible: false,
+                isAdvanced: false
+            }));
+            expect(getField(false, 'cron', 'workerAllocatorName')).toEqual(jasmine.objectContaining({
+                visible: true,
+                isAdvanced: true
+            }));
+        });
+
+        it('should populate the fields by the additional data', function () {
+            var containers = [{ id: 'bigdata', name: 'bigdata' }, { id: 'users', name: 'users' }];
+            var classes = TriggerSchemaService.getTriggerClasses({ additionalData: { containers: containers } });
+            var field = lodash.find(lodash.find(classes, ['id', 'v3ioStream']).fields, ['name', 'containerName']);
+
+            expect(field).toEqual(jasmine.objectContaining({
+                type: 'dropdown',
+                enableTyping: true,
+                values: containers,
+                defaultValue: 'bigdata'
+            }));
+        });
+
+        it('should derive nested objects, arrays, enums, conditionals and secrets of a registered schema', function () {
+            TriggerSchemaService.registerSchema(customSchema);
+
+            var fields = lodash.find(TriggerSchemaService.getTriggerClasses(), ['id', 'custom']).fields;
+
+            expect(lodash.map(fields, 'path')).toEqual([
+                'attributes.mode',
+                'attributes.endpoint.host',
+                'attributes.endpoint.port',
+                'attributes.verbose',
+                'attributes.routes',
+                'attributes.token',
+                'attributes.certificate'
+            ]);
+            expect(lodash.find(fields, ['name', 'mode']).values).toEqual([
+                { id: 'plain', name: 'Plain', visible: true },
+                { id: 'secure', name: 'Secure', visible: true }
+            ]);
+            expect(lodash.find(fields, ['name', 'host'])).toEqual(jasmine.objectContaining({
+                type: 'input',
+                allowEmpty: false,
+                validationRules: [
+                    jasmine.objectContaining({ name: 'pattern' }),
+                    jasmine.objectContaining({ name: 'length' })
+                ]
+            }));
+            expect(lodash.find(fields, ['name', 'verbose']).type).toEqual('checkbox');
+            expect(lodash.find(fields, ['name', 'routes'])).toEqual(jasmine.objectContaining({
+                type: 'array',
+                allowEmpty: false,
+                minItems: 1,
+                itemDefaultValue: { path: '/' },
+                defaultValue: [{ path: '/' }]
+            }));
+            expect(lodash.map(lodash.find(fields, ['name', 'routes']).fields, 'path')).toEqual(['path', 'weight']);
+            expect(lodash.find(fields, ['name', 'token'])).toEqual(jasmine.objectContaining({
+                fieldType: 'password',
+                requiredIf: {
+                    basePath: 'attributes',
+                    schema: customSchema.properties.attributes.if,
+                    negated: false
+                }
+            }));
+            expect(lodash.find(fields, ['name', 'certificate'])).toEqual(jasmine.objectContaining({
+                allowEmpty: false,
+                conditions: [{
+                    basePath: 'attributes',
+                    schema: customSchema.properties.attributes.if,
+                    negated: false
+                }]
+            }));
+        });
+    });
+
+    describe('registerSchema(): ', function () {
+        it('should replace the schema of an already registered kind', function () {
+            TriggerSchemaService.registerSchema({ title: 'My NATS', properties: { kind: { const: 'nats' } } });
+
+            var natsClasses = lodash.filter(TriggerSchemaService.getTriggerClasses(), ['id', 'nats']);
+
+            expect(natsClasses.length).toEqual(1);
+            expect(natsClasses[0].name).toEqual('My NATS');
+        });
+
+        it('should throw in case the kind is not specified', function () {
+            expect(function () {
+                TriggerSchemaService.registerSchema({ title: 'Custom', properties: {} });
+            }).toThrowError(Error);
+        });
+    });
+
+    describe('unregisterSchema(): ', function () {
+        it('should remove a registered kind', function () {
+            TriggerSchemaService.unregisterSchema('kinesis');
+
+            expect(TriggerSchemaService.getSchema('kinesis')).toBeUndefined();
+            expect(lodash.map(TriggerSchemaService.getTriggerClasses(), 'id')).not.toContain('kinesis');
+        });
+    });
+
+    describe('isConditionMet(): ', function () {
+        it('should test the conditions of a field against an item', function () {
+            var conditions = [{
+                basePath: 'attributes',
+                schema: customSchema.properties.attributes.if,
+                negated: false
+            }];
+
+            expect(TriggerSchemaService.isConditionMet({ attributes: { mode: 'secure' } }, conditions)).toBeTruthy();
+            expect(TriggerSchemaService.isConditionMet({ attributes: { mode: 'plain' } }, conditions)).toBeFalsy();
+            expect(TriggerSchemaService.isConditionMet({ attributes: { mode: 'plain' } }, [
+                lodash.assign({}, conditions[0], { negated: true })
+            ])).toBeTruthy();
+            expect(TriggerSchemaService.isConditionMet({}, undefined)).toBeTruthy();
+        });
+    });
+
+    describe('validate(): ', function () {
+        beforeEach(function () {
+            TriggerSchemaService.registerSchema(customSchema);
+        });
+
+        it('should return no violations for a valid trigger', function () {
+            expect(TriggerSchemaService.validate({
+                kind: 'custom',
+                attributes: {
+                    mode: 'plain',
+                    endpoint: { host: 'example.com', port: 8080 },
+                    routes: [{ path: '/', weight: 1 }]
+                },
+                ui: { editModeActive: true }
+            })).toEqual([]);
+        });
+
+        it('should return the violations of an invalid trigger', function () {
+            expect(TriggerSchemaService.validate({
+                kind: 'custom',
+                attributes: {
+                    mode: 'secure',
+                    endpoint: { host: 'Example.com', port: 0 },
+                    verbose: 'yes',
+                    routes: []
+                }
+            })).toEqual([
+                { keyword: 'pattern', path: 'attributes.endpoint.host' },
+                { keyword: 'minimum', path: 'attributes.endpoint.port' },
+                { keyword: 'type', path: 'attributes.verbose' },
+                { keyword: 'minItems', path: 'attributes.routes' },
+                { keyword: 'required', path: 'attributes.certificate' },
+                { keyword: 'required', path: 'attributes.token' }
+            ]);
+        });
+
+        it('should validate the built-in trigger kinds', function () {
+            expect(TriggerSchemaService.validate({
+                kind: 'rabbit-mq',
+                url: 'amqp://rabbit',
+                attributes: {
+                    exchangeName: 'exchange'
+                }
+            })).toEqual([{ keyword: 'anyOf', path: 'attributes' }]);
+        });
+
+        it('should return no violations for a trigger of an unregistered kind', function () {
+            expect(TriggerSchemaService.validate({ kind: 'unknown', attributes: 1 })).toEqual([]);
+        });
+    });
+
+    describe('maskSecrets(): ', function () {
+        it('should mask the values of the secret properties', function () {
+            expect(TriggerSchemaService.getSecretPaths('kafka-cluster')).toEqual(['attributes.sasl.password']);
+            expect(TriggerSchemaService.maskSecrets({
+                kind: 'kinesis',
+                attributes: {
+                    accessKeyID: 'abc',
+                    secretAccessKey: 'abcd',
+                    regionName: 'us-east-1'
+                },
+                ui: {}
+            })).toEqual({
+                kind: 'kinesis',
+                attributes: {
+                    accessKeyID: '***',
+                    secretAccessKey: '****',
+                    regionName: 'us-east-1'
+                }
+            });
+        });
+    });
+
+    describe('exportSchema(): ', function () {
+        it('should return a schema of a trigger of any registered kind', function () {
+            var schema = TriggerSchemaService.exportSchema();
+
+            expect(schema).toEqual(jasmine.objectContaining({
+                $schema: 'http://json-schema.org/draft-07/schema#',
+                type: 'object',
+                required: ['kind']
+            }));
+            expect(lodash.map(schema.oneOf, 'properties.kind.const')).toEqual(lodash.map(TriggerSchemaService.getSchemas(),
+                                                                                         'properties.kind.const'));
+            expect(lodash.some(schema.oneOf, '$schema')).toBeFalsy();
+        });
+    });
+});
@@ -21,9 +21,45 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .factory('VersionHelperService', VersionHelperService);
 
-    function VersionHelperService(lodash) {
+    function VersionHelperService(lodash, Base64, ExportService) {
+        var CHANGE_GROUPS = [
+            {
+                id: 'code',
+                paths: ['spec.handler', 'spec.runtime', 'spec.image', 'spec.build.codeEntryType',
+                    'spec.build.codeEntryAttributes', 'spec.build.path', 'spec.build.functionSourceCode']
+            },
+            {
+                id: 'triggers',
+                paths: ['spec.triggers']
+            },
+            {
+                id: 'environmentVariables',
+                paths: ['spec.env']
+            },
+            {
+                id: 'resources',
+                paths: ['spec.resources', 'spec.minReplicas', 'spec.maxReplicas', 'spec.targetCPU',
+                    'spec.nodeSelector', 'spec.priorityClassName', 'spec.preemptionMode', 'spec.scaleToZero',
+                    'spec.affinity', 'spec.tolerations', 'spec.autoScaleMetrics', 'spec.autoScaleBehavior']
+            },
+            {
+                id: 'volumes',
+                paths: ['spec.volumes']
+            },
+            {
+                id: 'build',
+                paths: ['spec.build']
+            },
+            {
+                id: 'other',
+                paths: ['']
+            }
+        ];
+
         return {
+            getFunctionEventMetadata: getFunctionEventMetadata,
             getServiceType: getServiceType,
+            getVersionChanges: getVersionChanges,
             isIngressInvalid: isIngressInvalid,
             isVersionDeployed: isVersionDeployed,
             updateIsVersionChanged: updateIsVersionChanged
@@ -33,6 +69,21 @@ such restriction.
         // Public methods
         //
 
+        /**
+         * Creates the metadata of a new function event of the function version.
+         * @param {Object} version - The function version.
+         * @returns {Object} the metadata of the function event.
+         */
+        function getFunctionEventMetadata(version) {
+            return {
+                namespace: lodash.get(version, 'metadata.namespace'),
+                labels: {
+                    'nuclio.io/function-name': lodash.get(version, 'metadata.name'),
+                    'nuclio.io/project-name': lodash.get(version, 'metadata.labels[\'nuclio.io/project-name\']')
+                }
+            };
+        }
+
         /**
          * Retrieves the service type of the HTTP trigger of the function version.
          * @param {Object} version - The function version.
@@ -47,6 +98,62 @@ such restriction.
                 .value();
         }
 
+        /**
+         * Computes the changes of the working function's version compared to the latest deployed one, based on the
+         * function config (as exported by `ExportService`). Empty strings, objects and arrays are regarded as absent
+         * values, the same way `updateIsVersionChanged` regards them. Environment variables and volumes are matched
+         * by their names rather than by their positions.
+         * @param {Object} version - the working function's version.
+         * @param {Object} [version.ui.deployedVersion] - latest deployed function's version.
+         * @returns {{groups: Array.<{id: string, changes: Array.<Object>}>, sourceCode: Object, hasChanges: boolean}}
+         *     the changes grouped by configuration tab (only non-empty groups are included), each change in the form
+         *     `{path: string, kind: 'added'|'removed'|'modified', oldValue: *, newValue: *}`, along with the decoded
+         *     source code of both versions (`{original: string, modified: string, isChanged: boolean}`).
+         */
+        function getVersionChanges(version) {
+            var deployed = ExportService.getFunctionConfigObject(lodash.omit(lodash.get(version, 'ui.deployedVersion'),
+                                                                             'ui'));
+            var working = ExportService.getFunctionConfigObject(lodash.omit(version, 'ui'));
+            var sourceCodePath = 'spec.build.functionSourceCode';
+            var sourceCode = {
+                original: Base64.decode(lodash.get(deployed, sourceCodePath, '')),
+                modified: Base64.decode(lodash.get(working, sourceCodePath, ''))
+            };
+            var changes = [];
+
+            sourceCode.isChanged = sourceCode.original !== sourceCode.modified;
+
+            lodash.unset(deployed, sourceCodePath);
+            lodash.unset(working, sourceCodePath);
+
+            collectChanges(deployed, working, '', changes);
+
+            var groups = lodash.chain(changes)
+                .groupBy(getChangeGroupId)
+                .map(function (groupChanges, id) {
+                    return {
+                        id: id,
+                        changes: groupChanges
+                    };
+                })
+                .value();
+
+            if (sourceCode.isChanged && !lodash.some(groups, ['id', 'code'])) {
+                groups.push({
+                    id: 'code',
+                    changes: []
+                });
+            }
+
+            return {
+                groups: lodash.sortBy(groups, function (group) {
+                    return lodash.findIndex(CHANGE_GROUPS, ['id', group.id]);
+                }),
+                sourceCode: sourceCode,
+                hasChanges: sourceCode.isChanged || !lodash.isEmpty(changes)
+            };
+        }
+
         /**
          * Check "ClusterIP" and "ingress" attributes
          * @param {Object} httpTrigger
@@ -109,5 +216,102 @@ such restriction.
 
             return newObj;
         }
+
+        /**
+         * Creates a copy of a value for comparison, omitting empty values in all levels (like `cloneObject`, but
+         * keeps arrays as arrays).
+         * @param {*} value - the value to copy.
+         * @returns {*} the copy of `value`.
+         */
+        function cloneValue(value) {
+            return lodash.isArray(value) ? lodash.map(value, cloneValue) :
+                lodash.isPlainObject(value) ? lodash.mapValues(cloneObject(value), cloneValue) : value;
+        }
+
+        /**
+         * Recursively collects the differences between two values into `changes` list.
+         * @param {*} oldValue - the deployed value.
+         * @param {*} newValue - the working value.
+         * @param {string} path - the path of the values in the function config.
+         * @param {Array.<Object>} changes - the list to add the found changes to.
+         */
+        function collectChanges(oldValue, newValue, path, changes) {
+            var oldKeyed = toKeyedObject(oldValue);
+            var newKeyed = toKeyedObject(newValue);
+
+            if (isEmptyValue(oldValue) && isEmptyValue(newValue)) {
+                return;
+            } else if (isEmptyValue(oldValue) || isEmptyValue(newValue)) {
+                changes.push({
+                    path: path,
+                    kind: isEmptyValue(oldValue) ? 'added' : 'removed',
+                    oldValue: isEmptyValue(oldValue) ? null : oldValue,
+                    newValue: isEmptyValue(newValue) ? null : newValue
+                });
+            } else if (!lodash.isNil(oldKeyed) && !lodash.isNil(newKeyed)) {
+                lodash.forEach(lodash.union(lodash.keys(oldKeyed), lodash.keys(newKeyed)), function (key) {
+                    var keyPath = lodash.isArray(oldValue) ? path + '[' + key + ']' :
+                        lodash.isEmpty(path) ? key : path + '.' + key;
+
+                    collectChanges(oldKeyed[key], newKeyed[key], keyPath, changes);
+                });
+            } else if (!lodash.isEqual(cloneValue(oldValue), cloneValue(newValue))) {
+                changes.push({
+                    path: path,
+                    kind: 'modified',
+                    oldValue: oldValue,
+                    newValue: newValue
+                });
+            }
+        }
+
+        /**
+         * Finds the configuration tab a change belongs to.
+         * @param {Object} change - the change.
+         * @returns {string} the ID of the group of the change (e.g. `'triggers'`).
+         */
+        function getChangeGroupId(change) {
+            return lodash.find(CHANGE_GROUPS, function (group) {
+                return lodash.some(group.paths, function (groupPath) {
+                    return lodash.isEmpty(groupPath) || change.path === groupPath ||
+                        lodash.startsWith(change.path, groupPath + '.') ||
+                        lodash.startsWith(change.path, groupPath + '[');
+                });
+            }).id;
+        }
+
+        /**
+         * Tests whether a value is regarded as absent (`undefined`, `null`, empty string, empty object or array).
+         * @param {*} value - the value to test.
+         * @returns {boolean} `true` if the value is empty, or `false` otherwise.
+         */
+        function isEmptyValue(value) {
+            return lodash.isNil(value) || (lodash.isObject(value) || lodash.isString(value)) && lodash.isEmpty(value);
+        }
+
+        /**
+         * Converts a value to an object that could be compared key by key.
+         * Plain objects are returned as is. Arrays whose items all have unique names (like environment variables or
+         * volumes) are converted to an object keyed by these names.
+         * @param {*} value - the value to convert.
+         * @returns {?Object} the keyed object, or `null` if the value could not be compared key by key.
+         */
+        function toKeyedObject(value) {
+            if (lodash.isPlainObject(value)) {
+                return value;
+            }
+
+            if (lodash.isArray(value)) {
+                var names = lodash.map(value, function (item) {
+                    return lodash.get(item, 'name', lodash.get(item, 'volume.name'));
+                });
+
+                if (lodash.every(names, lodash.isString) && lodash.uniq(names).length === names.length) {
+                    return lodash.zipObject(names, value);
+                }
+            }
+
+            return null;
+        }
     }
 }());
@@ -0,0 +1,270 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('VersionHelperService: ', function () {
+    var Base64;
+    var VersionHelperService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_Base64_, _VersionHelperService_) {
+            Base64 = _Base64_;
+            VersionHelperService = _VersionHelperService_;
+        });
+    });
+
+    afterEach(function () {
+        Base64 = null;
+        VersionHelperService = null;
+    });
+
+    describe('getFunctionEventMetadata(): ', function () {
+        it('should create the metadata of a function event of the function', function () {
+            var version = {
+                metadata: {
+                    name: 'my-function',
+                    namespace: 'nuclio',
+                    labels: { 'nuclio.io/project-name': 'my-project' }
+                }
+            };
+
+            expect(VersionHelperService.getFunctionEventMetadata(version)).toEqual({
+                namespace: 'nuclio',
+                labels: {
+                    'nuclio.io/function-name': 'my-function',
+                    'nuclio.io/project-name': 'my-project'
+                }
+            });
+        });
+    });
+
+    describe('getVersionChanges(): ', function () {
+        var deployedVersion;
+
+        beforeEach(function () {
+            deployedVersion = {
+                metadata: {
+                    name: 'my-function',
+                    namespace: 'nuclio',
+                    labels: {
+                        'nuclio.io/project-name': 'my-project'
+                    }
+                },
+                spec: {
+                    handler: 'main:handler',
+                    runtime: 'python:3.9',
+                    env: [
+                        {
+                            name: 'FIRST',
+                            value: '1'
+                        },
+                        {
+                            name: 'SECOND',
+                            value: '2'
+                        }
+                    ],
+                    triggers: {
+                        http: {
+                            kind: 'http',
+                            maxWorkers: 1
+                        }
+                    },
+                    minReplicas: 1,
+                    maxReplicas: 1,
+                    build: {
+                        functionSourceCode: Base64.encode('def handler(context, event):\n    return ""'),
+                        commands: ['pip install requests']
+                    }
+                },
+                status: {
+                    state: 'ready'
+                }
+            };
+        });
+
+        afterEach(function () {
+            deployedVersion = null;
+        });
+
+        it('should return no changes for an unchanged version', function () {
+            var version = angular.merge(angular.copy(deployedVersion), {
+                spec: {
+                    description: '',
+                    volumes: []
+                },
+                ui: {
+                    deployedVersion: deployedVersion
+                }
+            });
+
+            var result = VersionHelperService.getVersionChanges(version);
+
+            expect(result.hasChanges).toBeFalsy();
+            expect(result.groups).toEqual([]);
+            expect(result.sourceCode.isChanged).toBeFalsy();
+        });
+
+        it('should group changes by configuration tab', function () {
+            var version = angular.copy(deployedVersion);
+
+            version.spec.handler = 'main:other_handler';
+            version.spec.triggers.http.maxWorkers = 4;
+            version.spec.triggers.cron = {
+                kind: 'cron',
+                attributes: {
+                    interval: '10s'
+                }
+            };
+            version.spec.env = [
+                {
+                    name: 'SECOND',
+                    value: '2'
+                },
+                {
+                    name: 'THIRD',
+                    value: '3'
+                }
+            ];
+            version.spec.maxReplicas = 4;
+            version.spec.build.commands = ['pip install requests', 'pip install numpy'];
+            version.metadata.labels.team = 'data';
+            version.ui = {
+                deployedVersion: deployedVersion
+            };
+
+            var result = VersionHelperService.getVersionChanges(version);
+
+            expect(result.hasChanges).toBeTruthy();
+            expect(result.sourceCode.isChanged).toBeFalsy();
+            expect(result.groups).toEqual([
+                {
+                    id: 'code',
+                    changes: [
+                        {
+                            path: 'spec.handler',
+                            kind: 'modified',
+                            oldValue: 'main:handler',
+                            newValue: 'main:other_handler'
+                        }
+                    ]
+                },
+                {
+                    id: 'triggers',
+                    changes: [
+                        {
+                            path: 'spec.triggers.http.maxWorkers',
+                            kind: 'modified',
+                            oldValue: 1,
+                            newValue: 4
+                        },
+                        {
+                            path: 'spec.triggers.cron',
+                            kind: 'added',
+                            oldValue: null,
+                            newValue: {
+                                kind: 'cron',
+                                attributes: {
+                                    interval: '10s'
+                                }
+                            }
+                        }
+                    ]
+                },
+                {
+                    id: 'environmentVariables',
+                    changes: [
+                        {
+                            path: 'spec.env[FIRST]',
+                            kind: 'removed',
+                            oldValue: {
+                                name: 'FIRST',
+                                value: '1'
+                            },
+                            newValue: null
+                        },
+                        {
+                            path: 'spec.env[THIRD]',
+                            kind: 'added',
+                            oldValue: null,
+                            newValue: {
+                                name: 'THIRD',
+                                value: '3'
+                            }
+                        }
+                    ]
+                },
+                {
+                    id: 'resources',
+                    changes: [
+                        {
+                            path: 'spec.maxReplicas',
+                            kind: 'modified',
+                            oldValue: 1,
+                            newValue: 4
+                        }
+                    ]
+                },
+                {
+                    id: 'build',
+                    changes: [
+                        {
+                            path: 'spec.build.commands',
+                            kind: 'modified',
+                            oldValue: ['pip install requests'],
+                            newValue: ['pip install requests', 'pip install numpy']
+                        }
+                    ]
+                },
+                {
+                    id: 'other',
+                    changes: [
+                        {
+                            path: 'metadata.labels.team',
+                            kind: 'added',
+                            oldValue: null,
+                            newValue: 'data'
+                        }
+                    ]
+                }
+            ]);
+        });
+
+        it('should return the decoded source code of both versions', function () {
+            var version = angular.copy(deployedVersion);
+
+            version.spec.build.functionSourceCode = Base64.encode('def handler(context, event):\n    return "ok"');
+            version.ui = {
+                deployedVersion: deployedVersion
+            };
+
+            var result = VersionHelperService.getVersionChanges(version);
+
+            expect(result.hasChanges).toBeTruthy();
+            expect(result.groups).toEqual([
+                {
+                    id: 'code',
+                    changes: []
+                }
+            ]);
+            expect(result.sourceCode).toEqual({
+                original: 'def handler(context, event):\n    return ""',
+                modified: 'def handler(context, event):\n    return "ok"',
+                isChanged: true
+            });
+        });
+    });
+});
@@ -32,6 +32,9 @@ such restriction.
                 refreshFunctionsList: '&',
                 updateFunction: '&'
             },
+            require: {
+                virtualScroll: '?^^igzVirtualScroll'
+            },
             templateUrl: 'nuclio/functions/function-collapsing-row/function-collapsing-row.tpl.html',
             controller: NclFunctionCollapsingRowController
         });
@@ -52,7 +55,6 @@ such restriction.
         ctrl.functionActions = [];
         ctrl.functionNameTooltip = '';
         ctrl.functionMetrics = FunctionsService.functionMetrics;
-        ctrl.isFunctionCollapsed = true;
         ctrl.runtimes = {
             'golang': 'Go',
             'python:2.7': 'Python 2.7',
@@ -116,8 +118,11 @@ such restriction.
             ctrl.functionNameTooltip = '<b>' + ctrl.function.metadata.name + '</b>' +
                 (ctrl.function.spec.description ? '<br><br>' + ctrl.function.spec.description : '');
 
+            // the checked and expanded states are kept in the function, so they survive re-rendering of the row
             lodash.defaultsDeep(ctrl.function, {
                 ui: {
+                    checked: false,
+                    isCollapsed: true,
                     metrics: {
                         count: null,
                         'cpu.idle': null,
@@ -129,7 +134,6 @@ such restriction.
 
             lodash.merge(ctrl.function, {
                 ui: {
-                    checked: false,
                     delete: deleteFunction,
                     duplicate: duplicateFunction,
                     export: exportFunction,
@@ -148,7 +152,8 @@ such restriction.
         function onDestroy() {
             terminateInterval();
 
-            if (lodash.get(ctrl.function, 'ui.checked')) {
+            // a row that is only scrolled out of view of a virtually scrolled list keeps its function checked
+            if (lodash.get(ctrl.function, 'ui.checked') && !isScrolledOut()) {
                 lodash.set(ctrl.function, 'ui.checked', false);
 
                 ActionCheckboxAllService.changeCheckedItemsCount(-1);
@@ -240,7 +245,7 @@ such restriction.
                 event.stopPropagation();
 
                 if (event.target.closest('.collapse-icon')) {
-                    ctrl.isFunctionCollapsed = !ctrl.isFunctionCollapsed;
+                    ctrl.function.ui.isCollapsed = !ctrl.function.ui.isCollapsed;
                 }
             }
         }
@@ -415,6 +420,15 @@ such restriction.
             }
         }
 
+        /**
+         * Checks whether the row is destroyed only because it is scrolled out of view of a virtually scrolled list
+         * (its function is still in the list, and the row will be rendered again when scrolled back into view)
+         * @returns {boolean}
+         */
+        function isScrolledOut() {
+            return !lodash.isNil(ctrl.virtualScroll) && ctrl.virtualScroll.hasItem(ctrl.function);
+        }
+
         /**
          * Pulls function status.
          * Periodically sends request to get function's state, until state will not be 'ready' or 'error'.
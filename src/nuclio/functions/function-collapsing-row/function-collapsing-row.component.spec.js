@@ -21,6 +21,7 @@ describe('nclFunctionCollapsingRow component:', function () {
     var $rootScope;
     var $state;
     var ctrl;
+    var ActionCheckboxAllService;
     var NuclioHeaderService;
     var VersionHelperService;
     var functionItem;
@@ -28,13 +29,14 @@ describe('nclFunctionCollapsingRow component:', function () {
     beforeEach(function () {
         module('iguazio.dashboard-controls');
 
-        inject(function (_$componentController_, _$interval_, _$q_, _$rootScope_, _$state_, _NuclioHeaderService_,
-            _VersionHelperService_) {
+        inject(function (_$componentController_, _$interval_, _$q_, _$rootScope_, _$state_,
+            _ActionCheckboxAllService_, _NuclioHeaderService_, _VersionHelperService_) {
             $componentController = _$componentController_;
             $interval = _$interval_;
             $q = _$q_;
             $rootScope = _$rootScope_;
             $state = _$state_;
+            ActionCheckboxAllService = _ActionCheckboxAllService_;
             NuclioHeaderService = _NuclioHeaderService_;
             VersionHelperService = _VersionHelperService_;
         });
@@ -87,6 +89,7 @@ describe('nclFunctionCollapsingRow component:', function () {
         $rootScope = null;
         $state = null;
         ctrl = null;
+        ActionCheckboxAllService = null;
         NuclioHeaderService = null;
         VersionHelperService = null;
         functionItem = null;
@@ -97,6 +100,47 @@ describe('nclFunctionCollapsingRow component:', function () {
             expect(ctrl.function.ui.delete).not.toBeUndefined();
             expect(ctrl.actions).not.toBe([]);
         });
+
+        it('should keep the checked and expanded states of a function that was rendered before', function () {
+            var aFunction = angular.copy(functionItem);
+            aFunction.ui = {
+                checked: true,
+                isCollapsed: false
+            };
+
+            ctrl = $componentController('nclFunctionCollapsingRow', null, { project: ctrl.project, function: aFunction });
+            ctrl.$onInit();
+
+            expect(ctrl.function.ui.checked).toBeTruthy();
+            expect(ctrl.function.ui.isCollapsed).toBeFalsy();
+            expect(ctrl.function.ui.delete).toEqual(jasmine.any(Function));
+        });
+    });
+
+    describe('$onDestroy(): ', function () {
+        beforeEach(function () {
+            spyOn(ActionCheckboxAllService, 'changeCheckedItemsCount');
+            ctrl.function.ui.checked = true;
+        });
+
+        it('should uncheck the function when its row is removed', function () {
+            ctrl.$onDestroy();
+
+            expect(ctrl.function.ui.checked).toBeFalsy();
+            expect(ActionCheckboxAllService.changeCheckedItemsCount).toHaveBeenCalledWith(-1);
+        });
+
+        it('should keep the function checked when its row is only scrolled out of view', function () {
+            ctrl.virtualScroll = {
+                hasItem: jasmine.createSpy('hasItem').and.returnValue(true)
+            };
+
+            ctrl.$onDestroy();
+
+            expect(ctrl.virtualScroll.hasItem).toHaveBeenCalledWith(ctrl.function);
+            expect(ctrl.function.ui.checked).toBeTruthy();
+            expect(ActionCheckboxAllService.changeCheckedItemsCount).not.toHaveBeenCalled();
+        });
     });
 
     describe('getTooltip(): ', function () {
@@ -0,0 +1,339 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('FunctionsBulkActionsService', FunctionsBulkActionsService);
+
+    function FunctionsBulkActionsService($q, $timeout, $i18next, i18next, lodash, BulkActionService, DialogsService,
+                                         ExportService, FunctionsService, ValidationService) {
+        var lng = i18next.language;
+        var pollingTimeouts = {};
+        var BULK_ONLY_ACTIONS = ['addLabels', 'redeploy', 'removeLabels'];
+        var FUNCTION_STATE_POLLING_DELAY = 3000;
+
+        return {
+            cancelPolling: cancelPolling,
+            isBulkAction: isBulkAction,
+            isBulkOperationAction: isBulkOperationAction,
+            retryFailedItems: retryFailedItems,
+            runAction: runAction
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Stops polling the state of the functions that are being deployed by bulk operations
+         */
+        function cancelPolling() {
+            lodash.forEach(pollingTimeouts, function (pollingTimeout) {
+                $timeout.cancel(pollingTimeout);
+            });
+
+            pollingTimeouts = {};
+        }
+
+        /**
+         * Checks whether the action should be applied to the checked items as a bulk operation
+         * @param {string} actionType - ex. `delete`
+         * @param {Array} checkedItems - an array of checked functions or versions
+         * @returns {boolean}
+         */
+        function isBulkAction(actionType, checkedItems) {
+            var isFunctionsList = lodash.has(checkedItems, '[0].metadata');
+
+            return isFunctionsList && (lodash.includes(BULK_ONLY_ACTIONS, actionType) ||
+                checkedItems.length > 1 && lodash.includes(['delete', 'export'], actionType));
+        }
+
+        /**
+         * Checks whether the action starts a bulk operation (so it could not be used while one is still running)
+         * @param {string} actionType - ex. `delete`
+         * @returns {boolean}
+         */
+        function isBulkOperationAction(actionType) {
+            return actionType === 'delete' || lodash.includes(BULK_ONLY_ACTIONS, actionType);
+        }
+
+        /**
+         * Runs the action of the bulk operation again for its failed functions
+         * @param {Object} operation - the bulk operation started by `runAction`
+         * @returns {Promise} resolved with the operation once all its failed functions are processed
+         */
+        function retryFailedItems(operation) {
+            BulkActionService.retryFailedItems(operation);
+
+            return trackOperation(operation);
+        }
+
+        /**
+         * Applies the action to all the given functions as a bulk operation
+         * @param {string} actionType - ex. `redeploy`
+         * @param {Array.<Object>} functions - the functions to apply the action to
+         * @param {Object} context
+         * @param {string} context.actionLabel - the label of the action to show in the operation messages
+         * @param {string} context.projectName - the name of the project of the functions
+         * @param {function} context.deleteFunction - deletes a function (`functionData`, `ignoreValidation`)
+         * @param {function} context.getFunction - gets a function (`metadata`)
+         * @param {function} context.updateFunction - deploys a function (`function`, `projectId`)
+         * @returns {Promise} resolved with the started operation (see `BulkActionService.runAction`), or with
+         *     `null` if no operation was started (e.g. on export, or if the user cancelled)
+         */
+        function runAction(actionType, functions, context) {
+            if (actionType === 'export') {
+                ExportService.exportFunctions(functions, context.projectName + '-functions');
+
+                return $q.when(null);
+            }
+
+            if (actionType === 'addLabels' || actionType === 'removeLabels') {
+                var isAdding = actionType === 'addLabels';
+
+                return promptLabels(isAdding)
+                    .then(function (labels) {
+                        return startOperation(functions, context, function (aFunction) {
+                            return updateFunctionLabels(aFunction, labels, isAdding, context);
+                        });
+                    })
+                    .catch(lodash.constant(null));
+            }
+
+            return $q.when(startOperation(functions, context, function (aFunction) {
+                return actionType === 'delete' ?
+                    context.deleteFunction({ functionData: aFunction.metadata, ignoreValidation: false }) :
+                    redeployFunction(aFunction, context);
+            }));
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Deploys the given function config, and waits for the deployment to complete
+         * @param {Object} aFunction - the function of the functions list
+         * @param {Object} functionConfig - the function config to deploy
+         * @param {Object} context - the context of the bulk operation (see `runAction`)
+         * @returns {Promise} rejected with the status message in case the deployment failed
+         */
+        function deployFunction(aFunction, functionConfig, context) {
+
+            // set `nuclio.io/project-name` label to relate this function to its project
+            lodash.set(functionConfig, ['metadata', 'labels', 'nuclio.io/project-name'], context.projectName);
+
+            return context.updateFunction({ 'function': functionConfig, projectId: context.projectName })
+                .then(function () {
+                    return waitForFunctionDeployment(aFunction, context);
+                });
+        }
+
+        /**
+         * Returns a copy of the function that could be sent to deploy
+         * @param {Object} aFunction
+         * @returns {Object}
+         */
+        function getFunctionConfig(aFunction) {
+            return angular.copy(lodash.omit(aFunction, ['status', 'ui', 'versions']));
+        }
+
+        /**
+         * Parses the labels entered by the user to add or remove.
+         * @param {string} input - comma-separated `key=value` pairs (or only keys in case `withValues` is `false`)
+         * @param {boolean} withValues - `true` to parse `key=value` pairs, `false` to parse keys only
+         * @returns {{labels: Object, invalidEntries: Array.<string>}} the parsed labels (a key-to-value map),
+         *     and the entries that are not valid labels
+         */
+        function parseLabels(input, withValues) {
+            var keyRules = ValidationService.getValidationRules('function.label.key');
+            var valueRules = ValidationService.getValidationRules('k8s.qualifiedName');
+            var entries = lodash.chain(input).split(',').map(lodash.trim).compact().value();
+            var result = {
+                labels: {},
+                invalidEntries: []
+            };
+
+            lodash.forEach(entries, function (entry) {
+                var separatorIndex = entry.indexOf('=');
+                var key = withValues && separatorIndex > -1 ? lodash.trim(entry.slice(0, separatorIndex)) : entry;
+                var value = withValues && separatorIndex > -1 ? lodash.trim(entry.slice(separatorIndex + 1)) : '';
+                var isValid = ValidationService.isValidByRules(keyRules, key) &&
+                    (!withValues || separatorIndex > -1 && ValidationService.isValidByRules(valueRules, value));
+
+                if (isValid) {
+                    result.labels[key] = value;
+                } else {
+                    result.invalidEntries.push(entry);
+                }
+            });
+
+            return result;
+        }
+
+        /**
+         * Asks the user for the labels to add to (or remove from) the checked functions
+         * @param {boolean} isAdding - `true` for labels to add, `false` for labels to remove
+         * @returns {Promise} resolved with the labels (a key-to-value map), rejected if cancelled or invalid
+         */
+        function promptLabels(isAdding) {
+            var promptText = $i18next.t(isAdding ? 'functions:ADD_LABELS_PROMPT' : 'functions:REMOVE_LABELS_PROMPT',
+                                        { lng: lng });
+            var okButton = $i18next.t(isAdding ? 'common:ADD' : 'common:REMOVE', { lng: lng });
+            var placeholder = isAdding ? 'key1=value1, key2=value2' : 'key1, key2';
+
+            return DialogsService.prompt(promptText, okButton, undefined, '', placeholder, undefined, true)
+                .then(function (input) {
+                    var parsedLabels = parseLabels(input, isAdding);
+
+                    if (!lodash.isEmpty(parsedLabels.invalidEntries) || lodash.isEmpty(parsedLabels.labels)) {
+                        var message = $i18next.t('functions:ERROR_MSG.INVALID_LABELS', {
+                            lng: lng,
+                            labels: lodash.isEmpty(parsedLabels.invalidEntries) ? input :
+                                parsedLabels.invalidEntries.join(', ')
+                        });
+
+                        return DialogsService.alert(message).then(function () {
+                            return $q.reject();
+                        });
+                    }
+
+                    return parsedLabels.labels;
+                });
+        }
+
+        /**
+         * Redeploys the function as an item of a bulk operation
+         * @param {Object} aFunction
+         * @param {Object} context - the context of the bulk operation (see `runAction`)
+         * @returns {Promise}
+         */
+        function redeployFunction(aFunction, context) {
+            var functionConfig = getFunctionConfig(aFunction);
+
+            lodash.set(functionConfig, 'spec.build.mode', 'alwaysBuild');
+
+            return deployFunction(aFunction, functionConfig, context);
+        }
+
+        /**
+         * Starts a bulk operation that applies the action to the given functions
+         * @param {Array.<Object>} functions
+         * @param {Object} context - the context of the bulk operation (see `runAction`)
+         * @param {function} action - receives a function and returns a promise of the action's result
+         * @returns {Object} the started operation
+         */
+        function startOperation(functions, context, action) {
+            var operation = BulkActionService.runAction(functions, action, {
+                getItemName: function (aFunction) {
+                    return aFunction.metadata.name;
+                }
+            });
+
+            operation.actionLabel = context.actionLabel;
+            trackOperation(operation);
+
+            return operation;
+        }
+
+        /**
+         * Updates the messages of the operation progress panel now, and once the running operation is done
+         * @param {Object} operation - the bulk operation
+         * @returns {Promise} resolved with the operation once it is done
+         */
+        function trackOperation(operation) {
+            updateOperationMessages(operation);
+
+            operation.promise = operation.promise.then(function () {
+                updateOperationMessages(operation);
+
+                return operation;
+            });
+
+            return operation.promise;
+        }
+
+        /**
+         * Adds the labels to the function (or removes them from it) as an item of a bulk operation
+         * @param {Object} aFunction
+         * @param {Object} labels - a key-to-value map of the labels
+         * @param {boolean} isAdding - `true` to add the labels, `false` to remove them
+         * @param {Object} context - the context of the bulk operation (see `runAction`)
+         * @returns {Promise}
+         */
+        function updateFunctionLabels(aFunction, labels, isAdding, context) {
+            var functionConfig = getFunctionConfig(aFunction);
+            var currentLabels = lodash.get(functionConfig, 'metadata.labels', {});
+
+            lodash.set(functionConfig, 'metadata.labels', isAdding ? lodash.assign(currentLabels, labels) :
+                                                                     lodash.omit(currentLabels, lodash.keys(labels)));
+            lodash.set(functionConfig, 'spec.build.mode', 'neverBuild');
+
+            return deployFunction(aFunction, functionConfig, context);
+        }
+
+        /**
+         * Updates the messages of the operation progress panel according to the operation progress
+         * @param {Object} operation - the bulk operation
+         */
+        function updateOperationMessages(operation) {
+            var translationParams = {
+                lng: lng,
+                action: operation.actionLabel,
+                count: operation.items.length,
+                failedCount: lodash.filter(operation.items, ['state', 'failed']).length
+            };
+
+            operation.messages = {
+                'in-progress': $i18next.t('functions:BULK_ACTION.IN_PROGRESS', translationParams),
+                'succeeded': $i18next.t('functions:BULK_ACTION.SUCCEEDED', translationParams),
+                'failed': $i18next.t('functions:BULK_ACTION.FAILED', translationParams)
+            };
+        }
+
+        /**
+         * Periodically gets the function until its state is steady
+         * @param {Object} aFunction
+         * @param {Object} context - the context of the bulk operation (see `runAction`)
+         * @returns {Promise} rejected with the status message in case the function state is `error` or `unhealthy`
+         */
+        function waitForFunctionDeployment(aFunction, context) {
+            var functionName = aFunction.metadata.name;
+
+            pollingTimeouts[functionName] = $timeout(function () {
+                return context.getFunction({ metadata: aFunction.metadata });
+            }, FUNCTION_STATE_POLLING_DELAY);
+
+            return pollingTimeouts[functionName]
+                .then(function (deployedFunction) {
+                    var state = lodash.get(deployedFunction, 'status.state');
+
+                    if (!lodash.includes(FunctionsService.getSteadyStates(), state)) {
+                        return waitForFunctionDeployment(aFunction, context);
+                    }
+
+                    delete pollingTimeouts[functionName];
+
+                    if (lodash.includes(['error', 'unhealthy'], state)) {
+                        return $q.reject(lodash.get(deployedFunction, 'status.message',
+                                                    FunctionsService.getDisplayStatus(deployedFunction)));
+                    }
+                });
+        }
+    }
+}());
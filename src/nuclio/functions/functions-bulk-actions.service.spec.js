@@ -0,0 +1,189 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('FunctionsBulkActionsService: ', function () {
+    var $q;
+    var $rootScope;
+    var $timeout;
+    var context;
+    var functions;
+    var DialogsService;
+    var ExportService;
+    var FunctionsBulkActionsService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _$timeout_, _DialogsService_, _ExportService_,
+                         _FunctionsBulkActionsService_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
+            DialogsService = _DialogsService_;
+            ExportService = _ExportService_;
+            FunctionsBulkActionsService = _FunctionsBulkActionsService_;
+        });
+
+        functions = [
+            { metadata: { name: 'function1', labels: { team: 'ml' } }, spec: {}, status: { state: 'ready' }, ui: {} },
+            { metadata: { name: 'function2' }, spec: {}, status: { state: 'ready' }, ui: {} }
+        ];
+        context = {
+            actionLabel: 'Delete',
+            projectName: 'my-project',
+            deleteFunction: jasmine.createSpy('deleteFunction').and.returnValue($q.when()),
+            getFunction: jasmine.createSpy('getFunction').and.returnValue($q.when({ status: { state: 'ready' } })),
+            updateFunction: jasmine.createSpy('updateFunction').and.returnValue($q.when())
+        };
+    });
+
+    afterEach(function () {
+        FunctionsBulkActionsService.cancelPolling();
+
+        $q = null;
+        $rootScope = null;
+        $timeout = null;
+        context = null;
+        functions = null;
+        DialogsService = null;
+        ExportService = null;
+        FunctionsBulkActionsService = null;
+    });
+
+    describe('isBulkAction(): ', function () {
+        it('should apply delete and export as a bulk operation only to several functions', function () {
+            expect(FunctionsBulkActionsService.isBulkAction('delete', functions)).toBeTruthy();
+            expect(FunctionsBulkActionsService.isBulkAction('delete', [functions[0]])).toBeFalsy();
+            expect(FunctionsBulkActionsService.isBulkAction('export', functions)).toBeTruthy();
+            expect(FunctionsBulkActionsService.isBulkAction('redeploy', [functions[0]])).toBeTruthy();
+            expect(FunctionsBulkActionsService.isBulkAction('redeploy', [{ name: 'version' }])).toBeFalsy();
+        });
+    });
+
+    describe('runAction(): ', function () {
+        it('should export the functions without starting an operation', function () {
+            var operation;
+            spyOn(ExportService, 'exportFunctions');
+
+            FunctionsBulkActionsService.runAction('export', functions, context).then(function (result) {
+                operation = result;
+            });
+            $rootScope.$digest();
+
+            expect(ExportService.exportFunctions).toHaveBeenCalledWith(functions, 'my-project-functions');
+            expect(operation).toBeNull();
+        });
+
+        it('should delete the functions and update the messages of the operation', function () {
+            var operation;
+
+            FunctionsBulkActionsService.runAction('delete', functions, context).then(function (result) {
+                operation = result;
+            });
+            $rootScope.$digest();
+
+            expect(context.deleteFunction).toHaveBeenCalledWith({
+                functionData: functions[1].metadata,
+                ignoreValidation: false
+            });
+            expect(operation.state).toEqual('succeeded');
+            expect(operation.messages.succeeded).toEqual(jasmine.any(String));
+        });
+
+        it('should add the entered labels to the functions and wait for their deployment', function () {
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when('owner=admin'));
+
+            FunctionsBulkActionsService.runAction('addLabels', [functions[0]], context);
+            $rootScope.$digest();
+            $timeout.flush();
+
+            expect(context.updateFunction).toHaveBeenCalledWith({
+                'function': {
+                    metadata: {
+                        name: 'function1',
+                        labels: { team: 'ml', owner: 'admin', 'nuclio.io/project-name': 'my-project' }
+                    },
+                    spec: { build: { mode: 'neverBuild' } }
+                },
+                projectId: 'my-project'
+            });
+            expect(context.getFunction).toHaveBeenCalledWith({ metadata: functions[0].metadata });
+        });
+
+        it('should remove the entered labels from the functions', function () {
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when('team'));
+
+            FunctionsBulkActionsService.runAction('removeLabels', [functions[0]], context);
+            $rootScope.$digest();
+
+            expect(context.updateFunction.calls.mostRecent().args[0].function.metadata.labels)
+                .toEqual({ 'nuclio.io/project-name': 'my-project' });
+        });
+
+        it('should not start an operation if the entered labels are invalid', function () {
+            var operation;
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when('owner=admin, =invalid'));
+            spyOn(DialogsService, 'alert').and.returnValue($q.when());
+
+            FunctionsBulkActionsService.runAction('addLabels', functions, context).then(function (result) {
+                operation = result;
+            });
+            $rootScope.$digest();
+
+            expect(DialogsService.alert).toHaveBeenCalled();
+            expect(context.updateFunction).not.toHaveBeenCalled();
+            expect(operation).toBeNull();
+        });
+
+        it('should fail the function whose deployment ends with an error', function () {
+            var operation;
+            context.getFunction.and.returnValue($q.when({ status: { state: 'error', message: 'Build failed' } }));
+
+            FunctionsBulkActionsService.runAction('redeploy', [functions[0]], context).then(function (result) {
+                operation = result;
+            });
+            $rootScope.$digest();
+            $timeout.flush();
+
+            expect(operation.state).toEqual('failed');
+            expect(operation.items[0].error).toEqual('Build failed');
+        });
+    });
+
+    describe('retryFailedItems(): ', function () {
+        it('should run the action again for the failed functions and update the messages', function () {
+            var operation;
+            context.deleteFunction.and.returnValues($q.when(), $q.reject({ data: { error: 'Conflict' } }));
+
+            FunctionsBulkActionsService.runAction('delete', functions, context).then(function (result) {
+                operation = result;
+            });
+            $rootScope.$digest();
+
+            expect(operation.state).toEqual('failed');
+
+            context.deleteFunction.and.returnValue($q.when());
+            FunctionsBulkActionsService.retryFailedItems(operation);
+
+            expect(operation.state).toEqual('in-progress');
+
+            $rootScope.$digest();
+
+            expect(context.deleteFunction).toHaveBeenCalledTimes(3);
+            expect(operation.state).toEqual('succeeded');
+        });
+    });
+});
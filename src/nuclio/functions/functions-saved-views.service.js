@@ -0,0 +1,95 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('FunctionsSavedViewsService', FunctionsSavedViewsService);
+
+    function FunctionsSavedViewsService($q, $i18next, i18next, lodash, DialogsService, FunctionsViewsService) {
+        var lng = i18next.language;
+
+        return {
+            deleteView: deleteView,
+            getView: getView,
+            getViewsOptions: getViewsOptions,
+            saveView: saveView
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Deletes a saved view, after the user confirms it
+         * @param {string} name - the name of the view to delete
+         * @returns {Promise} resolved once the view is deleted, rejected if the user cancelled
+         */
+        function deleteView(name) {
+            var message = $i18next.t('functions:DELETE_VIEW_CONFIRM', { lng: lng, name: name });
+
+            return DialogsService.confirm(message, $i18next.t('common:DELETE', { lng: lng }),
+                                          $i18next.t('common:CANCEL', { lng: lng }), 'nuclio_alert')
+                .then(function () {
+                    FunctionsViewsService.deleteView(name);
+                });
+        }
+
+        /**
+         * Gets a view by its option of the views dropdown
+         * @param {string} name - the name of a saved view, or an empty string for the default view
+         * @returns {Object|undefined} the view, or `undefined` if there is no saved view with this name
+         */
+        function getView(name) {
+            return name === '' ? FunctionsViewsService.getDefaultView() :
+                lodash.find(FunctionsViewsService.getSavedViews(), ['name', name]);
+        }
+
+        /**
+         * Gets the options of the views dropdown: the default view, followed by the saved views
+         * @returns {Array.<{id: string, name: string}>} the options
+         */
+        function getViewsOptions() {
+            return lodash.concat({
+                id: '',
+                name: $i18next.t('functions:DEFAULT_VIEW', { lng: lng })
+            }, lodash.map(FunctionsViewsService.getSavedViews(), function (view) {
+                return {
+                    id: view.name,
+                    name: view.name
+                };
+            }));
+        }
+
+        /**
+         * Asks the user for a name, and saves the view with this name
+         * @param {Object} view - the view to save, its current name (if any) is suggested to the user
+         * @returns {Promise} resolved with the saved view, rejected if the user cancelled or entered no name
+         */
+        function saveView(view) {
+            var promptText = $i18next.t('functions:SAVE_VIEW_PROMPT', { lng: lng });
+            var okButton = $i18next.t('common:SAVE', { lng: lng });
+            var placeholder = $i18next.t('functions:PLACEHOLDER.ENTER_VIEW_NAME', { lng: lng });
+
+            return DialogsService.prompt(promptText, okButton, undefined, view.name, placeholder, undefined, true)
+                .then(function (name) {
+                    return lodash.isEmpty(lodash.trim(name)) ? $q.reject() :
+                        FunctionsViewsService.saveView(lodash.assign(angular.copy(view), { name: name }));
+                });
+        }
+    }
+}());
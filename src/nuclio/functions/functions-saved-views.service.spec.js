@@ -0,0 +1,119 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('FunctionsSavedViewsService: ', function () {
+    var $q;
+    var $rootScope;
+    var lodash;
+    var DialogsService;
+    var FunctionsSavedViewsService;
+    var FunctionsViewsService;
+    var LocalStorageService;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$q_, _$rootScope_, _lodash_, _DialogsService_, _FunctionsSavedViewsService_,
+                         _FunctionsViewsService_, _LocalStorageService_) {
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            lodash = _lodash_;
+            DialogsService = _DialogsService_;
+            FunctionsSavedViewsService = _FunctionsSavedViewsService_;
+            FunctionsViewsService = _FunctionsViewsService_;
+            LocalStorageService = _LocalStorageService_;
+        });
+
+        LocalStorageService.removeItem('functionsViews');
+        FunctionsViewsService.saveView(lodash.assign(FunctionsViewsService.getDefaultView(), { name: 'Errors' }));
+    });
+
+    afterEach(function () {
+        LocalStorageService.removeItem('functionsViews');
+
+        $q = null;
+        $rootScope = null;
+        lodash = null;
+        DialogsService = null;
+        FunctionsSavedViewsService = null;
+        FunctionsViewsService = null;
+        LocalStorageService = null;
+    });
+
+    describe('getViewsOptions(): ', function () {
+        it('should return the default view followed by the saved views', function () {
+            expect(lodash.map(FunctionsSavedViewsService.getViewsOptions(), 'id')).toEqual(['', 'Errors']);
+        });
+    });
+
+    describe('getView(): ', function () {
+        it('should return the default view or the saved view by its name', function () {
+            expect(FunctionsSavedViewsService.getView('')).toEqual(FunctionsViewsService.getDefaultView());
+            expect(FunctionsSavedViewsService.getView('Errors').name).toEqual('Errors');
+            expect(FunctionsSavedViewsService.getView('Other')).toBeUndefined();
+        });
+    });
+
+    describe('saveView(): ', function () {
+        it('should save the view with the name entered by the user', function () {
+            var savedView = null;
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), { query: 'echo' });
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when('Echo'));
+
+            FunctionsSavedViewsService.saveView(view).then(function (result) {
+                savedView = result;
+            });
+            $rootScope.$digest();
+
+            expect(savedView).toEqual(jasmine.objectContaining({ name: 'Echo', query: 'echo' }));
+            expect(view.name).toEqual('');
+            expect(lodash.map(FunctionsViewsService.getSavedViews(), 'name')).toEqual(['Echo', 'Errors']);
+        });
+
+        it('should reject without saving if the user entered no name', function () {
+            var isRejected = false;
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when(' '));
+
+            FunctionsSavedViewsService.saveView(FunctionsViewsService.getDefaultView()).catch(function () {
+                isRejected = true;
+            });
+            $rootScope.$digest();
+
+            expect(isRejected).toBeTruthy();
+            expect(lodash.map(FunctionsViewsService.getSavedViews(), 'name')).toEqual(['Errors']);
+        });
+    });
+
+    describe('deleteView(): ', function () {
+        it('should delete the view once the user confirms it', function () {
+            spyOn(DialogsService, 'confirm').and.returnValue($q.when());
+
+            FunctionsSavedViewsService.deleteView('Errors');
+            $rootScope.$digest();
+
+            expect(FunctionsViewsService.getSavedViews()).toEqual([]);
+        });
+
+        it('should keep the view if the user cancels', function () {
+            spyOn(DialogsService, 'confirm').and.returnValue($q.reject());
+
+            FunctionsSavedViewsService.deleteView('Errors').catch(angular.noop);
+            $rootScope.$digest();
+
+            expect(lodash.map(FunctionsViewsService.getSavedViews(), 'name')).toEqual(['Errors']);
+        });
+    });
+});
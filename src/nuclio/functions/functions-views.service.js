@@ -0,0 +1,435 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .factory('FunctionsViewsService', FunctionsViewsService);
+
+    function FunctionsViewsService($i18next, i18next, lodash, ConfigService, FunctionsService, LocalStorageService,
+                                   PaginationService) {
+        var STORAGE_NAMESPACE = 'functionsViews';
+        var OWNER_LABEL = 'iguazio.com/username';
+        var LIST_SEPARATOR = ',';
+        var columns = [
+            {
+                id: 'name',
+                label: 'common:NAME',
+                sortKey: 'metadata.name',
+                required: true
+            },
+            {
+                id: 'status',
+                label: 'common:STATUS',
+                sortKey: 'ui.convertedStatus'
+            },
+            {
+                id: 'owner',
+                label: 'common:OWNER',
+                sortKey: 'metadata.labels[\'' + OWNER_LABEL + '\']'
+            },
+            {
+                id: 'replicas',
+                label: 'common:REPLICAS',
+                sortKey: 'spec.replicas',
+                demoOnly: true
+            },
+            {
+                id: 'runtime',
+                label: 'functions:RUNTIME',
+                sortKey: 'spec.runtime'
+            },
+            {
+                id: 'invocationPerSec',
+                label: 'functions:INVOCATION_PER_SEC',
+                sortKey: 'ui.metrics.invocationPerSec'
+            },
+            {
+                id: 'cpuCores',
+                label: 'common:CPU_CORES',
+                sortKey: 'ui.metrics[\'cpu.cores\']'
+            },
+            {
+                id: 'metricsSize',
+                label: 'common:MEMORY',
+                sortKey: 'ui.metrics.size'
+            },
+            {
+                id: 'gpuCores',
+                label: 'common:GPU_CORES',
+                sortKey: 'ui.metrics[\'gpu.cores\']'
+            },
+            {
+                id: 'metricsCount',
+                label: 'functions:INVOCATION',
+                labelSuffix: ' #',
+                sortKey: 'ui.metrics.count'
+            }
+        ];
+        var statuses = {
+            running: 'common:RUNNING',
+            standby: 'common:STANDBY',
+            building: 'common:BUILDING',
+            error: 'common:ERROR',
+            unhealthy: 'common:UNHEALTHY',
+            imported: 'common:IMPORTED',
+            scaledToZero: 'common:SCALED_TO_ZERO',
+            notYetDeployed: 'functions:NOT_YET_DEPLOYED'
+        };
+
+        return {
+            deleteView: deleteView,
+            filterFunctions: filterFunctions,
+            getColumnBySortKey: getColumnBySortKey,
+            getColumns: getColumns,
+            getDefaultView: getDefaultView,
+            getFilterOptions: getFilterOptions,
+            getFiltersCount: getFiltersCount,
+            getHiddenColumns: getHiddenColumns,
+            getLastView: getLastView,
+            getSavedViews: getSavedViews,
+            getSearchQueryFields: getSearchQueryFields,
+            getSortKey: getSortKey,
+            getViewFromParams: getViewFromParams,
+            getViewParams: getViewParams,
+            saveLastView: saveLastView,
+            saveView: saveView
+        };
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Deletes a saved view
+         * @param {string} name - the name of the view to delete
+         */
+        function deleteView(name) {
+            var savedViews = lodash.defaultTo(LocalStorageService.getItem(STORAGE_NAMESPACE, 'saved'), {});
+
+            LocalStorageService.setItem(STORAGE_NAMESPACE, 'saved', lodash.omit(savedViews, name));
+        }
+
+        /**
+         * Filters the functions by the status, runtime and owner filters of the view
+         * @param {Array.<Object>} functions - the functions to filter
+         * @param {Object} view - the view
+         * @returns {Array.<Object>} the functions that match all the filters of the view
+         */
+        function filterFunctions(functions, view) {
+            return lodash.filter(functions, function (aFunction) {
+                return matchesFilter(view.status, FunctionsService.getStatusId(aFunction)) &&
+                    matchesFilter(view.runtime, lodash.get(aFunction, 'spec.runtime')) &&
+                    matchesFilter(view.owner, lodash.get(aFunction, ['metadata', 'labels', OWNER_LABEL]));
+            });
+        }
+
+        /**
+         * Gets the column that the functions table is sorted by when sorted by the given sort key
+         * @param {string} sortKey - e.g. `'spec.runtime'`
+         * @returns {?string} the id of the column (e.g. `'runtime'`), or `null` if there is no such column
+         */
+        function getColumnBySortKey(sortKey) {
+            return lodash.get(lodash.find(columns, ['sortKey', sortKey]), 'id', null);
+        }
+
+        /**
+         * Gets the columns of functions table that are available in the current mode
+         * @param {boolean} [withRequired=false] - `true` to include the columns that could not be hidden
+         * @returns {Array.<{id: string, label: string, sortKey: string}>} the columns, with translated labels
+         */
+        function getColumns(withRequired) {
+            var lng = i18next.language;
+
+            return lodash.chain(columns)
+                .filter(function (column) {
+                    return (withRequired || !column.required) && (!column.demoOnly || ConfigService.isDemoMode());
+                })
+                .map(function (column) {
+                    return {
+                        id: column.id,
+                        label: $i18next.t(column.label, { lng: lng }) + lodash.defaultTo(column.labelSuffix, ''),
+                        sortKey: column.sortKey
+                    };
+                })
+                .value();
+        }
+
+        /**
+         * Gets the view that is used when no view is selected
+         * @returns {Object} the default view
+         */
+        function getDefaultView() {
+            return {
+                name: '',
+                sortBy: 'name',
+                reverse: false,
+                query: '',
+                status: [],
+                runtime: [],
+                owner: [],
+                columns: lodash.map(getColumns(), 'id'),
+                pageSize: lodash.first(PaginationService.perPageDefaults()).id
+            };
+        }
+
+        /**
+         * Gets the options of the status, runtime and owner filters
+         * @param {Array.<Object>} functions - the functions to collect the runtimes and owners from
+         * @param {Object} view - the view, its filter values are always included in the options
+         * @returns {{status: Array.<Object>, runtime: Array.<Object>, owner: Array.<Object>}} options for
+         *     `igz-multiple-checkboxes` component
+         */
+        function getFilterOptions(functions, view) {
+            var lng = i18next.language;
+
+            return {
+                status: lodash.map(statuses, function (label, id) {
+                    return {
+                        value: id,
+                        label: $i18next.t(label, { lng: lng })
+                    };
+                }),
+                runtime: getValueOptions(functions, 'spec.runtime', view.runtime),
+                owner: getValueOptions(functions, ['metadata', 'labels', OWNER_LABEL], view.owner)
+            };
+        }
+
+        /**
+         * Counts the filters applied in the view (search query, status, runtime and owner)
+         * @param {Object} view - the view
+         * @returns {number} the number of the applied filters
+         */
+        function getFiltersCount(view) {
+            return lodash.filter([view.query, view.status, view.runtime, view.owner], lodash.negate(lodash.isEmpty))
+                .length;
+        }
+
+        /**
+         * Gets the columns that are not visible in the view
+         * @param {Object} view - the view
+         * @returns {Array.<string>} the ids of the hidden columns
+         */
+        function getHiddenColumns(view) {
+            return lodash.difference(lodash.map(getColumns(), 'id'), view.columns);
+        }
+
+        /**
+         * Gets the view that was last used in the functions list of the project
+         * @param {string} projectName - the name of the project
+         * @returns {?Object} the view, or `null` if there is no such view
+         */
+        function getLastView(projectName) {
+            var lastView = lodash.get(LocalStorageService.getItem(STORAGE_NAMESPACE, 'last'), projectName, null);
+
+            return lodash.isNil(lastView) ? null : normalizeView(lastView);
+        }
+
+        /**
+         * Gets the saved views, ordered by name
+         * @returns {Array.<Object>} the saved views
+         */
+        function getSavedViews() {
+            return lodash.chain(LocalStorageService.getItem(STORAGE_NAMESPACE, 'saved'))
+                .values()
+                .map(normalizeView)
+                .sortBy('name')
+                .value();
+        }
+
+        /**
+         * Gets the fields that could be used in the search query of the functions list,
+         * e.g. `status:error runtime:python* label:team=ml replicas>2`
+         * @returns {Array.<Object>} the fields, as expected by `SearchQueryService`
+         */
+        function getSearchQueryFields() {
+            return [
+                { name: 'name', path: 'metadata.name' },
+                { name: 'description', path: 'spec.description' },
+                { name: 'status', getValue: FunctionsService.getStatusId },
+                { name: 'runtime', path: 'spec.runtime' },
+                { name: 'owner', path: ['metadata', 'labels', OWNER_LABEL] },
+                { name: 'label', path: 'metadata.labels', type: 'map' },
+                { name: 'replicas', path: 'spec.replicas', type: 'number' },
+                { name: 'minReplicas', path: 'spec.minReplicas', type: 'number' },
+                { name: 'maxReplicas', path: 'spec.maxReplicas', type: 'number' }
+            ];
+        }
+
+        /**
+         * Gets the sort key of a column
+         * @param {string} columnId - e.g. `'runtime'`
+         * @returns {?string} the path of the property to sort by (e.g. `'spec.runtime'`), or `null` for unknown column
+         */
+        function getSortKey(columnId) {
+            return lodash.get(lodash.find(columns, ['id', columnId]), 'sortKey', null);
+        }
+
+        /**
+         * Parses the view encoded in state params (the query string)
+         * @param {Object} params - the state params
+         * @returns {?Object} the view, or `null` if no view is encoded in the params
+         */
+        function getViewFromParams(params) {
+            var viewParams = lodash.omitBy(lodash.pick(params, lodash.keys(getViewParams(getDefaultView()))),
+                                           lodash.isNil);
+
+            return lodash.isEmpty(viewParams) ? null : normalizeView({
+                name: viewParams.view,
+                sortBy: viewParams.sort,
+                reverse: viewParams.desc === 'true',
+                query: viewParams.q,
+                status: parseList(viewParams.status),
+                runtime: parseList(viewParams.runtime),
+                owner: parseList(viewParams.owner),
+                columns: lodash.isNil(viewParams.columns) ? undefined : parseList(viewParams.columns),
+                pageSize: Number(viewParams.pageSize)
+            });
+        }
+
+        /**
+         * Encodes the view as state params (the query string).
+         * Values that equal to the ones of the default view are set to `null`, so they are omitted from the URL.
+         * @param {Object} view - the view
+         * @returns {Object} the state params
+         */
+        function getViewParams(view) {
+            var defaultView = getDefaultView();
+
+            return {
+                view: toParam(view.name, defaultView.name),
+                sort: toParam(view.sortBy, defaultView.sortBy),
+                desc: view.reverse ? 'true' : null,
+                q: toParam(view.query, defaultView.query),
+                status: toParam(view.status, defaultView.status),
+                runtime: toParam(view.runtime, defaultView.runtime),
+                owner: toParam(view.owner, defaultView.owner),
+                columns: toParam(view.columns, defaultView.columns),
+                pageSize: toParam(view.pageSize, defaultView.pageSize)
+            };
+        }
+
+        /**
+         * Stores the view that is currently used in the functions list of the project, so it could be restored later
+         * @param {string} projectName - the name of the project
+         * @param {Object} view - the view
+         */
+        function saveLastView(projectName, view) {
+            var lastViews = lodash.defaultTo(LocalStorageService.getItem(STORAGE_NAMESPACE, 'last'), {});
+
+            lastViews[projectName] = normalizeView(view);
+            LocalStorageService.setItem(STORAGE_NAMESPACE, 'last', lastViews);
+        }
+
+        /**
+         * Saves a named view (overwrites the saved view with the same name, if any)
+         * @param {Object} view - the view, `view.name` is mandatory
+         * @returns {Object} the saved view
+         */
+        function saveView(view) {
+            var savedViews = lodash.defaultTo(LocalStorageService.getItem(STORAGE_NAMESPACE, 'saved'), {});
+            var savedView = normalizeView(view);
+
+            savedViews[savedView.name] = savedView;
+            LocalStorageService.setItem(STORAGE_NAMESPACE, 'saved', savedViews);
+
+            return savedView;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Collects the distinct values of a property of the functions as options of a filter
+         * @param {Array.<Object>} functions - the functions
+         * @param {string|Array.<string>} path - the path of the property
+         * @param {Array.<string>} selectedValues - values to include even if no function has them
+         * @returns {Array.<{value: string, label: string}>} the options, ordered by value
+         */
+        function getValueOptions(functions, path, selectedValues) {
+            return lodash.chain(functions)
+                .map(lodash.property(path))
+                .concat(selectedValues)
+                .filter(lodash.isString)
+                .reject(lodash.isEmpty)
+                .uniq()
+                .sortBy()
+                .map(function (value) {
+                    return {
+                        value: value,
+                        label: value
+                    };
+                })
+                .value();
+        }
+
+        /**
+         * Tests whether a value matches a filter
+         * @param {Array.<string>} filterValues - the values of the filter (empty to match all values)
+         * @param {string} value - the value to test
+         * @returns {boolean} `true` if the value matches the filter, `false` otherwise
+         */
+        function matchesFilter(filterValues, value) {
+            return lodash.isEmpty(filterValues) || lodash.includes(filterValues, value);
+        }
+
+        /**
+         * Fills in the default values of the missing or invalid properties of the view
+         * @param {Object} view - the view
+         * @returns {Object} a new view object
+         */
+        function normalizeView(view) {
+            var defaultView = getDefaultView();
+            var columnIds = lodash.map(getColumns(), 'id');
+            var pageSizes = lodash.map(PaginationService.perPageDefaults(), 'id');
+
+            return {
+                name: lodash.isString(view.name) ? lodash.trim(view.name) : defaultView.name,
+                sortBy: lodash.isNil(getSortKey(view.sortBy)) ? defaultView.sortBy : view.sortBy,
+                reverse: view.reverse === true,
+                query: lodash.isString(view.query) ? view.query : defaultView.query,
+                status: lodash.intersection(view.status, lodash.keys(statuses)),
+                runtime: lodash.filter(view.runtime, lodash.isString),
+                owner: lodash.filter(view.owner, lodash.isString),
+                columns: lodash.isArray(view.columns) ? lodash.intersection(columnIds, view.columns) :
+                    defaultView.columns,
+                pageSize: lodash.includes(pageSizes, view.pageSize) ? view.pageSize : defaultView.pageSize
+            };
+        }
+
+        /**
+         * Parses a comma-separated list param
+         * @param {string} [param] - e.g. `'python:3.9,golang'`
+         * @returns {Array.<string>} e.g. `['python:3.9', 'golang']`
+         */
+        function parseList(param) {
+            return lodash.chain(param).split(LIST_SEPARATOR).map(lodash.trim).compact().value();
+        }
+
+        /**
+         * Converts a value of the view to a state param
+         * @param {string|number|Array.<string>} value - the value
+         * @param {string|number|Array.<string>} defaultValue - the value of the default view
+         * @returns {?string} the state param, or `null` if the value equals to the default value
+         */
+        function toParam(value, defaultValue) {
+            return lodash.isEqual(value, defaultValue) ? null :
+                lodash.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+        }
+    }
+}());
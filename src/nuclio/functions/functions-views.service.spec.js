@@ -0,0 +1,232 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('FunctionsViewsService: ', function () {
+    var ConfigService;
+    var FunctionsViewsService;
+    var LocalStorageService;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_ConfigService_, _FunctionsViewsService_, _LocalStorageService_, _lodash_) {
+            ConfigService = _ConfigService_;
+            FunctionsViewsService = _FunctionsViewsService_;
+            LocalStorageService = _LocalStorageService_;
+            lodash = _lodash_;
+        });
+
+        spyOn(ConfigService, 'isDemoMode').and.returnValue(false);
+        LocalStorageService.removeItem('functionsViews');
+    });
+
+    afterEach(function () {
+        LocalStorageService.removeItem('functionsViews');
+
+        ConfigService = null;
+        FunctionsViewsService = null;
+        LocalStorageService = null;
+        lodash = null;
+    });
+
+    describe('getColumns(): ', function () {
+        it('should return the columns that could be hidden in the current mode', function () {
+            var columnIds = ['status', 'owner', 'runtime', 'invocationPerSec', 'cpuCores', 'metricsSize', 'gpuCores',
+                'metricsCount'];
+
+            expect(lodash.map(FunctionsViewsService.getColumns(), 'id')).toEqual(columnIds);
+            expect(lodash.map(FunctionsViewsService.getColumns(true), 'id')).toEqual(['name'].concat(columnIds));
+
+            ConfigService.isDemoMode.and.returnValue(true);
+
+            expect(lodash.map(FunctionsViewsService.getColumns(), 'id')).toContain('replicas');
+        });
+    });
+
+    describe('getViewParams(): ', function () {
+        it('should omit the values of the default view', function () {
+            expect(FunctionsViewsService.getViewParams(FunctionsViewsService.getDefaultView())).toEqual({
+                view: null,
+                sort: null,
+                desc: null,
+                q: null,
+                status: null,
+                runtime: null,
+                owner: null,
+                columns: null,
+                pageSize: null
+            });
+        });
+
+        it('should encode the view as state params', function () {
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), {
+                name: 'My view',
+                sortBy: 'runtime',
+                reverse: true,
+                query: 'echo',
+                status: ['running', 'error'],
+                runtime: ['python:3.9'],
+                columns: ['status', 'runtime'],
+                pageSize: 20
+            });
+
+            expect(FunctionsViewsService.getViewParams(view)).toEqual({
+                view: 'My view',
+                sort: 'runtime',
+                desc: 'true',
+                q: 'echo',
+                status: 'running,error',
+                runtime: 'python:3.9',
+                owner: null,
+                columns: 'status,runtime',
+                pageSize: '20'
+            });
+        });
+    });
+
+    describe('getViewFromParams(): ', function () {
+        it('should return `null` if no view is encoded in the params', function () {
+            expect(FunctionsViewsService.getViewFromParams({ projectId: 'default', view: null })).toBeNull();
+        });
+
+        it('should decode the view encoded by `getViewParams()`', function () {
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), {
+                name: 'My view',
+                sortBy: 'cpuCores',
+                reverse: true,
+                owner: ['admin'],
+                columns: [],
+                pageSize: 40
+            });
+
+            expect(FunctionsViewsService.getViewFromParams(FunctionsViewsService.getViewParams(view))).toEqual(view);
+        });
+
+        it('should fall back to the default values for invalid params', function () {
+            var view = FunctionsViewsService.getViewFromParams({
+                sort: 'unknown',
+                status: 'running,unknown',
+                columns: 'owner,unknown',
+                pageSize: '15'
+            });
+
+            expect(view).toEqual(lodash.assign(FunctionsViewsService.getDefaultView(), {
+                status: ['running'],
+                columns: ['owner']
+            }));
+        });
+    });
+
+    describe('filterFunctions(): ', function () {
+        var functions;
+
+        beforeEach(function () {
+            functions = [
+                {
+                    metadata: { name: 'f1', labels: { 'iguazio.com/username': 'admin' } },
+                    spec: { runtime: 'python:3.9' },
+                    status: { state: 'ready' }
+                },
+                {
+                    metadata: { name: 'f2', labels: { 'iguazio.com/username': 'iguazio' } },
+                    spec: { runtime: 'golang', disable: true },
+                    status: { state: 'ready' }
+                },
+                {
+                    metadata: { name: 'f3' },
+                    spec: { runtime: 'python:3.9' }
+                }
+            ];
+        });
+
+        it('should return all the functions if there are no filters', function () {
+            var view = FunctionsViewsService.getDefaultView();
+
+            expect(FunctionsViewsService.filterFunctions(functions, view)).toEqual(functions);
+        });
+
+        it('should return the functions that match all the filters', function () {
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), {
+                status: ['running', 'notYetDeployed'],
+                runtime: ['python:3.9']
+            });
+
+            expect(lodash.map(FunctionsViewsService.filterFunctions(functions, view), 'metadata.name'))
+                .toEqual(['f1', 'f3']);
+
+            view.owner = ['admin', 'iguazio'];
+
+            expect(lodash.map(FunctionsViewsService.filterFunctions(functions, view), 'metadata.name')).toEqual(['f1']);
+        });
+
+        it('should collect the runtimes and owners of the functions as filter options', function () {
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), { owner: ['someone'] });
+            var options = FunctionsViewsService.getFilterOptions(functions, view);
+
+            expect(lodash.map(options.runtime, 'value')).toEqual(['golang', 'python:3.9']);
+            expect(lodash.map(options.owner, 'value')).toEqual(['admin', 'iguazio', 'someone']);
+            expect(lodash.map(options.status, 'value')).toContain('scaledToZero');
+        });
+
+        it('should count the applied filters of the view', function () {
+            var view = FunctionsViewsService.getDefaultView();
+
+            expect(FunctionsViewsService.getFiltersCount(view)).toEqual(0);
+
+            lodash.assign(view, { query: 'echo', runtime: ['golang'] });
+
+            expect(FunctionsViewsService.getFiltersCount(view)).toEqual(2);
+        });
+
+        it('should provide search query fields for status and owner of the functions', function () {
+            var fields = FunctionsViewsService.getSearchQueryFields();
+            var statusField = lodash.find(fields, ['name', 'status']);
+            var ownerField = lodash.find(fields, ['name', 'owner']);
+
+            expect(lodash.map(functions, statusField.getValue)).toEqual(['running', 'standby', 'notYetDeployed']);
+            expect(lodash.get(functions[0], ownerField.path)).toEqual('admin');
+        });
+    });
+
+    describe('saveView(): ', function () {
+        it('should save, list and delete named views', function () {
+            FunctionsViewsService.saveView(lodash.assign(FunctionsViewsService.getDefaultView(), {
+                name: ' Running ',
+                status: ['running']
+            }));
+            FunctionsViewsService.saveView(lodash.assign(FunctionsViewsService.getDefaultView(), { name: 'All' }));
+
+            expect(lodash.map(FunctionsViewsService.getSavedViews(), 'name')).toEqual(['All', 'Running']);
+            expect(FunctionsViewsService.getSavedViews()[1].status).toEqual(['running']);
+
+            FunctionsViewsService.deleteView('All');
+
+            expect(lodash.map(FunctionsViewsService.getSavedViews(), 'name')).toEqual(['Running']);
+        });
+    });
+
+    describe('saveLastView(): ', function () {
+        it('should remember the last used view per project', function () {
+            var view = lodash.assign(FunctionsViewsService.getDefaultView(), { query: 'echo' });
+
+            FunctionsViewsService.saveLastView('project1', view);
+
+            expect(FunctionsViewsService.getLastView('project1')).toEqual(view);
+            expect(FunctionsViewsService.getLastView('project2')).toBeNull();
+        });
+    });
+});
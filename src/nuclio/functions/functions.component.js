@@ -25,9 +25,11 @@ such restriction.
             bindings: {
                 createFunction: '&',
                 createFunctionWhenEmpty: '<?',
+                createProject: '&?',
                 deleteFunction: '&',
                 getFunction: '&',
                 getFunctions: '&',
+                getProjects: '&?',
                 getStatistics: '&',
                 project: '<',
                 updateFunction: '&'
@@ -36,10 +38,11 @@ such restriction.
             controller: FunctionsController
         });
 
-    function FunctionsController($filter, $interval, $q, $rootScope, $scope, $state, $stateParams, $timeout,
-                                 $transitions, $i18next, i18next, lodash, CommonTableService, ConfigService,
-                                 DialogsService, ElementLoadingStatusService, FunctionsService, GeneralDataService,
-                                 NuclioHeaderService, TableSizeService) {
+    function FunctionsController($filter, $interval, $location, $q, $rootScope, $scope, $state, $stateParams,
+                                 $timeout, $transitions, $i18next, i18next, lodash, ngDialog, CommonTableService,
+                                 ConfigService, DialogsService, ElementLoadingStatusService, FunctionsBulkActionsService,
+                                 FunctionsSavedViewsService, FunctionsService, FunctionsViewsService,
+                                 GeneralDataService, NuclioHeaderService, TableSizeService) {
         var ctrl = this;
         var lng = i18next.language;
         var siteOrigin = null;
@@ -48,6 +51,7 @@ such restriction.
         var UPDATING_FUNCTIONS_INTERVAL_TIME = 30000;
         var UPDATING_STATISTICS_INTERVAL_TIME = 30000;
 
+        ctrl.bulkOperation = null;
         ctrl.filtersCounter = 0;
         ctrl.functionCPUMetric = FunctionsService.functionMetrics.FUNCTION_CPU;
         ctrl.functionEventsMetric = FunctionsService.functionMetrics.FUNCTION_EVENTS;
@@ -71,77 +75,40 @@ such restriction.
             'metadata.name',
             'spec.description'
         ];
+        ctrl.searchQueryFields = FunctionsViewsService.getSearchQueryFields();
         ctrl.searchStates = {};
-        ctrl.sortOptions = [
-            {
-                label: $i18next.t('common:NAME', { lng: lng }),
-                value: 'metadata.name',
-                active: true
-            },
-            {
-                label: $i18next.t('common:STATUS', { lng: lng }),
-                value: 'ui.convertedStatus',
-                active: false
-            },
-            {
-                label: $i18next.t('common:REPLICAS', { lng: lng }),
-                value: 'spec.replicas',
-                active: false,
-                visible: ConfigService.isDemoMode()
-            },
-            {
-                label: $i18next.t('functions:RUNTIME', { lng: lng }),
-                value: 'spec.runtime',
-                active: false
-            },
-            {
-                label: $i18next.t('functions:INVOCATION_PER_SEC', { lng: lng }),
-                value: 'ui.metrics.invocationPerSec',
-                active: false
-            },
-            {
-                label: $i18next.t('common:CPU_CORES', { lng: lng }),
-                value: 'ui.metrics[\'cpu.cores\']',
-                active: false
-            },
-            {
-                label: $i18next.t('common:MEMORY', { lng: lng }),
-                value: 'ui.metrics.size',
-                active: false
-            },
-            {
-                label: $i18next.t('common:GPU_CORES', { lng: lng }),
-                value: 'ui.metrics[\'gpu.cores\']',
-                active: false
-            },
-            {
-                label: $i18next.t('functions:INVOCATION', { lng: lng }) + ' #',
-                value: 'ui.metrics.count',
-                active: false
-            },
-            {
-                label: $i18next.t('common:OWNER', { lng: lng }),
-                value: 'metadata.labels[\'iguazio.com/username\']',
-                active: false
+        ctrl.savedViewsOptions = [];
+        ctrl.scrollConfig = {
+            callbacks: {
+                whileScrolling: onScrolling
             }
-        ];
+        };
+        ctrl.sortOptions = [];
         ctrl.sortedColumnName = 'metadata.name';
         ctrl.versionActions = [];
+        ctrl.view = FunctionsViewsService.getDefaultView();
         ctrl.visibleFunctions = [];
 
         ctrl.$onInit = onInit;
         ctrl.$onDestroy = onDestroy;
 
+        ctrl.closeBulkOperationPanel = closeBulkOperationPanel;
+        ctrl.deleteView = deleteView;
         ctrl.getVersions = getVersions;
         ctrl.handleFunctionVersionAction = handleFunctionVersionAction;
         ctrl.isFunctionsListEmpty = isFunctionsListEmpty;
         ctrl.onApplyFilters = onApplyFilters;
+        ctrl.onChangeVisibleColumns = onChangeVisibleColumns;
         ctrl.onResetFilters = onResetFilters;
+        ctrl.onSelectView = onSelectView;
         ctrl.onSortOptionsChange = onSortOptionsChange;
         ctrl.onUpdateFiltersCounter = onUpdateFiltersCounter;
+        ctrl.openImportFunctionsDialog = openImportFunctionsDialog;
         ctrl.openNewFunctionScreen = openNewFunctionScreen;
         ctrl.paginationCallback = paginationCallback;
         ctrl.refreshFunctions = refreshFunctions;
+        ctrl.retryBulkOperation = retryBulkOperation;
+        ctrl.saveView = saveView;
         ctrl.sortTableByColumn = sortTableByColumn;
         ctrl.toggleFilters = toggleFilters;
 
@@ -163,11 +130,13 @@ such restriction.
 
             lodash.defaults(ctrl, { createFunctionWhenEmpty: true });
 
+            initView();
             initFunctions();
             initPagination();
 
             // initializes function actions array
-            ctrl.functionActions = angular.copy(FunctionsService.initFunctionActions());
+            ctrl.functionActions = angular.copy(lodash.concat(FunctionsService.initFunctionActions(),
+                                                              FunctionsService.initFunctionBulkActions()));
 
             // initializes version actions array
             ctrl.versionActions = angular.copy(FunctionsService.initVersionActions());
@@ -198,12 +167,35 @@ such restriction.
          */
         function onDestroy() {
             stopAutoUpdate();
+            TableSizeService.setFunctionsTableHiddenColumns([]);
+            FunctionsBulkActionsService.cancelPolling();
         }
 
         //
         // Public methods
         //
 
+        /**
+         * Hides the progress panel of the last bulk operation
+         */
+        function closeBulkOperationPanel() {
+            ctrl.bulkOperation = null;
+        }
+
+        /**
+         * Deletes the currently selected saved view (after confirmation)
+         * @returns {Promise}
+         */
+        function deleteView() {
+            return FunctionsSavedViewsService.deleteView(ctrl.view.name)
+                .then(function () {
+                    ctrl.view.name = '';
+                    ctrl.savedViewsOptions = FunctionsSavedViewsService.getViewsOptions();
+                    updateViewParams();
+                })
+                .catch(angular.noop);
+        }
+
         /**
          * Gets list of function versions
          * @returns {string[]}
@@ -228,6 +220,10 @@ such restriction.
         function handleFunctionVersionAction(actionType, checkedItems) {
             var promises = [];
 
+            if (FunctionsBulkActionsService.isBulkAction(actionType, checkedItems)) {
+                return isBulkOperationInProgress() ? $q.when() : runBulkFunctionAction(actionType, checkedItems);
+            }
+
             lodash.forEach(checkedItems, function (checkedItem) {
                 var actionHandler = checkedItem.ui[actionType];
 
@@ -261,7 +257,19 @@ such restriction.
         function onApplyFilters() {
             $rootScope.$broadcast('search-input_refresh-search');
 
-            $timeout(paginateFunctions);
+            ctrl.filtersCounter = FunctionsViewsService.getFiltersCount(ctrl.view);
+            $timeout(function () {
+                paginateFunctions();
+                updateViewParams();
+            });
+        }
+
+        /**
+         * Shows/hides the table columns according to the columns checked in the column chooser
+         */
+        function onChangeVisibleColumns() {
+            updateVisibleColumns();
+            updateViewParams();
         }
 
         /**
@@ -270,8 +278,27 @@ such restriction.
         function onResetFilters() {
             $rootScope.$broadcast('search-input_reset');
 
+            ctrl.view.status = [];
+            ctrl.view.runtime = [];
+            ctrl.view.owner = [];
             ctrl.filtersCounter = 0;
-            $timeout(paginateFunctions);
+            $timeout(function () {
+                paginateFunctions();
+                updateViewParams();
+            });
+        }
+
+        /**
+         * Applies the selected saved view (or the default view)
+         * @param {Object} item - the selected item of the views dropdown
+         */
+        function onSelectView(item) {
+            var view = FunctionsSavedViewsService.getView(item.id);
+
+            if (angular.isDefined(view)) {
+                applyView(view);
+                updateViewParams();
+            }
         }
 
         /**
@@ -283,6 +310,7 @@ such restriction.
             ctrl.sortedColumnName = option.value;
 
             sortTable();
+            updateViewParams();
         }
 
         /**
@@ -290,7 +318,42 @@ such restriction.
          * @param {string} searchQuery
          */
         function onUpdateFiltersCounter(searchQuery) {
-            ctrl.filtersCounter = lodash.isEmpty(searchQuery) ? 0 : 1;
+            ctrl.view.query = lodash.defaultTo(searchQuery, '');
+            ctrl.filtersCounter = FunctionsViewsService.getFiltersCount(ctrl.view);
+        }
+
+        /**
+         * Opens the dialog for importing functions from a YAML file, and refreshes the functions list after import
+         * @returns {Promise}
+         */
+        function openImportFunctionsDialog() {
+            return ngDialog.open({
+                template: '<ncl-import-functions-dialog data-close-dialog="closeThisDialog(value)" ' +
+                    'data-project="ngDialogData.project" ' +
+                    'data-create-function="ngDialogData.createFunction({function: function, projectId: projectId})" ' +
+                    'data-update-function="ngDialogData.updateFunction({function: function, projectId: projectId})" ' +
+                    'data-get-function="ngDialogData.getFunction({metadata: metadata})" ' +
+                    (lodash.isFunction(ctrl.createProject) ?
+                        'data-create-project="ngDialogData.createProject({project: project})" ' : '') +
+                    (lodash.isFunction(ctrl.getProjects) ? 'data-get-projects="ngDialogData.getProjects()" ' : '') +
+                    '></ncl-import-functions-dialog>',
+                plain: true,
+                data: {
+                    createFunction: ctrl.createFunction,
+                    createProject: ctrl.createProject,
+                    getFunction: ctrl.getFunction,
+                    getProjects: ctrl.getProjects,
+                    project: ctrl.project,
+                    updateFunction: ctrl.updateFunction
+                },
+                className: 'ngdialog-theme-iguazio import-functions-dialog-wrapper'
+            })
+                .closePromise
+                .then(function (data) {
+                    if (data.value === true) {
+                        return refreshFunctions();
+                    }
+                });
         }
 
         /**
@@ -309,6 +372,21 @@ such restriction.
             ctrl.page.number = page;
             ctrl.page.size = size;
             paginateFunctions();
+            updateViewParams();
+        }
+
+        /**
+         * Runs the action of the last bulk operation again for its failed functions
+         * @returns {Promise}
+         */
+        function retryBulkOperation() {
+            if (isBulkOperationInProgress()) {
+                return $q.when();
+            }
+
+            setBulkActionsActive(false);
+
+            return FunctionsBulkActionsService.retryFailedItems(ctrl.bulkOperation).then(onBulkOperationDone);
         }
 
         /**
@@ -363,6 +441,7 @@ such restriction.
                         updateStatistics();
                     }
 
+                    ctrl.filterOptions = FunctionsViewsService.getFilterOptions(ctrl.functions, ctrl.view);
                     sortTable(true);
                 })
                 .catch(function (error) {
@@ -377,6 +456,20 @@ such restriction.
                 });
         }
 
+        /**
+         * Saves the current sorting, filters, visible columns and page size as a named view
+         * @returns {Promise}
+         */
+        function saveView() {
+            return FunctionsSavedViewsService.saveView(ctrl.view)
+                .then(function (savedView) {
+                    ctrl.view.name = savedView.name;
+                    ctrl.savedViewsOptions = FunctionsSavedViewsService.getViewsOptions();
+                    updateViewParams();
+                })
+                .catch(angular.noop);
+        }
+
         /**
          * Sorts the table by column.
          * @param {string} columnName - The name of the column to sort by.
@@ -389,6 +482,7 @@ such restriction.
             ctrl.sortedColumnName = columnName;
 
             sortTable();
+            updateViewParams();
         }
 
         /**
@@ -402,6 +496,25 @@ such restriction.
         // Private methods
         //
 
+        /**
+         * Applies the sorting, filters, visible columns and page size of the view to the functions list
+         * @param {Object} view - the view to apply
+         */
+        function applyView(view) {
+            ctrl.view = angular.copy(view);
+            ctrl.sortedColumnName = FunctionsViewsService.getSortKey(ctrl.view.sortBy);
+            ctrl.isReverseSorting = ctrl.view.reverse;
+            ctrl.page.number = 0;
+            ctrl.page.size = ctrl.view.pageSize;
+            ctrl.filterOptions = FunctionsViewsService.getFilterOptions(ctrl.functions, ctrl.view);
+
+            updateVisibleColumns();
+            ctrl.filtersCounter = FunctionsViewsService.getFiltersCount(ctrl.view);
+
+            $rootScope.$broadcast('search-input_set-query', { searchQuery: ctrl.view.query });
+            $timeout(sortTable);
+        }
+
         /**
          * Hides charts spinners
          */
@@ -418,6 +531,12 @@ such restriction.
             return ctrl.refreshFunctions()
                 .then(function () {
                     startAutoUpdate();
+
+                    // apply the search query of the view, once the functions to search in are loaded
+                    if (!lodash.isEmpty(ctrl.view.query)) {
+                        $rootScope.$broadcast('search-input_refresh-search');
+                        $timeout(paginateFunctions);
+                    }
                 })
                 .catch(function (error) {
                     ctrl.isSplashShowed.value = false;
@@ -441,10 +560,53 @@ such restriction.
         function initPagination() {
             ctrl.page = {
                 number: ctrl.page.number || 0,
-                size: 10
+                size: ctrl.view.pageSize
             };
         }
 
+        /**
+         * Initializes the view of the functions list from the query string, or restores the last used view of
+         * the project (e.g. when navigating back to the functions list)
+         */
+        function initView() {
+            var view = lodash.defaultTo(FunctionsViewsService.getViewFromParams($stateParams),
+                                        FunctionsViewsService.getLastView(lodash.get(ctrl.project, 'metadata.name')));
+
+            ctrl.savedViewsOptions = FunctionsSavedViewsService.getViewsOptions();
+            ctrl.columns = FunctionsViewsService.getColumns();
+            ctrl.sortOptions = lodash.map(FunctionsViewsService.getColumns(true), function (column) {
+                return {
+                    label: column.label,
+                    value: column.sortKey,
+                    active: false
+                };
+            });
+            ctrl.view = lodash.defaultTo(view, FunctionsViewsService.getDefaultView());
+            ctrl.sortedColumnName = FunctionsViewsService.getSortKey(ctrl.view.sortBy);
+            ctrl.isReverseSorting = ctrl.view.reverse;
+            ctrl.filterOptions = FunctionsViewsService.getFilterOptions([], ctrl.view);
+
+            updateVisibleColumns();
+            ctrl.filtersCounter = FunctionsViewsService.getFiltersCount(ctrl.view);
+        }
+
+        /**
+         * Checks whether a bulk operation is still running
+         * @returns {boolean}
+         */
+        function isBulkOperationInProgress() {
+            return lodash.get(ctrl.bulkOperation, 'state') === 'in-progress';
+        }
+
+        /**
+         * Handles completion of a bulk operation
+         */
+        function onBulkOperationDone() {
+            setBulkActionsActive(true);
+
+            return refreshFunctions();
+        }
+
         /**
          * Handler on action-panel broadcast
          * @param {Event} event - $broadcast-ed event
@@ -477,6 +639,13 @@ such restriction.
                 FunctionsService.checkedItem = '';
             }
 
+            // the rows that are scrolled out of view are not rendered, so their checkboxes could not check them
+            if (lodash.isNil(data.itemsType) || data.itemsType === 'functions') {
+                lodash.forEach(ctrl.visibleFunctions, function (aFunction) {
+                    lodash.set(aFunction, 'ui.checked', data.checked);
+                });
+            }
+
             $timeout(updatePanelActions);
         }
 
@@ -504,6 +673,13 @@ such restriction.
             updatePanelActions();
         }
 
+        /**
+         * Callback on scroll event of ng-scrollbars directive, updates the rendered rows of the functions list
+         */
+        function onScrolling() {
+            $scope.$broadcast('scrollable-container_on-scrolling');
+        }
+
         /**
          * Paginates function's list
          * @param {boolean} isRefresh - Checks if function has been called from refreshFunctions.
@@ -516,6 +692,8 @@ such restriction.
                 currentFunctions = ctrl.originalSortedFunctions;
             }
 
+            currentFunctions = FunctionsViewsService.filterFunctions(currentFunctions, ctrl.view);
+
             ctrl.page.total = Math.ceil(lodash.size(currentFunctions) / ctrl.page.size);
 
             if (ctrl.page.total > 0 && ctrl.page.number >= ctrl.page.total) {
@@ -536,6 +714,45 @@ such restriction.
             }
         }
 
+        /**
+         * Applies the action to all the given functions as a bulk operation, and shows its progress
+         * @param {string} actionType - ex. `redeploy`
+         * @param {Array.<Object>} functions - the functions to apply the action to
+         * @returns {Promise}
+         */
+        function runBulkFunctionAction(actionType, functions) {
+            var context = {
+                actionLabel: lodash.get(lodash.find(ctrl.functionActions, ['id', actionType]), 'label', actionType),
+                projectName: ctrl.project.metadata.name,
+                deleteFunction: ctrl.deleteFunction,
+                getFunction: ctrl.getFunction,
+                updateFunction: ctrl.updateFunction
+            };
+
+            return FunctionsBulkActionsService.runAction(actionType, functions, context)
+                .then(function (bulkOperation) {
+                    if (!lodash.isNull(bulkOperation)) {
+                        ctrl.bulkOperation = bulkOperation;
+                        setBulkActionsActive(false);
+
+                        return bulkOperation.promise.then(onBulkOperationDone);
+                    }
+                });
+        }
+
+        /**
+         * Enables or disables the actions that start a bulk operation, so a new bulk operation could not be started
+         * while one is still running
+         * @param {boolean} isActive
+         */
+        function setBulkActionsActive(isActive) {
+            lodash.forEach(ctrl.functionActions, function (action) {
+                if (FunctionsBulkActionsService.isBulkOperationAction(action.id)) {
+                    action.active = isActive;
+                }
+            });
+        }
+
         /**
          * Sorts table according to the current sort-by column and sorting order (ascending/descending).
          */
@@ -562,9 +779,14 @@ such restriction.
 
         /**
          * Opens a splash screen on start change state
+         * @param {Object} transition - the starting transition
          */
-        function stateChangeStart() {
-            ctrl.isSplashShowed.value = true;
+        function stateChangeStart(transition) {
+
+            // changing the view of the functions list only changes dynamic params, so the state is not reloaded
+            if (!transition.dynamic()) {
+                ctrl.isSplashShowed.value = true;
+            }
         }
 
         /**
@@ -608,20 +830,15 @@ such restriction.
 
                 if (checkedRowsCount > 0) {
 
-                    // sets visibility status of `duplicate, export, viewConfig` actions
+                    // sets visibility status of `duplicate, viewConfig` actions
                     // visible if only one function is checked
                     var duplicateAction = lodash.find(ctrl.functionActions, { id: 'duplicate' });
-                    var exportAction = lodash.find(ctrl.functionActions, { id: 'export' });
                     var viewConfigAction = lodash.find(ctrl.functionActions, { id: 'viewConfig' });
 
                     if (!lodash.isNil(duplicateAction)) {
                         duplicateAction.visible = checkedRowsCount === 1;
                     }
 
-                    if (!lodash.isNil(exportAction)) {
-                        exportAction.visible = checkedRowsCount === 1;
-                    }
-
                     if (!lodash.isNil(viewConfigAction)) {
                         viewConfigAction.visible = checkedRowsCount === 1;
                     }
@@ -706,6 +923,33 @@ such restriction.
             }
         }
 
+        /**
+         * Encodes the current view of the functions list in the query string (so it could be bookmarked and shared),
+         * and remembers it as the last used view of the project
+         */
+        function updateViewParams() {
+            lodash.assign(ctrl.view, {
+                sortBy: lodash.defaultTo(FunctionsViewsService.getColumnBySortKey(ctrl.sortedColumnName),
+                                         ctrl.view.sortBy),
+                reverse: ctrl.isReverseSorting,
+                pageSize: lodash.defaultTo(ctrl.page.size, ctrl.view.pageSize)
+            });
+
+            lodash.forEach(FunctionsViewsService.getViewParams(ctrl.view), function (value, key) {
+                $location.search(key, value);
+            });
+            $location.replace();
+
+            FunctionsViewsService.saveLastView(lodash.get(ctrl.project, 'metadata.name'), ctrl.view);
+        }
+
+        /**
+         * Shows only the columns of the functions table that are visible in the current view
+         */
+        function updateVisibleColumns() {
+            TableSizeService.setFunctionsTableHiddenColumns(FunctionsViewsService.getHiddenColumns(ctrl.view));
+        }
+
         /**
          * Gets and parses data for Invocation #, CPU and Memory columns
          */
@@ -16,27 +16,39 @@ such restriction.
 */
 describe('nclFunctions component: ', function () {
     var $componentController;
+    var $location;
     var $q;
     var $rootScope;
     var $state;
     var $timeout;
     var ctrl;
     var functions;
+    var lodash;
     var project;
     var sortOptions;
+    var DialogsService;
     var ElementLoadingStatusService;
+    var FunctionsViewsService;
+    var TableSizeService;
 
 
     beforeEach(function () {
         module('iguazio.dashboard-controls');
 
-        inject(function (_$componentController_, _$q_, _$rootScope_, _$state_, _$timeout_, _ElementLoadingStatusService_) {
+        inject(function (_$componentController_, _$location_, _$q_, _$rootScope_, _$state_, _$timeout_,
+                         _DialogsService_, _ElementLoadingStatusService_, _FunctionsViewsService_,
+                         _TableSizeService_, _lodash_) {
             $componentController = _$componentController_;
+            $location = _$location_;
             $q = _$q_;
             $rootScope = _$rootScope_;
             $state = _$state_;
             $timeout = _$timeout_;
+            DialogsService = _DialogsService_;
             ElementLoadingStatusService = _ElementLoadingStatusService_;
+            FunctionsViewsService = _FunctionsViewsService_;
+            TableSizeService = _TableSizeService_;
+            lodash = _lodash_;
 
             project = {
                 metadata: {
@@ -105,14 +117,22 @@ describe('nclFunctions component: ', function () {
     });
 
     afterEach(function () {
+        localStorage.removeItem('functionsViews');
+        TableSizeService.setFunctionsTableHiddenColumns([]);
+
         $componentController = null;
+        DialogsService = null;
         ElementLoadingStatusService = null;
+        FunctionsViewsService = null;
+        TableSizeService = null;
+        $location = null;
         $q = null;
         $rootScope = null;
         $state = null;
         $timeout = null;
         ctrl = null;
         functions = null;
+        lodash = null;
         project = null;
         sortOptions = null;
     });
@@ -169,6 +189,122 @@ describe('nclFunctions component: ', function () {
 
             expect(ctrl.functions[0].ui.delete).toHaveBeenCalled();
         });
+
+        it('should delete several checked functions as a bulk operation and track its progress', function () {
+            var checkedFunctions = [
+                { metadata: { name: 'function1' }, spec: {}, ui: { delete: angular.noop } },
+                { metadata: { name: 'function2' }, spec: {}, ui: { delete: angular.noop } }
+            ];
+            ctrl.deleteFunction = jasmine.createSpy('deleteFunction').and.callFake(function (data) {
+                return data.functionData.name === 'function2' ? $q.reject({ data: { error: 'Conflict' } }) : $q.when();
+            });
+            spyOn(checkedFunctions[0].ui, 'delete');
+            spyOn(ctrl, 'getFunctions').and.returnValue($q.when(functions));
+
+            ctrl.handleFunctionVersionAction('delete', checkedFunctions);
+            $rootScope.$digest();
+
+            expect(checkedFunctions[0].ui.delete).not.toHaveBeenCalled();
+            expect(ctrl.deleteFunction).toHaveBeenCalledWith({
+                functionData: { name: 'function1' },
+                ignoreValidation: false
+            });
+            expect(ctrl.bulkOperation.state).toEqual('failed');
+            expect(ctrl.bulkOperation.items[0].state).toEqual('succeeded');
+            expect(ctrl.bulkOperation.items[1]).toEqual(jasmine.objectContaining({
+                name: 'function2',
+                state: 'failed',
+                error: 'Conflict'
+            }));
+            expect(ctrl.getFunctions).toHaveBeenCalled();
+        });
+
+        it('should not start a bulk operation while another one is in progress', function () {
+            var checkedFunctions = [
+                { metadata: { name: 'function1' }, spec: {}, ui: {} },
+                { metadata: { name: 'function2' }, spec: {}, ui: {} }
+            ];
+            var deferred = $q.defer();
+            ctrl.deleteFunction = jasmine.createSpy('deleteFunction').and.returnValue(deferred.promise);
+
+            ctrl.handleFunctionVersionAction('delete', checkedFunctions);
+            $rootScope.$digest();
+
+            var bulkOperation = ctrl.bulkOperation;
+
+            expect(bulkOperation.state).toEqual('in-progress');
+            expect(lodash.find(ctrl.functionActions, ['id', 'redeploy']).active).toBe(false);
+            expect(lodash.find(ctrl.functionActions, ['id', 'delete']).active).toBe(false);
+
+            ctrl.handleFunctionVersionAction('redeploy', checkedFunctions);
+
+            expect(ctrl.bulkOperation).toBe(bulkOperation);
+
+            deferred.resolve();
+            $rootScope.$digest();
+
+            expect(ctrl.bulkOperation.state).toEqual('succeeded');
+            expect(lodash.find(ctrl.functionActions, ['id', 'redeploy']).active).toBe(true);
+            expect(lodash.find(ctrl.functionActions, ['id', 'delete']).active).toBe(true);
+        });
+
+        it('should redeploy the checked functions and wait for their deployment', function () {
+            var checkedFunctions = [{ metadata: { name: 'function1' }, spec: { build: {} }, ui: {}, status: {} }];
+            ctrl.updateFunction = jasmine.createSpy('updateFunction').and.returnValue($q.when());
+            ctrl.getFunction = jasmine.createSpy('getFunction').and.returnValues(
+                $q.when({ status: { state: 'building' } }),
+                $q.when({ status: { state: 'ready' } })
+            );
+
+            ctrl.handleFunctionVersionAction('redeploy', checkedFunctions);
+            $rootScope.$digest();
+
+            expect(ctrl.updateFunction).toHaveBeenCalledWith({
+                'function': {
+                    metadata: { name: 'function1', labels: { 'nuclio.io/project-name': 'my-project-1' } },
+                    spec: { build: { mode: 'alwaysBuild' } }
+                },
+                projectId: 'my-project-1'
+            });
+            expect(checkedFunctions[0].spec.build).toEqual({});
+
+            $timeout.flush();
+
+            expect(ctrl.bulkOperation.items[0].state).toEqual('in-progress');
+
+            $timeout.flush();
+
+            expect(ctrl.getFunction).toHaveBeenCalledTimes(2);
+            expect(ctrl.bulkOperation.state).toEqual('succeeded');
+        });
+    });
+
+    describe('retryBulkOperation(): ', function () {
+        it('should run the action again for the failed functions only', function () {
+            var checkedFunctions = [
+                { metadata: { name: 'function1' }, spec: {}, ui: {} },
+                { metadata: { name: 'function2' }, spec: {}, ui: {} }
+            ];
+            ctrl.deleteFunction = jasmine.createSpy('deleteFunction').and.returnValues($q.when(), $q.reject());
+
+            ctrl.handleFunctionVersionAction('delete', checkedFunctions);
+            $rootScope.$digest();
+
+            expect(ctrl.bulkOperation.state).toEqual('failed');
+
+            ctrl.deleteFunction.and.returnValue($q.when());
+            ctrl.deleteFunction.calls.reset();
+
+            ctrl.retryBulkOperation();
+            $rootScope.$digest();
+
+            expect(ctrl.deleteFunction).toHaveBeenCalledTimes(1);
+            expect(ctrl.deleteFunction).toHaveBeenCalledWith({
+                functionData: { name: 'function2' },
+                ignoreValidation: false
+            });
+            expect(ctrl.bulkOperation.state).toEqual('succeeded');
+        });
     });
 
     describe('isFunctionsListEmpty(): ', function () {
@@ -232,6 +368,23 @@ describe('nclFunctions component: ', function () {
         });
     });
 
+    describe('action-checkbox-all_check-all event: ', function () {
+        it('should check all the functions of the page, including the ones whose rows are not rendered', function () {
+            ctrl.visibleFunctions = [
+                { metadata: { name: 'function1' }, ui: { checked: false } },
+                { metadata: { name: 'function2' } }
+            ];
+
+            $rootScope.$broadcast('action-checkbox-all_check-all', {
+                checked: true,
+                checkedCount: 2,
+                itemsType: 'functions'
+            });
+
+            expect(lodash.map(ctrl.visibleFunctions, 'ui.checked')).toEqual([true, true]);
+        });
+    });
+
     describe('onApplyFilters(): ', function () {
         it('should call `search-input_refresh-search` broadcast', function () {
             spyOn($rootScope, '$broadcast').and.callThrough();
@@ -240,6 +393,79 @@ describe('nclFunctions component: ', function () {
 
             expect($rootScope.$broadcast).toHaveBeenCalledWith('search-input_refresh-search');
         });
+
+        it('should filter functions by status and runtime, and encode the filters in the query string', function () {
+            ctrl.functions = ctrl.originalSortedFunctions = [
+                { metadata: { name: 'f1' }, spec: { runtime: 'golang' }, status: { state: 'ready' } },
+                { metadata: { name: 'f2' }, spec: { runtime: 'python:3.9' }, status: { state: 'ready' } },
+                { metadata: { name: 'f3' }, spec: { runtime: 'golang' }, status: { state: 'error' } }
+            ];
+            ctrl.view.status = ['running'];
+            ctrl.view.runtime = ['golang'];
+
+            ctrl.onApplyFilters();
+            $timeout.flush();
+
+            expect(lodash.map(ctrl.visibleFunctions, 'metadata.name')).toEqual(['f1']);
+            expect(ctrl.filtersCounter).toEqual(2);
+            expect($location.search()).toEqual(jasmine.objectContaining({
+                status: 'running',
+                runtime: 'golang'
+            }));
+        });
+    });
+
+    describe('onChangeVisibleColumns(): ', function () {
+        it('should hide the unchecked columns and encode the visible columns in the query string', function () {
+            ctrl.view.columns = ['status', 'owner'];
+
+            ctrl.onChangeVisibleColumns();
+
+            expect(TableSizeService.getFunctionsTableColSize('status')).not.toEqual('ng-hide');
+            expect(TableSizeService.getFunctionsTableColSize('runtime')).toEqual('ng-hide');
+            expect($location.search().columns).toEqual('status,owner');
+        });
+    });
+
+    describe('saveView(): ', function () {
+        it('should save the current view with the entered name and select it', function () {
+            spyOn(DialogsService, 'prompt').and.returnValue($q.when('My view'));
+            ctrl.sortTableByColumn('spec.runtime');
+
+            ctrl.saveView();
+            $rootScope.$digest();
+
+            expect(ctrl.view.name).toEqual('My view');
+            expect(lodash.map(ctrl.savedViewsOptions, 'id')).toEqual(['', 'My view']);
+            expect(FunctionsViewsService.getSavedViews()[0].sortBy).toEqual('runtime');
+            expect($location.search()).toEqual(jasmine.objectContaining({
+                view: 'My view',
+                sort: 'runtime'
+            }));
+        });
+    });
+
+    describe('onSelectView(): ', function () {
+        it('should apply the sorting, filters, columns and page size of the selected view', function () {
+            spyOn($rootScope, '$broadcast').and.callThrough();
+            FunctionsViewsService.saveView(lodash.assign(FunctionsViewsService.getDefaultView(), {
+                name: 'My view',
+                sortBy: 'status',
+                reverse: true,
+                query: 'echo',
+                columns: ['status'],
+                pageSize: 20
+            }));
+            ctrl.$onInit();
+
+            ctrl.onSelectView({ id: 'My view' });
+
+            expect(ctrl.sortedColumnName).toEqual('ui.convertedStatus');
+            expect(ctrl.isReverseSorting).toBeTruthy();
+            expect(ctrl.page.size).toEqual(20);
+            expect(TableSizeService.getFunctionsTableColSize('owner')).toEqual('ng-hide');
+            expect($rootScope.$broadcast).toHaveBeenCalledWith('search-input_set-query', { searchQuery: 'echo' });
+        });
     });
 
     describe('onResetFilters(): ', function () {
@@ -251,6 +477,7 @@ describe('nclFunctions component: ', function () {
 
             expect($rootScope.$broadcast).toHaveBeenCalledWith('search-input_reset');
             expect(ctrl.filtersCounter).toEqual(0)
+            expect(ctrl.view.status).toEqual([]);
         });
     });
 
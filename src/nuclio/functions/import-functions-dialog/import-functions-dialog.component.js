@@ -0,0 +1,482 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclImportFunctionsDialog
+     * @description
+     * Imports functions from a YAML file exported by `ExportService` (a single function, multiple functions,
+     * a project or a list of projects). Shows a preview of the imported functions, where the user chooses for each
+     * function whether to create it, overwrite an existing function of the same name or skip it.
+     *
+     * @param {function} closeDialog - closes the dialog; called with `value` of `true` if any function was imported.
+     * @param {function} createFunction - creates a function; called with `function` and `projectId`.
+     * @param {function} [createProject] - creates a project; called with `project`. When it is not provided,
+     *     functions could be imported only into existing projects.
+     * @param {function} getFunction - gets a function by name; called with `metadata`.
+     * @param {function} [getProjects] - gets the list of existing projects. When it is not provided, functions could
+     *     be imported only into the current project (or into projects created by `createProject`).
+     * @param {Object} project - the current project.
+     * @param {function} updateFunction - overwrites a function; called with `function` and `projectId`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclImportFunctionsDialog', {
+            bindings: {
+                closeDialog: '&',
+                createFunction: '&',
+                createProject: '&?',
+                getFunction: '&',
+                getProjects: '&?',
+                project: '<',
+                updateFunction: '&'
+            },
+            templateUrl: 'nuclio/functions/import-functions-dialog/import-functions-dialog.tpl.html',
+            controller: NclImportFunctionsDialogController
+        });
+
+    function NclImportFunctionsDialogController($element, $i18next, $q, $scope, i18next, lodash, BulkActionService,
+                                                DialogsService, ImportService) {
+        var ctrl = this;
+        var lng = i18next.language;
+        var createdProjects = {};
+        var existingProjectNames = [];
+
+        ctrl.fileName = '';
+        ctrl.importOperation = null;
+        ctrl.isImported = false;
+        ctrl.isLoading = false;
+        ctrl.projectTargets = [];
+        ctrl.rows = [];
+
+        ctrl.$postLink = postLink;
+        ctrl.$onDestroy = onDestroy;
+
+        ctrl.getActionCount = getActionCount;
+        ctrl.importFunctions = importFunctions;
+        ctrl.isImportAllowed = isImportAllowed;
+        ctrl.loadFunctions = loadFunctions;
+        ctrl.onClose = onClose;
+        ctrl.onRowActionChange = onRowActionChange;
+        ctrl.onTargetProjectChange = onTargetProjectChange;
+        ctrl.retryImport = retryImport;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Post linking method
+         */
+        function postLink() {
+            $element.find('.import-functions-input').on('change', onFileSelected);
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            $element.find('.import-functions-input').off('change', onFileSelected);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Counts the functions that the given action is selected for
+         * @param {string} actionId - `'create'`, `'overwrite'` or `'skip'`
+         * @returns {number}
+         */
+        function getActionCount(actionId) {
+            return lodash.filter(ctrl.rows, ['action', actionId]).length;
+        }
+
+        /**
+         * Imports the functions according to the selected actions, and shows the progress of the import
+         * @returns {Promise}
+         */
+        function importFunctions() {
+            var rowsToImport = lodash.reject(ctrl.rows, ['action', 'skip']);
+
+            ctrl.importOperation = BulkActionService.runAction(rowsToImport, importRow, {
+                getItemName: function (row) {
+                    return row.targetProjectName + ' / ' + row.name;
+                }
+            });
+
+            updateImportMessages();
+
+            return ctrl.importOperation.promise.then(onImportDone);
+        }
+
+        /**
+         * Checks whether the import could be started
+         * @returns {boolean}
+         */
+        function isImportAllowed() {
+            return !ctrl.isLoading && lodash.isNull(ctrl.importOperation) &&
+                lodash.some(ctrl.rows, function (row) {
+                    return row.action !== 'skip';
+                });
+        }
+
+        /**
+         * Parses the content of the imported file, and prepares the preview of its functions
+         * @param {string} content - the content of the imported YAML file
+         * @returns {Promise}
+         */
+        function loadFunctions(content) {
+            var importedFunctions = null;
+
+            ctrl.rows = [];
+            ctrl.projectTargets = [];
+
+            try {
+                importedFunctions = ImportService.parseFunctions(content);
+            } catch (error) {
+                return DialogsService.alert($i18next.t('common:ERROR_MSG.IMPORT_YAML_FILE', { lng: lng }));
+            }
+
+            ctrl.isLoading = true;
+
+            return getExistingProjectNames()
+                .then(function (projectNames) {
+                    existingProjectNames = projectNames;
+                    ctrl.projectTargets = initProjectTargets(importedFunctions);
+                    ctrl.rows = initRows(importedFunctions);
+
+                    return $q.all(lodash.map(ctrl.rows, loadExistingFunction));
+                })
+                .finally(function () {
+                    ctrl.isLoading = false;
+                });
+        }
+
+        /**
+         * Closes the dialog
+         */
+        function onClose() {
+            ctrl.closeDialog({ value: ctrl.isImported });
+        }
+
+        /**
+         * Sets the action selected for the function
+         * @param {Object} row - the function's row of the preview
+         * @param {Object} item - the selected item of the actions drop-down
+         */
+        function onRowActionChange(row, item) {
+            row.action = item.id;
+        }
+
+        /**
+         * Sets the project to import the functions of the source project into
+         * @param {Object} target - the source project's target
+         * @param {Object} item - the selected item of the projects drop-down
+         */
+        function onTargetProjectChange(target, item) {
+            target.name = item.id;
+
+            lodash.forEach(lodash.filter(ctrl.rows, ['sourceProjectName', target.source]), updateRow);
+        }
+
+        /**
+         * Imports the functions that failed to be imported again
+         * @returns {Promise}
+         */
+        function retryImport() {
+            var retryPromise = BulkActionService.retryFailedItems(ctrl.importOperation);
+
+            updateImportMessages();
+
+            return retryPromise.then(onImportDone);
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Creates the project, unless it already exists
+         * @param {string} projectName
+         * @returns {Promise}
+         */
+        function ensureProjectExists(projectName) {
+            if (lodash.includes(existingProjectNames, projectName)) {
+                return $q.when();
+            }
+
+            if (!lodash.has(createdProjects, projectName)) {
+                createdProjects[projectName] = ctrl.createProject({
+                    project: {
+                        metadata: {
+                            name: projectName
+                        },
+                        spec: {}
+                    }
+                })
+                    .then(function () {
+                        existingProjectNames.push(projectName);
+                    })
+                    .catch(function (error) {
+
+                        // lets the next attempt (e.g. retry) try to create the project again
+                        delete createdProjects[projectName];
+
+                        return $q.reject(error);
+                    });
+            }
+
+            return createdProjects[projectName];
+        }
+
+        /**
+         * Gets the names of the existing projects
+         * @returns {Promise.<Array.<string>>}
+         */
+        function getExistingProjectNames() {
+            var currentProjectName = ctrl.project.metadata.name;
+
+            if (!lodash.isFunction(ctrl.getProjects)) {
+                return $q.when([currentProjectName]);
+            }
+
+            return ctrl.getProjects()
+                .then(function (projects) {
+                    return lodash.union([currentProjectName], lodash.map(projects, 'metadata.name'));
+                })
+                .catch(function () {
+                    return [currentProjectName];
+                });
+        }
+
+        /**
+         * Gets the name of the project the function of the row will be imported into
+         * @param {Object} row - the function's row of the preview
+         * @returns {string}
+         */
+        function getTargetProjectName(row) {
+            return lodash.isNull(row.sourceProjectName) ? ctrl.project.metadata.name :
+                lodash.get(lodash.find(ctrl.projectTargets, ['source', row.sourceProjectName]), 'name');
+        }
+
+        /**
+         * Imports the function of the row as an item of the import bulk operation
+         * @param {Object} row - the function's row of the preview
+         * @returns {Promise}
+         */
+        function importRow(row) {
+            var aFunction = ImportService.prepareFunction(row.function, row.targetProjectName, row.existingFunction);
+            var method = row.action === 'overwrite' ? ctrl.updateFunction : ctrl.createFunction;
+
+            return ensureProjectExists(row.targetProjectName)
+                .then(function () {
+                    return method({ 'function': aFunction, projectId: row.targetProjectName });
+                });
+        }
+
+        /**
+         * Initializes the projects to import the functions of each source project into.
+         * By default the functions are imported into the project of the same name, if it exists or could be
+         * created, or into the current project otherwise.
+         * @param {Array.<Object>} importedFunctions - the parsed functions
+         * @returns {Array.<Object>}
+         */
+        function initProjectTargets(importedFunctions) {
+            var canCreateProjects = lodash.isFunction(ctrl.createProject);
+            var existingProjectsList = lodash.chain(existingProjectNames)
+                .sortBy()
+                .map(function (projectName) {
+                    return {
+                        id: projectName,
+                        name: projectName
+                    };
+                })
+                .value();
+
+            return lodash.chain(importedFunctions)
+                .map('projectName')
+                .uniq()
+                .reject(lodash.isNull)
+                .map(function (sourceProjectName) {
+                    var isExisting = lodash.includes(existingProjectNames, sourceProjectName);
+                    var projectsList = isExisting || !canCreateProjects ? existingProjectsList : lodash.concat({
+                        id: sourceProjectName,
+                        name: $i18next.t('functions:PROJECT_TO_BE_CREATED', { lng: lng, name: sourceProjectName })
+                    }, existingProjectsList);
+
+                    return {
+                        source: sourceProjectName,
+                        name: isExisting || canCreateProjects ? sourceProjectName : ctrl.project.metadata.name,
+                        projectsList: projectsList
+                    };
+                })
+                .value();
+        }
+
+        /**
+         * Initializes the rows of the preview
+         * @param {Array.<Object>} importedFunctions - the parsed functions
+         * @returns {Array.<Object>}
+         */
+        function initRows(importedFunctions) {
+            var functionNames = [];
+
+            return lodash.map(importedFunctions, function (importedFunction) {
+                var name = lodash.get(importedFunction, 'function.metadata.name', '');
+                var errors = ImportService.validateFunction(importedFunction.function);
+
+                if (lodash.includes(functionNames, name)) {
+                    errors.push($i18next.t('functions:ERROR_MSG.DUPLICATE_IMPORTED_FUNCTION', { lng: lng }));
+                }
+
+                functionNames.push(name);
+
+                return {
+                    action: 'skip',
+                    actionsList: [],
+                    conflict: null,
+                    errors: errors,
+                    existingFunction: null,
+                    'function': importedFunction.function,
+                    name: name,
+                    sourceProjectName: importedFunction.projectName
+                };
+            });
+        }
+
+        /**
+         * Gets the existing function of the same name as the function of the row, in order to detect conflicts
+         * @param {Object} row - the function's row of the preview
+         * @returns {Promise}
+         */
+        function loadExistingFunction(row) {
+            var loadPromise = !lodash.isEmpty(row.errors) ? $q.when() :
+                ctrl.getFunction({ metadata: { name: row.name } })
+                    .then(function (existingFunction) {
+                        row.existingFunction = existingFunction;
+                    })
+                    .catch(function (error) {
+                        if (error.status !== 404) {
+                            var defaultMsg = $i18next.t('functions:ERROR_MSG.GET_FUNCTION', { lng: lng });
+
+                            row.errors.push(lodash.get(error, 'data.error', defaultMsg));
+                        }
+                    });
+
+            return loadPromise.then(function () {
+                updateRow(row);
+            });
+        }
+
+        /**
+         * Handles selection of a file
+         * @param {Event} event - the `change` event of the file input
+         */
+        function onFileSelected(event) {
+            var file = lodash.get(event, 'target.files[0]');
+
+            if (!lodash.isNil(file)) {
+                var reader = new FileReader();
+
+                reader.onload = function () {
+                    $scope.$apply(function () {
+                        ctrl.fileName = file.name;
+                        ctrl.importOperation = null;
+                        ctrl.loadFunctions(reader.result);
+                    });
+                };
+
+                reader.readAsText(file);
+            }
+
+            // lets selecting the same file again
+            event.target.value = '';
+        }
+
+        /**
+         * Handles completion of the import bulk operation
+         */
+        function onImportDone() {
+            ctrl.isImported = ctrl.isImported || lodash.some(ctrl.importOperation.items, ['state', 'succeeded']);
+
+            updateImportMessages();
+        }
+
+        /**
+         * Updates the messages of the import progress panel according to the import progress
+         */
+        function updateImportMessages() {
+            var translationParams = {
+                lng: lng,
+                count: ctrl.importOperation.items.length,
+                failedCount: lodash.filter(ctrl.importOperation.items, ['state', 'failed']).length
+            };
+
+            ctrl.importOperation.messages = {
+                'in-progress': $i18next.t('functions:IMPORT_PROGRESS.IN_PROGRESS', translationParams),
+                'succeeded': $i18next.t('functions:IMPORT_PROGRESS.SUCCEEDED', translationParams),
+                'failed': $i18next.t('functions:IMPORT_PROGRESS.FAILED', translationParams)
+            };
+        }
+
+        /**
+         * Updates the target project, the conflict, the status and the available actions of the row.
+         * Functions that are invalid, or conflict with a function of another project, could only be skipped.
+         * Functions that conflict with a function of the same project could be overwritten, but are skipped by
+         * default.
+         * @param {Object} row - the function's row of the preview
+         */
+        function updateRow(row) {
+            var isInvalid = !lodash.isEmpty(row.errors);
+            var actionIds = [];
+
+            row.targetProjectName = getTargetProjectName(row);
+            row.conflict = isInvalid ? null : ImportService.getFunctionConflict(row.targetProjectName,
+                                                                                row.existingFunction);
+
+            if (isInvalid) {
+                row.status = $i18next.t('functions:IMPORT_STATUS.INVALID', { lng: lng });
+                row.statusClass = 'invalid';
+                actionIds = ['skip'];
+            } else if (row.conflict === 'otherProject') {
+                row.status = $i18next.t('functions:IMPORT_STATUS.EXISTS_IN_OTHER_PROJECT', {
+                    lng: lng,
+                    projectName: lodash.get(row.existingFunction, ['metadata', 'labels', 'nuclio.io/project-name'])
+                });
+                row.statusClass = 'invalid';
+                actionIds = ['skip'];
+            } else if (row.conflict === 'sameProject') {
+                row.status = $i18next.t('functions:IMPORT_STATUS.EXISTS', { lng: lng });
+                row.statusClass = 'conflict';
+                actionIds = ['overwrite', 'skip'];
+            } else {
+                row.status = $i18next.t('functions:IMPORT_STATUS.NEW', { lng: lng });
+                row.statusClass = 'new';
+                actionIds = ['create', 'skip'];
+            }
+
+            row.actionsList = lodash.map(actionIds, function (actionId) {
+                return {
+                    id: actionId,
+                    name: $i18next.t('functions:IMPORT_ACTION.' + lodash.toUpper(actionId), { lng: lng })
+                };
+            });
+            row.action = lodash.first(actionIds) === 'create' ? 'create' : 'skip';
+        }
+    }
+}());
@@ -0,0 +1,141 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclDeploymentHistoryDialog', {
+            bindings: {
+                closeDialog: '&',
+                history: '<',
+                version: '<'
+            },
+            templateUrl: 'nuclio/functions/version/deployment-history-dialog/deployment-history-dialog.tpl.html',
+            controller: NclDeploymentHistoryDialogController
+        });
+
+    function NclDeploymentHistoryDialogController($filter, $i18next, i18next, lodash, DeploymentHistoryService,
+                                                  DialogsService, ExportService, MaskService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.comparedEntry = null;
+        ctrl.comparison = {};
+        ctrl.currentHash = '';
+
+        ctrl.$onInit = onInit;
+
+        ctrl.closeComparison = closeComparison;
+        ctrl.compareWithCurrent = compareWithCurrent;
+        ctrl.isCurrent = isCurrent;
+        ctrl.onClose = onClose;
+        ctrl.redeploy = redeploy;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            ctrl.title = $i18next.t('functions:DEPLOYMENT_HISTORY', { lng: lng }) + ' - ' + ctrl.version.metadata.name;
+            ctrl.currentHash = DeploymentHistoryService.getSpecHash(ctrl.version);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Goes back from the comparison view to the history list
+         */
+        function closeComparison() {
+            ctrl.comparedEntry = null;
+            ctrl.comparison = {};
+        }
+
+        /**
+         * Shows the diff between the config snapshot of a history entry and the current function's config
+         * @param {Object} entry - the deployment history entry
+         */
+        function compareWithCurrent(entry) {
+            ctrl.comparedEntry = entry;
+            ctrl.comparison = {
+                original: getMaskedConfig(DeploymentHistoryService.getSnapshotVersion(entry)),
+                modified: getMaskedConfig(ctrl.version)
+            };
+        }
+
+        /**
+         * Tests whether the spec of a history entry is identical to the current function's spec
+         * @param {Object} entry - the deployment history entry
+         * @returns {boolean} `true` if the entry's spec hash equals the current one, or `false` otherwise
+         */
+        function isCurrent(entry) {
+            return entry.hash === ctrl.currentHash;
+        }
+
+        /**
+         * Closes the dialog
+         */
+        function onClose() {
+            ctrl.closeDialog({ value: null });
+        }
+
+        /**
+         * Asks for confirmation and closes the dialog with the history entry to redeploy
+         * @param {MouseEvent} event - the click event
+         * @param {Object} entry - the deployment history entry
+         */
+        function redeploy(event, entry) {
+            var message = {
+                message: $i18next.t('functions:REDEPLOY_SNAPSHOT_CONFIRM', {
+                    lng: lng,
+                    time: $filter('date')(entry.timestamp, 'MMM d, y HH:mm:ss')
+                }),
+                description: $i18next.t('functions:REDEPLOY_SNAPSHOT_DESCRIPTION', { lng: lng })
+            };
+
+            DialogsService.confirm(message, $i18next.t('functions:YES_REDEPLOY', { lng: lng }),
+                                   $i18next.t('common:CANCEL', { lng: lng }))
+                .then(function () {
+                    ctrl.closeDialog({
+                        value: {
+                            entry: entry,
+                            event: event
+                        }
+                    });
+                });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Returns the YAML config of a function's version, without its source code and with masked sensitive data
+         * @param {Object} version - the function's version
+         * @returns {string} the YAML function config
+         */
+        function getMaskedConfig(version) {
+            return ExportService.getFunctionConfig(MaskService.getObjectWithMask(
+                lodash.omit(version, ['ui', 'status', 'spec.build.functionSourceCode'])
+            ));
+        }
+    }
+}());
@@ -0,0 +1,181 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclReviewChangesDialog', {
+            bindings: {
+                closeDialog: '&',
+                version: '<'
+            },
+            templateUrl: 'nuclio/functions/version/review-changes-dialog/review-changes-dialog.tpl.html',
+            controller: NclReviewChangesDialogController
+        });
+
+    function NclReviewChangesDialogController($i18next, i18next, lodash, ExportService, MaskService,
+                                              VersionHelperService, YamlService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        // language identifiers for monaco editor, by runtime name (without its version)
+        var EDITOR_LANGUAGES = {
+            dotnetcore: 'csharp',
+            golang: 'go',
+            java: 'java',
+            nodejs: 'javascript',
+            python: 'python',
+            ruby: 'ruby',
+            shell: 'shellscript'
+        };
+        var GROUP_LABELS = {
+            code: 'common:CODE',
+            triggers: 'common:TRIGGERS',
+            environmentVariables: 'common:ENVIRONMENT_VARIABLES',
+            resources: 'common:RESOURCES',
+            volumes: 'functions:VOLUMES',
+            build: 'functions:BUILD',
+            other: 'common:OTHER'
+        };
+
+        ctrl.changesCount = 0;
+        ctrl.groups = [];
+        ctrl.selectedView = 'changes';
+        ctrl.sourceCode = {};
+        ctrl.yaml = {};
+
+        ctrl.$onInit = onInit;
+
+        ctrl.deploy = deploy;
+        ctrl.isCodeGroup = isCodeGroup;
+        ctrl.onClose = onClose;
+        ctrl.selectView = selectView;
+        ctrl.toggleGroup = toggleGroup;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            var versionChanges = VersionHelperService.getVersionChanges(ctrl.version);
+
+            ctrl.title = $i18next.t('functions:REVIEW_CHANGES', { lng: lng }) + ' - ' + ctrl.version.metadata.name;
+            ctrl.sourceCode = lodash.assign({}, versionChanges.sourceCode, {
+                language: lodash.get(EDITOR_LANGUAGES, lodash.get(ctrl.version, 'spec.runtime', '').split(':')[0],
+                                     'plaintext')
+            });
+            ctrl.groups = lodash.map(versionChanges.groups, function (group) {
+                return {
+                    id: group.id,
+                    label: $i18next.t(GROUP_LABELS[group.id], { lng: lng }),
+                    collapsed: false,
+                    changes: lodash.map(group.changes, function (change) {
+                        return lodash.assign({}, change, {
+                            oldValue: formatValue(change.oldValue, change.path),
+                            newValue: formatValue(change.newValue, change.path)
+                        });
+                    })
+                };
+            });
+            ctrl.changesCount = lodash.sumBy(ctrl.groups, 'changes.length') + (ctrl.sourceCode.isChanged ? 1 : 0);
+            ctrl.yaml = {
+                original: getConfigYaml(ctrl.version.ui.deployedVersion),
+                modified: getConfigYaml(ctrl.version)
+            };
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Closes the dialog, approving the deployment of the reviewed changes
+         */
+        function deploy() {
+            ctrl.closeDialog({ value: true });
+        }
+
+        /**
+         * Tests whether a group of changes is the "Code" group (which includes the source code diff)
+         * @param {Object} group - the group of changes
+         * @returns {boolean} `true` if the group is the "Code" group, or `false` otherwise
+         */
+        function isCodeGroup(group) {
+            return group.id === 'code';
+        }
+
+        /**
+         * Closes the dialog, cancelling the deployment
+         */
+        function onClose() {
+            ctrl.closeDialog({ value: false });
+        }
+
+        /**
+         * Switches between the grouped changes view and the full YAML diff view
+         * @param {string} view - the view to show (`'changes'` or `'yaml'`)
+         */
+        function selectView(view) {
+            ctrl.selectedView = view;
+        }
+
+        /**
+         * Collapses/expands a group of changes
+         * @param {Object} group - the group of changes
+         */
+        function toggleGroup(group) {
+            group.collapsed = !group.collapsed;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Formats a changed value for displaying, masking sensitive data
+         * @param {*} value - the value to format
+         * @param {string} path - the path of the value in the function config (e.g. `'spec.triggers.http.kind'`)
+         * @returns {string} the value as a YAML snippet, or an empty string for absent values
+         */
+        function formatValue(value, path) {
+            var key = lodash.last(path.split('.'));
+
+            if (lodash.isNil(value)) {
+                return '';
+            } else if (lodash.isObject(value)) {
+                return YamlService.prepareYamlObject(MaskService.getObjectWithMask(value)).trim();
+            }
+
+            return MaskService.commonSensitiveFields.includes(key) ? MaskService.getMask(String(value)) : String(value);
+        }
+
+        /**
+         * Returns the function config of a version as YAML, without its source code and with masked sensitive data
+         * @param {Object} version - the function's version
+         * @returns {string} the YAML function config
+         */
+        function getConfigYaml(version) {
+            return lodash.isNil(version) ? '' :
+                ExportService.getFunctionConfig(MaskService.getObjectWithMask(
+                    lodash.omit(version, ['ui', 'status', 'spec.build.functionSourceCode'])
+                ));
+        }
+    }
+}());
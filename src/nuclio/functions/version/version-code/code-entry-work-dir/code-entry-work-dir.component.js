@@ -0,0 +1,199 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclCodeEntryWorkDir
+     * @description
+     * The work directory field of a function whose code is downloaded from a repository or an archive, with a
+     * directory picker to browse the code source, and a button to verify the code source could be accessed.
+     * The verification is discarded whenever the code source changes.
+     *
+     * @param {Object} version - the function, whose code source is browsed and verified.
+     * @param {string} inputName - the name of the work directory field in the form.
+     * @param {string} [description] - the description of the work directory field.
+     * @param {Object} formObject - the form containing the field.
+     * @param {boolean} [readOnly=false] - set to `true` to prevent changes.
+     * @param {function} [listGitRefs] - the host-supplied callback listing the branches and tags of the repository
+     *     (@see {@link CodeEntryService.getRefs}).
+     * @param {function} [listTree] - the host-supplied callback listing a directory of the code source
+     *     (@see {@link CodeEntryService.getDirectories}).
+     * @param {function} onChange - called with `path` when the work directory changes.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclCodeEntryWorkDir', {
+            bindings: {
+                version: '<',
+                inputName: '@',
+                description: '@?',
+                formObject: '<',
+                readOnly: '<?',
+                listGitRefs: '<?',
+                listTree: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/code-entry-work-dir/code-entry-work-dir.tpl.html',
+            controller: NclCodeEntryWorkDirController
+        });
+
+    function NclCodeEntryWorkDirController(lodash, CodeEntryService) {
+        var ctrl = this;
+        var source = null;
+        var verificationCount = 0;
+
+        ctrl.isDirectoryPickerOpen = false;
+        ctrl.verification = {
+            inProgress: false,
+            isVerified: false,
+            issues: []
+        };
+
+        ctrl.$doCheck = doCheck;
+
+        ctrl.isAccessVerifiable = isAccessVerifiable;
+        ctrl.isDirectoryBrowsingEnabled = isDirectoryBrowsingEnabled;
+        ctrl.loadDirectories = loadDirectories;
+        ctrl.selectWorkDir = selectWorkDir;
+        ctrl.toggleDirectoryPicker = toggleDirectoryPicker;
+        ctrl.verifyAccess = verifyAccess;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Checks for changes in the code source on every digest cycle
+         */
+        function doCheck() {
+            var currentSource = CodeEntryService.getSource(ctrl.version);
+
+            if (!lodash.isEqual(currentSource, source)) {
+                if (lodash.get(source, 'codeEntryType') !== currentSource.codeEntryType) {
+                    ctrl.isDirectoryPickerOpen = false;
+                }
+
+                source = currentSource;
+                resetVerification();
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Tests whether access to the code source could be verified, which requires the host to supply the
+         * `listGitRefs` callback for repositories, or the `listTree` callback
+         * @returns {boolean} `true` in case access could be verified, or `false` otherwise
+         */
+        function isAccessVerifiable() {
+            return angular.isFunction(ctrl.listGitRefs) && CodeEntryService.isGitType(getCodeEntryType()) ||
+                isDirectoryBrowsingEnabled();
+        }
+
+        /**
+         * Tests whether the directories of the code source could be browsed
+         * @returns {boolean} `true` in case the host supplied the `listTree` callback and the code is downloaded from a
+         *     repository or an archive, or `false` otherwise
+         */
+        function isDirectoryBrowsingEnabled() {
+            return angular.isFunction(ctrl.listTree) && CodeEntryService.isRemoteType(getCodeEntryType());
+        }
+
+        /**
+         * Lists the directories under a path of the code source
+         * @param {string} path - the path
+         * @returns {Promise.<Array.<string>>} the names of the directories
+         */
+        function loadDirectories(path) {
+            return CodeEntryService.getDirectories(ctrl.listTree, CodeEntryService.getSource(ctrl.version), path);
+        }
+
+        /**
+         * Sets the work directory picked in the directory picker
+         * @param {string} path - the path of the directory
+         */
+        function selectWorkDir(path) {
+            ctrl.isDirectoryPickerOpen = false;
+
+            ctrl.onChange({ path: path });
+        }
+
+        /**
+         * Opens or closes the directory picker
+         */
+        function toggleDirectoryPicker() {
+            ctrl.isDirectoryPickerOpen = !ctrl.isDirectoryPickerOpen;
+        }
+
+        /**
+         * Verifies the repository or archive could be accessed with the entered credentials, and that the entered
+         * branch, tag and work directory exist
+         */
+        function verifyAccess() {
+            var verificationId = ++verificationCount;
+
+            ctrl.verification = {
+                inProgress: true,
+                isVerified: false,
+                issues: []
+            };
+
+            CodeEntryService.verifyAccess({
+                listGitRefs: ctrl.listGitRefs,
+                listTree: ctrl.listTree
+            }, CodeEntryService.getSource(ctrl.version))
+                .then(function (issues) {
+
+                    // ignore the result in case the code source was changed while verifying
+                    if (verificationId === verificationCount) {
+                        ctrl.verification = {
+                            inProgress: false,
+                            isVerified: true,
+                            issues: issues
+                        };
+                    }
+                });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Gets the code entry type of the function
+         * @returns {string} the code entry type (e.g. `'git'`)
+         */
+        function getCodeEntryType() {
+            return lodash.get(ctrl.version, 'spec.build.codeEntryType');
+        }
+
+        /**
+         * Discards the result of the last access verification, as the code source has changed
+         */
+        function resetVerification() {
+            verificationCount++;
+
+            ctrl.verification = {
+                inProgress: false,
+                isVerified: false,
+                issues: []
+            };
+        }
+    }
+}());
@@ -0,0 +1,140 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclCodeEntryWorkDir component: ', function () {
+    var $componentController;
+    var $q;
+    var $rootScope;
+    var CodeEntryService;
+    var ctrl;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$q_, _$rootScope_, _CodeEntryService_) {
+            $componentController = _$componentController_;
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            CodeEntryService = _CodeEntryService_;
+        });
+
+        ctrl = $componentController('nclCodeEntryWorkDir', null, {
+            version: {
+                spec: {
+                    build: {
+                        codeEntryType: 'git',
+                        path: 'https://github.com/org/repo',
+                        codeEntryAttributes: {
+                            branch: 'main',
+                            workDir: '/functions'
+                        }
+                    }
+                }
+            },
+            inputName: 'githubWorkDir',
+            listGitRefs: jasmine.createSpy('listGitRefs'),
+            listTree: jasmine.createSpy('listTree'),
+            onChange: jasmine.createSpy('onChange')
+        });
+        ctrl.$doCheck();
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $q = null;
+        $rootScope = null;
+        CodeEntryService = null;
+        ctrl = null;
+    });
+
+    describe('isAccessVerifiable(), isDirectoryBrowsingEnabled(): ', function () {
+        it('should depend on the code entry type and on the callbacks supplied by the host', function () {
+            expect(ctrl.isAccessVerifiable()).toBeTruthy();
+            expect(ctrl.isDirectoryBrowsingEnabled()).toBeTruthy();
+
+            ctrl.listTree = undefined;
+
+            expect(ctrl.isAccessVerifiable()).toBeTruthy();
+            expect(ctrl.isDirectoryBrowsingEnabled()).toBeFalsy();
+
+            ctrl.version.spec.build.codeEntryType = 'archive';
+
+            expect(ctrl.isAccessVerifiable()).toBeFalsy();
+        });
+    });
+
+    describe('selectWorkDir(): ', function () {
+        it('should close the directory picker and set the work directory', function () {
+            ctrl.toggleDirectoryPicker();
+            ctrl.selectWorkDir('/functions/my-func');
+
+            expect(ctrl.isDirectoryPickerOpen).toBeFalsy();
+            expect(ctrl.onChange).toHaveBeenCalledWith({ path: '/functions/my-func' });
+        });
+    });
+
+    describe('$doCheck(): ', function () {
+        it('should close the directory picker once the code entry type changes', function () {
+            ctrl.toggleDirectoryPicker();
+            ctrl.version.spec.build.codeEntryAttributes.workDir = '/';
+            ctrl.$doCheck();
+
+            expect(ctrl.isDirectoryPickerOpen).toBeTruthy();
+
+            ctrl.version.spec.build.codeEntryType = 'github';
+            ctrl.$doCheck();
+
+            expect(ctrl.isDirectoryPickerOpen).toBeFalsy();
+        });
+    });
+
+    describe('verifyAccess(): ', function () {
+        var verification;
+
+        beforeEach(function () {
+            verification = $q.defer();
+            spyOn(CodeEntryService, 'verifyAccess').and.returnValue(verification.promise);
+        });
+
+        it('should verify access to the code source', function () {
+            ctrl.verifyAccess();
+
+            expect(CodeEntryService.verifyAccess).toHaveBeenCalledWith({
+                listGitRefs: ctrl.listGitRefs,
+                listTree: ctrl.listTree
+            }, CodeEntryService.getSource(ctrl.version));
+            expect(ctrl.verification.inProgress).toBeTruthy();
+
+            verification.resolve([]);
+            $rootScope.$digest();
+
+            expect(ctrl.verification).toEqual({ inProgress: false, isVerified: true, issues: [] });
+        });
+
+        it('should discard the verification once the code source changes', function () {
+            ctrl.verifyAccess();
+            ctrl.version.spec.build.codeEntryAttributes.branch = 'development';
+            ctrl.$doCheck();
+
+            expect(ctrl.verification.inProgress).toBeFalsy();
+
+            verification.resolve([{ field: 'branch', message: 'Branch not found' }]);
+            $rootScope.$digest();
+
+            expect(ctrl.verification).toEqual({ inProgress: false, isVerified: false, issues: [] });
+        });
+    });
+});
@@ -0,0 +1,136 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclDirectoryPicker
+     * @description
+     * Lets the user browse the directories of the function's code source (a repository or an archive) and pick one,
+     * for example as the work directory.
+     *
+     * @param {string} [currentPath='/'] - the directory to start browsing from.
+     * @param {function} loadDirectories - called with `path`, resolves to the names of the directories under it.
+     * @param {function} onSelect - called with `path` when a directory is picked.
+     * @param {function} onCancel - called when the picker is closed without picking a directory.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclDirectoryPicker', {
+            bindings: {
+                currentPath: '<?',
+                loadDirectories: '&',
+                onSelect: '&',
+                onCancel: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/directory-picker/directory-picker.tpl.html',
+            controller: NclDirectoryPickerController
+        });
+
+    function NclDirectoryPickerController($i18next, $q, i18next, lodash, CodeEntryService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.directories = [];
+        ctrl.error = '';
+        ctrl.isLoading = false;
+        ctrl.path = '/';
+        ctrl.segments = [];
+
+        ctrl.$onInit = onInit;
+
+        ctrl.openDirectory = openDirectory;
+        ctrl.openPath = openPath;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            openPath(ctrl.currentPath);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Opens a directory under the current one
+         * @param {string} name - the name of the directory
+         */
+        function openDirectory(name) {
+            openPath(CodeEntryService.joinPath(ctrl.path, name));
+        }
+
+        /**
+         * Opens a directory and lists the directories under it
+         * @param {string} [path='/'] - the path of the directory
+         */
+        function openPath(path) {
+            ctrl.path = CodeEntryService.normalizePath(path);
+            ctrl.segments = getSegments(ctrl.path);
+            ctrl.directories = [];
+            ctrl.error = '';
+            ctrl.isLoading = true;
+
+            var requestedPath = ctrl.path;
+
+            $q.when(ctrl.loadDirectories({ path: requestedPath }))
+                .then(function (directories) {
+                    if (requestedPath === ctrl.path) {
+                        ctrl.directories = directories;
+                    }
+                })
+                .catch(function (error) {
+                    if (requestedPath === ctrl.path) {
+                        ctrl.error = $i18next.t('functions:CODE_ENTRY.LOAD_DIRECTORIES_FAILED', {
+                            lng: lng,
+                            reason: CodeEntryService.getErrorMessage(error),
+                            interpolation: { escapeValue: false }
+                        });
+                    }
+                })
+                .finally(function () {
+                    if (requestedPath === ctrl.path) {
+                        ctrl.isLoading = false;
+                    }
+                });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Splits a path into the directories leading to it, starting with the root directory
+         * @param {string} path - the normalized path
+         * @returns {Array.<{name: string, path: string}>} the name and the path of each directory
+         */
+        function getSegments(path) {
+            var names = lodash.compact(path.split('/'));
+
+            return [{ name: '/', path: '/' }].concat(lodash.map(names, function (name, index) {
+                return {
+                    name: name,
+                    path: '/' + lodash.take(names, index + 1).join('/')
+                };
+            }));
+        }
+    }
+}());
@@ -34,7 +34,8 @@ such restriction.
 
     function NclFunctionEventPaneController($element, $i18next, $timeout, $q, download, i18next, lodash, moment,
                                             ConfigService, ConverterService, DialogsService, EventHelperService,
-                                            FunctionsService, ValidationService, VersionHelperService) {
+                                            FunctionsService, TestEventsAssertionsService, ValidationService,
+                                            VersionHelperService) {
         var ctrl = this;
 
         var canceler = null;
@@ -42,6 +43,7 @@ such restriction.
         var HISTORY_LIMIT = 100;
         var lng = i18next.language;
 
+        ctrl.assertionResults = [];
         ctrl.createEvent = true;
         ctrl.testEventsForm = null;
         ctrl.headers = [];
@@ -60,6 +62,10 @@ such restriction.
             {
                 id: 'history',
                 tabName: $i18next.t('functions:HISTORY', { lng: lng })
+            },
+            {
+                id: 'collections',
+                tabName: $i18next.t('functions:COLLECTIONS', { lng: lng })
             }
         ];
         ctrl.logs = [];
@@ -98,6 +104,11 @@ such restriction.
             {
                 id: 'headers',
                 tabName: $i18next.t('functions:HEADERS', { lng: lng })
+            },
+            {
+                id: 'assertions',
+                tabName: $i18next.t('functions:ASSERTIONS', { lng: lng }),
+                badge: 0
             }
         ];
         ctrl.requestBodyTypes = [
@@ -177,7 +188,9 @@ such restriction.
         ctrl.getMethodColor = getMethodColor;
         ctrl.handleAction = handleAction;
         ctrl.inputValueCallback = inputValueCallback;
+        ctrl.invokeCollectionEvent = invokeCollectionEvent;
         ctrl.isDisabledTestButton = isDisabledTestButton;
+        ctrl.onChangeAssertions = onChangeAssertions;
         ctrl.onChangeData = onChangeData;
         ctrl.onChangeInvocationUrl = onChangeInvocationUrl;
         ctrl.onChangeLogLevel = onChangeLogLevel;
@@ -185,6 +198,7 @@ such restriction.
         ctrl.onChangeRequestMethod = onChangeRequestMethod;
         ctrl.onChangeRequestSourceCode = onChangeRequestSourceCode;
         ctrl.onChangeTab = onChangeTab;
+        ctrl.onCollectionRunUpdate = onCollectionRunUpdate;
         ctrl.resetData = resetData;
         ctrl.saveEvent = saveEvent;
         ctrl.selectEvent = selectEvent;
@@ -212,13 +226,7 @@ such restriction.
             updateHistory();
 
             lodash.defaultsDeep(ctrl.selectedEvent, {
-                metadata: {
-                    namespace: lodash.get(ctrl.version, 'metadata.namespace'),
-                    labels: {
-                        'nuclio.io/function-name': lodash.get(ctrl.version, 'metadata.name'),
-                        'nuclio.io/project-name': lodash.get(ctrl.version, 'metadata.labels[\'nuclio.io/project-name\']')
-                    }
-                },
+                metadata: VersionHelperService.getFunctionEventMetadata(ctrl.version),
                 spec: {
                     displayName: '',
                     triggerKind: 'http',
@@ -426,6 +434,27 @@ such restriction.
             updateRequestHeaders();
         }
 
+        /**
+         * Invokes an event of a collection that is being run
+         * @param {Object} eventData - the collection event (with its variables resolved)
+         * @param {Promise} runCanceler - a promise that cancels the invocation when resolved
+         * @returns {Promise} a promise that is either resolved or rejected with the invocation response
+         */
+        function invokeCollectionEvent(eventData, runCanceler) {
+            var functionEvent = {
+                metadata: VersionHelperService.getFunctionEventMetadata(ctrl.version),
+                spec: angular.copy(eventData.spec)
+            };
+            lodash.set(functionEvent, 'spec.attributes.logLevel', ctrl.eventLogLevel);
+
+            return ctrl.invokeFunction({
+                eventData: functionEvent,
+                skipTlsVerification: ctrl.skipTlsVerification,
+                invokeUrl: ctrl.invocationUrls.selected,
+                canceler: runCanceler
+            });
+        }
+
         /**
          * Checks whether "Test" button should be disabled.
          * @returns {boolean} returns `true` in case "Test" button should be disabled, or `false` otherwise.
@@ -440,7 +469,22 @@ such restriction.
                    disabled                                                                             ||
                    (!FunctionsService.isKubePlatform() || serviceType === 'NodePort') && httpPort === 0 ||
                    ctrl.uploadingData.uploading                                                         ||
-                   ctrl.testing;
+                   ctrl.testing                                                                         ||
+                   lodash.get(ctrl.collectionRun, 'state') === 'running';
+        }
+
+        /**
+         * Sets the assertions of the selected event
+         * @param {Array.<Object>} assertions - the new list of assertions
+         */
+        function onChangeAssertions(assertions) {
+            if (lodash.isEmpty(assertions)) {
+                lodash.unset(ctrl.selectedEvent, 'spec.attributes.assertions');
+            } else {
+                lodash.set(ctrl.selectedEvent, 'spec.attributes.assertions', assertions);
+            }
+
+            lodash.find(ctrl.requestNavigationTabs, ['id', 'assertions']).badge = lodash.size(assertions);
         }
 
         /**
@@ -521,19 +565,39 @@ such restriction.
             ctrl[field] = tab;
         }
 
+        /**
+         * Shows the progress of a collection run in the "Run results" tab of the response section
+         * @param {{state: string, results: Array.<Object>}} run - the collection run
+         */
+        function onCollectionRunUpdate(run) {
+            var runTab = lodash.find(ctrl.responseNavigationTabs, ['id', 'run']);
+
+            if (angular.isUndefined(runTab)) {
+                runTab = {
+                    id: 'run',
+                    tabName: $i18next.t('functions:RUN_RESULTS', { lng: lng })
+                };
+                ctrl.responseNavigationTabs.push(runTab);
+            }
+
+            if (ctrl.collectionRun !== run) {
+                ctrl.collectionRun = run;
+                ctrl.selectedResponseTab = runTab;
+            }
+
+            runTab.badge = lodash.filter(run.results, ['passed', false]).length;
+            runTab.status = runTab.badge > 0        ? 'failed' :
+                            run.state === 'running' ? null     :
+                            /* else */                'passed';
+        }
+
         /**
          * Resets all changes
          */
         function resetData() {
             ctrl.testEventsForm.$setPristine();
             ctrl.selectedEvent = {
-                metadata: {
-                    namespace: lodash.get(ctrl.version, 'metadata.namespace'),
-                    labels: {
-                        'nuclio.io/function-name': lodash.get(ctrl.version, 'metadata.name'),
-                        'nuclio.io/project-name': lodash.get(ctrl.version, 'metadata.labels[\'nuclio.io/project-name\']')
-                    }
-                },
+                metadata: VersionHelperService.getFunctionEventMetadata(ctrl.version),
                 spec: {
                     displayName: '',
                     triggerKind: 'http',
@@ -556,6 +620,7 @@ such restriction.
             ctrl.eventLogLevel = 'debug';
 
             updateRequestHeaders();
+            updateAssertionsTabs([]);
         }
 
         /**
@@ -614,16 +679,20 @@ such restriction.
         /**
          * Selects specific event from list of saved events
          * @param {Object} event
-         * @param {string} [location] - location of event(ex. history)
+         * @param {string} [location] - location of event(ex. history, collections). An event of a collection is not a
+         *     saved function event, so saving it creates a new one
          */
         function selectEvent(event, location) {
             if (location === 'history') {
                 lodash.set(event, 'spec.displayName', '');
             }
 
-            ctrl.selectedEvent = angular.copy(event);
+            ctrl.selectedEvent = location === 'collections' ? {
+                metadata: VersionHelperService.getFunctionEventMetadata(ctrl.version),
+                spec: angular.copy(event.spec)
+            } : angular.copy(event);
             ctrl.selectedEvent.spec.body = lodash.defaultTo(ctrl.selectedEvent.spec.body, '');
-            ctrl.createEvent = false;
+            ctrl.createEvent = location === 'collections';
             ctrl.showResponse = false;
             ctrl.testResult = null;
             ctrl.showLeftBar = ctrl.fixedLeftBar;
@@ -632,6 +701,7 @@ such restriction.
             var contentType = ctrl.selectedEvent.spec.attributes.headers['Content-Type'];
             ctrl.requestSourceCodeLanguage = contentType === 'application/json' ? 'json' : 'textplain';
             updateRequestHeaders();
+            updateAssertionsTabs([]);
 
             // 2020-02-10 Eran Nussbam:
             // File is not in production until further notice, and there is no way to figure out if a function event is
@@ -673,7 +743,8 @@ such restriction.
                                 return key.toLowerCase();
                             });
 
-                            ctrl.invokeTime = convertTime(moment().diff(startTime));
+                            var latency = moment().diff(startTime);
+                            ctrl.invokeTime = convertTime(latency);
 
                             ctrl.testResult = {
                                 status: {
@@ -696,6 +767,14 @@ such restriction.
                             ctrl.logs = lodash.isNull(logs) ? [] : angular.fromJson(logs);
                             responseLogsTab.badge = ctrl.logs.length;
 
+                            var assertions = lodash.get(ctrl.selectedEvent, 'spec.attributes.assertions', []);
+                            updateAssertionsTabs(TestEventsAssertionsService.evaluateAssertions(assertions, {
+                                status: invocationData.status,
+                                latency: latency,
+                                headers: invocationData.headers,
+                                body: invocationData.body
+                            }));
+
                             var size = lodash.get(lowerCaseHeaders, 'content-length', null);
                             ctrl.responseSize = lodash.isNull(size) ? size :
                                 ConverterService.getConvertedBytes(Number(size), ['B', 'KB', 'MB', 'GB']);
@@ -740,6 +819,7 @@ such restriction.
 
                             ctrl.testing = false;
                             ctrl.showResponse = false;
+                            updateAssertionsTabs([]);
                         }
 
                         ctrl.isInvocationSuccess = lodash.startsWith(invocationData.status, '2');
@@ -860,6 +940,7 @@ such restriction.
                                       minutes  + ' min';
         }
 
+
         /**
          * Formats an object as a formatted JSON.
          * @param {*} value - the object or a JSON-serialized string to format.
@@ -981,6 +1062,43 @@ such restriction.
             updateHistory();
         }
 
+        /**
+         * Updates the badge of the "Assertions" tab of the request section, and shows the result of the assertions of
+         * the last invocation in the "Assertions" tab of the response section (the tab is removed when there are no
+         * results)
+         * @param {Array.<Object>} results - the result of the assertions of the last invocation
+         */
+        function updateAssertionsTabs(results) {
+            var requestTab = lodash.find(ctrl.requestNavigationTabs, ['id', 'assertions']);
+            var responseTab = lodash.find(ctrl.responseNavigationTabs, ['id', 'assertions']);
+
+            requestTab.badge = lodash.size(lodash.get(ctrl.selectedEvent, 'spec.attributes.assertions'));
+            ctrl.assertionResults = results;
+
+            if (lodash.isEmpty(results)) {
+                lodash.pull(ctrl.responseNavigationTabs, responseTab);
+
+                if (ctrl.selectedResponseTab === responseTab) {
+                    ctrl.selectedResponseTab = ctrl.responseNavigationTabs[0];
+                }
+            } else {
+                if (angular.isUndefined(responseTab)) {
+                    responseTab = {
+                        id: 'assertions',
+                        tabName: $i18next.t('functions:ASSERTIONS', { lng: lng })
+                    };
+
+                    // place the tab right after the "Logs" tab (and before the "Run results" tab, if present)
+                    var logsTabIndex = lodash.findIndex(ctrl.responseNavigationTabs, ['id', 'logs']);
+                    ctrl.responseNavigationTabs.splice(logsTabIndex + 1, 0, responseTab);
+                }
+
+                var passedCount = lodash.filter(results, 'passed').length;
+                responseTab.badge = passedCount + '/' + results.length;
+                responseTab.status = passedCount === results.length ? 'passed' : 'failed';
+            }
+        }
+
         /**
          * Updates headers after changing request body type or path
          */
@@ -0,0 +1,34 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclTestEventsAssertionResults', {
+            bindings: {
+                results: '<'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/function-event-pane/test-events-assertion-results/test-events-assertion-results.tpl.html',
+            controller: NclTestEventsAssertionResultsController
+        });
+
+    function NclTestEventsAssertionResultsController(TestEventsAssertionsService) {
+        var ctrl = this;
+
+        ctrl.getAssertionLabel = TestEventsAssertionsService.getAssertionLabel;
+    }
+}());
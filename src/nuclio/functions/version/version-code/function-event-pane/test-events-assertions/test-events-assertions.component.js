@@ -0,0 +1,137 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclTestEventsAssertions', {
+            bindings: {
+                assertions: '<',
+                isDisabled: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/function-event-pane/test-events-assertions/test-events-assertions.tpl.html',
+            controller: NclTestEventsAssertionsController
+        });
+
+    function NclTestEventsAssertionsController($i18next, i18next, lodash, TestEventsAssertionsService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.assertionsList = [];
+        ctrl.assertionTypes = TestEventsAssertionsService.getAssertionTypes();
+        ctrl.operators = [
+            {
+                id: 'equals',
+                name: $i18next.t('functions:ASSERTION_OPERATOR.EQUALS', { lng: lng }),
+                visible: true
+            },
+            {
+                id: 'matches',
+                name: $i18next.t('functions:ASSERTION_OPERATOR.MATCHES', { lng: lng }),
+                visible: true
+            },
+            {
+                id: 'exists',
+                name: $i18next.t('functions:ASSERTION_OPERATOR.EXISTS', { lng: lng }),
+                visible: true
+            }
+        ];
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.addAssertion = addAssertion;
+        ctrl.deleteAssertion = deleteAssertion;
+        ctrl.onChangeField = onChangeField;
+        ctrl.onChangeType = onChangeType;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.assertions)) {
+                ctrl.assertionsList = angular.copy(lodash.defaultTo(ctrl.assertions, []));
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds a new `status` assertion
+         */
+        function addAssertion() {
+            if (!ctrl.isDisabled) {
+                ctrl.assertionsList.push(TestEventsAssertionsService.createAssertion('status'));
+
+                triggerChange();
+            }
+        }
+
+        /**
+         * Deletes an assertion
+         * @param {number} index - the index of the assertion in the list
+         */
+        function deleteAssertion(index) {
+            ctrl.assertionsList.splice(index, 1);
+
+            triggerChange();
+        }
+
+        /**
+         * Updates a field of an assertion
+         * @param {number} index - the index of the assertion in the list
+         * @param {*} newData - the new value of the field
+         * @param {string} field - the name of the field (e.g. `'value'`)
+         */
+        function onChangeField(index, newData, field) {
+            lodash.set(ctrl.assertionsList[index], field, newData);
+
+            triggerChange();
+        }
+
+        /**
+         * Changes the type of an assertion. The assertion is reset to the default values of the new type
+         * @param {number} index - the index of the assertion in the list
+         * @param {Object} item - the selected type
+         */
+        function onChangeType(index, item) {
+            if (ctrl.assertionsList[index].type !== item.id) {
+                ctrl.assertionsList[index] = TestEventsAssertionsService.createAssertion(item.id);
+
+                triggerChange();
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Invokes the `onChange` callback with the current list of assertions
+         */
+        function triggerChange() {
+            ctrl.onChange({ assertions: angular.copy(ctrl.assertionsList) });
+        }
+    }
+}());
@@ -0,0 +1,432 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    angular.module('iguazio.dashboard-controls')
+        .component('nclTestEventsCollections', {
+            bindings: {
+                invocationUrl: '<',
+                isRunDisabled: '<',
+                selectedEvent: '<',
+                getMethodColor: '&',
+                invokeEvent: '&',
+                onRunUpdate: '&',
+                onSelectEvent: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/function-event-pane/test-events-collections/test-events-collections.tpl.html',
+            controller: NclTestEventsCollectionsController
+        });
+
+    function NclTestEventsCollectionsController($i18next, $q, $timeout, download, i18next, lodash, DialogsService,
+                                                TestEventsCollectionsService) {
+        var ctrl = this;
+
+        var canceler = null;
+        var lng = i18next.language;
+
+        ctrl.collectionsList = [];
+        ctrl.environmentsList = [];
+        ctrl.exportFormats = [
+            {
+                id: 'postman',
+                name: $i18next.t('functions:POSTMAN_COLLECTION', { lng: lng }),
+                visible: true
+            },
+            {
+                id: 'har',
+                name: $i18next.t('functions:HAR_LOG', { lng: lng }),
+                visible: true
+            }
+        ];
+        ctrl.run = null;
+        ctrl.store = {};
+
+        ctrl.$onInit = onInit;
+
+        ctrl.addCurrentEvent = addCurrentEvent;
+        ctrl.createCollection = createCollection;
+        ctrl.createEnvironment = createEnvironment;
+        ctrl.deleteCollection = deleteCollection;
+        ctrl.deleteEnvironment = deleteEnvironment;
+        ctrl.deleteEvent = deleteEvent;
+        ctrl.editVariables = editVariables;
+        ctrl.exportCollection = exportCollection;
+        ctrl.exportEnvironment = exportEnvironment;
+        ctrl.getActiveCollection = getActiveCollection;
+        ctrl.getActiveEnvironment = getActiveEnvironment;
+        ctrl.importFile = importFile;
+        ctrl.isRunning = isRunning;
+        ctrl.onSelectCollection = onSelectCollection;
+        ctrl.onSelectEnvironment = onSelectEnvironment;
+        ctrl.runCollection = runCollection;
+        ctrl.selectEvent = selectEvent;
+        ctrl.stopRun = stopRun;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            ctrl.store = TestEventsCollectionsService.getStore();
+
+            updateLists();
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds the event currently edited in the test pane to the active collection
+         */
+        function addCurrentEvent() {
+            var collection = getActiveCollection();
+            var event = TestEventsCollectionsService.createCollectionEvent(ctrl.selectedEvent);
+
+            if (lodash.isEmpty(event.spec.displayName)) {
+                event.spec.displayName = event.spec.attributes.method + ' /' + lodash.trimStart(event.spec.attributes.path, '/');
+            }
+
+            collection.events.push(event);
+
+            saveStore();
+        }
+
+        /**
+         * Creates a new collection (prompts for its name), and makes it the active collection
+         */
+        function createCollection() {
+            DialogsService.prompt($i18next.t('functions:NEW_COLLECTION_NAME', { lng: lng }),
+                                  $i18next.t('common:CREATE', { lng: lng }), null, '', null, undefined, true)
+                .then(function (name) {
+                    var collection = TestEventsCollectionsService.createCollection(name);
+
+                    ctrl.store.collections.push(collection);
+                    ctrl.store.activeCollectionId = collection.id;
+
+                    saveStore();
+                });
+        }
+
+        /**
+         * Creates a new environment (prompts for its name), and makes it the active environment
+         */
+        function createEnvironment() {
+            DialogsService.prompt($i18next.t('functions:NEW_ENVIRONMENT_NAME', { lng: lng }),
+                                  $i18next.t('common:CREATE', { lng: lng }), null, '', null, undefined, true)
+                .then(function (name) {
+                    var environment = TestEventsCollectionsService.createEnvironment(name);
+
+                    ctrl.store.environments.push(environment);
+                    ctrl.store.activeEnvironmentId = environment.id;
+
+                    saveStore();
+                });
+        }
+
+        /**
+         * Deletes the active collection (after confirmation)
+         */
+        function deleteCollection() {
+            var collection = getActiveCollection();
+
+            DialogsService.confirm($i18next.t('functions:DELETE_COLLECTION', { lng: lng }) + ' “' + collection.name + '”?',
+                                   $i18next.t('common:YES_DELETE', { lng: lng }),
+                                   $i18next.t('common:CANCEL', { lng: lng }), 'nuclio_alert')
+                .then(function () {
+                    lodash.pull(ctrl.store.collections, collection);
+                    ctrl.store.activeCollectionId = lodash.get(lodash.first(ctrl.store.collections), 'id', null);
+
+                    saveStore();
+                });
+        }
+
+        /**
+         * Deletes the active environment (after confirmation)
+         */
+        function deleteEnvironment() {
+            var environment = getActiveEnvironment();
+
+            DialogsService.confirm($i18next.t('functions:DELETE_ENVIRONMENT', { lng: lng }) + ' “' + environment.name + '”?',
+                                   $i18next.t('common:YES_DELETE', { lng: lng }),
+                                   $i18next.t('common:CANCEL', { lng: lng }), 'nuclio_alert')
+                .then(function () {
+                    lodash.pull(ctrl.store.environments, environment);
+                    ctrl.store.activeEnvironmentId = null;
+
+                    saveStore();
+                });
+        }
+
+        /**
+         * Removes an event from the active collection
+         * @param {Object} event - the collection event to remove
+         */
+        function deleteEvent(event) {
+            lodash.pull(getActiveCollection().events, event);
+
+            saveStore();
+        }
+
+        /**
+         * Opens a JSON editor for the variables of the active collection or the active environment
+         * @param {string} target - `'collection'` or `'environment'`
+         */
+        function editVariables(target) {
+            var item = target === 'collection' ? getActiveCollection() : getActiveEnvironment();
+            var node = {
+                label: $i18next.t('functions:VARIABLES_OF', { lng: lng, name: item.name })
+            };
+
+            DialogsService.text(angular.toJson(item.variables, 4), node, function (newContent) {
+                var variables = null;
+
+                try {
+                    variables = angular.fromJson(newContent);
+                } catch (error) {
+                    variables = null;
+                }
+
+                if (!lodash.isPlainObject(variables) || !lodash.every(variables, isVariableValue)) {
+                    return $q.reject({
+                        statusText: $i18next.t('functions:ERROR_MSG.INVALID_VARIABLES', { lng: lng })
+                    });
+                }
+
+                item.variables = lodash.mapValues(variables, lodash.toString);
+
+                saveStore();
+
+                return $q.when();
+            }, 'json');
+        }
+
+        /**
+         * Downloads the active collection as a Postman collection or as a HAR log
+         * @param {{id: string}} format - the export format (`'postman'` or `'har'`)
+         */
+        function exportCollection(format) {
+            var collection = getActiveCollection();
+            var content = TestEventsCollectionsService.exportCollection(collection, format.id, {
+                baseUrl: ctrl.invocationUrl,
+                variables: TestEventsCollectionsService.getVariables(collection, getActiveEnvironment())
+            });
+            var extension = format.id === 'har' ? '.har' : '.postman_collection.json';
+
+            download.fromData(content, 'application/json', collection.name + extension);
+        }
+
+        /**
+         * Downloads the active environment as a Postman environment
+         */
+        function exportEnvironment() {
+            var environment = getActiveEnvironment();
+
+            download.fromData(TestEventsCollectionsService.exportEnvironment(environment), 'application/json',
+                              environment.name + '.postman_environment.json');
+        }
+
+        /**
+         * Gets the active collection
+         * @returns {Object|undefined} the active collection, or `undefined` if there is none
+         */
+        function getActiveCollection() {
+            return lodash.find(ctrl.store.collections, ['id', ctrl.store.activeCollectionId]);
+        }
+
+        /**
+         * Gets the active environment
+         * @returns {Object|undefined} the active environment, or `undefined` if there is none
+         */
+        function getActiveEnvironment() {
+            return lodash.find(ctrl.store.environments, ['id', ctrl.store.activeEnvironmentId]);
+        }
+
+        /**
+         * Imports a Postman collection, a Postman environment or a HAR log, and makes it active
+         * @param {File} file - the selected file
+         */
+        function importFile(file) {
+            if (lodash.isNil(file)) {
+                return;
+            }
+
+            var reader = new FileReader();
+
+            reader.onload = function () {
+                $timeout(function () {
+                    try {
+                        var imported = TestEventsCollectionsService.parseImport(reader.result, file.name);
+
+                        if (imported.type === 'environment') {
+                            ctrl.store.environments.push(imported.data);
+                            ctrl.store.activeEnvironmentId = imported.data.id;
+                        } else {
+                            ctrl.store.collections.push(imported.data);
+                            ctrl.store.activeCollectionId = imported.data.id;
+                        }
+
+                        saveStore();
+                    } catch (error) {
+                        DialogsService.alert($i18next.t('functions:ERROR_MSG.IMPORT_COLLECTION', { lng: lng }));
+                    }
+                });
+            };
+            reader.readAsText(file);
+        }
+
+        /**
+         * Checks whether the active collection is being run
+         * @returns {boolean} `true` if a run is in progress, or `false` otherwise
+         */
+        function isRunning() {
+            return lodash.get(ctrl.run, 'state') === 'running';
+        }
+
+        /**
+         * Handles selecting a collection
+         * @param {Object} item - the selected collection
+         */
+        function onSelectCollection(item) {
+            ctrl.store.activeCollectionId = item.id;
+
+            saveStore();
+        }
+
+        /**
+         * Handles selecting an environment
+         * @param {Object} item - the selected environment (its `id` is `null` for no environment)
+         */
+        function onSelectEnvironment(item) {
+            ctrl.store.activeEnvironmentId = item.id;
+
+            saveStore();
+        }
+
+        /**
+         * Invokes all the events of the active collection one after the other
+         */
+        function runCollection() {
+            var collection = getActiveCollection();
+            var variables = TestEventsCollectionsService.getVariables(collection, getActiveEnvironment());
+
+            canceler = $q.defer();
+            ctrl.run = {
+                state: 'running',
+                collectionName: collection.name,
+                total: collection.events.length,
+                results: []
+            };
+
+            ctrl.onRunUpdate({ run: ctrl.run });
+
+            TestEventsCollectionsService.runCollection(collection, variables, function (eventData) {
+                return ctrl.invokeEvent({ eventData: eventData, canceler: canceler.promise });
+            }, {
+                isCanceled: function () {
+                    return ctrl.run.state === 'canceled';
+                },
+                onProgress: function (result) {
+                    ctrl.run.results.push(result);
+                    ctrl.onRunUpdate({ run: ctrl.run });
+                }
+            })
+                .finally(function () {
+                    if (ctrl.run.state === 'running') {
+                        ctrl.run.state = 'done';
+                    }
+
+                    canceler = null;
+                    ctrl.onRunUpdate({ run: ctrl.run });
+                });
+        }
+
+        /**
+         * Loads an event of the active collection into the test pane
+         * @param {Object} event - the collection event
+         */
+        function selectEvent(event) {
+            ctrl.onSelectEvent({ event: event });
+        }
+
+        /**
+         * Stops the current run (the current invocation is canceled, and the rest of the events are skipped)
+         */
+        function stopRun() {
+            if (isRunning()) {
+                ctrl.run.state = 'canceled';
+
+                if (canceler !== null) {
+                    canceler.resolve();
+                }
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Checks whether a value could be the value of a variable
+         * @param {*} value - the value
+         * @returns {boolean} `true` if the value is a string, a number or a boolean, or `false` otherwise
+         */
+        function isVariableValue(value) {
+            return lodash.isString(value) || lodash.isNumber(value) || lodash.isBoolean(value);
+        }
+
+        /**
+         * Stores the collections and environments, and updates the dropdown lists
+         */
+        function saveStore() {
+            TestEventsCollectionsService.saveStore(ctrl.store)
+                .catch(function () {
+                    DialogsService.alert($i18next.t('functions:ERROR_MSG.SAVE_COLLECTIONS', { lng: lng }));
+                });
+
+            updateLists();
+        }
+
+        /**
+         * Updates the lists of the collections and environments dropdowns
+         */
+        function updateLists() {
+            ctrl.collectionsList = lodash.map(ctrl.store.collections, function (collection) {
+                return {
+                    id: collection.id,
+                    name: collection.name,
+                    visible: true
+                };
+            });
+            ctrl.environmentsList = [{
+                id: null,
+                name: $i18next.t('functions:NO_ENVIRONMENT', { lng: lng }),
+                visible: true
+            }].concat(lodash.map(ctrl.store.environments, function (environment) {
+                return {
+                    id: environment.id,
+                    name: environment.name,
+                    visible: true
+                };
+            }));
+        }
+    }
+}());
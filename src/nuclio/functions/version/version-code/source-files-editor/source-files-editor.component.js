@@ -0,0 +1,386 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclSourceFilesEditor
+     * @description
+     * Edits the source files of a function: a tree of the files, where files could be created, renamed, deleted and
+     * uploaded, and an editor with a tab for each open file.
+     *
+     * @param {Array.<{path: string, content: string}>} files - the files.
+     * @param {string} entryPath - the path of the file containing the handler, which could not be renamed or deleted.
+     * @param {string} [handler] - the handler of the function, checked in the file containing it.
+     * @param {string} [selectedTheme] - the theme of the editor.
+     * @param {boolean} [readOnly=false] - set to `true` to prevent changes.
+     * @param {function} onChange - called with `files` (a new array, or the same array in case only the content of a
+     *     file has changed) on every change.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclSourceFilesEditor', {
+            bindings: {
+                files: '<',
+                entryPath: '<',
+                handler: '<?',
+                selectedTheme: '<?',
+                readOnly: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/source-files-editor/source-files-editor.tpl.html',
+            controller: NclSourceFilesEditorController
+        });
+
+    function NclSourceFilesEditorController($element, $i18next, $q, $scope, i18next, lodash, DialogsService,
+                                            SourceFilesService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.activeFile = null;
+        ctrl.collapsedDirectories = {};
+        ctrl.openPaths = [];
+        ctrl.tree = [];
+
+        ctrl.$onChanges = onChanges;
+        ctrl.$postLink = postLink;
+        ctrl.$onDestroy = onDestroy;
+
+        ctrl.addFile = addFile;
+        ctrl.closeFile = closeFile;
+        ctrl.deleteNode = deleteNode;
+        ctrl.isEntryMissing = isEntryMissing;
+        ctrl.isEntryNode = isEntryNode;
+        ctrl.isNodeVisible = isNodeVisible;
+        ctrl.onContentChange = onContentChange;
+        ctrl.openFile = openFile;
+        ctrl.renameNode = renameNode;
+        ctrl.toggleDirectory = toggleDirectory;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.files) || angular.isDefined(changes.entryPath)) {
+                refresh();
+            }
+        }
+
+        /**
+         * Post linking method
+         */
+        function postLink() {
+            $element.find('.source-files-upload-input').on('change', onFilesSelected);
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            $element.find('.source-files-upload-input').off('change', onFilesSelected);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Prompts for the path of a new file and creates it
+         * @param {string} [path=''] - the suggested path (e.g. the directory to create the file in, or the missing
+         *     file containing the handler)
+         */
+        function addFile(path) {
+            promptPath($i18next.t('functions:SOURCE_FILES.NEW_FILE_PATH', { lng: lng }),
+                       $i18next.t('common:CREATE', { lng: lng }), lodash.defaultTo(path, ''))
+                .then(function (newPath) {
+                    update(ctrl.files.concat({ path: newPath, content: '' }));
+                    openFile(newPath);
+                });
+        }
+
+        /**
+         * Closes the tab of a file, and activates the adjacent tab in case it was the active one
+         * @param {string} path - the path of the file
+         * @param {Event} [event] - the click event, which is not propagated to the tab
+         */
+        function closeFile(path, event) {
+            var index = ctrl.openPaths.indexOf(path);
+
+            if (angular.isDefined(event)) {
+                event.stopPropagation();
+            }
+
+            ctrl.openPaths = lodash.without(ctrl.openPaths, path);
+
+            if (lodash.get(ctrl.activeFile, 'path') === path) {
+                activate(lodash.defaultTo(ctrl.openPaths[index], lodash.last(ctrl.openPaths)));
+            }
+        }
+
+        /**
+         * Deletes a file, or a directory with all of its files, after confirmation
+         * @param {Object} node - the node of the tree
+         */
+        function deleteNode(node) {
+            var key = node.isDirectory ? 'DELETE_DIRECTORY_CONFIRM' : 'DELETE_FILE_CONFIRM';
+
+            DialogsService.confirm($i18next.t('functions:SOURCE_FILES.' + key, {
+                lng: lng,
+                path: node.path,
+                interpolation: { escapeValue: false }
+            }), $i18next.t('common:DELETE', { lng: lng }), $i18next.t('common:CANCEL', { lng: lng }), 'nuclio_alert')
+                .then(function () {
+                    update(lodash.reject(ctrl.files, function (file) {
+                        return isUnderNode(file.path, node);
+                    }));
+                });
+        }
+
+        /**
+         * Tests whether the file containing the handler is missing
+         * @returns {boolean} `true` in case none of the files is at the entry path, or `false` otherwise
+         */
+        function isEntryMissing() {
+            return !lodash.some(ctrl.files, ['path', ctrl.entryPath]);
+        }
+
+        /**
+         * Tests whether a node is, or contains, the file containing the handler
+         * @param {Object} node - the node of the tree
+         * @returns {boolean} `true` in case the node is, or contains, the file containing the handler
+         */
+        function isEntryNode(node) {
+            return isUnderNode(ctrl.entryPath, node);
+        }
+
+        /**
+         * Tests whether a node is visible, i.e. none of the directories containing it is collapsed
+         * @param {Object} node - the node of the tree
+         * @returns {boolean} `true` in case the node is visible, or `false` otherwise
+         */
+        function isNodeVisible(node) {
+            return !lodash.some(ctrl.collapsedDirectories, function (isCollapsed, path) {
+                return isCollapsed && lodash.startsWith(node.path, path + '/');
+            });
+        }
+
+        /**
+         * Sets the content of the active file
+         * @param {string} content - the new content
+         */
+        function onContentChange(content) {
+            var file = lodash.find(ctrl.files, ['path', lodash.get(ctrl.activeFile, 'path')]);
+
+            if (angular.isDefined(file) && file.content !== content) {
+                file.content = content;
+                ctrl.activeFile.content = content;
+
+                ctrl.onChange({ files: ctrl.files });
+            }
+        }
+
+        /**
+         * Opens a file in a tab, and activates the tab
+         * @param {string} path - the path of the file
+         */
+        function openFile(path) {
+            if (!lodash.includes(ctrl.openPaths, path)) {
+                ctrl.openPaths = ctrl.openPaths.concat(path);
+            }
+
+            activate(path);
+        }
+
+        /**
+         * Prompts for a new path of a file or a directory, and moves it
+         * @param {Object} node - the node of the tree
+         */
+        function renameNode(node) {
+            promptPath($i18next.t('functions:SOURCE_FILES.RENAME_PATH', {
+                lng: lng,
+                path: node.path,
+                interpolation: { escapeValue: false }
+            }), $i18next.t('common:RENAME', { lng: lng }), node.path, node.path)
+                .then(function (newPath) {
+                    var renamePath = function (path) {
+                        return isUnderNode(path, node) ? newPath + path.slice(node.path.length) : path;
+                    };
+
+                    ctrl.openPaths = lodash.map(ctrl.openPaths, renamePath);
+                    if (ctrl.activeFile !== null) {
+                        ctrl.activeFile.path = renamePath(ctrl.activeFile.path);
+                    }
+
+                    update(lodash.map(ctrl.files, function (file) {
+                        return lodash.assign({}, file, { path: renamePath(file.path) });
+                    }));
+                });
+        }
+
+        /**
+         * Collapses or expands a directory of the tree
+         * @param {Object} node - the node of the directory
+         */
+        function toggleDirectory(node) {
+            ctrl.collapsedDirectories[node.path] = !ctrl.collapsedDirectories[node.path];
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Shows a file in the editor
+         * @param {string} [path] - the path of the file, none to clear the editor
+         */
+        function activate(path) {
+            var file = lodash.find(ctrl.files, ['path', path]);
+
+            ctrl.activeFile = angular.isUndefined(file) ? null : {
+                path: file.path,
+                content: file.content,
+                language: SourceFilesService.getLanguage(file.path)
+            };
+        }
+
+        /**
+         * Tests whether a path is a node of the tree, or is under it in case it is a directory
+         * @param {string} path - the path
+         * @param {Object} node - the node of the tree
+         * @returns {boolean} `true` in case the path is, or is under, the node
+         */
+        function isUnderNode(path, node) {
+            return path === node.path || node.isDirectory && lodash.startsWith(path, node.path + '/');
+        }
+
+        /**
+         * Reads the files selected for upload into the root directory. A file with the same path as an existing file
+         * replaces its content, and files with invalid names are skipped
+         * @param {Event} event - the `change` event of the file input
+         */
+        function onFilesSelected(event) {
+            var selectedFiles = lodash.toArray(lodash.get(event, 'target.files'));
+
+            $q.all(lodash.map(selectedFiles, readFile))
+                .then(function (uploadedFiles) {
+                    var errors = lodash.map(uploadedFiles, function (file) {
+                        return SourceFilesService.getPathError(file.path, lodash.reject(ctrl.files, ['path', file.path]));
+                    });
+                    var validFiles = lodash.filter(uploadedFiles, function (file, index) {
+                        return errors[index] === '';
+                    });
+
+                    update(lodash.unionBy(validFiles, ctrl.files, 'path'));
+                    lodash.forEach(validFiles, function (file) {
+                        openFile(file.path);
+                    });
+
+                    if (validFiles.length < uploadedFiles.length) {
+                        DialogsService.alert(lodash.find(errors, lodash.identity));
+                    }
+                })
+                .catch(function () {
+                    DialogsService.alert($i18next.t('functions:ERROR_MSG.COULD_NOT_READ_FILE', { lng: lng }));
+                });
+
+            event.target.value = '';
+        }
+
+        /**
+         * Prompts for a path, until a valid one is entered or the prompt is canceled
+         * @param {string} text - the text of the prompt
+         * @param {string} okButton - the caption of the confirm button
+         * @param {string} defaultValue - the initial value
+         * @param {string} [currentPath] - the current path, when renaming
+         * @returns {Promise.<string>} the valid path (rejected on cancel, or in case it is the current path)
+         */
+        function promptPath(text, okButton, defaultValue, currentPath) {
+            return DialogsService.prompt(text, okButton, $i18next.t('common:CANCEL', { lng: lng }), defaultValue, '',
+                                         undefined, true)
+                .then(function (path) {
+                    var error = SourceFilesService.getPathError(path, ctrl.files, currentPath);
+
+                    if (path === currentPath) {
+                        return $q.reject();
+                    } else if (error !== '') {
+                        return DialogsService.alert(error).then(function () {
+                            return promptPath(text, okButton, path, currentPath);
+                        });
+                    }
+
+                    return path;
+                });
+        }
+
+        /**
+         * Reads an uploaded file
+         * @param {File} file - the file
+         * @returns {Promise.<{path: string, content: string}>} the source file
+         */
+        function readFile(file) {
+            return $q(function (resolve, reject) {
+                var reader = new FileReader();
+
+                reader.onload = function () {
+                    resolve({
+                        path: file.name,
+                        content: reader.result
+                    });
+                };
+                reader.onerror = reject;
+                reader.readAsText(file);
+            });
+        }
+
+        /**
+         * Rebuilds the tree, and closes the tabs of files that no longer exist. In case the active file was closed,
+         * activates the last open file, or opens the file containing the handler (or the first file)
+         */
+        function refresh() {
+            var paths = lodash.map(ctrl.files, 'path');
+            var activePath = lodash.get(ctrl.activeFile, 'path');
+
+            ctrl.tree = SourceFilesService.getTree(ctrl.files);
+            ctrl.openPaths = lodash.intersection(ctrl.openPaths, paths);
+
+            if (lodash.includes(ctrl.openPaths, activePath)) {
+                activate(activePath);
+            } else if (ctrl.openPaths.length > 0) {
+                activate(lodash.last(ctrl.openPaths));
+            } else if (paths.length > 0) {
+                openFile(lodash.includes(paths, ctrl.entryPath) ? ctrl.entryPath : lodash.head(paths));
+            } else {
+                activate();
+            }
+        }
+
+        /**
+         * Applies a change of the files
+         * @param {Array.<Object>} files - the new files
+         */
+        function update(files) {
+            ctrl.files = files;
+            refresh();
+
+            ctrl.onChange({ files: files });
+        }
+    }
+}());
@@ -0,0 +1,392 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclVersionCodeSource
+     * @description
+     * Edits the source code of a function online, either as a single file or as multiple files, and checks that the
+     * handler is defined in it.
+     * Multiple files could not be deployed as source code, so they are packed into a zip archive that is uploaded
+     * through the `uploadSourceArchive` callback, and the function is deployed from the code entry the callback
+     * resolves with. Until the archive is uploaded, the "Deploy" button is disabled. The files are kept in
+     * `version.ui.sourceFiles`, so a function that is reloaded from the server is shown with its archive code entry.
+     *
+     * @param {Object} version - the function, whose build spec is changed to deploy it from the uploaded archive.
+     * @param {string} sourceCode - the source code of a single file.
+     * @param {string} handler - the handler of the function.
+     * @param {Object} runtime - the runtime of the function (its `ext` and `language` are used).
+     * @param {string} [language] - the language of the single file editor.
+     * @param {string} [selectedTheme] - the theme of the editor.
+     * @param {boolean} [readOnly=false] - set to `true` to prevent changes.
+     * @param {boolean} [allowMultipleFiles=false] - set to `true` to allow editing multiple files, in case
+     *     `uploadSourceArchive` is provided.
+     * @param {function} onChangeSourceCode - called with `sourceCode` when the source code of a single file changes.
+     * @param {function} onSelectHandler - called with `handler` when a handler suggested by the check is selected.
+     * @param {function} [uploadSourceArchive] - called with `archive` (a `Blob`) and `version`, should resolve with the
+     *     code entry to deploy from: `{codeEntryType: string, path: string, codeEntryAttributes: Object}` (e.g.
+     *     `codeEntryType` `'archive'` with the URL of the archive as `path`, or `'s3'` with the bucket and key in
+     *     `codeEntryAttributes`).
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclVersionCodeSource', {
+            bindings: {
+                version: '<',
+                sourceCode: '<',
+                handler: '<',
+                runtime: '<',
+                language: '<?',
+                selectedTheme: '<?',
+                readOnly: '<?',
+                allowMultipleFiles: '<?',
+                onChangeSourceCode: '&',
+                onSelectHandler: '&',
+                uploadSourceArchive: '&?'
+            },
+            templateUrl: 'nuclio/functions/version/version-code/version-code-source/version-code-source.tpl.html',
+            controller: NclVersionCodeSourceController
+        });
+
+    function NclVersionCodeSourceController($i18next, $q, $rootScope, $timeout, i18next, lodash, Base64,
+                                            DialogsService, NuclioSdkService, SourceFilesService,
+                                            VersionHelperService) {
+        var ctrl = this;
+        var lng = i18next.language;
+        var uploadCount = 0;
+        var uploadTimer = null;
+
+        var UPLOAD_DEBOUNCE = 1000;
+
+        ctrl.entryPath = '';
+        ctrl.files = [];
+        ctrl.handlerIssue = null;
+        ctrl.isMultiFile = false;
+        ctrl.upload = {
+            isInProgress: false,
+            error: ''
+        };
+
+        ctrl.$onInit = onInit;
+        ctrl.$onChanges = onChanges;
+        ctrl.$onDestroy = onDestroy;
+
+        ctrl.applyEdit = applyEdit;
+        ctrl.isMultiFileAvailable = isMultiFileAvailable;
+        ctrl.setFiles = setFiles;
+        ctrl.toggleMultiFile = toggleMultiFile;
+        ctrl.uploadArchive = uploadArchive;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+
+            // the code entry type was changed and then changed back to source code, so the function is deployed from
+            // the uploaded archive again
+            if (ctrl.isMultiFile && lodash.get(ctrl.version, 'spec.build.codeEntryType') === 'sourceCode') {
+                restore();
+            }
+        }
+
+        /**
+         * On changes hook method
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.version)) {
+                var sourceFiles = lodash.get(ctrl.version, 'ui.sourceFiles');
+
+                ctrl.isMultiFile = lodash.isObject(sourceFiles);
+                ctrl.files = lodash.get(sourceFiles, 'files', []);
+                ctrl.entryPath = getEntryPath();
+            } else if (angular.isDefined(changes.handler) && ctrl.isMultiFile) {
+                ctrl.entryPath = getEntryPath();
+                storeSourceFiles();
+            }
+
+            updateHandlerIssue();
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+
+            // discard the pending upload, it is scheduled again once the source code is edited again
+            $timeout.cancel(uploadTimer);
+            uploadCount++;
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Applies an edit (e.g. a quick-fix of the handler issue) to the source code of the file containing the
+         * handler
+         * @param {Object} edit - the edit (@see {@link NuclioSdkService.applyEdit})
+         */
+        function applyEdit(edit) {
+            if (ctrl.isMultiFile) {
+                setFiles(lodash.map(ctrl.files, function (file) {
+                    return file.path === ctrl.entryPath ?
+                        lodash.assign({}, file, { content: NuclioSdkService.applyEdit(file.content, edit) }) : file;
+                }));
+            } else {
+                ctrl.onChangeSourceCode({ sourceCode: NuclioSdkService.applyEdit(ctrl.sourceCode, edit) });
+            }
+        }
+
+        /**
+         * Checks whether the source code could be edited as multiple files, which is the case when the host
+         * provides a way to upload them
+         * @returns {boolean}
+         */
+        function isMultiFileAvailable() {
+            return Boolean(ctrl.allowMultipleFiles) && angular.isFunction(ctrl.uploadSourceArchive);
+        }
+
+        /**
+         * Changes the source files, and uploads them
+         * @param {Array.<{path: string, content: string}>} files - the files
+         */
+        function setFiles(files) {
+            ctrl.files = files;
+
+            storeSourceFiles();
+        }
+
+        /**
+         * Switches between editing a single source file and editing multiple source files. When switching to a
+         * single file, only the file containing the handler is kept, after confirmation in case there are other
+         * files, and the function is deployed from its source code again.
+         * @returns {Promise} a promise resolved once switched
+         */
+        function toggleMultiFile() {
+            var entryFile = lodash.defaultTo(lodash.find(ctrl.files, ['path', ctrl.entryPath]), lodash.head(ctrl.files));
+
+            if (!ctrl.isMultiFile) {
+                ctrl.isMultiFile = true;
+                ctrl.entryPath = getEntryPath();
+                ctrl.files = [{
+                    path: ctrl.entryPath,
+                    content: ctrl.sourceCode
+                }];
+                lodash.set(ctrl.version, 'ui.sourceFiles', { previousCodeEntry: getCodeEntry() });
+
+                storeSourceFiles();
+
+                return $q.when();
+            }
+
+            return (ctrl.files.length > 1 ? DialogsService.confirm(
+                translate('functions:SOURCE_FILES.SINGLE_FILE_CONFIRM', { path: lodash.get(entryFile, 'path') }),
+                translate('common:YES'),
+                translate('common:CANCEL'),
+                'nuclio_alert'
+            ) : $q.when())
+                .then(function () {
+                    var build = lodash.get(ctrl.version, 'spec.build');
+
+                    $timeout.cancel(uploadTimer);
+                    uploadCount++;
+
+                    lodash.forEach(['codeEntryType', 'path', 'codeEntryAttributes'], lodash.partial(lodash.unset, build));
+                    lodash.assign(build, lodash.get(ctrl.version, 'ui.sourceFiles.previousCodeEntry'));
+                    lodash.unset(ctrl.version, 'ui.sourceFiles');
+
+                    ctrl.isMultiFile = false;
+                    ctrl.files = [];
+                    ctrl.upload = {
+                        isInProgress: false,
+                        error: ''
+                    };
+                    setDeployDisabled(false);
+
+                    ctrl.onChangeSourceCode({ sourceCode: lodash.get(entryFile, 'content', '') });
+                });
+        }
+
+        /**
+         * Packs the source files into a zip archive and uploads it, then deploys the function from the uploaded
+         * archive. A newer upload (or switching to a single file) discards the result of a pending one.
+         * @returns {Promise} a promise resolved once the archive is uploaded, or once the upload failed (the error
+         *     message is set to `upload.error` then)
+         */
+        function uploadArchive() {
+            var count = ++uploadCount;
+            var archive = new Blob([SourceFilesService.createArchive(ctrl.files)], { type: 'application/zip' });
+
+            ctrl.upload = {
+                isInProgress: true,
+                error: ''
+            };
+            setDeployDisabled(true);
+
+            return $q.when(ctrl.uploadSourceArchive({ archive: archive, version: ctrl.version }))
+                .then(function (codeEntry) {
+                    if (count === uploadCount) {
+                        codeEntry = lodash.defaults({}, codeEntry, { codeEntryType: 'archive' });
+
+                        lodash.set(ctrl.version, 'ui.sourceFiles.codeEntry', codeEntry);
+                        ctrl.upload.isInProgress = false;
+
+                        setCodeEntry(codeEntry);
+                    }
+                })
+                .catch(function (error) {
+                    if (count === uploadCount) {
+                        ctrl.upload = {
+                            isInProgress: false,
+                            error: lodash.get(error, 'data.error', translate('functions:SOURCE_FILES.UPLOAD_FAILED'))
+                        };
+                    }
+                });
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Gets the code entry the function is deployed from, out of its build spec
+         * @returns {Object} the code entry
+         */
+        function getCodeEntry() {
+            return lodash.chain(ctrl.version)
+                .get('spec.build', {})
+                .pick(['codeEntryType', 'path', 'codeEntryAttributes'])
+                .cloneDeep()
+                .value();
+        }
+
+        /**
+         * Gets the path of the file containing the handler, according to the handler and the runtime
+         * @returns {string} the path (e.g. `'main.py'`)
+         */
+        function getEntryPath() {
+            return SourceFilesService.getEntryPath(ctrl.handler, lodash.get(ctrl.runtime, 'ext', 'txt'));
+        }
+
+        /**
+         * Deploys the function from the uploaded archive, or uploads the source files again in case they were not
+         * uploaded yet
+         */
+        function restore() {
+            var codeEntry = lodash.get(ctrl.version, 'ui.sourceFiles.codeEntry');
+
+            if (lodash.isNil(codeEntry)) {
+                scheduleUpload();
+            } else {
+                setCodeEntry(codeEntry);
+            }
+        }
+
+        /**
+         * Schedules the upload of the source files archive, and disables the "Deploy" button until it is uploaded
+         */
+        function scheduleUpload() {
+            $timeout.cancel(uploadTimer);
+            uploadCount++;
+
+            ctrl.upload = {
+                isInProgress: true,
+                error: ''
+            };
+            setDeployDisabled(true);
+
+            uploadTimer = $timeout(uploadArchive, UPLOAD_DEBOUNCE);
+        }
+
+        /**
+         * Sets the code entry the function is deployed from. The code entry attributes are merged into the current
+         * ones, so attributes that are not related to the code entry (e.g. the work directory) are kept.
+         * @param {Object} codeEntry - the code entry
+         */
+        function setCodeEntry(codeEntry) {
+            var build = lodash.get(ctrl.version, 'spec.build');
+
+            lodash.unset(build, 'path');
+            lodash.unset(build, 'functionSourceCode');
+            lodash.assign(build, lodash.omit(codeEntry, 'codeEntryAttributes'), {
+                codeEntryAttributes: lodash.assign({}, build.codeEntryAttributes, codeEntry.codeEntryAttributes)
+            });
+
+            setDeployDisabled(false);
+            VersionHelperService.updateIsVersionChanged(ctrl.version);
+        }
+
+        /**
+         * Enables or disables the "Deploy" button
+         * @param {boolean} isDisabled - `true` to disable the button
+         */
+        function setDeployDisabled(isDisabled) {
+            $rootScope.$broadcast('change-state-deploy-button', { component: 'code', isDisabled: isDisabled });
+        }
+
+        /**
+         * Stores the source files of the function, then schedules the upload of the files. The file containing the
+         * handler is kept as the source code to edit in case of switching back to a single file, but not as the
+         * source code to deploy, as it would take precedence over the uploaded archive.
+         */
+        function storeSourceFiles() {
+            var entryFile = lodash.find(ctrl.files, ['path', ctrl.entryPath]);
+
+            lodash.unset(ctrl.version, 'spec.build.functionSourceCode');
+            lodash.set(ctrl.version, 'ui.versionCode', Base64.encode(lodash.get(entryFile, 'content', '')));
+            lodash.assign(lodash.get(ctrl.version, 'ui.sourceFiles'), {
+                files: ctrl.files,
+                codeEntry: null
+            });
+
+            VersionHelperService.updateIsVersionChanged(ctrl.version);
+            updateHandlerIssue();
+            scheduleUpload();
+        }
+
+        /**
+         * Translates a message
+         * @param {string} key - the key of the message
+         * @param {Object} [params] - the interpolation params of the message
+         * @returns {string} the translated message
+         */
+        function translate(key, params) {
+            return $i18next.t(key, lodash.assign({
+                lng: lng,
+                interpolation: {
+                    escapeValue: false
+                }
+            }, params));
+        }
+
+        /**
+         * Checks that the handler is defined in the source code of the file containing the handler
+         */
+        function updateHandlerIssue() {
+            var entrySource = !ctrl.isMultiFile ? ctrl.sourceCode :
+                lodash.get(lodash.find(ctrl.files, ['path', ctrl.entryPath]), 'content');
+
+            ctrl.handlerIssue = !lodash.isString(entrySource) ? null :
+                NuclioSdkService.getHandlerIssue(lodash.get(ctrl.runtime, 'language'), entrySource, ctrl.handler);
+        }
+    }
+}());
@@ -0,0 +1,364 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclVersionCodeSource component: ', function () {
+    var $componentController;
+    var $q;
+    var $rootScope;
+    var $timeout;
+    var Base64;
+    var DialogsService;
+    var NuclioSdkService;
+    var VersionHelperService;
+    var lodash;
+    var ctrl;
+    var version;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$q_, _$rootScope_, _$timeout_, _Base64_, _DialogsService_,
+                         _NuclioSdkService_, _VersionHelperService_, _lodash_) {
+            $componentController = _$componentController_;
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
+            Base64 = _Base64_;
+            DialogsService = _DialogsService_;
+            NuclioSdkService = _NuclioSdkService_;
+            VersionHelperService = _VersionHelperService_;
+            lodash = _lodash_;
+        });
+
+        spyOn($rootScope, '$broadcast').and.callThrough();
+        spyOn(NuclioSdkService, 'getHandlerIssue').and.returnValue(null);
+        spyOn(VersionHelperService, 'updateIsVersionChanged');
+
+        version = {
+            spec: {
+                handler: 'main:handler',
+                build: {
+                    codeEntryType: 'sourceCode',
+                    functionSourceCode: Base64.encode('def handler(context, event):\n    pass\n'),
+                    codeEntryAttributes: {
+                        workDir: '/src'
+                    }
+                }
+            },
+            ui: {}
+        };
+
+        ctrl = createController();
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $q = null;
+        $rootScope = null;
+        $timeout = null;
+        Base64 = null;
+        DialogsService = null;
+        NuclioSdkService = null;
+        VersionHelperService = null;
+        lodash = null;
+        ctrl = null;
+        version = null;
+    });
+
+    /**
+     * Creates the controller of the component, and initializes it like it is initialized when rendered
+     * @returns {Object} the controller
+     */
+    function createController() {
+        var bindings = {
+            version: version,
+            sourceCode: 'def handler(context, event):\n    pass\n',
+            handler: version.spec.handler,
+            runtime: { language: 'python', ext: 'py' },
+            allowMultipleFiles: true,
+            onChangeSourceCode: jasmine.createSpy('onChangeSourceCode'),
+            onSelectHandler: jasmine.createSpy('onSelectHandler'),
+            uploadSourceArchive: jasmine.createSpy('uploadSourceArchive').and.returnValue($q.when({
+                codeEntryType: 's3',
+                path: '',
+                codeEntryAttributes: {
+                    s3Bucket: 'functions',
+                    s3ItemKey: 'my-function.zip'
+                }
+            }))
+        };
+        var controller = $componentController('nclVersionCodeSource', null, bindings);
+
+        controller.$onChanges(lodash.mapValues(bindings, function (value) {
+            return {
+                currentValue: value,
+                isFirstChange: lodash.constant(true)
+            };
+        }));
+        controller.$onInit();
+
+        return controller;
+    }
+
+    /**
+     * Checks whether the last state the "Deploy" button was set to is disabled
+     * @returns {boolean} `true` in case the button is disabled
+     */
+    function isDeployDisabled() {
+        return lodash.chain($rootScope.$broadcast.calls.allArgs())
+            .filter(['0', 'change-state-deploy-button'])
+            .last()
+            .get('1.isDisabled')
+            .value();
+    }
+
+    describe('$onChanges(): ', function () {
+        it('should restore the source files of the function', function () {
+            var files = [{ path: 'main.py', content: 'pass\n' }];
+
+            version.ui.sourceFiles = { files: files };
+            ctrl.$onChanges({ version: { currentValue: version } });
+
+            expect(ctrl.isMultiFile).toBeTruthy();
+            expect(ctrl.files).toEqual(files);
+            expect(ctrl.entryPath).toEqual('main.py');
+        });
+
+        it('should reset the source files of a function with a single source file', function () {
+            expect(ctrl.isMultiFile).toBeFalsy();
+            expect(ctrl.files).toEqual([]);
+        });
+
+        it('should upload the files again once the handler is moved to another file', function () {
+            ctrl.toggleMultiFile();
+            $timeout.flush();
+
+            ctrl.handler = 'handlers:handler';
+            ctrl.$onChanges({ handler: { currentValue: ctrl.handler } });
+
+            expect(ctrl.entryPath).toEqual('handlers.py');
+            expect(isDeployDisabled()).toBeTruthy();
+
+            $timeout.flush();
+
+            expect(ctrl.uploadSourceArchive.calls.count()).toEqual(2);
+        });
+    });
+
+    describe('$onDestroy(): ', function () {
+        it('should discard the pending upload', function () {
+            ctrl.toggleMultiFile();
+            ctrl.$onDestroy();
+
+            $timeout.verifyNoPendingTasks();
+            expect(ctrl.uploadSourceArchive).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isMultiFileAvailable(): ', function () {
+        it('should return `true` only if the host could upload the source files', function () {
+            expect(ctrl.isMultiFileAvailable()).toBeTruthy();
+
+            ctrl.allowMultipleFiles = false;
+
+            expect(ctrl.isMultiFileAvailable()).toBeFalsy();
+        });
+    });
+
+    describe('toggleMultiFile(): ', function () {
+        it('should upload the source files and deploy the function from the uploaded archive', function () {
+            ctrl.toggleMultiFile();
+
+            expect(ctrl.isMultiFile).toBeTruthy();
+            expect(ctrl.files).toEqual([{ path: 'main.py', content: ctrl.sourceCode }]);
+            expect(ctrl.upload.isInProgress).toBeTruthy();
+            expect(isDeployDisabled()).toBeTruthy();
+            expect(ctrl.uploadSourceArchive).not.toHaveBeenCalled();
+
+            $timeout.flush();
+
+            expect(ctrl.uploadSourceArchive).toHaveBeenCalledWith({
+                archive: jasmine.any(Blob),
+                version: version
+            });
+            expect(version.spec.build).toEqual({
+                codeEntryType: 's3',
+                path: '',
+                codeEntryAttributes: {
+                    workDir: '/src',
+                    s3Bucket: 'functions',
+                    s3ItemKey: 'my-function.zip'
+                }
+            });
+            expect(version.ui.versionCode).toEqual(Base64.encode(ctrl.sourceCode));
+            expect(ctrl.upload).toEqual({ isInProgress: false, error: '' });
+            expect(isDeployDisabled()).toBeFalsy();
+        });
+
+        it('should default the code entry type to `archive`', function () {
+            ctrl.uploadSourceArchive.and.returnValue($q.when({ path: 'https://files/my-function.zip' }));
+
+            ctrl.toggleMultiFile();
+            $timeout.flush();
+
+            expect(version.spec.build.codeEntryType).toEqual('archive');
+            expect(version.spec.build.path).toEqual('https://files/my-function.zip');
+        });
+
+        it('should switch back to a single file containing the handler after confirmation', function () {
+            spyOn(DialogsService, 'confirm').and.returnValue($q.when());
+
+            ctrl.toggleMultiFile();
+            ctrl.setFiles([
+                { path: 'main.py', content: 'import utils\n' },
+                { path: 'utils.py', content: '' }
+            ]);
+            ctrl.toggleMultiFile();
+            $rootScope.$digest();
+
+            expect(DialogsService.confirm).toHaveBeenCalled();
+            expect(ctrl.isMultiFile).toBeFalsy();
+            expect(version.spec.build).toEqual({
+                codeEntryType: 'sourceCode',
+                codeEntryAttributes: {
+                    workDir: '/src'
+                }
+            });
+            expect(version.ui.sourceFiles).toBeUndefined();
+            expect(ctrl.onChangeSourceCode).toHaveBeenCalledWith({ sourceCode: 'import utils\n' });
+            expect(isDeployDisabled()).toBeFalsy();
+
+            // the pending upload is discarded
+            $timeout.flush();
+
+            expect(ctrl.uploadSourceArchive).not.toHaveBeenCalled();
+        });
+
+        it('should keep the files if switching back to a single file is not confirmed', function () {
+            spyOn(DialogsService, 'confirm').and.returnValue($q.reject());
+
+            ctrl.toggleMultiFile();
+            ctrl.setFiles([
+                { path: 'main.py', content: '' },
+                { path: 'utils.py', content: '' }
+            ]);
+            ctrl.toggleMultiFile();
+            $rootScope.$digest();
+
+            expect(ctrl.isMultiFile).toBeTruthy();
+            expect(ctrl.files.length).toEqual(2);
+        });
+    });
+
+    describe('setFiles(): ', function () {
+        beforeEach(function () {
+            ctrl.toggleMultiFile();
+            $timeout.flush();
+        });
+
+        it('should upload the changed files once', function () {
+            ctrl.setFiles([{ path: 'main.py', content: 'a' }]);
+            ctrl.setFiles([{ path: 'main.py', content: 'ab' }]);
+
+            expect(isDeployDisabled()).toBeTruthy();
+
+            $timeout.flush();
+
+            expect(ctrl.uploadSourceArchive.calls.count()).toEqual(2);
+            expect(version.ui.versionCode).toEqual(Base64.encode('ab'));
+            expect(version.spec.build.functionSourceCode).toBeUndefined();
+            expect(isDeployDisabled()).toBeFalsy();
+        });
+
+        it('should keep the "Deploy" button disabled if the upload failed', function () {
+            ctrl.uploadSourceArchive.and.returnValue($q.reject({ data: { error: 'Bucket not found' } }));
+
+            ctrl.setFiles([{ path: 'main.py', content: 'a' }]);
+            $timeout.flush();
+
+            expect(ctrl.upload).toEqual({ isInProgress: false, error: 'Bucket not found' });
+            expect(isDeployDisabled()).toBeTruthy();
+
+            ctrl.uploadSourceArchive.and.returnValue($q.when({ path: 'https://files/my-function.zip' }));
+            ctrl.uploadArchive();
+            $rootScope.$digest();
+
+            expect(ctrl.upload.error).toEqual('');
+            expect(isDeployDisabled()).toBeFalsy();
+        });
+    });
+
+    describe('$onInit(): ', function () {
+        it('should deploy the function from the uploaded archive again', function () {
+            ctrl.toggleMultiFile();
+            $timeout.flush();
+
+            version.spec.build = {
+                codeEntryType: 'sourceCode',
+                functionSourceCode: version.ui.versionCode
+            };
+            createController();
+
+            expect(version.spec.build).toEqual({
+                codeEntryType: 's3',
+                path: '',
+                codeEntryAttributes: {
+                    s3Bucket: 'functions',
+                    s3ItemKey: 'my-function.zip'
+                }
+            });
+        });
+    });
+
+    describe('applyEdit(), handler check: ', function () {
+        it('should check the handler in the file containing it', function () {
+            ctrl.toggleMultiFile();
+            ctrl.setFiles([
+                { path: 'main.py', content: 'pass\n' },
+                { path: 'utils.py', content: '' }
+            ]);
+
+            expect(NuclioSdkService.getHandlerIssue).toHaveBeenCalledWith('python', 'pass\n', 'main:handler');
+        });
+
+        it('should check the handler again once the source code changes', function () {
+            ctrl.sourceCode = 'pass\n';
+            ctrl.$onChanges({ sourceCode: { currentValue: ctrl.sourceCode } });
+
+            expect(NuclioSdkService.getHandlerIssue).toHaveBeenCalledWith('python', 'pass\n', 'main:handler');
+        });
+
+        it('should apply an edit to the file containing the handler', function () {
+            spyOn(NuclioSdkService, 'applyEdit').and.returnValue('fixed');
+
+            ctrl.applyEdit({});
+
+            expect(ctrl.onChangeSourceCode).toHaveBeenCalledWith({ sourceCode: 'fixed' });
+
+            ctrl.toggleMultiFile();
+            ctrl.setFiles([
+                { path: 'main.py', content: 'pass\n' },
+                { path: 'utils.py', content: '' }
+            ]);
+            ctrl.applyEdit({});
+
+            expect(ctrl.files).toEqual([
+                { path: 'main.py', content: 'fixed' },
+                { path: 'utils.py', content: '' }
+            ]);
+        });
+    });
+});
@@ -21,14 +21,17 @@ such restriction.
         .component('nclVersionCode', {
             bindings: {
                 version: '<',
-                isFunctionDeploying: '&'
+                isFunctionDeploying: '&',
+                listGitRefs: '&?',
+                listTree: '&?',
+                uploadSourceArchive: '&?'
             },
             templateUrl: 'nuclio/functions/version/version-code/version-code.tpl.html',
             controller: NclVersionCodeController
         });
 
     function NclVersionCodeController($element, $rootScope, $scope, $timeout, $window, $i18next, i18next, lodash,
-                                      Base64, ConfigService, DialogsService, VersionHelperService) {
+                                      Base64, CodeEntryService, ConfigService, DialogsService, VersionHelperService) {
         var ctrl = this;
         var scrollContainer = null;
         var previousEntryType = null;
@@ -192,7 +195,9 @@ such restriction.
         ctrl.$postLink = postLink;
         ctrl.$onChanges = onChanges;
 
+        ctrl.getRefSuggestions = getRefSuggestions;
         ctrl.isDemoMode = ConfigService.isDemoMode;
+        ctrl.isRefBrowsingEnabled = isRefBrowsingEnabled;
         ctrl.inputValueCallback = inputValueCallback;
         ctrl.onChangeGithubToken = onChangeGithubToken;
         ctrl.onChangeSourceCode = onChangeSourceCode;
@@ -237,7 +242,10 @@ such restriction.
                     lodash.set(ctrl.version, 'ui.versionCode', sourceCode);
                 }
 
-                if (lodash.has(ctrl.version, 'spec.build.codeEntryType')) {
+                // a function with multiple source files is deployed from their uploaded archive
+                if (lodash.has(ctrl.version, 'ui.sourceFiles')) {
+                    ctrl.selectedEntryType = ctrl.codeEntryTypeArray[0];
+                } else if (lodash.has(ctrl.version, 'spec.build.codeEntryType')) {
                     ctrl.selectedEntryType = lodash.find(ctrl.codeEntryTypeArray, ['id', ctrl.version.spec.build.codeEntryType]);
                     if (ctrl.selectedEntryType.id === 'github') {
                         ctrl.githubToken = lodash.chain(ctrl.version.spec.build)
@@ -262,6 +270,28 @@ such restriction.
         // Public methods
         //
 
+        /**
+         * Gets the branches or tags of the repository matching the entered text, to suggest in the branch and tag
+         * fields
+         * @param {string} input - the entered text
+         * @param {string} type - `'branches'` or `'tags'`
+         * @returns {Promise.<{suggestions: Array.<Object>, more: boolean}>} the suggestions (none in case the
+         *     repository could not be listed)
+         */
+        function getRefSuggestions(input, type) {
+            return CodeEntryService.getRefSuggestions(ctrl.listGitRefs, CodeEntryService.getSource(ctrl.version), type,
+                                                      input);
+        }
+
+        /**
+         * Tests whether the branches and tags of the repository could be listed
+         * @returns {boolean} `true` in case the host supplied the `listGitRefs` callback and the code is downloaded
+         *     from a repository, or `false` otherwise
+         */
+        function isRefBrowsingEnabled() {
+            return angular.isFunction(ctrl.listGitRefs) && CodeEntryService.isGitType(ctrl.selectedEntryType.id);
+        }
+
         /**
          * Sets new value to entity type and prepares the relevant fields for this type.
          * @param {Object} item - the selected option of "Code Entry Type" drop-down field.
@@ -300,7 +330,7 @@ such restriction.
             } else {
 
                 // preserve source code (for later using it if the user selects "Edit Online" option)
-                if (previousEntryType.id === 'sourceCode') {
+                if (previousEntryType.id === 'sourceCode' && !lodash.has(ctrl.version, 'ui.sourceFiles')) {
                     lodash.set(ctrl.version, 'ui.versionCode', functionSourceCode);
                 }
 
@@ -338,6 +368,10 @@ such restriction.
             VersionHelperService.updateIsVersionChanged(ctrl.version);
         }
 
+        /**
+         * Sets the GitHub access token
+         * @param {string} newData - the token
+         */
         function onChangeGithubToken(newData) {
             ctrl.githubToken = newData;
             lodash.unset(ctrl.version, 'spec.build.codeEntryAttributes.headers.authorization');
@@ -663,5 +697,6 @@ such restriction.
 
             resizeScrollBar(null, 300);
         }
+
     }
 }());
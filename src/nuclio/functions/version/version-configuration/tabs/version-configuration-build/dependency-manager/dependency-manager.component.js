@@ -0,0 +1,324 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclDependencyManager
+     * @description
+     * Edits the packages installed on build by the package manager of the runtime (pip, npm or go) as a list of rows
+     * with name and version, or as the text of `requirements.txt`, `package.json` or `go.mod`. The packages are kept
+     * in the build commands: commands installing packages are parsed into the list, and replaced by commands installing
+     * the packages of the list on every change (one command for each installer and flags, @see
+     * {@link DependenciesService.updateCommands}).
+     *
+     * @param {string} runtime - the runtime of the function.
+     * @param {Array.<string>} [commands] - the build commands.
+     * @param {boolean} [readOnly=false] - set to `true` to prevent changes.
+     * @param {function} onChange - called with `commands` (the new build commands) on every change.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclDependencyManager', {
+            bindings: {
+                runtime: '<',
+                commands: '<?',
+                readOnly: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-build/dependency-manager/dependency-manager.tpl.html',
+            controller: NclDependencyManagerController
+        });
+
+    function NclDependencyManagerController($element, $i18next, $q, i18next, lodash, DependenciesService,
+                                            DialogsService) {
+        var ctrl = this;
+        var lng = i18next.language;
+        var lastCommands = null;
+
+        ctrl.duplicates = [];
+        ctrl.format = null;
+        ctrl.installer = '';
+        ctrl.isTextMode = false;
+        ctrl.manifestErrors = [];
+        ctrl.manifestName = '';
+        ctrl.manifestText = '';
+        ctrl.patterns = {};
+        ctrl.rows = [];
+
+        ctrl.$onChanges = onChanges;
+        ctrl.$postLink = postLink;
+        ctrl.$onDestroy = onDestroy;
+
+        ctrl.addRow = addRow;
+        ctrl.canPin = canPin;
+        ctrl.canPinAll = canPinAll;
+        ctrl.isDuplicate = isDuplicate;
+        ctrl.isUnpinned = isUnpinned;
+        ctrl.onFieldChange = onFieldChange;
+        ctrl.onManifestChange = onManifestChange;
+        ctrl.pinAll = pinAll;
+        ctrl.pinRow = pinRow;
+        ctrl.removeRow = removeRow;
+        ctrl.toggleTextMode = toggleTextMode;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.runtime)) {
+                ctrl.format = DependenciesService.getFormat(ctrl.runtime);
+
+                if (ctrl.format !== null) {
+                    ctrl.installer = DependenciesService.formatCommand(ctrl.format, []);
+                    ctrl.manifestName = DependenciesService.getManifestName(ctrl.format);
+                    ctrl.patterns = DependenciesService.getPatterns(ctrl.format);
+                }
+            }
+
+            // commands emitted by this component are already reflected by the rows, which could also have rows that
+            // are not in the commands yet (e.g. a new row without a name)
+            if (ctrl.format !== null && (angular.isDefined(changes.runtime) ||
+                !lodash.isEqual(lodash.defaultTo(ctrl.commands, []), lastCommands))) {
+                ctrl.rows = DependenciesService.parseCommands(ctrl.format, ctrl.commands).dependencies;
+                ctrl.manifestErrors = [];
+                lastCommands = lodash.defaultTo(ctrl.commands, []);
+
+                updateDuplicates();
+                updateManifestText();
+            }
+        }
+
+        /**
+         * Post linking method
+         */
+        function postLink() {
+            $element.find('.dependency-manager-upload-input').on('change', onFileSelected);
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            $element.find('.dependency-manager-upload-input').off('change', onFileSelected);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds an empty row
+         */
+        function addRow() {
+            if (!ctrl.readOnly) {
+                ctrl.rows.push({
+                    name: '',
+                    version: ''
+                });
+
+                update();
+            }
+        }
+
+        /**
+         * Tests whether the version of a row could be pinned
+         * @param {Object} row - the row
+         * @returns {boolean} `true` in case the version of the row could be pinned, or `false` otherwise
+         */
+        function canPin(row) {
+            return isUnpinned(row) && DependenciesService.pin(ctrl.format, row.version) !== null;
+        }
+
+        /**
+         * Tests whether the version of any row could be pinned
+         * @returns {boolean} `true` in case the version of any row could be pinned, or `false` otherwise
+         */
+        function canPinAll() {
+            return lodash.some(ctrl.rows, canPin);
+        }
+
+        /**
+         * Tests whether the package of a row is listed more than once
+         * @param {Object} row - the row
+         * @returns {boolean} `true` in case the package is a duplicate, or `false` otherwise
+         */
+        function isDuplicate(row) {
+            return lodash.includes(ctrl.duplicates, row);
+        }
+
+        /**
+         * Tests whether the version of a row may change between builds
+         * @param {Object} row - the row
+         * @returns {boolean} `true` in case the row has a name and its version is not pinned, or `false` otherwise
+         */
+        function isUnpinned(row) {
+            return row.name !== '' && !DependenciesService.isPinned(ctrl.format, row.version);
+        }
+
+        /**
+         * Updates a field of a row
+         * @param {Object} row - the row
+         * @param {string} field - the field (`'name'` or `'version'`)
+         * @param {string} value - the new value
+         */
+        function onFieldChange(row, field, value) {
+            row[field] = lodash.trim(value);
+
+            update();
+        }
+
+        /**
+         * Replaces the rows with the packages of the edited file
+         * @param {string} text - the content of the file
+         */
+        function onManifestChange(text) {
+            var result = DependenciesService.parseManifest(ctrl.format, lodash.defaultTo(text, ''));
+
+            ctrl.manifestText = text;
+            ctrl.manifestErrors = result.errors;
+            ctrl.rows = result.dependencies;
+
+            update();
+        }
+
+        /**
+         * Pins the versions of all the rows that could be pinned
+         */
+        function pinAll() {
+            lodash.forEach(lodash.filter(ctrl.rows, canPin), function (row) {
+                row.version = DependenciesService.pin(ctrl.format, row.version);
+            });
+
+            update();
+            updateManifestText();
+        }
+
+        /**
+         * Pins the version of a row
+         * @param {Object} row - the row
+         */
+        function pinRow(row) {
+            row.version = DependenciesService.pin(ctrl.format, row.version);
+
+            update();
+        }
+
+        /**
+         * Removes a row
+         * @param {number} index - the index of the row
+         */
+        function removeRow(index) {
+            ctrl.rows.splice(index, 1);
+
+            update();
+        }
+
+        /**
+         * Switches between editing the list and editing the file
+         */
+        function toggleTextMode() {
+            ctrl.isTextMode = !ctrl.isTextMode;
+
+            updateManifestText();
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Tests whether the name and the version of a row are valid
+         * @param {Object} row - the row
+         * @returns {boolean} `true` in case the row is valid, or `false` otherwise
+         */
+        function isValidRow(row) {
+            return ctrl.patterns.name.test(row.name) && (row.version === '' || ctrl.patterns.version.test(row.version));
+        }
+
+        /**
+         * Replaces the rows with the packages of the file selected for upload
+         * @param {Event} event - the `change` event of the file input
+         */
+        function onFileSelected(event) {
+            var file = lodash.get(event, 'target.files[0]');
+
+            if (angular.isDefined(file)) {
+                readFile(file)
+                    .then(onManifestChange)
+                    .then(updateManifestText)
+                    .catch(function () {
+                        DialogsService.alert($i18next.t('functions:ERROR_MSG.COULD_NOT_READ_FILE', { lng: lng }));
+                    });
+            }
+
+            event.target.value = '';
+        }
+
+        /**
+         * Reads an uploaded file
+         * @param {File} file - the file
+         * @returns {Promise.<string>} the content of the file
+         */
+        function readFile(file) {
+            return $q(function (resolve, reject) {
+                var reader = new FileReader();
+
+                reader.onload = function () {
+                    resolve(reader.result);
+                };
+                reader.onerror = reject;
+                reader.readAsText(file);
+            });
+        }
+
+        /**
+         * Replaces the commands installing packages with commands installing the packages of the valid rows, and
+         * emits the new commands. Invalid rows are left out, and invalidate the form until they are fixed or removed,
+         * so the commands are emitted even when unchanged to let the parent re-check the validity of its form
+         */
+        function update() {
+            var commands = DependenciesService.updateCommands(ctrl.format, lodash.defaultTo(ctrl.commands, []),
+                                                              lodash.filter(ctrl.rows, isValidRow));
+
+            lastCommands = commands;
+            updateDuplicates();
+
+            ctrl.onChange({ commands: commands });
+        }
+
+        /**
+         * Updates the duplicate rows
+         */
+        function updateDuplicates() {
+            ctrl.duplicates = DependenciesService.getDuplicates(ctrl.format, ctrl.rows);
+        }
+
+        /**
+         * Updates the text of the file from the rows
+         */
+        function updateManifestText() {
+            if (ctrl.isTextMode) {
+                ctrl.manifestText = DependenciesService.toManifest(ctrl.format, ctrl.rows);
+            }
+        }
+    }
+}());
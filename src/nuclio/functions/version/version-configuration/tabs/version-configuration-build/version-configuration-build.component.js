@@ -29,7 +29,8 @@ such restriction.
         });
 
     function NclVersionConfigurationBuildController($rootScope, $scope, $timeout, $i18next, i18next, lodash, ngDialog,
-                                                    Upload, ConfigService, FunctionsService, ValidationService) {
+                                                    Upload, ConfigService, DependenciesService, FunctionsService,
+                                                    ValidationService) {
         var ctrl = this;
         var lng = i18next.language;
         var uploadType = '';
@@ -53,6 +54,7 @@ such restriction.
             name: ''
         };
         ctrl.disabled = true;
+        ctrl.hasDependencyManager = false;
         ctrl.platformKindIsKube = false;
         ctrl.onBuildImageDescription = '';
 
@@ -71,6 +73,7 @@ such restriction.
         ctrl.getFileConfig = getFileConfig;
         ctrl.inputValueCallback = inputValueCallback;
         ctrl.isDemoMode = ConfigService.isDemoMode;
+        ctrl.onChangeDependencies = onChangeDependencies;
         ctrl.onFireAction = onFireAction;
         ctrl.uploadFile = uploadFile;
 
@@ -99,6 +102,7 @@ such restriction.
         function onChanges(changes) {
             if (angular.isDefined(changes.version)) {
                 ctrl.disabled = lodash.get(ctrl.version, 'spec.build.codeEntryType') === 'image';
+                ctrl.hasDependencyManager = DependenciesService.getFormat(lodash.get(ctrl.version, 'spec.runtime')) !== null;
                 ctrl.build.commands = lodash.get(ctrl.version, 'spec.build.commands', []);
                 ctrl.build.commands = ctrl.build.commands.join('\n').replace(/''/g, '\'');
 
@@ -181,6 +185,14 @@ such restriction.
             return ctrl[uploadType];
         }
 
+        /**
+         * Updates the build commands with the commands emitted by the dependency manager
+         * @param {Array.<string>} commands - the new build commands
+         */
+        function onChangeDependencies(commands) {
+            inputValueCallback(commands.join('\n'), 'commands');
+        }
+
         /**
          * According to given action name calls proper action handler
          * @param {string} fileType - a type of uploading file
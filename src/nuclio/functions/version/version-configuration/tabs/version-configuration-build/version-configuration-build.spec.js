@@ -93,6 +93,23 @@ describe('nclVersionConfigurationBuild component:', function () {
         });
     });
 
+    describe('onChangeDependencies(): ', function () {
+        it('should set the commands emitted by the dependency manager to spec.build.commands property', function () {
+            ctrl.version = {
+                spec: {
+                    build: {
+                        commands: ['apt-get update']
+                    }
+                }
+            };
+
+            ctrl.onChangeDependencies(['apt-get update', 'pip install requests==2.31.0']);
+
+            expect(ctrl.version.spec.build.commands).toEqual(['apt-get update', 'pip install requests==2.31.0']);
+            expect(ctrl.build.commands).toEqual('apt-get update\npip install requests==2.31.0');
+        });
+    });
+
     describe('onFireAction(): ', function () {
         it('should set upload type to ctrl.uploadType', function () {
             var type = 'file';
@@ -0,0 +1,128 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclEnvironmentVariablesExportDialog
+     * @description
+     * Exports the environment variables of a function as a `.env` file, a JSON object or a YAML map. The values of
+     * sensitive variables are masked by default.
+     *
+     * @param {function} closeDialog - closes the dialog.
+     * @param {string} fileName - the name of the downloaded file (without extension).
+     * @param {Array.<Object>} variables - the environment variables of the function.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclEnvironmentVariablesExportDialog', {
+            bindings: {
+                closeDialog: '&',
+                fileName: '<',
+                variables: '<'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-environment-variables/environment-variables-export-dialog/environment-variables-export-dialog.tpl.html',
+            controller: NclEnvironmentVariablesExportDialogController
+        });
+
+    function NclEnvironmentVariablesExportDialogController($window, lodash, EnvironmentVariablesService,
+                                                           ExportService) {
+        var ctrl = this;
+        var FILE_EXTENSIONS = {
+            env: '.env',
+            json: '.json',
+            yaml: '.yaml'
+        };
+        var MIME_TYPES = {
+            env: 'text/plain',
+            json: 'application/json',
+            yaml: 'application/x-yaml'
+        };
+
+        ctrl.content = '';
+        ctrl.format = 'env';
+        ctrl.formatsList = [
+            {
+                id: 'env',
+                name: '.env'
+            },
+            {
+                id: 'json',
+                name: 'JSON'
+            },
+            {
+                id: 'yaml',
+                name: 'YAML'
+            }
+        ];
+        ctrl.maskSensitiveValues = true;
+
+        ctrl.$onInit = onInit;
+
+        ctrl.download = download;
+        ctrl.onClose = onClose;
+        ctrl.onFormatChange = onFormatChange;
+        ctrl.updateContent = updateContent;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            ctrl.updateContent();
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Downloads the exported environment variables as a file
+         */
+        function download() {
+            var fileName = lodash.defaultTo(ctrl.fileName, 'environment-variables') + FILE_EXTENSIONS[ctrl.format];
+
+            ExportService.downloadFile(new $window.Blob([ctrl.content], {type: MIME_TYPES[ctrl.format]}), fileName);
+        }
+
+        /**
+         * Closes the dialog
+         */
+        function onClose() {
+            ctrl.closeDialog();
+        }
+
+        /**
+         * Sets the format to export the variables in
+         * @param {Object} item - the selected item of the formats drop-down
+         */
+        function onFormatChange(item) {
+            ctrl.format = item.id;
+            ctrl.updateContent();
+        }
+
+        /**
+         * Converts the variables to text in the selected format
+         */
+        function updateContent() {
+            ctrl.content = EnvironmentVariablesService.stringifyVariables(ctrl.variables, ctrl.format,
+                                                                          ctrl.maskSensitiveValues);
+        }
+    }
+}());
@@ -0,0 +1,316 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclEnvironmentVariablesImportDialog
+     * @description
+     * Imports environment variables in bulk from a `.env` file, a JSON object or a YAML map, either pasted or read
+     * from a (dropped or browsed) file. Shows a preview of the imported variables, where duplicate names and names
+     * that are invalid according to the `k8s.envVarName` validation rule are marked and skipped.
+     *
+     * @param {function} closeDialog - closes the dialog; called with `value` of `{variables}` where `variables` is the
+     *     merged list of environment variables, or with no `value` if the dialog was closed without importing.
+     * @param {Array.<Object>} variables - the current environment variables of the function.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclEnvironmentVariablesImportDialog', {
+            bindings: {
+                closeDialog: '&',
+                variables: '<'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-environment-variables/environment-variables-import-dialog/environment-variables-import-dialog.tpl.html',
+            controller: NclEnvironmentVariablesImportDialogController
+        });
+
+    function NclEnvironmentVariablesImportDialogController($element, $i18next, $scope, i18next, lodash,
+                                                           EnvironmentVariablesService, MaskService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.content = '';
+        ctrl.detectedFormat = null;
+        ctrl.fileName = '';
+        ctrl.format = 'auto';
+        ctrl.formatsList = [
+            {
+                id: 'auto',
+                name: $i18next.t('functions:AUTO_DETECT', {lng: lng})
+            },
+            {
+                id: 'env',
+                name: '.env'
+            },
+            {
+                id: 'json',
+                name: 'JSON'
+            },
+            {
+                id: 'yaml',
+                name: 'YAML'
+            }
+        ];
+        ctrl.isDragOver = false;
+        ctrl.overwrite = true;
+        ctrl.parseError = '';
+        ctrl.rows = [];
+
+        ctrl.$postLink = postLink;
+        ctrl.$onDestroy = onDestroy;
+
+        ctrl.getImportSummary = getImportSummary;
+        ctrl.getStatusCount = getStatusCount;
+        ctrl.getValuePreview = getValuePreview;
+        ctrl.importVariables = importVariables;
+        ctrl.isImportAllowed = isImportAllowed;
+        ctrl.onClose = onClose;
+        ctrl.onContentChange = onContentChange;
+        ctrl.onFormatChange = onFormatChange;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Post linking method
+         */
+        function postLink() {
+            $element.find('.environment-variables-import-input').on('change', onFileSelected);
+            $element.find('.environment-variables-import-content')
+                .on('dragover', onDragOver)
+                .on('dragleave', onDragLeave)
+                .on('drop', onDrop);
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            $element.find('.environment-variables-import-input').off('change', onFileSelected);
+            $element.find('.environment-variables-import-content')
+                .off('dragover', onDragOver)
+                .off('dragleave', onDragLeave)
+                .off('drop', onDrop);
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Counts the variables that will be created, overwritten or skipped by the import
+         * @returns {{create: number, overwrite: number, skip: number}}
+         */
+        function getImportSummary() {
+            var createCount = ctrl.getStatusCount('new');
+            var overwriteCount = ctrl.overwrite ? ctrl.getStatusCount('overwrite') : 0;
+
+            return {
+                create: createCount,
+                overwrite: overwriteCount,
+                skip: ctrl.rows.length - createCount - overwriteCount
+            };
+        }
+
+        /**
+         * Counts the preview rows of the given status
+         * @param {string} status - `'new'`, `'overwrite'`, `'duplicate'` or `'invalid'`
+         * @returns {number}
+         */
+        function getStatusCount(status) {
+            return lodash.filter(ctrl.rows, ['status', status]).length;
+        }
+
+        /**
+         * Gets the value of an imported variable to display in the preview. Sensitive values are masked, and
+         * references to secrets and config-maps are described.
+         * @param {Object} variable - the imported variable
+         * @returns {string}
+         */
+        function getValuePreview(variable) {
+            var secretRef = lodash.get(variable, 'valueFrom.secretKeyRef');
+            var configMapRef = lodash.get(variable, 'valueFrom.configMapKeyRef');
+
+            if (angular.isDefined(secretRef)) {
+                return $i18next.t('functions:SECRET', {lng: lng}) + ': ' + secretRef.name + '/' + secretRef.key;
+            }
+
+            if (angular.isDefined(configMapRef)) {
+                return $i18next.t('functions:CONFIGMAP', {lng: lng}) + ': ' + configMapRef.name + '/' +
+                    configMapRef.key;
+            }
+
+            return EnvironmentVariablesService.isSensitiveName(variable.name) ? MaskService.getMask(variable.value) :
+                variable.value;
+        }
+
+        /**
+         * Merges the imported variables into the current ones, and closes the dialog
+         */
+        function importVariables() {
+            if (ctrl.isImportAllowed()) {
+                ctrl.closeDialog({
+                    value: {
+                        variables: EnvironmentVariablesService.mergeVariables(ctrl.variables, ctrl.rows,
+                                                                              ctrl.overwrite)
+                    }
+                });
+            }
+        }
+
+        /**
+         * Checks whether there is any variable to import
+         * @returns {boolean}
+         */
+        function isImportAllowed() {
+            return ctrl.getStatusCount('new') > 0 || ctrl.overwrite && ctrl.getStatusCount('overwrite') > 0;
+        }
+
+        /**
+         * Closes the dialog without importing
+         */
+        function onClose() {
+            ctrl.closeDialog();
+        }
+
+        /**
+         * Refreshes the preview when the pasted content changes
+         */
+        function onContentChange() {
+            ctrl.fileName = '';
+
+            updatePreview();
+        }
+
+        /**
+         * Sets the format to parse the content by, and refreshes the preview
+         * @param {Object} item - the selected item of the formats drop-down
+         */
+        function onFormatChange(item) {
+            ctrl.format = item.id;
+
+            updatePreview();
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Handles `dragleave` event of the content field
+         */
+        function onDragLeave() {
+            $scope.$apply(function () {
+                ctrl.isDragOver = false;
+            });
+        }
+
+        /**
+         * Handles `dragover` event of the content field, to allow dropping files on it
+         * @param {Event} event - the event
+         */
+        function onDragOver(event) {
+            event.preventDefault();
+
+            if (!ctrl.isDragOver) {
+                $scope.$apply(function () {
+                    ctrl.isDragOver = true;
+                });
+            }
+        }
+
+        /**
+         * Handles dropping a file on the content field
+         * @param {Event} event - the event
+         */
+        function onDrop(event) {
+            event.preventDefault();
+
+            $scope.$apply(function () {
+                ctrl.isDragOver = false;
+            });
+
+            readFile(lodash.get(event, 'originalEvent.dataTransfer.files[0]'));
+        }
+
+        /**
+         * Handles selection of a file
+         * @param {Event} event - the `change` event of the file input
+         */
+        function onFileSelected(event) {
+            readFile(lodash.get(event, 'target.files[0]'));
+        }
+
+        /**
+         * Reads the content of the given file, and refreshes the preview
+         * @param {File} [file] - the file to read
+         */
+        function readFile(file) {
+            if (!lodash.isNil(file)) {
+                var reader = new FileReader();
+
+                reader.onload = function () {
+                    $scope.$apply(function () {
+                        ctrl.content = reader.result;
+                        ctrl.fileName = file.name;
+
+                        updatePreview();
+                    });
+                };
+                reader.onerror = function () {
+                    $scope.$apply(function () {
+                        ctrl.parseError = $i18next.t('functions:ERROR_MSG.COULD_NOT_READ_FILE', {lng: lng});
+                    });
+                };
+
+                reader.readAsText(file);
+            }
+        }
+
+        /**
+         * Parses the content by the selected (or detected) format, and prepares the preview of its variables
+         */
+        function updatePreview() {
+            ctrl.parseError = '';
+            ctrl.rows = [];
+            ctrl.detectedFormat = null;
+
+            if (lodash.trim(ctrl.content) === '') {
+                return;
+            }
+
+            var format = ctrl.format === 'auto' ?
+                EnvironmentVariablesService.detectFormat(ctrl.content, ctrl.fileName) : ctrl.format;
+
+            if (ctrl.format === 'auto') {
+                ctrl.detectedFormat = lodash.find(ctrl.formatsList, ['id', format]).name;
+            }
+
+            try {
+                var importedVariables = EnvironmentVariablesService.parseVariables(ctrl.content, format);
+
+                ctrl.rows = EnvironmentVariablesService.getImportPreview(importedVariables, ctrl.variables);
+            } catch (error) {
+                ctrl.parseError = $i18next.t('functions:ERROR_MSG.PARSE_ENVIRONMENT_VARIABLES', {
+                    lng: lng,
+                    format: lodash.find(ctrl.formatsList, ['id', format]).name
+                });
+            }
+        }
+    }
+}());
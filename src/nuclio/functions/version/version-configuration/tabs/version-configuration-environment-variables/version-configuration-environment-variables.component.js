@@ -21,21 +21,25 @@ such restriction.
         .component('nclVersionConfigurationEnvironmentVariables', {
             bindings: {
                 version: '<',
-                onChangeCallback: '<',
-                isFunctionDeploying: '&'
+                createSecret: '<?',
+                isFunctionDeploying: '&',
+                listConfigMaps: '<?',
+                listSecrets: '<?',
+                onChangeCallback: '<'
             },
             templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-environment-variables/version-configuration-environment-variables.tpl.html',
             controller: NclVersionConfigurationEnvironmentVariablesController
         });
 
-    function NclVersionConfigurationEnvironmentVariablesController($element, $i18next, $rootScope, $timeout, i18next,
-                                                                   lodash, FormValidationService,
+    function NclVersionConfigurationEnvironmentVariablesController($element, $i18next, $q, $rootScope, $timeout, i18next,
+                                                                   lodash, ngDialog, FormValidationService,
                                                                    PreventDropdownCutOffService,
                                                                    ValidationService) {
         var ctrl = this;
         var lng = i18next.language;
 
         ctrl.environmentVariablesForm = null;
+        ctrl.references = {};
         ctrl.igzScrollConfig = {
             maxElementsCount: 10,
             childrenSelector: '.table-body'
@@ -64,11 +68,15 @@ such restriction.
             }
         };
 
+        ctrl.$onInit = onInit;
         ctrl.$postLink = postLink;
         ctrl.$onChanges = onChanges;
 
         ctrl.addNewVariable = addNewVariable;
+        ctrl.createNewSecret = createNewSecret;
+        ctrl.exportVariables = exportVariables;
         ctrl.handleAction = handleAction;
+        ctrl.importVariables = importVariables;
         ctrl.onChangeData = onChangeData;
         ctrl.onChangeType = onChangeType;
 
@@ -76,6 +84,16 @@ such restriction.
         // Hook methods
         //
 
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            ctrl.isSecretCreationAllowed = angular.isFunction(ctrl.createSecret);
+
+            loadReferences('secret', ctrl.listSecrets);
+            loadReferences('configmap', ctrl.listConfigMaps);
+        }
+
         /**
          * Post linking method
          */
@@ -150,6 +168,52 @@ such restriction.
             }, 50);
         }
 
+        /**
+         * Creates a new secret through the host-supplied `createSecret` callback, and adds it to the list of existing
+         * secrets once created
+         * @param {Object} secret - the secret to create
+         * @param {string} secret.name - the name of the secret
+         * @param {string} secret.key - the key of the single entry to store in the secret
+         * @param {string} secret.value - the value of the single entry to store in the secret
+         * @returns {Promise}
+         */
+        function createNewSecret(secret) {
+            return $q.when(ctrl.createSecret({ secret: secret }))
+                .then(function () {
+                    var existingSecret = lodash.find(ctrl.references.secret, ['name', secret.name]);
+
+                    if (angular.isDefined(existingSecret)) {
+                        existingSecret.keys = lodash.union(existingSecret.keys, [secret.key]);
+                    } else {
+                        var secrets = lodash.defaultTo(ctrl.references.secret, []).concat({
+                            name: secret.name,
+                            keys: [secret.key]
+                        });
+
+                        ctrl.references.secret = lodash.sortBy(secrets, 'name');
+                    }
+                });
+        }
+
+        /**
+         * Opens a dialog for exporting the variables as a `.env` file, a JSON object or a YAML map
+         */
+        function exportVariables() {
+            ngDialog.open({
+                template: '<ncl-environment-variables-export-dialog data-close-dialog="closeThisDialog()" ' +
+                    'data-variables="ngDialogData.variables" data-file-name="ngDialogData.fileName">' +
+                    '</ncl-environment-variables-export-dialog>',
+                plain: true,
+                data: {
+                    fileName: lodash.get(ctrl.version, 'metadata.name', 'environment-variables') + '-env',
+                    variables: lodash.map(ctrl.variables, function (variable) {
+                        return lodash.omit(variable, 'ui');
+                    })
+                },
+                className: 'ngdialog-theme-iguazio environment-variables-export-dialog-wrapper'
+            });
+        }
+
         /**
          * Handler on specific action type
          * @param {string} actionType
@@ -165,6 +229,48 @@ such restriction.
             }
         }
 
+        /**
+         * Opens a dialog for importing variables in bulk from a `.env` file, a JSON object or a YAML map, and merges
+         * the imported variables into the current ones
+         */
+        function importVariables() {
+            if (ctrl.isFunctionDeploying()) {
+                return;
+            }
+
+            ngDialog.open({
+                template: '<ncl-environment-variables-import-dialog data-close-dialog="closeThisDialog(value)" ' +
+                    'data-variables="ngDialogData.variables"></ncl-environment-variables-import-dialog>',
+                plain: true,
+                data: {
+                    variables: lodash.map(ctrl.variables, function (variable) {
+                        return lodash.omit(variable, 'ui');
+                    })
+                },
+                className: 'ngdialog-theme-iguazio environment-variables-import-dialog-wrapper'
+            }).closePromise
+                .then(function (data) {
+                    var importedVariables = lodash.get(data, 'value.variables');
+
+                    if (angular.isArray(importedVariables)) {
+                        ctrl.variables = lodash.map(importedVariables, function (variable) {
+                            var existingVariable = lodash.find(ctrl.variables, ['name', variable.name]);
+
+                            variable.ui = lodash.defaultTo(lodash.get(existingVariable, 'ui'), {
+                                editModeActive: false,
+                                isFormValid: true,
+                                name: 'variable'
+                            });
+
+                            return variable;
+                        });
+                        ctrl.isOnlyValueTypeInputs = !lodash.some(ctrl.variables, 'valueFrom');
+
+                        $timeout(updateVariables);
+                    }
+                });
+        }
+
         /**
          * Changes data of specific variable
          * @param {Object} variable
@@ -202,6 +308,31 @@ such restriction.
         // Private methods
         //
 
+        /**
+         * Loads the list of existing secrets or config-maps through the given host-supplied callback, to be suggested
+         * in the environment variables' name and key fields. In case no callback is provided, or it fails - the names
+         * and keys are entered freely.
+         * @param {string} type - the type of the referenced resource (`secret` or `configmap`)
+         * @param {function} [listCallback] - a callback resolving to a list of `{name, keys}` objects
+         */
+        function loadReferences(type, listCallback) {
+            if (angular.isFunction(listCallback)) {
+                $q.when(listCallback())
+                    .then(function (references) {
+                        ctrl.references[type] = lodash.chain(references)
+                            .map(function (reference) {
+                                return {
+                                    name: reference.name,
+                                    keys: lodash.defaultTo(reference.keys, [])
+                                };
+                            })
+                            .sortBy('name')
+                            .value();
+                    })
+                    .catch(lodash.noop);
+            }
+        }
+
         /**
          * Updates function's variables
          */
@@ -0,0 +1,238 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclAffinityEditor
+     * @description
+     * Edits the `affinity` field of a function's spec, covering node affinity, pod affinity and pod anti-affinity with
+     * required and preferred terms. Each term is edited as a rule of match expressions (see
+     * `SchedulingService.getAffinityRules`), validated as it changes, and the resulting YAML snippet could be
+     * previewed.
+     *
+     * @param {Object} [affinity] - the `affinity` field of the function's spec.
+     * @param {boolean} [isDisabled=false] - set to `true` to disable editing.
+     * @param {function} onChange - called on every change with `affinity` (an empty object when there are no
+     *     rules) and `isValid`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclAffinityEditor', {
+            bindings: {
+                affinity: '<',
+                isDisabled: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-resources/affinity-editor/affinity-editor.tpl.html',
+            controller: NclAffinityEditorController
+        });
+
+    function NclAffinityEditorController($i18next, i18next, lodash, SchedulingService) {
+        var ctrl = this;
+        var lng = i18next.language;
+        var lastAffinity = null;
+
+        ctrl.affinityForm = null;
+        ctrl.isYamlShown = false;
+        ctrl.modesList = [
+            {
+                id: 'required',
+                name: $i18next.t('functions:SCHEDULING.REQUIRED', {lng: lng})
+            },
+            {
+                id: 'preferred',
+                name: $i18next.t('functions:SCHEDULING.PREFERRED', {lng: lng})
+            }
+        ];
+        ctrl.operatorsLists = lodash.chain(SchedulingService.AFFINITY_TYPES)
+            .keyBy()
+            .mapValues(function (type) {
+                return lodash.map(SchedulingService.getOperators(type), function (operator) {
+                    return {
+                        id: operator,
+                        name: operator
+                    };
+                });
+            })
+            .value();
+        ctrl.rules = [];
+        ctrl.typesList = lodash.map(SchedulingService.AFFINITY_TYPES, function (type) {
+            return {
+                id: type,
+                name: $i18next.t('functions:SCHEDULING.AFFINITY_TYPE.' + lodash.snakeCase(type).toUpperCase(),
+                                 {lng: lng})
+            };
+        });
+        ctrl.yaml = '';
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.addExpression = addExpression;
+        ctrl.addRule = addRule;
+        ctrl.isValueless = SchedulingService.isValueless;
+        ctrl.onExpressionFieldChange = onExpressionFieldChange;
+        ctrl.onRuleFieldChange = onRuleFieldChange;
+        ctrl.removeExpression = removeExpression;
+        ctrl.removeRule = removeRule;
+        ctrl.toggleYaml = toggleYaml;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.affinity) && !angular.equals(ctrl.affinity, lastAffinity)) {
+                ctrl.rules = SchedulingService.getAffinityRules(ctrl.affinity);
+                lastAffinity = angular.copy(ctrl.affinity);
+
+                lodash.forEach(ctrl.rules, validateRule);
+                ctrl.yaml = SchedulingService.getYamlSnippet('affinity', ctrl.affinity);
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds an empty match expression to the rule
+         * @param {Object} rule - the affinity rule
+         */
+        function addExpression(rule) {
+            if (!ctrl.isDisabled) {
+                rule.expressions.push({
+                    key: '',
+                    operator: 'In',
+                    values: ''
+                });
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Adds a new node affinity rule
+         */
+        function addRule() {
+            if (!ctrl.isDisabled) {
+                ctrl.rules.push(SchedulingService.createAffinityRule());
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Sets a field of a match expression
+         * @param {Object} expression - the match expression
+         * @param {string} field - the name of the field (`key`, `operator` or `values`)
+         * @param {string} value - the new value
+         */
+        function onExpressionFieldChange(expression, field, value) {
+            expression[field] = value;
+
+            if (field === 'operator' && ctrl.isValueless(value)) {
+                expression.values = '';
+            }
+
+            applyChanges();
+        }
+
+        /**
+         * Sets a field of a rule
+         * @param {Object} rule - the affinity rule
+         * @param {string} field - the name of the field (`type`, `mode`, `weight` or `topologyKey`)
+         * @param {*} value - the new value
+         */
+        function onRuleFieldChange(rule, field, value) {
+            rule[field] = value;
+
+            // operators of node affinity that are not available for pod affinity (e.g. `Gt`) are replaced
+            if (field === 'type') {
+                lodash.forEach(rule.expressions, function (expression) {
+                    if (!lodash.includes(SchedulingService.getOperators(value), expression.operator)) {
+                        expression.operator = 'In';
+                    }
+                });
+            }
+
+            applyChanges();
+        }
+
+        /**
+         * Removes a match expression from the rule
+         * @param {Object} rule - the affinity rule
+         * @param {number} index - the index of the expression
+         */
+        function removeExpression(rule, index) {
+            if (!ctrl.isDisabled) {
+                rule.expressions.splice(index, 1);
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Removes a rule
+         * @param {number} index - the index of the rule
+         */
+        function removeRule(index) {
+            if (!ctrl.isDisabled) {
+                ctrl.rules.splice(index, 1);
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Shows or hides the YAML preview
+         */
+        function toggleYaml() {
+            ctrl.isYamlShown = !ctrl.isYamlShown;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Validates the rules, and notifies the parent component with the resulting affinity
+         */
+        function applyChanges() {
+            lodash.forEach(ctrl.rules, validateRule);
+
+            lastAffinity = SchedulingService.getAffinity(ctrl.rules);
+            ctrl.yaml = SchedulingService.getYamlSnippet('affinity', lastAffinity);
+
+            ctrl.onChange({
+                affinity: angular.copy(lastAffinity),
+                isValid: !lodash.some(ctrl.rules, 'ui.errors.length')
+            });
+        }
+
+        /**
+         * Validates a rule, and stores its errors to be displayed
+         * @param {Object} rule - the affinity rule
+         */
+        function validateRule(rule) {
+            lodash.set(rule, 'ui.errors', SchedulingService.validateAffinityRule(rule));
+        }
+    }
+}());
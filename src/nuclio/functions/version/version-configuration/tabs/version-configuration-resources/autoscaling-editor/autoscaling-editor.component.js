@@ -0,0 +1,347 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclAutoscalingEditor
+     * @description
+     * Edits the autoscaling policy of a function: metric targets (CPU, memory and custom metrics) and the
+     * stabilization windows of scaling up and down. A simulated number of replicas for a sample load curve is charted
+     * below, so the policy could be tuned without deploying the function.
+     *
+     * @param {Object} spec - the function's spec, which the initial policy is read from (see
+     *     `AutoscalingService.getPolicy`).
+     * @param {number} [minReplicas] - the minimum number of replicas.
+     * @param {number} [maxReplicas] - the maximum number of replicas.
+     * @param {string} [inactivityWindow] - the scale to zero inactivity window (e.g. `5m`).
+     * @param {number} [defaultTargetCpu=75] - the CPU target applied when there are no metric targets.
+     * @param {boolean} [isDisabled=false] - set to `true` to disable editing.
+     * @param {function} onChange - called on every change with `policy` and `isValid`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclAutoscalingEditor', {
+            bindings: {
+                spec: '<',
+                minReplicas: '<?',
+                maxReplicas: '<?',
+                inactivityWindow: '<?',
+                defaultTargetCpu: '<?',
+                isDisabled: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-resources/autoscaling-editor/autoscaling-editor.tpl.html',
+            controller: NclAutoscalingEditorController
+        });
+
+    function NclAutoscalingEditorController($i18next, i18next, lodash, AutoscalingService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        ctrl.autoscalingForm = null;
+        ctrl.isApplicable = false;
+        ctrl.metrics = [];
+        ctrl.metricTypesList = lodash.map(AutoscalingService.METRIC_TYPES, function (type) {
+            return {
+                id: type,
+                name: $i18next.t('functions:AUTOSCALING.METRIC_TYPE.' + type.toUpperCase(), {lng: lng})
+            };
+        });
+        ctrl.preview = {
+            shape: 'spike',
+            peak: 400,
+            peakReplicas: 0,
+            chartConfig: createChartConfig()
+        };
+        ctrl.shapesList = lodash.map(AutoscalingService.LOAD_SHAPES, function (shape) {
+            return {
+                id: shape,
+                name: $i18next.t('functions:AUTOSCALING.LOAD_SHAPE.' + shape.toUpperCase(), {lng: lng})
+            };
+        });
+        ctrl.windows = {
+            scaleUpWindow: {
+                value: null,
+                errors: []
+            },
+            scaleDownWindow: {
+                value: null,
+                errors: []
+            }
+        };
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.addMetric = addMetric;
+        ctrl.isPercentage = AutoscalingService.isPercentage;
+        ctrl.onMetricFieldChange = onMetricFieldChange;
+        ctrl.onPreviewChange = onPreviewChange;
+        ctrl.onWindowChange = onWindowChange;
+        ctrl.removeMetric = removeMetric;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.spec)) {
+                var policy = AutoscalingService.getPolicy(ctrl.spec);
+
+                ctrl.metrics = policy.metrics;
+                ctrl.windows.scaleUpWindow.value = policy.scaleUpWindow;
+                ctrl.windows.scaleDownWindow.value = policy.scaleDownWindow;
+
+                validate();
+            }
+
+            ctrl.isApplicable = AutoscalingService.isAutoscalingApplicable(ctrl.minReplicas, ctrl.maxReplicas);
+
+            updatePreview();
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds a metric target of the first type that is not targeted yet
+         */
+        function addMetric() {
+            if (!ctrl.isDisabled) {
+                var type = lodash.find(AutoscalingService.METRIC_TYPES, function (metricType) {
+                    return metricType === 'custom' || !lodash.some(ctrl.metrics, ['type', metricType]);
+                });
+
+                ctrl.metrics.push(AutoscalingService.createMetric(type));
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Sets a field of a metric target
+         * @param {Object} metric - the metric target
+         * @param {string} field - the name of the field (`type`, `metricName` or `threshold`)
+         * @param {*} value - the new value
+         */
+        function onMetricFieldChange(metric, field, value) {
+            if (field === 'type' && value !== metric.type) {
+                lodash.assign(metric, AutoscalingService.createMetric(value));
+            } else {
+                metric[field] = value === '' ? null : value;
+            }
+
+            applyChanges();
+        }
+
+        /**
+         * Sets a parameter of the simulated load curve
+         * @param {*} value - the new value
+         * @param {string} field - the name of the parameter (`shape` or `peak`)
+         */
+        function onPreviewChange(value, field) {
+            ctrl.preview[field] = value;
+
+            updatePreview();
+        }
+
+        /**
+         * Sets a stabilization window
+         * @param {number|string} value - the new value in seconds, or an empty string for the default one
+         * @param {string} field - the name of the window (`scaleUpWindow` or `scaleDownWindow`)
+         */
+        function onWindowChange(value, field) {
+            ctrl.windows[field].value = lodash.isNil(value) || value === '' ? null : Number(value);
+
+            applyChanges();
+        }
+
+        /**
+         * Removes a metric target
+         * @param {number} index - the index of the metric target
+         */
+        function removeMetric(index) {
+            if (!ctrl.isDisabled) {
+                ctrl.metrics.splice(index, 1);
+
+                applyChanges();
+            }
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Validates the policy, updates the preview, and notifies the parent component with the policy
+         */
+        function applyChanges() {
+            var isValid = validate();
+
+            updatePreview();
+
+            ctrl.onChange({
+                policy: getPolicy(),
+                isValid: isValid
+            });
+        }
+
+        /**
+         * Creates the configuration of the preview chart
+         * @returns {Object} the configuration
+         */
+        function createChartConfig() {
+            return {
+                options: {
+                    chart: {
+                        backgroundColor: 'transparent',
+                        height: 220
+                    },
+                    credits: {
+                        enabled: false
+                    },
+                    plotOptions: {
+                        series: {
+                            animation: false,
+                            marker: {
+                                enabled: false
+                            }
+                        }
+                    },
+                    title: {
+                        text: ''
+                    },
+                    tooltip: {
+                        shared: true
+                    },
+                    xAxis: {
+                        labels: {
+                            formatter: function () {
+                                return $i18next.t('functions:AUTOSCALING.MINUTES', {lng: lng, count: this.value});
+                            }
+                        },
+                        title: {
+                            text: null
+                        }
+                    },
+                    yAxis: [
+                        {
+                            min: 0,
+                            allowDecimals: false,
+                            title: {
+                                text: $i18next.t('common:REPLICAS', {lng: lng})
+                            }
+                        },
+                        {
+                            min: 0,
+                            opposite: true,
+                            labels: {
+                                format: '{value}%'
+                            },
+                            title: {
+                                text: $i18next.t('functions:AUTOSCALING.LOAD', {lng: lng})
+                            }
+                        }
+                    ]
+                },
+                series: [
+                    {
+                        data: [],
+                        name: $i18next.t('functions:AUTOSCALING.LOAD', {lng: lng}),
+                        type: 'areaspline',
+                        yAxis: 1,
+                        fillOpacity: 0.2,
+                        tooltip: {
+                            valueSuffix: '%'
+                        }
+                    },
+                    {
+                        data: [],
+                        name: $i18next.t('common:REPLICAS', {lng: lng}),
+                        type: 'line',
+                        step: 'left',
+                        yAxis: 0
+                    }
+                ],
+                loading: false,
+                useHighStocks: false
+            };
+        }
+
+        /**
+         * Gets the edited policy, without the view state of the metric targets
+         * @returns {Object} the policy (see `AutoscalingService.getPolicy`)
+         */
+        function getPolicy() {
+            return {
+                metrics: lodash.map(ctrl.metrics, function (metric) {
+                    return lodash.pick(metric, ['type', 'metricName', 'threshold']);
+                }),
+                scaleUpWindow: ctrl.windows.scaleUpWindow.value,
+                scaleDownWindow: ctrl.windows.scaleDownWindow.value
+            };
+        }
+
+        /**
+         * Simulates the number of replicas for the sample load curve, and updates the preview chart
+         */
+        function updatePreview() {
+            var policy = lodash.assign(getPolicy(), {
+                minReplicas: ctrl.minReplicas,
+                maxReplicas: ctrl.maxReplicas,
+                inactivityWindow: AutoscalingService.parseDuration(ctrl.inactivityWindow)
+            });
+
+            if (lodash.isEmpty(policy.metrics)) {
+                policy.metrics = [lodash.assign(AutoscalingService.createMetric('cpu'), {
+                    threshold: lodash.defaultTo(ctrl.defaultTargetCpu, 75)
+                })];
+            }
+
+            var loadCurve = AutoscalingService.getSampleLoad(ctrl.preview.shape, lodash.defaultTo(ctrl.preview.peak, 0));
+            var points = AutoscalingService.simulateReplicas(policy, loadCurve);
+
+            ctrl.preview.peakReplicas = lodash.get(lodash.maxBy(points, 'replicas'), 'replicas', 0);
+            ctrl.preview.chartConfig.series[0].data = lodash.map(points, function (point) {
+                return [point.time / 60, point.load];
+            });
+            ctrl.preview.chartConfig.series[1].data = lodash.map(points, function (point) {
+                return [point.time / 60, point.replicas];
+            });
+        }
+
+        /**
+         * Validates the metric targets and the stabilization windows, and stores their errors to be displayed
+         * @returns {boolean} `true` if the policy is valid
+         */
+        function validate() {
+            lodash.forEach(ctrl.metrics, function (metric) {
+                lodash.set(metric, 'ui.errors', AutoscalingService.validateMetric(metric, ctrl.metrics));
+            });
+
+            lodash.forEach(ctrl.windows, function (window) {
+                window.errors = AutoscalingService.validateStabilizationWindow(window.value);
+            });
+
+            return !lodash.some(ctrl.metrics, 'ui.errors.length') && !lodash.some(ctrl.windows, 'errors.length');
+        }
+    }
+}());
@@ -0,0 +1,220 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclResourceRecommendationsDialog
+     * @description
+     * Recommends CPU and memory requests and limits of a function from percentiles of its observed usage with a
+     * configurable headroom, and shows the gap against the current settings.
+     *
+     * @param {function} closeDialog - closes the dialog, called with `recommendations` when they should be applied.
+     * @param {function} getStatistics - fetches a Prometheus range query (see `nclVersionMonitoring`).
+     * @param {Object} version - the function.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclResourceRecommendationsDialog', {
+            bindings: {
+                closeDialog: '&',
+                getStatistics: '<',
+                version: '<'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-resources/resource-recommendations-dialog/resource-recommendations-dialog.tpl.html',
+            controller: NclResourceRecommendationsDialogController
+        });
+
+    function NclResourceRecommendationsDialogController($filter, $i18next, $q, i18next, lodash, FunctionsService,
+                                                        ResourceRecommendationsService) {
+        var ctrl = this;
+        var lng = i18next.language;
+
+        var MILLIS_IN_A_MINUTE = 60 * 1000;
+
+        ctrl.error = '';
+        ctrl.gaps = [];
+        ctrl.isLoading = false;
+        ctrl.options = angular.copy(ResourceRecommendationsService.DEFAULT_OPTIONS);
+        ctrl.recommendations = null;
+        ctrl.timeWindowOptions = [
+            {
+                id: '1h',
+                name: $i18next.t('common:TOOLTIP.LAST_HOUR', { lng: lng }),
+                minutes: 60,
+                step: '1m'
+            },
+            {
+                id: '6h',
+                name: $i18next.t('functions:LAST_N_HOURS', { lng: lng, count: 6 }),
+                minutes: 360,
+                step: '5m'
+            },
+            {
+                id: '24h',
+                name: $i18next.t('functions:LAST_N_HOURS', { lng: lng, count: 24 }),
+                minutes: 1440,
+                step: '15m'
+            },
+            {
+                id: '7d',
+                name: $i18next.t('functions:LAST_N_DAYS', { lng: lng, count: 7 }),
+                minutes: 10080,
+                step: '1h'
+            }
+        ];
+        ctrl.selectedTimeWindow = ctrl.timeWindowOptions[2];
+
+        ctrl.$onInit = onInit;
+
+        ctrl.apply = apply;
+        ctrl.formatDifference = formatDifference;
+        ctrl.formatValue = formatValue;
+        ctrl.onClose = onClose;
+        ctrl.onOptionChange = onOptionChange;
+        ctrl.onTimeWindowChange = onTimeWindowChange;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * Initialization method
+         */
+        function onInit() {
+            loadUsage();
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Closes the dialog with the recommendations to apply
+         */
+        function apply() {
+            if (!lodash.isEmpty(ctrl.gaps)) {
+                ctrl.closeDialog({ recommendations: ctrl.recommendations });
+            }
+        }
+
+        /**
+         * Formats the difference between the recommended and the current value
+         * @param {?number} difference - the difference in percents
+         * @returns {string} the formatted difference, e.g. `+25%`
+         */
+        function formatDifference(difference) {
+            return lodash.isNil(difference) ? '' : (difference > 0 ? '+' : '') + difference + '%';
+        }
+
+        /**
+         * Formats a CPU or memory value
+         * @param {string} resource - `cpu` or `memory`
+         * @param {?number} value - millicores for CPU, bytes for memory
+         * @returns {string} the formatted value
+         */
+        function formatValue(resource, value) {
+            if (lodash.isNil(value)) {
+                return $i18next.t('functions:NOT_SET', { lng: lng });
+            }
+
+            return resource === 'cpu' ? ResourceRecommendationsService.formatCpu(value) : $filter('bytes')(value, 2);
+        }
+
+        /**
+         * Closes the dialog without applying the recommendations
+         */
+        function onClose() {
+            ctrl.closeDialog();
+        }
+
+        /**
+         * Sets an option of the recommendations and recalculates them
+         * @param {number} value - the new value
+         * @param {string} field - the name of the option
+         */
+        function onOptionChange(value, field) {
+            if (lodash.isNumber(value)) {
+                ctrl.options[field] = value;
+
+                calculate();
+            }
+        }
+
+        /**
+         * Handles selection of a time window
+         * @param {Object} item - the selected option
+         */
+        function onTimeWindowChange(item) {
+            ctrl.selectedTimeWindow = item;
+
+            loadUsage();
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Calculates the recommendations from the loaded usage, and compares them to the current settings
+         */
+        function calculate() {
+            ctrl.recommendations = ResourceRecommendationsService.getRecommendations(ctrl.usage, ctrl.options);
+            ctrl.gaps = ResourceRecommendationsService.getGaps(ctrl.recommendations,
+                                                               lodash.get(ctrl.version, 'spec.resources'));
+        }
+
+        /**
+         * Fetches the CPU and memory usage of the function's replicas for the selected time window
+         * @returns {Promise} a promise that resolves once the recommendations are calculated
+         */
+        function loadUsage() {
+            var now = Date.now();
+            var functionName = lodash.get(ctrl.version, 'metadata.name');
+            var projectName = lodash.get(ctrl.version, ['metadata', 'labels', 'nuclio.io/project-name'], '');
+            var functionLabels = '{project_name="' + projectName + '",function_name="' + functionName + '"}';
+            var metrics = {
+                cpu: FunctionsService.functionMetrics.FUNCTION_CPU,
+                memory: FunctionsService.functionMetrics.FUNCTION_MEMORY
+            };
+
+            ctrl.error = '';
+            ctrl.isLoading = true;
+
+            return $q.all(lodash.mapValues(metrics, function (metric) {
+                return ctrl.getStatistics({
+                    metric: metric + functionLabels,
+                    from: new Date(now - ctrl.selectedTimeWindow.minutes * MILLIS_IN_A_MINUTE).toISOString(),
+                    until: new Date(now).toISOString(),
+                    interval: ctrl.selectedTimeWindow.step
+                }).then(ResourceRecommendationsService.getUsageSamples);
+            }))
+                .then(function (usage) {
+                    ctrl.usage = usage;
+
+                    calculate();
+                })
+                .catch(function (error) {
+                    ctrl.error = lodash.get(error, 'msg', $i18next.t('functions:ERROR_MSG.GET_METRICS', { lng: lng }));
+                    ctrl.recommendations = null;
+                    ctrl.gaps = [];
+                })
+                .finally(function () {
+                    ctrl.isLoading = false;
+                });
+        }
+    }
+}());
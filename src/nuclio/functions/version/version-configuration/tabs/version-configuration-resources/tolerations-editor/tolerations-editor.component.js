@@ -0,0 +1,182 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+(function () {
+    'use strict';
+
+    /**
+     * @name nclTolerationsEditor
+     * @description
+     * Edits the `tolerations` field of a function's spec as a list of rows with key, operator, value, effect and
+     * toleration seconds. Each row is validated as it changes, and the resulting YAML snippet could be previewed.
+     *
+     * @param {Array.<Object>} [tolerations] - the `tolerations` field of the function's spec.
+     * @param {boolean} [isDisabled=false] - set to `true` to disable editing.
+     * @param {function} onChange - called on every change with `tolerations` (an empty array when there are no
+     *     rows) and `isValid`.
+     */
+    angular.module('iguazio.dashboard-controls')
+        .component('nclTolerationsEditor', {
+            bindings: {
+                tolerations: '<',
+                isDisabled: '<?',
+                onChange: '&'
+            },
+            templateUrl: 'nuclio/functions/version/version-configuration/tabs/version-configuration-resources/tolerations-editor/tolerations-editor.tpl.html',
+            controller: NclTolerationsEditorController
+        });
+
+    function NclTolerationsEditorController($i18next, i18next, lodash, SchedulingService) {
+        var ctrl = this;
+        var lng = i18next.language;
+        var lastTolerations = null;
+
+        ctrl.effectsList = lodash.map(SchedulingService.TOLERATION_EFFECTS, function (effect) {
+            return {
+                id: effect,
+                name: lodash.isEmpty(effect) ? $i18next.t('functions:SCHEDULING.ALL_EFFECTS', {lng: lng}) : effect
+            };
+        });
+        ctrl.isYamlShown = false;
+        ctrl.operatorsList = lodash.map(SchedulingService.TOLERATION_OPERATORS, function (operator) {
+            return {
+                id: operator,
+                name: operator
+            };
+        });
+        ctrl.rows = [];
+        ctrl.tolerationsForm = null;
+        ctrl.yaml = '';
+
+        ctrl.$onChanges = onChanges;
+
+        ctrl.addRow = addRow;
+        ctrl.onFieldChange = onFieldChange;
+        ctrl.removeRow = removeRow;
+        ctrl.toggleYaml = toggleYaml;
+
+        //
+        // Hook methods
+        //
+
+        /**
+         * On changes hook method.
+         * @param {Object} changes
+         */
+        function onChanges(changes) {
+            if (angular.isDefined(changes.tolerations) && !angular.equals(ctrl.tolerations, lastTolerations)) {
+                ctrl.rows = lodash.map(ctrl.tolerations, function (toleration) {
+                    return lodash.defaults(lodash.cloneDeep(toleration), {
+                        key: '',
+                        operator: 'Equal',
+                        value: '',
+                        effect: ''
+                    });
+                });
+                lastTolerations = angular.copy(ctrl.tolerations);
+
+                lodash.forEach(ctrl.rows, validateRow);
+                ctrl.yaml = SchedulingService.getYamlSnippet('tolerations', ctrl.tolerations);
+            }
+        }
+
+        //
+        // Public methods
+        //
+
+        /**
+         * Adds an empty toleration
+         */
+        function addRow() {
+            if (!ctrl.isDisabled) {
+                ctrl.rows.push({
+                    key: '',
+                    operator: 'Equal',
+                    value: '',
+                    effect: ''
+                });
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Sets a field of a toleration
+         * @param {Object} row - the toleration
+         * @param {string} field - the name of the field
+         * @param {*} value - the new value
+         */
+        function onFieldChange(row, field, value) {
+            row[field] = value;
+
+            if (field === 'operator' && value === 'Exists') {
+                row.value = '';
+            }
+
+            if (field === 'effect' && value !== 'NoExecute') {
+                delete row.tolerationSeconds;
+            }
+
+            applyChanges();
+        }
+
+        /**
+         * Removes a toleration
+         * @param {number} index - the index of the toleration
+         */
+        function removeRow(index) {
+            if (!ctrl.isDisabled) {
+                ctrl.rows.splice(index, 1);
+
+                applyChanges();
+            }
+        }
+
+        /**
+         * Shows or hides the YAML preview
+         */
+        function toggleYaml() {
+            ctrl.isYamlShown = !ctrl.isYamlShown;
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Validates the tolerations, and notifies the parent component with the resulting list
+         */
+        function applyChanges() {
+            lodash.forEach(ctrl.rows, validateRow);
+
+            lastTolerations = SchedulingService.getTolerations(ctrl.rows);
+            ctrl.yaml = SchedulingService.getYamlSnippet('tolerations', lastTolerations);
+
+            ctrl.onChange({
+                tolerations: angular.copy(lastTolerations),
+                isValid: !lodash.some(ctrl.rows, 'ui.errors.length')
+            });
+        }
+
+        /**
+         * Validates a toleration, and stores its errors to be displayed
+         * @param {Object} row - the toleration
+         */
+        function validateRow(row) {
+            lodash.set(row, 'ui.errors', SchedulingService.validateToleration(row));
+        }
+    }
+}());
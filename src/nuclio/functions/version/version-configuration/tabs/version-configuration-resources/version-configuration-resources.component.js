@@ -22,6 +22,7 @@ such restriction.
         .component('nclVersionConfigurationResources', {
             bindings: {
                 version: '<',
+                getStatistics: '<?',
                 onChangeCallback: '<',
                 isFunctionDeploying: '&'
             },
@@ -30,8 +31,9 @@ such restriction.
         });
 
     function NclVersionConfigurationResourcesController($i18next, $rootScope, $scope, $stateParams, $timeout, i18next,
-                                                        lodash, ConfigService, DialogsService, FormValidationService,
-                                                        ValidationService) {
+                                                        lodash, ngDialog, AutoscalingService, ConfigService,
+                                                        DialogsService, FormValidationService,
+                                                        ResourceRecommendationsService, ValidationService) {
         var ctrl = this;
         var lng = i18next.language;
 
@@ -43,6 +45,20 @@ such restriction.
             power: 3
         };
 
+        var crossFieldRules = {
+            cpu: FormValidationService.createRequestLimitRule({
+                name: 'cpuRequestLimit',
+                label: $i18next.t('functions:ERROR_MSG.CPU_REQUEST_ABOVE_LIMIT', { lng: lng }),
+                requestField: 'requestCpu',
+                limitField: 'limitsCpu'
+            }),
+            memory: FormValidationService.createRequestLimitRule({
+                name: 'memoryRequestLimit',
+                label: $i18next.t('functions:ERROR_MSG.MEMORY_REQUEST_ABOVE_LIMIT', { lng: lng }),
+                requestField: 'requestMemory',
+                limitField: 'limitsMemory'
+            })
+        };
         var preemptionMode = '';
         var scaleResourcesCopy = [];
         var scaleToZero = {};
@@ -157,13 +173,17 @@ such restriction.
         ctrl.handleRevertToDefaultsClick = handleRevertToDefaultsClick;
         ctrl.isPodsPriorityShown = isPodsPriorityShown;
         ctrl.isInactivityWindowShown = isInactivityWindowShown;
+        ctrl.isRecommendationShown = isRecommendationShown;
         ctrl.memoryDropdownCallback = memoryDropdownCallback;
         ctrl.memoryInputCallback = memoryInputCallback;
+        ctrl.onAffinityChange = onAffinityChange;
+        ctrl.onAutoscalingChange = onAutoscalingChange;
         ctrl.onChangeNodeSelectorsData = onChangeNodeSelectorsData;
+        ctrl.onTolerationsChange = onTolerationsChange;
         ctrl.podTolerationDropdownCallback = podTolerationDropdownCallback;
         ctrl.podsPriorityDropdownCallback = podsPriorityDropdownCallback;
+        ctrl.recommendResources = recommendResources;
         ctrl.replicasInputCallback = replicasInputCallback;
-        ctrl.sliderInputCallback = sliderInputCallback;
 
         //
         // Hook methods
@@ -177,8 +197,6 @@ such restriction.
                 initPodsPriority();
             }
 
-            initTargetCpuSlider();
-
             preemptionMode = getVersionPreemptionMode() || lodash.get(ctrl.defaultFunctionConfig, 'spec.preemptionMode');
 
             if (preemptionMode) {
@@ -204,7 +222,6 @@ such restriction.
         function onChanges(changes) {
             if (angular.isDefined(changes.version)) {
                 initParametersData();
-                updateTargetCpuSlider();
 
                 ctrl.minReplicas = lodash.get(ctrl.version, 'spec.minReplicas');
                 ctrl.maxReplicas = lodash.get(ctrl.version, 'spec.maxReplicas');
@@ -368,6 +385,15 @@ such restriction.
             return lodash.get(scaleToZero, 'mode') === 'enabled';
         }
 
+        /**
+         * Checks if the "Recommend" action should be shown.
+         * It is shown only when the host application provided a `getStatistics` callback.
+         * @returns {boolean}
+         */
+        function isRecommendationShown() {
+            return angular.isFunction(ctrl.getStatistics);
+        }
+
         /**
          * Memory dropdown callback
          * @param {Object} item
@@ -390,7 +416,7 @@ such restriction.
                 newValue = sizeValue + item.unit;
                 lodash.set(ctrl.version, field, newValue);
 
-                checkIfMemoryInputsValid(newValue, field);
+                checkIfMemoryInputsValid();
             }
 
             ctrl.onChangeCallback();
@@ -409,24 +435,48 @@ such restriction.
 
             if (!angular.isNumber(newData)) {
                 lodash.unset(ctrl.version.spec, field);
-
-                // if new value isn't number that both fields will be valid, because one of them is empty
-                ctrl.resourcesForm.requestMemory.$setValidity('equality', true);
-                ctrl.resourcesForm.limitsMemory.$setValidity('equality', true);
             } else {
                 newValue = newData + sizeUnit;
                 lodash.set(ctrl.version.spec, field, newValue);
                 lodash.set(ctrl, field, newData);
-
-                checkIfMemoryInputsValid(newValue, field);
             }
 
+            checkIfMemoryInputsValid();
+
             ctrl.memoryWarningOpen = !lodash.isNil(lodash.get(ctrl.version, 'spec.resources.limits.memory')) &&
                 lodash.isNil(lodash.get(ctrl.version, 'spec.resources.requests.memory'));
 
             ctrl.onChangeCallback();
         }
 
+        /**
+         * Affinity editor change callback
+         * @param {Object} affinity - the new `affinity` field of the spec
+         * @param {boolean} isValid - `true` if all the affinity rules are valid
+         */
+        function onAffinityChange(affinity, isValid) {
+            if (lodash.isEmpty(affinity)) {
+                lodash.unset(ctrl.version, 'spec.affinity');
+            } else {
+                lodash.set(ctrl.version, 'spec.affinity', affinity);
+            }
+
+            $rootScope.$broadcast('change-state-deploy-button', { component: 'affinity', isDisabled: !isValid });
+            ctrl.onChangeCallback();
+        }
+
+        /**
+         * Autoscaling editor change callback
+         * @param {Object} policy - the autoscaling policy (see `AutoscalingService.getPolicy`)
+         * @param {boolean} isValid - `true` if the metric targets and the stabilization windows are valid
+         */
+        function onAutoscalingChange(policy, isValid) {
+            AutoscalingService.applyPolicy(ctrl.version.spec, policy);
+
+            $rootScope.$broadcast('change-state-deploy-button', { component: 'autoscaling', isDisabled: !isValid });
+            ctrl.onChangeCallback();
+        }
+
         /**
          * Changes Node selector data
          * @param {Object} nodeSelector
@@ -438,6 +488,22 @@ such restriction.
             updateNodeSelectors();
         }
 
+        /**
+         * Tolerations editor change callback
+         * @param {Array.<Object>} tolerations - the new `tolerations` field of the spec
+         * @param {boolean} isValid - `true` if all the tolerations are valid
+         */
+        function onTolerationsChange(tolerations, isValid) {
+            if (lodash.isEmpty(tolerations)) {
+                lodash.unset(ctrl.version, 'spec.tolerations');
+            } else {
+                lodash.set(ctrl.version, 'spec.tolerations', tolerations);
+            }
+
+            $rootScope.$broadcast('change-state-deploy-button', { component: 'tolerations', isDisabled: !isValid });
+            ctrl.onChangeCallback();
+        }
+
         /**
          * Pod toleration dropdown callback
          * @param {Object} tolerationOption
@@ -459,6 +525,38 @@ such restriction.
             lodash.set(ctrl.version, field, priorityOption.id);
         }
 
+        /**
+         * Opens the resource recommendations dialog, and applies the recommended requests and limits if confirmed
+         */
+        function recommendResources() {
+            if (!ctrl.isFunctionDeploying()) {
+                ngDialog.open({
+                    template: '<ncl-resource-recommendations-dialog data-close-dialog="closeThisDialog(recommendations)" ' +
+                        'data-get-statistics="ngDialogData.getStatistics" data-version="ngDialogData.version">' +
+                        '</ncl-resource-recommendations-dialog>',
+                    plain: true,
+                    data: {
+                        getStatistics: ctrl.getStatistics,
+                        version: ctrl.version
+                    },
+                    className: 'ngdialog-theme-iguazio resource-recommendations-dialog-wrapper'
+                }).closePromise
+                    .then(function (data) {
+                        if (lodash.isObject(data.value)) {
+                            ResourceRecommendationsService.applyRecommendations(ctrl.version.spec, data.value);
+
+                            initParametersData();
+                            $timeout(function () {
+                                setFormValidity();
+                                checkIfCpuInputsValid();
+                            });
+
+                            ctrl.onChangeCallback();
+                        }
+                    });
+            }
+        }
+
         /**
          * Replicas data update callback
          * @param {string|number} newData
@@ -477,25 +575,6 @@ such restriction.
                 updateScaleToZeroParameters();
             }
 
-            if (lodash.includes(['minReplicas', 'maxReplicas'], field)) {
-                updateTargetCpuSlider();
-            }
-
-            ctrl.onChangeCallback();
-        }
-
-        /**
-         * Update limits callback
-         * @param {number} newValue
-         * @param {string} field
-         */
-        function sliderInputCallback(newValue, field) {
-            if (lodash.isNil(newValue)) {
-                lodash.unset(ctrl.version, field);
-            } else {
-                lodash.set(ctrl.version, field, Number(newValue));
-            }
-
             ctrl.onChangeCallback();
         }
 
@@ -512,16 +591,11 @@ such restriction.
         function checkIfCpuInputsValid() {
             var requestsCpu = lodash.get(ctrl.version, 'spec.resources.requests.cpu');
             var limitsCpu = lodash.get(ctrl.version, 'spec.resources.limits.cpu');
-            var isFieldsValid;
-
-            if (lodash.isNil(requestsCpu) || lodash.isNil(limitsCpu)) {
-                isFieldsValid = true;
-            } else {
-                isFieldsValid = ctrl.selectedCpuRequestItem.convertValue(requestsCpu) <= ctrl.selectedCpuLimitItem.convertValue(limitsCpu);
-            }
 
-            ctrl.resourcesForm.requestCpu.$setValidity('equality', isFieldsValid);
-            ctrl.resourcesForm.limitsCpu.$setValidity('equality', isFieldsValid);
+            FormValidationService.validateCrossFieldRules(ctrl.resourcesForm, [crossFieldRules.cpu], {
+                requestCpu: lodash.isNil(requestsCpu) ? null : ctrl.selectedCpuRequestItem.convertValue(requestsCpu),
+                limitsCpu: lodash.isNil(limitsCpu) ? null : ctrl.selectedCpuLimitItem.convertValue(limitsCpu)
+            });
         }
 
         /**
@@ -529,30 +603,16 @@ such restriction.
          * Example:
          * Request: "4GB" - Limit: "6GB" are valid
          * Request: "4TB" - Limit: "6GB" are invalid
-         * @param {string} value
-         * @param {string} field
          */
-        function checkIfMemoryInputsValid(value, field) {
-
-            // oppositeValue is a variable for opposite field of current value
-            // if value argument is a value of 'Request' field that 'oppositeValue' will contain value of 'Limit' field
-            var oppositeValue;
-            var isFieldsValid;
-
-            if (lodash.includes(field, 'requests')) {
-                oppositeValue = lodash.get(ctrl.version, 'spec.resources.limits.memory');
-
-                // compare 'Request' and 'Limit' fields values converted in bytes
-                isFieldsValid = lodash.isNil(oppositeValue) ? true : convertToBytes(value) <= convertToBytes(oppositeValue);
-            } else if (lodash.includes(field, 'limits')) {
-                oppositeValue = lodash.get(ctrl.version, 'spec.resources.requests.memory');
-
-                // compare 'Request' and 'Limit' fields values converted in bytes
-                isFieldsValid = lodash.isNil(oppositeValue) ? true : convertToBytes(value) >= convertToBytes(oppositeValue);
-            }
+        function checkIfMemoryInputsValid() {
+            var requestsMemory = lodash.get(ctrl.version, 'spec.resources.requests.memory');
+            var limitsMemory = lodash.get(ctrl.version, 'spec.resources.limits.memory');
 
-            ctrl.resourcesForm.requestMemory.$setValidity('equality', isFieldsValid);
-            ctrl.resourcesForm.limitsMemory.$setValidity('equality', isFieldsValid);
+            // compare 'Request' and 'Limit' fields values converted in bytes
+            FormValidationService.validateCrossFieldRules(ctrl.resourcesForm, [crossFieldRules.memory], {
+                requestMemory: lodash.isNil(requestsMemory) ? null : convertToBytes(requestsMemory),
+                limitsMemory: lodash.isNil(limitsMemory) ? null : convertToBytes(limitsMemory)
+            });
         }
 
         /**
@@ -726,30 +786,6 @@ such restriction.
             }
         }
 
-        /**
-         * Initializes Target CPU slider.
-         */
-        function initTargetCpuSlider() {
-            ctrl.targetCpuValueUnit = '';
-            ctrl.targetCpuSliderConfig = {
-                value: lodash.get(ctrl.defaultFunctionConfig, 'spec.resources.targetCPU', 75),
-                valueLabel: 'disabled',
-                pow: 0,
-                unitLabel: '%',
-                labelHelpIcon: false,
-                options: {
-                    disabled: true,
-                    floor: 1,
-                    id: 'targetCPU',
-                    ceil: 100,
-                    step: 1,
-                    showSelectionBar: true
-                }
-            };
-
-            updateTargetCpuSlider();
-        }
-
         /**
          * Checks if input is related to `CPU Request`
          * @param {string} field
@@ -765,8 +801,7 @@ such restriction.
             lodash.forEach(['requestMemory', 'limitsMemory', 'requestCpu', 'limitsCpu',
                 'limitsGpu', 'minReplicas', 'maxReplicas'], prepareToValidity);
 
-            var path = 'spec.resources.requests.memory';
-            checkIfMemoryInputsValid(lodash.get(ctrl.version, path, '0'), path);
+            checkIfMemoryInputsValid();
 
             /**
              * Set `dirty` to true and `ctrl.numberInputChanged` of `number-input.component` to true
@@ -877,26 +912,6 @@ such restriction.
             };
         }
 
-        /**
-         * Updates Target CPU slider state (enabled/disabled) and display value.
-         */
-        function updateTargetCpuSlider() {
-            var minReplicas = lodash.get(ctrl.version, 'spec.minReplicas');
-            var maxReplicas = lodash.get(ctrl.version, 'spec.maxReplicas');
-            var disabled = !lodash.isNumber(minReplicas) || !lodash.isNumber(maxReplicas) || maxReplicas <= 1 ||
-                minReplicas === maxReplicas || ctrl.isFunctionDeploying();
-            var targetCpuValue = lodash.get(ctrl.version, 'spec.targetCPU', 75);
-
-            ctrl.targetCpuValueUnit = disabled ? '' : '%';
-            lodash.merge(ctrl.targetCpuSliderConfig, {
-                value: targetCpuValue,
-                valueLabel: disabled ? 'disabled' : targetCpuValue,
-                options: {
-                    disabled: disabled
-                }
-            });
-        }
-
         /**
          * Determines `uniqueness` validation for Node selector `Key` field
          * @param {string} value - value to validate
@@ -21,7 +21,11 @@ such restriction.
         .component('nclVersionConfiguration', {
             bindings: {
                 version: '<',
-                isFunctionDeploying: '&'
+                createSecret: '&?',
+                getStatistics: '&?',
+                isFunctionDeploying: '&',
+                listConfigMaps: '&?',
+                listSecrets: '&?'
             },
             templateUrl: 'nuclio/functions/version/version-configuration/version-configuration.tpl.html',
             controller: NclVersionConfigurationController
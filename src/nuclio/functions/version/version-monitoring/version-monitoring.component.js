@@ -20,14 +20,20 @@ such restriction.
     angular.module('iguazio.dashboard-controls')
         .component('nclVersionMonitoring', {
             bindings: {
+                getStatistics: '&?',
                 version: '<'
             },
             templateUrl: 'nuclio/functions/version/version-monitoring/version-monitoring.tpl.html',
             controller: NclVersionMonitoringController
         });
 
-    function NclVersionMonitoringController($rootScope, $timeout, lodash, FunctionsService) {
+    function NclVersionMonitoringController($filter, $i18next, $interval, $q, $rootScope, $timeout, i18next, lodash,
+                                            moment, FunctionsService) {
         var ctrl = this;
+        var lng = i18next.language;
+        var refreshInterval = null;
+
+        var MILLIS_IN_A_MINUTE = 60 * 1000;
 
         ctrl.scrollConfig = {
             advanced: {
@@ -42,13 +48,74 @@ such restriction.
         };
         ctrl.rowIsCollapsed = {
             buildLog: false,
-            errorLog: false
+            errorLog: false,
+            metrics: false
         };
+        ctrl.charts = [];
+        ctrl.refreshOptions = [
+            {
+                id: 0,
+                name: $i18next.t('common:OFF', { lng: lng }),
+                visible: true
+            },
+            {
+                id: 30000,
+                name: $i18next.t('functions:EVERY_N_SECONDS', { lng: lng, count: 30 }),
+                visible: true
+            },
+            {
+                id: 60000,
+                name: $i18next.t('functions:EVERY_N_MINUTES', { lng: lng, count: 1 }),
+                visible: true
+            },
+            {
+                id: 300000,
+                name: $i18next.t('functions:EVERY_N_MINUTES', { lng: lng, count: 5 }),
+                visible: true
+            }
+        ];
+        ctrl.selectedRefreshOption = ctrl.refreshOptions[1];
+        ctrl.timeWindowOptions = [
+            {
+                id: '15m',
+                name: $i18next.t('functions:LAST_N_MINUTES', { lng: lng, count: 15 }),
+                minutes: 15,
+                step: '30s',
+                visible: true
+            },
+            {
+                id: '1h',
+                name: $i18next.t('common:TOOLTIP.LAST_HOUR', { lng: lng }),
+                minutes: 60,
+                step: '1m',
+                visible: true
+            },
+            {
+                id: '6h',
+                name: $i18next.t('functions:LAST_N_HOURS', { lng: lng, count: 6 }),
+                minutes: 360,
+                step: '5m',
+                visible: true
+            },
+            {
+                id: '24h',
+                name: $i18next.t('functions:LAST_N_HOURS', { lng: lng, count: 24 }),
+                minutes: 1440,
+                step: '15m',
+                visible: true
+            }
+        ];
+        ctrl.selectedTimeWindow = ctrl.timeWindowOptions[1];
 
         ctrl.$onInit = onInit;
+        ctrl.$onDestroy = onDestroy;
 
         ctrl.checkIsErrorState = checkIsErrorState;
+        ctrl.isMetricsShown = isMetricsShown;
+        ctrl.onRefreshOptionChange = onRefreshOptionChange;
         ctrl.onRowCollapse = onRowCollapse;
+        ctrl.onTimeWindowChange = onTimeWindowChange;
+        ctrl.updateMetrics = updateMetrics;
 
         //
         // Hook methods
@@ -59,6 +126,19 @@ such restriction.
          */
         function onInit() {
             ctrl.isFunctionDeploying = lodash.partial(FunctionsService.isFunctionDeploying, ctrl.version);
+
+            if (ctrl.isMetricsShown()) {
+                initCharts();
+                updateMetrics();
+                startAutoRefresh();
+            }
+        }
+
+        /**
+         * Destructor method
+         */
+        function onDestroy() {
+            stopAutoRefresh();
         }
 
         //
@@ -73,6 +153,26 @@ such restriction.
             return lodash.includes(['error', 'unhealthy'], lodash.get(ctrl.version.status, 'state'));
         }
 
+        /**
+         * Checks if the metrics block should be shown.
+         * The block is shown only when the host application provided a `getStatistics` callback.
+         * @returns {boolean}
+         */
+        function isMetricsShown() {
+            return angular.isFunction(ctrl.getStatistics);
+        }
+
+        /**
+         * Handles selection of an auto-refresh rate
+         * @param {Object} item - the selected option
+         */
+        function onRefreshOptionChange(item) {
+            ctrl.selectedRefreshOption = item;
+
+            stopAutoRefresh();
+            startAutoRefresh();
+        }
+
         /**
          * Called when row is collapsed/expanded
          * @param {string} row - name of expanded/collapsed row
@@ -84,5 +184,230 @@ such restriction.
                 $rootScope.$broadcast('igzWatchWindowResize::resize');
             }, 350);
         }
+
+        /**
+         * Handles selection of a time window
+         * @param {Object} item - the selected option
+         */
+        function onTimeWindowChange(item) {
+            ctrl.selectedTimeWindow = item;
+
+            updateMetrics();
+        }
+
+        /**
+         * Fetches all the metrics of the function for the selected time window and updates the charts
+         * @returns {Promise} a promise that resolves once all the charts are updated
+         */
+        function updateMetrics() {
+            var now = Date.now();
+            var from = new Date(now - ctrl.selectedTimeWindow.minutes * MILLIS_IN_A_MINUTE).toISOString();
+            var until = new Date(now).toISOString();
+            var functionName = lodash.get(ctrl.version, 'metadata.name');
+            var projectName = lodash.get(ctrl.version, ['metadata', 'labels', 'nuclio.io/project-name'], '');
+            var functionEventsLabels = '{project="' + projectName + '",function="' + functionName + '"}';
+            var functionLabels = '{project_name="' + projectName + '",function_name="' + functionName + '"}';
+
+            var promises = lodash.map(ctrl.charts, function (chart) {
+                var args = {
+                    metric: chart.metric + (chart.id === 'gpu' ? ' * on (pod) group_left(function_name)' +
+                        '(nuclio_function_pod_labels' + functionLabels + ')' :
+                        chart.id === 'invocations' ? functionEventsLabels : functionLabels),
+                    from: from,
+                    until: until,
+                    interval: ctrl.selectedTimeWindow.step
+                };
+
+                if (chart.id === 'gpu') {
+                    args.appendQueryParamsToUrlPath = true;
+                }
+
+                chart.isLoading = true;
+
+                return ctrl.getStatistics(args)
+                    .then(function (data) {
+                        var dataPoints = sumSeries(lodash.get(data, 'result', []));
+
+                        chart.error = '';
+                        chart.config.series[0].data = chart.id === 'invocations' ? getRates(dataPoints) : dataPoints;
+                    })
+                    .catch(function (error) {
+                        chart.error = lodash.get(error, 'msg', $i18next.t('functions:ERROR_MSG.GET_METRICS', {
+                            lng: lng
+                        }));
+                        chart.config.series[0].data = [];
+                    })
+                    .finally(function () {
+                        chart.isLoading = false;
+                    });
+            });
+
+            return $q.all(promises);
+        }
+
+        //
+        // Private methods
+        //
+
+        /**
+         * Converts a series of cumulative counter values to a series of per-second rates.
+         * A negative difference means the counter was reset (e.g. a replica restarted) so it is treated as zero.
+         * @param {Array.<Array.<number>>} dataPoints - list of `[timestamp, value]` pairs, sorted by timestamp
+         * @returns {Array.<Array.<number>>} list of `[timestamp, rate]` pairs
+         */
+        function getRates(dataPoints) {
+            return lodash.chain(dataPoints)
+                .tail()
+                .map(function (dataPoint, index) {
+                    var previous = dataPoints[index];
+                    var timeDiff = (dataPoint[0] - previous[0]) / 1000;
+                    var valueDiff = dataPoint[1] - previous[1];
+
+                    return [dataPoint[0], timeDiff > 0 && valueDiff > 0 ? valueDiff / timeDiff : 0];
+                })
+                .value();
+        }
+
+        /**
+         * Creates the configuration of a single chart
+         * @param {string} id - the chart identifier
+         * @param {string} title - the chart title
+         * @param {string} metric - the name of the Prometheus metric to query
+         * @param {function} formatValue - formats a value of the chart for display
+         * @returns {Object} the chart
+         */
+        function createChart(id, title, metric, formatValue) {
+            return {
+                id: id,
+                title: title,
+                metric: metric,
+                error: '',
+                isLoading: false,
+                config: {
+                    options: {
+                        chart: {
+                            backgroundColor: 'transparent',
+                            height: 200,
+                            type: 'areaspline'
+                        },
+                        credits: {
+                            enabled: false
+                        },
+                        legend: {
+                            enabled: false
+                        },
+                        plotOptions: {
+                            series: {
+                                animation: false,
+                                lineWidth: 2,
+                                marker: {
+                                    enabled: false
+                                }
+                            }
+                        },
+                        title: {
+                            text: ''
+                        },
+                        tooltip: {
+                            formatter: function () {
+                                return moment(this.x).format('DD MMM, YYYY, hh:mm:ss A') + '<br/><b>' +
+                                    formatValue(this.y) + '</b>';
+                            }
+                        },
+                        xAxis: {
+                            type: 'datetime',
+                            title: {
+                                text: null
+                            }
+                        },
+                        yAxis: {
+                            min: 0,
+                            labels: {
+                                formatter: function () {
+                                    return formatValue(this.value);
+                                }
+                            },
+                            title: {
+                                text: null
+                            }
+                        }
+                    },
+                    series: [{
+                        data: [],
+                        name: title
+                    }],
+                    loading: false,
+                    useHighStocks: false
+                }
+            };
+        }
+
+        /**
+         * Initializes the list of charts
+         */
+        function initCharts() {
+            ctrl.charts = [
+                createChart('cpu', $i18next.t('common:CPU_CORES', { lng: lng }),
+                            FunctionsService.functionMetrics.FUNCTION_CPU, function (value) {
+                                return $filter('scale')(value, 0, 'nanos');
+                            }),
+                createChart('memory', $i18next.t('common:MEMORY', { lng: lng }),
+                            FunctionsService.functionMetrics.FUNCTION_MEMORY, function (value) {
+                                return $filter('bytes')(value, 2);
+                            }),
+                createChart('gpu', $i18next.t('common:GPU_CORES', { lng: lng }),
+                            FunctionsService.functionMetrics.FUNCTION_GPU, function (value) {
+                                return $filter('scale')(value, 0, 'nanos');
+                            }),
+                createChart('invocations', $i18next.t('functions:INVOCATION_PER_SEC', { lng: lng }),
+                            FunctionsService.functionMetrics.FUNCTION_EVENTS, function (value) {
+                                return $filter('scale')(value, Number.isInteger(value) ? 0 : 2);
+                            })
+            ];
+        }
+
+        /**
+         * Starts auto-refresh of the metrics according to the selected refresh rate (unless it is turned off)
+         */
+        function startAutoRefresh() {
+            var delay = ctrl.selectedRefreshOption.id;
+
+            if (delay > 0 && lodash.isNull(refreshInterval)) {
+                refreshInterval = $interval(updateMetrics, delay);
+            }
+        }
+
+        /**
+         * Stops auto-refresh of the metrics
+         */
+        function stopAutoRefresh() {
+            if (!lodash.isNull(refreshInterval)) {
+                $interval.cancel(refreshInterval);
+                refreshInterval = null;
+            }
+        }
+
+        /**
+         * Sums the values of several series (e.g. one series per replica) into a single series
+         * @param {Array.<Object>} results - list of Prometheus results, each with a `values` list of
+         *     `[seconds, value]` pairs
+         * @returns {Array.<Array.<number>>} list of `[milliseconds, value]` pairs, sorted by timestamp
+         */
+        function sumSeries(results) {
+            return lodash.chain(results)
+                .flatMap('values')
+                .groupBy(function (value) {
+                    return value[0];
+                })
+                .map(function (values, timestamp) {
+                    return [Number(timestamp) * 1000, lodash.sumBy(values, function (value) {
+                        return Number(value[1]);
+                    })];
+                })
+                .sortBy(function (dataPoint) {
+                    return dataPoint[0];
+                })
+                .value();
+        }
     }
 }());
@@ -0,0 +1,178 @@
+/*
+Copyright 2018 Iguazio Systems Ltd.
+Licensed under the Apache License, Version 2.0 (the "License") with
+an addition restriction as set forth herein. You may not use this
+file except in compliance with the License. You may obtain a copy of
+the License at http://www.apache.org/licenses/LICENSE-2.0.
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or
+implied. See the License for the specific language governing
+permissions and limitations under the License.
+In addition, you may not use the software for any purposes that are
+illegal under applicable law, and the grant of the foregoing license
+under the Apache 2.0 license is conditioned upon your compliance with
+such restriction.
+*/
+describe('nclVersionMonitoring component:', function () {
+    var $componentController;
+    var $interval;
+    var $q;
+    var $rootScope;
+    var ctrl;
+    var getStatistics;
+    var lodash;
+
+    beforeEach(function () {
+        module('iguazio.dashboard-controls');
+
+        inject(function (_$componentController_, _$interval_, _$q_, _$rootScope_, _lodash_) {
+            $componentController = _$componentController_;
+            $interval = _$interval_;
+            $q = _$q_;
+            $rootScope = _$rootScope_;
+            lodash = _lodash_;
+        });
+
+        getStatistics = jasmine.createSpy('getStatistics').and.callFake(function (args) {
+            var results = [
+                {
+                    metric: { function_name: 'my-function' },
+                    values: [[1000, '1'], [1060, '4']]
+                },
+                {
+                    metric: { function_name: 'my-function' },
+                    values: [[1000, '2'], [1060, '5']]
+                }
+            ];
+
+            return $q.when({ result: results });
+        });
+
+        var bindings = {
+            getStatistics: getStatistics,
+            version: {
+                metadata: {
+                    name: 'my-function',
+                    labels: {
+                        'nuclio.io/project-name': 'my-project'
+                    }
+                },
+                status: {
+                    state: 'ready'
+                }
+            }
+        };
+
+        ctrl = $componentController('nclVersionMonitoring', null, bindings);
+    });
+
+    afterEach(function () {
+        $componentController = null;
+        $interval = null;
+        $q = null;
+        $rootScope = null;
+        ctrl = null;
+        getStatistics = null;
+        lodash = null;
+    });
+
+    describe('$onInit(): ', function () {
+        it('should initialize the charts and fetch the metrics of the function', function () {
+            ctrl.$onInit();
+            $rootScope.$digest();
+
+            expect(lodash.map(ctrl.charts, 'id')).toEqual(['cpu', 'memory', 'gpu', 'invocations']);
+            expect(getStatistics).toHaveBeenCalledTimes(4);
+            expect(getStatistics.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({
+                metric: 'nuclio_function_cpu{project_name="my-project",function_name="my-function"}',
+                interval: '1m'
+            }));
+            expect(getStatistics.calls.argsFor(3)[0]).toEqual(jasmine.objectContaining({
+                metric: 'nuclio_processor_handled_events_total{project="my-project",function="my-function"}'
+            }));
+        });
+
+        it('should not fetch metrics if `getStatistics` callback is not provided', function () {
+            ctrl = $componentController('nclVersionMonitoring', null, { version: {} });
+            ctrl.$onInit();
+
+            expect(ctrl.isMetricsShown()).toBeFalsy();
+            expect(ctrl.charts).toEqual([]);
+        });
+
+        it('should auto-refresh the metrics', function () {
+            ctrl.$onInit();
+            $rootScope.$digest();
+            getStatistics.calls.reset();
+
+            $interval.flush(30000);
+
+            expect(getStatistics).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('$onDestroy(): ', function () {
+        it('should stop auto-refresh of the metrics', function () {
+            ctrl.$onInit();
+            ctrl.$onDestroy();
+            getStatistics.calls.reset();
+
+            $interval.flush(60000);
+
+            expect(getStatistics).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateMetrics(): ', function () {
+        it('should sum the series of all replicas', function () {
+            ctrl.$onInit();
+            $rootScope.$digest();
+
+            var cpuChart = lodash.find(ctrl.charts, { id: 'cpu' });
+
+            expect(cpuChart.config.series[0].data).toEqual([[1000000, 3], [1060000, 9]]);
+        });
+
+        it('should convert the invocation counter to a rate per second', function () {
+            ctrl.$onInit();
+            $rootScope.$digest();
+
+            var invocationsChart = lodash.find(ctrl.charts, { id: 'invocations' });
+
+            expect(invocationsChart.config.series[0].data).toEqual([[1060000, 0.1]]);
+        });
+
+        it('should set an error on the chart if fetching its metric failed', function () {
+            getStatistics.and.returnValue($q.reject({ msg: 'error message' }));
+
+            ctrl.$onInit();
+            $rootScope.$digest();
+
+            expect(lodash.every(ctrl.charts, { error: 'error message' })).toBeTruthy();
+        });
+    });
+
+    describe('onTimeWindowChange(): ', function () {
+        it('should fetch the metrics for the selected time window', function () {
+            ctrl.$onInit();
+            getStatistics.calls.reset();
+
+            ctrl.onTimeWindowChange(ctrl.timeWindowOptions[3]);
+
+            expect(getStatistics.calls.argsFor(0)[0].interval).toEqual('15m');
+        });
+    });
+
+    describe('onRefreshOptionChange(): ', function () {
+        it('should stop auto-refresh when turned off', function () {
+            ctrl.$onInit();
+            ctrl.onRefreshOptionChange(ctrl.refreshOptions[0]);
+            getStatistics.calls.reset();
+
+            $interval.flush(300000);
+
+            expect(getStatistics).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -28,9 +28,9 @@ such restriction.
             controller: NclVersionTriggersController
         });
 
-    function NclVersionTriggersController($i18next, $rootScope, $scope, $timeout, $window, i18next, lodash,
-                                          ConfigService, DialogsService, FunctionsService, ValidationService,
-                                          VersionHelperService) {
+    function NclVersionTriggersController($i18next, $rootScope, $scope, $timeout, $window, download, i18next, lodash,
+                                          ConfigService, CronService, DialogsService, FunctionsService,
+                                          TriggerSchemaService, ValidationService, VersionHelperService) {
         var ctrl = this;
         var lng = i18next.language;
         var uniqueClasses = ['http'];
@@ -81,6 +81,7 @@ such restriction.
         ctrl.checkClassUniqueness = checkClassUniqueness;
         ctrl.createTrigger = createTrigger;
         ctrl.editTriggerCallback = editTriggerCallback;
+        ctrl.exportTriggerSchema = exportTriggerSchema;
         ctrl.handleAction = handleAction;
         ctrl.isCreateNewTriggerEnabled = isCreateNewTriggerEnabled;
         ctrl.isHttpTriggerMsgShown = isHttpTriggerMsgShown;
@@ -210,6 +211,14 @@ such restriction.
             ctrl.handleAction('update', item);
         }
 
+        /**
+         * Downloads the JSON Schema describing the triggers of all the registered kinds
+         */
+        function exportTriggerSchema() {
+            download.fromData(angular.toJson(TriggerSchemaService.exportSchema(), 4), 'application/schema+json',
+                              'triggers.schema.json');
+        }
+
         /**
          * According to given action name calls proper action handler
          * @param {string} actionType - ex. `delete`
@@ -384,7 +393,7 @@ such restriction.
                 });
 
                 if (angular.isDefined(triggerItem.attributes.schedule)) {
-                    triggerItem.attributes.schedule = '0 ' + triggerItem.attributes.schedule;
+                    triggerItem.attributes.schedule = CronService.toTriggerSchedule(triggerItem.attributes.schedule);
                 }
 
                 if (lodash.isEmpty(triggerItem.attributes)) {
@@ -437,18 +446,8 @@ such restriction.
                     attributes: {}
                 });
 
-                if (trigger.kind === 'cron') {
-                    var scheduleValueArray = lodash.chain(triggersItem)
-                        .get('attributes.schedule', '')
-                        .split(' ')
-                        .value();
-
-                    if (scheduleValueArray.length === 6) {
-                        triggersItem.attributes.schedule = lodash.chain(scheduleValueArray)
-                            .takeRight(5)
-                            .join(' ')
-                            .value();
-                    }
+                if (trigger.kind === 'cron' && lodash.has(triggersItem, 'attributes.schedule')) {
+                    triggersItem.attributes.schedule = CronService.fromTriggerSchedule(triggersItem.attributes.schedule);
                 }
 
                 updateTriggerInfoMsg(triggersItem);
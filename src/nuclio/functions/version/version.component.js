@@ -28,7 +28,9 @@ such restriction.
                 deleteFunction: '&',
                 getFunction: '&',
                 getFunctions: '&',
+                loadDeploymentHistory: '&?',
                 onEditCallback: '&?',
+                saveDeploymentHistory: '&?',
                 updateVersion: '&'
             },
             templateUrl: 'nuclio/functions/version/version.tpl.html',
@@ -36,8 +38,9 @@ such restriction.
         });
 
     function NclVersionController($i18next, $interval, $rootScope, $scope, $state, $stateParams, $transitions, $timeout,
-                                  i18next, lodash, ngDialog, ConfigService, DialogsService, ExportService,
-                                  FunctionsService, GeneralDataService, NuclioHeaderService, VersionHelperService) {
+                                  i18next, lodash, ngDialog, ConfigService, DeploymentHistoryService, DialogsService,
+                                  ExportService, FunctionsService, GeneralDataService, NuclioHeaderService,
+                                  VersionHelperService) {
         var ctrl = this;
         var deregisterFunction = null;
         var interval = null;
@@ -73,6 +76,7 @@ such restriction.
         };
 
         ctrl.isDeployDisabled = false;
+        ctrl.deploymentHistory = [];
 
         ctrl.deployResult = {
             shown: false,
@@ -134,6 +138,10 @@ such restriction.
                 {
                     id: 'viewConfig',
                     name: $i18next.t('functions:VIEW_YAML', { lng: lng })
+                },
+                {
+                    id: 'deploymentHistory',
+                    name: $i18next.t('functions:DEPLOYMENT_HISTORY', { lng: lng })
                 }
             ];
 
@@ -185,6 +193,8 @@ such restriction.
 
             deregisterFunction = $transitions.onStart({}, stateChangeStart);
 
+            loadDeploymentHistory();
+
             if (FunctionsService.isFunctionDeploying(ctrl.version)) {
                 ctrl.isFunctionDeployed = false;
                 ctrl.deployResult.shown = true;
@@ -235,78 +245,23 @@ such restriction.
         //
 
         /**
-         * Deploys changed version
+         * Deploys changed version.
+         * In case the function is already deployed and was changed since, opens a dialog to review the changes first
+         * and deploys only if the user approves them.
          * @param {MouseEvent} event
-         * @param {Object} [version] - version of existing function
          */
-        function deployButtonClick(event, version) {
+        function deployButtonClick(event) {
             if (!ctrl.isDeployDisabled) {
-                var versionCopy = lodash.omit(angular.isDefined(version) ? version : ctrl.version, ['status', 'ui']);
-                var isV3ioExists = Object.values(lodash.get(versionCopy, 'spec.triggers', {})).find(function (trigger) {
-                    return trigger.kind === 'v3ioStream'
-                });
-
-                if (versionCopy.spec.maxReplicas !== versionCopy.spec.minReplicas && isV3ioExists) {
-                    DialogsService.alert($i18next.t('functions:V3IO_INVALID_REPLICAS_MSG', {lng: lng}));
-                } else {
-                    var withTimeoutHeader = ['git', 'github'].includes(lodash.get(ctrl.version, 'spec.build.codeEntryType', ''));
-
-                    ctrl.isFunctionDeployed = false;
-                    $rootScope.$broadcast('deploy-function-version', { event: event });
-
-                    // set `nuclio.io/project-name` label to relate this function to its project
-                    lodash.set(versionCopy, ['metadata', 'labels', 'nuclio.io/project-name'], ctrl.project.metadata.name);
-                    lodash.set(versionCopy, 'spec.build.mode', 'alwaysBuild');
-
-                    ctrl.isTestResultShown = false;
-                    ctrl.deployResult.shown = false;
-                    ctrl.deployResult.collapsed = true;
-                    ctrl.isSplashShowed.value = true;
-
-                    var isVersionDeployed = VersionHelperService.isVersionDeployed(ctrl.version);
-                    var method = isVersionDeployed || ctrl.version.ui.overwrite || ctrl.version.ui.failedDeploy ?
-                        ctrl.updateVersion : ctrl.createVersion;
-
-                    method({ version: versionCopy, projectId: ctrl.project.metadata.name, withTimeoutHeader })
-                        .then(function () {
-                            pollFunctionState();
-
-                            $timeout(function () {
-                                $rootScope.$broadcast('igzWatchWindowResize::resize');
-                            });
-                        })
-                        .catch(function (error) {
-                            var status = error.status;
-                            var defaultMsg = $i18next.t('functions:ERROR_MSG.UNKNOWN_ERROR_WITH_STATUS', { lng: lng, status: status });
-
-                            if (status === 409 && isVersionDeployed) {
-                                return FunctionsService.openVersionOverwriteDialog()
-                                    .then(function () {
-                                        deployButtonClick(event, lodash.omit(ctrl.version, 'metadata.resourceVersion'));
-                                    })
-                                    .catch(function () {
-                                        ctrl.isFunctionDeployed = true;
-                                    });
-                            } else if (status === 404 && method === ctrl.updateVersion) {
-                                clearVersionStatus(ctrl.version);
-                                return deployButtonClick(event, version);
-                            } else if ((status === 400 || status === 500) && method === ctrl.createVersion) {
-                                return DialogsService.alert(lodash.get(error, 'data.error') || defaultMsg).then(function () {
-                                    ctrl.version.ui.failedDeploy = true;
-                                    ctrl.isFunctionDeployed = true;
-                                });
-                            } else {
-                                var defaultMessage = status === 504 ?
-                                    $i18next.t('functions:ERROR_MSG.FUNCTION_DEPLOYMENT_FAILURE', { lng: lng, status: status }) : defaultMsg
-
-                                return DialogsService.alert(lodash.get(error, 'data.error') || defaultMessage).then(function () {
-                                    ctrl.isFunctionDeployed = true;
-                                });
+                if (!lodash.isNil(ctrl.version.ui.deployedVersion) &&
+                    VersionHelperService.getVersionChanges(ctrl.version).hasChanges) {
+                    openReviewChangesDialog()
+                        .then(function (data) {
+                            if (data.value === true) {
+                                deployVersion(event);
                             }
-                        })
-                        .finally(function () {
-                            ctrl.isSplashShowed.value = false;
                         });
+                } else {
+                    deployVersion(event);
                 }
             }
         }
@@ -375,6 +330,8 @@ such restriction.
                     },
                     className: 'ngdialog-theme-iguazio view-yaml-dialog-wrapper'
                 });
+            } else if (item.id === 'deploymentHistory') {
+                openDeploymentHistoryDialog();
             } else if (item.id === 'duplicateFunction') {
                 ngDialog.open({
                     template: '<ncl-duplicate-function-dialog data-close-dialog="closeThisDialog()" ' +
@@ -508,6 +465,86 @@ such restriction.
                 });
         }
 
+        /**
+         * Deploys the version
+         * @param {MouseEvent} event
+         * @param {Object} [version] - version of existing function
+         */
+        function deployVersion(event, version) {
+            if (!ctrl.isDeployDisabled) {
+                var versionCopy = lodash.omit(angular.isDefined(version) ? version : ctrl.version, ['status', 'ui']);
+                var isV3ioExists = Object.values(lodash.get(versionCopy, 'spec.triggers', {})).find(function (trigger) {
+                    return trigger.kind === 'v3ioStream'
+                });
+
+                if (versionCopy.spec.maxReplicas !== versionCopy.spec.minReplicas && isV3ioExists) {
+                    DialogsService.alert($i18next.t('functions:V3IO_INVALID_REPLICAS_MSG', {lng: lng}));
+                } else {
+                    var withTimeoutHeader = ['git', 'github'].includes(lodash.get(ctrl.version, 'spec.build.codeEntryType', ''));
+
+                    ctrl.isFunctionDeployed = false;
+                    $rootScope.$broadcast('deploy-function-version', { event: event });
+
+                    // set `nuclio.io/project-name` label to relate this function to its project
+                    lodash.set(versionCopy, ['metadata', 'labels', 'nuclio.io/project-name'], ctrl.project.metadata.name);
+                    lodash.set(versionCopy, 'spec.build.mode', 'alwaysBuild');
+
+                    ctrl.isTestResultShown = false;
+                    ctrl.deployResult.shown = false;
+                    ctrl.deployResult.collapsed = true;
+                    ctrl.isSplashShowed.value = true;
+
+                    var isVersionDeployed = VersionHelperService.isVersionDeployed(ctrl.version);
+                    var method = isVersionDeployed || ctrl.version.ui.overwrite || ctrl.version.ui.failedDeploy ?
+                        ctrl.updateVersion : ctrl.createVersion;
+
+                    method({ version: versionCopy, projectId: ctrl.project.metadata.name, withTimeoutHeader })
+                        .then(function () {
+                            pollFunctionState();
+
+                            DeploymentHistoryService.addEntry(ctrl.deploymentHistory, versionCopy);
+                            saveDeploymentHistory();
+
+                            $timeout(function () {
+                                $rootScope.$broadcast('igzWatchWindowResize::resize');
+                            });
+                        })
+                        .catch(function (error) {
+                            var status = error.status;
+                            var defaultMsg = $i18next.t('functions:ERROR_MSG.UNKNOWN_ERROR_WITH_STATUS', { lng: lng, status: status });
+
+                            if (status === 409 && isVersionDeployed) {
+                                return FunctionsService.openVersionOverwriteDialog()
+                                    .then(function () {
+                                        deployVersion(event, lodash.omit(ctrl.version, 'metadata.resourceVersion'));
+                                    })
+                                    .catch(function () {
+                                        ctrl.isFunctionDeployed = true;
+                                    });
+                            } else if (status === 404 && method === ctrl.updateVersion) {
+                                clearVersionStatus(ctrl.version);
+                                return deployVersion(event, version);
+                            } else if ((status === 400 || status === 500) && method === ctrl.createVersion) {
+                                return DialogsService.alert(lodash.get(error, 'data.error') || defaultMsg).then(function () {
+                                    ctrl.version.ui.failedDeploy = true;
+                                    ctrl.isFunctionDeployed = true;
+                                });
+                            } else {
+                                var defaultMessage = status === 504 ?
+                                    $i18next.t('functions:ERROR_MSG.FUNCTION_DEPLOYMENT_FAILURE', { lng: lng, status: status }) : defaultMsg
+
+                                return DialogsService.alert(lodash.get(error, 'data.error') || defaultMessage).then(function () {
+                                    ctrl.isFunctionDeployed = true;
+                                });
+                            }
+                        })
+                        .finally(function () {
+                            ctrl.isSplashShowed.value = false;
+                        });
+                }
+            }
+        }
+
         /**
          * Fills template parameters with actual values.
          * @param {string} template - The template with parameters to fill.
@@ -532,6 +569,80 @@ such restriction.
             return angular.copy(lodash.omit(ctrl.version, 'ui'));
         }
 
+        /**
+         * Loads the deployment history of the function (using the host's persistence callback if provided).
+         * In case the latest recorded deployment is still marked as deploying while the function is in a steady
+         * state, its result is updated according to the function's state.
+         */
+        function loadDeploymentHistory() {
+            DeploymentHistoryService.loadHistory(ctrl.project.metadata.name, ctrl.version.metadata.name,
+                                                 ctrl.loadDeploymentHistory)
+                .then(function (history) {
+                    var state = lodash.get(ctrl.version, 'status.state', '');
+
+                    ctrl.deploymentHistory = history;
+
+                    // resolve the result of a deployment that ended while the function was not displayed
+                    if (!lodash.isEmpty(state) && !isFunctionDeploying() &&
+                        DeploymentHistoryService.setEntryResult(history, ['error', 'unhealthy'].includes(state) ?
+                                                                'failed' : 'succeeded')) {
+                        saveDeploymentHistory();
+                    }
+                })
+                .catch(function (error) {
+                    var defaultMsg = $i18next.t('functions:ERROR_MSG.LOAD_DEPLOYMENT_HISTORY', { lng: lng });
+
+                    DialogsService.alert(lodash.get(error, 'data.error', defaultMsg));
+                });
+        }
+
+        /**
+         * Opens a dialog with the deployment history of the function.
+         * Redeploys the config snapshot of the history entry selected in the dialog, if any.
+         */
+        function openDeploymentHistoryDialog() {
+            ngDialog.open({
+                template: '<ncl-deployment-history-dialog data-close-dialog="closeThisDialog(value)" ' +
+                    'data-history="ngDialogData.history" data-version="ngDialogData.version">' +
+                    '</ncl-deployment-history-dialog>',
+                plain: true,
+                data: {
+                    history: ctrl.deploymentHistory,
+                    version: ctrl.version
+                },
+                className: 'ngdialog-theme-iguazio deployment-history-dialog-wrapper'
+            }).closePromise
+                .then(function (data) {
+                    var entry = lodash.get(data, 'value.entry');
+
+                    if (!lodash.isNil(entry)) {
+                        var snapshotVersion = DeploymentHistoryService.getSnapshotVersion(entry);
+
+                        // deploy the snapshot on top of the latest resource version of the function
+                        lodash.set(snapshotVersion, 'metadata.resourceVersion',
+                                   lodash.get(ctrl.version, 'metadata.resourceVersion'));
+
+                        deployVersion(data.value.event, snapshotVersion);
+                    }
+                });
+        }
+
+        /**
+         * Opens a dialog with the changes of the function since its latest deployment.
+         * @returns {Promise} a promise resolved with `{value: true}` when the user approves the changes for deployment
+         */
+        function openReviewChangesDialog() {
+            return ngDialog.open({
+                template: '<ncl-review-changes-dialog data-close-dialog="closeThisDialog(value)" ' +
+                    'data-version="ngDialogData.version"></ncl-review-changes-dialog>',
+                plain: true,
+                data: {
+                    version: ctrl.version
+                },
+                className: 'ngdialog-theme-iguazio review-changes-dialog-wrapper'
+            }).closePromise;
+        }
+
         /**
          * Polls function status.
          * Periodically sends request to get function's state, until state is steady.
@@ -551,10 +662,16 @@ such restriction.
                             terminateInterval();
 
                             var state = lodash.get(aFunction, 'status.state');
-                            ctrl.deployResult.status = ['error', 'unhealthy'].includes(state) ?
+                            var isDeployFailed = ['error', 'unhealthy'].includes(state);
+                            ctrl.deployResult.status = isDeployFailed ?
                                 DEPLOY_RESULT_STATUSES.FAILED :
                                 DEPLOY_RESULT_STATUSES.SUCCEEDED;
 
+                            if (DeploymentHistoryService.setEntryResult(ctrl.deploymentHistory,
+                                                                        isDeployFailed ? 'failed' : 'succeeded')) {
+                                saveDeploymentHistory();
+                            }
+
                             setVersion(aFunction);
 
                             lodash.assign(ctrl.version.ui, {
@@ -581,12 +698,25 @@ such restriction.
                             terminateInterval();
                             clearVersionStatus(ctrl.version);
 
-                            return FunctionsService.openDeployDeletedFunctionDialog(ctrl.version, deployButtonClick);
+                            return FunctionsService.openDeployDeletedFunctionDialog(ctrl.version, deployVersion);
                         }
                     });
             }, FUNCTION_STATE_POLLING_DELAY);
         }
 
+        /**
+         * Saves the deployment history of the function (using the host's persistence callback if provided).
+         */
+        function saveDeploymentHistory() {
+            DeploymentHistoryService.saveHistory(ctrl.project.metadata.name, ctrl.version.metadata.name,
+                                                 ctrl.deploymentHistory, ctrl.saveDeploymentHistory)
+                .catch(function (error) {
+                    var defaultMsg = $i18next.t('functions:ERROR_MSG.SAVE_DEPLOYMENT_HISTORY', { lng: lng });
+
+                    DialogsService.alert(lodash.get(error, 'data.error', defaultMsg));
+                });
+        }
+
         /**
          * Sets deploying results
          * @param {string} value